@@ -4,21 +4,34 @@ import express from 'express';
 
 dotenv.config();
 
+import { auditContext } from '../server/src/middleware/audit.js';
+
 // Import Supabase routes
+import alertsRoutes from '../server/src/routes/alerts.supabase.js';
+import auditRoutes from '../server/src/routes/audit.supabase.js';
 import authRoutes from '../server/src/routes/auth.supabase.js';
+import chargeBacksRoutes from '../server/src/routes/chargebacks.supabase.js';
 import configRoutes from '../server/src/routes/config.supabase.js';
+import cronRoutes from '../server/src/routes/cron.supabase.js';
 import dashboardRoutes from '../server/src/routes/dashboard.supabase.js';
+import importsRoutes from '../server/src/routes/imports.supabase.js';
 import loadsRoutes from '../server/src/routes/loads.supabase.js';
+import notificationsRoutes from '../server/src/routes/notifications.supabase.js';
 import packagingRoutes from '../server/src/routes/packaging.supabase.js';
 import plannerRoutes from '../server/src/routes/planner.supabase.js';
 import reportsRoutes from '../server/src/routes/reports.supabase.js';
+import serviceAccountsRoutes from '../server/src/routes/serviceAccounts.supabase.js';
 import sitesRoutes from '../server/src/routes/sites.supabase.js';
+import stockTakesRoutes from '../server/src/routes/stocktakes.supabase.js';
+import webhooksRoutes from '../server/src/routes/webhooks.supabase.js';
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Imports send whole spreadsheets
+app.use(express.json({ limit: '5mb' }));
+app.use(auditContext);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -29,11 +42,21 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/loads', loadsRoutes);
 app.use('/api/sites', sitesRoutes);
+app.use('/api/stock-takes', stockTakesRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/packaging', packagingRoutes);
 app.use('/api/planner', plannerRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/charge-backs', chargeBacksRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/service-accounts', serviceAccountsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/imports', importsRoutes);
+// No interval schedulers run here; vercel.json calls these instead
+app.use('/api/cron', cronRoutes);
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
@@ -1,5 +1,7 @@
 import { Navigate, Route, Routes } from 'react-router-dom';
 import Layout from './components/Layout';
+import Alerts from './pages/Alerts';
+import AuditLog from './pages/AuditLog';
 import Dashboard from './pages/Dashboard';
 import LiveTrackingPage from './pages/LiveTrackingPage';
 import LoadDetail from './pages/LoadDetail';
@@ -8,6 +10,7 @@ import Loads from './pages/Loads';
 import Login from './pages/Login';
 import Packaging from './pages/Packaging';
 import Reports from './pages/Reports';
+import SetPassword from './pages/SetPassword';
 import Settings from './pages/Settings';
 import SiteDetail from './pages/SiteDetail';
 import Sites from './pages/Sites';
@@ -40,6 +43,7 @@ function App() {
   return (
     <Routes>
       <Route path="/login" element={<Login />} />
+      <Route path="/set-password" element={<SetPassword />} />
       
       <Route
         path="/"
@@ -60,6 +64,8 @@ function App() {
         <Route path="packaging" element={<Packaging />} />
         <Route path="tracking" element={<LiveTrackingPage />} />
         <Route path="reports" element={<Reports />} />
+        <Route path="alerts" element={<Alerts />} />
+        <Route path="audit" element={<AuditLog />} />
         <Route path="settings" element={<Settings />} />
       </Route>
       
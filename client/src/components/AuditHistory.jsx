@@ -0,0 +1,146 @@
+import { format } from 'date-fns';
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 25;
+
+const TABLE_LABELS = {
+  loads: 'Load',
+  load_packaging: 'Load packaging',
+  backload_packaging: 'Backload packaging',
+  dispatch_schedules: 'Schedule',
+  site_packaging_inventory: 'Inventory',
+  site_packaging_thresholds: 'Threshold',
+  sites: 'Site',
+  vehicles: 'Vehicle',
+  drivers: 'Driver',
+  users: 'User',
+  packaging_types: 'Packaging type',
+  role_permissions: 'Role permission',
+};
+
+const ACTION_CLASSES = {
+  INSERT: 'bg-green-100 text-green-700',
+  UPDATE: 'bg-blue-100 text-blue-700',
+  DELETE: 'bg-red-100 text-red-700',
+};
+
+const ACTION_LABELS = {
+  INSERT: 'Created',
+  UPDATE: 'Changed',
+  DELETE: 'Deleted',
+};
+
+/**
+ * Readable audit value
+ * @param {*} value
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * @param {string} table
+ */
+export function tableLabel(table) {
+  return TABLE_LABELS[table] || table;
+}
+
+/**
+ * One audit entry: who did what, and the before/after of each field
+ * @param {{ entry: object }} props
+ */
+export function AuditEntry({ entry }) {
+  const fields = entry.changed_fields || [];
+
+  return (
+    <div className="py-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className={`px-2 py-0.5 text-xs rounded ${ACTION_CLASSES[entry.action]}`}>
+          {ACTION_LABELS[entry.action]}
+        </span>
+        <span className="font-medium text-gray-900">{tableLabel(entry.table_name)}</span>
+        <span className="text-gray-500">
+          by {entry.actor_name || entry.actor_email || (entry.source === 'system' ? 'System' : 'Database')}
+        </span>
+        <span className="text-gray-400">{format(new Date(entry.created_at), 'dd MMM yyyy HH:mm:ss')}</span>
+        {entry.request_method && (
+          <span className="text-xs text-gray-400" title={entry.user_agent || ''}>
+            {entry.request_method} {entry.request_path}{entry.ip_address ? ` from ${entry.ip_address}` : ''}
+          </span>
+        )}
+      </div>
+      {fields.length > 0 && (
+        <table className="mt-2 text-xs w-full">
+          <tbody>
+            {fields.map(field => (
+              <tr key={field} className="align-top">
+                <td className="pr-4 py-0.5 text-gray-500 whitespace-nowrap">{field}</td>
+                {entry.action !== 'INSERT' && (
+                  <td className="pr-4 py-0.5 text-red-700 line-through break-all">
+                    {formatValue(entry.old_values?.[field])}
+                  </td>
+                )}
+                {entry.action !== 'DELETE' && (
+                  <td className="py-0.5 text-green-700 break-all">{formatValue(entry.new_values?.[field])}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Paginated change history
+ * @param {{ fetchPage: (params: object) => Promise<any>, emptyMessage?: string }} props
+ *   fetchPage receives { limit, offset } and returns the API response
+ */
+function AuditHistory({ fetchPage, emptyMessage = 'No changes recorded' }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadPage(0);
+  }, [fetchPage]);
+
+  const loadPage = async (offset) => {
+    setLoading(true);
+    try {
+      const res = await fetchPage({ limit: PAGE_SIZE, offset });
+      setEntries(prev => offset === 0 ? res.data.entries : [...prev, ...res.data.entries]);
+      setTotal(res.data.pagination.total);
+    } catch (error) {
+      toast.error('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!loading && entries.length === 0) {
+    return <p className="text-sm text-gray-500 text-center py-8">{emptyMessage}</p>;
+  }
+
+  return (
+    <div>
+      <div className="divide-y divide-gray-100">
+        {entries.map(entry => <AuditEntry key={entry.id} entry={entry} />)}
+      </div>
+      {loading && <p className="text-sm text-gray-500 text-center py-4">Loading...</p>}
+      {!loading && entries.length < total && (
+        <div className="text-center pt-4">
+          <button onClick={() => loadPage(entries.length)} className="btn btn-secondary btn-sm">
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AuditHistory;
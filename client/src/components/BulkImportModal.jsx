@@ -0,0 +1,236 @@
+import { ArrowDownTrayIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { downloadImportTemplate, importMasterData, previewMasterDataImport } from '../lib/api';
+
+const ACTION_CLASSES = {
+  create: 'bg-green-100 text-green-700',
+  update: 'bg-blue-100 text-blue-700',
+  unchanged: 'bg-gray-100 text-gray-600',
+  error: 'bg-red-100 text-red-700',
+};
+
+/**
+ * Labels for a row's action before and after the import runs
+ */
+const ACTION_LABELS = {
+  preview: { create: 'New', update: 'Update', unchanged: 'Unchanged', error: 'Error' },
+  done: { create: 'Created', update: 'Updated', unchanged: 'Unchanged', error: 'Failed' },
+};
+
+/**
+ * Base64 of a file's bytes
+ * @param {File} file
+ */
+async function toBase64(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Bulk create and update of master data from a CSV or .xlsx file, with a
+ * dry-run report before anything is saved
+ * @param {{ entity: 'sites'|'vehicles'|'drivers'|'packaging_types'; title: string; isOpen: boolean; onClose: () => void; onImported: () => void }} props
+ */
+function BulkImportModal({ entity, title, isOpen, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [done, setDone] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFile(null);
+      setResult(null);
+      setDone(false);
+    }
+  }, [isOpen]);
+
+  const handleTemplate = async () => {
+    try {
+      const blob = await downloadImportTemplate(entity);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${entity}-template.csv`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      a.remove();
+    } catch (error) {
+      toast.error('Failed to download the template');
+    }
+  };
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} e */
+  const handleFile = async (e) => {
+    const selected = e.target.files?.[0];
+    if (!selected) return;
+    const isXlsx = selected.name.toLowerCase().endsWith('.xlsx');
+    setFile({
+      name: selected.name,
+      content: isXlsx ? await toBase64(selected) : await selected.text(),
+      format: isXlsx ? 'xlsx' : 'csv',
+    });
+    setResult(null);
+  };
+
+  /** @param {boolean} dryRun */
+  const handleRun = async (dryRun) => {
+    setBusy(true);
+    try {
+      const upload = { content: file.content, format: file.format };
+      const res = dryRun ? await previewMasterDataImport(entity, upload) : await importMasterData(entity, upload);
+      setResult(res.data);
+      setDone(!dryRun);
+      if (!dryRun) {
+        const { create, update } = res.data.summary;
+        toast.success(`${create} created, ${update} updated`);
+        onImported();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to read the file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const labels = ACTION_LABELS[done ? 'done' : 'preview'];
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black bg-opacity-30" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+          <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+            <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            {!result ? (
+              <>
+                <p className="text-sm text-gray-600">
+                  Upload a CSV or Excel (.xlsx) file laid out like the template. Rows that match an existing
+                  record update it; blank cells leave the stored value unchanged. Nothing is saved until you
+                  have checked the preview.
+                </p>
+                <button type="button" onClick={handleTemplate} className="btn btn-secondary btn-sm">
+                  <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                  Download Template
+                </button>
+                <input
+                  type="file"
+                  accept=".csv,.txt,.xlsx"
+                  onChange={handleFile}
+                  className="block text-sm text-gray-600"
+                />
+                <div className="flex justify-end space-x-3">
+                  <button type="button" onClick={onClose} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRun(true)}
+                    disabled={busy || !file}
+                    className="btn btn-primary"
+                  >
+                    {busy ? 'Reading...' : 'Preview'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-3 text-sm">
+                  {['create', 'update', 'unchanged'].map(action => result.summary[action] > 0 && (
+                    <span key={action} className={`px-2 py-1 rounded ${ACTION_CLASSES[action]}`}>
+                      {result.summary[action]} {labels[action].toLowerCase()}
+                    </span>
+                  ))}
+                  {result.summary.errors > 0 && (
+                    <span className={`px-2 py-1 rounded ${ACTION_CLASSES.error}`}>
+                      {result.summary.errors} with errors
+                    </span>
+                  )}
+                </div>
+                {result.ignoredColumns.length > 0 && (
+                  <p className="text-sm text-yellow-700">
+                    Columns not recognised and ignored: {result.ignoredColumns.join(', ')}
+                  </p>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Line</th>
+                        <th>Key</th>
+                        <th>Result</th>
+                        <th>Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.rows.map(row => (
+                        <tr key={row.line} className={row.action === 'error' ? 'bg-red-50' : ''}>
+                          <td>{row.line}</td>
+                          <td className="font-medium">{row.key || '-'}</td>
+                          <td>
+                            <span className={`px-2 py-1 text-xs rounded ${ACTION_CLASSES[row.action]}`}>
+                              {labels[row.action]}
+                            </span>
+                          </td>
+                          <td className="text-xs">
+                            {row.errors.map(message => (
+                              <div key={message} className="text-red-600">{message}</div>
+                            ))}
+                            {row.action === 'update' && (
+                              <div className="text-gray-600">Changes: {row.changes.join(', ')}</div>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="flex justify-between pt-4 border-t">
+                  {done ? (
+                    <>
+                      <span />
+                      <button type="button" onClick={onClose} className="btn btn-primary">
+                        Done
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button type="button" onClick={() => setResult(null)} className="btn btn-secondary">
+                        Back
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRun(false)}
+                        disabled={busy || result.summary.create + result.summary.update === 0}
+                        className="btn btn-primary"
+                      >
+                        {busy ? 'Importing...' : `Import ${result.summary.create + result.summary.update} Row${result.summary.create + result.summary.update === 1 ? '' : 's'}`}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BulkImportModal;
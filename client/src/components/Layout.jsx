@@ -1,8 +1,10 @@
 import {
   ArrowRightOnRectangleIcon,
   Bars3Icon,
+  BellAlertIcon,
   BuildingOfficeIcon,
   CalendarDaysIcon,
+  ClipboardDocumentListIcon,
   Cog6ToothIcon,
   CubeIcon,
   DocumentChartBarIcon,
@@ -24,12 +26,15 @@ const navigation = [
   { name: 'Packaging', href: '/packaging', icon: CubeIcon },
   { name: 'Live Tracking', href: '/tracking', icon: MapPinIcon },
   { name: 'Reports', href: '/reports', icon: DocumentChartBarIcon },
+  { name: 'Alerts', href: '/alerts', icon: BellAlertIcon },
+  { name: 'Audit Log', href: '/audit', icon: ClipboardDocumentListIcon, permission: 'audit.view' },
   { name: 'Settings', href: '/settings', icon: Cog6ToothIcon },
 ];
 
 function Layout() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { user, logout } = useAuthStore();
+  const { user, logout, hasPermission } = useAuthStore();
+  const visibleNavigation = navigation.filter(item => !item.permission || hasPermission(item.permission));
   const navigate = useNavigate();
 
   const handleLogout = () => {
@@ -56,7 +61,7 @@ function Layout() {
           </button>
         </div>
         <nav className="mt-4 px-2">
-          {navigation.map((item) => (
+          {visibleNavigation.map((item) => (
             <NavLink
               key={item.name}
               to={item.href}
@@ -85,7 +90,7 @@ function Layout() {
           </div>
           
           <nav className="flex-1 mt-6 px-3">
-            {navigation.map((item) => (
+            {visibleNavigation.map((item) => (
               <NavLink
                 key={item.name}
                 to={item.href}
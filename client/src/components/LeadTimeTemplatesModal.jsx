@@ -0,0 +1,358 @@
+import { PencilIcon, PlusIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  createLeadTimeTemplate,
+  deleteLeadTimeTemplate,
+  getLeadTimeTemplates,
+  updateLeadTimeTemplate
+} from '../lib/api';
+
+/** Milestone columns a template can fill, with their planner labels */
+const MILESTONES = [
+  ['packaging_eta_farm', 'Packaging ETA (Farm)'],
+  ['ripening_start_date', 'Ripening Start'],
+  ['sales_despatch_date', 'Sales Despatch'],
+  ['packaging_collection_date', 'Packaging Collection'],
+  ['packaging_delivery_farm_date', 'Packaging Delivery (Farm)'],
+];
+
+/**
+ * Short form of one offset, such as "D-2" or "A+7 by 10:00"
+ * @param {{ anchor: string; days: number; cutoff?: string | null }} rule
+ */
+function describeOffset(rule) {
+  const days = rule.days === 0 ? '' : rule.days > 0 ? `+${rule.days}` : `${rule.days}`;
+  return `${rule.anchor === 'dispatch' ? 'D' : 'A'}${days}${rule.cutoff ? ` by ${rule.cutoff}` : ''}`;
+}
+
+/**
+ * Editable form values for a template
+ * @param {object} [template]
+ */
+function toForm(template) {
+  return {
+    id: template?.id || null,
+    name: template?.name || '',
+    originSiteId: template?.origin_site_id || '',
+    destinationSiteId: template?.destination_site_id || '',
+    channelId: template?.channel_id || '',
+    isActive: template?.is_active ?? true,
+    milestones: Object.fromEntries(MILESTONES.map(([column]) => {
+      const rule = template?.milestones?.[column];
+      return [column, {
+        enabled: Boolean(rule),
+        anchor: rule?.anchor || 'arrival',
+        days: rule?.days ?? 0,
+        cutoff: rule?.cutoff || ''
+      }];
+    }))
+  };
+}
+
+/**
+ * Lead-time templates: day offsets from the dispatch (D) or arrival (A)
+ * date that fill a schedule's planning milestone dates
+ * @param {{ isOpen: boolean; onClose: () => void; sites: Array<object>; channels: Array<object> }} props
+ */
+function LeadTimeTemplatesModal({ isOpen, onClose, sites, channels }) {
+  const [templates, setTemplates] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(null);
+      loadTemplates();
+    }
+  }, [isOpen]);
+
+  const loadTemplates = async () => {
+    try {
+      const res = await getLeadTimeTemplates();
+      setTemplates(res.data.templates || []);
+    } catch (error) {
+      toast.error('Failed to load lead-time templates');
+    }
+  };
+
+  /**
+   * @param {string} column
+   * @param {object} changes
+   */
+  const setMilestone = (column, changes) => {
+    setForm({ ...form, milestones: { ...form.milestones, [column]: { ...form.milestones[column], ...changes } } });
+  };
+
+  /** @param {React.FormEvent} e */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = {
+      name: form.name,
+      originSiteId: form.originSiteId || null,
+      destinationSiteId: form.destinationSiteId || null,
+      channelId: form.channelId || null,
+      isActive: form.isActive,
+      milestones: Object.fromEntries(Object.entries(form.milestones)
+        .filter(([, rule]) => rule.enabled)
+        .map(([column, rule]) => [column, { anchor: rule.anchor, days: Number(rule.days), cutoff: rule.cutoff || null }]))
+    };
+
+    setSaving(true);
+    try {
+      if (form.id) {
+        await updateLeadTimeTemplate(form.id, data);
+        toast.success('Template updated');
+      } else {
+        await createLeadTimeTemplate(data);
+        toast.success('Template created');
+      }
+      setForm(null);
+      loadTemplates();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /** @param {object} template */
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the ${template.name} template? Schedules keep their dates.`)) return;
+    try {
+      await deleteLeadTimeTemplate(template.id);
+      toast.success('Template deleted');
+      loadTemplates();
+    } catch (error) {
+      toast.error('Failed to delete template');
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black bg-opacity-30" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+          <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+            <h3 className="text-lg font-semibold text-gray-900">Lead-Time Templates</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          {form ? (
+            <form onSubmit={handleSave} className="p-6 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="md:col-span-2">
+                  <label className="form-label">Name *</label>
+                  <input
+                    type="text"
+                    required
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className="form-input"
+                  />
+                </div>
+                <div>
+                  <label className="form-label">Origin</label>
+                  <select
+                    value={form.originSiteId}
+                    onChange={(e) => setForm({ ...form, originSiteId: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="">Any origin</option>
+                    {sites.map(s => (
+                      <option key={s.id} value={s.id}>{s.code} - {s.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="form-label">Destination</label>
+                  <select
+                    value={form.destinationSiteId}
+                    onChange={(e) => setForm({ ...form, destinationSiteId: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="">Any destination</option>
+                    {sites.map(s => (
+                      <option key={s.id} value={s.id}>{s.code} - {s.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="form-label">Channel</label>
+                  <select
+                    value={form.channelId}
+                    onChange={(e) => setForm({ ...form, channelId: e.target.value })}
+                    className="form-select"
+                  >
+                    <option value="">Any channel</option>
+                    {channels.map(c => (
+                      <option key={c.id} value={c.id}>{c.code} - {c.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-gray-700 mt-6">
+                  <input
+                    type="checkbox"
+                    checked={form.isActive}
+                    onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                    className="rounded"
+                  />
+                  Active
+                </label>
+              </div>
+
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Milestone</th>
+                      <th>From</th>
+                      <th>Days</th>
+                      <th>Cut-off</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {MILESTONES.map(([column, label]) => {
+                      const rule = form.milestones[column];
+                      return (
+                        <tr key={column}>
+                          <td>
+                            <label className="flex items-center gap-2">
+                              <input
+                                type="checkbox"
+                                checked={rule.enabled}
+                                onChange={(e) => setMilestone(column, { enabled: e.target.checked })}
+                                className="rounded"
+                              />
+                              {label}
+                            </label>
+                          </td>
+                          <td>
+                            <select
+                              value={rule.anchor}
+                              disabled={!rule.enabled}
+                              onChange={(e) => setMilestone(column, { anchor: e.target.value })}
+                              className="form-select"
+                            >
+                              <option value="dispatch">Dispatch date</option>
+                              <option value="arrival">Arrival date</option>
+                            </select>
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              min={-90}
+                              max={90}
+                              value={rule.days}
+                              disabled={!rule.enabled}
+                              onChange={(e) => setMilestone(column, { days: e.target.value })}
+                              className="form-input w-24"
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="time"
+                              value={rule.cutoff}
+                              disabled={!rule.enabled}
+                              onChange={(e) => setMilestone(column, { cutoff: e.target.value })}
+                              className="form-input"
+                            />
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500">
+                A milestone with a cut-off moves a day later when the dispatch or arrival time is after it.
+                The most specific active template for a schedule's route and channel applies.
+              </p>
+
+              <div className="flex justify-end space-x-3 pt-4 border-t">
+                <button type="button" onClick={() => setForm(null)} className="btn btn-secondary">
+                  Back
+                </button>
+                <button type="submit" disabled={saving} className="btn btn-primary">
+                  {saving ? 'Saving...' : 'Save Template'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="p-6 space-y-4">
+              <div className="flex justify-end">
+                <button type="button" onClick={() => setForm(toForm())} className="btn btn-primary btn-sm">
+                  <PlusIcon className="w-4 h-4 mr-1" />
+                  New Template
+                </button>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Applies To</th>
+                      {MILESTONES.map(([column, label]) => (
+                        <th key={column}>{label}</th>
+                      ))}
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {templates.length === 0 ? (
+                      <tr>
+                        <td colSpan={MILESTONES.length + 3} className="text-center text-gray-500">
+                          No templates; milestone dates must be entered by hand
+                        </td>
+                      </tr>
+                    ) : templates.map(template => (
+                      <tr key={template.id} className={template.is_active ? '' : 'text-gray-400'}>
+                        <td className="font-medium">{template.name}</td>
+                        <td className="text-xs">
+                          {[
+                            template.origin_site?.code && `From ${template.origin_site.code}`,
+                            template.destination_site?.code && `To ${template.destination_site.code}`,
+                            template.channels?.code && `Channel ${template.channels.code}`
+                          ].filter(Boolean).join(', ') || 'All schedules'}
+                        </td>
+                        {MILESTONES.map(([column]) => (
+                          <td key={column} className="text-xs whitespace-nowrap">
+                            {template.milestones?.[column] ? describeOffset(template.milestones[column]) : '-'}
+                          </td>
+                        ))}
+                        <td className="text-right whitespace-nowrap">
+                          <button
+                            type="button"
+                            onClick={() => setForm(toForm(template))}
+                            className="text-gray-500 hover:text-gray-700 mr-2"
+                          >
+                            <PencilIcon className="h-4 w-4" />
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => handleDelete(template)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            <TrashIcon className="h-4 w-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500">D = dispatch date, A = arrival date.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LeadTimeTemplatesModal;
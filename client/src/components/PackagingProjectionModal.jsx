@@ -0,0 +1,340 @@
+import { ArrowPathIcon, ExclamationTriangleIcon, TruckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { format, parseISO } from 'date-fns';
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { acceptReplenishment, getPackagingProjection, getReplenishmentSuggestions } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
+
+const PROJECTION_DAYS = [14, 28, 56];
+
+/**
+ * Cell colour for a projected balance
+ * @param {{ balance: number }} day
+ * @param {number | null} minThreshold
+ */
+function balanceClass(day, minThreshold) {
+  if (day.balance < 0) return 'bg-red-100 text-red-800 font-semibold';
+  if (minThreshold != null && day.balance < minThreshold) return 'bg-amber-50 text-amber-800';
+  return '';
+}
+
+/**
+ * Suggested depot-to-farm packaging deliveries, each acceptable as a
+ * dispatch schedule or as the backload of a load from the farm
+ * @param {{ suggestions: Array<object>; unmet: Array<object>; canAccept: boolean; onAccepted: () => void }} props
+ */
+function ReplenishmentSuggestions({ suggestions, unmet, canAccept, onAccepted }) {
+  const [backloads, setBackloads] = useState({});
+  const [accepting, setAccepting] = useState(null);
+
+  /**
+   * @param {object} suggestion
+   * @param {number} index
+   * @param {'schedule' | 'backload'} mode
+   */
+  const handleAccept = async (suggestion, index, mode) => {
+    setAccepting(index);
+    try {
+      await acceptReplenishment({
+        mode,
+        farmSiteId: suggestion.farm_site_id,
+        depotSiteId: suggestion.depot_site_id,
+        dispatchDate: suggestion.dispatch_date,
+        arrivalDate: suggestion.arrival_date,
+        vehicleId: suggestion.vehicle?.id || null,
+        loadId: mode === 'backload' ? backloads[index] || suggestion.backload_options[0]?.load_id : undefined,
+        items: suggestion.items.map(item => ({ packagingTypeId: item.packaging_type_id, quantity: item.quantity }))
+      });
+      toast.success(mode === 'schedule' ? 'Delivery scheduled' : 'Backload assigned');
+      onAccepted();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to accept suggestion');
+    } finally {
+      setAccepting(null);
+    }
+  };
+
+  if (suggestions.length === 0 && unmet.length === 0) return null;
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <div className="px-4 py-2 border-b bg-gray-50 flex items-center text-sm font-medium text-gray-900">
+        <TruckIcon className="h-4 w-4 mr-1" />
+        Suggested Packaging Deliveries
+      </div>
+      <div className="overflow-x-auto">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Route</th>
+              <th>Dispatch</th>
+              <th>Arrive</th>
+              <th>Packaging</th>
+              <th>Vehicle</th>
+              {canAccept && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {suggestions.map((suggestion, index) => (
+              <tr key={`${suggestion.farm_site_id}-${suggestion.depot_site_id}-${index}`}>
+                <td className="whitespace-nowrap">{suggestion.depot_code} → {suggestion.farm_code}</td>
+                <td className="whitespace-nowrap">{format(parseISO(suggestion.dispatch_date), 'EEE d MMM')}</td>
+                <td className="whitespace-nowrap">
+                  {format(parseISO(suggestion.arrival_date), 'EEE d MMM')}
+                  {suggestion.late && (
+                    <div className="text-xs text-red-600">
+                      Short from {format(parseISO(suggestion.needed_by), 'EEE d MMM')}
+                    </div>
+                  )}
+                </td>
+                <td className="text-xs">
+                  {suggestion.items.map(item => (
+                    <div key={item.packaging_type_id}>{item.quantity} x {item.packaging_code}</div>
+                  ))}
+                  <div className="text-gray-500">{suggestion.weight_kg} kg</div>
+                </td>
+                <td className="text-xs whitespace-nowrap">
+                  {suggestion.vehicle
+                    ? `${suggestion.vehicle.registration} (${suggestion.vehicle.capacity_kg} kg)`
+                    : <span className="text-amber-700">No free vehicle</span>}
+                </td>
+                {canAccept && (
+                  <td className="text-right space-y-1">
+                    <button
+                      type="button"
+                      disabled={accepting !== null}
+                      onClick={() => handleAccept(suggestion, index, 'schedule')}
+                      className="btn btn-primary btn-sm w-full"
+                    >
+                      Schedule
+                    </button>
+                    {suggestion.backload_options.length > 0 && (
+                      <div className="flex gap-1">
+                        <select
+                          value={backloads[index] || suggestion.backload_options[0].load_id}
+                          onChange={(e) => setBackloads({ ...backloads, [index]: e.target.value })}
+                          className="form-select text-xs"
+                        >
+                          {suggestion.backload_options.map(option => (
+                            <option key={option.load_id} value={option.load_id}>
+                              {option.load_number} ({format(parseISO(option.dispatch_date), 'd MMM')})
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          disabled={accepting !== null}
+                          onClick={() => handleAccept(suggestion, index, 'backload')}
+                          className="btn btn-secondary btn-sm whitespace-nowrap"
+                        >
+                          As Backload
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {unmet.length > 0 && (
+        <div className="px-4 py-2 border-t text-xs text-red-700">
+          No depot has spare stock for:{' '}
+          {unmet.map(u => `${u.quantity} x ${u.packaging_code} to ${u.site_code}`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Projected packaging balance per farm and packaging type: current stock,
+ * less planned dispatches, plus packaging due back. Flags the first day
+ * each farm would run short so a delivery can be planned ahead of it.
+ * @param {{ isOpen: boolean; onClose: () => void; onChanged: () => void; sites: Array<object> }} props
+ */
+function PackagingProjectionModal({ isOpen, onClose, onChanged, sites }) {
+  const { hasPermission } = useAuthStore();
+  const [days, setDays] = useState(28);
+  const [siteId, setSiteId] = useState('');
+  const [projection, setProjection] = useState(null);
+  const [replenishment, setReplenishment] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) loadProjection();
+  }, [isOpen, days, siteId]);
+
+  const loadProjection = async () => {
+    setLoading(true);
+    try {
+      const params = { days, siteId: siteId || undefined };
+      const [projectionRes, replenishmentRes] = await Promise.all([
+        getPackagingProjection(params),
+        getReplenishmentSuggestions(params)
+      ]);
+      setProjection(projectionRes.data);
+      setReplenishment(replenishmentRes.data);
+    } catch (error) {
+      toast.error('Failed to load packaging projection');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const farms = projection?.farms || [];
+  const shortFarms = farms.filter(farm => farm.first_short_date);
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black bg-opacity-30" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
+          <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+            <h3 className="text-lg font-semibold text-gray-900">Packaging Projection by Farm</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            <div className="flex flex-wrap items-end gap-4">
+              <div>
+                <label className="form-label">Farm</label>
+                <select value={siteId} onChange={(e) => setSiteId(e.target.value)} className="form-select">
+                  <option value="">All farms</option>
+                  {sites.filter(s => s.site_types?.name === 'Farm').map(s => (
+                    <option key={s.id} value={s.id}>{s.code} - {s.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Days Ahead</label>
+                <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="form-select">
+                  {PROJECTION_DAYS.map(d => (
+                    <option key={d} value={d}>{d} days</option>
+                  ))}
+                </select>
+              </div>
+              <button
+                type="button"
+                onClick={loadProjection}
+                className="p-2 border border-gray-300 rounded-md hover:bg-gray-50"
+              >
+                <ArrowPathIcon className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+
+            {shortFarms.length > 0 && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-800">
+                <div className="flex items-center font-medium mb-1">
+                  <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                  Farms running short
+                </div>
+                <ul className="list-disc list-inside">
+                  {shortFarms.map(farm => (
+                    <li key={farm.site_id}>
+                      {farm.site_code} on {format(parseISO(farm.first_short_date), 'EEE d MMM')}
+                      {' '}({farm.packaging.filter(p => p.first_short_date).map(p => p.packaging_code).join(', ')})
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {replenishment && (
+              <ReplenishmentSuggestions
+                suggestions={replenishment.suggestions}
+                unmet={replenishment.unmet}
+                canAccept={hasPermission('planner.edit')}
+                onAccepted={() => {
+                  loadProjection();
+                  onChanged();
+                }}
+              />
+            )}
+
+            {!loading && farms.length === 0 && (
+              <p className="text-center text-gray-500">No farms to project</p>
+            )}
+
+            {farms.map(farm => (
+              <div key={farm.site_id} className="border border-gray-200 rounded-lg">
+                <div className="px-4 py-2 border-b bg-gray-50 flex items-center justify-between">
+                  <div className="text-sm font-medium text-gray-900">{farm.site_code} - {farm.site_name}</div>
+                  {farm.first_short_date ? (
+                    <span className="text-xs font-medium text-red-700">
+                      Short from {format(parseISO(farm.first_short_date), 'EEE d MMM')}
+                    </span>
+                  ) : (
+                    <span className="text-xs text-gray-500">Covered for {projection.dates.length} days</span>
+                  )}
+                </div>
+                {farm.packaging.length === 0 ? (
+                  <p className="px-4 py-3 text-sm text-gray-500">No packaging held or planned</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Packaging</th>
+                          <th>Now</th>
+                          {projection.dates.map(date => (
+                            <th key={date} className="text-center whitespace-nowrap">
+                              {format(parseISO(date), 'EEE d')}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {farm.packaging.map(line => (
+                          <tr key={line.packaging_type_id}>
+                            <td className="whitespace-nowrap">
+                              <div className="font-medium">{line.packaging_code}</div>
+                              {line.min_threshold != null && (
+                                <div className="text-xs text-gray-500">Min {line.min_threshold}</div>
+                              )}
+                            </td>
+                            <td className="text-right">{line.opening_balance}</td>
+                            {line.days.map(day => (
+                              <td
+                                key={day.date}
+                                title={`Out ${day.dispatched}, back ${day.returned}`}
+                                className={`text-right text-xs ${balanceClass(day, line.min_threshold)}`}
+                              >
+                                {day.balance}
+                                {(day.dispatched > 0 || day.returned > 0) && (
+                                  <div className="text-[10px] text-gray-500 font-normal">
+                                    {day.returned > 0 && `+${day.returned}`}
+                                    {day.dispatched > 0 && ` -${day.dispatched}`}
+                                  </div>
+                                )}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            ))}
+
+            <p className="text-xs text-gray-500">
+              Starts from current stock. Planned dispatches go out on their dispatch date; packaging comes back on
+              deliveries and backloads not yet received and on each schedule's packaging delivery date.
+              Red is below zero, amber below the farm's minimum. Suggested deliveries come from the depot with the most
+              stock above its own minimum and are split across free vehicles by empty packaging weight.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PackagingProjectionModal;
@@ -0,0 +1,112 @@
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { enableMfa, setupMfa } from '../lib/api';
+
+/**
+ * One-time recovery codes, shown once after enrolment or regeneration
+ * @param {{ codes: string[] }} props
+ */
+export function RecoveryCodes({ codes }) {
+  return (
+    <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+      <p className="text-sm font-medium text-yellow-800">
+        Save these recovery codes somewhere safe. Each signs you in once if you lose your authenticator;
+        they will not be shown again.
+      </p>
+      <div className="mt-3 grid grid-cols-2 gap-2">
+        {codes.map(code => (
+          <code key={code} className="text-sm text-gray-900">{code}</code>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Authenticator app enrolment: scan the QR code, confirm a code, save the
+ * recovery codes
+ * @param {{ mfaToken?: string, onEnabled: (data: object) => void }} props
+ *   mfaToken is set when enrolling during sign-in; onEnabled receives the
+ *   enable response once the user has seen the recovery codes
+ */
+function TwoFactorSetup({ mfaToken, onEnabled }) {
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    // Each setup call issues a new secret; only show the latest
+    let current = true;
+    setupMfa(mfaToken)
+      .then(res => current && setEnrolment(res.data))
+      .catch(error => current && toast.error(error.response?.data?.error?.message || 'Failed to start two-factor setup'));
+    return () => {
+      current = false;
+    };
+  }, [mfaToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await enableMfa(code, mfaToken);
+      setResult(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodes codes={result.recoveryCodes} />
+        <button onClick={() => onEnabled(result)} className="w-full btn btn-primary">
+          I have saved my recovery codes
+        </button>
+      </div>
+    );
+  }
+
+  if (!enrolment) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password...),
+        then enter the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img src={enrolment.qrCode} alt="Authenticator QR code" className="w-48 h-48" />
+      </div>
+      <p className="text-xs text-gray-500 text-center">
+        Can&apos;t scan? Enter this key: <code className="break-all">{enrolment.secret}</code>
+      </p>
+      <div>
+        <label className="form-label">Code</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          required
+          className="form-input"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        />
+      </div>
+      <button type="submit" disabled={saving} className="w-full btn btn-primary">
+        {saving ? 'Verifying...' : 'Enable Two-Factor Authentication'}
+      </button>
+    </form>
+  );
+}
+
+export default TwoFactorSetup;
@@ -19,10 +19,24 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle auth errors
+// Handle auth errors: refresh an expired access token once and retry,
+// otherwise sign out
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
+    const { config } = error;
+
+    if (error.response?.status === 401 && config && !config._retried) {
+      config._retried = true;
+      const staleToken = config.headers.Authorization?.substring(7);
+      const token = await useAuthStore.getState().refreshSession(staleToken);
+
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      }
+    }
+
     if (error.response?.status === 401) {
       useAuthStore.getState().logout();
       window.location.href = '/login';
@@ -42,12 +56,6 @@ api.interceptors.response.use(
 export const login = (email, password) => 
   api.post('/auth/login', { email, password });
 
-/**
- * @param {object} userData 
- */
-export const register = (userData) => 
-  api.post('/auth/register', userData);
-
 export const getCurrentUser = () => 
   api.get('/auth/me');
 
@@ -58,6 +66,65 @@ export const getCurrentUser = () =>
 export const changePassword = (currentPassword, newPassword) => 
   api.put('/auth/password', { currentPassword, newPassword });
 
+/**
+ * @param {string} email 
+ */
+export const requestPasswordReset = (email) => 
+  api.post('/auth/forgot-password', { email });
+
+/**
+ * @param {string} token - From an invitation or reset link
+ */
+export const getPasswordToken = (token) => 
+  api.get('/auth/password-token', { params: { token } });
+
+/**
+ * @param {string} token 
+ * @param {string} password 
+ */
+export const resetPassword = (token, password) => 
+  api.post('/auth/reset-password', { token, password });
+
+export const getMfaStatus = () => 
+  api.get('/auth/mfa');
+
+/**
+ * @param {string} [mfaToken] - From /auth/login when enrolling during sign-in
+ */
+export const setupMfa = (mfaToken) => 
+  api.post('/auth/mfa/setup', mfaToken ? { mfaToken } : {});
+
+/**
+ * @param {string} code - From the authenticator app
+ * @param {string} [mfaToken] - From /auth/login when enrolling during sign-in
+ */
+export const enableMfa = (code, mfaToken) => 
+  api.post('/auth/mfa/enable', mfaToken ? { code, mfaToken } : { code });
+
+/**
+ * @param {string} code 
+ */
+export const regenerateRecoveryCodes = (code) => 
+  api.post('/auth/mfa/recovery-codes', { code });
+
+/**
+ * @param {string} code 
+ */
+export const disableMfa = (code) => 
+  api.post('/auth/mfa/disable', { code });
+
+export const getMySessions = () => 
+  api.get('/auth/sessions');
+
+/**
+ * @param {string} sessionId 
+ */
+export const revokeMySession = (sessionId) => 
+  api.delete(`/auth/sessions/${sessionId}`);
+
+export const revokeMyOtherSessions = () => 
+  api.delete('/auth/sessions');
+
 // =====================================================
 // DASHBOARD API
 // =====================================================
@@ -83,11 +150,218 @@ export const getPackagingTrends = (params) =>
 export const getRouteVolumes = (params) => 
   api.get('/dashboard/route-volumes', { params });
 
+// =====================================================
+// ALERTS API
+// =====================================================
+
+/**
+ * @param {object} params - Filter params (state, type, severity, siteId, assignedTo, limit, offset)
+ */
+export const getAlerts = (params) => 
+  api.get('/alerts', { params });
+
+/**
+ * @param {string} alertId 
+ */
+export const getAlert = (alertId) => 
+  api.get(`/alerts/${alertId}`);
+
+export const getAlertAssignees = () => 
+  api.get('/alerts/assignees');
+
 /**
  * @param {string} alertId 
  */
 export const acknowledgeAlert = (alertId) => 
-  api.post(`/dashboard/alerts/${alertId}/acknowledge`);
+  api.post(`/alerts/${alertId}/acknowledge`);
+
+/**
+ * @param {string} alertId 
+ * @param {string|null} userId - null to unassign
+ */
+export const assignAlert = (alertId, userId) => 
+  api.post(`/alerts/${alertId}/assign`, { userId });
+
+/**
+ * @param {string} alertId 
+ * @param {string} comment 
+ */
+export const addAlertComment = (alertId, comment) => 
+  api.post(`/alerts/${alertId}/comments`, { comment });
+
+/**
+ * @param {string} alertId 
+ * @param {string} reason 
+ */
+export const resolveAlert = (alertId, reason) => 
+  api.post(`/alerts/${alertId}/resolve`, { reason });
+
+/**
+ * Run the alert rules now
+ * @param {string[]} [types] 
+ */
+export const evaluateAlerts = (types) => 
+  api.post('/alerts/evaluate', { types });
+
+// =====================================================
+// NOTIFICATIONS API
+// =====================================================
+
+export const getNotificationEvents = () => 
+  api.get('/notifications/events');
+
+/**
+ * @param {object} params - Filter params (eventType, siteId, mine)
+ */
+export const getNotificationSubscriptions = (params) => 
+  api.get('/notifications/subscriptions', { params });
+
+/**
+ * @param {object} data - eventType, channel, recipientType, userId, siteId, destination
+ */
+export const createNotificationSubscription = (data) => 
+  api.post('/notifications/subscriptions', data);
+
+/**
+ * @param {string} subscriptionId 
+ * @param {object} data - channel, siteId, destination, isActive
+ */
+export const updateNotificationSubscription = (subscriptionId, data) => 
+  api.put(`/notifications/subscriptions/${subscriptionId}`, data);
+
+/**
+ * @param {string} subscriptionId 
+ */
+export const deleteNotificationSubscription = (subscriptionId) => 
+  api.delete(`/notifications/subscriptions/${subscriptionId}`);
+
+/**
+ * @param {object} params - Filter params (status, eventType, channel, loadId, limit, offset)
+ */
+export const getNotificationLog = (params) => 
+  api.get('/notifications/log', { params });
+
+/**
+ * @param {string} channel 
+ * @param {string} destination 
+ */
+export const sendTestNotification = (channel, destination) => 
+  api.post('/notifications/test', { channel, destination });
+
+// =====================================================
+// WEBHOOKS API
+// =====================================================
+
+export const getWebhookEvents = () => 
+  api.get('/webhooks/events');
+
+export const getWebhooks = () => 
+  api.get('/webhooks');
+
+/**
+ * @param {object} data - name, url, eventTypes, siteId
+ */
+export const createWebhook = (data) => 
+  api.post('/webhooks', data);
+
+/**
+ * @param {string} webhookId 
+ * @param {object} data - name, url, eventTypes, siteId, isActive
+ */
+export const updateWebhook = (webhookId, data) => 
+  api.put(`/webhooks/${webhookId}`, data);
+
+/**
+ * @param {string} webhookId 
+ */
+export const rotateWebhookSecret = (webhookId) => 
+  api.post(`/webhooks/${webhookId}/rotate-secret`);
+
+/**
+ * @param {string} webhookId 
+ */
+export const deleteWebhook = (webhookId) => 
+  api.delete(`/webhooks/${webhookId}`);
+
+/**
+ * @param {string} webhookId 
+ * @param {object} params - Filter params (status, eventType, limit, offset)
+ */
+export const getWebhookDeliveries = (webhookId, params) => 
+  api.get(`/webhooks/${webhookId}/deliveries`, { params });
+
+/**
+ * @param {string} deliveryId 
+ */
+export const replayWebhookDelivery = (deliveryId) => 
+  api.post(`/webhooks/deliveries/${deliveryId}/replay`);
+
+// =====================================================
+// SERVICE ACCOUNTS API
+// =====================================================
+
+export const getServiceAccounts = () => 
+  api.get('/service-accounts');
+
+/**
+ * @param {object} data - name, role, assignedSiteId
+ */
+export const createServiceAccount = (data) => 
+  api.post('/service-accounts', data);
+
+/**
+ * @param {string} accountId 
+ * @param {object} data - name, role, assignedSiteId, isActive
+ */
+export const updateServiceAccount = (accountId, data) => 
+  api.put(`/service-accounts/${accountId}`, data);
+
+/**
+ * @param {string} accountId 
+ */
+export const deleteServiceAccount = (accountId) => 
+  api.delete(`/service-accounts/${accountId}`);
+
+/**
+ * @param {string} accountId 
+ * @param {object} data - name, permissions, expiresAt
+ */
+export const createApiKey = (accountId, data) => 
+  api.post(`/service-accounts/${accountId}/keys`, data);
+
+/**
+ * @param {string} accountId 
+ * @param {string} keyId 
+ */
+export const revokeApiKey = (accountId, keyId) => 
+  api.delete(`/service-accounts/${accountId}/keys/${keyId}`);
+
+// =====================================================
+// AUDIT API
+// =====================================================
+
+/**
+ * @param {object} params - Filter params (tableName, recordId, action, actorId, loadId, siteId, field, source, startDate, endDate, limit, offset)
+ */
+export const getAuditLog = (params) => 
+  api.get('/audit', { params });
+
+export const getAuditTables = () => 
+  api.get('/audit/tables');
+
+/**
+ * @param {string} loadId 
+ * @param {object} params - limit, offset
+ */
+export const getLoadHistory = (loadId, params) => 
+  api.get(`/audit/loads/${loadId}`, { params });
+
+/**
+ * @param {string} siteId 
+ * @param {object} params - tableName, limit, offset
+ */
+export const getSiteHistory = (siteId, params) => 
+  api.get(`/audit/sites/${siteId}`, { params });
 
 // =====================================================
 // SITES API
@@ -157,6 +431,61 @@ export const adjustSiteInventory = (siteId, data) =>
 export const getSiteMovements = (siteId, params) => 
   api.get(`/sites/${siteId}/movements`, { params });
 
+// =====================================================
+// STOCK TAKE API
+// =====================================================
+
+/**
+ * @param {object} params - Filter params (siteId, status, limit, offset)
+ */
+export const getStockTakes = (params) => 
+  api.get('/stock-takes', { params });
+
+/**
+ * @param {string} id - Stock take ID
+ */
+export const getStockTake = (id) => 
+  api.get(`/stock-takes/${id}`);
+
+/**
+ * @param {{ siteId: string, countDate?: string, notes?: string }} data 
+ */
+export const createStockTake = (data) => 
+  api.post('/stock-takes', data);
+
+/**
+ * @param {string} id - Stock take ID
+ * @param {Array<{ packagingTypeId: string, countedQuantity: number|null, countedDamaged?: number|null, notes?: string }>} lines 
+ */
+export const saveStockTakeCounts = (id, lines) => 
+  api.put(`/stock-takes/${id}/lines`, { lines });
+
+/**
+ * @param {string} id - Stock take ID
+ */
+export const submitStockTake = (id) => 
+  api.post(`/stock-takes/${id}/submit`);
+
+/**
+ * @param {string} id - Stock take ID
+ * @param {string} [reviewNotes] 
+ */
+export const approveStockTake = (id, reviewNotes) => 
+  api.post(`/stock-takes/${id}/approve`, { reviewNotes });
+
+/**
+ * @param {string} id - Stock take ID
+ * @param {string} reviewNotes 
+ */
+export const rejectStockTake = (id, reviewNotes) => 
+  api.post(`/stock-takes/${id}/reject`, { reviewNotes });
+
+/**
+ * @param {string} id - Stock take ID
+ */
+export const cancelStockTake = (id) => 
+  api.delete(`/stock-takes/${id}`);
+
 // =====================================================
 // PACKAGING API
 // =====================================================
@@ -195,6 +524,18 @@ export const getPackagingInTransit = () =>
 export const getPackagingMovements = (params) => 
   api.get('/packaging/movements', { params });
 
+/**
+ * Compare stored balances with the packaging ledger (dry run)
+ */
+export const getBalanceReconciliation = () => 
+  api.get('/packaging/inventory/reconciliation');
+
+/**
+ * Rebuild stored balances from the packaging ledger
+ */
+export const rebuildBalances = () => 
+  api.post('/packaging/inventory/rebuild');
+
 export const getProducts = () => 
   api.get('/config/products/types');
 
@@ -279,6 +620,18 @@ export const confirmFarmArrival = (loadId, data) =>
 export const confirmFarmDeparture = (loadId, data) => 
   api.post(`/loads/${loadId}/confirm-farm-departure`, data);
 
+/**
+ * @param {{ content: string, createMissing?: boolean, unfinishedStatus?: string, packagingTypeIds?: object }} data 
+ */
+export const previewLoadImport = (data) => 
+  api.post('/loads/import/preview', data);
+
+/**
+ * @param {{ content: string, createMissing?: boolean, unfinishedStatus?: string, packagingTypeIds?: object }} data 
+ */
+export const importLoadRegister = (data) => 
+  api.post('/loads/import', data);
+
 export const getVehicles = () => 
   api.get('/config/vehicles');
 
@@ -342,6 +695,88 @@ export const exportInventory = (params) =>
 export const exportMovements = (params) => 
   api.get('/reports/export/movements', { params });
 
+// =====================================================
+// CHARGE-BACK API
+// =====================================================
+
+/**
+ * @param {object} params
+ */
+export const getChargeBacks = (params) => 
+  api.get('/charge-backs', { params });
+
+/**
+ * @param {string} id
+ */
+export const getChargeBack = (id) => 
+  api.get(`/charge-backs/${id}`);
+
+/**
+ * @param {object} data - { siteId, periodStart, periodEnd, notes }
+ */
+export const createChargeBack = (data) => 
+  api.post('/charge-backs', data);
+
+/**
+ * @param {string} id
+ */
+export const issueChargeBack = (id) => 
+  api.post(`/charge-backs/${id}/issue`);
+
+/**
+ * @param {string} id
+ */
+export const settleChargeBack = (id) => 
+  api.post(`/charge-backs/${id}/settle`);
+
+/**
+ * @param {string} id
+ */
+export const deleteChargeBack = (id) => 
+  api.delete(`/charge-backs/${id}`);
+
+/**
+ * @param {string} id
+ * @param {'csv'|'html'} format
+ * @returns {Promise<Blob>}
+ */
+export const exportChargeBack = async (id, format = 'csv') => {
+  const response = await api.get(`/charge-backs/${id}/export`, {
+    params: { format },
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+// =====================================================
+// IMPORTS API
+// =====================================================
+
+/**
+ * @param {'sites'|'vehicles'|'drivers'|'packaging_types'} entity 
+ * @returns {Promise<Blob>}
+ */
+export const downloadImportTemplate = async (entity) => {
+  const response = await api.get(`/imports/${entity}/template`, {
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+/**
+ * @param {'sites'|'vehicles'|'drivers'|'packaging_types'} entity 
+ * @param {{ content: string, format: 'csv'|'xlsx' }} file - xlsx content is base64
+ */
+export const previewMasterDataImport = (entity, file) => 
+  api.post(`/imports/${entity}/preview`, file);
+
+/**
+ * @param {'sites'|'vehicles'|'drivers'|'packaging_types'} entity 
+ * @param {{ content: string, format: 'csv'|'xlsx' }} file - xlsx content is base64
+ */
+export const importMasterData = (entity, file) => 
+  api.post(`/imports/${entity}`, file);
+
 // =====================================================
 // CONFIG API
 // =====================================================
@@ -362,6 +797,36 @@ export const createUser = (userData) =>
 export const updateUser = (userId, userData) => 
   api.put(`/config/users/${userId}`, userData);
 
+/**
+ * @param {string} userId 
+ */
+export const resendInvite = (userId) => 
+  api.post(`/config/users/${userId}/invite`);
+
+/**
+ * @param {string} userId 
+ */
+export const forcePasswordReset = (userId) => 
+  api.post(`/config/users/${userId}/force-reset`);
+
+/**
+ * @param {string} userId 
+ */
+export const resetUserMfa = (userId) => 
+  api.post(`/config/users/${userId}/mfa/reset`);
+
+/**
+ * @param {string} userId 
+ */
+export const unlockUser = (userId) => 
+  api.post(`/config/users/${userId}/unlock`);
+
+/**
+ * @param {string} userId 
+ */
+export const revokeUserSessions = (userId) => 
+  api.delete(`/config/users/${userId}/sessions`);
+
 export const getConfigVehicles = () => 
   api.get('/config/vehicles');
 
@@ -430,6 +895,23 @@ export const getConfigChannels = () =>
 export const createChannel = (data) => 
   api.post('/config/channels', data);
 
+export const getPermissions = () => 
+  api.get('/config/permissions');
+
+/**
+ * @param {string} role 
+ * @param {string[]} permissions - Full list of permissions the role holds
+ */
+export const updateRolePermissions = (role, permissions) => 
+  api.put(`/config/roles/${role}/permissions`, { permissions });
+
+/**
+ * @param {string} role 
+ * @param {{ mfaRequired: boolean }} settings 
+ */
+export const updateRoleSettings = (role, settings) => 
+  api.put(`/config/roles/${role}/settings`, settings);
+
 // =====================================================
 // PLANNER API
 // =====================================================
@@ -460,16 +942,17 @@ export const createSchedule = (data) =>
 
 /**
  * @param {string} id - Schedule ID
- * @param {object} data - Schedule data
+ * @param {object} data - Schedule data; scope ('this' | 'following' | 'all') for a recurring occurrence
  */
 export const updateSchedule = (id, data) => 
   api.put(`/planner/schedules/${id}`, data);
 
 /**
  * @param {string} id - Schedule ID
+ * @param {'this' | 'following' | 'all'} [scope] - Occurrences to delete for a recurring schedule
  */
-export const deleteSchedule = (id) => 
-  api.delete(`/planner/schedules/${id}`);
+export const deleteSchedule = (id, scope) => 
+  api.delete(`/planner/schedules/${id}`, { params: { scope } });
 
 /**
  * @param {string} id - Schedule ID
@@ -483,4 +966,89 @@ export const createLoadFromSchedule = (id) =>
 export const getPackagingDemand = (params) => 
   api.get('/planner/packaging-demand', { params });
 
+/**
+ * @param {object} params - Projection params (days, siteId)
+ */
+export const getPackagingProjection = (params) => 
+  api.get('/planner/packaging-projection', { params });
+
+/**
+ * @param {object} params - Suggestion params (days, siteId)
+ */
+export const getReplenishmentSuggestions = (params) => 
+  api.get('/planner/replenishment', { params });
+
+/**
+ * @param {object} data - Suggestion to accept: mode ('schedule' | 'backload'), farmSiteId, depotSiteId, dispatchDate, arrivalDate, vehicleId, loadId, items
+ */
+export const acceptReplenishment = (data) => 
+  api.post('/planner/replenishment/accept', data);
+
+/**
+ * @param {string} content - Planner sheet as tab-separated text or CSV
+ */
+export const previewPlannerImport = (content) => 
+  api.post('/planner/import/preview', { content });
+
+/**
+ * @param {string} content - Planner sheet as tab-separated text or CSV
+ */
+export const importPlannerSheet = (content) => 
+  api.post('/planner/import', { content });
+
+/**
+ * Lead-time templates for planning milestone dates
+ */
+export const getLeadTimeTemplates = () => 
+  api.get('/planner/lead-times');
+
+/**
+ * @param {object} data - Schedule form values (dates, times, originSiteId, destinationSiteId, channelId)
+ */
+export const previewLeadTimes = (data) => 
+  api.post('/planner/lead-times/preview', data);
+
+/**
+ * @param {object} data - Template (name, originSiteId, destinationSiteId, channelId, milestones)
+ */
+export const createLeadTimeTemplate = (data) => 
+  api.post('/planner/lead-times', data);
+
+/**
+ * @param {string} id - Template ID
+ * @param {object} data - Template fields
+ */
+export const updateLeadTimeTemplate = (id, data) => 
+  api.put(`/planner/lead-times/${id}`, data);
+
+/**
+ * @param {string} id - Template ID
+ */
+export const deleteLeadTimeTemplate = (id) => 
+  api.delete(`/planner/lead-times/${id}`);
+
+/**
+ * @param {number} [horizonDays] - Days ahead to generate for
+ */
+export const generateRecurringSchedules = (horizonDays) => 
+  api.post('/planner/recurrences/generate', { horizonDays });
+
+/**
+ * @param {object} params - Filter params (startDate, endDate)
+ */
+export const getPublicHolidays = (params) => 
+  api.get('/planner/holidays', { params });
+
+/**
+ * @param {{ date: string; name: string }} data
+ */
+export const createPublicHoliday = (data) => 
+  api.post('/planner/holidays', data);
+
+/**
+ * @param {string} id - Holiday ID
+ */
+export const deletePublicHoliday = (id) => 
+  api.delete(`/planner/holidays/${id}`);
+
 export default api;
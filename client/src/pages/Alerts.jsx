@@ -0,0 +1,430 @@
+import {
+    ArrowPathIcon,
+    BellAlertIcon,
+    CheckCircleIcon,
+    ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Link } from 'react-router-dom';
+import {
+    acknowledgeAlert,
+    addAlertComment,
+    assignAlert,
+    evaluateAlerts,
+    getAlert,
+    getAlertAssignees,
+    getAlerts,
+    getSites,
+    resolveAlert,
+} from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
+
+const ALERT_TYPES = [
+  { value: 'low_stock', label: 'Low stock' },
+  { value: 'late_load', label: 'Late load' },
+  { value: 'receipt_discrepancy', label: 'Receipt discrepancy' },
+  { value: 'farm_overtime', label: 'Farm overtime' },
+  { value: 'missing_packaging', label: 'Missing packaging' },
+];
+
+const SEVERITY_CLASSES = {
+  critical: 'bg-red-100 text-red-700',
+  warning: 'bg-yellow-100 text-yellow-700',
+  info: 'bg-blue-100 text-blue-700',
+};
+
+/**
+ * Human label for an alert type
+ * @param {string} type
+ */
+const alertTypeLabel = (type) => ALERT_TYPES.find(t => t.value === type)?.label || type;
+
+/**
+ * Alert detail panel - acknowledge, assign, comment and resolve
+ * @param {{ alertId: string, assignees: Array<object>, onChanged: () => void }} props
+ */
+function AlertPanel({ alertId, assignees, onChanged }) {
+  const { user, hasPermission } = useAuthStore();
+  const [alert, setAlert] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [comment, setComment] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const canManage = hasPermission('alerts.manage');
+  const canResolve = canManage || alert?.assigned_to === user?.id;
+
+  useEffect(() => {
+    loadAlert();
+  }, [alertId]);
+
+  const loadAlert = async () => {
+    try {
+      const res = await getAlert(alertId);
+      setAlert(res.data.alert);
+      setComments(res.data.comments);
+    } catch (error) {
+      toast.error('Failed to load alert');
+    }
+  };
+
+  /** @param {() => Promise<any>} action @param {string} successMessage */
+  const runAction = async (action, successMessage) => {
+    setWorking(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await loadAlert();
+      onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleResolve = () => {
+    const reason = window.prompt('Resolution reason:');
+    if (!reason) return;
+    runAction(() => resolveAlert(alertId, reason), 'Alert resolved');
+  };
+
+  const handleComment = (e) => {
+    e.preventDefault();
+    if (!comment.trim()) return;
+    runAction(async () => {
+      await addAlertComment(alertId, comment);
+      setComment('');
+    }, 'Comment added');
+  };
+
+  if (!alert) {
+    return (
+      <div className="flex items-center justify-center h-48">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="card-header">
+        <div className="flex items-center gap-2 mb-1">
+          <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${SEVERITY_CLASSES[alert.severity]}`}>
+            {alert.severity}
+          </span>
+          <span className="text-sm text-gray-500">{alertTypeLabel(alert.alert_type)}</span>
+        </div>
+        <h2 className="font-semibold text-gray-900">{alert.message}</h2>
+        <p className="text-sm text-gray-500">
+          Raised {format(new Date(alert.created_at), 'MMM d, HH:mm')}
+          {alert.site_name && ` · ${alert.site_name}`}
+          {alert.load_number && (
+            <> · <Link to={`/loads/${alert.load_id}`} className="text-primary-600 hover:underline">{alert.load_number}</Link></>
+          )}
+        </p>
+      </div>
+
+      <div className="card-body space-y-4">
+        {alert.is_resolved ? (
+          <div className="p-3 rounded-lg bg-green-50 text-sm text-green-800">
+            Resolved {alert.resolved_at && format(new Date(alert.resolved_at), 'MMM d, HH:mm')}
+            {alert.auto_resolved ? ' automatically' : alert.resolved_by_name && ` by ${alert.resolved_by_name}`}
+            {alert.resolution_reason && `: ${alert.resolution_reason}`}
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-end gap-3">
+            {canManage ? (
+              <div className="flex-1 min-w-[12rem]">
+                <label className="form-label">Assigned to</label>
+                <select
+                  className="form-select"
+                  value={alert.assigned_to || ''}
+                  disabled={working}
+                  onChange={(e) => runAction(
+                    () => assignAlert(alertId, e.target.value || null),
+                    e.target.value ? 'Alert assigned' : 'Alert unassigned'
+                  )}
+                >
+                  <option value="">Unassigned</option>
+                  {assignees.map(u => (
+                    <option key={u.id} value={u.id}>{u.first_name} {u.last_name}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <p className="flex-1 text-sm text-gray-600">
+                Assigned to {alert.assigned_to_name || 'nobody'}
+              </p>
+            )}
+            {!alert.is_acknowledged && (
+              <button
+                onClick={() => runAction(() => acknowledgeAlert(alertId), 'Alert acknowledged')}
+                disabled={working}
+                className="btn btn-secondary"
+              >
+                Acknowledge
+              </button>
+            )}
+            {canResolve && (
+              <button onClick={handleResolve} disabled={working} className="btn btn-primary">
+                <CheckCircleIcon className="w-5 h-5 mr-2" />
+                Resolve
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Activity */}
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">Activity</h3>
+          {comments.length === 0 ? (
+            <p className="text-sm text-gray-500">No activity yet</p>
+          ) : (
+            <ul className="space-y-3">
+              {comments.map(c => (
+                <li key={c.id} className="text-sm">
+                  <div className="text-gray-500">
+                    <span className="font-medium text-gray-900">{c.user_name || 'System'}</span>
+                    {c.action !== 'comment' && ` ${c.action}`}
+                    {' · '}{format(new Date(c.created_at), 'MMM d, HH:mm')}
+                  </div>
+                  {c.comment && <p className="text-gray-700">{c.comment}</p>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <form onSubmit={handleComment} className="flex gap-2">
+          <input
+            type="text"
+            className="form-input"
+            placeholder="Add a comment..."
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+          <button type="submit" disabled={working || !comment.trim()} className="btn btn-secondary">
+            Post
+          </button>
+        </form>
+      </div>
+    </>
+  );
+}
+
+function Alerts() {
+  const { hasPermission } = useAuthStore();
+  const [alerts, setAlerts] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [assignees, setAssignees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [filters, setFilters] = useState({
+    state: 'open',
+    severity: '',
+    type: '',
+    siteId: '',
+    mine: false,
+  });
+
+  const canManage = hasPermission('alerts.manage');
+
+  useEffect(() => {
+    loadLookups();
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [filters]);
+
+  const loadLookups = async () => {
+    try {
+      const [sitesRes, assigneesRes] = await Promise.all([
+        getSites({ active: true }),
+        getAlertAssignees(),
+      ]);
+      setSites(sitesRes.data.sites);
+      setAssignees(assigneesRes.data.users);
+    } catch (error) {
+      toast.error('Failed to load filters');
+    }
+  };
+
+  const loadAlerts = async () => {
+    setLoading(true);
+    try {
+      const res = await getAlerts({
+        state: filters.state,
+        severity: filters.severity || undefined,
+        type: filters.type || undefined,
+        siteId: filters.siteId || undefined,
+        assignedTo: filters.mine ? 'me' : undefined,
+        limit: 100,
+      });
+      setAlerts(res.data.alerts);
+    } catch (error) {
+      toast.error('Failed to load alerts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEvaluate = async () => {
+    try {
+      const res = await evaluateAlerts();
+      const raised = res.data.results.reduce((sum, r) => sum + r.raised, 0);
+      const resolved = res.data.results.reduce((sum, r) => sum + r.resolved, 0);
+      toast.success(`Checks complete: ${raised} raised, ${resolved} resolved`);
+      loadAlerts();
+    } catch (error) {
+      toast.error('Failed to run alert checks');
+    }
+  };
+
+  /** @param {string} key @param {any} value */
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Alerts</h1>
+          <p className="text-sm text-gray-500">
+            Work open alerts: acknowledge, assign, comment and resolve
+          </p>
+        </div>
+        {canManage && (
+          <button onClick={handleEvaluate} className="btn btn-secondary">
+            <ArrowPathIcon className="w-5 h-5 mr-2" />
+            Run Checks
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="card p-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label className="form-label">State</label>
+            <select className="form-select" value={filters.state} onChange={(e) => setFilter('state', e.target.value)}>
+              <option value="open">Open</option>
+              <option value="unacknowledged">Unacknowledged</option>
+              <option value="acknowledged">Acknowledged</option>
+              <option value="assigned">Assigned</option>
+              <option value="resolved">Resolved</option>
+              <option value="all">All</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Severity</label>
+            <select className="form-select" value={filters.severity} onChange={(e) => setFilter('severity', e.target.value)}>
+              <option value="">All</option>
+              <option value="critical">Critical</option>
+              <option value="warning">Warning</option>
+              <option value="info">Info</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Type</label>
+            <select className="form-select" value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+              <option value="">All</option>
+              {ALERT_TYPES.map(t => (
+                <option key={t.value} value={t.value}>{t.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Site</label>
+            <select className="form-select" value={filters.siteId} onChange={(e) => setFilter('siteId', e.target.value)}>
+              <option value="">All sites</option>
+              {sites.map(site => (
+                <option key={site.id} value={site.id}>{site.code} - {site.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-end">
+            <label className="flex items-center gap-2 pb-3">
+              <input
+                type="checkbox"
+                className="rounded"
+                checked={filters.mine}
+                onChange={(e) => setFilter('mine', e.target.checked)}
+              />
+              <span className="text-sm">Assigned to me</span>
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        {/* Queue */}
+        <div className="lg:col-span-3 card">
+          {loading ? (
+            <div className="flex items-center justify-center h-48">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : alerts.length === 0 ? (
+            <div className="p-12 text-center">
+              <BellAlertIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">No alerts match these filters</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Alert</th>
+                    <th>Site</th>
+                    <th>Assigned</th>
+                    <th>Raised</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {alerts.map(alert => (
+                    <tr
+                      key={alert.id}
+                      onClick={() => setSelectedId(alert.id)}
+                      className={`cursor-pointer ${selectedId === alert.id ? 'bg-primary-50' : ''}`}
+                    >
+                      <td>
+                        <div className="flex items-center gap-2">
+                          <ExclamationTriangleIcon className={`w-4 h-4 flex-shrink-0 ${
+                            alert.severity === 'critical' ? 'text-red-500' :
+                            alert.severity === 'warning' ? 'text-yellow-500' : 'text-blue-500'
+                          }`} />
+                          <span className="font-medium">{alert.message}</span>
+                        </div>
+                        <div className="text-xs text-gray-500 ml-6">
+                          {alertTypeLabel(alert.alert_type)}
+                          {alert.is_acknowledged && !alert.is_resolved && ' · acknowledged'}
+                          {alert.is_resolved && ' · resolved'}
+                        </div>
+                      </td>
+                      <td>{alert.site_code || '-'}</td>
+                      <td>{alert.assigned_to_name || '-'}</td>
+                      <td className="whitespace-nowrap">{format(new Date(alert.created_at), 'MMM d, HH:mm')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Detail */}
+        <div className="lg:col-span-2 card">
+          {selectedId ? (
+            <AlertPanel alertId={selectedId} assignees={assignees} onChanged={loadAlerts} />
+          ) : (
+            <div className="p-12 text-center text-gray-500">Select an alert to work it</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Alerts;
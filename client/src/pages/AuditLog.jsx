@@ -0,0 +1,156 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Navigate } from 'react-router-dom';
+import AuditHistory, { tableLabel } from '../components/AuditHistory';
+import { getAuditLog, getAuditTables, getUsers } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function AuditLog() {
+  const { hasPermission } = useAuthStore();
+  const [tables, setTables] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState({
+    tableName: '',
+    action: '',
+    actorId: '',
+    source: '',
+    field: '',
+    recordId: '',
+    startDate: '',
+    endDate: '',
+  });
+
+  const canView = hasPermission('audit.view');
+
+  useEffect(() => {
+    if (canView) loadLookups();
+  }, [canView]);
+
+  const loadLookups = async () => {
+    try {
+      const [tablesRes, usersRes] = await Promise.all([
+        getAuditTables(),
+        getUsers(),
+      ]);
+      setTables(tablesRes.data.tables);
+      setUsers(usersRes.data.users);
+    } catch (error) {
+      toast.error('Failed to load filters');
+    }
+  };
+
+  // Drop empty filters and a partly typed record ID; a new function
+  // reloads the history from the first page
+  const fetchPage = useCallback((params) => {
+    const active = Object.fromEntries(Object.entries(filters).filter(([, value]) => value.trim()));
+    if (active.recordId && !UUID_PATTERN.test(active.recordId.trim())) delete active.recordId;
+    return getAuditLog({ ...active, ...params });
+  }, [filters]);
+
+  /** @param {string} key @param {string} value */
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  if (!canView) {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+        <p className="text-sm text-gray-500">
+          Every change to loads, schedules, inventory and master data
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="card p-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="form-label">Record type</label>
+            <select className="form-select" value={filters.tableName} onChange={(e) => setFilter('tableName', e.target.value)}>
+              <option value="">All</option>
+              {tables.map(table => (
+                <option key={table} value={table}>{tableLabel(table)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Action</label>
+            <select className="form-select" value={filters.action} onChange={(e) => setFilter('action', e.target.value)}>
+              <option value="">All</option>
+              <option value="INSERT">Created</option>
+              <option value="UPDATE">Changed</option>
+              <option value="DELETE">Deleted</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">User</label>
+            <select className="form-select" value={filters.actorId} onChange={(e) => setFilter('actorId', e.target.value)}>
+              <option value="">All</option>
+              {users.map(u => (
+                <option key={u.id} value={u.id}>{u.first_name} {u.last_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Source</label>
+            <select className="form-select" value={filters.source} onChange={(e) => setFilter('source', e.target.value)}>
+              <option value="">All</option>
+              <option value="api">User request</option>
+              <option value="system">Background job</option>
+              <option value="database">Direct database change</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Changed field</label>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="e.g. driver_id"
+              value={filters.field}
+              onChange={(e) => setFilter('field', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="form-label">Record ID</label>
+            <input
+              type="text"
+              className="form-input"
+              value={filters.recordId}
+              onChange={(e) => setFilter('recordId', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="form-label">From</label>
+            <input
+              type="date"
+              className="form-input"
+              value={filters.startDate}
+              onChange={(e) => setFilter('startDate', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="form-label">To</label>
+            <input
+              type="date"
+              className="form-input"
+              value={filters.endDate}
+              onChange={(e) => setFilter('endDate', e.target.value)}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="card p-6">
+        <AuditHistory fetchPage={fetchPage} emptyMessage="No changes match these filters" />
+      </div>
+    </div>
+  );
+}
+
+export default AuditLog;
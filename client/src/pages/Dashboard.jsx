@@ -235,6 +235,9 @@ function Dashboard() {
                 </span>
               )}
             </h2>
+            <Link to="/alerts" className="text-sm text-primary-600 hover:underline">
+              Alert queue →
+            </Link>
           </div>
           <div className="card-body">
             {alerts.length > 0 || lowStock.length > 0 ? (
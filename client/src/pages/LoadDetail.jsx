@@ -11,19 +11,33 @@ import {
   TagIcon,
   TrashIcon,
   TruckIcon,
-  UserIcon
+  UserIcon,
+  XCircleIcon
 } from '@heroicons/react/24/outline';
 import { differenceInMinutes, format } from 'date-fns';
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
 import { Link, useNavigate, useParams } from 'react-router-dom';
-import { confirmFarmArrival, confirmFarmDeparture, deleteLoad, dispatchLoad, duplicateLoad, getLoad, receiveLoad } from '../lib/api';
+import AuditHistory from '../components/AuditHistory';
+import { confirmFarmArrival, confirmFarmDeparture, deleteLoad, dispatchLoad, duplicateLoad, getLoad, getLoadHistory, receiveLoad, updateLoad } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
 
 /** Default expected farm times for BV and CBC farms */
 const EXPECTED_FARM_ARRIVAL_TIME = '14:00';
 const EXPECTED_FARM_DEPARTURE_TIME = '17:00';
 
+/**
+ * Status steps taken straight from the detail page; shown when the
+ * server lists the action in load.allowed_actions
+ */
+const STATUS_STEPS = [
+  { action: 'start_loading', status: 'loading', label: 'Start Loading' },
+  { action: 'mark_in_transit', status: 'in_transit', label: 'Mark In Transit' },
+  { action: 'arrive_depot', status: 'arrived_depot', label: 'Arrived at Depot' },
+  { action: 'start_unloading', status: 'unloading', label: 'Start Unloading' },
+];
+
 /**
  * Format duration from minutes to human-readable string
  * @param {number} minutes
@@ -368,6 +382,7 @@ function LoadStatusBadge({ status }) {
     departed: { label: 'Departed', class: 'bg-purple-100 text-purple-700' },
     in_transit: { label: 'In Transit', class: 'bg-indigo-100 text-indigo-700' },
     arrived_depot: { label: 'At Depot', class: 'bg-orange-100 text-orange-700' },
+    unloading: { label: 'Unloading', class: 'bg-amber-100 text-amber-700' },
     completed: { label: 'Completed', class: 'bg-green-100 text-green-700' },
     cancelled: { label: 'Cancelled', class: 'bg-gray-100 text-gray-700' },
   };
@@ -382,6 +397,7 @@ function LoadStatusBadge({ status }) {
 }
 
 function LoadDetail() {
+  const { hasPermission } = useAuthStore();
   const { id } = useParams();
   const navigate = useNavigate();
   const [load, setLoad] = useState(null);
@@ -393,11 +409,14 @@ function LoadDetail() {
   const [showFarmArrivalModal, setShowFarmArrivalModal] = useState(false);
   const [showFarmDepartureModal, setShowFarmDepartureModal] = useState(false);
   const [actionLoading, setActionLoading] = useState(false);
+  const [activeTab, setActiveTab] = useState('details');
 
   useEffect(() => {
     loadData();
   }, [id]);
 
+  const fetchHistory = useCallback((params) => getLoadHistory(id, params), [id]);
+
   const loadData = async () => {
     try {
       const response = await getLoad(id);
@@ -454,6 +473,26 @@ function LoadDetail() {
     }
   };
 
+  /**
+   * Move the load to the next status
+   * @param {string} status
+   */
+  const handleStatusChange = async (status) => {
+    if (status === 'cancelled' && !window.confirm(`Cancel load ${load.load_number}?`)) {
+      return;
+    }
+    setActionLoading(true);
+    try {
+      await updateLoad(id, { status });
+      toast.success(status === 'cancelled' ? 'Load cancelled' : 'Load status updated');
+      loadData();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update load status');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleDuplicate = async () => {
     try {
       const response = await duplicateLoad(id, {
@@ -532,14 +571,18 @@ function LoadDetail() {
     return null;
   }
 
-  const canDispatch = load.status === 'scheduled' || load.status === 'loading';
-  const canReceive = load.status === 'departed' || load.status === 'in_transit' || load.status === 'arrived_depot';
-  const canEdit = load.status === 'scheduled' || load.status === 'loading';
-  const canDelete = load.status === 'scheduled';
+  // Actions come from the server's load state machine for this user's role
+  const allowedActions = load.allowed_actions || [];
+  const canDispatch = allowedActions.includes('dispatch');
+  const canReceive = allowedActions.includes('receive');
+  const canEdit = allowedActions.includes('edit');
+  const canDelete = allowedActions.includes('delete');
+  const canCancel = allowedActions.includes('cancel');
+  const statusSteps = STATUS_STEPS.filter(step => allowedActions.includes(step.action));
   
-  // Farm time tracking - can record farm arrival/departure if not yet recorded and load is scheduled/loading
-  const canRecordFarmArrival = !load.actual_farm_arrival_time && (load.status === 'scheduled' || load.status === 'loading');
-  const canRecordFarmDeparture = load.actual_farm_arrival_time && !load.actual_farm_departure_time && (load.status === 'scheduled' || load.status === 'loading');
+  // Farm time tracking - can record farm arrival/departure if not yet recorded
+  const canRecordFarmArrival = allowedActions.includes('record_farm_arrival') && !load.actual_farm_arrival_time;
+  const canRecordFarmDeparture = allowedActions.includes('record_farm_departure') && load.actual_farm_arrival_time && !load.actual_farm_departure_time;
 
   const handleDelete = async () => {
     if (!window.confirm(`Are you sure you want to delete load ${load.load_number}? This cannot be undone.`)) {
@@ -595,10 +638,12 @@ function LoadDetail() {
               Delete
             </button>
           )}
-          <button onClick={handleDuplicate} className="btn btn-secondary">
-            <DocumentDuplicateIcon className="w-5 h-5 mr-2" />
-            Duplicate
-          </button>
+          {hasPermission('loads.create') && (
+            <button onClick={handleDuplicate} className="btn btn-secondary">
+              <DocumentDuplicateIcon className="w-5 h-5 mr-2" />
+              Duplicate
+            </button>
+          )}
           {canRecordFarmArrival && (
             <button onClick={() => setShowFarmArrivalModal(true)} className="btn btn-secondary border-orange-300 text-orange-700 hover:bg-orange-50">
               <ClockIcon className="w-5 h-5 mr-2" />
@@ -611,6 +656,27 @@ function LoadDetail() {
               Farm Departure
             </button>
           )}
+          {canCancel && (
+            <button
+              onClick={() => handleStatusChange('cancelled')}
+              disabled={actionLoading}
+              className="btn btn-secondary text-red-600 hover:bg-red-50"
+            >
+              <XCircleIcon className="w-5 h-5 mr-2" />
+              Cancel Load
+            </button>
+          )}
+          {statusSteps.map(step => (
+            <button
+              key={step.action}
+              onClick={() => handleStatusChange(step.status)}
+              disabled={actionLoading}
+              className="btn btn-secondary"
+            >
+              <TruckIcon className="w-5 h-5 mr-2" />
+              {step.label}
+            </button>
+          ))}
           {canDispatch && (
             <button onClick={() => setShowDispatchModal(true)} className="btn btn-primary">
               <TruckIcon className="w-5 h-5 mr-2" />
@@ -626,502 +692,536 @@ function LoadDetail() {
         </div>
       </div>
 
-      {/* Route Info */}
-      <div className="card p-6">
-        <div className="flex items-center gap-2 mb-4">
-          <MapPinIcon className="w-5 h-5 text-gray-600" />
-          <h2 className="text-lg font-semibold text-gray-900">Route Details</h2>
-        </div>
-        <div className="flex flex-col md:flex-row md:items-center gap-6">
-          <div className="flex-1">
-            <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
-              <MapPinIcon className="w-4 h-4" />
-              Origin
-            </div>
-            <Link to={`/sites/${load.origin_site_id}`} className="text-lg font-semibold text-primary-600 hover:underline">
-              {load.origin_site_name}
-            </Link>
-            <p className="text-sm text-gray-500">{load.origin_site_code}</p>
-          </div>
-
-          <div className="flex items-center justify-center">
-            <div className="w-16 h-0.5 bg-gray-300"></div>
-            <TruckIcon className="w-8 h-8 text-gray-400 mx-2" />
-            <div className="w-16 h-0.5 bg-gray-300"></div>
-          </div>
-
-          <div className="flex-1 text-right">
-            <div className="flex items-center justify-end gap-2 text-gray-500 text-sm mb-1">
-              <MapPinIcon className="w-4 h-4" />
-              Destination
-            </div>
-            <Link to={`/sites/${load.destination_site_id}`} className="text-lg font-semibold text-primary-600 hover:underline">
-              {load.destination_site_name}
-            </Link>
-            <p className="text-sm text-gray-500">{load.destination_site_code}</p>
-          </div>
-        </div>
-
-        {load.channel_name && (
-          <div className="mt-4 pt-4 border-t border-gray-200 flex items-center gap-2">
-            <TagIcon className="w-4 h-4 text-gray-400" />
-            <span className="text-sm text-gray-500">Channel:</span>
-            <span className="font-medium text-gray-900">{load.channel_name}</span>
-          </div>
-        )}
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="flex gap-8">
+          {[
+            { key: 'details', label: 'Details' },
+            { key: 'history', label: 'History' },
+          ].map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => setActiveTab(tab.key)}
+              className={`py-3 text-sm font-medium border-b-2 transition-colors ${
+                activeTab === tab.key
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </nav>
       </div>
 
-      {/* Schedule & Transport Grid */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Schedule */}
+      {/* Details Tab */}
+      {activeTab === 'details' && (
+        <>
+        {/* Route Info */}
         <div className="card p-6">
           <div className="flex items-center gap-2 mb-4">
-            <CalendarDaysIcon className="w-5 h-5 text-gray-600" />
-            <h2 className="text-lg font-semibold text-gray-900">Schedule</h2>
+            <MapPinIcon className="w-5 h-5 text-gray-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Route Details</h2>
           </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div className="p-4 bg-gray-50 rounded-lg">
+          <div className="flex flex-col md:flex-row md:items-center gap-6">
+            <div className="flex-1">
               <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
-                <ClockIcon className="w-4 h-4" />
-                Dispatch Date
+                <MapPinIcon className="w-4 h-4" />
+                Origin
               </div>
-              <p className="font-semibold text-gray-900">{format(new Date(load.dispatch_date), 'MMM d, yyyy')}</p>
-              {load.scheduled_departure_time && (
-                <p className="text-sm text-gray-500 mt-1">Scheduled: {load.scheduled_departure_time}</p>
-              )}
-            </div>
-            <div className="p-4 bg-gray-50 rounded-lg">
-              <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
-                <ClockIcon className="w-4 h-4" />
-                Expected Arrival
-              </div>
-              <p className="font-semibold text-gray-900">
-                {load.expected_arrival_date 
-                  ? format(new Date(load.expected_arrival_date), 'MMM d, yyyy')
-                  : '-'}
-              </p>
-              {load.estimated_arrival_time && (
-                <p className="text-sm text-gray-500 mt-1">ETA: {load.estimated_arrival_time}</p>
-              )}
+              <Link to={`/sites/${load.origin_site_id}`} className="text-lg font-semibold text-primary-600 hover:underline">
+                {load.origin_site_name}
+              </Link>
+              <p className="text-sm text-gray-500">{load.origin_site_code}</p>
             </div>
-          </div>
-        </div>
 
-        {/* Transport */}
-        <div className="card p-6">
-          <div className="flex items-center gap-2 mb-4">
-            <TruckIcon className="w-5 h-5 text-gray-600" />
-            <h2 className="text-lg font-semibold text-gray-900">Transport</h2>
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div className="p-4 bg-gray-50 rounded-lg">
-              <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
-                <TruckIcon className="w-4 h-4" />
-                Vehicle
-              </div>
-              <p className="font-semibold text-gray-900">{load.vehicle_name || '-'}</p>
-              {load.vehicle_registration && (
-                <p className="text-sm text-gray-500 mt-1">{load.vehicle_registration}</p>
-              )}
+            <div className="flex items-center justify-center">
+              <div className="w-16 h-0.5 bg-gray-300"></div>
+              <TruckIcon className="w-8 h-8 text-gray-400 mx-2" />
+              <div className="w-16 h-0.5 bg-gray-300"></div>
             </div>
-            <div className="p-4 bg-gray-50 rounded-lg">
-              <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
-                <UserIcon className="w-4 h-4" />
-                Driver
+
+            <div className="flex-1 text-right">
+              <div className="flex items-center justify-end gap-2 text-gray-500 text-sm mb-1">
+                <MapPinIcon className="w-4 h-4" />
+                Destination
               </div>
-              <p className="font-semibold text-gray-900">{load.driver_name || '-'}</p>
-              {load.driver_phone && (
-                <p className="text-sm text-gray-500 mt-1">{load.driver_phone}</p>
-              )}
+              <Link to={`/sites/${load.destination_site_id}`} className="text-lg font-semibold text-primary-600 hover:underline">
+                {load.destination_site_name}
+              </Link>
+              <p className="text-sm text-gray-500">{load.destination_site_code}</p>
             </div>
           </div>
+
+          {load.channel_name && (
+            <div className="mt-4 pt-4 border-t border-gray-200 flex items-center gap-2">
+              <TagIcon className="w-4 h-4 text-gray-400" />
+              <span className="text-sm text-gray-500">Channel:</span>
+              <span className="font-medium text-gray-900">{load.channel_name}</span>
+            </div>
+          )}
         </div>
-      </div>
 
-      {/* Farm & Depot Times Grid */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Farm Times */}
-        <div className="card p-6 border-l-4 border-l-orange-400">
-          <div className="flex items-center gap-2 mb-4">
-            <ClockIcon className="w-5 h-5 text-orange-500" />
-            <h2 className="text-lg font-semibold text-gray-900">Farm Times</h2>
-            <span className="text-xs text-gray-400 ml-auto">(Default: Arrival 14:00, Departure 17:00)</span>
-          </div>
-          
-          <div className="space-y-4">
-            {/* Farm Arrival */}
-            <div className="p-4 bg-orange-50 rounded-lg border border-orange-200">
-              <div className="flex items-center justify-between mb-2">
-                <h3 className="font-medium text-orange-800">Arrival at Farm</h3>
-                {load.actual_farm_arrival_time && (
-                  load.farm_arrival_overtime_minutes > 0 ? (
-                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
-                      ⚠️ Overtime {formatDuration(load.farm_arrival_overtime_minutes)}
-                    </span>
-                  ) : (
-                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
-                      ✓ On Time
-                    </span>
-                  )
+        {/* Schedule & Transport Grid */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Schedule */}
+          <div className="card p-6">
+            <div className="flex items-center gap-2 mb-4">
+              <CalendarDaysIcon className="w-5 h-5 text-gray-600" />
+              <h2 className="text-lg font-semibold text-gray-900">Schedule</h2>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
+                  <ClockIcon className="w-4 h-4" />
+                  Dispatch Date
+                </div>
+                <p className="font-semibold text-gray-900">{format(new Date(load.dispatch_date), 'MMM d, yyyy')}</p>
+                {load.scheduled_departure_time && (
+                  <p className="text-sm text-gray-500 mt-1">Scheduled: {load.scheduled_departure_time}</p>
                 )}
               </div>
-              <div className="grid grid-cols-3 gap-4 text-sm">
-                <div>
-                  <span className="text-gray-500 block">Expected</span>
-                  <span className="font-semibold text-gray-900">{load.expected_farm_arrival_time || EXPECTED_FARM_ARRIVAL_TIME}</span>
-                </div>
-                <div>
-                  <span className="text-gray-500 block">Actual</span>
-                  <span className="font-semibold text-gray-900">
-                    {load.actual_farm_arrival_time 
-                      ? format(new Date(load.actual_farm_arrival_time), 'HH:mm')
-                      : '-'}
-                  </span>
-                </div>
-                <div>
-                  <span className="text-gray-500 block">Difference</span>
-                  <span className={`font-semibold ${load.farm_arrival_overtime_minutes > 0 ? 'text-red-600' : 'text-green-600'}`}>
-                    {load.actual_farm_arrival_time ? formatDuration(load.farm_arrival_overtime_minutes || 0) : '-'}
-                  </span>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
+                  <ClockIcon className="w-4 h-4" />
+                  Expected Arrival
                 </div>
+                <p className="font-semibold text-gray-900">
+                  {load.expected_arrival_date 
+                    ? format(new Date(load.expected_arrival_date), 'MMM d, yyyy')
+                    : '-'}
+                </p>
+                {load.estimated_arrival_time && (
+                  <p className="text-sm text-gray-500 mt-1">ETA: {load.estimated_arrival_time}</p>
+                )}
               </div>
             </div>
+          </div>
 
-            {/* Farm Departure */}
-            <div className="p-4 bg-orange-50 rounded-lg border border-orange-200">
-              <div className="flex items-center justify-between mb-2">
-                <h3 className="font-medium text-orange-800">Departure from Farm</h3>
-                {load.actual_farm_departure_time && (
-                  load.farm_departure_overtime_minutes > 0 ? (
-                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
-                      ⚠️ Overtime {formatDuration(load.farm_departure_overtime_minutes)}
-                    </span>
-                  ) : (
-                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
-                      ✓ On Time
-                    </span>
-                  )
+          {/* Transport */}
+          <div className="card p-6">
+            <div className="flex items-center gap-2 mb-4">
+              <TruckIcon className="w-5 h-5 text-gray-600" />
+              <h2 className="text-lg font-semibold text-gray-900">Transport</h2>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
+                  <TruckIcon className="w-4 h-4" />
+                  Vehicle
+                </div>
+                <p className="font-semibold text-gray-900">{load.vehicle_name || '-'}</p>
+                {load.vehicle_registration && (
+                  <p className="text-sm text-gray-500 mt-1">{load.vehicle_registration}</p>
                 )}
               </div>
-              <div className="grid grid-cols-3 gap-4 text-sm">
-                <div>
-                  <span className="text-gray-500 block">Expected</span>
-                  <span className="font-semibold text-gray-900">{load.expected_farm_departure_time || EXPECTED_FARM_DEPARTURE_TIME}</span>
-                </div>
-                <div>
-                  <span className="text-gray-500 block">Actual</span>
-                  <span className="font-semibold text-gray-900">
-                    {load.actual_farm_departure_time 
-                      ? format(new Date(load.actual_farm_departure_time), 'HH:mm')
-                      : '-'}
-                  </span>
-                </div>
-                <div>
-                  <span className="text-gray-500 block">Difference</span>
-                  <span className={`font-semibold ${load.farm_departure_overtime_minutes > 0 ? 'text-red-600' : 'text-green-600'}`}>
-                    {load.actual_farm_departure_time ? formatDuration(load.farm_departure_overtime_minutes || 0) : '-'}
-                  </span>
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center gap-2 text-gray-500 text-sm mb-1">
+                  <UserIcon className="w-4 h-4" />
+                  Driver
                 </div>
+                <p className="font-semibold text-gray-900">{load.driver_name || '-'}</p>
+                {load.driver_phone && (
+                  <p className="text-sm text-gray-500 mt-1">{load.driver_phone}</p>
+                )}
               </div>
             </div>
           </div>
         </div>
 
-        {/* Depot Times */}
-        <div className="card p-6 border-l-4 border-l-blue-400">
-          <div className="flex items-center gap-2 mb-4">
-            <BuildingOffice2Icon className="w-5 h-5 text-blue-500" />
-            <h2 className="text-lg font-semibold text-gray-900">Depot Times</h2>
-          </div>
-          
-          <div className="space-y-4">
-            {/* Depot Arrival */}
-            <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
-              <div className="flex items-center justify-between mb-2">
-                <h3 className="font-medium text-blue-800">Arrival at Depot</h3>
-                {load.arrived_depot_time && load.estimated_arrival_time && (
-                  (() => {
-                    const expected = new Date(`${load.dispatch_date}T${load.estimated_arrival_time}`);
-                    const actual = new Date(load.arrived_depot_time);
-                    const diff = differenceInMinutes(actual, expected);
-                    return diff > 5 ? (
+        {/* Farm & Depot Times Grid */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Farm Times */}
+          <div className="card p-6 border-l-4 border-l-orange-400">
+            <div className="flex items-center gap-2 mb-4">
+              <ClockIcon className="w-5 h-5 text-orange-500" />
+              <h2 className="text-lg font-semibold text-gray-900">Farm Times</h2>
+              <span className="text-xs text-gray-400 ml-auto">(Default: Arrival 14:00, Departure 17:00)</span>
+            </div>
+            
+            <div className="space-y-4">
+              {/* Farm Arrival */}
+              <div className="p-4 bg-orange-50 rounded-lg border border-orange-200">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="font-medium text-orange-800">Arrival at Farm</h3>
+                  {load.actual_farm_arrival_time && (
+                    load.farm_arrival_overtime_minutes > 0 ? (
                       <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
-                        ⚠️ Late {formatDuration(diff)}
+                        ⚠️ Overtime {formatDuration(load.farm_arrival_overtime_minutes)}
                       </span>
                     ) : (
                       <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
                         ✓ On Time
                       </span>
-                    );
-                  })()
-                )}
-              </div>
-              <div className="grid grid-cols-3 gap-4 text-sm">
-                <div>
-                  <span className="text-gray-500 block">Expected</span>
-                  <span className="font-semibold text-gray-900">{load.estimated_arrival_time || '-'}</span>
-                </div>
-                <div>
-                  <span className="text-gray-500 block">Actual</span>
-                  <span className="font-semibold text-gray-900">
-                    {load.arrived_depot_time 
-                      ? format(new Date(load.arrived_depot_time), 'HH:mm')
-                      : '-'}
-                  </span>
+                    )
+                  )}
                 </div>
-                <div>
-                  <span className="text-gray-500 block">Difference</span>
-                  <span className="font-semibold text-gray-600">
-                    {load.arrived_depot_time && load.estimated_arrival_time
-                      ? formatDuration(differenceInMinutes(
-                          new Date(load.arrived_depot_time),
-                          new Date(`${load.dispatch_date}T${load.estimated_arrival_time}`)
-                        ))
-                      : '-'}
-                  </span>
+                <div className="grid grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-500 block">Expected</span>
+                    <span className="font-semibold text-gray-900">{load.expected_farm_arrival_time || EXPECTED_FARM_ARRIVAL_TIME}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Actual</span>
+                    <span className="font-semibold text-gray-900">
+                      {load.actual_farm_arrival_time 
+                        ? format(new Date(load.actual_farm_arrival_time), 'HH:mm')
+                        : '-'}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Difference</span>
+                    <span className={`font-semibold ${load.farm_arrival_overtime_minutes > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {load.actual_farm_arrival_time ? formatDuration(load.farm_arrival_overtime_minutes || 0) : '-'}
+                    </span>
+                  </div>
                 </div>
               </div>
-            </div>
 
-            {/* Depot Departure */}
-            <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
-              <div className="flex items-center justify-between mb-2">
-                <h3 className="font-medium text-blue-800">Departure from Depot</h3>
-                {load.departed_depot_time && load.expected_depot_departure_time && (
-                  (() => {
-                    const expected = new Date(`${load.dispatch_date}T${load.expected_depot_departure_time}`);
-                    const actual = new Date(load.departed_depot_time);
-                    const diff = differenceInMinutes(actual, expected);
-                    return diff > 5 ? (
+              {/* Farm Departure */}
+              <div className="p-4 bg-orange-50 rounded-lg border border-orange-200">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="font-medium text-orange-800">Departure from Farm</h3>
+                  {load.actual_farm_departure_time && (
+                    load.farm_departure_overtime_minutes > 0 ? (
                       <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
-                        ⚠️ Late {formatDuration(diff)}
+                        ⚠️ Overtime {formatDuration(load.farm_departure_overtime_minutes)}
                       </span>
                     ) : (
                       <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
                         ✓ On Time
                       </span>
-                    );
-                  })()
-                )}
+                    )
+                  )}
+                </div>
+                <div className="grid grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-500 block">Expected</span>
+                    <span className="font-semibold text-gray-900">{load.expected_farm_departure_time || EXPECTED_FARM_DEPARTURE_TIME}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Actual</span>
+                    <span className="font-semibold text-gray-900">
+                      {load.actual_farm_departure_time 
+                        ? format(new Date(load.actual_farm_departure_time), 'HH:mm')
+                        : '-'}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Difference</span>
+                    <span className={`font-semibold ${load.farm_departure_overtime_minutes > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {load.actual_farm_departure_time ? formatDuration(load.farm_departure_overtime_minutes || 0) : '-'}
+                    </span>
+                  </div>
+                </div>
               </div>
-              <div className="grid grid-cols-3 gap-4 text-sm">
-                <div>
-                  <span className="text-gray-500 block">Expected</span>
-                  <span className="font-semibold text-gray-900">{load.expected_depot_departure_time || '-'}</span>
+            </div>
+          </div>
+
+          {/* Depot Times */}
+          <div className="card p-6 border-l-4 border-l-blue-400">
+            <div className="flex items-center gap-2 mb-4">
+              <BuildingOffice2Icon className="w-5 h-5 text-blue-500" />
+              <h2 className="text-lg font-semibold text-gray-900">Depot Times</h2>
+            </div>
+            
+            <div className="space-y-4">
+              {/* Depot Arrival */}
+              <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="font-medium text-blue-800">Arrival at Depot</h3>
+                  {load.arrived_depot_time && load.estimated_arrival_time && (
+                    (() => {
+                      const expected = new Date(`${load.dispatch_date}T${load.estimated_arrival_time}`);
+                      const actual = new Date(load.arrived_depot_time);
+                      const diff = differenceInMinutes(actual, expected);
+                      return diff > 5 ? (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
+                          ⚠️ Late {formatDuration(diff)}
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
+                          ✓ On Time
+                        </span>
+                      );
+                    })()
+                  )}
                 </div>
-                <div>
-                  <span className="text-gray-500 block">Actual</span>
-                  <span className="font-semibold text-gray-900">
-                    {load.departed_depot_time 
-                      ? format(new Date(load.departed_depot_time), 'HH:mm')
-                      : '-'}
-                  </span>
+                <div className="grid grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-500 block">Expected</span>
+                    <span className="font-semibold text-gray-900">{load.estimated_arrival_time || '-'}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Actual</span>
+                    <span className="font-semibold text-gray-900">
+                      {load.arrived_depot_time 
+                        ? format(new Date(load.arrived_depot_time), 'HH:mm')
+                        : '-'}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Difference</span>
+                    <span className="font-semibold text-gray-600">
+                      {load.arrived_depot_time && load.estimated_arrival_time
+                        ? formatDuration(differenceInMinutes(
+                            new Date(load.arrived_depot_time),
+                            new Date(`${load.dispatch_date}T${load.estimated_arrival_time}`)
+                          ))
+                        : '-'}
+                    </span>
+                  </div>
                 </div>
-                <div>
-                  <span className="text-gray-500 block">Difference</span>
-                  <span className="font-semibold text-gray-600">
-                    {load.departed_depot_time && load.expected_depot_departure_time
-                      ? formatDuration(differenceInMinutes(
-                          new Date(load.departed_depot_time),
-                          new Date(`${load.dispatch_date}T${load.expected_depot_departure_time}`)
-                        ))
-                      : '-'}
-                  </span>
+              </div>
+
+              {/* Depot Departure */}
+              <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="font-medium text-blue-800">Departure from Depot</h3>
+                  {load.departed_depot_time && load.expected_depot_departure_time && (
+                    (() => {
+                      const expected = new Date(`${load.dispatch_date}T${load.expected_depot_departure_time}`);
+                      const actual = new Date(load.departed_depot_time);
+                      const diff = differenceInMinutes(actual, expected);
+                      return diff > 5 ? (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-700">
+                          ⚠️ Late {formatDuration(diff)}
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-700">
+                          ✓ On Time
+                        </span>
+                      );
+                    })()
+                  )}
+                </div>
+                <div className="grid grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-500 block">Expected</span>
+                    <span className="font-semibold text-gray-900">{load.expected_depot_departure_time || '-'}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Actual</span>
+                    <span className="font-semibold text-gray-900">
+                      {load.departed_depot_time 
+                        ? format(new Date(load.departed_depot_time), 'HH:mm')
+                        : '-'}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-500 block">Difference</span>
+                    <span className="font-semibold text-gray-600">
+                      {load.departed_depot_time && load.expected_depot_departure_time
+                        ? formatDuration(differenceInMinutes(
+                            new Date(load.departed_depot_time),
+                            new Date(`${load.dispatch_date}T${load.expected_depot_departure_time}`)
+                          ))
+                        : '-'}
+                    </span>
+                  </div>
                 </div>
               </div>
             </div>
           </div>
         </div>
-      </div>
 
-      {/* Timeline & Duration */}
-      <LoadTimeline load={load} />      {/* Packaging */}
-      <div className="card">
-        <div className="card-header">
-          <h2 className="text-lg font-semibold text-gray-900">Packaging</h2>
-        </div>
-        <div className="overflow-x-auto">
-          <table className="data-table">
-            <thead>
-              <tr>
-                <th>Type</th>
-                <th>Product</th>
-                <th className="text-right">Dispatched</th>
-                <th className="text-right">Received</th>
-                <th className="text-right">Damaged</th>
-                <th className="text-right">Missing</th>
-                <th>Notes</th>
-              </tr>
-            </thead>
-            <tbody>
-              {packaging.map((pkg) => (
-                <tr key={pkg.id}>
-                  <td className="font-medium">{pkg.packaging_type_name}</td>
-                  <td>
-                    {pkg.product_type_name ? (
-                      <div>
-                        <span>{pkg.product_type_name}</span>
-                        {pkg.product_variety_name && (
-                          <span className="text-gray-500 text-xs ml-1">({pkg.product_variety_name})</span>
-                        )}
-                        {pkg.product_grade_name && (
-                          <span className="text-gray-500 text-xs block">{pkg.product_grade_name}</span>
-                        )}
-                      </div>
-                    ) : '-'}
-                  </td>
-                  <td className="text-right font-medium">{pkg.quantity_dispatched}</td>
-                  <td className="text-right">
-                    {pkg.quantity_received !== null ? pkg.quantity_received : '-'}
-                  </td>
-                  <td className="text-right">
-                    {pkg.quantity_damaged > 0 ? (
-                      <span className="text-red-600">{pkg.quantity_damaged}</span>
-                    ) : '-'}
-                  </td>
-                  <td className="text-right">
-                    {pkg.quantity_missing > 0 ? (
-                      <span className="text-red-600">{pkg.quantity_missing}</span>
-                    ) : '-'}
-                  </td>
-                  <td className="text-sm text-gray-500">{pkg.notes || '-'}</td>
+        {/* Timeline & Duration */}
+        <LoadTimeline load={load} />      {/* Packaging */}
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold text-gray-900">Packaging</h2>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Product</th>
+                  <th className="text-right">Dispatched</th>
+                  <th className="text-right">Received</th>
+                  <th className="text-right">Damaged</th>
+                  <th className="text-right">Missing</th>
+                  <th>Notes</th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
+              </thead>
+              <tbody>
+                {packaging.map((pkg) => (
+                  <tr key={pkg.id}>
+                    <td className="font-medium">{pkg.packaging_type_name}</td>
+                    <td>
+                      {pkg.product_type_name ? (
+                        <div>
+                          <span>{pkg.product_type_name}</span>
+                          {pkg.product_variety_name && (
+                            <span className="text-gray-500 text-xs ml-1">({pkg.product_variety_name})</span>
+                          )}
+                          {pkg.product_grade_name && (
+                            <span className="text-gray-500 text-xs block">{pkg.product_grade_name}</span>
+                          )}
+                        </div>
+                      ) : '-'}
+                    </td>
+                    <td className="text-right font-medium">{pkg.quantity_dispatched}</td>
+                    <td className="text-right">
+                      {pkg.quantity_received !== null ? pkg.quantity_received : '-'}
+                    </td>
+                    <td className="text-right">
+                      {pkg.quantity_damaged > 0 ? (
+                        <span className="text-red-600">{pkg.quantity_damaged}</span>
+                      ) : '-'}
+                    </td>
+                    <td className="text-right">
+                      {pkg.quantity_missing > 0 ? (
+                        <span className="text-red-600">{pkg.quantity_missing}</span>
+                      ) : '-'}
+                    </td>
+                    <td className="text-sm text-gray-500">{pkg.notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         </div>
-      </div>
 
-      {/* Backload (Return Trip) */}
-      {(load.backload_site_id || backloadPackaging.length > 0) && (
-        <div className="card">
-          <div className="card-header">
-            <div className="flex items-center gap-2">
-              <h2 className="text-lg font-semibold text-gray-900">Backload (Return Trip)</h2>
-              <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-orange-100 text-orange-700">
-                Returns
-              </span>
+        {/* Backload (Return Trip) */}
+        {(load.backload_site_id || backloadPackaging.length > 0) && (
+          <div className="card">
+            <div className="card-header">
+              <div className="flex items-center gap-2">
+                <h2 className="text-lg font-semibold text-gray-900">Backload (Return Trip)</h2>
+                <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-orange-100 text-orange-700">
+                  Returns
+                </span>
+              </div>
+              {load.backload_site_name && (
+                <p className="text-sm text-gray-500">From: {load.backload_site_name} ({load.backload_site_code})</p>
+              )}
             </div>
-            {load.backload_site_name && (
-              <p className="text-sm text-gray-500">From: {load.backload_site_name} ({load.backload_site_code})</p>
+            
+            {backloadPackaging.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Packaging Type</th>
+                      <th className="text-right">Quantity Returned</th>
+                      <th className="text-right">Damaged</th>
+                      <th>Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {backloadPackaging.map((bp) => (
+                      <tr key={bp.id}>
+                        <td className="font-medium">{bp.packaging_type_name}</td>
+                        <td className="text-right font-medium text-orange-600">{bp.quantity_returned}</td>
+                        <td className="text-right">
+                          {bp.quantity_damaged > 0 ? (
+                            <span className="text-red-600">{bp.quantity_damaged}</span>
+                          ) : '-'}
+                        </td>
+                        <td className="text-sm text-gray-500">{bp.notes || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="p-4 text-gray-500 text-sm">
+                No return packaging specified for this backload.
+              </div>
+            )}
+            
+            {load.backload_notes && (
+              <div className="p-4 border-t border-gray-100">
+                <p className="text-sm text-gray-500 mb-1">Backload Notes</p>
+                <p className="text-gray-700">{load.backload_notes}</p>
+              </div>
+            )}
+            
+            {load.linked_load_number && (
+              <div className="p-4 border-t border-gray-100 bg-blue-50">
+                <p className="text-sm text-gray-500 mb-1">Linked to Next Load</p>
+                <Link to={`/loads/${load.linked_load_id}`} className="text-primary-600 hover:underline font-medium">
+                  {load.linked_load_number} →
+                </Link>
+              </div>
             )}
           </div>
-          
-          {backloadPackaging.length > 0 ? (
-            <div className="overflow-x-auto">
-              <table className="data-table">
-                <thead>
-                  <tr>
-                    <th>Packaging Type</th>
-                    <th className="text-right">Quantity Returned</th>
-                    <th className="text-right">Damaged</th>
-                    <th>Notes</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {backloadPackaging.map((bp) => (
-                    <tr key={bp.id}>
-                      <td className="font-medium">{bp.packaging_type_name}</td>
-                      <td className="text-right font-medium text-orange-600">{bp.quantity_returned}</td>
-                      <td className="text-right">
-                        {bp.quantity_damaged > 0 ? (
-                          <span className="text-red-600">{bp.quantity_damaged}</span>
-                        ) : '-'}
-                      </td>
-                      <td className="text-sm text-gray-500">{bp.notes || '-'}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          ) : (
-            <div className="p-4 text-gray-500 text-sm">
-              No return packaging specified for this backload.
-            </div>
-          )}
-          
-          {load.backload_notes && (
-            <div className="p-4 border-t border-gray-100">
-              <p className="text-sm text-gray-500 mb-1">Backload Notes</p>
-              <p className="text-gray-700">{load.backload_notes}</p>
-            </div>
-          )}
-          
-          {load.linked_load_number && (
-            <div className="p-4 border-t border-gray-100 bg-blue-50">
-              <p className="text-sm text-gray-500 mb-1">Linked to Next Load</p>
-              <Link to={`/loads/${load.linked_load_id}`} className="text-primary-600 hover:underline font-medium">
-                {load.linked_load_number} →
-              </Link>
-            </div>
-          )}
-        </div>
-      )}
+        )}
 
-      {/* Notes & Discrepancy */}
-      {(load.notes || load.discrepancy_notes) && (
+        {/* Notes & Discrepancy */}
+        {(load.notes || load.discrepancy_notes) && (
+          <div className="card p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Notes</h2>
+            {load.notes && (
+              <div className="mb-4">
+                <p className="text-sm text-gray-500 mb-1">General Notes</p>
+                <p>{load.notes}</p>
+              </div>
+            )}
+            {load.discrepancy_notes && (
+              <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm font-medium text-red-800 mb-1">Discrepancy Notes</p>
+                <p className="text-red-700">{load.discrepancy_notes}</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Audit Info */}
         <div className="card p-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Notes</h2>
-          {load.notes && (
-            <div className="mb-4">
-              <p className="text-sm text-gray-500 mb-1">General Notes</p>
-              <p>{load.notes}</p>
-            </div>
-          )}
-          {load.discrepancy_notes && (
-            <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
-              <p className="text-sm font-medium text-red-800 mb-1">Discrepancy Notes</p>
-              <p className="text-red-700">{load.discrepancy_notes}</p>
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Audit Trail</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500">Created</p>
+              <p className="font-medium">{load.created_by_name || 'System'}</p>
+              <p className="text-gray-500">{format(new Date(load.created_at), 'MMM d, yyyy HH:mm')}</p>
             </div>
-          )}
+            {load.confirmed_farm_arrival_at && (
+              <div>
+                <p className="text-gray-500">Farm Arrival</p>
+                <p className="font-medium">{load.confirmed_farm_arrival_by_name || 'User'}</p>
+                <p className="text-gray-500">{format(new Date(load.confirmed_farm_arrival_at), 'MMM d, yyyy HH:mm')}</p>
+                {load.farm_arrival_overtime_minutes > 0 && (
+                  <p className="text-orange-600 text-xs">+{formatDuration(load.farm_arrival_overtime_minutes)} overtime</p>
+                )}
+              </div>
+            )}
+            {load.confirmed_farm_departure_at && (
+              <div>
+                <p className="text-gray-500">Farm Departure</p>
+                <p className="font-medium">{load.confirmed_farm_departure_by_name || 'User'}</p>
+                <p className="text-gray-500">{format(new Date(load.confirmed_farm_departure_at), 'MMM d, yyyy HH:mm')}</p>
+                {load.farm_departure_overtime_minutes > 0 && (
+                  <p className="text-orange-600 text-xs">+{formatDuration(load.farm_departure_overtime_minutes)} overtime</p>
+                )}
+              </div>
+            )}
+            {load.confirmed_dispatch_at && (
+              <div>
+                <p className="text-gray-500">Dispatched</p>
+                <p className="font-medium">{load.confirmed_dispatch_by_name}</p>
+                <p className="text-gray-500">{format(new Date(load.confirmed_dispatch_at), 'MMM d, yyyy HH:mm')}</p>
+              </div>
+            )}
+            {load.confirmed_receipt_at && (
+              <div>
+                <p className="text-gray-500">Received</p>
+                <p className="font-medium">{load.confirmed_receipt_by_name}</p>
+                <p className="text-gray-500">{format(new Date(load.confirmed_receipt_at), 'MMM d, yyyy HH:mm')}</p>
+              </div>
+            )}
+          </div>
         </div>
+        </>
       )}
 
-      {/* Audit Info */}
-      <div className="card p-6">
-        <h2 className="text-lg font-semibold text-gray-900 mb-4">Audit Trail</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
-          <div>
-            <p className="text-gray-500">Created</p>
-            <p className="font-medium">{load.created_by_name || 'System'}</p>
-            <p className="text-gray-500">{format(new Date(load.created_at), 'MMM d, yyyy HH:mm')}</p>
-          </div>
-          {load.confirmed_farm_arrival_at && (
-            <div>
-              <p className="text-gray-500">Farm Arrival</p>
-              <p className="font-medium">{load.confirmed_farm_arrival_by_name || 'User'}</p>
-              <p className="text-gray-500">{format(new Date(load.confirmed_farm_arrival_at), 'MMM d, yyyy HH:mm')}</p>
-              {load.farm_arrival_overtime_minutes > 0 && (
-                <p className="text-orange-600 text-xs">+{formatDuration(load.farm_arrival_overtime_minutes)} overtime</p>
-              )}
-            </div>
-          )}
-          {load.confirmed_farm_departure_at && (
-            <div>
-              <p className="text-gray-500">Farm Departure</p>
-              <p className="font-medium">{load.confirmed_farm_departure_by_name || 'User'}</p>
-              <p className="text-gray-500">{format(new Date(load.confirmed_farm_departure_at), 'MMM d, yyyy HH:mm')}</p>
-              {load.farm_departure_overtime_minutes > 0 && (
-                <p className="text-orange-600 text-xs">+{formatDuration(load.farm_departure_overtime_minutes)} overtime</p>
-              )}
-            </div>
-          )}
-          {load.confirmed_dispatch_at && (
-            <div>
-              <p className="text-gray-500">Dispatched</p>
-              <p className="font-medium">{load.confirmed_dispatch_by_name}</p>
-              <p className="text-gray-500">{format(new Date(load.confirmed_dispatch_at), 'MMM d, yyyy HH:mm')}</p>
-            </div>
-          )}
-          {load.confirmed_receipt_at && (
-            <div>
-              <p className="text-gray-500">Received</p>
-              <p className="font-medium">{load.confirmed_receipt_by_name}</p>
-              <p className="text-gray-500">{format(new Date(load.confirmed_receipt_at), 'MMM d, yyyy HH:mm')}</p>
-            </div>
-          )}
+      {/* History Tab */}
+      {activeTab === 'history' && (
+        <div className="card p-6">
+          <AuditHistory fetchPage={fetchHistory} />
         </div>
-      </div>
+      )}
 
       {/* Dispatch Modal */}
       {showDispatchModal && (
@@ -1,5 +1,6 @@
 import {
   ArrowRightIcon,
+  ArrowUpTrayIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
   ClockIcon,
@@ -10,13 +11,15 @@ import {
   PlusIcon,
   TrashIcon,
   TruckIcon,
-  UserIcon
+  UserIcon,
+  XMarkIcon
 } from '@heroicons/react/24/outline';
 import { format } from 'date-fns';
 import { useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
 import { Link, useSearchParams } from 'react-router-dom';
-import { deleteLoad, getChannels, getLoads, getSites } from '../lib/api';
+import { deleteLoad, getChannels, getLoads, getPackagingTypes, getSites, importLoadRegister, previewLoadImport } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
 
 /**
  * Load status badge
@@ -29,6 +32,7 @@ function LoadStatusBadge({ status }) {
     departed: { label: 'Departed', class: 'bg-purple-100 text-purple-700' },
     in_transit: { label: 'In Transit', class: 'bg-indigo-100 text-indigo-700' },
     arrived_depot: { label: 'At Depot', class: 'bg-orange-100 text-orange-700' },
+    unloading: { label: 'Unloading', class: 'bg-amber-100 text-amber-700' },
     completed: { label: 'Completed', class: 'bg-green-100 text-green-700' },
     cancelled: { label: 'Cancelled', class: 'bg-gray-100 text-gray-700' },
   };
@@ -42,7 +46,262 @@ function LoadStatusBadge({ status }) {
   );
 }
 
+/**
+ * Import of the old load register with a dry-run report
+ * @param {{ isOpen: boolean; onClose: () => void; onImported: () => void }} props
+ */
+function ImportModal({ isOpen, onClose, onImported }) {
+  const { hasPermission } = useAuthStore();
+  const [content, setContent] = useState('');
+  const [createMissing, setCreateMissing] = useState(false);
+  const [unfinishedStatus, setUnfinishedStatus] = useState('completed');
+  const [packagingTypeIds, setPackagingTypeIds] = useState({});
+  const [packagingTypes, setPackagingTypes] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setContent('');
+      setCreateMissing(false);
+      setUnfinishedStatus('completed');
+      setPackagingTypeIds({});
+      setPreview(null);
+      getPackagingTypes({ active: true })
+        .then(res => setPackagingTypes(res.data.packagingTypes))
+        .catch(() => toast.error('Failed to load packaging types'));
+    }
+  }, [isOpen]);
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} e */
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setContent(await file.text());
+    setPreview(null);
+  };
+
+  /** @param {object} [ids] - Packaging type per unit */
+  const handlePreview = async (ids = packagingTypeIds) => {
+    setBusy(true);
+    try {
+      const res = await previewLoadImport({ content, createMissing, unfinishedStatus, packagingTypeIds: ids });
+      setPreview(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to read the load register');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * @param {string} unit
+   * @param {string} packagingTypeId
+   */
+  const handlePackagingType = (unit, packagingTypeId) => {
+    const ids = { ...packagingTypeIds, [unit]: packagingTypeId || null };
+    setPackagingTypeIds(ids);
+    handlePreview(ids);
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const res = await importLoadRegister({ content, createMissing, unfinishedStatus, packagingTypeIds });
+      toast.success(`${res.data.created} load${res.data.created === 1 ? '' : 's'} imported`);
+      onImported();
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to import loads');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black bg-opacity-30" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
+          <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+            <h3 className="text-lg font-semibold text-gray-900">Import Load Register</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            {!preview ? (
+              <>
+                <p className="text-sm text-gray-600">
+                  Upload the old load register saved as tab-separated text or CSV, or copy its rows from Excel
+                  and paste them below. Loads are imported as history: packaging balances do not change.
+                </p>
+                <input
+                  type="file"
+                  accept=".tsv,.txt,.csv,.md"
+                  onChange={handleFile}
+                  className="block text-sm text-gray-600"
+                />
+                <textarea
+                  value={content}
+                  onChange={(e) => setContent(e.target.value)}
+                  rows={12}
+                  className="form-textarea font-mono text-xs"
+                  placeholder="Paste the load register rows here"
+                />
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="form-label">Loads without a depot arrival</label>
+                    <select
+                      className="form-select"
+                      value={unfinishedStatus}
+                      onChange={(e) => setUnfinishedStatus(e.target.value)}
+                    >
+                      <option value="completed">Import as completed</option>
+                      <option value="scheduled">Import as scheduled</option>
+                      <option value="cancelled">Import as cancelled</option>
+                    </select>
+                  </div>
+                  {hasPermission('fleet.manage') && (
+                    <label className="flex items-center gap-2 text-sm sm:mt-6">
+                      <input
+                        type="checkbox"
+                        checked={createMissing}
+                        onChange={(e) => setCreateMissing(e.target.checked)}
+                      />
+                      Add trucks and drivers that do not exist yet
+                    </label>
+                  )}
+                </div>
+                <div className="flex justify-end space-x-3">
+                  <button type="button" onClick={onClose} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handlePreview()}
+                    disabled={busy || !content.trim()}
+                    className="btn btn-primary"
+                  >
+                    {busy ? 'Reading...' : 'Preview'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-3 text-sm">
+                  <span className="px-2 py-1 rounded bg-green-100 text-green-700">{preview.summary.valid} to import</span>
+                  {preview.summary.invalid > 0 && (
+                    <span className="px-2 py-1 rounded bg-red-100 text-red-700">{preview.summary.invalid} with errors</span>
+                  )}
+                  {preview.summary.duplicates > 0 && (
+                    <span className="px-2 py-1 rounded bg-gray-100 text-gray-600">{preview.summary.duplicates} already imported</span>
+                  )}
+                </div>
+                {(preview.summary.newVehicles.length > 0 || preview.summary.newDrivers.length > 0) && (
+                  <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800 space-y-1">
+                    {preview.summary.newVehicles.length > 0 && (
+                      <p>New trucks: {preview.summary.newVehicles.join(', ')}</p>
+                    )}
+                    {preview.summary.newDrivers.length > 0 && (
+                      <p>New drivers: {preview.summary.newDrivers.join(', ')}</p>
+                    )}
+                  </div>
+                )}
+                {Object.keys(preview.packagingUnits).length > 0 && (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                    {Object.entries(preview.packagingUnits).map(([unit, packagingTypeId]) => (
+                      <div key={unit}>
+                        <label className="form-label capitalize">{unit}</label>
+                        <select
+                          className="form-select"
+                          value={packagingTypeId || ''}
+                          disabled={busy}
+                          onChange={(e) => handlePackagingType(unit, e.target.value)}
+                        >
+                          <option value="">Choose packaging type</option>
+                          {packagingTypes.map(pt => (
+                            <option key={pt.id} value={pt.id}>{pt.code} - {pt.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Line</th>
+                        <th>Load</th>
+                        <th>Dispatch</th>
+                        <th>Route</th>
+                        <th>Truck</th>
+                        <th>Driver</th>
+                        <th>Status</th>
+                        <th>Packaging</th>
+                        <th>Issues</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.map(row => (
+                        <tr
+                          key={row.line}
+                          className={row.errors.length > 0 ? 'bg-red-50' : row.duplicate ? 'bg-gray-50 text-gray-500' : ''}
+                        >
+                          <td>{row.line}</td>
+                          <td className="font-medium">{row.load_number || '-'}</td>
+                          <td>{row.load.dispatch_date || '-'}</td>
+                          <td>{row.farm} → {row.destination}</td>
+                          <td>{row.vehicle?.registration || '-'}</td>
+                          <td>{row.driver?.name || '-'}</td>
+                          <td><LoadStatusBadge status={row.load.status} /></td>
+                          <td>
+                            {row.packaging.length > 0
+                              ? row.packaging.map(p => `${p.quantity} ${p.packaging_type_code || p.unit}`).join(', ')
+                              : '-'}
+                          </td>
+                          <td className="text-xs">
+                            {row.errors.map(message => (
+                              <div key={message} className="text-red-600">{message}</div>
+                            ))}
+                            {row.warnings.map(message => (
+                              <div key={message} className="text-yellow-700">{message}</div>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="flex justify-between pt-4 border-t">
+                  <button type="button" onClick={() => setPreview(null)} className="btn btn-secondary">
+                    Back
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={busy || preview.summary.valid === 0}
+                    className="btn btn-primary"
+                  >
+                    {busy ? 'Importing...' : `Import ${preview.summary.valid} Load${preview.summary.valid === 1 ? '' : 's'}`}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function Loads() {
+  const { hasPermission } = useAuthStore();
   const [searchParams, setSearchParams] = useSearchParams();
   const [loads, setLoads] = useState([]);
   const [sites, setSites] = useState([]);
@@ -50,6 +309,7 @@ function Loads() {
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({ total: 0, limit: 20, offset: 0 });
   const [showFilters, setShowFilters] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
 
   // Filters
   const [filters, setFilters] = useState({
@@ -154,10 +414,20 @@ function Loads() {
             Manage and track all packaging loads
           </p>
         </div>
-        <Link to="/loads/new" className="btn btn-primary">
-          <PlusIcon className="w-5 h-5 mr-2" />
-          New Load
-        </Link>
+        <div className="flex gap-2">
+          {hasPermission('loads.import') && (
+            <button onClick={() => setIsImportOpen(true)} className="btn btn-secondary">
+              <ArrowUpTrayIcon className="w-5 h-5 mr-2" />
+              Import
+            </button>
+          )}
+          {hasPermission('loads.create') && (
+            <Link to="/loads/new" className="btn btn-primary">
+              <PlusIcon className="w-5 h-5 mr-2" />
+              New Load
+            </Link>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
@@ -214,6 +484,7 @@ function Loads() {
                 <option value="departed">Departed</option>
                 <option value="in_transit">In Transit</option>
                 <option value="arrived_depot">At Depot</option>
+                <option value="unloading">Unloading</option>
                 <option value="completed">Completed</option>
                 <option value="cancelled">Cancelled</option>
               </select>
@@ -341,7 +612,7 @@ function Loads() {
                     )}
                   </div>
                   <div className="flex items-center gap-2">
-                    {(load.status === 'scheduled' || load.status === 'loading') && (
+                    {(load.status === 'scheduled' || load.status === 'loading') && hasPermission('loads.edit') && (
                       <Link
                         to={`/loads/${load.id}/edit`}
                         className="p-2 text-gray-400 hover:text-primary-600 hover:bg-gray-100 rounded-lg"
@@ -350,7 +621,7 @@ function Loads() {
                         <PencilIcon className="w-4 h-4" />
                       </Link>
                     )}
-                    {load.status === 'scheduled' && (
+                    {load.status === 'scheduled' && hasPermission('loads.delete') && (
                       <button
                         onClick={() => handleDeleteLoad(load)}
                         className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
@@ -569,6 +840,12 @@ function Loads() {
           </>
         )}
       </div>
+
+      <ImportModal
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={loadLoads}
+      />
     </div>
   );
 }
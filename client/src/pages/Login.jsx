@@ -1,16 +1,97 @@
-import { CubeIcon, UserPlusIcon } from '@heroicons/react/24/outline';
-import axios from 'axios';
+import { CubeIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
 import { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
 import { useNavigate } from 'react-router-dom';
+import TwoFactorSetup from '../components/TwoFactorSetup';
+import { requestPasswordReset } from '../lib/api';
 import { useAuthStore } from '../stores/authStore';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+/**
+ * Second sign-in step: a code from the authenticator app or a recovery
+ * code, or enrolment when the role requires 2FA and the user has none
+ * @param {{ mfa: { mfaToken: string, mfaEnrolled: boolean }, onCancel: () => void }} props
+ */
+function MfaStep({ mfa, onCancel }) {
+  const { verifyMfa, setSession } = useAuthStore();
+  const navigate = useNavigate();
+  const [code, setCode] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    try {
+      await verifyMfa(mfa.mfaToken, code);
+      toast.success('Welcome back!');
+      navigate('/');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Verification failed');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEnabled = (data) => {
+    setSession(data);
+    toast.success('Two-factor authentication enabled');
+    navigate('/');
+  };
+
+  return (
+    <div className="space-y-5">
+      {mfa.mfaEnrolled ? (
+        <form onSubmit={handleVerify} className="space-y-5">
+          <div>
+            <label htmlFor="code" className="form-label">
+              Authentication Code
+            </label>
+            <input
+              id="code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              className="form-input"
+              placeholder="123456"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Enter the code from your authenticator app, or one of your recovery codes
+            </p>
+          </div>
+          <button type="submit" disabled={isLoading} className="w-full btn btn-primary py-3 text-base">
+            {isLoading ? 'Verifying...' : 'Verify'}
+          </button>
+        </form>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600">
+            Your role requires two-factor authentication. Set it up to continue.
+          </p>
+          <TwoFactorSetup mfaToken={mfa.mfaToken} onEnabled={handleEnabled} />
+        </>
+      )}
+      <div className="text-center">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          Back to Sign In
+        </button>
+      </div>
+    </div>
+  );
+}
 
 function Login() {
   const [isLoading, setIsLoading] = useState(false);
-  const [showSignUp, setShowSignUp] = useState(false);
+  const [showForgot, setShowForgot] = useState(false);
+  // Second step returned by login when 2FA is needed
+  const [mfa, setMfa] = useState(null);
   const { login } = useAuthStore();
   const navigate = useNavigate();
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
@@ -18,33 +99,30 @@ function Login() {
   const onSubmit = async (data) => {
     setIsLoading(true);
     try {
-      if (showSignUp) {
-        // Register new user
-        await axios.post(`${API_BASE_URL}/auth/register`, {
-          email: data.email,
-          password: data.password,
-          firstName: data.firstName,
-          lastName: data.lastName,
-          role: data.role || 'readonly'
-        });
-        toast.success('Account created! Please sign in.');
-        setShowSignUp(false);
+      if (showForgot) {
+        const res = await requestPasswordReset(data.email);
+        toast.success(res.data.message);
+        setShowForgot(false);
         reset();
       } else {
         // Login
-        await login(data.email, data.password);
+        const step = await login(data.email, data.password);
+        if (step) {
+          setMfa(step);
+          return;
+        }
         toast.success('Welcome back!');
         navigate('/');
       }
     } catch (error) {
-      toast.error(error.response?.data?.error?.message || error.message || (showSignUp ? 'Registration failed' : 'Login failed'));
+      toast.error(error.response?.data?.error?.message || error.message || (showForgot ? 'Failed to send reset link' : 'Login failed'));
     } finally {
       setIsLoading(false);
     }
   };
 
-  const toggleMode = () => {
-    setShowSignUp(!showSignUp);
+  const toggleForgot = () => {
+    setShowForgot(!showForgot);
     reset();
   };
 
@@ -55,155 +133,120 @@ function Login() {
           {/* Logo */}
           <div className="flex flex-col items-center mb-8">
             <div className="w-16 h-16 bg-primary-100 rounded-2xl flex items-center justify-center mb-4">
-              {showSignUp ? (
-                <UserPlusIcon className="w-10 h-10 text-primary-600" />
+              {mfa ? (
+                <ShieldCheckIcon className="w-10 h-10 text-primary-600" />
               ) : (
                 <CubeIcon className="w-10 h-10 text-primary-600" />
               )}
             </div>
             <h1 className="text-2xl font-bold text-gray-900">
-              {showSignUp ? 'Create Account' : 'PackTrack'}
+              {mfa ? 'Two-Factor Authentication' : showForgot ? 'Reset Password' : 'PackTrack'}
             </h1>
             <p className="text-sm text-gray-500 mt-1">
-              {showSignUp ? 'Sign up for a new account' : 'Packaging Load Tracker'}
+              {mfa
+                ? 'One more step to sign in'
+                : showForgot
+                ? 'We will email you a link to set a new password'
+                : 'Packaging Load Tracker'}
             </p>
           </div>
 
-          {/* Form */}
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
-            {showSignUp && (
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <label htmlFor="firstName" className="form-label">
-                    First Name
-                  </label>
-                  <input
-                    id="firstName"
-                    type="text"
-                    className="form-input"
-                    placeholder="John"
-                    {...register('firstName', {
-                      required: showSignUp ? 'First name is required' : false,
-                    })}
-                  />
-                  {errors.firstName && (
-                    <p className="mt-1 text-sm text-red-600">{errors.firstName.message}</p>
-                  )}
-                </div>
+          {mfa ? (
+            <MfaStep mfa={mfa} onCancel={() => setMfa(null)} />
+          ) : (
+            <>
+              {/* Form */}
+              <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
                 <div>
-                  <label htmlFor="lastName" className="form-label">
-                    Last Name
+                  <label htmlFor="email" className="form-label">
+                    Email Address
                   </label>
                   <input
-                    id="lastName"
-                    type="text"
+                    id="email"
+                    type="email"
+                    autoComplete="email"
                     className="form-input"
-                    placeholder="Doe"
-                    {...register('lastName', {
-                      required: showSignUp ? 'Last name is required' : false,
+                    placeholder="you@example.com"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address',
+                      },
                     })}
                   />
-                  {errors.lastName && (
-                    <p className="mt-1 text-sm text-red-600">{errors.lastName.message}</p>
+                  {errors.email && (
+                    <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
                   )}
                 </div>
-              </div>
-            )}
 
-            <div>
-              <label htmlFor="email" className="form-label">
-                Email Address
-              </label>
-              <input
-                id="email"
-                type="email"
-                autoComplete="email"
-                className="form-input"
-                placeholder="you@example.com"
-                {...register('email', {
-                  required: 'Email is required',
-                  pattern: {
-                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                    message: 'Invalid email address',
-                  },
-                })}
-              />
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
-              )}
-            </div>
+                {!showForgot && (
+                  <div>
+                    <label htmlFor="password" className="form-label">
+                      Password
+                    </label>
+                    <input
+                      id="password"
+                      type="password"
+                      autoComplete="current-password"
+                      className="form-input"
+                      placeholder="••••••••"
+                      {...register('password', {
+                        required: 'Password is required',
+                        minLength: {
+                          value: 6,
+                          message: 'Password must be at least 6 characters',
+                        },
+                      })}
+                    />
+                    {errors.password && (
+                      <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                    )}
+                    <div className="mt-2 text-right">
+                      <button
+                        type="button"
+                        onClick={toggleForgot}
+                        className="text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        Forgot password?
+                      </button>
+                    </div>
+                  </div>
+                )}
 
-            <div>
-              <label htmlFor="password" className="form-label">
-                Password
-              </label>
-              <input
-                id="password"
-                type="password"
-                autoComplete="current-password"
-                className="form-input"
-                placeholder="••••••••"
-                {...register('password', {
-                  required: 'Password is required',
-                  minLength: {
-                    value: 6,
-                    message: 'Password must be at least 6 characters',
-                  },
-                })}
-              />
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-              )}
-            </div>
-
-            {showSignUp && (
-              <div>
-                <label htmlFor="role" className="form-label">
-                  Role
-                </label>
-                <select
-                  id="role"
-                  className="form-select"
-                  {...register('role')}
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full btn btn-primary py-3 text-base"
                 >
-                  <option value="readonly">Read Only</option>
-                  <option value="farm_user">Farm User</option>
-                  <option value="depot_user">Depot User</option>
-                  <option value="dispatcher">Dispatcher</option>
-                  <option value="admin">Admin</option>
-                </select>
-              </div>
-            )}
+                  {isLoading ? (
+                    <span className="flex items-center justify-center">
+                      <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      {showForgot ? 'Sending...' : 'Signing in...'}
+                    </span>
+                  ) : (
+                    showForgot ? 'Send Reset Link' : 'Sign In'
+                  )}
+                </button>
+              </form>
 
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="w-full btn btn-primary py-3 text-base"
-            >
-              {isLoading ? (
-                <span className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  {showSignUp ? 'Creating Account...' : 'Signing in...'}
-                </span>
-              ) : (
-                showSignUp ? 'Create Account' : 'Sign In'
+              {/* Back from the reset form */}
+              {showForgot && (
+                <div className="mt-6 text-center">
+                  <button
+                    type="button"
+                    onClick={toggleForgot}
+                    className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+                  >
+                    Back to Sign In
+                  </button>
+                </div>
               )}
-            </button>
-          </form>
-
-          {/* Toggle between login and signup */}
-          <div className="mt-6 text-center">
-            <button
-              type="button"
-              onClick={toggleMode}
-              className="text-sm text-primary-600 hover:text-primary-700 font-medium"
-            >
-              {showSignUp ? 'Already have an account? Sign In' : "Don't have an account? Create one"}
-            </button>
-          </div>
+            </>
+          )}
         </div>
       </div>
     </div>
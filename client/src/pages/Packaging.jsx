@@ -2,7 +2,9 @@ import {
   ArrowDownIcon,
   ArrowsRightLeftIcon,
   ArrowUpIcon,
+  ArrowUpTrayIcon,
   CubeIcon,
+  ScaleIcon,
   PencilIcon,
   PlusIcon,
   TrashIcon,
@@ -12,9 +14,20 @@ import { format } from 'date-fns';
 import { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
-import { createPackagingType, deletePackagingType, getPackagingMovements, getPackagingTypes, updatePackagingType } from '../lib/api';
+import BulkImportModal from '../components/BulkImportModal';
+import {
+  createPackagingType,
+  deletePackagingType,
+  getBalanceReconciliation,
+  getPackagingMovements,
+  getPackagingTypes,
+  rebuildBalances,
+  updatePackagingType,
+} from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
 
 function Packaging() {
+  const { hasPermission } = useAuthStore();
   const [packagingTypes, setPackagingTypes] = useState([]);
   const [movements, setMovements] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -22,6 +35,10 @@ function Packaging() {
   const [showModal, setShowModal] = useState(false);
   const [editingType, setEditingType] = useState(null);
   const [saving, setSaving] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [differences, setDifferences] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
+  const [rebuilding, setRebuilding] = useState(false);
 
   const { register, handleSubmit, reset, formState: { errors } } = useForm();
 
@@ -53,6 +70,7 @@ function Packaging() {
         description: type.description || '',
         capacityKg: type.capacity_kg || '',
         expectedTurnaroundDays: type.expected_turnaround_days || 14,
+        replacementCost: type.replacement_cost ?? 0,
         isReturnable: type.is_returnable,
         isActive: type.is_active,
       });
@@ -63,6 +81,7 @@ function Packaging() {
         description: '',
         capacityKg: '',
         expectedTurnaroundDays: 14,
+        replacementCost: 0,
         isReturnable: true,
         isActive: true,
       });
@@ -109,6 +128,34 @@ function Packaging() {
     }
   };
 
+  const handleReconcile = async () => {
+    setReconciling(true);
+    try {
+      const res = await getBalanceReconciliation();
+      setDifferences(res.data.differences || []);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to compare balances');
+    } finally {
+      setReconciling(false);
+    }
+  };
+
+  const handleRebuild = async () => {
+    if (!window.confirm(`Overwrite ${differences.length} stored balance(s) with the ledger totals?`)) {
+      return;
+    }
+    setRebuilding(true);
+    try {
+      const res = await rebuildBalances();
+      toast.success(res.data.message || 'Balances rebuilt');
+      setDifferences(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to rebuild balances');
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
   /**
    * Movement type icon
    * @param {{ type: string }} props
@@ -144,10 +191,26 @@ function Packaging() {
             Manage packaging types and track movements
           </p>
         </div>
-        <button onClick={() => openModal()} className="btn btn-primary">
-          <PlusIcon className="w-5 h-5 mr-2" />
-          Add Type
-        </button>
+        <div className="flex gap-2">
+          {hasPermission('inventory.adjust') && (
+            <button onClick={handleReconcile} disabled={reconciling} className="btn btn-secondary">
+              <ScaleIcon className="w-5 h-5 mr-2" />
+              {reconciling ? 'Checking...' : 'Reconcile Balances'}
+            </button>
+          )}
+          {hasPermission('packaging.manage') && (
+            <>
+              <button onClick={() => setIsImportOpen(true)} className="btn btn-secondary">
+                <ArrowUpTrayIcon className="w-5 h-5 mr-2" />
+                Import
+              </button>
+              <button onClick={() => openModal()} className="btn btn-primary">
+                <PlusIcon className="w-5 h-5 mr-2" />
+                Add Type
+              </button>
+            </>
+          )}
+        </div>
       </div>
 
       {/* Tabs */}
@@ -174,22 +237,24 @@ function Packaging() {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           {packagingTypes.map(type => (
             <div key={type.id} className="card p-5 relative group">
-              <div className="absolute top-3 right-3 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                <button
-                  onClick={() => openModal(type)}
-                  className="p-2 hover:bg-gray-100 rounded"
-                  title="Edit"
-                >
-                  <PencilIcon className="w-4 h-4 text-gray-500" />
-                </button>
-                <button
-                  onClick={() => handleDelete(type)}
-                  className="p-2 hover:bg-red-50 rounded"
-                  title="Delete"
-                >
-                  <TrashIcon className="w-4 h-4 text-red-500" />
-                </button>
-              </div>
+              {hasPermission('packaging.manage') && (
+                <div className="absolute top-3 right-3 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={() => openModal(type)}
+                    className="p-2 hover:bg-gray-100 rounded"
+                    title="Edit"
+                  >
+                    <PencilIcon className="w-4 h-4 text-gray-500" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(type)}
+                    className="p-2 hover:bg-red-50 rounded"
+                    title="Delete"
+                  >
+                    <TrashIcon className="w-4 h-4 text-red-500" />
+                  </button>
+                </div>
+              )}
               <div className="flex items-start justify-between mb-4">
                 <div className="p-3 bg-primary-100 rounded-lg">
                   <CubeIcon className="w-6 h-6 text-primary-600" />
@@ -354,6 +419,18 @@ function Packaging() {
                 </div>
               </div>
 
+              <div>
+                <label className="form-label">Replacement Cost (per unit)</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  {...register('replacementCost')}
+                  className="form-input"
+                  placeholder="Charged back for missing or damaged units"
+                />
+              </div>
+
               <div className="flex gap-6">
                 <label className="flex items-center gap-2">
                   <input type="checkbox" {...register('isReturnable')} className="rounded" />
@@ -377,6 +454,81 @@ function Packaging() {
           </div>
         </div>
       )}
+
+      {/* Balance Reconciliation Modal */}
+      {differences && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-4 border-b">
+              <div>
+                <h3 className="text-lg font-semibold">Balance Reconciliation</h3>
+                <p className="text-sm text-gray-500">Stored site balances compared with the packaging ledger</p>
+              </div>
+              <button onClick={() => setDifferences(null)} className="p-1 hover:bg-gray-100 rounded">
+                <XMarkIcon className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="overflow-auto">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Site</th>
+                    <th>Packaging</th>
+                    <th className="text-right">Stored</th>
+                    <th className="text-right">Ledger</th>
+                    <th className="text-right">Damaged (stored / ledger)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {differences.length === 0 ? (
+                    <tr>
+                      <td colSpan="5" className="text-center text-gray-500 py-8">
+                        All stored balances match the ledger
+                      </td>
+                    </tr>
+                  ) : (
+                    differences.map((diff) => (
+                      <tr key={`${diff.site_id}-${diff.packaging_type_id}`}>
+                        <td>{diff.site_name || diff.site_code}</td>
+                        <td>
+                          <span className="font-medium">{diff.packaging_type_name || diff.packaging_type_code}</span>
+                        </td>
+                        <td className="text-right">{diff.stored_quantity}</td>
+                        <td className={`text-right font-medium ${diff.quantity_difference ? 'text-red-600' : ''}`}>
+                          {diff.ledger_quantity}
+                        </td>
+                        <td className={`text-right ${diff.damaged_difference ? 'text-red-600' : ''}`}>
+                          {diff.stored_damaged} / {diff.ledger_damaged}
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-end gap-3 p-4 border-t">
+              <button type="button" onClick={() => setDifferences(null)} className="btn btn-secondary">
+                Close
+              </button>
+              {hasPermission('inventory.rebuild') && differences.length > 0 && (
+                <button onClick={handleRebuild} disabled={rebuilding} className="btn btn-primary">
+                  {rebuilding ? 'Rebuilding...' : 'Rebuild from Ledger'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <BulkImportModal
+        entity="packaging_types"
+        title="Import Packaging Types"
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={loadData}
+      />
     </div>
   );
 }
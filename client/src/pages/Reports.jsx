@@ -3,18 +3,321 @@ import {
     ClockIcon,
     CubeIcon,
     DocumentArrowDownIcon,
+    CurrencyDollarIcon,
     ExclamationTriangleIcon,
+    PrinterIcon,
 } from '@heroicons/react/24/outline';
 import { format, subDays } from 'date-fns';
 import { useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
 import {
+    createChargeBack,
+    deleteChargeBack,
+    exportChargeBack,
     exportLoads,
+    getChargeBack,
+    getChargeBacks,
     getDepotStatement,
     getExceptionReport,
     getFarmStatement,
     getSites,
+    issueChargeBack,
+    settleChargeBack,
 } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
+
+const CHARGE_BACK_STATUS_CLASSES = {
+  draft: 'bg-gray-100 text-gray-700',
+  issued: 'bg-blue-100 text-blue-700',
+  settled: 'bg-green-100 text-green-700',
+};
+
+/**
+ * Format a charge-back amount
+ * @param {number|string} value
+ */
+const formatAmount = (value) =>
+  Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Charge-back statements - priced missing/damaged packaging per site
+ * @param {{ sites: Array<object>, dateRange: { startDate: string, endDate: string }, setDateRange: Function }} props
+ */
+function ChargeBacksTab({ sites, dateRange, setDateRange }) {
+  const { hasPermission } = useAuthStore();
+  const [statements, setStatements] = useState([]);
+  const [siteId, setSiteId] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [working, setWorking] = useState(false);
+
+  const canManage = hasPermission('reports.finance');
+
+  useEffect(() => {
+    loadStatements();
+  }, [siteId]);
+
+  const loadStatements = async () => {
+    try {
+      const res = await getChargeBacks(siteId ? { siteId } : {});
+      setStatements(res.data.statements);
+    } catch (error) {
+      toast.error('Failed to load charge-back statements');
+    }
+  };
+
+  const openStatement = async (id) => {
+    try {
+      const res = await getChargeBack(id);
+      setSelected(res.data.statement);
+      setLines(res.data.lines);
+    } catch (error) {
+      toast.error('Failed to load statement');
+    }
+  };
+
+  const handleGenerate = async () => {
+    if (!siteId) {
+      toast.error('Please select a site');
+      return;
+    }
+    setWorking(true);
+    try {
+      const res = await createChargeBack({
+        siteId,
+        periodStart: dateRange.startDate,
+        periodEnd: dateRange.endDate,
+      });
+      toast.success(`Statement ${res.data.statement.statement_number} generated`);
+      await loadStatements();
+      openStatement(res.data.statement.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to generate statement');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  /** @param {() => Promise<any>} action @param {string} successMessage */
+  const runAction = async (action, successMessage) => {
+    setWorking(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await loadStatements();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleIssue = () => runAction(async () => {
+    await issueChargeBack(selected.id);
+    await openStatement(selected.id);
+  }, 'Statement issued');
+
+  const handleSettle = () => runAction(async () => {
+    await settleChargeBack(selected.id);
+    await openStatement(selected.id);
+  }, 'Statement settled');
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete draft ${selected.statement_number}?`)) return;
+    runAction(async () => {
+      await deleteChargeBack(selected.id);
+      setSelected(null);
+      setLines([]);
+    }, 'Draft deleted');
+  };
+
+  /** @param {'csv'|'html'} exportFormat */
+  const handleExport = async (exportFormat) => {
+    try {
+      const blob = await exportChargeBack(selected.id, exportFormat);
+      const url = window.URL.createObjectURL(blob);
+
+      if (exportFormat === 'html') {
+        window.open(url, '_blank');
+        return;
+      }
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${selected.statement_number}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      toast.error('Failed to export statement');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Filters */}
+      <div className="card p-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div className="md:col-span-2">
+            <label className="form-label">Site</label>
+            <select
+              className="form-select"
+              value={siteId}
+              onChange={(e) => setSiteId(e.target.value)}
+            >
+              <option value="">All sites</option>
+              {sites.map(site => (
+                <option key={site.id} value={site.id}>
+                  {site.code} - {site.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Period Start</label>
+            <input
+              type="date"
+              className="form-input"
+              value={dateRange.startDate}
+              onChange={(e) => setDateRange({ ...dateRange, startDate: e.target.value })}
+            />
+          </div>
+          <div>
+            <label className="form-label">Period End</label>
+            <input
+              type="date"
+              className="form-input"
+              value={dateRange.endDate}
+              onChange={(e) => setDateRange({ ...dateRange, endDate: e.target.value })}
+            />
+          </div>
+          {canManage && (
+            <div className="flex items-end">
+              <button
+                onClick={handleGenerate}
+                disabled={working || !siteId}
+                className="btn btn-primary w-full"
+              >
+                {working ? 'Working...' : 'Generate Statement'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Statement list */}
+        <div className="card">
+          <div className="card-header">
+            <h3 className="font-semibold text-gray-900">Statements</h3>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {statements.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">No statements yet</p>
+            ) : (
+              statements.map(st => (
+                <button
+                  key={st.id}
+                  onClick={() => openStatement(st.id)}
+                  className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selected?.id === st.id ? 'bg-primary-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">{st.statement_number}</span>
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${CHARGE_BACK_STATUS_CLASSES[st.status]}`}>
+                      {st.status}
+                    </span>
+                  </div>
+                  <div className="flex items-center justify-between text-sm text-gray-500">
+                    <span>{st.site_code} &middot; {format(new Date(st.period_end), 'MMM yyyy')}</span>
+                    <span className="font-medium text-gray-900">{formatAmount(st.total_amount)}</span>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+
+        {/* Statement detail */}
+        <div className="lg:col-span-2 card">
+          {!selected ? (
+            <div className="p-12 text-center">
+              <CurrencyDollarIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">Select a statement or generate a new one</p>
+            </div>
+          ) : (
+            <>
+              <div className="card-header flex items-center justify-between">
+                <div>
+                  <h3 className="font-semibold text-gray-900">{selected.statement_number}</h3>
+                  <p className="text-sm text-gray-500">
+                    {selected.sites?.name} &middot; {format(new Date(selected.period_start), 'MMM d')} - {format(new Date(selected.period_end), 'MMM d, yyyy')}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => handleExport('csv')} className="btn btn-secondary btn-sm">
+                    <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                    CSV
+                  </button>
+                  <button onClick={() => handleExport('html')} className="btn btn-secondary btn-sm">
+                    <PrinterIcon className="w-4 h-4 mr-1" />
+                    Print
+                  </button>
+                  {canManage && selected.status === 'draft' && (
+                    <>
+                      <button onClick={handleDelete} disabled={working} className="btn btn-danger btn-sm">Delete</button>
+                      <button onClick={handleIssue} disabled={working} className="btn btn-primary btn-sm">Issue</button>
+                    </>
+                  )}
+                  {hasPermission('reports.settle') && selected.status === 'issued' && (
+                    <button onClick={handleSettle} disabled={working} className="btn btn-primary btn-sm">Mark Settled</button>
+                  )}
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Reference</th>
+                      <th>Charge</th>
+                      <th>Packaging</th>
+                      <th className="text-right">Qty</th>
+                      <th className="text-right">Unit Cost</th>
+                      <th className="text-right">Amount</th>
+                      <th className="text-right">Running Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lines.map(line => (
+                      <tr key={line.id}>
+                        <td>{format(new Date(line.event_date), 'MMM d, yyyy')}</td>
+                        <td className="font-medium">{line.reference_number || '-'}</td>
+                        <td>{line.charge_type_label}</td>
+                        <td>{line.packaging_type_name}</td>
+                        <td className="text-right">{line.quantity}</td>
+                        <td className="text-right">{formatAmount(line.unit_cost)}</td>
+                        <td className="text-right">{formatAmount(line.amount)}</td>
+                        <td className="text-right text-gray-600">{formatAmount(line.running_total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr>
+                      <td colSpan="6" className="font-semibold">Total</td>
+                      <td className="text-right font-semibold">{formatAmount(selected.total_amount)}</td>
+                      <td></td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
 
 function Reports() {
   const [activeTab, setActiveTab] = useState('statements');
@@ -136,6 +439,7 @@ function Reports() {
           {[
             { id: 'statements', label: 'Site Statements' },
             { id: 'exceptions', label: 'Exception Reports' },
+            { id: 'chargebacks', label: 'Charge-backs' },
           ].map(tab => (
             <button
               key={tab.id}
@@ -285,18 +589,33 @@ function Reports() {
                     <table className="data-table">
                       <thead>
                         <tr>
-                          <th>Location</th>
                           <th>Packaging Type</th>
-                          <th className="text-right">Quantity</th>
-                          <th>Oldest</th>
+                          <th className="text-right">0-7 days</th>
+                          <th className="text-right">8-14 days</th>
+                          <th className="text-right">15-30 days</th>
+                          <th className="text-right">30+ days</th>
+                          <th className="text-right">Total</th>
+                          <th className="text-right">Overdue</th>
+                          <th>Oldest Dispatch</th>
                         </tr>
                       </thead>
                       <tbody>
                         {statement.outstanding.map((item, idx) => (
                           <tr key={idx}>
-                            <td className="font-medium">{item.location}</td>
-                            <td>{item.packaging_type}</td>
-                            <td className="text-right">{item.quantity}</td>
+                            <td>
+                              <div className="font-medium">{item.packaging_type}</div>
+                              <div className="text-sm text-gray-500">Turnaround {item.expected_turnaround_days} days</div>
+                            </td>
+                            <td className="text-right">{item.days_0_7.toLocaleString()}</td>
+                            <td className="text-right">{item.days_8_14.toLocaleString()}</td>
+                            <td className="text-right">{item.days_15_30.toLocaleString()}</td>
+                            <td className="text-right">{item.days_over_30.toLocaleString()}</td>
+                            <td className="text-right font-medium">{item.quantity.toLocaleString()}</td>
+                            <td className="text-right">
+                              {item.overdue_quantity > 0 ? (
+                                <span className="text-red-600 font-medium">{item.overdue_quantity.toLocaleString()}</span>
+                              ) : '-'}
+                            </td>
                             <td>{format(new Date(item.oldest_dispatch), 'MMM d, yyyy')}</td>
                           </tr>
                         ))}
@@ -445,6 +764,11 @@ function Reports() {
           )}
         </div>
       )}
+
+      {/* Charge-backs Tab */}
+      {activeTab === 'chargebacks' && (
+        <ChargeBacksTab sites={sites} dateRange={dateRange} setDateRange={setDateRange} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,136 @@
+import { KeyIcon } from '@heroicons/react/24/outline';
+import { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { getPasswordToken, resetPassword } from '../lib/api';
+
+/**
+ * Set a password from an invitation or password reset link
+ */
+function SetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [link, setLink] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+  const { register, handleSubmit, watch, formState: { errors } } = useForm();
+
+  useEffect(() => {
+    if (!token) {
+      setChecking(false);
+      return;
+    }
+
+    getPasswordToken(token)
+      .then(res => setLink(res.data))
+      .catch(() => setLink(null))
+      .finally(() => setChecking(false));
+  }, [token]);
+
+  const onSubmit = async (data) => {
+    setIsLoading(true);
+    try {
+      const res = await resetPassword(token, data.password);
+      toast.success(res.data.message);
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to set password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const isInvite = link?.purpose === 'invite';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+      <div className="w-full max-w-md">
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <div className="flex flex-col items-center mb-8">
+            <div className="w-16 h-16 bg-primary-100 rounded-2xl flex items-center justify-center mb-4">
+              <KeyIcon className="w-10 h-10 text-primary-600" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900">
+              {isInvite ? 'Welcome to PackTrack' : 'Set a New Password'}
+            </h1>
+            {link && (
+              <p className="text-sm text-gray-500 mt-1">
+                {isInvite ? `Hi ${link.firstName}, choose a password for ${link.email}` : link.email}
+              </p>
+            )}
+          </div>
+
+          {checking ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : !link ? (
+            <div className="text-center space-y-4">
+              <p className="text-sm text-gray-600">
+                This link is invalid or has expired. Ask an administrator for a new invitation, or request a new
+                reset link from the sign-in page.
+              </p>
+              <Link to="/login" className="text-sm text-primary-600 hover:text-primary-700 font-medium">
+                Back to Sign In
+              </Link>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
+              <div>
+                <label htmlFor="password" className="form-label">
+                  New Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  autoComplete="new-password"
+                  className="form-input"
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: {
+                      value: 6,
+                      message: 'Password must be at least 6 characters',
+                    },
+                  })}
+                />
+                {errors.password && (
+                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="form-label">
+                  Confirm Password
+                </label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  className="form-input"
+                  {...register('confirmPassword', {
+                    validate: (value) => value === watch('password') || 'Passwords do not match',
+                  })}
+                />
+                {errors.confirmPassword && (
+                  <p className="mt-1 text-sm text-red-600">{errors.confirmPassword.message}</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full btn btn-primary py-3 text-base"
+              >
+                {isLoading ? 'Saving...' : isInvite ? 'Set Password' : 'Reset Password'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SetPassword;
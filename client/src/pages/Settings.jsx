@@ -1,24 +1,1475 @@
 import {
+  ArrowUpTrayIcon,
+  BellIcon,
+  ComputerDesktopIcon,
+  GlobeAltIcon,
   IdentificationIcon,
+  KeyIcon,
   PlusIcon,
+  ShieldCheckIcon,
   TruckIcon,
   UserGroupIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
 import { useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
 import {
+  createApiKey,
   createDriver,
+  createNotificationSubscription,
+  createServiceAccount,
   createUser,
   createVehicle,
+  createWebhook,
   deleteDriver,
+  deleteNotificationSubscription,
+  deleteServiceAccount,
   deleteVehicle,
+  deleteWebhook,
+  disableMfa,
+  forcePasswordReset,
   getDrivers,
+  getMfaStatus,
+  getMySessions,
+  getNotificationEvents,
+  getNotificationLog,
+  getNotificationSubscriptions,
+  getPermissions,
+  getServiceAccounts,
+  getSites,
   getUsers,
   getVehicles,
+  getWebhookDeliveries,
+  getWebhookEvents,
+  getWebhooks,
+  regenerateRecoveryCodes,
+  replayWebhookDelivery,
+  resendInvite,
+  resetUserMfa,
+  revokeApiKey,
+  revokeMyOtherSessions,
+  revokeMySession,
+  revokeUserSessions,
+  rotateWebhookSecret,
+  sendTestNotification,
+  unlockUser,
+  updateNotificationSubscription,
+  updateRolePermissions,
+  updateRoleSettings,
+  updateServiceAccount,
+  updateWebhook,
 } from '../lib/api';
+import BulkImportModal from '../components/BulkImportModal';
+import TwoFactorSetup, { RecoveryCodes } from '../components/TwoFactorSetup';
+import { useAuthStore } from '../stores/authStore';
+
+const RECIPIENT_LABELS = {
+  user: 'User',
+  site_contact: 'Site contact',
+  load_driver: 'Load driver',
+  custom: 'Custom',
+};
+
+const DELIVERY_STATUS_CLASSES = {
+  sent: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+  skipped: 'bg-gray-100 text-gray-600',
+};
+
+/**
+ * Notification subscriptions, plus the delivery log and a test send for
+ * notification managers
+ */
+function NotificationsTab({ users }) {
+  const { user, hasPermission } = useAuthStore();
+  const isManager = hasPermission('notifications.manage');
+  const [options, setOptions] = useState({ events: [], channels: [], recipientTypes: ['user'] });
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [log, setLog] = useState([]);
+  const [form, setForm] = useState({ eventType: '', channel: 'email', recipientType: 'user' });
+  const [test, setTest] = useState({ channel: 'email', destination: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSubscriptions();
+    Promise.all([getNotificationEvents(), getSites()])
+      .then(([eventsRes, sitesRes]) => {
+        setOptions(eventsRes.data);
+        setSites(sitesRes.data.sites);
+        setForm(prev => ({ ...prev, eventType: eventsRes.data.events[0]?.key || '' }));
+      })
+      .catch(() => toast.error('Failed to load notification options'));
+  }, []);
+
+  const loadSubscriptions = async () => {
+    try {
+      const requests = [getNotificationSubscriptions()];
+      if (isManager) requests.push(getNotificationLog({ limit: 20 }));
+      const [subscriptionsRes, logRes] = await Promise.all(requests);
+      setSubscriptions(subscriptionsRes.data.subscriptions);
+      if (logRes) setLog(logRes.data.log);
+    } catch (error) {
+      toast.error('Failed to load notifications');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await createNotificationSubscription({
+        ...form,
+        userId: form.recipientType === 'user' ? form.userId || undefined : undefined,
+        siteId: form.siteId || null,
+        destination: form.destination || null,
+      });
+      toast.success('Subscription added');
+      setForm(prev => ({ ...prev, destination: '' }));
+      loadSubscriptions();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to add subscription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (subscription) => {
+    try {
+      await updateNotificationSubscription(subscription.id, { isActive: !subscription.is_active });
+      loadSubscriptions();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update subscription');
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!window.confirm('Remove this subscription?')) return;
+    try {
+      await deleteNotificationSubscription(subscription.id);
+      setSubscriptions(prev => prev.filter(s => s.id !== subscription.id));
+      toast.success('Subscription removed');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to remove subscription');
+    }
+  };
+
+  const handleTest = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await sendTestNotification(test.channel, test.destination);
+      const { status, error } = res.data.result;
+      if (status === 'sent') toast.success('Test notification sent');
+      else toast.error(`Test notification ${status}${error ? `: ${error}` : ''}`);
+      loadSubscriptions();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to send test');
+    }
+  };
+
+  const eventLabel = (key) => options.events.find(e => e.key === key)?.label || key;
+
+  const recipientLabel = (s) => {
+    if (s.recipient_type === 'user') return s.user_name || 'User';
+    return RECIPIENT_LABELS[s.recipient_type];
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900">Notification Subscriptions</h2>
+          <p className="text-sm text-gray-500">
+            Users are notified at their own email or phone unless a destination is given
+          </p>
+        </div>
+        <form onSubmit={handleCreate} className="card-body grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="form-label">Event</label>
+            <select
+              value={form.eventType}
+              onChange={(e) => setForm({ ...form, eventType: e.target.value })}
+              className="form-select"
+            >
+              {options.events.map(event => (
+                <option key={event.key} value={event.key}>{event.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Channel</label>
+            <select
+              value={form.channel}
+              onChange={(e) => setForm({ ...form, channel: e.target.value })}
+              className="form-select"
+            >
+              {options.channels.map(channel => (
+                <option key={channel} value={channel}>{channel}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Site</label>
+            <select
+              value={form.siteId || ''}
+              onChange={(e) => setForm({ ...form, siteId: e.target.value })}
+              className="form-select"
+            >
+              <option value="">All sites</option>
+              {sites.map(site => (
+                <option key={site.id} value={site.id}>{site.name}</option>
+              ))}
+            </select>
+          </div>
+          {isManager && (
+            <div>
+              <label className="form-label">Recipient</label>
+              <select
+                value={form.recipientType}
+                onChange={(e) => setForm({ ...form, recipientType: e.target.value })}
+                className="form-select"
+              >
+                {options.recipientTypes.map(type => (
+                  <option key={type} value={type}>{RECIPIENT_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {isManager && form.recipientType === 'user' && users.length > 0 && (
+            <div>
+              <label className="form-label">User</label>
+              <select
+                value={form.userId || ''}
+                onChange={(e) => setForm({ ...form, userId: e.target.value })}
+                className="form-select"
+              >
+                <option value="">Me</option>
+                {users.filter(u => u.is_active && u.id !== user?.id).map(u => (
+                  <option key={u.id} value={u.id}>{u.first_name} {u.last_name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="form-label">Destination</label>
+            <input
+              type="text"
+              value={form.destination || ''}
+              onChange={(e) => setForm({ ...form, destination: e.target.value })}
+              className="form-input"
+              placeholder={form.channel === 'webhook' ? 'https://...' : 'Optional email or phone'}
+            />
+          </div>
+          <div className="md:col-span-3 flex justify-end">
+            <button type="submit" disabled={saving || !form.eventType} className="btn btn-primary btn-sm">
+              <PlusIcon className="w-4 h-4 mr-1" />
+              {saving ? 'Adding...' : 'Add Subscription'}
+            </button>
+          </div>
+        </form>
+        <div className="overflow-x-auto">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Event</th>
+                <th>Channel</th>
+                <th>Recipient</th>
+                <th>Destination</th>
+                <th>Site</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {subscriptions.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="text-center text-gray-500 py-6">No subscriptions</td>
+                </tr>
+              ) : subscriptions.map(s => (
+                <tr key={s.id}>
+                  <td className="font-medium">{eventLabel(s.event_type)}</td>
+                  <td className="capitalize">{s.channel}</td>
+                  <td>{recipientLabel(s)}</td>
+                  <td>{s.destination || '-'}</td>
+                  <td>{s.site_name || 'All sites'}</td>
+                  <td>
+                    <button
+                      onClick={() => handleToggle(s)}
+                      className={`px-2 py-1 text-xs rounded ${
+                        s.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                      }`}
+                    >
+                      {s.is_active ? 'Active' : 'Paused'}
+                    </button>
+                  </td>
+                  <td>
+                    <button
+                      onClick={() => handleDelete(s)}
+                      className="p-1.5 hover:bg-red-50 rounded text-red-500 hover:text-red-700"
+                      title="Remove subscription"
+                    >
+                      <XMarkIcon className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {hasPermission('notifications.test') && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold text-gray-900">Send Test</h2>
+          </div>
+          <form onSubmit={handleTest} className="card-body flex flex-wrap items-end gap-4">
+            <div>
+              <label className="form-label">Channel</label>
+              <select
+                value={test.channel}
+                onChange={(e) => setTest({ ...test, channel: e.target.value })}
+                className="form-select"
+              >
+                {options.channels.map(channel => (
+                  <option key={channel} value={channel}>{channel}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex-1 min-w-[200px]">
+              <label className="form-label">Destination</label>
+              <input
+                type="text"
+                required
+                value={test.destination}
+                onChange={(e) => setTest({ ...test, destination: e.target.value })}
+                className="form-input"
+              />
+            </div>
+            <button type="submit" className="btn btn-secondary btn-sm">Send Test</button>
+          </form>
+        </div>
+      )}
+
+      {isManager && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-semibold text-gray-900">Recent Deliveries</h2>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Event</th>
+                  <th>Channel</th>
+                  <th>Destination</th>
+                  <th>Load</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {log.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="text-center text-gray-500 py-6">Nothing sent yet</td>
+                  </tr>
+                ) : log.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{format(new Date(entry.created_at), 'dd MMM HH:mm')}</td>
+                    <td>{entry.event_type === 'test' ? 'Test' : eventLabel(entry.event_type)}</td>
+                    <td className="capitalize">{entry.channel}</td>
+                    <td>{entry.destination || '-'}</td>
+                    <td>{entry.load_number || '-'}</td>
+                    <td>
+                      <span
+                        className={`px-2 py-1 text-xs rounded ${DELIVERY_STATUS_CLASSES[entry.status]}`}
+                        title={entry.error || undefined}
+                      >
+                        {entry.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const WEBHOOK_STATUS_CLASSES = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  delivered: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+/**
+ * Delivery log for one webhook, with replay
+ */
+function WebhookDeliveries({ webhook, onClose }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [replaying, setReplaying] = useState(null);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [webhook.id]);
+
+  const loadDeliveries = async () => {
+    setLoading(true);
+    try {
+      const res = await getWebhookDeliveries(webhook.id, { limit: 50 });
+      setDeliveries(res.data.deliveries);
+    } catch (error) {
+      toast.error('Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReplay = async (delivery) => {
+    setReplaying(delivery.id);
+    try {
+      const res = await replayWebhookDelivery(delivery.id);
+      if (res.data.delivery.status === 'delivered') toast.success('Delivery replayed');
+      else toast.error(`Replay failed: ${res.data.delivery.error || res.data.delivery.status}`);
+      loadDeliveries();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to replay delivery');
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Deliveries: {webhook.name}</h2>
+        <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+          <XMarkIcon className="w-5 h-5" />
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Event</th>
+              <th>Load</th>
+              <th>Status</th>
+              <th>Attempts</th>
+              <th>Response</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="7" className="text-center text-gray-500 py-6">Loading...</td>
+              </tr>
+            ) : deliveries.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="text-center text-gray-500 py-6">No deliveries yet</td>
+              </tr>
+            ) : deliveries.map(d => (
+              <tr key={d.id}>
+                <td>{format(new Date(d.created_at), 'dd MMM HH:mm:ss')}</td>
+                <td>
+                  {d.event_type}
+                  {d.replay_of && <span className="ml-1 text-xs text-gray-500">(replay)</span>}
+                </td>
+                <td>{d.load_number || '-'}</td>
+                <td>
+                  <span className={`px-2 py-1 text-xs rounded ${WEBHOOK_STATUS_CLASSES[d.status]}`}>
+                    {d.status}
+                  </span>
+                  {d.status === 'pending' && d.next_attempt_at && (
+                    <div className="text-xs text-gray-500">
+                      next {format(new Date(d.next_attempt_at), 'HH:mm:ss')}
+                    </div>
+                  )}
+                </td>
+                <td>{d.attempts}</td>
+                <td className="text-xs text-gray-600 max-w-xs truncate" title={d.error || d.response_body || ''}>
+                  {d.response_status || ''} {d.error || ''}
+                </td>
+                <td>
+                  <button
+                    onClick={() => handleReplay(d)}
+                    disabled={replaying === d.id}
+                    className="btn btn-secondary btn-sm"
+                  >
+                    {replaying === d.id ? 'Sending...' : 'Replay'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Outbound webhook subscriptions (admin only)
+ */
+function WebhooksTab() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [form, setForm] = useState({ name: '', url: '', eventTypes: [], siteId: '' });
+  const [saving, setSaving] = useState(false);
+  const [newSecret, setNewSecret] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    loadWebhooks();
+    Promise.all([getWebhookEvents(), getSites()])
+      .then(([eventsRes, sitesRes]) => {
+        setEvents(eventsRes.data.events);
+        setSites(sitesRes.data.sites);
+      })
+      .catch(() => toast.error('Failed to load webhook options'));
+  }, []);
+
+  const loadWebhooks = async () => {
+    try {
+      const res = await getWebhooks();
+      setWebhooks(res.data.webhooks);
+    } catch (error) {
+      toast.error('Failed to load webhooks');
+    }
+  };
+
+  const toggleEvent = (key) => {
+    setForm(prev => ({
+      ...prev,
+      eventTypes: prev.eventTypes.includes(key)
+        ? prev.eventTypes.filter(t => t !== key)
+        : [...prev.eventTypes, key]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await createWebhook({ ...form, siteId: form.siteId || null });
+      setNewSecret({ name: res.data.webhook.name, secret: res.data.webhook.secret });
+      setForm({ name: '', url: '', eventTypes: [], siteId: '' });
+      toast.success('Webhook created');
+      loadWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error?.message || 'Failed to create webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (webhook) => {
+    try {
+      await updateWebhook(webhook.id, { isActive: !webhook.is_active });
+      loadWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update webhook');
+    }
+  };
+
+  const handleRotate = async (webhook) => {
+    if (!window.confirm(`Rotate the secret for "${webhook.name}"? The receiver must be updated.`)) return;
+    try {
+      const res = await rotateWebhookSecret(webhook.id);
+      setNewSecret({ name: webhook.name, secret: res.data.webhook.secret });
+      loadWebhooks();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to rotate secret');
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete webhook "${webhook.name}" and its delivery log?`)) return;
+    try {
+      await deleteWebhook(webhook.id);
+      setWebhooks(prev => prev.filter(w => w.id !== webhook.id));
+      if (selected?.id === webhook.id) setSelected(null);
+      toast.success('Webhook deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete webhook');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {newSecret && (
+        <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <p className="text-sm font-medium text-yellow-800">
+                Signing secret for {newSecret.name}. Copy it now; it will not be shown again.
+              </p>
+              <code className="block mt-2 text-sm break-all">{newSecret.secret}</code>
+              <p className="mt-2 text-xs text-yellow-700">
+                Each request carries X-Webhook-Signature: sha256=HMAC-SHA256(secret, "&lt;X-Webhook-Timestamp&gt;.&lt;body&gt;")
+              </p>
+            </div>
+            <button onClick={() => setNewSecret(null)} className="p-1 hover:bg-yellow-100 rounded">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900">Webhooks</h2>
+          <p className="text-sm text-gray-500">Load lifecycle events posted to external systems</p>
+        </div>
+        <form onSubmit={handleCreate} className="card-body grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="form-input"
+              placeholder="e.g. ERP"
+            />
+          </div>
+          <div>
+            <label className="form-label">URL</label>
+            <input
+              type="url"
+              required
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              className="form-input"
+              placeholder="https://..."
+            />
+          </div>
+          <div>
+            <label className="form-label">Site</label>
+            <select
+              value={form.siteId}
+              onChange={(e) => setForm({ ...form, siteId: e.target.value })}
+              className="form-select"
+            >
+              <option value="">All sites</option>
+              {sites.map(site => (
+                <option key={site.id} value={site.id}>{site.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="md:col-span-3">
+            <label className="form-label">Events (none selected sends all)</label>
+            <div className="flex flex-wrap gap-4">
+              {events.map(event => (
+                <label key={event.key} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.eventTypes.includes(event.key)}
+                    onChange={() => toggleEvent(event.key)}
+                  />
+                  {event.label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="md:col-span-3 flex justify-end">
+            <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+              <PlusIcon className="w-4 h-4 mr-1" />
+              {saving ? 'Adding...' : 'Add Webhook'}
+            </button>
+          </div>
+        </form>
+        <div className="overflow-x-auto">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>URL</th>
+                <th>Events</th>
+                <th>Site</th>
+                <th>Secret</th>
+                <th>Queue</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="text-center text-gray-500 py-6">No webhooks</td>
+                </tr>
+              ) : webhooks.map(w => (
+                <tr key={w.id}>
+                  <td className="font-medium">{w.name}</td>
+                  <td className="max-w-xs truncate" title={w.url}>{w.url}</td>
+                  <td className="text-xs">{w.event_types.length ? w.event_types.join(', ') : 'All'}</td>
+                  <td>{w.site_name || 'All sites'}</td>
+                  <td className="font-mono text-xs">{w.secret_hint}</td>
+                  <td className="text-xs">
+                    {w.pending_count > 0 && <div className="text-yellow-700">{w.pending_count} pending</div>}
+                    {w.failed_count > 0 && <div className="text-red-600">{w.failed_count} failed</div>}
+                    {!w.pending_count && !w.failed_count && '-'}
+                  </td>
+                  <td>
+                    <button
+                      onClick={() => handleToggle(w)}
+                      className={`px-2 py-1 text-xs rounded ${
+                        w.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                      }`}
+                    >
+                      {w.is_active ? 'Active' : 'Paused'}
+                    </button>
+                  </td>
+                  <td>
+                    <div className="flex gap-2">
+                      <button onClick={() => setSelected(w)} className="btn btn-secondary btn-sm">
+                        Deliveries
+                      </button>
+                      <button onClick={() => handleRotate(w)} className="btn btn-secondary btn-sm">
+                        Rotate Secret
+                      </button>
+                      <button
+                        onClick={() => handleDelete(w)}
+                        className="p-1.5 hover:bg-red-50 rounded text-red-500 hover:text-red-700"
+                        title="Delete webhook"
+                      >
+                        <XMarkIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected && <WebhookDeliveries webhook={selected} onClose={() => setSelected(null)} />}
+    </div>
+  );
+}
+
+/**
+ * A service account's API keys: issue a key with chosen permissions,
+ * revoke keys
+ * @param {{ account: object, permissions: object[], onChanged: () => void, onClose: () => void }} props
+ */
+function ServiceAccountKeys({ account, permissions, onChanged, onClose }) {
+  const [form, setForm] = useState({ name: '', permissions: [], expiresAt: '' });
+  const [saving, setSaving] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+
+  const groups = [...new Set(permissions.map(p => p.group))];
+  const labels = Object.fromEntries(permissions.map(p => [p.key, p.label]));
+
+  const togglePermission = (key) => {
+    setForm(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter(p => p !== key)
+        : [...prev.permissions, key]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await createApiKey(account.id, {
+        name: form.name,
+        permissions: form.permissions,
+        expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).toISOString() : null
+      });
+      setNewKey({ name: res.data.apiKey.name, key: res.data.key });
+      setForm({ name: '', permissions: [], expiresAt: '' });
+      toast.success('API key created');
+      onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error?.message || 'Failed to create API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    if (!window.confirm(`Revoke API key "${key.name}"? Integrations using it stop working immediately.`)) return;
+    try {
+      await revokeApiKey(account.id, key.id);
+      toast.success('API key revoked');
+      onChanged();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to revoke API key');
+    }
+  };
+
+  const keyStatus = (key) => {
+    if (key.revoked_at) return { label: 'Revoked', className: 'bg-gray-100 text-gray-600' };
+    if (key.expires_at && new Date(key.expires_at) <= new Date()) {
+      return { label: 'Expired', className: 'bg-yellow-100 text-yellow-700' };
+    }
+    return { label: 'Active', className: 'bg-green-100 text-green-700' };
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">API Keys: {account.name}</h2>
+        <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+          <XMarkIcon className="w-5 h-5" />
+        </button>
+      </div>
+      {newKey && (
+        <div className="mx-6 mt-4 p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <p className="text-sm font-medium text-yellow-800">
+                API key {newKey.name}. Copy it now; it will not be shown again.
+              </p>
+              <code className="block mt-2 text-sm break-all">{newKey.key}</code>
+              <p className="mt-2 text-xs text-yellow-700">
+                Send it as Authorization: Bearer &lt;key&gt;
+              </p>
+            </div>
+            <button onClick={() => setNewKey(null)} className="p-1 hover:bg-yellow-100 rounded">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      )}
+      {account.is_active && (
+        <form onSubmit={handleCreate} className="card-body grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="form-label">Key Name</label>
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="form-input"
+              placeholder="e.g. Production"
+            />
+          </div>
+          <div>
+            <label className="form-label">Expires</label>
+            <input
+              type="date"
+              value={form.expiresAt}
+              onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+              className="form-input"
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="form-label">
+              Permissions (none selected is read only; grants the account's role lacks have no effect)
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {groups.map(group => (
+                <div key={group}>
+                  <div className="text-sm font-semibold text-gray-700 mb-1">{group}</div>
+                  {permissions.filter(p => p.group === group).map(p => (
+                    <label key={p.key} className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={form.permissions.includes(p.key)}
+                        onChange={() => togglePermission(p.key)}
+                      />
+                      {p.label}
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+          <div className="md:col-span-2 flex justify-end">
+            <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+              <PlusIcon className="w-4 h-4 mr-1" />
+              {saving ? 'Creating...' : 'Create Key'}
+            </button>
+          </div>
+        </form>
+      )}
+      <div className="overflow-x-auto">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Permissions</th>
+              <th>Last Used</th>
+              <th>Expires</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {account.api_keys.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="text-center text-gray-500 py-6">No API keys</td>
+              </tr>
+            ) : account.api_keys.map(key => {
+              const status = keyStatus(key);
+              return (
+                <tr key={key.id}>
+                  <td className="font-medium">{key.name}</td>
+                  <td className="font-mono text-xs">{key.key_prefix}…</td>
+                  <td className="text-xs">
+                    {key.permissions.length ? key.permissions.map(p => labels[p] || p).join(', ') : 'Read only'}
+                  </td>
+                  <td className="text-xs">
+                    {key.last_used_at ? (
+                      <>
+                        {format(new Date(key.last_used_at), 'dd MMM yyyy HH:mm')}
+                        {key.last_used_ip && <div className="text-gray-500">{key.last_used_ip}</div>}
+                      </>
+                    ) : 'Never'}
+                  </td>
+                  <td>{key.expires_at ? format(new Date(key.expires_at), 'dd MMM yyyy') : 'Never'}</td>
+                  <td>
+                    <span className={`px-2 py-1 text-xs rounded ${status.className}`}>{status.label}</span>
+                  </td>
+                  <td>
+                    {!key.revoked_at && (
+                      <button onClick={() => handleRevoke(key)} className="btn btn-secondary btn-sm">
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Service accounts for machine integrations. Each account has a role
+ * and optional site that cap what its API keys can do.
+ * @param {{ roleLabels: Record<string, string> }} props
+ */
+function ServiceAccountsTab({ roleLabels }) {
+  const [accounts, setAccounts] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [sites, setSites] = useState([]);
+  const [form, setForm] = useState({ name: '', role: 'readonly', assignedSiteId: '' });
+  const [saving, setSaving] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    loadAccounts();
+    getSites()
+      .then(res => setSites(res.data.sites))
+      .catch(() => toast.error('Failed to load sites'));
+  }, []);
+
+  const loadAccounts = async () => {
+    try {
+      const res = await getServiceAccounts();
+      setAccounts(res.data.serviceAccounts);
+      setPermissions(res.data.permissions);
+    } catch (error) {
+      toast.error('Failed to load service accounts');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = await createServiceAccount({ ...form, assignedSiteId: form.assignedSiteId || null });
+      setForm({ name: '', role: 'readonly', assignedSiteId: '' });
+      setSelectedId(res.data.serviceAccount.id);
+      toast.success('Service account created');
+      loadAccounts();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.error?.message || 'Failed to create service account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (account) => {
+    try {
+      await updateServiceAccount(account.id, { isActive: !account.is_active });
+      loadAccounts();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update service account');
+    }
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Delete service account "${account.name}" and revoke its API keys?`)) return;
+    try {
+      await deleteServiceAccount(account.id);
+      if (selectedId === account.id) setSelectedId(null);
+      toast.success('Service account deleted');
+      loadAccounts();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to delete service account');
+    }
+  };
+
+  const selected = accounts.find(a => a.id === selectedId);
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-semibold text-gray-900">Service Accounts</h2>
+          <p className="text-sm text-gray-500">Identities for integrations that call the API with a key</p>
+        </div>
+        <form onSubmit={handleCreate} className="card-body grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="form-label">Name</label>
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="form-input"
+              placeholder="e.g. Farm Gate Sync"
+            />
+          </div>
+          <div>
+            <label className="form-label">Role</label>
+            <select
+              value={form.role}
+              onChange={(e) => setForm({ ...form, role: e.target.value })}
+              className="form-select"
+            >
+              {Object.entries(roleLabels).map(([role, label]) => (
+                <option key={role} value={role}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Site</label>
+            <select
+              value={form.assignedSiteId}
+              onChange={(e) => setForm({ ...form, assignedSiteId: e.target.value })}
+              className="form-select"
+            >
+              <option value="">All sites</option>
+              {sites.map(site => (
+                <option key={site.id} value={site.id}>{site.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+              <PlusIcon className="w-4 h-4 mr-1" />
+              {saving ? 'Adding...' : 'Add Service Account'}
+            </button>
+          </div>
+        </form>
+        <div className="overflow-x-auto">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Role</th>
+                <th>Site</th>
+                <th>Keys</th>
+                <th>Last Used</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="text-center text-gray-500 py-6">No service accounts</td>
+                </tr>
+              ) : accounts.map(a => {
+                const activeKeys = a.api_keys.filter(k => !k.revoked_at);
+                const lastUsed = a.api_keys.map(k => k.last_used_at).filter(Boolean).sort().pop();
+                return (
+                  <tr key={a.id}>
+                    <td className="font-medium">{a.name}</td>
+                    <td>{roleLabels[a.role] || a.role}</td>
+                    <td>{a.assigned_site_name || 'All sites'}</td>
+                    <td>{activeKeys.length}</td>
+                    <td>{lastUsed ? format(new Date(lastUsed), 'dd MMM yyyy HH:mm') : 'Never'}</td>
+                    <td>
+                      <button
+                        onClick={() => handleToggle(a)}
+                        className={`px-2 py-1 text-xs rounded ${
+                          a.is_active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                        }`}
+                      >
+                        {a.is_active ? 'Active' : 'Inactive'}
+                      </button>
+                    </td>
+                    <td>
+                      <div className="flex gap-2">
+                        <button onClick={() => setSelectedId(a.id)} className="btn btn-secondary btn-sm">
+                          API Keys
+                        </button>
+                        <button
+                          onClick={() => handleDelete(a)}
+                          className="p-1.5 hover:bg-red-50 rounded text-red-500 hover:text-red-700"
+                          title="Delete service account"
+                        >
+                          <XMarkIcon className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected && (
+        <ServiceAccountKeys
+          account={selected}
+          permissions={permissions}
+          onChanged={loadAccounts}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Role/permission matrix. Each checkbox saves the role's full permission
+ * list; admin holds everything and cannot be edited.
+ * @param {{ roleLabels: Record<string, string> }} props
+ */
+function PermissionsTab({ roleLabels }) {
+  const [permissions, setPermissions] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [grants, setGrants] = useState({});
+  const [mfaRequired, setMfaRequired] = useState({});
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    loadPermissions();
+  }, []);
+
+  const loadPermissions = async () => {
+    try {
+      const res = await getPermissions();
+      setPermissions(res.data.permissions);
+      setRoles(res.data.roles);
+      setGrants(res.data.grants);
+      setMfaRequired(res.data.mfaRequired);
+    } catch (error) {
+      toast.error('Failed to load permissions');
+    }
+  };
+
+  const handleToggle = async (role, key) => {
+    const current = grants[role] || [];
+    const next = current.includes(key) ? current.filter(p => p !== key) : [...current, key];
+
+    setSaving(`${role}:${key}`);
+    try {
+      const res = await updateRolePermissions(role, next);
+      setGrants(prev => ({ ...prev, [role]: res.data.permissions }));
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update permissions');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleToggleMfa = async (role) => {
+    setSaving(`${role}:mfa`);
+    try {
+      const res = await updateRoleSettings(role, { mfaRequired: !mfaRequired[role] });
+      setMfaRequired(prev => ({ ...prev, [role]: res.data.mfaRequired }));
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to update role settings');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const groups = [...new Set(permissions.map(p => p.group))];
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-semibold text-gray-900">Role Permissions</h2>
+        <p className="text-sm text-gray-500">Changes apply to signed-in users within a minute</p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Permission</th>
+              {roles.map(role => (
+                <th key={role} className="text-center">{roleLabels[role] || role}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="bg-gray-50">
+              <td colSpan={roles.length + 1} className="font-semibold text-gray-700">Security</td>
+            </tr>
+            <tr>
+              <td>
+                <div className="text-gray-900">Require two-factor authentication</div>
+                <div className="text-xs text-gray-400">Users without it enrol at their next sign-in</div>
+              </td>
+              {roles.map(role => (
+                <td key={role} className="text-center">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(mfaRequired[role])}
+                    disabled={saving !== null}
+                    onChange={() => handleToggleMfa(role)}
+                  />
+                </td>
+              ))}
+            </tr>
+            {groups.map(group => [
+              <tr key={group} className="bg-gray-50">
+                <td colSpan={roles.length + 1} className="font-semibold text-gray-700">{group}</td>
+              </tr>,
+              ...permissions.filter(p => p.group === group).map(p => (
+                <tr key={p.key}>
+                  <td>
+                    <div className="text-gray-900">{p.label}</div>
+                    <div className="text-xs text-gray-400">{p.key}</div>
+                  </td>
+                  {roles.map(role => (
+                    <td key={role} className="text-center">
+                      <input
+                        type="checkbox"
+                        checked={role === 'admin' || (grants[role] || []).includes(p.key)}
+                        disabled={role === 'admin' || saving !== null}
+                        onChange={() => handleToggle(role, p.key)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))
+            ])}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The current user's two-factor authentication: enrol, replace recovery
+ * codes, or turn it off when the role allows
+ */
+function TwoFactorCard() {
+  const [status, setStatus] = useState(null);
+  const [enrolling, setEnrolling] = useState(false);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      const res = await getMfaStatus();
+      setStatus(res.data);
+    } catch (error) {
+      toast.error('Failed to load two-factor status');
+    }
+  };
+
+  const handleEnabled = () => {
+    setEnrolling(false);
+    toast.success('Two-factor authentication enabled');
+    loadStatus();
+  };
+
+  const handleRegenerate = async () => {
+    try {
+      const res = await regenerateRecoveryCodes(code);
+      setRecoveryCodes(res.data.recoveryCodes);
+      setCode('');
+      loadStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to replace recovery codes');
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+    try {
+      await disableMfa(code);
+      setCode('');
+      setRecoveryCodes(null);
+      toast.success('Two-factor authentication disabled');
+      loadStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h2>
+        <span className={`px-2 py-1 text-xs rounded ${
+          status.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+        }`}>
+          {status.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+      <div className="card-body space-y-4">
+        {!status.enabled && !enrolling && (
+          <div className="flex items-center justify-between gap-4">
+            <p className="text-sm text-gray-600">
+              Ask for a code from an authenticator app when you sign in.
+            </p>
+            <button onClick={() => setEnrolling(true)} className="btn btn-primary btn-sm">
+              Set Up
+            </button>
+          </div>
+        )}
+        {!status.enabled && enrolling && (
+          <div className="max-w-sm">
+            <TwoFactorSetup onEnabled={handleEnabled} />
+          </div>
+        )}
+        {status.enabled && (
+          <>
+            <p className="text-sm text-gray-600">
+              {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left.
+              Enter a current code to replace them{status.required ? '' : ' or turn two-factor off'}.
+            </p>
+            <div className="flex flex-wrap items-end gap-4">
+              <div>
+                <label className="form-label">Code</label>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  className="form-input"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+              <button onClick={handleRegenerate} disabled={!code} className="btn btn-secondary btn-sm">
+                New Recovery Codes
+              </button>
+              {!status.required && (
+                <button onClick={handleDisable} disabled={!code} className="btn btn-secondary btn-sm">
+                  Turn Off
+                </button>
+              )}
+            </div>
+            {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * The current user's signed-in sessions, with sign-out per session
+ */
+function SessionsTab() {
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      const res = await getMySessions();
+      setSessions(res.data.sessions);
+    } catch (error) {
+      toast.error('Failed to load sessions');
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      await revokeMySession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      toast.success('Session signed out');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to sign out session');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out all other sessions?')) return;
+    try {
+      const res = await revokeMyOtherSessions();
+      toast.success(`${res.data.revoked} session${res.data.revoked === 1 ? '' : 's'} signed out`);
+      loadSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to sign out sessions');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Active Sessions</h2>
+        {sessions.length > 1 && (
+          <button onClick={handleRevokeOthers} className="btn btn-secondary btn-sm">
+            Sign Out Other Sessions
+          </button>
+        )}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Device</th>
+              <th>IP Address</th>
+              <th>Signed In</th>
+              <th>Last Active</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.map(s => (
+              <tr key={s.id}>
+                <td className="max-w-xs truncate" title={s.user_agent || ''}>{s.user_agent || 'Unknown'}</td>
+                <td>{s.ip_address || '-'}</td>
+                <td>{format(new Date(s.created_at), 'dd MMM yyyy HH:mm')}</td>
+                <td>{format(new Date(s.last_used_at), 'dd MMM yyyy HH:mm')}</td>
+                <td>
+                  {s.is_current ? (
+                    <span className="px-2 py-1 text-xs rounded bg-green-100 text-green-700">This session</span>
+                  ) : (
+                    <button onClick={() => handleRevoke(s)} className="btn btn-secondary btn-sm">
+                      Sign Out
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
 function Settings() {
+  const { hasPermission } = useAuthStore();
   const [activeTab, setActiveTab] = useState('users');
   const [loading, setLoading] = useState(true);
   const [users, setUsers] = useState([]);
@@ -26,9 +1477,13 @@ function Settings() {
   const [drivers, setDrivers] = useState([]);
   const [showModal, setShowModal] = useState(false);
   const [saving, setSaving] = useState(false);
+  // 'vehicles' or 'drivers' while the bulk import is open
+  const [importEntity, setImportEntity] = useState(null);
 
   // Form state
   const [formData, setFormData] = useState({});
+  // Invitation or reset link to pass on when it could not be emailed
+  const [pendingLink, setPendingLink] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -61,8 +1516,14 @@ function Settings() {
     setSaving(true);
     try {
       if (activeTab === 'users') {
-        await createUser(formData);
-        toast.success('User created successfully');
+        const res = await createUser(formData);
+        const { invite } = res.data;
+        if (invite && !invite.emailSent) {
+          setPendingLink({ name: `${formData.firstName} ${formData.lastName}`, link: invite.link, purpose: 'invitation' });
+          toast.success('User created; email is not set up, share the invitation link');
+        } else {
+          toast.success(invite ? 'User created and invitation sent' : 'User created successfully');
+        }
       } else if (activeTab === 'vehicles') {
         await createVehicle(formData);
         toast.success('Vehicle created successfully');
@@ -107,6 +1568,79 @@ function Settings() {
     }
   };
 
+  /**
+   * @param {object} target - User row
+   * @param {{ emailSent: boolean, link?: string }} result
+   * @param {string} purpose - 'invitation' or 'reset'
+   */
+  const showLinkResult = (target, result, purpose) => {
+    if (result.emailSent) {
+      toast.success(`${purpose === 'invitation' ? 'Invitation' : 'Reset link'} sent to ${target.email}`);
+    } else {
+      setPendingLink({ name: `${target.first_name} ${target.last_name}`, link: result.link, purpose });
+    }
+  };
+
+  const handleResendInvite = async (target) => {
+    try {
+      const res = await resendInvite(target.id);
+      showLinkResult(target, res.data.invite, 'invitation');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to send invitation');
+    }
+  };
+
+  const handleForceReset = async (target) => {
+    if (!window.confirm(`Require ${target.first_name} ${target.last_name} to set a new password? They will be signed out everywhere.`)) {
+      return;
+    }
+    try {
+      const res = await forcePasswordReset(target.id);
+      setUsers(prev => prev.map(u => u.id === target.id ? { ...u, password_reset_required: true } : u));
+      showLinkResult(target, res.data.reset, 'reset');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to reset password');
+    }
+  };
+
+  const handleResetMfa = async (target) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${target.first_name} ${target.last_name}? They will be signed out everywhere.`)) {
+      return;
+    }
+    try {
+      await resetUserMfa(target.id);
+      setUsers(prev => prev.map(u => u.id === target.id ? { ...u, mfa_enabled: false } : u));
+      toast.success('Two-factor authentication reset');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const handleUnlockUser = async (target) => {
+    try {
+      await unlockUser(target.id);
+      setUsers(prev => prev.map(u => u.id === target.id ? { ...u, locked_until: null } : u));
+      toast.success('User unlocked');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to unlock user');
+    }
+  };
+
+  const handleSignOutUser = async (target) => {
+    if (!window.confirm(`Sign ${target.first_name} ${target.last_name} out of all sessions?`)) {
+      return;
+    }
+    try {
+      const res = await revokeUserSessions(target.id);
+      toast.success(`${res.data.revoked} session${res.data.revoked === 1 ? '' : 's'} signed out`);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to sign out user');
+    }
+  };
+
+  /** @param {{ locked_until?: string|null }} u */
+  const isLocked = (u) => Boolean(u.locked_until && new Date(u.locked_until) > new Date());
+
   const roleLabels = {
     admin: 'Administrator',
     dispatcher: 'Dispatcher',
@@ -129,7 +1663,7 @@ function Settings() {
       <div>
         <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
         <p className="text-sm text-gray-500">
-          Manage users, vehicles, and drivers
+          Manage users, vehicles, drivers and notifications
         </p>
       </div>
 
@@ -140,7 +1674,12 @@ function Settings() {
             { id: 'users', label: 'Users', icon: UserGroupIcon },
             { id: 'vehicles', label: 'Vehicles', icon: TruckIcon },
             { id: 'drivers', label: 'Drivers', icon: IdentificationIcon },
-          ].map(tab => (
+            { id: 'notifications', label: 'Notifications', icon: BellIcon },
+            { id: 'security', label: 'Security', icon: ComputerDesktopIcon },
+            { id: 'webhooks', label: 'Webhooks', icon: GlobeAltIcon, permission: 'webhooks.manage' },
+            { id: 'service-accounts', label: 'API Keys', icon: KeyIcon, permission: 'api_keys.manage' },
+            { id: 'permissions', label: 'Permissions', icon: ShieldCheckIcon, permission: 'roles.manage' },
+          ].filter(tab => !tab.permission || hasPermission(tab.permission)).map(tab => (
             <button
               key={tab.id}
               onClick={() => setActiveTab(tab.id)}
@@ -158,6 +1697,21 @@ function Settings() {
       </div>
 
       {/* Users Tab */}
+      {activeTab === 'users' && pendingLink && (
+        <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-200">
+          <div className="flex items-start justify-between gap-4">
+            <div>
+              <p className="text-sm font-medium text-yellow-800">
+                Email is not set up. Send this {pendingLink.purpose} link to {pendingLink.name} yourself:
+              </p>
+              <code className="block mt-2 text-sm break-all">{pendingLink.link}</code>
+            </div>
+            <button onClick={() => setPendingLink(null)} className="p-1 hover:bg-yellow-100 rounded">
+              <XMarkIcon className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+      )}
       {activeTab === 'users' && (
         <div className="card">
           <div className="card-header flex items-center justify-between">
@@ -176,6 +1730,7 @@ function Settings() {
                   <th>Role</th>
                   <th>Site</th>
                   <th>Status</th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
@@ -195,6 +1750,44 @@ function Settings() {
                       }`}>
                         {user.is_active ? 'Active' : 'Inactive'}
                       </span>
+                      {user.invite_pending && (
+                        <span className="ml-2 px-2 py-1 text-xs rounded bg-blue-100 text-blue-700">Invited</span>
+                      )}
+                      {user.mfa_enabled && (
+                        <span className="ml-2 px-2 py-1 text-xs rounded bg-primary-100 text-primary-700">2FA</span>
+                      )}
+                      {user.password_reset_required && (
+                        <span className="ml-2 px-2 py-1 text-xs rounded bg-yellow-100 text-yellow-700">Reset pending</span>
+                      )}
+                      {isLocked(user) && (
+                        <span className="ml-2 px-2 py-1 text-xs rounded bg-red-100 text-red-700">Locked</span>
+                      )}
+                    </td>
+                    <td>
+                      <div className="flex gap-2">
+                        {isLocked(user) && (
+                          <button onClick={() => handleUnlockUser(user)} className="btn btn-secondary btn-sm">
+                            Unlock
+                          </button>
+                        )}
+                        {user.invite_pending ? (
+                          <button onClick={() => handleResendInvite(user)} className="btn btn-secondary btn-sm">
+                            Resend Invite
+                          </button>
+                        ) : (
+                          <button onClick={() => handleForceReset(user)} className="btn btn-secondary btn-sm">
+                            Force Reset
+                          </button>
+                        )}
+                        {user.mfa_enabled && (
+                          <button onClick={() => handleResetMfa(user)} className="btn btn-secondary btn-sm">
+                            Reset 2FA
+                          </button>
+                        )}
+                        <button onClick={() => handleSignOutUser(user)} className="btn btn-secondary btn-sm">
+                          Sign Out
+                        </button>
+                      </div>
                     </td>
                   </tr>
                 ))}
@@ -209,10 +1802,18 @@ function Settings() {
         <div className="card">
           <div className="card-header flex items-center justify-between">
             <h2 className="text-lg font-semibold text-gray-900">Vehicles</h2>
-            <button onClick={openModal} className="btn btn-primary btn-sm">
-              <PlusIcon className="w-4 h-4 mr-1" />
-              Add Vehicle
-            </button>
+            <div className="flex gap-2">
+              {hasPermission('fleet.manage') && (
+                <button onClick={() => setImportEntity('vehicles')} className="btn btn-secondary btn-sm">
+                  <ArrowUpTrayIcon className="w-4 h-4 mr-1" />
+                  Import
+                </button>
+              )}
+              <button onClick={openModal} className="btn btn-primary btn-sm">
+                <PlusIcon className="w-4 h-4 mr-1" />
+                Add Vehicle
+              </button>
+            </div>
           </div>
           <div className="overflow-x-auto">
             <table className="data-table">
@@ -262,10 +1863,18 @@ function Settings() {
         <div className="card">
           <div className="card-header flex items-center justify-between">
             <h2 className="text-lg font-semibold text-gray-900">Drivers</h2>
-            <button onClick={openModal} className="btn btn-primary btn-sm">
-              <PlusIcon className="w-4 h-4 mr-1" />
-              Add Driver
-            </button>
+            <div className="flex gap-2">
+              {hasPermission('fleet.manage') && (
+                <button onClick={() => setImportEntity('drivers')} className="btn btn-secondary btn-sm">
+                  <ArrowUpTrayIcon className="w-4 h-4 mr-1" />
+                  Import
+                </button>
+              )}
+              <button onClick={openModal} className="btn btn-primary btn-sm">
+                <PlusIcon className="w-4 h-4 mr-1" />
+                Add Driver
+              </button>
+            </div>
           </div>
           <div className="overflow-x-auto">
             <table className="data-table">
@@ -310,6 +1919,26 @@ function Settings() {
         </div>
       )}
 
+      {/* Notifications Tab */}
+      {activeTab === 'notifications' && <NotificationsTab users={users} />}
+
+      {/* Security Tab */}
+      {activeTab === 'security' && (
+        <div className="space-y-6">
+          <TwoFactorCard />
+          <SessionsTab />
+        </div>
+      )}
+
+      {/* Webhooks Tab */}
+      {activeTab === 'webhooks' && <WebhooksTab />}
+
+      {/* API Keys Tab */}
+      {activeTab === 'service-accounts' && <ServiceAccountsTab roleLabels={roleLabels} />}
+
+      {/* Permissions Tab */}
+      {activeTab === 'permissions' && <PermissionsTab roleLabels={roleLabels} />}
+
       {/* Modal */}
       {showModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -356,13 +1985,14 @@ function Settings() {
                     />
                   </div>
                   <div>
-                    <label className="form-label">Password *</label>
+                    <label className="form-label">Password</label>
                     <input
                       type="password"
                       className="form-input"
                       value={formData.password || ''}
                       onChange={(e) => setFormData({ ...formData, password: e.target.value })}
                     />
+                    <p className="mt-1 text-xs text-gray-500">Leave blank to email an invitation to set one</p>
                   </div>
                   <div>
                     <label className="form-label">Role *</label>
@@ -499,6 +2129,14 @@ function Settings() {
           </div>
         </div>
       )}
+
+      <BulkImportModal
+        entity={importEntity || 'vehicles'}
+        title={importEntity === 'drivers' ? 'Import Drivers' : 'Import Vehicles'}
+        isOpen={importEntity !== null}
+        onClose={() => setImportEntity(null)}
+        onImported={loadData}
+      />
     </div>
   );
 }
@@ -2,6 +2,7 @@ import {
   ArrowDownTrayIcon,
   ArrowLeftIcon,
   BuildingOfficeIcon,
+  ClipboardDocumentCheckIcon,
   CubeIcon,
   EnvelopeIcon,
   MapPinIcon,
@@ -10,11 +11,28 @@ import {
 } from '@heroicons/react/24/outline';
 import { BarElement, CategoryScale, Chart as ChartJS, Legend, LinearScale, Title, Tooltip } from 'chart.js';
 import { format } from 'date-fns';
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { Bar } from 'react-chartjs-2';
 import toast from 'react-hot-toast';
 import { Link, useNavigate, useParams } from 'react-router-dom';
-import { getDepotStatement, getFarmStatement, getLoads, getSite, getSiteInventory } from '../lib/api';
+import AuditHistory from '../components/AuditHistory';
+import {
+  approveStockTake,
+  cancelStockTake,
+  createStockTake,
+  getDepotStatement,
+  getFarmStatement,
+  getLoads,
+  getSite,
+  getSiteHistory,
+  getSiteInventory,
+  getStockTake,
+  getStockTakes,
+  rejectStockTake,
+  saveStockTakeCounts,
+  submitStockTake
+} from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
 
@@ -27,6 +45,10 @@ function StatusBadge({ status }) {
     normal: 'bg-green-100 text-green-700',
     warning: 'bg-yellow-100 text-yellow-700',
     critical: 'bg-red-100 text-red-700',
+    open: 'bg-blue-100 text-blue-700',
+    submitted: 'bg-yellow-100 text-yellow-700',
+    approved: 'bg-green-100 text-green-700',
+    rejected: 'bg-red-100 text-red-700',
   };
 
   return (
@@ -36,6 +58,268 @@ function StatusBadge({ status }) {
   );
 }
 
+/**
+ * Variance cell - red for shortfalls, green for surpluses
+ * @param {{ value: number|null }} props
+ */
+function Variance({ value }) {
+  if (value === null || value === undefined) return <span className="text-gray-400">-</span>;
+  if (value === 0) return <span className="text-gray-600">0</span>;
+  return (
+    <span className={value < 0 ? 'text-red-600 font-medium' : 'text-green-600 font-medium'}>
+      {value > 0 ? `+${value.toLocaleString()}` : value.toLocaleString()}
+    </span>
+  );
+}
+
+/**
+ * Stock take (cycle count) sessions for a site
+ * @param {{ siteId: string, onPosted: () => void }} props
+ */
+function StockTakesTab({ siteId, onPosted }) {
+  const { hasPermission } = useAuthStore();
+  const [stockTakes, setStockTakes] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const canApprove = hasPermission('stocktakes.approve');
+
+  useEffect(() => {
+    loadStockTakes();
+  }, [siteId]);
+
+  const loadStockTakes = async () => {
+    try {
+      const response = await getStockTakes({ siteId, limit: 20 });
+      setStockTakes(response.data.stockTakes);
+    } catch (error) {
+      toast.error('Failed to load stock takes');
+    }
+  };
+
+  const openStockTake = async (stockTakeId) => {
+    try {
+      const response = await getStockTake(stockTakeId);
+      setSelected(response.data.stockTake);
+      setLines(response.data.lines);
+      setCounts(Object.fromEntries(response.data.lines.map(l => [
+        l.packaging_type_id,
+        { counted: l.counted_quantity ?? '', damaged: l.counted_damaged ?? '', notes: l.notes || '' }
+      ])));
+    } catch (error) {
+      toast.error('Failed to load stock take');
+    }
+  };
+
+  const handleStart = async () => {
+    try {
+      const response = await createStockTake({ siteId });
+      toast.success(`Stock take ${response.data.stockTake.reference_number} started`);
+      await loadStockTakes();
+      openStockTake(response.data.stockTake.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to start stock take');
+    }
+  };
+
+  /** @param {string} packagingTypeId @param {string} field @param {string} value */
+  const setCount = (packagingTypeId, field, value) => {
+    setCounts(prev => ({ ...prev, [packagingTypeId]: { ...prev[packagingTypeId], [field]: value } }));
+  };
+
+  const buildCountLines = () => lines.map(l => ({
+    packagingTypeId: l.packaging_type_id,
+    countedQuantity: counts[l.packaging_type_id]?.counted === '' ? null : parseInt(counts[l.packaging_type_id]?.counted),
+    countedDamaged: counts[l.packaging_type_id]?.damaged === '' ? null : parseInt(counts[l.packaging_type_id]?.damaged),
+    notes: counts[l.packaging_type_id]?.notes || null
+  }));
+
+  /** @param {() => Promise<any>} action @param {string} successMessage */
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      await loadStockTakes();
+      await openStockTake(selected.id);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Action failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => runAction(() => saveStockTakeCounts(selected.id, buildCountLines()), 'Counts saved');
+
+  const handleSubmit = () => runAction(async () => {
+    await saveStockTakeCounts(selected.id, buildCountLines());
+    await submitStockTake(selected.id);
+  }, 'Stock take submitted for approval');
+
+  const handleApprove = () => runAction(async () => {
+    await approveStockTake(selected.id);
+    onPosted();
+  }, 'Variance approved and posted');
+
+  const handleReject = () => {
+    const reason = window.prompt('Reason for rejecting this count:');
+    if (!reason) return;
+    runAction(() => rejectStockTake(selected.id, reason), 'Stock take rejected');
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this stock take? Entered counts will be discarded.')) return;
+    try {
+      await cancelStockTake(selected.id);
+      toast.success('Stock take cancelled');
+      setSelected(null);
+      loadStockTakes();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to cancel stock take');
+    }
+  };
+
+  const isOpen = selected?.status === 'open';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="card">
+        <div className="card-header flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Stock Takes</h2>
+          <button onClick={handleStart} className="btn btn-primary btn-sm">
+            <ClipboardDocumentCheckIcon className="w-4 h-4 mr-2" />
+            New Count
+          </button>
+        </div>
+        <div className="divide-y divide-gray-100">
+          {stockTakes.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No stock takes yet</p>
+          ) : (
+            stockTakes.map(st => (
+              <button
+                key={st.id}
+                onClick={() => openStockTake(st.id)}
+                className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selected?.id === st.id ? 'bg-primary-50' : ''}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium">{st.reference_number}</span>
+                  <StatusBadge status={st.status} />
+                </div>
+                <div className="flex items-center justify-between text-sm text-gray-500">
+                  <span>{format(new Date(st.count_date), 'MMM d, yyyy')}</span>
+                  {st.status !== 'open' && <Variance value={st.net_variance} />}
+                </div>
+              </button>
+            ))
+          )}
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 card">
+        {!selected ? (
+          <div className="flex items-center justify-center h-48 text-gray-500">
+            Select a stock take or start a new count
+          </div>
+        ) : (
+          <>
+            <div className="card-header flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">{selected.reference_number}</h2>
+                <p className="text-sm text-gray-500">
+                  {selected.counted_by_name && `Counted by ${selected.counted_by_name}`}
+                  {selected.reviewed_by_name && ` · Reviewed by ${selected.reviewed_by_name}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                {isOpen && (
+                  <>
+                    <button onClick={handleCancel} disabled={saving} className="btn btn-secondary btn-sm">Cancel</button>
+                    <button onClick={handleSave} disabled={saving} className="btn btn-secondary btn-sm">Save</button>
+                    <button onClick={handleSubmit} disabled={saving} className="btn btn-primary btn-sm">Submit</button>
+                  </>
+                )}
+                {selected.status === 'submitted' && canApprove && (
+                  <>
+                    <button onClick={handleReject} disabled={saving} className="btn btn-secondary btn-sm">Reject</button>
+                    <button onClick={handleApprove} disabled={saving} className="btn btn-primary btn-sm">Approve Variance</button>
+                  </>
+                )}
+              </div>
+            </div>
+            {selected.review_notes && (
+              <div className="px-6 py-3 bg-gray-50 text-sm text-gray-600">{selected.review_notes}</div>
+            )}
+            <div className="overflow-x-auto">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Packaging Type</th>
+                    <th className="text-right">Expected</th>
+                    <th className="text-right">Counted</th>
+                    <th className="text-right">Damaged</th>
+                    <th className="text-right">Variance</th>
+                    <th>Notes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lines.map(line => (
+                    <tr key={line.packaging_type_id}>
+                      <td>
+                        <div className="font-medium">{line.packaging_type_name}</div>
+                        <div className="text-sm text-gray-500">{line.packaging_type_code}</div>
+                      </td>
+                      <td className="text-right text-gray-600">{(line.expected_quantity ?? 0).toLocaleString()}</td>
+                      <td className="text-right">
+                        {isOpen ? (
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-input w-24 text-right"
+                            value={counts[line.packaging_type_id]?.counted ?? ''}
+                            onChange={(e) => setCount(line.packaging_type_id, 'counted', e.target.value)}
+                          />
+                        ) : (line.counted_quantity ?? '-')}
+                      </td>
+                      <td className="text-right">
+                        {isOpen ? (
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-input w-20 text-right"
+                            value={counts[line.packaging_type_id]?.damaged ?? ''}
+                            onChange={(e) => setCount(line.packaging_type_id, 'damaged', e.target.value)}
+                          />
+                        ) : (line.counted_damaged ?? '-')}
+                      </td>
+                      <td className="text-right">
+                        <Variance value={isOpen && counts[line.packaging_type_id]?.counted !== ''
+                          ? parseInt(counts[line.packaging_type_id]?.counted) - (line.expected_quantity || 0)
+                          : line.variance} />
+                      </td>
+                      <td>
+                        {isOpen ? (
+                          <input
+                            type="text"
+                            className="form-input"
+                            value={counts[line.packaging_type_id]?.notes ?? ''}
+                            onChange={(e) => setCount(line.packaging_type_id, 'notes', e.target.value)}
+                          />
+                        ) : (line.notes || '-')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function SiteDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -50,6 +334,8 @@ function SiteDetail() {
     loadData();
   }, [id]);
 
+  const fetchHistory = useCallback((params) => getSiteHistory(id, params), [id]);
+
   const loadData = async () => {
     try {
       const [siteRes, inventoryRes, loadsRes] = await Promise.all([
@@ -171,17 +457,23 @@ function SiteDetail() {
       {/* Tabs */}
       <div className="border-b border-gray-200">
         <nav className="flex gap-8">
-          {['inventory', 'loads', 'statement'].map(tab => (
+          {[
+            { key: 'inventory', label: 'Inventory' },
+            { key: 'loads', label: 'Loads' },
+            { key: 'statement', label: 'Statement' },
+            { key: 'stockTakes', label: 'Stock Takes' },
+            { key: 'history', label: 'History' },
+          ].map(tab => (
             <button
-              key={tab}
-              onClick={() => setActiveTab(tab)}
+              key={tab.key}
+              onClick={() => setActiveTab(tab.key)}
               className={`py-3 text-sm font-medium border-b-2 transition-colors ${
-                activeTab === tab
+                activeTab === tab.key
                   ? 'border-primary-500 text-primary-600'
                   : 'border-transparent text-gray-500 hover:text-gray-700'
               }`}
             >
-              {tab.charAt(0).toUpperCase() + tab.slice(1)}
+              {tab.label}
             </button>
           ))}
         </nav>
@@ -328,6 +620,18 @@ function SiteDetail() {
         </div>
       )}
 
+      {/* Stock Takes Tab */}
+      {activeTab === 'stockTakes' && (
+        <StockTakesTab siteId={id} onPosted={loadData} />
+      )}
+
+      {/* History Tab */}
+      {activeTab === 'history' && (
+        <div className="card p-6">
+          <AuditHistory fetchPage={fetchHistory} />
+        </div>
+      )}
+
       {/* Statement Tab */}
       {activeTab === 'statement' && statement && (
         <div className="space-y-6">
@@ -386,18 +690,33 @@ function SiteDetail() {
                 <table className="data-table">
                   <thead>
                     <tr>
-                      <th>Location</th>
                       <th>Packaging Type</th>
-                      <th className="text-right">Quantity</th>
+                      <th className="text-right">0-7 days</th>
+                      <th className="text-right">8-14 days</th>
+                      <th className="text-right">15-30 days</th>
+                      <th className="text-right">30+ days</th>
+                      <th className="text-right">Total</th>
+                      <th className="text-right">Overdue</th>
                       <th>Oldest Dispatch</th>
                     </tr>
                   </thead>
                   <tbody>
                     {statement.outstanding.map((item, idx) => (
                       <tr key={idx}>
-                        <td className="font-medium">{item.location}</td>
-                        <td>{item.packaging_type}</td>
-                        <td className="text-right">{item.quantity}</td>
+                        <td>
+                          <div className="font-medium">{item.packaging_type}</div>
+                          <div className="text-sm text-gray-500">Turnaround {item.expected_turnaround_days} days</div>
+                        </td>
+                        <td className="text-right">{item.days_0_7.toLocaleString()}</td>
+                        <td className="text-right">{item.days_8_14.toLocaleString()}</td>
+                        <td className="text-right">{item.days_15_30.toLocaleString()}</td>
+                        <td className="text-right">{item.days_over_30.toLocaleString()}</td>
+                        <td className="text-right font-medium">{item.quantity.toLocaleString()}</td>
+                        <td className="text-right">
+                          {item.overdue_quantity > 0 ? (
+                            <span className="text-red-600 font-medium">{item.overdue_quantity.toLocaleString()}</span>
+                          ) : '-'}
+                        </td>
                         <td>{format(new Date(item.oldest_dispatch), 'MMM d, yyyy')}</td>
                       </tr>
                     ))}
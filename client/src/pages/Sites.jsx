@@ -1,4 +1,5 @@
 import {
+    ArrowUpTrayIcon,
     BuildingOfficeIcon,
     MapPinIcon,
     PhoneIcon,
@@ -7,15 +8,19 @@ import {
 import { useEffect, useState } from 'react';
 import toast from 'react-hot-toast';
 import { Link, useSearchParams } from 'react-router-dom';
+import BulkImportModal from '../components/BulkImportModal';
 import { getSites, getSiteTypes } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
 
 function Sites() {
+  const { hasPermission } = useAuthStore();
   const [searchParams, setSearchParams] = useSearchParams();
   const [sites, setSites] = useState([]);
   const [siteTypes, setSiteTypes] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedType, setSelectedType] = useState(searchParams.get('type') || '');
   const [search, setSearch] = useState('');
+  const [isImportOpen, setIsImportOpen] = useState(false);
 
   useEffect(() => {
     loadData();
@@ -69,10 +74,18 @@ function Sites() {
             Manage farms, depots, and other locations
           </p>
         </div>
-        <button className="btn btn-primary">
-          <PlusIcon className="w-5 h-5 mr-2" />
-          Add Site
-        </button>
+        {hasPermission('sites.manage') && (
+          <div className="flex gap-2">
+            <button onClick={() => setIsImportOpen(true)} className="btn btn-secondary">
+              <ArrowUpTrayIcon className="w-5 h-5 mr-2" />
+              Import
+            </button>
+            <button className="btn btn-primary">
+              <PlusIcon className="w-5 h-5 mr-2" />
+              Add Site
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Filters */}
@@ -177,6 +190,14 @@ function Sites() {
           ))}
         </div>
       )}
+
+      <BulkImportModal
+        entity="sites"
+        title="Import Sites"
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={loadData}
+      />
     </div>
   );
 }
@@ -1,35 +1,89 @@
 import {
   ArrowPathIcon,
+  ArrowUpTrayIcon,
   CalendarIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
   ClockIcon,
+  CubeIcon,
   PlusIcon,
   TrashIcon,
   TruckIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import { addDays, format, parseISO, startOfWeek } from 'date-fns';
-import { useEffect, useState } from 'react';
-import { useForm } from 'react-hook-form';
+import { useEffect, useRef, useState } from 'react';
+import { useFieldArray, useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
+import LeadTimeTemplatesModal from '../components/LeadTimeTemplatesModal';
+import PackagingProjectionModal from '../components/PackagingProjectionModal';
 import {
   createLoadFromSchedule,
+  createPublicHoliday,
   createSchedule,
+  deletePublicHoliday,
   deleteSchedule,
+  generateRecurringSchedules,
   getChannels,
   getDrivers,
   getPackagingDemand,
+  getPackagingTypes,
+  getProducts,
+  getPublicHolidays,
   getSites,
   getVehicles,
   getWeekSchedules,
+  importPlannerSheet,
+  previewLeadTimes,
+  previewPlannerImport,
   updateSchedule
 } from '../lib/api';
+import { useAuthStore } from '../stores/authStore';
 
 /** Default expected farm times for BV and CBC farms */
 const DEFAULT_EXPECTED_FARM_ARRIVAL_TIME = '14:00';
 const DEFAULT_EXPECTED_FARM_DEPARTURE_TIME = '17:00';
 
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** Form fields that pick the lead-time template and its anchor dates */
+const LEAD_TIME_INPUTS = [
+  'dispatchDate', 'dispatchTime', 'expectedArrivalDate', 'expectedArrivalTime',
+  'originSiteId', 'destinationSiteId', 'channelId',
+];
+
+/** Form fields lead-time templates fill, by schedule column */
+const LEAD_TIME_FIELDS = {
+  packaging_eta_farm: 'packagingEtaFarm',
+  ripening_start_date: 'ripeningStartDate',
+  sales_despatch_date: 'salesDespatchDate',
+  packaging_collection_date: 'packagingCollectionDate',
+  packaging_delivery_farm_date: 'packagingDeliveryFarmDate',
+};
+
+/** Edit and delete choices for an occurrence of a recurring schedule */
+const SERIES_SCOPES = [
+  { value: 'this', label: 'This occurrence' },
+  { value: 'following', label: 'This and following occurrences' },
+  { value: 'all', label: 'All occurrences' },
+];
+
+/**
+ * Form values for a schedule's recurrence rule: its own for the first
+ * occurrence of a series, the series' for later ones
+ * @param {object} [schedule]
+ */
+function recurrenceDefaults(schedule) {
+  const rule = schedule?.is_recurring ? schedule : schedule?.series;
+  return {
+    isRecurring: Boolean(rule),
+    recurrencePattern: rule?.recurrence_pattern || 'weekly',
+    recurrenceWeekdays: (rule?.recurrence_weekdays || []).map(String),
+    recurrenceEndDate: rule?.recurrence_end_date || '',
+    recurrenceHolidayRule: rule?.recurrence_holiday_rule || 'skip'
+  };
+}
+
 /**
  * Format duration from minutes to human-readable string
  * @param {number} minutes
@@ -103,6 +157,9 @@ function ScheduleCard({ schedule, onEdit, onCreateLoad }) {
             {schedule.dispatch_time || '--:--'}
           </span>
           <StatusBadge status={schedule.status} />
+          {(schedule.is_recurring || schedule.parent_schedule_id) && (
+            <ArrowPathIcon className="h-3 w-3 text-gray-400" title="Recurring" />
+          )}
         </div>
         {schedule.load_number && (
           <span className="text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded">
@@ -124,10 +181,9 @@ function ScheduleCard({ schedule, onEdit, onCreateLoad }) {
       )}
 
       <div className="text-xs text-gray-500 flex flex-wrap gap-2 mt-2">
-        {schedule.crates_count > 0 && <span>Crates: {schedule.crates_count}</span>}
-        {schedule.bins_count > 0 && <span>Bins: {schedule.bins_count}</span>}
-        {schedule.boxes_count > 0 && <span>Boxes: {schedule.boxes_count}</span>}
-        {schedule.pallets_count > 0 && <span>Pallets: {schedule.pallets_count}</span>}
+        {(schedule.dispatch_schedule_packaging || []).map(line => (
+          <span key={line.id}>{line.packaging_types?.code}: {line.quantity}</span>
+        ))}
       </div>
 
       {!schedule.load_id && schedule.status === 'planned' && (
@@ -161,6 +217,9 @@ function DayColumn({ day, onEdit, onCreateLoad, onAddNew }) {
         <div className={`text-lg font-semibold ${isToday ? 'text-blue-700' : 'text-gray-900'}`}>
           {format(parseISO(day.date), 'd')}
         </div>
+        {day.holiday && (
+          <div className="text-xs text-red-600 truncate" title={day.holiday}>{day.holiday}</div>
+        )}
       </div>
       
       <div className="p-2 space-y-2 min-h-[400px]">
@@ -188,10 +247,10 @@ function DayColumn({ day, onEdit, onCreateLoad, onAddNew }) {
 
 /**
  * Schedule Form Modal
- * @param {{ isOpen: boolean; schedule?: object; date?: string; sites: Array<object>; channels: Array<object>; vehicles: Array<object>; drivers: Array<object>; onClose: () => void; onSave: (data: object) => void; onDelete?: (id: string) => void }} props
+ * @param {{ isOpen: boolean; schedule?: object; date?: string; sites: Array<object>; channels: Array<object>; vehicles: Array<object>; drivers: Array<object>; packagingTypes: Array<object>; products: Array<object>; onClose: () => void; onSave: (data: object) => void; onDelete?: (id: string) => void }} props
  */
-function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, drivers, onClose, onSave, onDelete }) {
-  const { register, handleSubmit, reset, watch, formState: { errors, isSubmitting } } = useForm({
+function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, drivers, packagingTypes, products, onClose, onSave, onDelete }) {
+  const { register, control, handleSubmit, reset, getValues, setValue, watch, formState: { errors, isSubmitting } } = useForm({
     defaultValues: {
       dispatchDate: date || format(new Date(), 'yyyy-MM-dd'),
       dispatchTime: '',
@@ -200,10 +259,7 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
       originSiteId: '',
       destinationSiteId: '',
       channelId: '',
-      cratesCount: 0,
-      binsCount: 0,
-      boxesCount: 0,
-      palletsCount: 0,
+      packaging: [],
       // Farm times
       expectedFarmArrivalTime: DEFAULT_EXPECTED_FARM_ARRIVAL_TIME,
       actualFarmArrivalTime: '',
@@ -226,9 +282,19 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
       customerName: '',
       productType: '',
       notes: '',
-      status: 'planned'
+      status: 'planned',
+      ...recurrenceDefaults()
     }
   });
+  const { fields: packagingFields, append: appendPackaging, remove: removePackaging } = useFieldArray({
+    control,
+    name: 'packaging',
+  });
+  const [pendingAction, setPendingAction] = useState(null);
+  const [leadTimes, setLeadTimes] = useState(null);
+  const leadTimeRequest = useRef(null);
+  const leadTimeDates = useRef({});
+  const isSeries = Boolean(schedule?.is_recurring || schedule?.parent_schedule_id);
 
   // Watch time fields for calculating differences
   const watchedDispatchDate = watch('dispatchDate');
@@ -247,6 +313,44 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
   const depotArrivalDiff = calculateTimeDiff(watchedExpectedDepotArrival, watchedActualDepotArrival, watchedDispatchDate);
   const depotDepartureDiff = calculateTimeDiff(watchedExpectedDepotDeparture, watchedActualDepotDeparture, watchedDispatchDate);
 
+  /**
+   * Look up the lead-time template for the form's route, channel and
+   * dates. With fill, milestone dates that are blank or still what the
+   * template last gave are replaced; dates typed by hand are kept.
+   * @param {object} values - Form values
+   * @param {boolean} fill
+   */
+  const refreshLeadTimes = async (values, fill) => {
+    const request = Object.fromEntries(LEAD_TIME_INPUTS.map(field => [field, values[field]]));
+    const key = JSON.stringify(request);
+    leadTimeRequest.current = key;
+
+    try {
+      const res = await previewLeadTimes(request);
+      if (leadTimeRequest.current !== key) return;
+
+      const previous = leadTimeDates.current;
+      leadTimeDates.current = res.data.milestones;
+      setLeadTimes(res.data);
+      if (!fill) return;
+
+      Object.entries(res.data.milestones).forEach(([column, value]) => {
+        const field = LEAD_TIME_FIELDS[column];
+        const current = getValues(field);
+        if (!current || current === previous[column]) setValue(field, value);
+      });
+    } catch (error) {
+      setLeadTimes(null);
+    }
+  };
+
+  useEffect(() => {
+    const subscription = watch((values, { name, type }) => {
+      if (type === 'change' && LEAD_TIME_INPUTS.includes(name)) refreshLeadTimes(values, true);
+    });
+    return () => subscription.unsubscribe();
+  }, [watch]);
+
   useEffect(() => {
     if (schedule) {
       reset({
@@ -257,10 +361,14 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
         originSiteId: schedule.origin_site_id || '',
         destinationSiteId: schedule.destination_site_id || '',
         channelId: schedule.channel_id || '',
-        cratesCount: schedule.crates_count || 0,
-        binsCount: schedule.bins_count || 0,
-        boxesCount: schedule.boxes_count || 0,
-        palletsCount: schedule.pallets_count || 0,
+        packaging: (schedule.dispatch_schedule_packaging || []).map(line => ({
+          packagingTypeId: line.packaging_type_id,
+          quantity: line.quantity,
+          productTypeId: line.product_type_id || '',
+          productVarietyId: line.product_variety_id || '',
+          productGradeId: line.product_grade_id || '',
+          notes: line.notes || '',
+        })),
         // Farm times
         expectedFarmArrivalTime: schedule.expected_farm_arrival_time || DEFAULT_EXPECTED_FARM_ARRIVAL_TIME,
         actualFarmArrivalTime: schedule.actual_farm_arrival_time || '',
@@ -283,7 +391,8 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
         customerName: schedule.customer_name || '',
         productType: schedule.product_type || '',
         notes: schedule.notes || '',
-        status: schedule.status || 'planned'
+        status: schedule.status || 'planned',
+        ...recurrenceDefaults(schedule)
       });
     } else if (date) {
       reset({
@@ -294,10 +403,7 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
         originSiteId: '',
         destinationSiteId: '',
         channelId: '',
-        cratesCount: 0,
-        binsCount: 0,
-        boxesCount: 0,
-        palletsCount: 0,
+        packaging: [],
         expectedFarmArrivalTime: DEFAULT_EXPECTED_FARM_ARRIVAL_TIME,
         actualFarmArrivalTime: '',
         expectedFarmDepartureTime: DEFAULT_EXPECTED_FARM_DEPARTURE_TIME,
@@ -317,14 +423,58 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
         customerName: '',
         productType: '',
         notes: '',
-        status: 'planned'
+        status: 'planned',
+        ...recurrenceDefaults()
       });
     }
+    setPendingAction(null);
+    setLeadTimes(null);
+    leadTimeDates.current = {};
+    // A saved schedule keeps its dates until its route or dates change
+    if (schedule || date) refreshLeadTimes(getValues(), !schedule);
   }, [schedule, date, reset]);
 
+  /** Overwrite every milestone date, including ones typed by hand */
+  const reapplyLeadTimes = () => {
+    Object.entries(leadTimes.milestones).forEach(([column, value]) => {
+      setValue(LEAD_TIME_FIELDS[column], value);
+    });
+  };
+
+  const watchedIsRecurring = watch('isRecurring');
+  const watchedPattern = watch('recurrencePattern');
+
   /** @param {object} data */
   const onSubmit = async (data) => {
-    await onSave(data);
+    const values = {
+      ...data,
+      packaging: data.packaging.map(p => ({
+        packagingTypeId: p.packagingTypeId,
+        quantity: parseInt(p.quantity),
+        productTypeId: p.productTypeId || null,
+        productVarietyId: p.productVarietyId || null,
+        productGradeId: p.productGradeId || null,
+        notes: p.notes || null,
+      })),
+      recurrenceWeekdays: (data.recurrenceWeekdays || []).map(Number),
+      recurrenceEndDate: data.recurrenceEndDate || null
+    };
+    if (isSeries) {
+      setPendingAction({ type: 'save', values });
+    } else {
+      await onSave(values);
+    }
+  };
+
+  /** @param {'this' | 'following' | 'all'} scope */
+  const handleScope = async (scope) => {
+    const action = pendingAction;
+    setPendingAction(null);
+    if (action.type === 'save') {
+      await onSave({ ...action.values, scope });
+    } else {
+      await onDelete(schedule.id, scope);
+    }
   };
 
   if (!isOpen) return null;
@@ -443,6 +593,68 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
               </div>
             </div>
 
+            {/* Recurrence Section */}
+            <div className="card p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <ArrowPathIcon className="w-5 h-5 text-indigo-500" />
+                <h2 className="text-lg font-semibold text-gray-900">Recurrence</h2>
+              </div>
+              {isSeries ? (
+                <p className="text-sm text-gray-600 mb-4">
+                  Part of a recurring series. Changes to the repeat rule apply when you save this and
+                  following occurrences, or all of them.
+                </p>
+              ) : (
+                <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                  <input type="checkbox" {...register('isRecurring')} className="rounded" />
+                  Repeat this dispatch
+                </label>
+              )}
+              {(isSeries || watchedIsRecurring) && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="form-label">Repeats</label>
+                    <select {...register('recurrencePattern')} className="form-select">
+                      <option value="weekly">Weekly</option>
+                      <option value="biweekly">Every two weeks</option>
+                      <option value="monthly">Monthly (same date)</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="form-label">Ends</label>
+                    <input type="date" {...register('recurrenceEndDate')} className="form-input" />
+                  </div>
+                  <div>
+                    <label className="form-label">On Public Holidays</label>
+                    <select {...register('recurrenceHolidayRule')} className="form-select">
+                      <option value="skip">Skip the dispatch</option>
+                      <option value="next_day">Move to the next day</option>
+                      <option value="ignore">Dispatch anyway</option>
+                    </select>
+                  </div>
+                  {watchedPattern !== 'monthly' && (
+                    <div className="md:col-span-3">
+                      <label className="form-label">On</label>
+                      <div className="flex flex-wrap gap-4">
+                        {WEEKDAY_LABELS.map((label, index) => (
+                          <label key={label} className="flex items-center gap-1 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              value={String(index)}
+                              {...register('recurrenceWeekdays')}
+                              className="rounded"
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">Leave all unticked to repeat on the dispatch day</p>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
             {/* Farm Times Section */}
             <div className="card p-6">
               <div className="flex items-center gap-2 mb-4">
@@ -576,48 +788,92 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
               </div>
             </div>
 
-            {/* Packaging Quantities Section */}
+            {/* Packaging Section */}
             <div className="card p-6">
-              <h2 className="text-lg font-semibold text-gray-900 mb-4">Packaging Quantities</h2>
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-                <div>
-                  <label className="form-label">Crates</label>
-                  <input
-                    type="number"
-                    {...register('cratesCount', { valueAsNumber: true })}
-                    className="form-input"
-                  />
-                </div>
-                <div>
-                  <label className="form-label">Bins</label>
-                  <input
-                    type="number"
-                    {...register('binsCount', { valueAsNumber: true })}
-                    className="form-input"
-                  />
-                </div>
-                <div>
-                  <label className="form-label">Boxes</label>
-                  <input
-                    type="number"
-                    {...register('boxesCount', { valueAsNumber: true })}
-                    className="form-input"
-                  />
-                </div>
-                <div>
-                  <label className="form-label">Pallets</label>
-                  <input
-                    type="number"
-                    {...register('palletsCount', { valueAsNumber: true })}
-                    className="form-input"
-                  />
-                </div>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Packaging</h2>
+                <button
+                  type="button"
+                  onClick={() => appendPackaging({ packagingTypeId: '', quantity: 1, productTypeId: '' })}
+                  className="btn btn-secondary btn-sm"
+                >
+                  <PlusIcon className="w-4 h-4 mr-1" />
+                  Add Item
+                </button>
               </div>
+              {packagingFields.length === 0 ? (
+                <p className="text-sm text-gray-500">No packaging planned</p>
+              ) : (
+                <div className="space-y-3">
+                  {packagingFields.map((field, index) => (
+                    <div key={field.id} className="flex gap-4 items-start p-3 bg-gray-50 rounded-lg">
+                      <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                          <label className="form-label">Packaging Type *</label>
+                          <select
+                            {...register(`packaging.${index}.packagingTypeId`, { required: true })}
+                            className="form-select"
+                          >
+                            <option value="">Select type...</option>
+                            {packagingTypes.map(pt => (
+                              <option key={pt.id} value={pt.id}>
+                                {pt.name} ({pt.code})
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="form-label">Quantity *</label>
+                          <input
+                            type="number"
+                            min="1"
+                            {...register(`packaging.${index}.quantity`, { required: true, min: 1 })}
+                            className="form-input"
+                          />
+                        </div>
+                        <div>
+                          <label className="form-label">Product (optional)</label>
+                          <select
+                            {...register(`packaging.${index}.productTypeId`)}
+                            className="form-select"
+                          >
+                            <option value="">None</option>
+                            {products.map(product => (
+                              <option key={product.id} value={product.id}>
+                                {product.name}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => removePackaging(index)}
+                        className="mt-7 p-2 text-red-500 hover:bg-red-50 rounded"
+                      >
+                        <TrashIcon className="w-5 h-5" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
 
             {/* Key Planning Dates Section */}
             <div className="card p-6">
-              <h2 className="text-lg font-semibold text-gray-900 mb-4">Key Planning Dates</h2>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Key Planning Dates</h2>
+                {leadTimes?.template && (
+                  <button type="button" onClick={reapplyLeadTimes} className="text-sm text-indigo-600 hover:text-indigo-800">
+                    Reapply lead times
+                  </button>
+                )}
+              </div>
+              {leadTimes?.template && (
+                <p className="text-xs text-gray-500 -mt-2 mb-4">
+                  Filled from the {leadTimes.template.name} lead times. Dates you change by hand are kept.
+                </p>
+              )}
               <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
                 <div>
                   <label className="form-label">Packaging ETA (Farm)</label>
@@ -745,7 +1001,7 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
                 {schedule && onDelete && (
                   <button
                     type="button"
-                    onClick={() => onDelete(schedule.id)}
+                    onClick={() => (isSeries ? setPendingAction({ type: 'delete' }) : onDelete(schedule.id))}
                     className="btn btn-danger"
                   >
                     <TrashIcon className="h-4 w-4 mr-1" />
@@ -771,6 +1027,379 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
               </div>
             </div>
           </form>
+
+          {pendingAction && (
+            <div className="fixed inset-0 z-50 flex items-center justify-center px-4">
+              <div className="fixed inset-0 bg-black bg-opacity-30" onClick={() => setPendingAction(null)} />
+              <div className="relative bg-white rounded-lg shadow-xl max-w-sm w-full p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                  {pendingAction.type === 'save' ? 'Save recurring schedule' : 'Delete recurring schedule'}
+                </h3>
+                <div className="space-y-2">
+                  {SERIES_SCOPES.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => handleScope(option.value)}
+                      className={`w-full btn ${pendingAction.type === 'delete' ? 'btn-danger' : 'btn-secondary'}`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex justify-end mt-4">
+                  <button type="button" onClick={() => setPendingAction(null)} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Planner sheet import: upload or paste the weekly packaging demand
+ * planner, check the preview, then create the schedules
+ * @param {{ isOpen: boolean; onClose: () => void; onImported: () => void }} props
+ */
+function ImportModal({ isOpen, onClose, onImported }) {
+  const [content, setContent] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setContent('');
+      setPreview(null);
+    }
+  }, [isOpen]);
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} e */
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setContent(await file.text());
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    try {
+      const res = await previewPlannerImport(content);
+      setPreview(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to read the sheet');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const res = await importPlannerSheet(content);
+      toast.success(`${res.data.created} schedule${res.data.created === 1 ? '' : 's'} imported`);
+      onImported();
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to import schedules');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black bg-opacity-30" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
+          <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+            <h3 className="text-lg font-semibold text-gray-900">Import Planner Sheet</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            {!preview ? (
+              <>
+                <p className="text-sm text-gray-600">
+                  Upload the packaging demand planner saved as tab-separated text or CSV, or copy the rows
+                  (with their section headings) from Excel and paste them below.
+                </p>
+                <input
+                  type="file"
+                  accept=".tsv,.txt,.csv,.md"
+                  onChange={handleFile}
+                  className="block text-sm text-gray-600"
+                />
+                <textarea
+                  value={content}
+                  onChange={(e) => setContent(e.target.value)}
+                  rows={12}
+                  className="form-textarea font-mono text-xs"
+                  placeholder="Paste the planner rows here"
+                />
+                <div className="flex justify-end space-x-3">
+                  <button type="button" onClick={onClose} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handlePreview}
+                    disabled={busy || !content.trim()}
+                    className="btn btn-primary"
+                  >
+                    {busy ? 'Reading...' : 'Preview'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-3 text-sm">
+                  <span className="px-2 py-1 rounded bg-green-100 text-green-700">{preview.summary.valid} to import</span>
+                  {preview.summary.invalid > 0 && (
+                    <span className="px-2 py-1 rounded bg-red-100 text-red-700">{preview.summary.invalid} with errors</span>
+                  )}
+                  {preview.summary.duplicates > 0 && (
+                    <span className="px-2 py-1 rounded bg-gray-100 text-gray-600">{preview.summary.duplicates} already planned</span>
+                  )}
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Line</th>
+                        <th>Dispatch</th>
+                        <th>Arrival</th>
+                        <th>Farm</th>
+                        <th>Destination</th>
+                        <th>Channel</th>
+                        <th>Packaging</th>
+                        <th>Issues</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.rows.map(row => (
+                        <tr
+                          key={row.line}
+                          className={row.errors.length > 0 ? 'bg-red-50' : row.duplicate ? 'bg-gray-50 text-gray-500' : ''}
+                        >
+                          <td>{row.line}</td>
+                          <td>{row.schedule.dispatch_date || '-'}{row.schedule.dispatch_time && ` ${row.schedule.dispatch_time}`}</td>
+                          <td>{row.schedule.expected_arrival_date || '-'}</td>
+                          <td>{row.schedule.origin_code || row.farm}</td>
+                          <td>{row.schedule.destination_code || row.destination}</td>
+                          <td>{row.schedule.channel_name || row.schedule.customer_name || '-'}</td>
+                          <td className="whitespace-nowrap">
+                            {row.packaging.length > 0
+                              ? row.packaging.map(line => `${line.quantity} x ${line.packaging_code}`).join(', ')
+                              : '-'}
+                          </td>
+                          <td className="text-xs">
+                            {row.errors.map(message => (
+                              <div key={message} className="text-red-600">{message}</div>
+                            ))}
+                            {row.warnings.map(message => (
+                              <div key={message} className="text-yellow-700">{message}</div>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="flex justify-between pt-4 border-t">
+                  <button type="button" onClick={() => setPreview(null)} className="btn btn-secondary">
+                    Back
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={busy || preview.summary.valid === 0}
+                    className="btn btn-primary"
+                  >
+                    {busy ? 'Importing...' : `Import ${preview.summary.valid} Schedule${preview.summary.valid === 1 ? '' : 's'}`}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Public holidays, which recurring schedules skip or move off, and a
+ * manual run of the occurrence generator
+ * @param {{ isOpen: boolean; onClose: () => void; onChanged: () => void }} props
+ */
+function HolidaysModal({ isOpen, onClose, onChanged }) {
+  const [holidays, setHolidays] = useState([]);
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) loadHolidays();
+  }, [isOpen]);
+
+  const loadHolidays = async () => {
+    try {
+      const res = await getPublicHolidays({ startDate: format(new Date(), 'yyyy-MM-dd') });
+      setHolidays(res.data.holidays || []);
+    } catch (error) {
+      toast.error('Failed to load holidays');
+    }
+  };
+
+  /** @param {object} recurrences - Generator totals */
+  const reportGeneration = (recurrences) => {
+    if (recurrences.created || recurrences.removed) {
+      toast.success(`Recurring schedules: ${recurrences.created} added, ${recurrences.removed} removed`);
+    }
+    onChanged();
+  };
+
+  /** @param {React.FormEvent} e */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await createPublicHoliday(newHoliday);
+      toast.success('Holiday added');
+      setNewHoliday({ date: '', name: '' });
+      loadHolidays();
+      reportGeneration(res.data.recurrences);
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Failed to add holiday');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /** @param {object} holiday */
+  const handleDelete = async (holiday) => {
+    if (!window.confirm(`Remove ${holiday.name}?`)) return;
+    try {
+      const res = await deletePublicHoliday(holiday.id);
+      toast.success('Holiday removed');
+      loadHolidays();
+      reportGeneration(res.data.recurrences);
+    } catch (error) {
+      toast.error('Failed to remove holiday');
+    }
+  };
+
+  const handleGenerate = async () => {
+    setBusy(true);
+    try {
+      const res = await generateRecurringSchedules();
+      toast.success(`${res.data.series} series checked, ${res.data.created} occurrences added`);
+      onChanged();
+    } catch (error) {
+      toast.error('Failed to generate recurring schedules');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-black bg-opacity-30" onClick={onClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+          <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+            <h3 className="text-lg font-semibold text-gray-900">Public Holidays</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            <p className="text-sm text-gray-600">
+              Recurring schedules skip these days or move to the next day, as set on each series.
+            </p>
+            <form onSubmit={handleAdd} className="flex flex-wrap gap-3 items-end">
+              <div>
+                <label className="form-label">Date</label>
+                <input
+                  type="date"
+                  required
+                  value={newHoliday.date}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+                  className="form-input"
+                />
+              </div>
+              <div className="flex-1">
+                <label className="form-label">Name</label>
+                <input
+                  type="text"
+                  required
+                  value={newHoliday.name}
+                  onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+                  placeholder="e.g., Heroes Day"
+                  className="form-input"
+                />
+              </div>
+              <button type="submit" disabled={busy} className="btn btn-primary">
+                <PlusIcon className="w-4 h-4 mr-1" />
+                Add
+              </button>
+            </form>
+            <div className="overflow-x-auto">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Holiday</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {holidays.length === 0 ? (
+                    <tr>
+                      <td colSpan={3} className="text-center text-gray-500">No upcoming holidays</td>
+                    </tr>
+                  ) : holidays.map(holiday => (
+                    <tr key={holiday.id}>
+                      <td>{format(parseISO(holiday.holiday_date), 'EEE d MMM yyyy')}</td>
+                      <td>{holiday.name}</td>
+                      <td className="text-right">
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(holiday)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-between pt-4 border-t">
+              <button type="button" onClick={handleGenerate} disabled={busy} className="btn btn-secondary">
+                <ArrowPathIcon className="w-4 h-4 mr-1" />
+                Generate Recurring Schedules
+              </button>
+              <button type="button" onClick={onClose} className="btn btn-primary">
+                Done
+              </button>
+            </div>
+          </div>
         </div>
       </div>
     </div>
@@ -781,23 +1410,30 @@ function ScheduleModal({ isOpen, schedule, date, sites, channels, vehicles, driv
  * Weekly Planner Page
  */
 function WeeklyPlanner() {
+  const { hasPermission } = useAuthStore();
   const [weekStart, setWeekStart] = useState(() => {
     const now = new Date();
     return format(startOfWeek(now, { weekStartsOn: 1 }), 'yyyy-MM-dd');
   });
   const [weekData, setWeekData] = useState({ days: [] });
-  /** @type {[Array<{ site_id: string; site_code: string; site_name: string; total_crates: number; total_bins: number; dispatch_count: number }>, React.Dispatch<React.SetStateAction<Array<object>>>]} */
+  /** @type {[Array<{ site_id: string; site_code: string; site_name: string; packaging: Array<{ packaging_type_id: string; packaging_code: string; quantity: number }>; dispatch_count: number }>, React.Dispatch<React.SetStateAction<Array<object>>>]} */
   const [demandData, setDemandData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [sites, setSites] = useState([]);
   const [channels, setChannels] = useState([]);
   const [vehicles, setVehicles] = useState([]);
   const [drivers, setDrivers] = useState([]);
+  const [packagingTypes, setPackagingTypes] = useState([]);
+  const [products, setProducts] = useState([]);
   
   // Modal state
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedSchedule, setSelectedSchedule] = useState(null);
   const [selectedDate, setSelectedDate] = useState(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isHolidaysOpen, setIsHolidaysOpen] = useState(false);
+  const [isLeadTimesOpen, setIsLeadTimesOpen] = useState(false);
+  const [isProjectionOpen, setIsProjectionOpen] = useState(false);
 
   useEffect(() => {
     loadReferenceData();
@@ -809,16 +1445,20 @@ function WeeklyPlanner() {
 
   const loadReferenceData = async () => {
     try {
-      const [sitesRes, channelsRes, vehiclesRes, driversRes] = await Promise.all([
+      const [sitesRes, channelsRes, vehiclesRes, driversRes, packagingRes, productsRes] = await Promise.all([
         getSites({ active: true }),
         getChannels(),
         getVehicles(),
-        getDrivers()
+        getDrivers(),
+        getPackagingTypes({ active: true }),
+        getProducts()
       ]);
       setSites(sitesRes.data.sites || []);
       setChannels(channelsRes.data.channels || []);
       setVehicles(vehiclesRes.data.vehicles || []);
       setDrivers(driversRes.data.drivers || []);
+      setPackagingTypes(packagingRes.data.packagingTypes || []);
+      setProducts(productsRes.data.productTypes || []);
     } catch (error) {
       toast.error('Failed to load reference data');
     }
@@ -828,10 +1468,15 @@ function WeeklyPlanner() {
     setLoading(true);
     try {
       const weekEndDate = format(addDays(parseISO(weekStart), 6), 'yyyy-MM-dd');
-      const [weekRes, demandRes] = await Promise.all([
+      const [weekRes, demandRes, holidaysRes] = await Promise.all([
         getWeekSchedules(weekStart),
-        getPackagingDemand({ startDate: weekStart, endDate: weekEndDate })
+        getPackagingDemand({ startDate: weekStart, endDate: weekEndDate }),
+        getPublicHolidays({ startDate: weekStart, endDate: weekEndDate })
       ]);
+      const holidayNames = {};
+      (holidaysRes.data.holidays || []).forEach(h => {
+        holidayNames[h.holiday_date] = h.name;
+      });
       
       // Fill in empty days
       const daysMap = {};
@@ -844,9 +1489,9 @@ function WeeklyPlanner() {
       for (let i = 0; i < 7; i++) {
         const date = format(addDays(parseISO(weekStart), i), 'yyyy-MM-dd');
         if (daysMap[date]) {
-          allDays.push(daysMap[date]);
+          allDays.push({ ...daysMap[date], holiday: holidayNames[date] });
         } else {
-          allDays.push({ date, dayName: dayNames[i], schedules: [] });
+          allDays.push({ date, dayName: dayNames[i], schedules: [], holiday: holidayNames[date] });
         }
       }
       
@@ -892,8 +1537,10 @@ function WeeklyPlanner() {
         await updateSchedule(selectedSchedule.id, data);
         toast.success('Schedule updated');
       } else {
-        await createSchedule(data);
-        toast.success('Schedule created');
+        const res = await createSchedule(data);
+        toast.success(res.data.generated
+          ? `Schedule created with ${res.data.generated} upcoming occurrence${res.data.generated === 1 ? '' : 's'}`
+          : 'Schedule created');
       }
       setIsModalOpen(false);
       loadWeekData();
@@ -902,12 +1549,15 @@ function WeeklyPlanner() {
     }
   };
 
-  /** @param {string} id */
-  const handleDeleteSchedule = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this schedule?')) return;
+  /**
+   * @param {string} id
+   * @param {'this' | 'following' | 'all'} [scope] - Chosen in the modal for recurring schedules
+   */
+  const handleDeleteSchedule = async (id, scope) => {
+    if (!scope && !window.confirm('Are you sure you want to delete this schedule?')) return;
     try {
-      await deleteSchedule(id);
-      toast.success('Schedule deleted');
+      const res = await deleteSchedule(id, scope);
+      toast.success(res.data.message);
       setIsModalOpen(false);
       loadWeekData();
     } catch (error) {
@@ -978,6 +1628,48 @@ function WeeklyPlanner() {
           >
             <ArrowPathIcon className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
           </button>
+
+          <button
+            type="button"
+            onClick={() => setIsProjectionOpen(true)}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center"
+          >
+            <CubeIcon className="h-4 w-4 mr-1" />
+            Projection
+          </button>
+
+          {hasPermission('planner.edit') && (
+            <button
+              type="button"
+              onClick={() => setIsImportOpen(true)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center"
+            >
+              <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+              Import
+            </button>
+          )}
+
+          {hasPermission('planner.edit') && (
+            <button
+              type="button"
+              onClick={() => setIsHolidaysOpen(true)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center"
+            >
+              <CalendarIcon className="h-4 w-4 mr-1" />
+              Holidays
+            </button>
+          )}
+
+          {hasPermission('planner.edit') && (
+            <button
+              type="button"
+              onClick={() => setIsLeadTimesOpen(true)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 flex items-center"
+            >
+              <ClockIcon className="h-4 w-4 mr-1" />
+              Lead Times
+            </button>
+          )}
         </div>
       </div>
 
@@ -991,10 +1683,9 @@ function WeeklyPlanner() {
                 <div className="text-sm font-medium text-gray-900">{site.site_code}</div>
                 <div className="text-xs text-gray-500 mb-2">{site.dispatch_count} dispatches</div>
                 <div className="space-y-1 text-xs">
-                  {site.total_crates > 0 && <div>Crates: <span className="font-medium">{site.total_crates}</span></div>}
-                  {site.total_bins > 0 && <div>Bins: <span className="font-medium">{site.total_bins}</span></div>}
-                  {site.total_boxes > 0 && <div>Boxes: <span className="font-medium">{site.total_boxes}</span></div>}
-                  {site.total_pallets > 0 && <div>Pallets: <span className="font-medium">{site.total_pallets}</span></div>}
+                  {site.packaging.map(p => (
+                    <div key={p.packaging_type_id}>{p.packaging_code}: <span className="font-medium">{p.quantity}</span></div>
+                  ))}
                 </div>
               </div>
             ))}
@@ -1033,10 +1724,42 @@ function WeeklyPlanner() {
         channels={channels}
         vehicles={vehicles}
         drivers={drivers}
+        packagingTypes={packagingTypes}
+        products={products}
         onClose={() => setIsModalOpen(false)}
         onSave={handleSaveSchedule}
         onDelete={handleDeleteSchedule}
       />
+
+      {/* Planner Sheet Import */}
+      <ImportModal
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={loadWeekData}
+      />
+
+      {/* Public Holidays */}
+      <HolidaysModal
+        isOpen={isHolidaysOpen}
+        onClose={() => setIsHolidaysOpen(false)}
+        onChanged={loadWeekData}
+      />
+
+      {/* Lead-Time Templates */}
+      <LeadTimeTemplatesModal
+        isOpen={isLeadTimesOpen}
+        onClose={() => setIsLeadTimesOpen(false)}
+        sites={sites}
+        channels={channels}
+      />
+
+      {/* Packaging Projection */}
+      <PackagingProjectionModal
+        isOpen={isProjectionOpen}
+        onClose={() => setIsProjectionOpen(false)}
+        onChanged={loadWeekData}
+        sites={sites}
+      />
     </div>
   );
 }
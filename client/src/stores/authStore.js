@@ -12,63 +12,129 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
  * @property {string} lastName
  * @property {string} role
  * @property {string|null} assignedSiteId
+ * @property {string[]} permissions - Permission keys granted to the user's role
  */
 
 /**
  * @typedef {Object} AuthState
  * @property {User|null} user
- * @property {string|null} token
+ * @property {string|null} token - Short-lived access token
+ * @property {string|null} refreshToken - Rotates on every refresh
  * @property {boolean} isAuthenticated
  * @property {boolean} isLoading
- * @property {(email: string, password: string) => Promise<void>} login
+ * @property {(email: string, password: string) => Promise<{ mfaRequired: boolean, mfaEnrolled: boolean, mfaToken: string } | null>} login
+ *   Resolves to the second step when 2FA is needed, otherwise signs in
+ * @property {(mfaToken: string, code: string) => Promise<void>} verifyMfa
+ * @property {(data: { token: string, refreshToken: string, user: object }) => void} setSession
  * @property {() => Promise<void>} logout
  * @property {() => Promise<void>} checkAuth
  * @property {() => string|null} getToken
+ * @property {(staleToken?: string|null) => Promise<string|null>} refreshSession
+ * @property {(permission: string) => boolean} hasPermission
  */
 
+/**
+ * @param {object} userData - User from /auth/login or /auth/me
+ * @returns {User}
+ */
+const toUser = (userData) => ({
+  id: userData.id,
+  email: userData.email,
+  firstName: userData.firstName || userData.first_name || userData.email?.split('@')[0] || '',
+  lastName: userData.lastName || userData.last_name || '',
+  role: userData.role,
+  assignedSiteId: userData.assignedSiteId || userData.assigned_site_id || null,
+  permissions: userData.permissions || [],
+});
+
+// Refresh in flight, shared by every request that hit an expired token
+let refreshPromise = null;
+
 /** @type {import('zustand').UseBoundStore<import('zustand').StoreApi<AuthState>>} */
 export const useAuthStore = create(
   persist(
     (set, get) => ({
       user: null,
       token: null,
+      refreshToken: null,
       isAuthenticated: false,
       isLoading: true,
 
       getToken: () => get().token,
 
+      hasPermission: (permission) => Boolean(get().user?.permissions?.includes(permission)),
+
       login: async (email, password) => {
         const response = await axios.post(`${API_BASE_URL}/auth/login`, {
           email,
           password,
         });
 
-        const { token, user: userData } = response.data;
+        if (response.data.mfaRequired) {
+          return response.data;
+        }
+
+        get().setSession(response.data);
+        return null;
+      },
 
-        const user = {
-          id: userData.id,
-          email: userData.email,
-          firstName: userData.first_name || email.split('@')[0],
-          lastName: userData.last_name || '',
-          role: userData.role || 'admin',
-          assignedSiteId: userData.assigned_site_id || null,
-        };
+      verifyMfa: async (mfaToken, code) => {
+        const response = await axios.post(`${API_BASE_URL}/auth/mfa/verify`, { mfaToken, code });
+        get().setSession(response.data);
+      },
 
+      setSession: ({ token, refreshToken, user: userData }) => {
         set({
-          user,
+          user: toUser(userData),
           token,
+          refreshToken,
           isAuthenticated: true,
           isLoading: false,
         });
       },
 
       logout: async () => {
+        const { refreshToken } = get();
+
         set({
           user: null,
           token: null,
+          refreshToken: null,
           isAuthenticated: false,
           isLoading: false,
         });
+
+        if (refreshToken) {
+          // Best effort: the session expires on its own if this fails
+          axios.post(`${API_BASE_URL}/auth/logout`, { refreshToken }).catch(() => {});
+        }
+      },
+
+      refreshSession: (staleToken = get().token) => {
+        if (!refreshPromise) {
+          refreshPromise = (async () => {
+            // Another tab may already have rotated the refresh token
+            await useAuthStore.persist.rehydrate();
+            if (get().token && get().token !== staleToken) {
+              return get().token;
+            }
+
+            const refreshToken = get().refreshToken;
+            if (!refreshToken) return null;
+
+            try {
+              const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+              set({ token: response.data.token, refreshToken: response.data.refreshToken });
+              return response.data.token;
+            } catch (error) {
+              return null;
+            }
+          })().finally(() => {
+            refreshPromise = null;
+          });
+        }
+
+        return refreshPromise;
       },
 
       checkAuth: async () => {
@@ -79,23 +145,26 @@ export const useAuthStore = create(
           return;
         }
 
+        /** @param {string} accessToken */
+        const fetchMe = (accessToken) => axios.get(`${API_BASE_URL}/auth/me`, {
+          headers: { Authorization: `Bearer ${accessToken}` },
+        });
+
         try {
-          const response = await axios.get(`${API_BASE_URL}/auth/me`, {
-            headers: { Authorization: `Bearer ${token}` },
-          });
+          let response;
+          try {
+            response = await fetchMe(token);
+          } catch (error) {
+            if (error.response?.status !== 401) throw error;
+            const newToken = await get().refreshSession(token);
+            if (!newToken) throw error;
+            response = await fetchMe(newToken);
+          }
 
           const userData = response.data.user || response.data;
-          const user = {
-            id: userData.id,
-            email: userData.email,
-            firstName: userData.firstName || userData.first_name || userData.email?.split('@')[0] || '',
-            lastName: userData.lastName || userData.last_name || '',
-            role: userData.role || 'admin',
-            assignedSiteId: userData.assignedSiteId || userData.assigned_site_id || null,
-          };
 
           set({
-            user,
+            user: toUser(userData),
             isAuthenticated: true,
             isLoading: false,
           });
@@ -104,6 +173,7 @@ export const useAuthStore = create(
           set({
             user: null,
             token: null,
+            refreshToken: null,
             isAuthenticated: false,
             isLoading: false,
           });
@@ -112,7 +182,7 @@ export const useAuthStore = create(
     }),
     {
       name: 'auth-storage',
-      partialize: (state) => ({ token: state.token, user: state.user }),
+      partialize: (state) => ({ token: state.token, refreshToken: state.refreshToken, user: state.user }),
     }
   )
 );
@@ -0,0 +1,38 @@
+import { rebuildPackagingBalances } from '../services/inventoryLedger.js';
+
+/**
+ * Rebuild site packaging balances from the packaging_movements ledger.
+ * Dry run by default; pass --apply to overwrite the stored balances.
+ */
+async function rebuild() {
+  const apply = process.argv.includes('--apply');
+
+  console.log(`Rebuilding packaging balances from ledger${apply ? '' : ' (dry run)'}...`);
+
+  try {
+    const differences = await rebuildPackagingBalances({ apply });
+
+    if (differences.length === 0) {
+      console.log('All stored balances match the ledger.');
+      return;
+    }
+
+    console.table(differences.map(d => ({
+      site: d.site_code,
+      packaging: d.packaging_type_code,
+      stored: d.stored_quantity,
+      ledger: d.ledger_quantity,
+      difference: d.quantity_difference,
+      damaged_difference: d.damaged_difference
+    })));
+
+    console.log(apply
+      ? `Corrected ${differences.length} balance(s) from the ledger.`
+      : `${differences.length} balance(s) differ from the ledger. Re-run with --apply to correct them.`);
+  } catch (error) {
+    console.error('Rebuild failed:', error);
+    process.exit(1);
+  }
+}
+
+rebuild();
@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { getAuditHeaders } from '../middleware/audit.js';
 
 dotenv.config();
 
@@ -12,12 +13,27 @@ if (!supabaseUrl || !supabaseServiceKey) {
   console.error('SUPABASE_SERVICE_ROLE_KEY:', supabaseServiceKey ? 'set' : 'missing');
 }
 
+/**
+ * fetch that adds the current request's audit headers (actor and origin)
+ * to every call, for the audit_log triggers
+ */
+const auditedFetch = (input, init = {}) => {
+  const headers = new Headers(init.headers);
+  for (const [name, value] of Object.entries(getAuditHeaders())) {
+    headers.set(name, value);
+  }
+  return fetch(input, { ...init, headers });
+};
+
 // Create Supabase client with service role key for backend operations
 export const supabase = createClient(supabaseUrl || '', supabaseServiceKey || '', {
   auth: {
     autoRefreshToken: false,
     persistSession: false,
   },
+  global: {
+    fetch: auditedFetch,
+  },
 });
 
 export default supabase;
@@ -2,14 +2,26 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import express from 'express';
 
+import { auditContext } from './middleware/audit.js';
+import alertsRoutes from './routes/alerts.supabase.js';
+import auditRoutes from './routes/audit.supabase.js';
 import authRoutes from './routes/auth.supabase.js';
+import chargeBacksRoutes from './routes/chargebacks.supabase.js';
 import configRoutes from './routes/config.supabase.js';
 import dashboardRoutes from './routes/dashboard.supabase.js';
+import importsRoutes from './routes/imports.supabase.js';
 import loadsRoutes from './routes/loads.supabase.js';
+import notificationsRoutes from './routes/notifications.supabase.js';
 import packagingRoutes from './routes/packaging.supabase.js';
 import plannerRoutes from './routes/planner.supabase.js';
 import reportsRoutes from './routes/reports.supabase.js';
+import serviceAccountsRoutes from './routes/serviceAccounts.supabase.js';
 import sitesRoutes from './routes/sites.supabase.js';
+import stockTakesRoutes from './routes/stocktakes.supabase.js';
+import webhooksRoutes from './routes/webhooks.supabase.js';
+import { startAlertScheduler } from './services/alertEngine.js';
+import { startRecurrenceScheduler } from './services/recurringSchedules.js';
+import { startWebhookRetryScheduler } from './services/webhooks.js';
 
 dotenv.config();
 
@@ -21,7 +33,9 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true
 }));
-app.use(express.json());
+// Imports send whole spreadsheets
+app.use(express.json({ limit: '5mb' }));
+app.use(auditContext);
 
 // Request logging in development
 if (process.env.NODE_ENV === 'development') {
@@ -39,10 +53,18 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/sites', sitesRoutes);
+app.use('/api/stock-takes', stockTakesRoutes);
 app.use('/api/packaging', packagingRoutes);
 app.use('/api/loads', loadsRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/charge-backs', chargeBacksRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/service-accounts', serviceAccountsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/imports', importsRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/planner', plannerRoutes);
 
@@ -63,6 +85,9 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, () => {
+  startAlertScheduler();
+  startRecurrenceScheduler();
+  startWebhookRetryScheduler();
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
@@ -0,0 +1,54 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Keep a header value to printable ASCII so fetch accepts it
+ */
+function headerValue(value, maxLength) {
+  return String(value ?? '').replace(/[^\x20-\x7e]/g, '').slice(0, maxLength);
+}
+
+/**
+ * Request context middleware. Every Supabase query made while handling
+ * the request (including background work it starts) carries the acting
+ * user and request origin, which the audit triggers record.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const auditContext = (req, res, next) => {
+  req.requestId = req.headers['x-request-id'] || randomUUID();
+  requestContext.run({ req }, next);
+};
+
+/**
+ * x-audit-* headers for the current request. req.user is read at query
+ * time because authentication runs after this middleware. Outside a
+ * request (schedulers) the change is attributed to the system.
+ * @returns {Record<string, string>}
+ */
+export function getAuditHeaders() {
+  const req = requestContext.getStore()?.req;
+
+  if (!req) {
+    return { 'x-audit-source': 'system' };
+  }
+
+  const headers = {
+    'x-audit-source': 'api',
+    'x-audit-ip': headerValue(req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress, 100),
+    'x-audit-user-agent': headerValue(req.headers['user-agent'], 500),
+    'x-audit-method': req.method,
+    'x-audit-path': headerValue(req.originalUrl, 500),
+    'x-audit-request-id': headerValue(req.requestId, 100)
+  };
+
+  if (req.user) {
+    headers['x-audit-actor-id'] = headerValue(req.user.id, 36);
+    headers['x-audit-actor-email'] = headerValue(req.user.email, 255);
+  }
+
+  return headers;
+}
@@ -1,9 +1,76 @@
 import jwt from 'jsonwebtoken';
 import { supabase } from '../db/supabase.js';
+import { findApiKey, isApiKey } from '../services/apiKeys.js';
+import { getRolePermissions, hasPermission } from '../services/permissions.js';
+import { isSessionActive } from '../services/sessions.js';
+
+const USER_SELECT = 'id, email, first_name, last_name, role, assigned_site_id, is_active';
+
+/**
+ * The service account behind an API key, holding only the key's
+ * permissions that its role also grants
+ * @param {string} key
+ * @param {import('express').Request} req
+ * @returns {Promise<object|null>}
+ */
+async function apiKeyUser(key, req) {
+  const ip = (req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || '').slice(0, 100) || null;
+  const apiKey = await findApiKey(key, ip);
+
+  if (!apiKey || !apiKey.account.is_active) return null;
+
+  const rolePermissions = await getRolePermissions(apiKey.account.role);
+  return {
+    ...apiKey.account,
+    apiKeyId: apiKey.id,
+    permissions: apiKey.permissions.filter(p => rolePermissions.includes(p))
+  };
+}
+
+/**
+ * The user behind a session access token from /api/auth/login. Only
+ * accepted while its session (services/sessions.js) is active, which
+ * sign-in only starts after the password, lockout and 2FA checks.
+ * @param {string} token
+ * @returns {Promise<{ user?: object, message?: string }>} message says why not
+ */
+async function sessionUser(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return { message: 'Invalid or expired token' };
+  }
+
+  // Tokens from before sessions existed carry no session ID, and
+  // second-step tokens from /login carry none either
+  if (!decoded.sid) {
+    return { message: 'Session expired' };
+  }
+
+  const [{ data: user, error }, sessionActive] = await Promise.all([
+    supabase
+      .from('users')
+      .select(USER_SELECT)
+      .eq('id', decoded.userId)
+      .single(),
+    isSessionActive(decoded.userId, decoded.sid)
+  ]);
+
+  if (error || !user) return { message: 'User not found' };
+  if (!user.is_active) return { message: 'Account is deactivated' };
+  if (!sessionActive) return { message: 'Session expired' };
+
+  return {
+    user: { ...user, sessionId: decoded.sid, permissions: await getRolePermissions(user.role) }
+  };
+}
 
 /**
  * Authentication middleware
- * Supports both custom JWT tokens and Supabase Auth tokens
+ * Supports service account API keys (services/apiKeys.js) and session
+ * access tokens. Supabase Auth tokens are not accepted: they would skip
+ * the lockout, 2FA and session checks of our own sign-in.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
@@ -17,63 +84,22 @@ export const authenticate = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    
-    // Try to verify as custom JWT first
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from database
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('id, email, first_name, last_name, role, assigned_site_id, is_active')
-        .eq('id', decoded.userId)
-        .single();
-
-      if (error || !user) {
-        return res.status(401).json({ error: { message: 'User not found' } });
-      }
 
-      if (!user.is_active) {
-        return res.status(401).json({ error: { message: 'Account is deactivated' } });
+    if (isApiKey(token)) {
+      const keyUser = await apiKeyUser(token, req);
+      if (!keyUser) {
+        return res.status(401).json({ error: { message: 'Invalid or revoked API key' } });
       }
-
-      req.user = user;
+      req.user = keyUser;
       return next();
-    } catch (jwtError) {
-      // If JWT verification fails, try Supabase Auth
-      console.log('JWT verification failed, trying Supabase Auth...');
     }
 
-    // Try Supabase Auth
-    const { data: { user: supabaseUser }, error: supabaseError } = await supabase.auth.getUser(token);
-    
-    if (supabaseError || !supabaseUser) {
-      return res.status(401).json({ error: { message: 'Invalid or expired token' } });
+    const { user, message } = await sessionUser(token);
+    if (!user) {
+      return res.status(401).json({ error: { message } });
     }
 
-    // Get user from our users table by email
-    const { data: dbUser, error: dbError } = await supabase
-      .from('users')
-      .select('id, email, first_name, last_name, role, assigned_site_id, is_active')
-      .eq('email', supabaseUser.email)
-      .single();
-
-    if (dbError || !dbUser) {
-      // User exists in Supabase Auth but not in our users table
-      // Create a default user record
-      req.user = {
-        id: supabaseUser.id,
-        email: supabaseUser.email,
-        first_name: supabaseUser.user_metadata?.first_name || supabaseUser.email.split('@')[0],
-        last_name: supabaseUser.user_metadata?.last_name || '',
-        role: 'admin', // Default role
-        assigned_site_id: null,
-        is_active: true
-      };
-    } else {
-      req.user = dbUser;
-    }
-    
+    req.user = user;
     next();
   } catch (error) {
     console.error('Auth error:', error);
@@ -100,7 +126,26 @@ export const authorize = (...allowedRoles) => {
 };
 
 /**
- * Optional authentication - attaches user if token present
+ * Permission-based authorization middleware. Passes when the user holds
+ * any of the listed permissions (see services/permissions.js).
+ * @param {string[]} permissions - Permission keys
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: { message: 'Authentication required' } });
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({ error: { message: 'Insufficient permissions' } });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Optional authentication - attaches user if a valid session token is present
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
@@ -110,21 +155,8 @@ export const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      
-      const { data: { user }, error } = await supabase.auth.getUser(token);
-      
-      if (!error && user) {
-        req.user = {
-          id: user.id,
-          email: user.email,
-          first_name: user.user_metadata?.first_name || user.email.split('@')[0],
-          last_name: user.user_metadata?.last_name || '',
-          role: user.user_metadata?.role || 'admin',
-          assigned_site_id: user.user_metadata?.assigned_site_id || null,
-          is_active: true,
-        };
-      }
+      const { user } = await sessionUser(authHeader.substring(7));
+      if (user) req.user = user;
     }
     
     next();
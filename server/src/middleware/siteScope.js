@@ -0,0 +1,80 @@
+/**
+ * Site-scoped data access.
+ * farm_user and depot_user only see records of their assigned site; a
+ * scoped user without an assigned site sees none. Other roles are unscoped.
+ */
+
+const SITE_SCOPED_ROLES = ['farm_user', 'depot_user'];
+
+// Load columns that tie a load to a site
+const LOAD_SITE_COLUMNS = ['origin_site_id', 'destination_site_id', 'backload_site_id'];
+
+/**
+ * Sites a user is limited to
+ * @param {object} user - req.user
+ * @returns {string[] | null} Site IDs, or null when the user is unscoped
+ */
+export function getSiteScope(user) {
+  if (!SITE_SCOPED_ROLES.includes(user?.role)) return null;
+  return user.assigned_site_id ? [user.assigned_site_id] : [];
+}
+
+/**
+ * @param {object} user - req.user
+ * @param {string} siteId
+ */
+export function canAccessSite(user, siteId) {
+  const siteIds = getSiteScope(user);
+  return !siteIds || siteIds.includes(siteId);
+}
+
+/**
+ * A load is visible when any of its sites is in scope
+ * @param {object} user - req.user
+ * @param {object} load - Row with origin/destination/backload site IDs
+ */
+export function canAccessLoad(user, load) {
+  const siteIds = getSiteScope(user);
+  return !siteIds || LOAD_SITE_COLUMNS.some(column => siteIds.includes(load[column]));
+}
+
+/**
+ * Limit a Supabase query to rows whose site columns are in scope
+ * @param {object} query - Supabase query builder
+ * @param {object} user - req.user
+ * @param {string[]} columns - Site ID columns; a row matches on any of them
+ */
+export function applySiteScope(query, user, columns = ['site_id']) {
+  const siteIds = getSiteScope(user);
+  if (!siteIds) return query;
+
+  if (siteIds.length === 0 || columns.length === 1) {
+    return query.in(columns[0], siteIds);
+  }
+
+  return query.or(columns.flatMap(column => siteIds.map(id => `${column}.eq.${id}`)).join(','));
+}
+
+/**
+ * Limit a loads query to loads of sites in scope
+ * @param {object} query - Supabase query builder on loads
+ * @param {object} user - req.user
+ */
+export function applyLoadScope(query, user) {
+  return applySiteScope(query, user, LOAD_SITE_COLUMNS);
+}
+
+/**
+ * Route guard for site routes: 404 when the site in req.params is out of
+ * scope, the same response as a site that does not exist
+ * @param {string} param - Route parameter holding the site ID
+ */
+export const requireSiteAccess = (param = 'id') => {
+  return (req, res, next) => {
+    if (!canAccessSite(req.user, req.params[param])) {
+      return res.status(404).json({ error: { message: 'Site not found' } });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,393 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../db/supabase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applySiteScope } from '../middleware/siteScope.js';
+import { ALERT_RULES, evaluateAlerts } from '../services/alertEngine.js';
+import { hasPermission } from '../services/permissions.js';
+
+const router = express.Router();
+
+const ALERT_SELECT = `
+  *,
+  sites (code, name),
+  loads (load_number),
+  packaging_types (name),
+  assigned_user:users!alerts_assigned_to_fkey (id, first_name, last_name),
+  acknowledged_user:users!alerts_acknowledged_by_fkey (first_name, last_name),
+  resolved_user:users!alerts_resolved_by_fkey (first_name, last_name)
+`;
+
+/**
+ * Full name of a joined user row
+ */
+function userName(user) {
+  return user ? `${user.first_name} ${user.last_name}` : null;
+}
+
+/**
+ * Flatten joined alert relations for the client
+ */
+function formatAlert(a) {
+  return {
+    ...a,
+    site_code: a.sites?.code,
+    site_name: a.sites?.name,
+    load_number: a.loads?.load_number,
+    packaging_type_name: a.packaging_types?.name,
+    assigned_to_name: userName(a.assigned_user),
+    acknowledged_by_name: userName(a.acknowledged_user),
+    resolved_by_name: userName(a.resolved_user)
+  };
+}
+
+/**
+ * Record a workflow action or comment against an alert
+ */
+async function logAlertAction(alertId, userId, action, comment = null) {
+  const { error } = await supabase
+    .from('alert_comments')
+    .insert({ alert_id: alertId, user_id: userId || null, action, comment });
+
+  if (error) throw error;
+}
+
+/**
+ * Load an alert the user can see or send a 404; returns null when the
+ * response was sent
+ */
+async function findAlert(alertId, user, res) {
+  const { data, error } = await applySiteScope(
+    supabase
+      .from('alerts')
+      .select('id, is_acknowledged, is_resolved, assigned_to')
+      .eq('id', alertId),
+    user
+  ).single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({ error: { message: 'Alert not found' } });
+      return null;
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update an alert and return it formatted
+ */
+async function updateAlert(alertId, updateData) {
+  const { data, error } = await supabase
+    .from('alerts')
+    .update({ ...updateData, updated_at: new Date().toISOString() })
+    .eq('id', alertId)
+    .select(ALERT_SELECT)
+    .single();
+
+  if (error) throw error;
+
+  return formatAlert(data);
+}
+
+/**
+ * GET /api/alerts
+ * List alerts with filtering.
+ * state: open (default), unacknowledged, acknowledged, assigned, resolved or all
+ * assignedTo: a user id, or "me"
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { state = 'open', type, severity, siteId, loadId, assignedTo, limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('alerts')
+      .select(ALERT_SELECT, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    query = applySiteScope(query, req.user);
+    if (state === 'open') query = query.eq('is_resolved', false);
+    if (state === 'unacknowledged') query = query.eq('is_resolved', false).eq('is_acknowledged', false);
+    if (state === 'acknowledged') query = query.eq('is_resolved', false).eq('is_acknowledged', true);
+    if (state === 'assigned') query = query.eq('is_resolved', false).not('assigned_to', 'is', null);
+    if (state === 'resolved') query = query.eq('is_resolved', true);
+    if (type) query = query.eq('alert_type', type);
+    if (severity) query = query.eq('severity', severity);
+    if (siteId) query = query.eq('site_id', siteId);
+    if (loadId) query = query.eq('load_id', loadId);
+    if (assignedTo) query = query.eq('assigned_to', assignedTo === 'me' ? req.user.id : assignedTo);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      alerts: data.map(formatAlert),
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/alerts/assignees
+ * Active users an alert can be assigned to
+ */
+router.get('/assignees', authenticate, async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, first_name, last_name, role')
+      .eq('is_active', true)
+      .order('first_name')
+      .order('last_name');
+
+    if (error) throw error;
+
+    res.json({ users: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/evaluate
+ * Run the alert rules now (all rules, or body.types)
+ */
+router.post('/evaluate', authenticate, requirePermission('alerts.manage'), async (req, res, next) => {
+  try {
+    const { types } = req.body;
+
+    if (types !== undefined && (!Array.isArray(types) || types.some(t => !ALERT_RULES[t]))) {
+      return res.status(400).json({
+        error: { message: `types must be a list of: ${Object.keys(ALERT_RULES).join(', ')}` }
+      });
+    }
+
+    const results = await evaluateAlerts({ types });
+
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get an alert with its comments and workflow history
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const { data: alert, error } = await applySiteScope(
+      supabase
+        .from('alerts')
+        .select(ALERT_SELECT)
+        .eq('id', req.params.id),
+      req.user
+    ).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Alert not found' } });
+      }
+      throw error;
+    }
+
+    const { data: comments, error: commentsError } = await supabase
+      .from('alert_comments')
+      .select('*, users (first_name, last_name)')
+      .eq('alert_id', req.params.id)
+      .order('created_at');
+
+    if (commentsError) throw commentsError;
+
+    res.json({
+      alert: formatAlert(alert),
+      comments: comments.map(c => ({
+        ...c,
+        user_name: userName(c.users),
+        users: undefined
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ * Acknowledge an alert (it stays open until resolved)
+ */
+router.post('/:id/acknowledge', authenticate, async (req, res, next) => {
+  try {
+    const existing = await findAlert(req.params.id, req.user, res);
+    if (!existing) return;
+
+    if (existing.is_acknowledged) {
+      return res.status(400).json({ error: { message: 'Alert is already acknowledged' } });
+    }
+
+    const alert = await updateAlert(req.params.id, {
+      is_acknowledged: true,
+      acknowledged_by: req.user?.id || null,
+      acknowledged_at: new Date().toISOString()
+    });
+
+    await logAlertAction(req.params.id, req.user?.id, 'acknowledged');
+
+    res.json({ alert });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/:id/assign
+ * Assign an alert to a user (userId null to unassign)
+ */
+router.post('/:id/assign', authenticate, requirePermission('alerts.manage'), [
+  body('userId').optional({ nullable: true }).isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findAlert(req.params.id, req.user, res);
+    if (!existing) return;
+
+    if (existing.is_resolved) {
+      return res.status(400).json({ error: { message: 'Resolved alerts cannot be assigned' } });
+    }
+
+    const userId = req.body.userId || null;
+    let assignee = null;
+
+    if (userId) {
+      const { data, error } = await supabase
+        .from('users')
+        .select('id, first_name, last_name, is_active')
+        .eq('id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+
+      if (!data || !data.is_active) {
+        return res.status(400).json({ error: { message: 'Assignee must be an active user' } });
+      }
+      assignee = data;
+    }
+
+    const alert = await updateAlert(req.params.id, {
+      assigned_to: userId,
+      assigned_by: userId ? req.user?.id || null : null,
+      assigned_at: userId ? new Date().toISOString() : null
+    });
+
+    await logAlertAction(
+      req.params.id,
+      req.user?.id,
+      userId ? 'assigned' : 'unassigned',
+      assignee ? `Assigned to ${userName(assignee)}` : null
+    );
+
+    res.json({ alert });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/:id/comments
+ * Add a comment to an alert
+ */
+router.post('/:id/comments', authenticate, [
+  body('comment').notEmpty().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findAlert(req.params.id, req.user, res);
+    if (!existing) return;
+
+    const { data, error } = await supabase
+      .from('alert_comments')
+      .insert({
+        alert_id: req.params.id,
+        user_id: req.user?.id || null,
+        action: 'comment',
+        comment: req.body.comment
+      })
+      .select('*, users (first_name, last_name)')
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      comment: { ...data, user_name: userName(data.users), users: undefined }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/alerts/:id/resolve
+ * Resolve an alert with a reason. Alert managers and the assignee can
+ * resolve. A rule-raised alert is not raised again until its
+ * condition has cleared.
+ */
+router.post('/:id/resolve', authenticate, [
+  body('reason').notEmpty().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findAlert(req.params.id, req.user, res);
+    if (!existing) return;
+
+    if (!hasPermission(req.user, 'alerts.manage') && existing.assigned_to !== req.user.id) {
+      return res.status(403).json({ error: { message: 'Insufficient permissions' } });
+    }
+
+    if (existing.is_resolved) {
+      return res.status(400).json({ error: { message: 'Alert is already resolved' } });
+    }
+
+    const now = new Date().toISOString();
+
+    const alert = await updateAlert(req.params.id, {
+      is_resolved: true,
+      auto_resolved: false,
+      resolved_by: req.user?.id || null,
+      resolved_at: now,
+      resolution_reason: req.body.reason,
+      // Acknowledged implicitly so it leaves the dashboard feed
+      is_acknowledged: true,
+      acknowledged_by: existing.is_acknowledged ? undefined : req.user?.id || null,
+      acknowledged_at: existing.is_acknowledged ? undefined : now
+    });
+
+    await logAlertAction(req.params.id, req.user?.id, 'resolved', req.body.reason);
+
+    res.json({ alert });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
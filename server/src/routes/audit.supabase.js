@@ -0,0 +1,150 @@
+import express from 'express';
+import { supabase } from '../db/supabase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applyLoadScope, getSiteScope, requireSiteAccess } from '../middleware/siteScope.js';
+
+const router = express.Router();
+
+// Tables with audit triggers (migrations 17 and 18)
+const AUDITED_TABLES = [
+  'loads', 'load_packaging', 'backload_packaging', 'dispatch_schedules',
+  'site_packaging_inventory', 'site_packaging_thresholds',
+  'sites', 'vehicles', 'drivers', 'users', 'packaging_types', 'role_permissions'
+];
+
+/**
+ * Add actor_name to entries from the users table (entries keep the
+ * email snapshot for users that were since deleted)
+ */
+async function withActorNames(entries) {
+  const actorIds = [...new Set(entries.map(e => e.actor_id).filter(Boolean))];
+  if (actorIds.length === 0) return entries.map(e => ({ ...e, actor_name: null }));
+
+  const { data: users, error } = await supabase
+    .from('users')
+    .select('id, first_name, last_name')
+    .in('id', actorIds);
+
+  if (error) throw error;
+
+  const names = new Map(users.map(u => [u.id, `${u.first_name} ${u.last_name}`]));
+
+  return entries.map(e => ({ ...e, actor_name: names.get(e.actor_id) || null }));
+}
+
+/**
+ * Run a paginated audit query and send the response
+ */
+async function sendEntries(query, req, res) {
+  const { limit = 50, offset = 0 } = req.query;
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+  if (error) throw error;
+
+  res.json({
+    entries: await withActorNames(data),
+    pagination: {
+      total: count,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    }
+  });
+}
+
+/**
+ * GET /api/audit
+ * Search the audit log.
+ * Filters: tableName, recordId, action, actorId, loadId, siteId,
+ * field (a changed column), source, startDate, endDate
+ */
+router.get('/', authenticate, requirePermission('audit.view'), async (req, res, next) => {
+  try {
+    const { tableName, recordId, action, actorId, loadId, siteId, field, source, startDate, endDate } = req.query;
+
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' });
+
+    if (tableName) query = query.eq('table_name', tableName);
+    if (recordId) query = query.eq('record_id', recordId);
+    if (action) query = query.eq('action', action);
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (loadId) query = query.eq('load_id', loadId);
+    if (siteId) query = query.contains('site_ids', [siteId]);
+    if (field) query = query.contains('changed_fields', [field]);
+    if (source) query = query.eq('source', source);
+    if (startDate) query = query.gte('created_at', startDate);
+    if (endDate) query = query.lte('created_at', `${endDate}T23:59:59.999`);
+
+    await sendEntries(query, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audit/tables
+ * Audited table names
+ */
+router.get('/tables', authenticate, requirePermission('audit.view'), (req, res) => {
+  res.json({ tables: AUDITED_TABLES });
+});
+
+/**
+ * GET /api/audit/loads/:loadId
+ * History of a load, its packaging lines and its schedule
+ */
+router.get('/loads/:loadId', authenticate, async (req, res, next) => {
+  try {
+    // Scoped users only see the history of their own loads
+    if (getSiteScope(req.user)) {
+      const { data: load, error } = await applyLoadScope(
+        supabase
+          .from('loads')
+          .select('id')
+          .eq('id', req.params.loadId),
+        req.user
+      ).maybeSingle();
+
+      if (error) throw error;
+
+      if (!load) {
+        return res.status(404).json({ error: { message: 'Load not found' } });
+      }
+    }
+
+    const query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .eq('load_id', req.params.loadId);
+
+    await sendEntries(query, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/audit/sites/:siteId
+ * History of a site: its details, inventory, thresholds, and the loads
+ * and schedules to or from it. tableName narrows it to one table.
+ */
+router.get('/sites/:siteId', authenticate, requireSiteAccess('siteId'), async (req, res, next) => {
+  try {
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .contains('site_ids', [req.params.siteId]);
+
+    if (req.query.tableName) query = query.eq('table_name', req.query.tableName);
+
+    await sendEntries(query, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,15 +1,160 @@
 import bcrypt from 'bcryptjs';
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import jwt from 'jsonwebtoken';
 import { supabase } from '../db/supabase.js';
 import { authenticate } from '../middleware/auth.js';
+import {
+  countRecoveryCodes,
+  disableMfa,
+  enableMfa,
+  isMfaRequired,
+  issueMfaToken,
+  regenerateRecoveryCodes,
+  startMfaEnrolment,
+  verifyMfaCode,
+  verifyMfaToken
+} from '../services/mfa.js';
+import {
+  consumePasswordToken,
+  createPasswordToken,
+  findPasswordToken,
+  sendPasswordEmail
+} from '../services/passwordTokens.js';
+import { getRolePermissions } from '../services/permissions.js';
+import {
+  createSession,
+  issueAccessToken,
+  listUserSessions,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken
+} from '../services/sessions.js';
 
 const router = express.Router();
 
+// Failed logins in a row before the account is locked, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+
+/**
+ * 423 response for a locked account
+ * @param {import('express').Response} res
+ * @param {string} lockedUntil
+ */
+function lockedResponse(res, lockedUntil) {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+  return res.status(423).json({
+    error: { message: `Account locked after too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` }
+  });
+}
+
+/**
+ * Count a failed password or code and respond 423 when that locks the
+ * account, otherwise 401
+ * @param {import('express').Response} res
+ * @param {string} userId
+ * @param {string} message
+ */
+async function failedLoginResponse(res, userId, message) {
+  const { data: lockedUntil, error } = await supabase.rpc('record_failed_login', {
+    p_user_id: userId,
+    p_max_attempts: MAX_FAILED_LOGINS,
+    p_lockout_minutes: LOCKOUT_MINUTES
+  });
+
+  if (error) throw error;
+
+  if (lockedUntil && new Date(lockedUntil) > new Date()) {
+    return lockedResponse(res, lockedUntil);
+  }
+  return res.status(401).json({ error: { message } });
+}
+
+/**
+ * Clear the failed login count after a successful step
+ * @param {{ id: string, failed_login_attempts: number, locked_until: string|null }} user
+ */
+async function resetFailedLogins(user) {
+  if (user.failed_login_attempts > 0 || user.locked_until) {
+    const { error } = await supabase
+      .from('users')
+      .update({ failed_login_attempts: 0, locked_until: null })
+      .eq('id', user.id);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Start a session and build the login response
+ * @param {object} user - users row
+ * @param {import('express').Request} req
+ */
+async function signIn(user, req) {
+  const { token, refreshToken } = await createSession(user, req);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      assignedSiteId: user.assigned_site_id,
+      permissions: await getRolePermissions(user.role)
+    }
+  };
+}
+
+const LOGIN_USER_SELECT = 'id, email, first_name, last_name, role, assigned_site_id, is_active, failed_login_attempts, locked_until, mfa_enabled';
+
+/**
+ * Second-step routes accept the short-lived token from /login in
+ * body.mfaToken instead of a session, so a user whose role requires 2FA
+ * can enrol before their first session starts
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function authenticateOrMfaToken(req, res, next) {
+  if (!req.body?.mfaToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const userId = verifyMfaToken(req.body.mfaToken);
+    if (!userId) {
+      return res.status(401).json({ error: { message: 'Sign-in expired, please sign in again' } });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(LOGIN_USER_SELECT)
+      .eq('id', userId)
+      .single();
+
+    if (error) throw error;
+
+    if (!user.is_active) {
+      return res.status(401).json({ error: { message: 'Account is deactivated' } });
+    }
+
+    req.user = user;
+    req.mfaPending = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * POST /api/auth/login
- * Login user and return JWT token
+ * Login user and start a session. Returns a short-lived access token and
+ * a refresh token, or { mfaRequired, mfaEnrolled, mfaToken } when a
+ * second factor (or enrolment in one) is needed first.
  */
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
@@ -25,7 +170,7 @@ router.post('/login', [
 
     const { data: users, error } = await supabase
       .from('users')
-      .select('id, email, password_hash, first_name, last_name, role, assigned_site_id, is_active')
+      .select(`${LOGIN_USER_SELECT}, password_hash, password_reset_required`)
       .eq('email', email);
 
     if (error) throw error;
@@ -40,27 +185,105 @@ router.post('/login', [
       return res.status(401).json({ error: { message: 'Account is deactivated' } });
     }
 
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      return lockedResponse(res, user.locked_until);
+    }
+
+    // Invited users have no password until they accept
+    const validPassword = Boolean(user.password_hash) && await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
-      return res.status(401).json({ error: { message: 'Invalid credentials' } });
+      return failedLoginResponse(res, user.id, 'Invalid credentials');
     }
 
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (user.password_reset_required) {
+      return res.status(403).json({
+        error: { message: 'Your password must be reset. Use the link emailed to you, or request a new one.' }
+      });
+    }
+
+    // The failed count stays until the second factor passes too, so the
+    // password alone cannot clear a lockout building up at /mfa/verify
+    if (user.mfa_enabled || await isMfaRequired(user.role)) {
+      return res.json({
+        mfaRequired: true,
+        mfaEnrolled: user.mfa_enabled,
+        mfaToken: issueMfaToken(user.id)
+      });
+    }
+
+    await resetFailedLogins(user);
+
+    res.json(await signIn(user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/verify
+ * Second login step: a code from the authenticator app or a recovery code
+ */
+router.post('/mfa/verify', [
+  body('mfaToken').isString().notEmpty(),
+  body('code').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = verifyMfaToken(req.body.mfaToken);
+    if (!userId) {
+      return res.status(401).json({ error: { message: 'Sign-in expired, please sign in again' } });
+    }
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(LOGIN_USER_SELECT)
+      .eq('id', userId)
+      .single();
+
+    if (error) throw error;
+
+    if (!user.is_active) {
+      return res.status(401).json({ error: { message: 'Account is deactivated' } });
+    }
+
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      return lockedResponse(res, user.locked_until);
+    }
+
+    if (!await verifyMfaCode(user.id, req.body.code)) {
+      return failedLoginResponse(res, user.id, 'Invalid code');
+    }
+
+    await resetFailedLogins(user);
+
+    res.json(await signIn(user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/mfa
+ * Two-factor status of the current user
+ */
+router.get('/mfa', authenticate, async (req, res, next) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('mfa_enabled')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) throw error;
 
     res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        assignedSiteId: user.assigned_site_id
-      }
+      enabled: user.mfa_enabled,
+      required: await isMfaRequired(req.user.role),
+      recoveryCodesLeft: user.mfa_enabled ? await countRecoveryCodes(req.user.id) : 0
     });
   } catch (error) {
     next(error);
@@ -68,15 +291,82 @@ router.post('/login', [
 });
 
 /**
- * POST /api/auth/register
- * Register a new user (admin only in production)
+ * POST /api/auth/mfa/setup
+ * Start enrolment: a new secret and its QR code for the authenticator app
  */
-router.post('/register', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
-  body('firstName').notEmpty().trim(),
-  body('lastName').notEmpty().trim(),
-  body('role').isIn(['admin', 'dispatcher', 'farm_user', 'depot_user', 'readonly'])
+router.post('/mfa/setup', authenticateOrMfaToken, async (req, res, next) => {
+  try {
+    const enrolment = await startMfaEnrolment(req.user);
+
+    if (!enrolment) {
+      return res.status(409).json({ error: { message: 'Two-factor authentication is already enabled' } });
+    }
+
+    res.json(enrolment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enable
+ * Finish enrolment with a code from the app. Returns one-time recovery
+ * codes, and a session when enrolling during sign-in.
+ */
+router.post('/mfa/enable', authenticateOrMfaToken, [
+  body('code').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await enableMfa(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: { message: 'Invalid code' } });
+    }
+
+    if (req.mfaPending) {
+      await resetFailedLogins(req.user);
+      return res.json({ recoveryCodes, ...await signIn(req.user, req) });
+    }
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace the recovery codes; needs a current code
+ */
+router.post('/mfa/recovery-codes', authenticate, [
+  body('code').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!await verifyMfaCode(req.user.id, req.body.code)) {
+      return res.status(400).json({ error: { message: 'Invalid code' } });
+    }
+
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn 2FA off; needs a current code. Not allowed when the role requires it.
+ */
+router.post('/mfa/disable', authenticate, [
+  body('code').isString().notEmpty()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -84,50 +374,231 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, firstName, lastName, role } = req.body;
+    if (await isMfaRequired(req.user.role)) {
+      return res.status(403).json({ error: { message: 'Two-factor authentication is required for your role' } });
+    }
+
+    if (!await verifyMfaCode(req.user.id, req.body.code)) {
+      return res.status(400).json({ error: { message: 'Invalid code' } });
+    }
+
+    await disableMfa(req.user.id);
 
-    // Check if user already exists
-    const { data: existing } = await supabase
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!session) {
+      return res.status(401).json({ error: { message: 'Session expired' } });
+    }
+
+    const { data: user, error } = await supabase
       .from('users')
-      .select('id')
-      .eq('email', email);
+      .select('id, role, is_active, mfa_enabled')
+      .eq('id', session.userId)
+      .single();
+
+    if (error) throw error;
 
-    if (existing && existing.length > 0) {
-      return res.status(400).json({ error: { message: 'Email already registered' } });
+    if (!user.is_active) {
+      await revokeSession(user.id, session.sessionId, 'deactivated');
+      return res.status(401).json({ error: { message: 'Account is deactivated' } });
+    }
+
+    // The role started requiring 2FA: sign in again to enrol
+    if (!user.mfa_enabled && await isMfaRequired(user.role)) {
+      await revokeSession(user.id, session.sessionId, 'mfa_required');
+      return res.status(401).json({ error: { message: 'Two-factor authentication is now required, please sign in again' } });
+    }
+
+    res.json({
+      token: issueAccessToken(user, session.sessionId),
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session a refresh token belongs to. Works with an expired
+ * access token.
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    if (req.body.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken);
     }
 
-    const passwordHash = await bcrypt.hash(password, 10);
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * The current user's active sessions
+ */
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(s => ({ ...s, is_current: s.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out every other session of the current user
+ */
+router.delete('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'revoked', req.user.sessionId);
 
-    const { data: newUser, error } = await supabase
+    res.json({ revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one session of the current user
+ */
+router.delete('/sessions/:id', authenticate, async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id, 'revoked');
+
+    if (!revoked) {
+      return res.status(404).json({ error: { message: 'Session not found' } });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link. Responds the same whether or not the
+ * email belongs to a user.
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: user, error } = await supabase
       .from('users')
-      .insert({
-        email,
+      .select('id, email, first_name, is_active')
+      .eq('email', req.body.email)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (user?.is_active) {
+      const token = await createPasswordToken(user.id, 'password_reset');
+      await sendPasswordEmail(user, 'password_reset', token);
+    }
+
+    res.json({ message: 'If the address belongs to an account, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/password-token?token=
+ * Check an invitation or reset link before asking for a password
+ */
+router.get('/password-token', async (req, res, next) => {
+  try {
+    const found = req.query.token ? await findPasswordToken(req.query.token) : null;
+
+    if (!found) {
+      return res.status(404).json({ error: { message: 'This link is invalid or has expired' } });
+    }
+
+    res.json({
+      purpose: found.purpose,
+      email: found.user.email,
+      firstName: found.user.first_name,
+      expiresAt: found.expires_at
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a password from an invitation or reset link. Signs out every
+ * session of the user.
+ */
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!await findPasswordToken(req.body.token)) {
+      return res.status(404).json({ error: { message: 'This link is invalid or has expired' } });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 10);
+
+    const consumed = await consumePasswordToken(req.body.token);
+    if (!consumed) {
+      return res.status(404).json({ error: { message: 'This link is invalid or has expired' } });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({
         password_hash: passwordHash,
-        first_name: firstName,
-        last_name: lastName,
-        role
+        password_reset_required: false,
+        failed_login_attempts: 0,
+        locked_until: null,
+        updated_at: new Date().toISOString()
       })
-      .select('id, email, first_name, last_name, role')
-      .single();
+      .eq('id', consumed.user_id);
 
     if (error) throw error;
 
-    const token = jwt.sign(
-      { userId: newUser.id, role: newUser.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    await revokeUserSessions(consumed.user_id, 'password_changed');
 
-    res.status(201).json({
-      token,
-      user: {
-        id: newUser.id,
-        email: newUser.email,
-        firstName: newUser.first_name,
-        lastName: newUser.last_name,
-        role: newUser.role
-      }
-    });
+    res.json({ message: consumed.purpose === 'invite' ? 'Password set, you can now sign in' : 'Password reset, you can now sign in' });
   } catch (error) {
     next(error);
   }
@@ -142,7 +613,7 @@ router.get('/me', authenticate, async (req, res, next) => {
     const { data: user, error } = await supabase
       .from('users')
       .select(`
-        id, email, first_name, last_name, role, phone, assigned_site_id, is_active,
+        id, email, first_name, last_name, role, phone, assigned_site_id, is_active, mfa_enabled,
         sites (id, code, name)
       `)
       .eq('id', req.user.id)
@@ -164,7 +635,9 @@ router.get('/me', authenticate, async (req, res, next) => {
         role: user.role,
         phone: user.phone,
         assignedSiteId: user.assigned_site_id,
-        assignedSite: user.sites
+        assignedSite: user.sites,
+        mfaEnabled: user.mfa_enabled,
+        permissions: req.user.permissions
       }
     });
   } catch (error) {
@@ -174,7 +647,7 @@ router.get('/me', authenticate, async (req, res, next) => {
 
 /**
  * PUT /api/auth/password
- * Change password
+ * Change password. Signs out the user's other sessions.
  */
 router.put('/password', authenticate, [
   body('currentPassword').notEmpty(),
@@ -196,7 +669,7 @@ router.put('/password', authenticate, [
 
     if (fetchError) throw fetchError;
 
-    const validPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    const validPassword = Boolean(user.password_hash) && await bcrypt.compare(currentPassword, user.password_hash);
     if (!validPassword) {
       return res.status(401).json({ error: { message: 'Current password is incorrect' } });
     }
@@ -210,6 +683,8 @@ router.put('/password', authenticate, [
 
     if (updateError) throw updateError;
 
+    await revokeUserSessions(req.user.id, 'password_changed', req.user.sessionId);
+
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
     next(error);
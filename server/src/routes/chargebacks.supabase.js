@@ -0,0 +1,398 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../db/supabase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applySiteScope } from '../middleware/siteScope.js';
+
+const router = express.Router();
+
+const CHARGE_TYPE_LABELS = {
+  missing: 'Missing on load',
+  damaged: 'Damaged on load',
+  stock_take_loss: 'Stock take loss'
+};
+
+/**
+ * Load a statement with its site and priced lines (with running total).
+ * Statements of sites outside the user's scope are not found.
+ */
+async function getStatementWithLines(statementId, user) {
+  const { data: statement, error } = await applySiteScope(
+    supabase
+      .from('charge_back_statements')
+      .select(`
+        *,
+        sites (id, code, name, address, city, contact_name, contact_email),
+        issued_by_user:users!charge_back_statements_issued_by_fkey (first_name, last_name),
+        settled_by_user:users!charge_back_statements_settled_by_fkey (first_name, last_name)
+      `)
+      .eq('id', statementId),
+    user
+  ).single();
+
+  if (error) throw error;
+
+  const { data: lines, error: linesError } = await supabase
+    .from('charge_back_lines')
+    .select('*, packaging_types (code, name)')
+    .eq('statement_id', statementId)
+    .order('line_number');
+
+  if (linesError) throw linesError;
+
+  let runningTotal = 0;
+  const formattedLines = lines.map(l => {
+    runningTotal += Number(l.amount);
+    return {
+      ...l,
+      charge_type_label: CHARGE_TYPE_LABELS[l.charge_type] || l.charge_type,
+      packaging_type_code: l.packaging_types?.code,
+      packaging_type_name: l.packaging_types?.name,
+      running_total: Math.round(runningTotal * 100) / 100,
+      packaging_types: undefined
+    };
+  });
+
+  return { statement, lines: formattedLines };
+}
+
+/**
+ * Escape a value for HTML output
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an amount with two decimals
+ */
+function formatAmount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+/**
+ * Render a statement as CSV
+ */
+function renderCsv(statement, lines) {
+  const headers = ['line', 'date', 'reference', 'charge_type', 'packaging_type', 'quantity', 'unit_cost', 'amount', 'running_total'];
+  const rows = lines.map(l => [
+    l.line_number,
+    l.event_date,
+    l.reference_number,
+    l.charge_type_label,
+    l.packaging_type_code,
+    l.quantity,
+    formatAmount(l.unit_cost),
+    formatAmount(l.amount),
+    formatAmount(l.running_total)
+  ]);
+
+  return [
+    `"Statement","${statement.statement_number}"`,
+    `"Site","${statement.sites?.code} - ${statement.sites?.name}"`,
+    `"Period","${statement.period_start} to ${statement.period_end}"`,
+    `"Status","${statement.status}"`,
+    '',
+    headers.join(','),
+    ...rows.map(row => row.map(v => `"${String(v ?? '').replace(/"/g, '""')}"`).join(',')),
+    '',
+    `"Total",,,,,,,"${formatAmount(statement.total_amount)}"`
+  ].join('\n');
+}
+
+/**
+ * Render a statement as a printable HTML page
+ */
+function renderHtml(statement, lines) {
+  const site = statement.sites || {};
+  const rows = lines.map(l => `
+        <tr>
+          <td>${l.line_number}</td>
+          <td>${escapeHtml(l.event_date)}</td>
+          <td>${escapeHtml(l.reference_number)}</td>
+          <td>${escapeHtml(l.charge_type_label)}</td>
+          <td>${escapeHtml(l.packaging_type_name)}</td>
+          <td class="num">${l.quantity}</td>
+          <td class="num">${formatAmount(l.unit_cost)}</td>
+          <td class="num">${formatAmount(l.amount)}</td>
+          <td class="num">${formatAmount(l.running_total)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(statement.statement_number)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 40px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .meta { color: #6b7280; font-size: 13px; margin-bottom: 24px; }
+    .meta div { margin: 2px 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; }
+    th { background: #f9fafb; }
+    .num { text-align: right; }
+    tfoot td { font-weight: bold; border-top: 2px solid #111827; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body onload="window.print()">
+  <h1>Packaging Charge-Back Statement</h1>
+  <div class="meta">
+    <div><strong>${escapeHtml(statement.statement_number)}</strong> &middot; ${escapeHtml(statement.status.toUpperCase())}</div>
+    <div>${escapeHtml(site.code)} - ${escapeHtml(site.name)}</div>
+    ${site.address ? `<div>${escapeHtml(site.address)}${site.city ? `, ${escapeHtml(site.city)}` : ''}</div>` : ''}
+    <div>Period: ${escapeHtml(statement.period_start)} to ${escapeHtml(statement.period_end)}</div>
+    ${statement.issued_at ? `<div>Issued: ${escapeHtml(statement.issued_at.slice(0, 10))}</div>` : ''}
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Date</th><th>Reference</th><th>Charge</th><th>Packaging</th>
+        <th class="num">Qty</th><th class="num">Unit Cost</th><th class="num">Amount</th><th class="num">Running Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="7">Total</td><td class="num">${formatAmount(statement.total_amount)}</td><td></td></tr>
+    </tfoot>
+  </table>
+  ${statement.notes ? `<p>${escapeHtml(statement.notes)}</p>` : ''}
+</body>
+</html>`;
+}
+
+/**
+ * GET /api/charge-backs
+ * List charge-back statements with filtering
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { siteId, status, limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('charge_back_statements')
+      .select(`
+        *,
+        sites (id, code, name),
+        charge_back_lines (id)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    query = applySiteScope(query, req.user);
+    if (siteId) query = query.eq('site_id', siteId);
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    const statements = data.map(s => ({
+      ...s,
+      site_code: s.sites?.code,
+      site_name: s.sites?.name,
+      line_count: s.charge_back_lines?.length || 0,
+      charge_back_lines: undefined
+    }));
+
+    res.json({
+      statements,
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/charge-backs/:id
+ * Get a statement with its line items and running total
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const { statement, lines } = await getStatementWithLines(req.params.id, req.user);
+
+    res.json({
+      statement: {
+        ...statement,
+        issued_by_name: statement.issued_by_user ? `${statement.issued_by_user.first_name} ${statement.issued_by_user.last_name}` : null,
+        settled_by_name: statement.settled_by_user ? `${statement.settled_by_user.first_name} ${statement.settled_by_user.last_name}` : null
+      },
+      lines
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: { message: 'Statement not found' } });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/charge-backs/:id/export
+ * Export a statement as CSV (default) or printable HTML (?format=html)
+ */
+router.get('/:id/export', authenticate, async (req, res, next) => {
+  try {
+    const { statement, lines } = await getStatementWithLines(req.params.id, req.user);
+
+    if (req.query.format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderHtml(statement, lines));
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${statement.statement_number}.csv"`);
+    res.send(renderCsv(statement, lines));
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ error: { message: 'Statement not found' } });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/charge-backs
+ * Generate a draft statement for a site and period
+ */
+router.post('/', authenticate, requirePermission('reports.finance'), [
+  body('siteId').isUUID(),
+  body('periodStart').isDate(),
+  body('periodEnd').isDate()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { siteId, periodStart, periodEnd, notes } = req.body;
+
+    if (periodEnd < periodStart) {
+      return res.status(400).json({ error: { message: 'Period end must be on or after period start' } });
+    }
+
+    const { data, error } = await supabase.rpc('generate_charge_back_statement', {
+      p_site_id: siteId,
+      p_period_start: periodStart,
+      p_period_end: periodEnd,
+      p_notes: notes || null,
+      p_created_by: req.user?.id || null
+    });
+
+    if (error) {
+      if (error.code === 'P0002') {
+        return res.status(404).json({ error: { message: 'Site not found' } });
+      }
+      if (error.code === '23514') {
+        return res.status(400).json({ error: { message: error.message } });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ statement: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/charge-backs/:id/issue
+ * Issue a draft statement to the site
+ */
+router.post('/:id/issue', authenticate, requirePermission('reports.finance'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('charge_back_statements')
+      .update({
+        status: 'issued',
+        issued_by: req.user?.id || null,
+        issued_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('status', 'draft')
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(400).json({ error: { message: 'Only draft statements can be issued' } });
+      }
+      throw error;
+    }
+
+    res.json({ statement: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/charge-backs/:id/settle
+ * Mark an issued statement as settled
+ */
+router.post('/:id/settle', authenticate, requirePermission('reports.settle'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('charge_back_statements')
+      .update({
+        status: 'settled',
+        settled_by: req.user?.id || null,
+        settled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('status', 'issued')
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(400).json({ error: { message: 'Only issued statements can be settled' } });
+      }
+      throw error;
+    }
+
+    res.json({ statement: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/charge-backs/:id
+ * Delete a draft statement; its losses become chargeable again
+ */
+router.delete('/:id', authenticate, requirePermission('reports.finance'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('charge_back_statements')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('status', 'draft')
+      .select();
+
+    if (error) throw error;
+
+    if (data.length === 0) {
+      return res.status(400).json({ error: { message: 'Only draft statements can be deleted' } });
+    }
+
+    res.json({ message: 'Statement deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
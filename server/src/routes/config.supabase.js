@@ -2,7 +2,11 @@ import bcrypt from 'bcryptjs';
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { supabase } from '../db/supabase.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { disableMfa } from '../services/mfa.js';
+import { createPasswordToken, passwordLink, sendPasswordEmail } from '../services/passwordTokens.js';
+import { PERMISSIONS, ROLES, getRolePermissions, setRolePermissions } from '../services/permissions.js';
+import { listUserSessions, revokeUserSessions } from '../services/sessions.js';
 
 const router = express.Router();
 
@@ -14,23 +18,26 @@ const router = express.Router();
  * GET /api/config/users
  * Get all users (admin only)
  */
-router.get('/users', authenticate, authorize('admin'), async (req, res, next) => {
+router.get('/users', authenticate, requirePermission('users.manage'), async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('users')
       .select(`
         id, email, first_name, last_name, role, phone,
-        assigned_site_id, is_active, created_at, updated_at,
+        assigned_site_id, is_active, locked_until, password_reset_required,
+        mfa_enabled, password_hash, created_at, updated_at,
         sites (name)
       `)
+      .eq('is_service_account', false)
       .order('first_name')
       .order('last_name');
 
     if (error) throw error;
 
-    const users = data.map(u => ({
+    const users = data.map(({ password_hash, ...u }) => ({
       ...u,
-      assigned_site_name: u.sites?.name
+      assigned_site_name: u.sites?.name,
+      invite_pending: !password_hash
     }));
 
     res.json({ users });
@@ -39,13 +46,56 @@ router.get('/users', authenticate, authorize('admin'), async (req, res, next) =>
   }
 });
 
+/**
+ * Email a user a link to set their password. When email is not set up
+ * the link is returned so the admin can pass it on.
+ * @param {{ id: string, email: string, first_name: string }} user
+ * @param {'invite'|'password_reset'} purpose
+ * @param {string} adminId
+ */
+async function sendPasswordLink(user, purpose, adminId) {
+  const token = await createPasswordToken(user.id, purpose, adminId);
+  const emailSent = await sendPasswordEmail(user, purpose, token);
+  return emailSent ? { emailSent } : { emailSent, link: passwordLink(token) };
+}
+
+/**
+ * Refuse changes to an admin account by anyone but an admin. users.manage
+ * can be granted to other roles; this guards every route acting on
+ * /users/:id.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function protectAdminUsers(req, res, next) {
+  if (req.user.role === 'admin') return next();
+
+  try {
+    const { data: target, error } = await supabase
+      .from('users')
+      .select('role')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error && error.code !== '22P02') throw error;
+
+    if (target?.role === 'admin') {
+      return res.status(403).json({ error: { message: 'Only admins can change admin users' } });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * POST /api/config/users
- * Create a new user (admin only)
+ * Create a new user (admin only). Without a password the user is
+ * invited to set one.
  */
-router.post('/users', authenticate, authorize('admin'), [
+router.post('/users', authenticate, requirePermission('users.manage'), [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
+  body('password').optional({ values: 'falsy' }).isLength({ min: 6 }),
   body('firstName').notEmpty().trim(),
   body('lastName').notEmpty().trim(),
   body('role').isIn(['admin', 'dispatcher', 'farm_user', 'depot_user', 'readonly'])
@@ -58,6 +108,10 @@ router.post('/users', authenticate, authorize('admin'), [
 
     const { email, password, firstName, lastName, role, phone, assignedSiteId } = req.body;
 
+    if (role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: { message: 'Only admins can create admin users' } });
+    }
+
     // Check if email exists
     const { data: existing } = await supabase
       .from('users')
@@ -69,7 +123,7 @@ router.post('/users', authenticate, authorize('admin'), [
       return res.status(400).json({ error: { message: 'Email already registered' } });
     }
 
-    const passwordHash = await bcrypt.hash(password, 10);
+    const passwordHash = password ? await bcrypt.hash(password, 10) : null;
 
     const { data, error } = await supabase
       .from('users')
@@ -87,6 +141,11 @@ router.post('/users', authenticate, authorize('admin'), [
 
     if (error) throw error;
 
+    if (!password) {
+      const invite = await sendPasswordLink(data, 'invite', req.user.id);
+      return res.status(201).json({ user: data, invite });
+    }
+
     res.status(201).json({ user: data });
   } catch (error) {
     next(error);
@@ -95,12 +154,23 @@ router.post('/users', authenticate, authorize('admin'), [
 
 /**
  * PUT /api/config/users/:id
- * Update a user (admin only)
+ * Update a user (admin only). Deactivating a user or setting their
+ * password signs out all their sessions.
  */
-router.put('/users/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.put('/users/:id', authenticate, requirePermission('users.manage'), protectAdminUsers, async (req, res, next) => {
   try {
     const { email, firstName, lastName, role, phone, assignedSiteId, isActive, password } = req.body;
 
+    // Only admins hand out admin or change their own role
+    if (req.user.role !== 'admin') {
+      if (role === 'admin') {
+        return res.status(403).json({ error: { message: 'Only admins can make users admin' } });
+      }
+      if (role !== undefined && req.params.id === req.user.id) {
+        return res.status(403).json({ error: { message: 'You cannot change your own role' } });
+      }
+    }
+
     const updateData = { updated_at: new Date().toISOString() };
     
     if (email !== undefined) updateData.email = email;
@@ -113,12 +183,14 @@ router.put('/users/:id', authenticate, authorize('admin'), async (req, res, next
     
     if (password) {
       updateData.password_hash = await bcrypt.hash(password, 10);
+      updateData.password_reset_required = false;
     }
 
     const { data, error } = await supabase
       .from('users')
       .update(updateData)
       .eq('id', req.params.id)
+      .eq('is_service_account', false)
       .select('id, email, first_name, last_name, role, phone, assigned_site_id, is_active')
       .single();
 
@@ -129,6 +201,10 @@ router.put('/users/:id', authenticate, authorize('admin'), async (req, res, next
       throw error;
     }
 
+    if (isActive === false || password) {
+      await revokeUserSessions(data.id, isActive === false ? 'deactivated' : 'password_changed');
+    }
+
     res.json({ user: data });
   } catch (error) {
     next(error);
@@ -139,7 +215,7 @@ router.put('/users/:id', authenticate, authorize('admin'), async (req, res, next
  * DELETE /api/config/users/:id
  * Delete a user (soft delete)
  */
-router.delete('/users/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.delete('/users/:id', authenticate, requirePermission('users.manage'), protectAdminUsers, async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('users')
@@ -155,12 +231,160 @@ router.delete('/users/:id', authenticate, authorize('admin'), async (req, res, n
       throw error;
     }
 
+    await revokeUserSessions(data.id, 'deactivated');
+
     res.json({ message: 'User deleted' });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * POST /api/config/users/:id/invite
+ * Send a new invitation to a user who has not set a password yet
+ */
+router.post('/users/:id/invite', authenticate, requirePermission('users.manage'), protectAdminUsers, async (req, res, next) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, first_name, password_hash, is_active')
+      .eq('id', req.params.id)
+      .eq('is_service_account', false)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'User not found' } });
+      }
+      throw error;
+    }
+
+    if (user.password_hash) {
+      return res.status(400).json({ error: { message: 'User has already accepted their invitation' } });
+    }
+    if (!user.is_active) {
+      return res.status(400).json({ error: { message: 'User is inactive' } });
+    }
+
+    res.json({ invite: await sendPasswordLink(user, 'invite', req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/config/users/:id/force-reset
+ * Require a new password: signs the user out everywhere, blocks login
+ * with the old password and sends a reset link
+ */
+router.post('/users/:id/force-reset', authenticate, requirePermission('users.manage'), protectAdminUsers, async (req, res, next) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .update({ password_reset_required: true, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('is_service_account', false)
+      .select('id, email, first_name, is_active')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'User not found' } });
+      }
+      throw error;
+    }
+
+    await revokeUserSessions(user.id, 'password_reset_forced');
+
+    res.json({ reset: await sendPasswordLink(user, 'password_reset', req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/config/users/:id/mfa/reset
+ * Turn off a user's 2FA (lost device and recovery codes) and sign them
+ * out. They enrol again at next sign-in if their role requires it.
+ */
+router.post('/users/:id/mfa/reset', authenticate, requirePermission('users.manage'), protectAdminUsers, async (req, res, next) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'User not found' } });
+      }
+      throw error;
+    }
+
+    await disableMfa(user.id);
+    await revokeUserSessions(user.id, 'mfa_reset');
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/config/users/:id/unlock
+ * Clear a login lockout
+ */
+router.post('/users/:id/unlock', authenticate, requirePermission('users.manage'), protectAdminUsers, async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update({ failed_login_attempts: 0, locked_until: null })
+      .eq('id', req.params.id)
+      .select('id, email, locked_until')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'User not found' } });
+      }
+      throw error;
+    }
+
+    res.json({ user: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/config/users/:id/sessions
+ * A user's active sessions
+ */
+router.get('/users/:id/sessions', authenticate, requirePermission('users.manage'), async (req, res, next) => {
+  try {
+    const sessions = await listUserSessions(req.params.id);
+
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/config/users/:id/sessions
+ * Sign a user out everywhere
+ */
+router.delete('/users/:id/sessions', authenticate, requirePermission('users.manage'), protectAdminUsers, async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.id, 'revoked_by_admin');
+
+    res.json({ revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // =====================================================
 // VEHICLE MANAGEMENT
 // =====================================================
@@ -180,7 +404,7 @@ router.get('/vehicles', authenticate, async (req, res, next) => {
   }
 });
 
-router.post('/vehicles', authenticate, authorize('admin'), [
+router.post('/vehicles', authenticate, requirePermission('fleet.manage'), [
   body('registration').notEmpty().trim(),
   body('name').notEmpty().trim()
 ], async (req, res, next) => {
@@ -217,7 +441,7 @@ router.post('/vehicles', authenticate, authorize('admin'), [
   }
 });
 
-router.put('/vehicles/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.put('/vehicles/:id', authenticate, requirePermission('fleet.manage'), async (req, res, next) => {
   try {
     const { registration, name, vehicleType, capacityKg, notes, isActive } = req.body;
 
@@ -268,7 +492,7 @@ router.get('/drivers', authenticate, async (req, res, next) => {
   }
 });
 
-router.post('/drivers', authenticate, authorize('admin'), [
+router.post('/drivers', authenticate, requirePermission('fleet.manage'), [
   body('firstName').notEmpty().trim()
 ], async (req, res, next) => {
   try {
@@ -299,7 +523,7 @@ router.post('/drivers', authenticate, authorize('admin'), [
   }
 });
 
-router.put('/drivers/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.put('/drivers/:id', authenticate, requirePermission('fleet.manage'), async (req, res, next) => {
   try {
     const { firstName, lastName, phone, licenseNumber, notes, isActive } = req.body;
 
@@ -335,7 +559,7 @@ router.put('/drivers/:id', authenticate, authorize('admin'), async (req, res, ne
  * DELETE /api/config/drivers/:id
  * Delete a driver (soft delete if used in loads)
  */
-router.delete('/drivers/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.delete('/drivers/:id', authenticate, requirePermission('fleet.manage'), async (req, res, next) => {
   try {
     // Check if driver is used in any loads
     const { data: usedInLoads } = await supabase
@@ -386,7 +610,7 @@ router.delete('/drivers/:id', authenticate, authorize('admin'), async (req, res,
  * DELETE /api/config/vehicles/:id
  * Delete a vehicle (soft delete if used in loads)
  */
-router.delete('/vehicles/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.delete('/vehicles/:id', authenticate, requirePermission('fleet.manage'), async (req, res, next) => {
   try {
     // Check if vehicle is used in any loads
     const { data: usedInLoads } = await supabase
@@ -452,7 +676,7 @@ router.get('/channels', authenticate, async (req, res, next) => {
   }
 });
 
-router.post('/channels', authenticate, authorize('admin'), [
+router.post('/channels', authenticate, requirePermission('fleet.manage'), [
   body('code').notEmpty().trim(),
   body('name').notEmpty().trim()
 ], async (req, res, next) => {
@@ -517,6 +741,104 @@ router.get('/products/grades', authenticate, async (req, res, next) => {
   }
 });
 
+// =====================================================
+// ROLE PERMISSIONS
+// =====================================================
+
+/**
+ * GET /api/config/permissions
+ * Permission catalog, the role/permission matrix and per-role settings
+ */
+router.get('/permissions', authenticate, requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const grants = {};
+    for (const role of ROLES) {
+      grants[role] = await getRolePermissions(role);
+    }
+
+    const { data: settings, error } = await supabase
+      .from('role_settings')
+      .select('role, mfa_required');
+
+    if (error) throw error;
+
+    res.json({
+      permissions: Object.entries(PERMISSIONS).map(([key, p]) => ({ key, group: p.group, label: p.label })),
+      roles: ROLES,
+      grants,
+      mfaRequired: Object.fromEntries(ROLES.map(role => [role, Boolean(settings.find(s => s.role === role)?.mfa_required)]))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/config/roles/:role/permissions
+ * Replace the permissions of a role. Admin always holds every permission.
+ */
+router.put('/roles/:role/permissions', authenticate, requirePermission('roles.manage'), [
+  body('permissions').isArray(),
+  body('permissions.*').isIn(Object.keys(PERMISSIONS))
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(404).json({ error: { message: 'Role not found' } });
+    }
+    if (role === 'admin') {
+      return res.status(400).json({ error: { message: 'Admin always holds every permission' } });
+    }
+
+    await setRolePermissions(role, [...new Set(req.body.permissions)]);
+
+    res.json({ role, permissions: await getRolePermissions(role) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/config/roles/:role/settings
+ * Per-role settings: mfaRequired makes 2FA mandatory at sign-in
+ */
+router.put('/roles/:role/settings', authenticate, requirePermission('roles.manage'), [
+  body('mfaRequired').isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!ROLES.includes(req.params.role)) {
+      return res.status(404).json({ error: { message: 'Role not found' } });
+    }
+
+    const { data, error } = await supabase
+      .from('role_settings')
+      .upsert({
+        role: req.params.role,
+        mfa_required: req.body.mfaRequired,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'role' })
+      .select('role, mfa_required')
+      .single();
+
+    if (error) throw error;
+
+    res.json({ role: data.role, mfaRequired: data.mfa_required });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // =====================================================
 // ALL SETTINGS (combined for settings page)
 // =====================================================
@@ -533,7 +855,7 @@ router.get('/all', authenticate, async (req, res, next) => {
       { data: packagingTypes },
       { data: siteTypes }
     ] = await Promise.all([
-      supabase.from('users').select('id, email, first_name, last_name, role, is_active').order('first_name'),
+      supabase.from('users').select('id, email, first_name, last_name, role, is_active').eq('is_service_account', false).order('first_name'),
       supabase.from('vehicles').select('*').order('registration'),
       supabase.from('drivers').select('*').order('first_name'),
       supabase.from('channels').select('*').order('name'),
@@ -0,0 +1,74 @@
+import { timingSafeEqual } from 'node:crypto';
+import express from 'express';
+import { evaluateAlerts } from '../services/alertEngine.js';
+import { generateRecurringSchedules } from '../services/recurringSchedules.js';
+import { processDueDeliveries } from '../services/webhooks.js';
+
+/**
+ * Scheduled jobs for deployments without a long-running server
+ * (Vercel), where the interval schedulers in server.js never start.
+ * Vercel Cron calls these with "Authorization: Bearer <CRON_SECRET>";
+ * the crons are listed in vercel.json.
+ */
+
+const router = express.Router();
+
+/**
+ * Only let through requests that carry CRON_SECRET; with no secret
+ * configured every request is refused
+ */
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.headers.authorization || '');
+
+  if (!secret || given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: { message: 'Invalid cron secret' } });
+  }
+
+  next();
+}
+
+/**
+ * GET /api/cron/webhooks
+ * Retry webhook deliveries whose backoff has elapsed
+ */
+router.get('/webhooks', requireCronSecret, async (req, res, next) => {
+  try {
+    const result = await processDueDeliveries();
+
+    res.json({ result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cron/alerts
+ * Evaluate alert rules
+ */
+router.get('/alerts', requireCronSecret, async (req, res, next) => {
+  try {
+    const results = await evaluateAlerts();
+
+    res.json({ results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cron/recurrence
+ * Generate occurrences of recurring schedules
+ */
+router.get('/recurrence', requireCronSecret, async (req, res, next) => {
+  try {
+    const result = await generateRecurringSchedules();
+
+    res.json({ result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { supabase } from '../db/supabase.js';
 import { authenticate } from '../middleware/auth.js';
+import { applyLoadScope, applySiteScope, requireSiteAccess } from '../middleware/siteScope.js';
 
 const router = express.Router();
 
@@ -11,14 +12,18 @@ const router = express.Router();
 router.get('/summary', authenticate, async (req, res, next) => {
   try {
     // Get all sites with their types
-    const { data: sites, error: sitesError } = await supabase
-      .from('sites')
-      .select(`
-        id, code, name,
-        site_types (name)
-      `)
-      .eq('is_active', true)
-      .order('name');
+    const { data: sites, error: sitesError } = await applySiteScope(
+      supabase
+        .from('sites')
+        .select(`
+          id, code, name,
+          site_types (name)
+        `)
+        .eq('is_active', true)
+        .order('name'),
+      req.user,
+      ['id']
+    );
 
     if (sitesError) throw sitesError;
 
@@ -31,16 +36,22 @@ router.get('/summary', authenticate, async (req, res, next) => {
     if (ptError) throw ptError;
 
     // Get inventory for all sites
-    const { data: inventory, error: invError } = await supabase
-      .from('site_packaging_inventory')
-      .select('site_id, packaging_type_id, quantity, quantity_damaged');
+    const { data: inventory, error: invError } = await applySiteScope(
+      supabase
+        .from('site_packaging_inventory')
+        .select('site_id, packaging_type_id, quantity, quantity_damaged'),
+      req.user
+    );
 
     if (invError) throw invError;
 
     // Get thresholds
-    const { data: thresholds, error: threshError } = await supabase
-      .from('site_packaging_thresholds')
-      .select('site_id, packaging_type_id, min_threshold');
+    const { data: thresholds, error: threshError } = await applySiteScope(
+      supabase
+        .from('site_packaging_thresholds')
+        .select('site_id, packaging_type_id, min_threshold'),
+      req.user
+    );
 
     if (threshError) throw threshError;
 
@@ -77,17 +88,20 @@ router.get('/summary', authenticate, async (req, res, next) => {
     });
 
     // Get loads in transit
-    const { data: loadsInTransit, error: loadError } = await supabase
-      .from('loads')
-      .select(`
-        id,
-        load_packaging (
-          packaging_type_id,
-          quantity_dispatched,
-          packaging_types (id, code, name)
-        )
-      `)
-      .in('status', ['departed', 'in_transit', 'arrived_depot']);
+    const { data: loadsInTransit, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select(`
+          id,
+          load_packaging (
+            packaging_type_id,
+            quantity_dispatched,
+            packaging_types (id, code, name)
+          )
+        `)
+        .in('status', ['departed', 'in_transit', 'arrived_depot']),
+      req.user
+    );
 
     if (loadError) throw loadError;
 
@@ -114,9 +128,12 @@ router.get('/summary', authenticate, async (req, res, next) => {
 
     // Get today's load stats
     const today = new Date().toISOString().split('T')[0];
-    const { data: todayLoads, error: todayError } = await supabase
-      .from('loads')
-      .select('status, dispatch_date, actual_arrival_time');
+    const { data: todayLoads, error: todayError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('status, dispatch_date, actual_arrival_time'),
+      req.user
+    );
 
     if (todayError) throw todayError;
 
@@ -128,20 +145,23 @@ router.get('/summary', authenticate, async (req, res, next) => {
     };
 
     // Get recent discrepancies
-    const { data: discrepancyLoads, error: discError } = await supabase
-      .from('loads')
-      .select(`
-        id, load_number, dispatch_date, discrepancy_notes,
-        origin_site:sites!loads_origin_site_id_fkey (name),
-        destination_site:sites!loads_destination_site_id_fkey (name),
-        load_packaging (
-          quantity_dispatched, quantity_received, quantity_damaged, quantity_missing,
-          packaging_types (name)
-        )
-      `)
-      .eq('has_discrepancy', true)
-      .order('confirmed_receipt_at', { ascending: false })
-      .limit(10);
+    const { data: discrepancyLoads, error: discError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select(`
+          id, load_number, dispatch_date, discrepancy_notes,
+          origin_site:sites!loads_origin_site_id_fkey (name),
+          destination_site:sites!loads_destination_site_id_fkey (name),
+          load_packaging (
+            quantity_dispatched, quantity_received, quantity_damaged, quantity_missing,
+            packaging_types (name)
+          )
+        `)
+        .eq('has_discrepancy', true)
+        .order('confirmed_receipt_at', { ascending: false })
+        .limit(10),
+      req.user
+    );
 
     if (discError) throw discError;
 
@@ -162,17 +182,21 @@ router.get('/summary', authenticate, async (req, res, next) => {
     }));
 
     // Get alerts
-    const { data: alerts, error: alertError } = await supabase
-      .from('alerts')
-      .select(`
-        *,
-        sites (name),
-        loads (load_number),
-        packaging_types (name)
-      `)
-      .eq('is_acknowledged', false)
-      .order('created_at', { ascending: false })
-      .limit(20);
+    const { data: alerts, error: alertError } = await applySiteScope(
+      supabase
+        .from('alerts')
+        .select(`
+          *,
+          sites (name),
+          loads (load_number),
+          packaging_types (name)
+        `)
+        .eq('is_acknowledged', false)
+        .eq('is_resolved', false)
+        .order('created_at', { ascending: false })
+        .limit(20),
+      req.user
+    );
 
     if (alertError) throw alertError;
 
@@ -200,7 +224,7 @@ router.get('/summary', authenticate, async (req, res, next) => {
  * GET /api/dashboard/site/:id
  * Get dashboard data for a specific site
  */
-router.get('/site/:id', authenticate, async (req, res, next) => {
+router.get('/site/:id', authenticate, requireSiteAccess(), async (req, res, next) => {
   try {
     const siteId = req.params.id;
 
@@ -0,0 +1,107 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { IMPORT_ENTITIES, importMasterData, renderImportTemplate } from '../services/masterDataImport.js';
+import { hasPermission } from '../services/permissions.js';
+
+const router = express.Router();
+
+const FILE_VALIDATION = [
+  body('content').isString().notEmpty(),
+  body('format').optional().isIn(['csv', 'xlsx'])
+];
+
+/**
+ * Resolve :entity and require the permission that manages it
+ */
+function entityAccess(req, res, next) {
+  const entity = IMPORT_ENTITIES[req.params.entity];
+  if (!entity) {
+    return res.status(404).json({ error: { message: 'Unknown import type' } });
+  }
+  return requirePermission(entity.permission)(req, res, next);
+}
+
+/**
+ * GET /api/imports
+ * Master data the user may import, with the columns each file can have
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const entities = Object.entries(IMPORT_ENTITIES)
+      .filter(([, entity]) => hasPermission(req.user, entity.permission))
+      .map(([name, entity]) => ({
+        name,
+        label: entity.label,
+        key: entity.key,
+        columns: entity.columns,
+        requiredOnCreate: entity.requiredOnCreate
+      }));
+
+    res.json({ entities });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/imports/:entity/template
+ * Download a CSV template with the headings and an example row
+ */
+router.get('/:entity/template', authenticate, entityAccess, async (req, res, next) => {
+  try {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.entity}-template.csv"`);
+    res.send(renderImportTemplate(req.params.entity));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/imports/:entity/preview
+ * Validate an upload (CSV text, or an .xlsx file as base64 with
+ * format=xlsx) and report what each row would do. Nothing is saved.
+ */
+router.post('/:entity/preview', authenticate, entityAccess, FILE_VALIDATION, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await importMasterData(req.params.entity, req.body, { dryRun: true });
+    if (result.error) {
+      return res.status(400).json({ error: { message: result.error } });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/imports/:entity
+ * Create or update a record per row, keyed on the entity's unique
+ * column. Rows with errors are skipped; the result is reported per row.
+ */
+router.post('/:entity', authenticate, entityAccess, FILE_VALIDATION, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await importMasterData(req.params.entity, req.body, { dryRun: false });
+    if (result.error) {
+      return res.status(400).json({ error: { message: result.error } });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
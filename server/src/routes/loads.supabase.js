@@ -1,7 +1,14 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { supabase } from '../db/supabase.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applyLoadScope, canAccessLoad } from '../middleware/siteScope.js';
+import { triggerAlertEvaluation } from '../services/alertEngine.js';
+import { UNFINISHED_STATUSES, commitLoadImport, previewLoadImport } from '../services/loadImport.js';
+import { LOAD_ACTIONS, allowedLoadActions, checkLoadAction, findTransition } from '../services/loadStateMachine.js';
+import { triggerNotification } from '../services/notifications.js';
+import { hasPermission } from '../services/permissions.js';
+import { triggerWebhookEvent } from '../services/webhooks.js';
 
 const router = express.Router();
 
@@ -73,6 +80,7 @@ router.get('/', authenticate, async (req, res, next) => {
       .order('created_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
+    query = applyLoadScope(query, req.user);
     if (status) query = query.eq('status', status);
     if (originSiteId) query = query.eq('origin_site_id', originSiteId);
     if (destinationSiteId) query = query.eq('destination_site_id', destinationSiteId);
@@ -142,7 +150,7 @@ router.get('/tracking/active', authenticate, async (req, res, next) => {
     const today = new Date().toISOString().split('T')[0];
     const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
     
-    const { data, error } = await supabase
+    const query = supabase
       .from('loads')
       .select(`
         id,
@@ -163,6 +171,8 @@ router.get('/tracking/active', authenticate, async (req, res, next) => {
       .lte('dispatch_date', today)
       .order('dispatch_date', { ascending: false });
 
+    const { data, error } = await applyLoadScope(query, req.user);
+
     if (error) throw error;
 
     const activeLoads = data.map(l => ({
@@ -214,7 +224,7 @@ router.get('/tracking/active', authenticate, async (req, res, next) => {
  */
 router.get('/:id', authenticate, async (req, res, next) => {
   try {
-    const { data: load, error } = await supabase
+    const query = supabase
       .from('loads')
       .select(`
         *,
@@ -229,8 +239,10 @@ router.get('/:id', authenticate, async (req, res, next) => {
         confirmed_dispatch_user:users!loads_confirmed_dispatch_by_fkey (first_name, last_name),
         confirmed_receipt_user:users!loads_confirmed_receipt_by_fkey (first_name, last_name)
       `)
-      .eq('id', req.params.id)
-      .single();
+      .eq('id', req.params.id);
+
+    // Loads outside the user's sites are reported as not found
+    const { data: load, error } = await applyLoadScope(query, req.user).single();
 
     if (error) {
       if (error.code === 'PGRST116') {
@@ -280,7 +292,8 @@ router.get('/:id', authenticate, async (req, res, next) => {
       channel_name: load.channels?.name,
       created_by_name: load.created_by_user ? `${load.created_by_user.first_name} ${load.created_by_user.last_name}` : null,
       confirmed_dispatch_by_name: load.confirmed_dispatch_user ? `${load.confirmed_dispatch_user.first_name} ${load.confirmed_dispatch_user.last_name}` : null,
-      confirmed_receipt_by_name: load.confirmed_receipt_user ? `${load.confirmed_receipt_user.first_name} ${load.confirmed_receipt_user.last_name}` : null
+      confirmed_receipt_by_name: load.confirmed_receipt_user ? `${load.confirmed_receipt_user.first_name} ${load.confirmed_receipt_user.last_name}` : null,
+      allowed_actions: allowedLoadActions(load.status, req.user)
     };
 
     const formattedPackaging = packaging.map(p => ({
@@ -312,7 +325,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
  * POST /api/loads
  * Create a new load
  */
-router.post('/', authenticate, authorize('admin', 'dispatcher', 'farm_user'), [
+router.post('/', authenticate, requirePermission('loads.create'), [
   body('originSiteId').isUUID(),
   body('destinationSiteId').isUUID(),
   body('dispatchDate').isISO8601(),
@@ -333,6 +346,14 @@ router.post('/', authenticate, authorize('admin', 'dispatcher', 'farm_user'), [
       notes, packaging, backloadPackaging
     } = req.body;
 
+    if (!canAccessLoad(req.user, {
+      origin_site_id: originSiteId,
+      destination_site_id: destinationSiteId,
+      backload_site_id: backloadSiteId
+    })) {
+      return res.status(403).json({ error: { message: 'You can only create loads for your own site' } });
+    }
+
     // Get origin site code for load number
     const { data: originSite, error: siteError } = await supabase
       .from('sites')
@@ -411,17 +432,96 @@ router.post('/', authenticate, authorize('admin', 'dispatcher', 'farm_user'), [
       if (backloadError) throw backloadError;
     }
 
+    triggerWebhookEvent('load.created', load.id);
+
     res.status(201).json({ load, loadNumber });
   } catch (error) {
     next(error);
   }
 });
 
+const IMPORT_VALIDATION = [
+  body('content').isString().notEmpty(),
+  body('createMissing').optional().isBoolean(),
+  body('unfinishedStatus').optional().isIn(UNFINISHED_STATUSES),
+  body('packagingTypeIds').optional().isObject(),
+  body('packagingTypeIds.*').optional({ nullable: true }).isUUID()
+];
+
+/**
+ * Options for the load register import; adding vehicles and drivers
+ * needs fleet.manage
+ * @returns {object|null} null when the user may not create missing fleet
+ */
+function importOptions(req) {
+  const { createMissing = false, unfinishedStatus, packagingTypeIds } = req.body;
+  if (createMissing && !hasPermission(req.user, 'fleet.manage')) return null;
+  return { createMissing, unfinishedStatus, packagingTypeIds };
+}
+
+/**
+ * POST /api/loads/import/preview
+ * Parse the old load register (tab-separated as copied from Excel, or
+ * CSV) and report what would be imported, with errors and warnings per
+ * row. Nothing is saved.
+ */
+router.post('/import/preview', authenticate, requirePermission('loads.import'), IMPORT_VALIDATION, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const options = importOptions(req);
+    if (!options) {
+      return res.status(403).json({ error: { message: 'Adding vehicles and drivers needs fleet management permission' } });
+    }
+
+    res.json(await previewLoadImport(req.body.content, req.user, options));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/loads/import
+ * Import the load register as historical loads, adding missing vehicles
+ * and drivers when createMissing is set. Rows with errors and load
+ * numbers that already exist are skipped. Inventory is not posted.
+ * Loads go straight to their recorded status, bypassing the state
+ * machine, hence the separate loads.import permission.
+ */
+router.post('/import', authenticate, requirePermission('loads.import'), IMPORT_VALIDATION, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const options = importOptions(req);
+    if (!options) {
+      return res.status(403).json({ error: { message: 'Adding vehicles and drivers needs fleet management permission' } });
+    }
+
+    const { created, summary } = await commitLoadImport(req.body.content, req.user, options);
+
+    res.status(201).json({
+      created: created.length,
+      skipped: summary.invalid + summary.duplicates,
+      vehiclesAdded: created.length > 0 ? summary.newVehicles.length : 0,
+      driversAdded: created.length > 0 ? summary.newDrivers.length : 0,
+      loads: created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * PUT /api/loads/:id
  * Update a load
  */
-router.put('/:id', authenticate, authorize('admin', 'dispatcher', 'farm_user'), async (req, res, next) => {
+router.put('/:id', authenticate, async (req, res, next) => {
   try {
     const { 
       originSiteId, destinationSiteId, channelId, vehicleId, driverId,
@@ -442,7 +542,6 @@ router.put('/:id', authenticate, authorize('admin', 'dispatcher', 'farm_user'),
     if (scheduledDepartureTime !== undefined) updateData.scheduled_departure_time = scheduledDepartureTime;
     if (estimatedArrivalTime !== undefined) updateData.estimated_arrival_time = estimatedArrivalTime;
     if (notes !== undefined) updateData.notes = notes;
-    if (status !== undefined) updateData.status = status;
     // Farm times
     if (expectedFarmArrivalTime !== undefined) updateData.expected_farm_arrival_time = expectedFarmArrivalTime;
     if (expectedFarmDepartureTime !== undefined) updateData.expected_farm_departure_time = expectedFarmDepartureTime;
@@ -454,16 +553,68 @@ router.put('/:id', authenticate, authorize('admin', 'dispatcher', 'farm_user'),
     if (backloadNotes !== undefined) updateData.backload_notes = backloadNotes;
     if (linkedLoadId !== undefined) updateData.linked_load_id = linkedLoadId || null;
 
+    const { data: existing, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('status, origin_site_id, destination_site_id, backload_site_id')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
+
+    if (loadError) {
+      if (loadError.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Load not found' } });
+      }
+      throw loadError;
+    }
+
+    if (!canAccessLoad(req.user, { ...existing, ...updateData })) {
+      return res.status(403).json({ error: { message: 'A load cannot be moved away from your site' } });
+    }
+
+    // Field edits and a status change are checked separately, so a
+    // depot user can move a load along without being able to edit it
+    const isEdit = Object.keys(updateData).length > 1 || backloadPackaging !== undefined;
+    const actions = isEdit ? ['edit'] : [];
+
+    if (status !== undefined && status !== existing.status) {
+      const transition = findTransition(existing.status, status);
+
+      if (!transition) {
+        return res.status(409).json({
+          error: { message: `A load cannot move from ${existing.status} to ${status}` }
+        });
+      }
+      if (LOAD_ACTIONS[transition].endpointOnly) {
+        return res.status(400).json({
+          error: { message: `${LOAD_ACTIONS[transition].label} must be recorded through its confirmation` }
+        });
+      }
+
+      actions.push(transition);
+      updateData.status = status;
+      if (status === 'arrived_depot') updateData.arrived_depot_time = new Date().toISOString();
+    }
+
+    for (const action of actions) {
+      const denied = checkLoadAction(action, existing.status, req.user);
+      if (denied) {
+        return res.status(denied.status).json({ error: { message: denied.message } });
+      }
+    }
+
+    // Only applies if nobody changed the status in the meantime
     const { data, error } = await supabase
       .from('loads')
       .update(updateData)
       .eq('id', req.params.id)
+      .eq('status', existing.status)
       .select()
       .single();
 
     if (error) {
       if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: { message: 'Load not found' } });
+        return res.status(409).json({ error: { message: 'Load status changed; reload and try again' } });
       }
       throw error;
     }
@@ -504,17 +655,19 @@ router.put('/:id', authenticate, authorize('admin', 'dispatcher', 'farm_user'),
  * POST /api/loads/:id/confirm-dispatch
  * Confirm load dispatch
  */
-router.post('/:id/confirm-dispatch', authenticate, authorize('admin', 'dispatcher', 'farm_user'), async (req, res, next) => {
+router.post('/:id/confirm-dispatch', authenticate, async (req, res, next) => {
   try {
     const { actualDepartureTime } = req.body;
     const departureTime = actualDepartureTime || new Date().toISOString();
 
     // Get load to check scheduled time
-    const { data: load, error: loadError } = await supabase
-      .from('loads')
-      .select('dispatch_date, scheduled_departure_time')
-      .eq('id', req.params.id)
-      .single();
+    const { data: load, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('dispatch_date, scheduled_departure_time, status')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
 
     if (loadError) {
       if (loadError.code === 'PGRST116') {
@@ -523,6 +676,11 @@ router.post('/:id/confirm-dispatch', authenticate, authorize('admin', 'dispatche
       throw loadError;
     }
 
+    const denied = checkLoadAction('dispatch', load.status, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ error: { message: denied.message } });
+    }
+
     // Calculate departure on-time status if scheduled time exists
     let onTimeStatus = null;
     if (load.scheduled_departure_time) {
@@ -535,88 +693,32 @@ router.post('/:id/confirm-dispatch', authenticate, authorize('admin', 'dispatche
       else onTimeStatus = 'on_time';
     }
 
-    const { data, error } = await supabase
-      .from('loads')
-      .update({
-        status: 'departed',
-        actual_departure_time: departureTime,
-        on_time_status: onTimeStatus,
-        confirmed_dispatch_by: req.user?.id || null,
-        confirmed_dispatch_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    // Status change, stock deduction and movement history are posted in
+    // one transaction; a second dispatch of the same load is rejected
+    const { data, error } = await supabase.rpc('post_load_dispatch', {
+      p_load_id: req.params.id,
+      p_actual_departure_time: departureTime,
+      p_on_time_status: onTimeStatus,
+      p_recorded_by: req.user?.id || null
+    });
 
     if (error) {
-      if (error.code === 'PGRST116') {
+      if (error.code === 'P0002') {
         return res.status(404).json({ error: { message: 'Load not found' } });
       }
+      if (error.code === '23505') {
+        return res.status(409).json({ error: { message: 'Load dispatch has already been posted' } });
+      }
+      if (error.code === '55000') {
+        return res.status(409).json({ error: { message: error.message } });
+      }
       throw error;
     }
 
-    // Update inventory - deduct from origin site
-    const { data: packaging } = await supabase
-      .from('load_packaging')
-      .select('packaging_type_id, quantity_dispatched')
-      .eq('load_id', req.params.id);
-
-    if (packaging && packaging.length > 0) {
-      for (const pkg of packaging) {
-        // Upsert inventory (deduct quantity)
-        await supabase.rpc('update_inventory_on_dispatch', {
-          p_load_id: req.params.id,
-          p_site_id: data.origin_site_id,
-          p_packaging_type_id: pkg.packaging_type_id,
-          p_quantity: pkg.quantity_dispatched,
-          p_recorded_by: req.user?.id || null
-        }).catch(async () => {
-          // Fallback if RPC doesn't exist - manual update
-          const { data: existing } = await supabase
-            .from('site_packaging_inventory')
-            .select('*')
-            .eq('site_id', data.origin_site_id)
-            .eq('packaging_type_id', pkg.packaging_type_id)
-            .single();
-
-          if (existing) {
-            await supabase
-              .from('site_packaging_inventory')
-              .update({
-                quantity: existing.quantity - pkg.quantity_dispatched,
-                handling_count: (existing.handling_count || 0) + 1,
-                total_dispatched: (existing.total_dispatched || 0) + pkg.quantity_dispatched,
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', existing.id);
-          } else {
-            await supabase
-              .from('site_packaging_inventory')
-              .insert({
-                site_id: data.origin_site_id,
-                packaging_type_id: pkg.packaging_type_id,
-                quantity: -pkg.quantity_dispatched,
-                handling_count: 1,
-                total_dispatched: pkg.quantity_dispatched
-              });
-          }
-
-          // Record movement
-          await supabase
-            .from('packaging_movements')
-            .insert({
-              movement_type: 'dispatch',
-              load_id: req.params.id,
-              site_id: data.origin_site_id,
-              packaging_type_id: pkg.packaging_type_id,
-              quantity: pkg.quantity_dispatched,
-              direction: 'out',
-              recorded_by: req.user?.id || null
-            });
-        });
-      }
-    }
+    triggerAlertEvaluation(['low_stock', 'late_load']);
+    triggerNotification('load_dispatched', { siteIds: [data.origin_site_id], loadId: data.id });
+    triggerNotification('load_due', { siteIds: [data.destination_site_id], loadId: data.id });
+    triggerWebhookEvent('load.dispatched', data.id);
 
     res.json({ load: data });
   } catch (error) {
@@ -628,16 +730,18 @@ router.post('/:id/confirm-dispatch', authenticate, authorize('admin', 'dispatche
  * POST /api/loads/:id/confirm-receipt
  * Confirm load receipt
  */
-router.post('/:id/confirm-receipt', authenticate, authorize('admin', 'dispatcher', 'depot_user'), async (req, res, next) => {
+router.post('/:id/confirm-receipt', authenticate, async (req, res, next) => {
   try {
     const { packaging, discrepancyNotes, actualArrivalTime } = req.body;
 
     // Get load
-    const { data: load, error: loadError } = await supabase
-      .from('loads')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
+    const { data: load, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('*')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
 
     if (loadError) {
       if (loadError.code === 'PGRST116') {
@@ -646,25 +750,9 @@ router.post('/:id/confirm-receipt', authenticate, authorize('admin', 'dispatcher
       throw loadError;
     }
 
-    // Update packaging items
-    let hasDiscrepancy = false;
-    for (const p of packaging) {
-      const { error: updateError } = await supabase
-        .from('load_packaging')
-        .update({
-          quantity_received: p.quantityReceived,
-          quantity_damaged: p.quantityDamaged || 0,
-          quantity_missing: p.quantityMissing || 0,
-          notes: p.notes,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', p.id);
-
-      if (updateError) throw updateError;
-
-      if (p.quantityDamaged > 0 || p.quantityMissing > 0) {
-        hasDiscrepancy = true;
-      }
+    const denied = checkLoadAction('receive', load.status, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ error: { message: denied.message } });
     }
 
     // Calculate on-time status if we have scheduled and actual times
@@ -680,142 +768,49 @@ router.post('/:id/confirm-receipt', authenticate, authorize('admin', 'dispatcher
       else onTimeStatus = 'on_time';
     }
 
-    // Update load status
-    const { data: updatedLoad, error: updateLoadError } = await supabase
-      .from('loads')
-      .update({
-        status: 'completed',
-        actual_arrival_time: actualArrivalTime || new Date().toISOString(),
-        on_time_status: onTimeStatus,
-        has_discrepancy: hasDiscrepancy,
-        discrepancy_notes: discrepancyNotes,
-        confirmed_receipt_by: req.user?.id || null,
-        confirmed_receipt_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    // Packaging lines, load status, destination and backload stock are
+    // posted in one transaction; a second receipt of the same load is rejected
+    const { data: updatedLoad, error: postError } = await supabase.rpc('post_load_receipt', {
+      p_load_id: req.params.id,
+      p_items: (packaging || []).map(p => ({
+        id: p.id,
+        quantity_received: p.quantityReceived,
+        quantity_damaged: p.quantityDamaged || 0,
+        quantity_missing: p.quantityMissing || 0,
+        notes: p.notes || null
+      })),
+      p_discrepancy_notes: discrepancyNotes || null,
+      p_actual_arrival_time: actualArrivalTime || new Date().toISOString(),
+      p_on_time_status: onTimeStatus,
+      p_recorded_by: req.user?.id || null
+    });
 
-    if (updateLoadError) throw updateLoadError;
-
-    // Update inventory - add to destination site
-    for (const p of packaging) {
-      const quantityToAdd = p.quantityReceived || 0;
-      if (quantityToAdd > 0) {
-        // Get packaging type id from load_packaging
-        const { data: pkgData } = await supabase
-          .from('load_packaging')
-          .select('packaging_type_id')
-          .eq('id', p.id)
-          .single();
-
-        if (pkgData) {
-          const { data: existing } = await supabase
-            .from('site_packaging_inventory')
-            .select('*')
-            .eq('site_id', load.destination_site_id)
-            .eq('packaging_type_id', pkgData.packaging_type_id)
-            .single();
-
-          if (existing) {
-            await supabase
-              .from('site_packaging_inventory')
-              .update({
-                quantity: existing.quantity + quantityToAdd,
-                quantity_damaged: (existing.quantity_damaged || 0) + (p.quantityDamaged || 0),
-                handling_count: (existing.handling_count || 0) + 1,
-                total_received: (existing.total_received || 0) + quantityToAdd,
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', existing.id);
-          } else {
-            await supabase
-              .from('site_packaging_inventory')
-              .insert({
-                site_id: load.destination_site_id,
-                packaging_type_id: pkgData.packaging_type_id,
-                quantity: quantityToAdd,
-                quantity_damaged: p.quantityDamaged || 0,
-                handling_count: 1,
-                total_received: quantityToAdd
-              });
-          }
-
-          // Record movement
-          await supabase
-            .from('packaging_movements')
-            .insert({
-              movement_type: 'receipt',
-              load_id: req.params.id,
-              site_id: load.destination_site_id,
-              packaging_type_id: pkgData.packaging_type_id,
-              quantity: quantityToAdd,
-              quantity_damaged: p.quantityDamaged || 0,
-              direction: 'in',
-              recorded_by: req.user?.id || null
-            });
-        }
+    if (postError) {
+      if (postError.code === 'P0002') {
+        return res.status(404).json({ error: { message: 'Load not found' } });
+      }
+      if (postError.code === '23505') {
+        return res.status(409).json({ error: { message: 'Load receipt has already been posted' } });
       }
+      if (postError.code === '23503') {
+        return res.status(400).json({ error: { message: postError.message } });
+      }
+      if (postError.code === '55000') {
+        return res.status(409).json({ error: { message: postError.message } });
+      }
+      throw postError;
     }
 
-    // Handle backload packaging returns if applicable
-    if (load.backload_site_id) {
-      const { data: backloadPkg } = await supabase
-        .from('backload_packaging')
-        .select('packaging_type_id, quantity_returned')
-        .eq('load_id', req.params.id);
-
-      if (backloadPkg && backloadPkg.length > 0) {
-        for (const bp of backloadPkg) {
-          if (bp.quantity_returned > 0) {
-            const { data: existing } = await supabase
-              .from('site_packaging_inventory')
-              .select('*')
-              .eq('site_id', load.backload_site_id)
-              .eq('packaging_type_id', bp.packaging_type_id)
-              .single();
-
-            if (existing) {
-              await supabase
-                .from('site_packaging_inventory')
-                .update({
-                  quantity: existing.quantity + bp.quantity_returned,
-                  handling_count: (existing.handling_count || 0) + 1,
-                  total_returned: (existing.total_returned || 0) + bp.quantity_returned,
-                  updated_at: new Date().toISOString()
-                })
-                .eq('id', existing.id);
-            } else {
-              await supabase
-                .from('site_packaging_inventory')
-                .insert({
-                  site_id: load.backload_site_id,
-                  packaging_type_id: bp.packaging_type_id,
-                  quantity: bp.quantity_returned,
-                  handling_count: 1,
-                  total_returned: bp.quantity_returned
-                });
-            }
-
-            // Record movement
-            await supabase
-              .from('packaging_movements')
-              .insert({
-                movement_type: 'backload_return',
-                load_id: req.params.id,
-                site_id: load.backload_site_id,
-                packaging_type_id: bp.packaging_type_id,
-                quantity: bp.quantity_returned,
-                direction: 'in',
-                recorded_by: req.user?.id || null
-              });
-          }
-        }
-      }
+    triggerAlertEvaluation(['receipt_discrepancy', 'low_stock', 'late_load']);
+    triggerWebhookEvent('load.received', updatedLoad.id);
+    if (updatedLoad.has_discrepancy) {
+      triggerNotification('discrepancy_recorded', {
+        siteIds: [updatedLoad.origin_site_id, updatedLoad.destination_site_id],
+        loadId: updatedLoad.id
+      });
     }
 
-    res.json({ load: updatedLoad, hasDiscrepancy });
+    res.json({ load: updatedLoad, hasDiscrepancy: updatedLoad.has_discrepancy });
   } catch (error) {
     next(error);
   }
@@ -825,16 +820,18 @@ router.post('/:id/confirm-receipt', authenticate, authorize('admin', 'dispatcher
  * POST /api/loads/:id/duplicate
  * Duplicate a load
  */
-router.post('/:id/duplicate', authenticate, authorize('admin', 'dispatcher', 'farm_user'), async (req, res, next) => {
+router.post('/:id/duplicate', authenticate, requirePermission('loads.create'), async (req, res, next) => {
   try {
     const { dispatchDate } = req.body;
 
     // Get original load
-    const { data: original, error: origError } = await supabase
-      .from('loads')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
+    const { data: original, error: origError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('*')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
 
     if (origError) {
       if (origError.code === 'PGRST116') {
@@ -899,6 +896,8 @@ router.post('/:id/duplicate', authenticate, authorize('admin', 'dispatcher', 'fa
 
     if (insertPackError) throw insertPackError;
 
+    triggerWebhookEvent('load.created', newLoad.id);
+
     res.status(201).json({ load: newLoad });
   } catch (error) {
     next(error);
@@ -910,17 +909,19 @@ router.post('/:id/duplicate', authenticate, authorize('admin', 'dispatcher', 'fa
  * Confirm farm arrival time for overtime tracking
  * Expected arrival time for BV and CBC farms is 14:00
  */
-router.post('/:id/confirm-farm-arrival', authenticate, authorize('admin', 'dispatcher', 'farm_user'), async (req, res, next) => {
+router.post('/:id/confirm-farm-arrival', authenticate, async (req, res, next) => {
   try {
     const { actualFarmArrivalTime } = req.body;
     const arrivalTime = actualFarmArrivalTime || new Date().toISOString();
 
     // Get load to check expected arrival time
-    const { data: load, error: loadError } = await supabase
-      .from('loads')
-      .select('dispatch_date, expected_farm_arrival_time, status')
-      .eq('id', req.params.id)
-      .single();
+    const { data: load, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('dispatch_date, expected_farm_arrival_time, status')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
 
     if (loadError) {
       if (loadError.code === 'PGRST116') {
@@ -929,6 +930,11 @@ router.post('/:id/confirm-farm-arrival', authenticate, authorize('admin', 'dispa
       throw loadError;
     }
 
+    const denied = checkLoadAction('record_farm_arrival', load.status, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ error: { message: denied.message } });
+    }
+
     // Calculate overtime (if actual time exceeds expected 14:00)
     let overtimeMinutes = 0;
     const expectedTime = load.expected_farm_arrival_time || '14:00:00';
@@ -962,6 +968,9 @@ router.post('/:id/confirm-farm-arrival', authenticate, authorize('admin', 'dispa
       throw error;
     }
 
+    triggerAlertEvaluation(['farm_overtime']);
+    triggerWebhookEvent('load.farm_arrived', data.id);
+
     res.json({ 
       load: data, 
       overtimeMinutes,
@@ -977,17 +986,19 @@ router.post('/:id/confirm-farm-arrival', authenticate, authorize('admin', 'dispa
  * Confirm farm departure time for overtime tracking
  * Expected departure time for BV and CBC farms is 17:00
  */
-router.post('/:id/confirm-farm-departure', authenticate, authorize('admin', 'dispatcher', 'farm_user'), async (req, res, next) => {
+router.post('/:id/confirm-farm-departure', authenticate, async (req, res, next) => {
   try {
     const { actualFarmDepartureTime } = req.body;
     const departureTime = actualFarmDepartureTime || new Date().toISOString();
 
     // Get load to check expected departure time
-    const { data: load, error: loadError } = await supabase
-      .from('loads')
-      .select('dispatch_date, expected_farm_departure_time, farm_arrival_overtime_minutes, status')
-      .eq('id', req.params.id)
-      .single();
+    const { data: load, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('dispatch_date, expected_farm_departure_time, farm_arrival_overtime_minutes, status')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
 
     if (loadError) {
       if (loadError.code === 'PGRST116') {
@@ -996,6 +1007,11 @@ router.post('/:id/confirm-farm-departure', authenticate, authorize('admin', 'dis
       throw loadError;
     }
 
+    const denied = checkLoadAction('record_farm_departure', load.status, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ error: { message: denied.message } });
+    }
+
     // Calculate overtime (if actual time exceeds expected 17:00)
     let overtimeMinutes = 0;
     const expectedTime = load.expected_farm_departure_time || '17:00:00';
@@ -1032,6 +1048,9 @@ router.post('/:id/confirm-farm-departure', authenticate, authorize('admin', 'dis
       throw error;
     }
 
+    triggerAlertEvaluation(['farm_overtime']);
+    triggerWebhookEvent('load.farm_departed', data.id);
+
     res.json({ 
       load: data, 
       overtimeMinutes,
@@ -1046,14 +1065,16 @@ router.post('/:id/confirm-farm-departure', authenticate, authorize('admin', 'dis
  * DELETE /api/loads/:id
  * Delete a load (only if scheduled)
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.delete('/:id', authenticate, async (req, res, next) => {
   try {
     // Check if load exists and is scheduled
-    const { data: load, error: loadError } = await supabase
-      .from('loads')
-      .select('status')
-      .eq('id', req.params.id)
-      .single();
+    const { data: load, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select('status')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
 
     if (loadError) {
       if (loadError.code === 'PGRST116') {
@@ -1062,8 +1083,9 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res, next) =
       throw loadError;
     }
 
-    if (load.status !== 'scheduled') {
-      return res.status(400).json({ error: { message: 'Can only delete scheduled loads' } });
+    const denied = checkLoadAction('delete', load.status, req.user);
+    if (denied) {
+      return res.status(denied.status).json({ error: { message: denied.message } });
     }
 
     // Delete packaging first
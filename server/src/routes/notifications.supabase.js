@@ -0,0 +1,339 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../db/supabase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { getSiteScope } from '../middleware/siteScope.js';
+import { NOTIFICATION_EVENTS, sendTestNotification } from '../services/notifications.js';
+import { hasPermission } from '../services/permissions.js';
+
+const router = express.Router();
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'webhook'];
+const RECIPIENT_TYPES = ['user', 'site_contact', 'load_driver', 'custom'];
+
+const SUBSCRIPTION_SELECT = `
+  *,
+  sites (code, name),
+  subscriber:users!notification_subscriptions_user_id_fkey (first_name, last_name, email, phone)
+`;
+
+/**
+ * Flatten joined subscription relations for the client
+ */
+function formatSubscription(s) {
+  return {
+    ...s,
+    site_code: s.sites?.code,
+    site_name: s.sites?.name,
+    user_name: s.subscriber ? `${s.subscriber.first_name} ${s.subscriber.last_name}` : null,
+    user_email: s.subscriber?.email,
+    user_phone: s.subscriber?.phone,
+    sites: undefined,
+    subscriber: undefined
+  };
+}
+
+/**
+ * Check that a subscription's recipient can be reached on its channel;
+ * returns an error message or null
+ */
+function validateRecipient({ channel, recipient_type, user_id, destination }) {
+  if (recipient_type === 'user' && !user_id) return 'A user subscription needs a user';
+  if (recipient_type === 'custom' && !destination) return 'A custom subscription needs a destination';
+  if (channel === 'webhook' && !destination) return 'Webhook subscriptions need a destination URL';
+  if (channel === 'webhook' && !/^https?:\/\//i.test(destination)) return 'Webhook destination must be an http(s) URL';
+  if (recipient_type === 'load_driver' && channel === 'email') return 'Drivers can only be reached by SMS or WhatsApp';
+  return null;
+}
+
+/**
+ * Site a subscription is limited to. Farm and depot users only hear about
+ * their own site, so theirs is always set to it.
+ * @param {object} user - req.user
+ * @param {string|null} [siteId]
+ * @returns {{ siteId: string|null } | { error: string }}
+ */
+function subscriptionSite(user, siteId) {
+  const siteIds = getSiteScope(user);
+  if (!siteIds) return { siteId: siteId || null };
+
+  if (siteIds.length === 0 || (siteId && !siteIds.includes(siteId))) {
+    return { error: 'You can only subscribe to events of your own site' };
+  }
+  return { siteId: siteIds[0] };
+}
+
+/**
+ * Load a subscription the current user may manage, or send 404/403;
+ * returns null when the response was sent
+ */
+async function findSubscription(req, res) {
+  const { data, error } = await supabase
+    .from('notification_subscriptions')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({ error: { message: 'Subscription not found' } });
+      return null;
+    }
+    throw error;
+  }
+
+  if (!hasPermission(req.user, 'notifications.manage') && data.user_id !== req.user.id) {
+    res.status(403).json({ error: { message: 'Insufficient permissions' } });
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * GET /api/notifications/events
+ * Events, channels and recipient types that can be subscribed to
+ */
+router.get('/events', authenticate, (req, res) => {
+  res.json({
+    events: Object.entries(NOTIFICATION_EVENTS).map(([key, event]) => ({ key, label: event.label })),
+    channels: CHANNELS,
+    recipientTypes: hasPermission(req.user, 'notifications.manage') ? RECIPIENT_TYPES : ['user']
+  });
+});
+
+/**
+ * GET /api/notifications/subscriptions
+ * Admins and dispatchers see every subscription (mine=true for their
+ * own); other users see only theirs
+ */
+router.get('/subscriptions', authenticate, async (req, res, next) => {
+  try {
+    const { eventType, siteId, mine } = req.query;
+
+    let query = supabase
+      .from('notification_subscriptions')
+      .select(SUBSCRIPTION_SELECT)
+      .order('event_type')
+      .order('created_at');
+
+    if (!hasPermission(req.user, 'notifications.manage') || mine === 'true') {
+      query = query.eq('user_id', req.user.id);
+    }
+    if (eventType) query = query.eq('event_type', eventType);
+    if (siteId) query = query.eq('site_id', siteId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({ subscriptions: data.map(formatSubscription) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/subscriptions
+ * Subscribe to an event. Users subscribe themselves; admins and
+ * dispatchers can also subscribe other users, site contacts, load
+ * drivers and custom destinations.
+ */
+router.post('/subscriptions', authenticate, [
+  body('eventType').isIn(Object.keys(NOTIFICATION_EVENTS)),
+  body('channel').isIn(CHANNELS),
+  body('recipientType').optional().isIn(RECIPIENT_TYPES),
+  body('userId').optional({ nullable: true }).isUUID(),
+  body('siteId').optional({ nullable: true }).isUUID(),
+  body('destination').optional({ nullable: true }).trim().isLength({ max: 500 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { eventType, channel, recipientType = 'user', userId, siteId, destination } = req.body;
+    const isManager = hasPermission(req.user, 'notifications.manage');
+
+    if (!isManager && (recipientType !== 'user' || (userId && userId !== req.user.id))) {
+      return res.status(403).json({ error: { message: 'You can only subscribe yourself' } });
+    }
+
+    const site = subscriptionSite(req.user, siteId);
+    if (site.error) {
+      return res.status(403).json({ error: { message: site.error } });
+    }
+
+    const subscription = {
+      event_type: eventType,
+      channel,
+      recipient_type: recipientType,
+      user_id: recipientType === 'user' ? userId || req.user.id : null,
+      destination: destination || null,
+      site_id: site.siteId,
+      created_by: req.user?.id || null
+    };
+
+    const recipientError = validateRecipient(subscription);
+    if (recipientError) {
+      return res.status(400).json({ error: { message: recipientError } });
+    }
+
+    const { data, error } = await supabase
+      .from('notification_subscriptions')
+      .insert(subscription)
+      .select(SUBSCRIPTION_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23503') {
+        return res.status(400).json({ error: { message: 'User or site not found' } });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ subscription: formatSubscription(data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/notifications/subscriptions/:id
+ * Update a subscription's channel, destination, site or active flag
+ */
+router.put('/subscriptions/:id', authenticate, [
+  body('channel').optional().isIn(CHANNELS),
+  body('siteId').optional({ nullable: true }).isUUID(),
+  body('destination').optional({ nullable: true }).trim().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await findSubscription(req, res);
+    if (!existing) return;
+
+    const { channel, siteId, destination, isActive } = req.body;
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (channel !== undefined) updateData.channel = channel;
+    if (siteId !== undefined || getSiteScope(req.user)) {
+      const site = subscriptionSite(req.user, siteId === undefined ? existing.site_id : siteId);
+      if (site.error) {
+        return res.status(403).json({ error: { message: site.error } });
+      }
+      updateData.site_id = site.siteId;
+    }
+    if (destination !== undefined) updateData.destination = destination || null;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    const recipientError = validateRecipient({ ...existing, ...updateData });
+    if (recipientError) {
+      return res.status(400).json({ error: { message: recipientError } });
+    }
+
+    const { data, error } = await supabase
+      .from('notification_subscriptions')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .select(SUBSCRIPTION_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    res.json({ subscription: formatSubscription(data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/notifications/subscriptions/:id
+ * Remove a subscription
+ */
+router.delete('/subscriptions/:id', authenticate, async (req, res, next) => {
+  try {
+    const existing = await findSubscription(req, res);
+    if (!existing) return;
+
+    const { error } = await supabase
+      .from('notification_subscriptions')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Subscription deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/notifications/log
+ * Delivery attempts, newest first
+ */
+router.get('/log', authenticate, requirePermission('notifications.manage'), async (req, res, next) => {
+  try {
+    const { status, eventType, channel, loadId, limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('notification_log')
+      .select('*, sites (code, name), loads (load_number)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+    if (channel) query = query.eq('channel', channel);
+    if (loadId) query = query.eq('load_id', loadId);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      log: data.map(entry => ({
+        ...entry,
+        site_name: entry.sites?.name,
+        load_number: entry.loads?.load_number,
+        sites: undefined,
+        loads: undefined
+      })),
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/test
+ * Send a test message through a channel's transport
+ */
+router.post('/test', authenticate, requirePermission('notifications.test'), [
+  body('channel').isIn(CHANNELS),
+  body('destination').notEmpty().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await sendTestNotification(req.body.channel, req.body.destination);
+
+    res.json({ result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,7 +1,10 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { supabase } from '../db/supabase.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applySiteScope, requireSiteAccess } from '../middleware/siteScope.js';
+import { triggerAlertEvaluation } from '../services/alertEngine.js';
+import { rebuildPackagingBalances } from '../services/inventoryLedger.js';
 
 const router = express.Router();
 
@@ -36,9 +39,10 @@ router.get('/types', authenticate, async (req, res, next) => {
  * POST /api/packaging/types
  * Create a new packaging type
  */
-router.post('/types', authenticate, authorize('admin'), [
+router.post('/types', authenticate, requirePermission('packaging.manage'), [
   body('code').notEmpty().trim(),
-  body('name').notEmpty().trim()
+  body('name').notEmpty().trim(),
+  body('replacementCost').optional().isFloat({ min: 0 })
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -46,7 +50,7 @@ router.post('/types', authenticate, authorize('admin'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { code, name, description, capacityKg, capacityLiters, weightEmptyKg, dimensionsCm, expectedTurnaroundDays, isReturnable } = req.body;
+    const { code, name, description, capacityKg, capacityLiters, weightEmptyKg, dimensionsCm, expectedTurnaroundDays, isReturnable, replacementCost } = req.body;
 
     const { data, error } = await supabase
       .from('packaging_types')
@@ -59,7 +63,8 @@ router.post('/types', authenticate, authorize('admin'), [
         weight_empty_kg: weightEmptyKg,
         dimensions_cm: dimensionsCm,
         expected_turnaround_days: expectedTurnaroundDays || 14,
-        is_returnable: isReturnable !== false
+        is_returnable: isReturnable !== false,
+        replacement_cost: replacementCost || 0
       })
       .select()
       .single();
@@ -81,9 +86,16 @@ router.post('/types', authenticate, authorize('admin'), [
  * PUT /api/packaging/types/:id
  * Update a packaging type
  */
-router.put('/types/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.put('/types/:id', authenticate, requirePermission('packaging.manage'), [
+  body('replacementCost').optional().isFloat({ min: 0 })
+], async (req, res, next) => {
   try {
-    const { code, name, description, capacityKg, capacityLiters, weightEmptyKg, dimensionsCm, expectedTurnaroundDays, isReturnable, isActive } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, name, description, capacityKg, capacityLiters, weightEmptyKg, dimensionsCm, expectedTurnaroundDays, isReturnable, isActive, replacementCost } = req.body;
 
     const updateData = { updated_at: new Date().toISOString() };
     if (code !== undefined) updateData.code = code;
@@ -96,6 +108,7 @@ router.put('/types/:id', authenticate, authorize('admin'), async (req, res, next
     if (expectedTurnaroundDays !== undefined) updateData.expected_turnaround_days = expectedTurnaroundDays;
     if (isReturnable !== undefined) updateData.is_returnable = isReturnable;
     if (isActive !== undefined) updateData.is_active = isActive;
+    if (replacementCost !== undefined) updateData.replacement_cost = replacementCost;
 
     const { data, error } = await supabase
       .from('packaging_types')
@@ -121,7 +134,7 @@ router.put('/types/:id', authenticate, authorize('admin'), async (req, res, next
  * DELETE /api/packaging/types/:id
  * Delete a packaging type (soft delete - sets is_active to false)
  */
-router.delete('/types/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.delete('/types/:id', authenticate, requirePermission('packaging.manage'), async (req, res, next) => {
   try {
     const packagingTypeId = req.params.id;
 
@@ -206,6 +219,8 @@ router.get('/inventory', authenticate, async (req, res, next) => {
         packaging_types (id, code, name, is_returnable)
       `);
 
+    query = applySiteScope(query, req.user);
+
     if (siteId) {
       query = query.eq('site_id', siteId);
     }
@@ -235,60 +250,69 @@ router.get('/inventory', authenticate, async (req, res, next) => {
 
 /**
  * PUT /api/packaging/inventory/:siteId/:packagingTypeId
- * Update inventory for a site/packaging combination
+ * Set inventory for a site/packaging combination to a counted figure.
+ * The difference from the current balance is posted as an adjustment movement.
  */
-router.put('/inventory/:siteId/:packagingTypeId', authenticate, authorize('admin', 'dispatcher'), async (req, res, next) => {
+router.put('/inventory/:siteId/:packagingTypeId', authenticate, requirePermission('inventory.adjust'), requireSiteAccess('siteId'), [
+  body('quantity').isInt(),
+  body('quantityDamaged').optional({ nullable: true }).isInt({ min: 0 })
+], async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { siteId, packagingTypeId } = req.params;
     const { quantity, quantityDamaged, notes } = req.body;
 
-    // Check if record exists
-    const { data: existing } = await supabase
-      .from('site_packaging_inventory')
-      .select('id')
-      .eq('site_id', siteId)
-      .eq('packaging_type_id', packagingTypeId)
-      .single();
+    const { data, error } = await supabase.rpc('post_balance_adjustment', {
+      p_site_id: siteId,
+      p_packaging_type_id: packagingTypeId,
+      p_quantity: quantity,
+      p_quantity_damaged: quantityDamaged ?? null,
+      p_notes: notes || null,
+      p_recorded_by: req.user?.id || null
+    });
 
-    let result;
-    if (existing) {
-      // Update
-      const { data, error } = await supabase
-        .from('site_packaging_inventory')
-        .update({
-          quantity,
-          quantity_damaged: quantityDamaged,
-          notes,
-          last_count_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .eq('site_id', siteId)
-        .eq('packaging_type_id', packagingTypeId)
-        .select()
-        .single();
+    if (error) throw error;
 
-      if (error) throw error;
-      result = data;
-    } else {
-      // Insert
-      const { data, error } = await supabase
-        .from('site_packaging_inventory')
-        .insert({
-          site_id: siteId,
-          packaging_type_id: packagingTypeId,
-          quantity,
-          quantity_damaged: quantityDamaged,
-          notes,
-          last_count_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+    triggerAlertEvaluation(['low_stock']);
 
-      if (error) throw error;
-      result = data;
-    }
+    res.json({ inventory: data });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json({ inventory: result });
+/**
+ * GET /api/packaging/inventory/reconciliation
+ * Compare stored balances with the packaging ledger (dry run)
+ */
+router.get('/inventory/reconciliation', authenticate, requirePermission('inventory.adjust'), async (req, res, next) => {
+  try {
+    const differences = await rebuildPackagingBalances({ apply: false });
+
+    res.json({ differences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/packaging/inventory/rebuild
+ * Rebuild stored balances from the packaging ledger
+ */
+router.post('/inventory/rebuild', authenticate, requirePermission('inventory.rebuild'), async (req, res, next) => {
+  try {
+    const differences = await rebuildPackagingBalances({ apply: true });
+
+    res.json({
+      message: differences.length > 0
+        ? `Corrected ${differences.length} balance(s) from the ledger`
+        : 'All balances match the ledger',
+      differences
+    });
   } catch (error) {
     next(error);
   }
@@ -314,6 +338,7 @@ router.get('/movements', authenticate, async (req, res, next) => {
       .order('recorded_at', { ascending: false })
       .limit(parseInt(limit));
 
+    query = applySiteScope(query, req.user);
     if (siteId) query = query.eq('site_id', siteId);
     if (packagingTypeId) query = query.eq('packaging_type_id', packagingTypeId);
     if (startDate) query = query.gte('recorded_at', startDate);
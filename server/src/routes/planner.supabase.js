@@ -1,10 +1,114 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { supabase } from '../db/supabase.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applySiteScope, canAccessSite, getSiteScope } from '../middleware/siteScope.js';
+import {
+  computeMilestones,
+  fillMilestones,
+  loadLeadTimeTemplates,
+  matchLeadTimeTemplate,
+  milestonesError
+} from '../services/leadTimes.js';
+import { MAX_PROJECTION_DAYS, projectPackagingBalances } from '../services/packagingProjection.js';
+import { ACCEPT_MODES, acceptAsBackload, acceptAsSchedule, suggestReplenishment } from '../services/packagingReplenishment.js';
+import { commitPlannerImport, previewPlannerImport } from '../services/plannerImport.js';
+import {
+  EDIT_SCOPES,
+  HOLIDAY_RULES,
+  RECURRENCE_PATTERNS,
+  buildRule,
+  deleteSeries,
+  generateRecurringSchedules,
+  syncSeries,
+  updateSeries
+} from '../services/recurringSchedules.js';
+import {
+  SCHEDULE_PACKAGING_SELECT,
+  copyLines,
+  packagingFromBody,
+  replaceSchedulePackaging
+} from '../services/schedulePackaging.js';
+import { triggerWebhookEvent } from '../services/webhooks.js';
 
 const router = express.Router();
 
+// Schedule columns that tie a schedule to a site
+const SCHEDULE_SITE_COLUMNS = ['origin_site_id', 'destination_site_id'];
+
+// Recurrence rule fields shared by create and update
+const RECURRENCE_VALIDATION = [
+  body('isRecurring').optional().isBoolean(),
+  body('recurrencePattern').optional({ values: 'falsy' }).isIn(RECURRENCE_PATTERNS),
+  body('recurrenceWeekdays').optional({ nullable: true }).isArray(),
+  body('recurrenceWeekdays.*').isInt({ min: 0, max: 6 }).toInt(),
+  body('recurrenceDayOfWeek').optional({ nullable: true }).isInt({ min: 0, max: 6 }).toInt(),
+  body('recurrenceEndDate').optional({ values: 'falsy' }).isISO8601(),
+  body('recurrenceHolidayRule').optional().isIn(HOLIDAY_RULES)
+];
+
+// Packaging lines shared by create and update
+const PACKAGING_VALIDATION = [
+  body('packaging').optional().isArray(),
+  body('packaging.*.packagingTypeId').isUUID(),
+  body('packaging.*.quantity').isInt({ min: 1 }).toInt(),
+  body('packaging.*.productTypeId').optional({ values: 'falsy' }).isUUID(),
+  body('packaging.*.productVarietyId').optional({ values: 'falsy' }).isUUID(),
+  body('packaging.*.productGradeId').optional({ values: 'falsy' }).isUUID()
+];
+
+/**
+ * Recurrence rule from a request body, or null when it sets none
+ * @param {object} reqBody
+ * @param {string} dispatchDate - First occurrence, YYYY-MM-DD
+ */
+function ruleFromBody(reqBody, dispatchDate) {
+  const {
+    recurrencePattern, recurrenceWeekdays, recurrenceDayOfWeek,
+    recurrenceEndDate, recurrenceHolidayRule
+  } = reqBody;
+
+  if (!recurrencePattern) return null;
+
+  return buildRule(dispatchDate, {
+    pattern: recurrencePattern,
+    weekdays: recurrenceWeekdays?.length ? recurrenceWeekdays : [recurrenceDayOfWeek].filter(d => d != null),
+    endDate: recurrenceEndDate,
+    holidayRule: recurrenceHolidayRule
+  });
+}
+
+/**
+ * A schedule is in the user's scope when either of its sites is, as
+ * applySiteScope matches on either column
+ * @param {object} user - req.user
+ * @param {string} originSiteId
+ * @param {string} destinationSiteId
+ */
+function canPlanBetween(user, originSiteId, destinationSiteId) {
+  return canAccessSite(user, originSiteId) || canAccessSite(user, destinationSiteId);
+}
+
+/**
+ * 403 for a schedule outside the user's sites
+ * @param {import('express').Response} res
+ */
+function outOfScopeResponse(res) {
+  return res.status(403).json({ error: { message: 'You can only plan dispatches for your own site' } });
+}
+
+/**
+ * Farms a projection covers: the user's site scope, narrowed to siteId
+ * @param {object} user - req.user
+ * @param {string} [siteId]
+ * @returns {string[] | null} null for every farm
+ */
+function projectionSites(user, siteId) {
+  const siteIds = getSiteScope(user);
+  if (!siteId) return siteIds;
+  return siteIds ? siteIds.filter(id => id === siteId) : [siteId];
+}
+
 /**
  * GET /api/planner/schedules
  * Get dispatch schedules with filtering
@@ -22,11 +126,13 @@ router.get('/schedules', authenticate, async (req, res, next) => {
         channels (id, code, name),
         vehicles (id, registration, name),
         drivers (id, first_name, last_name),
-        loads (id, load_number, status)
+        loads (id, load_number, status),
+        ${SCHEDULE_PACKAGING_SELECT}
       `)
       .order('dispatch_date', { ascending: true })
       .order('dispatch_time', { ascending: true });
 
+    query = applySiteScope(query, req.user, SCHEDULE_SITE_COLUMNS);
     if (startDate) query = query.gte('dispatch_date', startDate);
     if (endDate) query = query.lte('dispatch_date', endDate);
     if (originSiteId) query = query.eq('origin_site_id', originSiteId);
@@ -71,7 +177,7 @@ router.get('/schedules/week', authenticate, async (req, res, next) => {
     const startDate = weekStart || getWeekStart(new Date());
     const endDate = addDays(new Date(startDate), 6).toISOString().split('T')[0];
 
-    const { data, error } = await supabase
+    const query = supabase
       .from('dispatch_schedules')
       .select(`
         *,
@@ -79,13 +185,17 @@ router.get('/schedules/week', authenticate, async (req, res, next) => {
         destination_site:sites!dispatch_schedules_destination_site_id_fkey (id, code, name),
         channels (id, code, name),
         vehicles (id, registration, name),
-        drivers (id, first_name, last_name)
+        drivers (id, first_name, last_name),
+        series:parent_schedule_id (recurrence_pattern, recurrence_weekdays, recurrence_end_date, recurrence_holiday_rule),
+        ${SCHEDULE_PACKAGING_SELECT}
       `)
       .gte('dispatch_date', startDate)
       .lte('dispatch_date', endDate)
       .order('dispatch_date', { ascending: true })
       .order('dispatch_time', { ascending: true });
 
+    const { data, error } = await applySiteScope(query, req.user, SCHEDULE_SITE_COLUMNS);
+
     if (error) throw error;
 
     // Group by day
@@ -129,7 +239,7 @@ router.get('/schedules/week', authenticate, async (req, res, next) => {
  */
 router.get('/schedules/:id', authenticate, async (req, res, next) => {
   try {
-    const { data, error } = await supabase
+    const query = supabase
       .from('dispatch_schedules')
       .select(`
         *,
@@ -138,10 +248,13 @@ router.get('/schedules/:id', authenticate, async (req, res, next) => {
         channels (id, code, name),
         vehicles (id, registration, name),
         drivers (id, first_name, last_name),
-        loads (id, load_number, status)
+        loads (id, load_number, status),
+        series:parent_schedule_id (recurrence_pattern, recurrence_weekdays, recurrence_end_date, recurrence_holiday_rule),
+        ${SCHEDULE_PACKAGING_SELECT}
       `)
-      .eq('id', req.params.id)
-      .single();
+      .eq('id', req.params.id);
+
+    const { data, error } = await applySiteScope(query, req.user, SCHEDULE_SITE_COLUMNS).single();
 
     if (error) {
       if (error.code === 'PGRST116') {
@@ -160,11 +273,13 @@ router.get('/schedules/:id', authenticate, async (req, res, next) => {
  * POST /api/planner/schedules
  * Create a new dispatch schedule
  */
-router.post('/schedules', authenticate, authorize('admin', 'dispatcher'), [
+router.post('/schedules', authenticate, requirePermission('planner.edit'), [
   body('dispatchDate').isISO8601(),
   body('expectedArrivalDate').isISO8601(),
   body('originSiteId').isUUID(),
-  body('destinationSiteId').isUUID()
+  body('destinationSiteId').isUUID(),
+  ...PACKAGING_VALIDATION,
+  ...RECURRENCE_VALIDATION
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -174,51 +289,62 @@ router.post('/schedules', authenticate, authorize('admin', 'dispatcher'), [
 
     const {
       dispatchDate, dispatchTime, expectedArrivalDate, expectedArrivalTime,
-      originSiteId, destinationSiteId, channelId,
-      cratesCount, binsCount, boxesCount, palletsCount,
+      originSiteId, destinationSiteId, channelId, packaging,
       packagingEtaFarm, packagingSuppliedDate, ripeningStartDate,
       salesDespatchDate, packagingCollectionDate, packagingDeliveryFarmDate,
-      vehicleId, driverId, customerName, productType, notes,
-      isRecurring, recurrencePattern, recurrenceDayOfWeek
+      vehicleId, driverId, customerName, productType, notes, isRecurring
     } = req.body;
 
+    if (!canPlanBetween(req.user, originSiteId, destinationSiteId)) {
+      return outOfScopeResponse(res);
+    }
+
+    const rule = isRecurring ? ruleFromBody(req.body, dispatchDate) : null;
+    if (isRecurring && !rule) {
+      return res.status(400).json({ error: { message: 'A recurring schedule needs a recurrence pattern' } });
+    }
+
+    const schedule = {
+      dispatch_date: dispatchDate,
+      dispatch_time: dispatchTime || null,
+      expected_arrival_date: expectedArrivalDate,
+      expected_arrival_time: expectedArrivalTime || null,
+      origin_site_id: originSiteId,
+      destination_site_id: destinationSiteId,
+      channel_id: channelId || null,
+      packaging_eta_farm: packagingEtaFarm || null,
+      packaging_supplied_date: packagingSuppliedDate || null,
+      ripening_start_date: ripeningStartDate || null,
+      sales_despatch_date: salesDespatchDate || null,
+      packaging_collection_date: packagingCollectionDate || null,
+      packaging_delivery_farm_date: packagingDeliveryFarmDate || null,
+      vehicle_id: vehicleId || null,
+      driver_id: driverId || null,
+      customer_name: customerName || null,
+      product_type: productType || null,
+      notes: notes || null,
+      ...(rule || { is_recurring: false }),
+      status: 'planned',
+      created_by: req.user?.id || null
+    };
+
+    // Milestones left blank come from the lead-time template
+    fillMilestones(schedule, await loadLeadTimeTemplates());
+
     const { data, error } = await supabase
       .from('dispatch_schedules')
-      .insert({
-        dispatch_date: dispatchDate,
-        dispatch_time: dispatchTime || null,
-        expected_arrival_date: expectedArrivalDate,
-        expected_arrival_time: expectedArrivalTime || null,
-        origin_site_id: originSiteId,
-        destination_site_id: destinationSiteId,
-        channel_id: channelId || null,
-        crates_count: cratesCount || 0,
-        bins_count: binsCount || 0,
-        boxes_count: boxesCount || 0,
-        pallets_count: palletsCount || 0,
-        packaging_eta_farm: packagingEtaFarm || null,
-        packaging_supplied_date: packagingSuppliedDate || null,
-        ripening_start_date: ripeningStartDate || null,
-        sales_despatch_date: salesDespatchDate || null,
-        packaging_collection_date: packagingCollectionDate || null,
-        packaging_delivery_farm_date: packagingDeliveryFarmDate || null,
-        vehicle_id: vehicleId || null,
-        driver_id: driverId || null,
-        customer_name: customerName || null,
-        product_type: productType || null,
-        notes: notes || null,
-        is_recurring: isRecurring || false,
-        recurrence_pattern: recurrencePattern || null,
-        recurrence_day_of_week: recurrenceDayOfWeek || null,
-        status: 'planned',
-        created_by: req.user?.id || null
-      })
+      .insert(schedule)
       .select()
       .single();
 
     if (error) throw error;
 
-    res.status(201).json({ schedule: data });
+    // Before the series is generated, so every occurrence copies the lines
+    if (packaging?.length) await replaceSchedulePackaging([data.id], packagingFromBody(packaging));
+
+    const generated = rule ? await syncSeries(data) : null;
+
+    res.status(201).json({ schedule: data, generated: generated?.created || 0 });
   } catch (error) {
     next(error);
   }
@@ -226,19 +352,49 @@ router.post('/schedules', authenticate, authorize('admin', 'dispatcher'), [
 
 /**
  * PUT /api/planner/schedules/:id
- * Update a dispatch schedule
+ * Update a dispatch schedule. For an occurrence of a recurring series,
+ * scope picks what changes: this (default), following or all occurrences.
+ * Rule fields apply to following/all edits, or turn a one-off schedule
+ * into a series when isRecurring is set.
  */
-router.put('/schedules/:id', authenticate, authorize('admin', 'dispatcher'), async (req, res, next) => {
+router.put('/schedules/:id', authenticate, requirePermission('planner.edit'), [
+  body('scope').optional().isIn(EDIT_SCOPES),
+  ...PACKAGING_VALIDATION,
+  ...RECURRENCE_VALIDATION
+], async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const currentQuery = supabase
+      .from('dispatch_schedules')
+      .select('*')
+      .eq('id', req.params.id);
+
+    const { data: current, error: currentError } = await applySiteScope(currentQuery, req.user, SCHEDULE_SITE_COLUMNS).single();
+
+    if (currentError) {
+      if (currentError.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Schedule not found' } });
+      }
+      throw currentError;
+    }
+
     const {
       dispatchDate, dispatchTime, expectedArrivalDate, expectedArrivalTime,
-      originSiteId, destinationSiteId, channelId,
-      cratesCount, binsCount, boxesCount, palletsCount,
+      originSiteId, destinationSiteId, channelId, packaging,
       packagingEtaFarm, packagingSuppliedDate, ripeningStartDate,
       salesDespatchDate, packagingCollectionDate, packagingDeliveryFarmDate,
       vehicleId, driverId, customerName, productType, notes, status
     } = req.body;
 
+    // Moving a schedule must keep it on the user's sites
+    if (!canPlanBetween(req.user, originSiteId ?? current.origin_site_id, destinationSiteId ?? current.destination_site_id)) {
+      return outOfScopeResponse(res);
+    }
+
     const updateData = { updated_at: new Date().toISOString() };
     
     if (dispatchDate !== undefined) updateData.dispatch_date = dispatchDate;
@@ -248,10 +404,6 @@ router.put('/schedules/:id', authenticate, authorize('admin', 'dispatcher'), asy
     if (originSiteId !== undefined) updateData.origin_site_id = originSiteId;
     if (destinationSiteId !== undefined) updateData.destination_site_id = destinationSiteId;
     if (channelId !== undefined) updateData.channel_id = channelId;
-    if (cratesCount !== undefined) updateData.crates_count = cratesCount;
-    if (binsCount !== undefined) updateData.bins_count = binsCount;
-    if (boxesCount !== undefined) updateData.boxes_count = boxesCount;
-    if (palletsCount !== undefined) updateData.pallets_count = palletsCount;
     if (packagingEtaFarm !== undefined) updateData.packaging_eta_farm = packagingEtaFarm;
     if (packagingSuppliedDate !== undefined) updateData.packaging_supplied_date = packagingSuppliedDate;
     if (ripeningStartDate !== undefined) updateData.ripening_start_date = ripeningStartDate;
@@ -267,21 +419,31 @@ router.put('/schedules/:id', authenticate, authorize('admin', 'dispatcher'), asy
     
     updateData.updated_by = req.user?.id || null;
 
-    const { data, error } = await supabase
-      .from('dispatch_schedules')
-      .update(updateData)
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    const inSeries = current.is_recurring || current.parent_schedule_id;
+    const scope = req.body.scope || 'this';
 
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: { message: 'Schedule not found' } });
+    if (!inSeries && req.body.isRecurring) {
+      const newRule = ruleFromBody(req.body, updateData.dispatch_date || current.dispatch_date);
+      if (!newRule) {
+        return res.status(400).json({ error: { message: 'A recurring schedule needs a recurrence pattern' } });
       }
-      throw error;
+      Object.assign(updateData, newRule);
     }
 
-    res.json({ schedule: data });
+    const rule = inSeries && scope !== 'this'
+      ? ruleFromBody(req.body, current.occurrence_date || current.dispatch_date)
+      : null;
+    const { schedule, error } = await updateSeries(
+      current, updateData, rule, scope, packaging === undefined ? undefined : packagingFromBody(packaging)
+    );
+
+    if (error) {
+      return res.status(400).json({ error: { message: error } });
+    }
+
+    if (!inSeries && schedule.is_recurring) await syncSeries(schedule);
+
+    res.json({ schedule });
   } catch (error) {
     next(error);
   }
@@ -289,18 +451,34 @@ router.put('/schedules/:id', authenticate, authorize('admin', 'dispatcher'), asy
 
 /**
  * DELETE /api/planner/schedules/:id
- * Delete a dispatch schedule
+ * Delete a dispatch schedule. For an occurrence of a recurring series,
+ * ?scope= picks this (default), following or all occurrences.
  */
-router.delete('/schedules/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.delete('/schedules/:id', authenticate, requirePermission('planner.delete'), async (req, res, next) => {
   try {
-    const { error } = await supabase
+    const { scope = 'this' } = req.query;
+
+    if (!EDIT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: { message: `scope must be one of: ${EDIT_SCOPES.join(', ')}` } });
+    }
+
+    const query = supabase
       .from('dispatch_schedules')
-      .delete()
+      .select('*')
       .eq('id', req.params.id);
 
-    if (error) throw error;
+    const { data: schedule, error } = await applySiteScope(query, req.user, SCHEDULE_SITE_COLUMNS).single();
 
-    res.json({ message: 'Schedule deleted' });
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Schedule not found' } });
+      }
+      throw error;
+    }
+
+    const deleted = await deleteSeries(schedule, scope);
+
+    res.json({ message: deleted === 1 ? 'Schedule deleted' : `${deleted} schedules deleted`, deleted });
   } catch (error) {
     next(error);
   }
@@ -310,14 +488,15 @@ router.delete('/schedules/:id', authenticate, authorize('admin'), async (req, re
  * POST /api/planner/schedules/:id/create-load
  * Convert schedule to actual load
  */
-router.post('/schedules/:id/create-load', authenticate, authorize('admin', 'dispatcher'), async (req, res, next) => {
+router.post('/schedules/:id/create-load', authenticate, requirePermission('planner.edit'), async (req, res, next) => {
   try {
     // Get schedule
-    const { data: schedule, error: scheduleError } = await supabase
+    const query = supabase
       .from('dispatch_schedules')
       .select('*')
-      .eq('id', req.params.id)
-      .single();
+      .eq('id', req.params.id);
+
+    const { data: schedule, error: scheduleError } = await applySiteScope(query, req.user, SCHEDULE_SITE_COLUMNS).single();
 
     if (scheduleError) {
       if (scheduleError.code === 'PGRST116') {
@@ -330,6 +509,19 @@ router.post('/schedules/:id/create-load', authenticate, authorize('admin', 'disp
       return res.status(400).json({ error: { message: 'Load already created for this schedule' } });
     }
 
+    // The load's packaging is copied from the schedule's lines
+    const { data: lines, error: linesError } = await supabase
+      .from('dispatch_schedule_packaging')
+      .select('*')
+      .eq('schedule_id', schedule.id)
+      .order('created_at');
+
+    if (linesError) throw linesError;
+
+    if (lines.length === 0) {
+      return res.status(400).json({ error: { message: 'Add packaging to the schedule before creating its load' } });
+    }
+
     // Get origin site code for load number
     const { data: originSite } = await supabase
       .from('sites')
@@ -382,45 +574,18 @@ router.post('/schedules/:id/create-load', authenticate, authorize('admin', 'disp
 
     if (loadError) throw loadError;
 
-    // Create load packaging items
-    const packagingItems = [];
-    
-    if (schedule.crates_count > 0) {
-      const { data: crateType } = await supabase
-        .from('packaging_types')
-        .select('id')
-        .ilike('code', '%CRATE%')
-        .limit(1)
-        .single();
-      
-      if (crateType) {
-        packagingItems.push({
-          load_id: load.id,
-          packaging_type_id: crateType.id,
-          quantity_dispatched: schedule.crates_count
-        });
-      }
-    }
+    const { error: packError } = await supabase
+      .from('load_packaging')
+      .insert(copyLines(lines).map(({ quantity, ...line }) => ({
+        ...line,
+        load_id: load.id,
+        quantity_dispatched: quantity
+      })));
 
-    if (schedule.bins_count > 0) {
-      const { data: binType } = await supabase
-        .from('packaging_types')
-        .select('id')
-        .ilike('code', '%BIN%')
-        .limit(1)
-        .single();
-      
-      if (binType) {
-        packagingItems.push({
-          load_id: load.id,
-          packaging_type_id: binType.id,
-          quantity_dispatched: schedule.bins_count
-        });
-      }
-    }
-
-    if (packagingItems.length > 0) {
-      await supabase.from('load_packaging').insert(packagingItems);
+    if (packError) {
+      // A load without its packaging would post the wrong stock
+      await supabase.from('loads').delete().eq('id', load.id);
+      throw packError;
     }
 
     // Link schedule to load
@@ -433,12 +598,366 @@ router.post('/schedules/:id/create-load', authenticate, authorize('admin', 'disp
       })
       .eq('id', req.params.id);
 
+    triggerWebhookEvent('load.created', load.id);
+
     res.status(201).json({ load, loadNumber });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * POST /api/planner/import/preview
+ * Parse the weekly packaging demand planner sheet (tab-separated as
+ * copied from Excel, or CSV) and report what would be imported, with
+ * errors and warnings per row. Nothing is saved.
+ */
+router.post('/import/preview', authenticate, requirePermission('planner.edit'), [
+  body('content').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await previewPlannerImport(req.body.content, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/planner/import
+ * Import the planner sheet as planned schedules. Rows with errors and
+ * schedules that already exist are skipped.
+ */
+router.post('/import', authenticate, requirePermission('planner.edit'), [
+  body('content').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { created, summary } = await commitPlannerImport(req.body.content, req.user);
+
+    res.status(201).json({
+      created: created.length,
+      skipped: summary.invalid + summary.duplicates,
+      schedules: created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/planner/recurrences/generate
+ * Generate recurring schedule occurrences now, up to body.horizonDays
+ * ahead (default RECURRENCE_HORIZON_DAYS). The scheduler does the same
+ * on an interval.
+ */
+router.post('/recurrences/generate', authenticate, requirePermission('planner.edit'), [
+  body('horizonDays').optional().isInt({ min: 1, max: 366 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { horizonDays } = req.body;
+
+    res.json(await generateRecurringSchedules(horizonDays ? { horizonDays } : undefined));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/planner/holidays
+ * Get public holidays, optionally within a date range
+ */
+router.get('/holidays', authenticate, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    let query = supabase
+      .from('public_holidays')
+      .select('*')
+      .order('holiday_date', { ascending: true });
+
+    if (startDate) query = query.gte('holiday_date', startDate);
+    if (endDate) query = query.lte('holiday_date', endDate);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ holidays: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/planner/holidays
+ * Add a public holiday. Recurring schedules are regenerated so planned
+ * occurrences on the day are skipped or moved.
+ */
+router.post('/holidays', authenticate, requirePermission('planner.edit'), [
+  body('date').isISO8601(),
+  body('name').notEmpty().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data, error } = await supabase
+      .from('public_holidays')
+      .insert({
+        holiday_date: req.body.date,
+        name: req.body.name,
+        created_by: req.user?.id || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: { message: 'There is already a holiday on that date' } });
+      }
+      throw error;
+    }
+
+    const recurrences = await generateRecurringSchedules();
+
+    res.status(201).json({ holiday: data, recurrences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/planner/holidays/:id
+ * Remove a public holiday and regenerate recurring schedules
+ */
+router.delete('/holidays/:id', authenticate, requirePermission('planner.edit'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('public_holidays')
+      .delete()
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return res.status(404).json({ error: { message: 'Holiday not found' } });
+      }
+      throw error;
+    }
+
+    const recurrences = await generateRecurringSchedules();
+
+    res.json({ message: 'Holiday deleted', holiday: data, recurrences });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Lead-time template fields shared by create and update
+const LEAD_TIME_VALIDATION = [
+  body(['originSiteId', 'destinationSiteId', 'channelId']).optional({ values: 'falsy' }).isUUID(),
+  body('milestones').optional().custom(milestones => {
+    const message = milestonesError(milestones);
+    if (message) throw new Error(message);
+    return true;
+  }),
+  body('isActive').optional().isBoolean()
+];
+
+const LEAD_TIME_SELECT = `
+  *,
+  origin_site:sites!lead_time_templates_origin_site_id_fkey (code, name),
+  destination_site:sites!lead_time_templates_destination_site_id_fkey (code, name),
+  channels (code, name)
+`;
+
+/**
+ * GET /api/planner/lead-times
+ * Get lead-time templates
+ */
+router.get('/lead-times', authenticate, async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_time_templates')
+      .select(LEAD_TIME_SELECT)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ templates: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/planner/lead-times/preview
+ * Milestone dates the matching template gives a schedule's route,
+ * channel, dates and times, for filling in the schedule form
+ */
+router.post('/lead-times/preview', authenticate, [
+  body('dispatchDate').optional({ values: 'falsy' }).isISO8601(),
+  body('expectedArrivalDate').optional({ values: 'falsy' }).isISO8601()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      dispatchDate, dispatchTime, expectedArrivalDate, expectedArrivalTime,
+      originSiteId, destinationSiteId, channelId
+    } = req.body;
+
+    const schedule = {
+      dispatch_date: dispatchDate || null,
+      dispatch_time: dispatchTime || null,
+      expected_arrival_date: expectedArrivalDate || null,
+      expected_arrival_time: expectedArrivalTime || null,
+      origin_site_id: originSiteId || null,
+      destination_site_id: destinationSiteId || null,
+      channel_id: channelId || null
+    };
+    const template = matchLeadTimeTemplate(await loadLeadTimeTemplates(), schedule);
+
+    res.json({
+      template: template && { id: template.id, name: template.name },
+      milestones: template ? computeMilestones(template, schedule) : {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/planner/lead-times
+ * Create a lead-time template
+ */
+router.post('/lead-times', authenticate, requirePermission('planner.edit'), [
+  body('name').notEmpty().trim(),
+  body('milestones').exists(),
+  ...LEAD_TIME_VALIDATION
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, originSiteId, destinationSiteId, channelId, milestones, isActive } = req.body;
+
+    const { data, error } = await supabase
+      .from('lead_time_templates')
+      .insert({
+        name,
+        origin_site_id: originSiteId || null,
+        destination_site_id: destinationSiteId || null,
+        channel_id: channelId || null,
+        milestones,
+        is_active: isActive ?? true,
+        created_by: req.user?.id || null
+      })
+      .select(LEAD_TIME_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: { message: 'A template already covers this route and channel' } });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ template: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/planner/lead-times/:id
+ * Update a lead-time template. Existing schedules keep their dates.
+ */
+router.put('/lead-times/:id', authenticate, requirePermission('planner.edit'), [
+  body('name').optional().notEmpty().trim(),
+  ...LEAD_TIME_VALIDATION
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, originSiteId, destinationSiteId, channelId, milestones, isActive } = req.body;
+
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) updateData.name = name;
+    if (originSiteId !== undefined) updateData.origin_site_id = originSiteId || null;
+    if (destinationSiteId !== undefined) updateData.destination_site_id = destinationSiteId || null;
+    if (channelId !== undefined) updateData.channel_id = channelId || null;
+    if (milestones !== undefined) updateData.milestones = milestones;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    const { data, error } = await supabase
+      .from('lead_time_templates')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .select(LEAD_TIME_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return res.status(404).json({ error: { message: 'Template not found' } });
+      }
+      if (error.code === '23505') {
+        return res.status(409).json({ error: { message: 'A template already covers this route and channel' } });
+      }
+      throw error;
+    }
+
+    res.json({ template: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/planner/lead-times/:id
+ * Delete a lead-time template. Schedules it filled keep their dates.
+ */
+router.delete('/lead-times/:id', authenticate, requirePermission('planner.edit'), async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from('lead_time_templates')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Template deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/planner/packaging-demand
  * Get packaging demand summary for a date range
@@ -451,11 +970,12 @@ router.get('/packaging-demand', authenticate, async (req, res, next) => {
       .from('dispatch_schedules')
       .select(`
         dispatch_date, origin_site_id,
-        crates_count, bins_count, boxes_count, pallets_count,
-        origin_site:sites!dispatch_schedules_origin_site_id_fkey (code, name)
+        origin_site:sites!dispatch_schedules_origin_site_id_fkey (code, name),
+        ${SCHEDULE_PACKAGING_SELECT}
       `)
       .neq('status', 'cancelled');
 
+    query = applySiteScope(query, req.user, SCHEDULE_SITE_COLUMNS);
     if (startDate) query = query.gte('dispatch_date', startDate);
     if (endDate) query = query.lte('dispatch_date', endDate);
     if (originSiteId) query = query.eq('origin_site_id', originSiteId);
@@ -464,7 +984,7 @@ router.get('/packaging-demand', authenticate, async (req, res, next) => {
 
     if (error) throw error;
 
-    // Aggregate by site
+    // Aggregate by site and packaging type
     const demandBySite = {};
     data.forEach(schedule => {
       const siteId = schedule.origin_site_id;
@@ -473,21 +993,121 @@ router.get('/packaging-demand', authenticate, async (req, res, next) => {
           site_id: siteId,
           site_code: schedule.origin_site?.code,
           site_name: schedule.origin_site?.name,
-          total_crates: 0,
-          total_bins: 0,
-          total_boxes: 0,
-          total_pallets: 0,
+          packaging: {},
           dispatch_count: 0
         };
       }
-      demandBySite[siteId].total_crates += schedule.crates_count || 0;
-      demandBySite[siteId].total_bins += schedule.bins_count || 0;
-      demandBySite[siteId].total_boxes += schedule.boxes_count || 0;
-      demandBySite[siteId].total_pallets += schedule.pallets_count || 0;
+      for (const line of schedule.dispatch_schedule_packaging || []) {
+        const totals = demandBySite[siteId].packaging;
+        if (!totals[line.packaging_type_id]) {
+          totals[line.packaging_type_id] = {
+            packaging_type_id: line.packaging_type_id,
+            packaging_code: line.packaging_types?.code,
+            packaging_name: line.packaging_types?.name,
+            quantity: 0
+          };
+        }
+        totals[line.packaging_type_id].quantity += line.quantity;
+      }
       demandBySite[siteId].dispatch_count++;
     });
 
-    res.json({ demand: Object.values(demandBySite) });
+    res.json({
+      demand: Object.values(demandBySite).map(site => ({
+        ...site,
+        packaging: Object.values(site.packaging).sort((a, b) => (a.packaging_code || '').localeCompare(b.packaging_code || ''))
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/planner/packaging-projection
+ * Projected daily packaging balance per farm and packaging type, with the
+ * first day each farm would run short
+ */
+router.get('/packaging-projection', authenticate, async (req, res, next) => {
+  try {
+    const { siteId } = req.query;
+    const days = req.query.days === undefined ? 28 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PROJECTION_DAYS) {
+      return res.status(400).json({
+        error: { message: `days must be a whole number from 1 to ${MAX_PROJECTION_DAYS}` }
+      });
+    }
+
+    const projection = await projectPackagingBalances({ days, siteIds: projectionSites(req.user, siteId) });
+
+    res.json(projection);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/planner/replenishment
+ * Suggested packaging deliveries from depots to farms that would run short
+ */
+router.get('/replenishment', authenticate, async (req, res, next) => {
+  try {
+    const { siteId } = req.query;
+    const days = req.query.days === undefined ? 28 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PROJECTION_DAYS) {
+      return res.status(400).json({
+        error: { message: `days must be a whole number from 1 to ${MAX_PROJECTION_DAYS}` }
+      });
+    }
+
+    const suggestions = await suggestReplenishment({ days, siteIds: projectionSites(req.user, siteId) });
+
+    res.json(suggestions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/planner/replenishment/accept
+ * Accept a replenishment suggestion as a dispatch schedule or as the
+ * backload of an existing load
+ */
+router.post('/replenishment/accept', authenticate, requirePermission('planner.edit'), [
+  body('mode').isIn(ACCEPT_MODES),
+  body('farmSiteId').isUUID(),
+  body('depotSiteId').isUUID(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.packagingTypeId').isUUID(),
+  body('items.*.quantity').isInt({ min: 1 }).toInt(),
+  body('dispatchDate').if(body('mode').equals('schedule')).isISO8601(),
+  body('arrivalDate').if(body('mode').equals('schedule')).isISO8601(),
+  body('vehicleId').optional({ values: 'falsy' }).isUUID(),
+  body('loadId').if(body('mode').equals('backload')).isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!canPlanBetween(req.user, req.body.depotSiteId, req.body.farmSiteId)) {
+      return outOfScopeResponse(res);
+    }
+
+    if (req.body.mode === 'schedule') {
+      const schedule = await acceptAsSchedule(req.body, req.user);
+      return res.status(201).json({ schedule });
+    }
+
+    const result = await acceptAsBackload(req.body, req.user);
+    if (result.error) {
+      return res.status(result.error.status).json({ error: { message: result.error.message } });
+    }
+
+    res.json({ load: result.load });
   } catch (error) {
     next(error);
   }
@@ -1,14 +1,17 @@
 import express from 'express';
 import { supabase } from '../db/supabase.js';
 import { authenticate } from '../middleware/auth.js';
+import { applyLoadScope, applySiteScope, requireSiteAccess } from '../middleware/siteScope.js';
+import { getOutstandingPackaging } from '../services/outstandingPackaging.js';
 
 const router = express.Router();
 
 /**
  * GET /api/reports/farm-statement/:siteId
- * Get farm statement (packaging sent, returned, outstanding)
+ * Get farm statement (packaging sent, returned, outstanding).
+ * Outstanding is the current balance held by the farm, aged by dispatch date.
  */
-router.get('/farm-statement/:siteId', authenticate, async (req, res, next) => {
+router.get('/farm-statement/:siteId', authenticate, requireSiteAccess('siteId'), async (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
     const { siteId } = req.params;
@@ -110,11 +113,13 @@ router.get('/farm-statement/:siteId', authenticate, async (req, res, next) => {
       damaged: i.quantity_damaged || 0
     }));
 
+    const outstanding = await getOutstandingPackaging(siteId);
+
     res.json({
       site,
       sentOut: Array.from(sentMap.values()),
       received: Array.from(receivedMap.values()),
-      outstanding: [], // Complex query - simplified for now
+      outstanding,
       inventory: inventoryList,
       dateRange: { startDate, endDate }
     });
@@ -127,7 +132,7 @@ router.get('/farm-statement/:siteId', authenticate, async (req, res, next) => {
  * GET /api/reports/depot-statement/:siteId
  * Get depot statement
  */
-router.get('/depot-statement/:siteId', authenticate, async (req, res, next) => {
+router.get('/depot-statement/:siteId', authenticate, requireSiteAccess('siteId'), async (req, res, next) => {
   try {
     const { startDate, endDate } = req.query;
     const { siteId } = req.params;
@@ -221,6 +226,8 @@ router.get('/discrepancies', authenticate, async (req, res, next) => {
       .order('confirmed_receipt_at', { ascending: false })
       .limit(parseInt(limit));
 
+    query = applyLoadScope(query, req.user);
+
     if (startDate && endDate) {
       query = query.gte('dispatch_date', startDate).lte('dispatch_date', endDate);
     }
@@ -262,26 +269,32 @@ router.get('/discrepancies', authenticate, async (req, res, next) => {
 router.get('/packaging-summary', authenticate, async (req, res, next) => {
   try {
     // Get all inventory
-    const { data: inventory, error: invError } = await supabase
-      .from('site_packaging_inventory')
-      .select(`
-        quantity, quantity_damaged,
-        sites (id, code, name),
-        packaging_types (id, code, name)
-      `);
+    const { data: inventory, error: invError } = await applySiteScope(
+      supabase
+        .from('site_packaging_inventory')
+        .select(`
+          quantity, quantity_damaged,
+          sites (id, code, name),
+          packaging_types (id, code, name)
+        `),
+      req.user
+    );
 
     if (invError) throw invError;
 
     // Get in-transit
-    const { data: loadsInTransit, error: loadError } = await supabase
-      .from('loads')
-      .select(`
-        load_packaging (
-          quantity_dispatched,
-          packaging_types (id, code, name)
-        )
-      `)
-      .in('status', ['departed', 'in_transit']);
+    const { data: loadsInTransit, error: loadError } = await applyLoadScope(
+      supabase
+        .from('loads')
+        .select(`
+          load_packaging (
+            quantity_dispatched,
+            packaging_types (id, code, name)
+          )
+        `)
+        .in('status', ['departed', 'in_transit']),
+      req.user
+    );
 
     if (loadError) throw loadError;
 
@@ -352,6 +365,7 @@ router.get('/export/:type', authenticate, async (req, res, next) => {
         `)
         .order('dispatch_date', { ascending: false });
 
+      query = applyLoadScope(query, req.user);
       if (startDate) query = query.gte('dispatch_date', startDate);
       if (endDate) query = query.lte('dispatch_date', endDate);
       if (siteId) query = query.or(`origin_site_id.eq.${siteId},destination_site_id.eq.${siteId}`);
@@ -371,13 +385,16 @@ router.get('/export/:type', authenticate, async (req, res, next) => {
       }));
       filename = 'loads_export.csv';
     } else if (type === 'inventory') {
-      const { data: inventory, error } = await supabase
-        .from('site_packaging_inventory')
-        .select(`
-          quantity, quantity_damaged, last_count_at,
-          sites (code, name),
-          packaging_types (code, name)
-        `);
+      const { data: inventory, error } = await applySiteScope(
+        supabase
+          .from('site_packaging_inventory')
+          .select(`
+            quantity, quantity_damaged, last_count_at,
+            sites (code, name),
+            packaging_types (code, name)
+          `),
+        req.user
+      );
 
       if (error) throw error;
 
@@ -0,0 +1,319 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../db/supabase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { createApiKey, revokeApiKey } from '../services/apiKeys.js';
+import { hasPermission, PERMISSIONS, ROLES } from '../services/permissions.js';
+
+const router = express.Router();
+
+// Shown after the name in the audit trail
+const SERVICE_ACCOUNT_LAST_NAME = '(service account)';
+
+const ACCOUNT_SELECT = `
+  id, first_name, role, assigned_site_id, is_active, created_at, updated_at,
+  sites (name),
+  api_keys!api_keys_service_account_id_fkey (
+    id, name, key_prefix, permissions, expires_at, last_used_at, last_used_ip, created_at, revoked_at
+  )
+`;
+
+/**
+ * Flatten joined relations; newest keys first
+ */
+function formatAccount(a) {
+  return {
+    id: a.id,
+    name: a.first_name,
+    role: a.role,
+    assigned_site_id: a.assigned_site_id,
+    assigned_site_name: a.sites?.name,
+    is_active: a.is_active,
+    created_at: a.created_at,
+    updated_at: a.updated_at,
+    api_keys: (a.api_keys || []).sort((x, y) => new Date(y.created_at) - new Date(x.created_at))
+  };
+}
+
+/**
+ * Why a caller may not manage a service account, or null when they may.
+ * api_keys.manage can be granted to other roles; only admins create or
+ * manage admin accounts, as for users (config.supabase.js).
+ * @param {object} caller - req.user
+ * @param {string|undefined} role - Role being set
+ * @param {string} [accountId] - Existing account being changed
+ * @returns {Promise<string|null>}
+ */
+async function adminAccountError(caller, role, accountId) {
+  if (caller.role === 'admin') return null;
+  if (role === 'admin') return 'Only admins can make service accounts admin';
+  if (!accountId) return null;
+
+  const { data: account, error } = await supabase
+    .from('users')
+    .select('role')
+    .eq('id', accountId)
+    .eq('is_service_account', true)
+    .maybeSingle();
+
+  if (error && error.code !== '22P02') throw error;
+  return account?.role === 'admin' ? 'Only admins can change admin service accounts' : null;
+}
+
+/**
+ * Revoke every active key of a service account
+ * @param {string} accountId
+ * @param {string} revokedBy
+ */
+async function revokeAllKeys(accountId, revokedBy) {
+  const { error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy })
+    .eq('service_account_id', accountId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+/**
+ * GET /api/service-accounts
+ * List service accounts with their API keys, and the permissions a key
+ * can be given
+ */
+router.get('/', authenticate, requirePermission('api_keys.manage'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select(ACCOUNT_SELECT)
+      .eq('is_service_account', true)
+      .order('first_name');
+
+    if (error) throw error;
+
+    res.json({
+      serviceAccounts: data.map(formatAccount),
+      permissions: Object.entries(PERMISSIONS).map(([key, p]) => ({ key, group: p.group, label: p.label }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/service-accounts
+ * Create a service account. Its role and site cap what its keys can do.
+ */
+router.post('/', authenticate, requirePermission('api_keys.manage'), [
+  body('name').notEmpty().trim().isLength({ max: 100 }),
+  body('role').isIn(ROLES),
+  body('assignedSiteId').optional({ nullable: true }).isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, role, assignedSiteId } = req.body;
+
+    const forbidden = await adminAccountError(req.user, role);
+    if (forbidden) {
+      return res.status(403).json({ error: { message: forbidden } });
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .insert({
+        email: null,
+        password_hash: null,
+        first_name: name,
+        last_name: SERVICE_ACCOUNT_LAST_NAME,
+        role,
+        assigned_site_id: assignedSiteId || null,
+        is_service_account: true
+      })
+      .select(ACCOUNT_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23503') {
+        return res.status(400).json({ error: { message: 'Site not found' } });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ serviceAccount: formatAccount(data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/service-accounts/:id
+ * Update a service account. Deactivating it stops all its keys working
+ * until it is reactivated.
+ */
+router.put('/:id', authenticate, requirePermission('api_keys.manage'), [
+  body('name').optional().notEmpty().trim().isLength({ max: 100 }),
+  body('role').optional().isIn(ROLES),
+  body('assignedSiteId').optional({ nullable: true }).isUUID(),
+  body('isActive').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, role, assignedSiteId, isActive } = req.body;
+
+    const forbidden = await adminAccountError(req.user, role, req.params.id);
+    if (forbidden) {
+      return res.status(403).json({ error: { message: forbidden } });
+    }
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) updateData.first_name = name;
+    if (role !== undefined) updateData.role = role;
+    if (assignedSiteId !== undefined) updateData.assigned_site_id = assignedSiteId || null;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    const { data, error } = await supabase
+      .from('users')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .eq('is_service_account', true)
+      .select(ACCOUNT_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return res.status(404).json({ error: { message: 'Service account not found' } });
+      }
+      if (error.code === '23503') {
+        return res.status(400).json({ error: { message: 'Site not found' } });
+      }
+      throw error;
+    }
+
+    res.json({ serviceAccount: formatAccount(data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/service-accounts/:id
+ * Delete a service account (soft delete) and revoke its keys. Its
+ * history stays in the audit trail.
+ */
+router.delete('/:id', authenticate, requirePermission('api_keys.manage'), async (req, res, next) => {
+  try {
+    const forbidden = await adminAccountError(req.user, undefined, req.params.id);
+    if (forbidden) {
+      return res.status(403).json({ error: { message: forbidden } });
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('is_service_account', true)
+      .select('id')
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return res.status(404).json({ error: { message: 'Service account not found' } });
+      }
+      throw error;
+    }
+
+    await revokeAllKeys(data.id, req.user.id);
+
+    res.json({ message: 'Service account deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/service-accounts/:id/keys
+ * Issue an API key. The key is returned only here. permissions lists
+ * what the key may do beyond reading; grants the account's role lacks
+ * have no effect, and callers can only grant permissions they hold.
+ */
+router.post('/:id/keys', authenticate, requirePermission('api_keys.manage'), [
+  body('name').notEmpty().trim().isLength({ max: 100 }),
+  body('permissions').optional().isArray(),
+  body('permissions.*').isIn(Object.keys(PERMISSIONS)),
+  body('expiresAt').optional({ nullable: true }).isISO8601()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, permissions = [], expiresAt } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ error: { message: 'Expiry must be in the future' } });
+    }
+
+    const notHeld = permissions.filter(p => !hasPermission(req.user, p));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        error: { message: `You can only grant permissions you hold (not ${[...new Set(notHeld)].join(', ')})` }
+      });
+    }
+
+    const { data: account, error: accountError } = await supabase
+      .from('users')
+      .select('id, role, is_active')
+      .eq('id', req.params.id)
+      .eq('is_service_account', true)
+      .maybeSingle();
+
+    if (accountError && accountError.code !== '22P02') throw accountError;
+    if (!account) {
+      return res.status(404).json({ error: { message: 'Service account not found' } });
+    }
+    if (!account.is_active) {
+      return res.status(409).json({ error: { message: 'Service account is deactivated' } });
+    }
+    if (account.role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({ error: { message: 'Only admins can issue keys for admin service accounts' } });
+    }
+
+    const { apiKey, key } = await createApiKey(account.id, {
+      name,
+      permissions: [...new Set(permissions)],
+      expiresAt: expiresAt || null
+    }, req.user.id);
+
+    res.status(201).json({ apiKey, key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/service-accounts/:id/keys/:keyId
+ * Revoke an API key; requests using it fail from now on
+ */
+router.delete('/:id/keys/:keyId', authenticate, requirePermission('api_keys.manage'), async (req, res, next) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, req.params.keyId, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: { message: 'API key not found' } });
+    }
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,7 +1,10 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { supabase } from '../db/supabase.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { requireSiteAccess } from '../middleware/siteScope.js';
+import { triggerAlertEvaluation } from '../services/alertEngine.js';
+import { recordMovement } from '../services/inventoryLedger.js';
 
 const router = express.Router();
 
@@ -73,7 +76,7 @@ router.get('/types', authenticate, async (req, res, next) => {
  * GET /api/sites/:id
  * Get single site by ID
  */
-router.get('/:id', authenticate, async (req, res, next) => {
+router.get('/:id', authenticate, requireSiteAccess(), async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('sites')
@@ -106,7 +109,7 @@ router.get('/:id', authenticate, async (req, res, next) => {
  * POST /api/sites
  * Create a new site
  */
-router.post('/', authenticate, authorize('admin'), [
+router.post('/', authenticate, requirePermission('sites.manage'), [
   body('code').notEmpty().trim(),
   body('name').notEmpty().trim(),
   body('siteTypeId').isUUID()
@@ -155,7 +158,7 @@ router.post('/', authenticate, authorize('admin'), [
  * PUT /api/sites/:id
  * Update a site
  */
-router.put('/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.put('/:id', authenticate, requirePermission('sites.manage'), async (req, res, next) => {
   try {
     const { code, name, siteTypeId, address, city, region, country, contactName, contactPhone, contactEmail, latitude, longitude, isActive } = req.body;
 
@@ -199,7 +202,7 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res, next) => {
  * DELETE /api/sites/:id
  * Delete a site (soft delete by setting is_active = false)
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res, next) => {
+router.delete('/:id', authenticate, requirePermission('sites.manage'), async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('sites')
@@ -225,7 +228,7 @@ router.delete('/:id', authenticate, authorize('admin'), async (req, res, next) =
  * GET /api/sites/:id/inventory
  * Get packaging inventory for a site
  */
-router.get('/:id/inventory', authenticate, async (req, res, next) => {
+router.get('/:id/inventory', authenticate, requireSiteAccess(), async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('site_packaging_inventory')
@@ -254,7 +257,7 @@ router.get('/:id/inventory', authenticate, async (req, res, next) => {
  * POST /api/sites/:id/inventory/adjust
  * Adjust inventory for a site (manual count, purchase, etc.)
  */
-router.post('/:id/inventory/adjust', authenticate, authorize('admin', 'dispatcher'), [
+router.post('/:id/inventory/adjust', authenticate, requirePermission('inventory.adjust'), requireSiteAccess(), [
   body('packagingTypeId').isUUID(),
   body('quantity').isInt(),
   body('adjustmentType').isIn(['adjustment', 'purchase', 'disposal', 'damage', 'repair', 'loss']),
@@ -268,48 +271,19 @@ router.post('/:id/inventory/adjust', authenticate, authorize('admin', 'dispatche
     const { packagingTypeId, quantity, adjustmentType, notes } = req.body;
     const siteId = req.params.id;
 
-    // Get current inventory
-    const { data: existing } = await supabase
-      .from('site_packaging_inventory')
-      .select('*')
-      .eq('site_id', siteId)
-      .eq('packaging_type_id', packagingTypeId)
-      .single();
+    // The ledger entry is the only write; its trigger updates the balance
+    const movement = await recordMovement({
+      movementType: adjustmentType,
+      siteId,
+      packagingTypeId,
+      quantityChange: quantity,
+      notes,
+      recordedBy: req.user?.id || null
+    });
 
-    if (existing) {
-      await supabase
-        .from('site_packaging_inventory')
-        .update({
-          quantity: existing.quantity + quantity,
-          handling_count: (existing.handling_count || 0) + 1,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', existing.id);
-    } else {
-      await supabase
-        .from('site_packaging_inventory')
-        .insert({
-          site_id: siteId,
-          packaging_type_id: packagingTypeId,
-          quantity: quantity,
-          handling_count: 1
-        });
-    }
+    triggerAlertEvaluation(['low_stock']);
 
-    // Record movement
-    await supabase
-      .from('packaging_movements')
-      .insert({
-        movement_type: adjustmentType,
-        site_id: siteId,
-        packaging_type_id: packagingTypeId,
-        quantity: Math.abs(quantity),
-        direction: quantity >= 0 ? 'in' : 'out',
-        notes: notes,
-        recorded_by: req.user?.id || null
-      });
-
-    res.json({ message: 'Inventory adjusted successfully' });
+    res.json({ message: 'Inventory adjusted successfully', movement });
   } catch (error) {
     next(error);
   }
@@ -319,7 +293,7 @@ router.post('/:id/inventory/adjust', authenticate, authorize('admin', 'dispatche
  * GET /api/sites/:id/movements
  * Get packaging movements for a site
  */
-router.get('/:id/movements', authenticate, async (req, res, next) => {
+router.get('/:id/movements', authenticate, requireSiteAccess(), async (req, res, next) => {
   try {
     const { limit = 50, offset = 0, packagingTypeId } = req.query;
 
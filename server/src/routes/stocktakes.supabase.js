@@ -0,0 +1,467 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../db/supabase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { applySiteScope, canAccessSite } from '../middleware/siteScope.js';
+import { triggerAlertEvaluation } from '../services/alertEngine.js';
+
+const router = express.Router();
+
+/**
+ * Generate stock take reference based on site code and count date
+ */
+async function generateReferenceNumber(siteCode, countDate) {
+  const date = new Date(countDate);
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+
+  const prefix = `ST-${siteCode}${year}${month}${day}`;
+
+  const { count } = await supabase
+    .from('stock_takes')
+    .select('id', { count: 'exact', head: true })
+    .like('reference_number', `${prefix}%`);
+
+  return count ? `${prefix}-${count + 1}` : prefix;
+}
+
+/**
+ * Whether a stock take exists at a site the user can see
+ */
+async function canAccessStockTake(stockTakeId, user) {
+  const { data, error } = await applySiteScope(
+    supabase
+      .from('stock_takes')
+      .select('id')
+      .eq('id', stockTakeId),
+    user
+  ).maybeSingle();
+
+  if (error) throw error;
+
+  return !!data;
+}
+
+/**
+ * Map stock take posting errors to HTTP responses
+ */
+function handlePostingError(error, res) {
+  if (error.code === 'P0002') {
+    return res.status(404).json({ error: { message: 'Stock take not found' } });
+  }
+  if (error.code === '23514') {
+    return res.status(400).json({ error: { message: error.message } });
+  }
+  return null;
+}
+
+/**
+ * GET /api/stock-takes
+ * List stock takes with filtering
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { siteId, status, limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('stock_takes')
+      .select(`
+        *,
+        sites (id, code, name),
+        counted_by_user:users!stock_takes_counted_by_fkey (first_name, last_name),
+        reviewed_by_user:users!stock_takes_reviewed_by_fkey (first_name, last_name),
+        stock_take_lines (variance)
+      `, { count: 'exact' })
+      .order('count_date', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    query = applySiteScope(query, req.user);
+    if (siteId) query = query.eq('site_id', siteId);
+    if (status) query = query.eq('status', status);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    const stockTakes = data.map(st => ({
+      ...st,
+      site_code: st.sites?.code,
+      site_name: st.sites?.name,
+      counted_by_name: st.counted_by_user ? `${st.counted_by_user.first_name} ${st.counted_by_user.last_name}` : null,
+      reviewed_by_name: st.reviewed_by_user ? `${st.reviewed_by_user.first_name} ${st.reviewed_by_user.last_name}` : null,
+      line_count: st.stock_take_lines?.length || 0,
+      net_variance: st.stock_take_lines?.reduce((sum, l) => sum + (l.variance || 0), 0) || 0
+    }));
+
+    res.json({
+      stockTakes,
+      pagination: { total: count || 0, limit: parseInt(limit), offset: parseInt(offset) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/stock-takes/:id
+ * Get a stock take with its lines. While the count is open, each line
+ * shows the current ledger balance as the expected quantity.
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const { data: stockTake, error } = await applySiteScope(
+      supabase
+        .from('stock_takes')
+        .select(`
+          *,
+          sites (id, code, name),
+          counted_by_user:users!stock_takes_counted_by_fkey (first_name, last_name),
+          reviewed_by_user:users!stock_takes_reviewed_by_fkey (first_name, last_name)
+        `)
+        .eq('id', req.params.id),
+      req.user
+    ).single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Stock take not found' } });
+      }
+      throw error;
+    }
+
+    const { data: lines, error: linesError } = await supabase
+      .from('stock_take_lines')
+      .select(`
+        *,
+        packaging_types (id, code, name)
+      `)
+      .eq('stock_take_id', req.params.id);
+
+    if (linesError) throw linesError;
+
+    // Live expected balance for counts that have not been submitted yet
+    let currentBalances = [];
+    if (stockTake.status === 'open') {
+      const { data: inventory, error: invError } = await supabase
+        .from('site_packaging_inventory')
+        .select('packaging_type_id, quantity, quantity_damaged')
+        .eq('site_id', stockTake.site_id);
+
+      if (invError) throw invError;
+      currentBalances = inventory;
+    }
+
+    const formattedLines = lines.map(l => {
+      const balance = currentBalances.find(b => b.packaging_type_id === l.packaging_type_id);
+      const expectedQuantity = stockTake.status === 'open' ? (balance?.quantity || 0) : l.expected_quantity;
+
+      return {
+        ...l,
+        packaging_type_code: l.packaging_types?.code,
+        packaging_type_name: l.packaging_types?.name,
+        expected_quantity: expectedQuantity,
+        expected_damaged: stockTake.status === 'open' ? (balance?.quantity_damaged || 0) : l.expected_damaged,
+        variance: stockTake.status === 'open'
+          ? (l.counted_quantity !== null ? l.counted_quantity - expectedQuantity : null)
+          : l.variance
+      };
+    });
+
+    res.json({
+      stockTake: {
+        ...stockTake,
+        site_code: stockTake.sites?.code,
+        site_name: stockTake.sites?.name,
+        counted_by_name: stockTake.counted_by_user ? `${stockTake.counted_by_user.first_name} ${stockTake.counted_by_user.last_name}` : null,
+        reviewed_by_name: stockTake.reviewed_by_user ? `${stockTake.reviewed_by_user.first_name} ${stockTake.reviewed_by_user.last_name}` : null
+      },
+      lines: formattedLines
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/stock-takes
+ * Open a count session for a site, with a line per active packaging type
+ */
+router.post('/', authenticate, requirePermission('stocktakes.count'), [
+  body('siteId').isUUID(),
+  body('countDate').optional().isISO8601()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { siteId, countDate, notes } = req.body;
+    const date = countDate || new Date().toISOString().split('T')[0];
+
+    if (!canAccessSite(req.user, siteId)) {
+      return res.status(404).json({ error: { message: 'Site not found' } });
+    }
+
+    const { data: site, error: siteError } = await supabase
+      .from('sites')
+      .select('code')
+      .eq('id', siteId)
+      .single();
+
+    if (siteError) {
+      if (siteError.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Site not found' } });
+      }
+      throw siteError;
+    }
+
+    // One open count per site at a time
+    const { data: openCounts } = await supabase
+      .from('stock_takes')
+      .select('id, reference_number')
+      .eq('site_id', siteId)
+      .in('status', ['open', 'submitted'])
+      .limit(1);
+
+    if (openCounts && openCounts.length > 0) {
+      return res.status(409).json({
+        error: { message: `Stock take ${openCounts[0].reference_number} is still in progress for this site` }
+      });
+    }
+
+    const referenceNumber = await generateReferenceNumber(site.code, date);
+
+    const { data: stockTake, error } = await supabase
+      .from('stock_takes')
+      .insert({
+        reference_number: referenceNumber,
+        site_id: siteId,
+        count_date: date,
+        notes: notes || null,
+        status: 'open',
+        created_by: req.user?.id || null
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: packagingTypes, error: ptError } = await supabase
+      .from('packaging_types')
+      .select('id')
+      .eq('is_active', true);
+
+    if (ptError) throw ptError;
+
+    if (packagingTypes.length > 0) {
+      const { error: linesError } = await supabase
+        .from('stock_take_lines')
+        .insert(packagingTypes.map(pt => ({
+          stock_take_id: stockTake.id,
+          packaging_type_id: pt.id
+        })));
+
+      if (linesError) throw linesError;
+    }
+
+    res.status(201).json({ stockTake });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/stock-takes/:id/lines
+ * Enter physical counts for an open stock take
+ */
+router.put('/:id/lines', authenticate, requirePermission('stocktakes.count'), [
+  body('lines').isArray({ min: 1 }),
+  body('lines.*.packagingTypeId').isUUID(),
+  body('lines.*.countedQuantity').optional({ nullable: true }).isInt({ min: 0 }),
+  body('lines.*.countedDamaged').optional({ nullable: true }).isInt({ min: 0 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data: stockTake, error: stError } = await applySiteScope(
+      supabase
+        .from('stock_takes')
+        .select('id, status')
+        .eq('id', req.params.id),
+      req.user
+    ).single();
+
+    if (stError) {
+      if (stError.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Stock take not found' } });
+      }
+      throw stError;
+    }
+
+    if (stockTake.status !== 'open') {
+      return res.status(400).json({ error: { message: 'Counts can only be entered while the stock take is open' } });
+    }
+
+    const { error } = await supabase
+      .from('stock_take_lines')
+      .upsert(req.body.lines.map(l => ({
+        stock_take_id: req.params.id,
+        packaging_type_id: l.packagingTypeId,
+        counted_quantity: l.countedQuantity ?? null,
+        counted_damaged: l.countedDamaged ?? null,
+        notes: l.notes || null,
+        updated_at: new Date().toISOString()
+      })), { onConflict: 'stock_take_id,packaging_type_id' });
+
+    if (error) throw error;
+
+    await supabase
+      .from('stock_takes')
+      .update({ counted_by: req.user?.id || null, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id);
+
+    res.json({ message: 'Counts saved' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/stock-takes/:id/submit
+ * Submit counts for approval; expected balances are fixed from the ledger
+ */
+router.post('/:id/submit', authenticate, requirePermission('stocktakes.count'), async (req, res, next) => {
+  try {
+    if (!await canAccessStockTake(req.params.id, req.user)) {
+      return res.status(404).json({ error: { message: 'Stock take not found' } });
+    }
+
+    const { data, error } = await supabase.rpc('submit_stock_take', {
+      p_stock_take_id: req.params.id,
+      p_submitted_by: req.user?.id || null
+    });
+
+    if (error) {
+      if (handlePostingError(error, res)) return;
+      throw error;
+    }
+
+    res.json({ stockTake: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/stock-takes/:id/approve
+ * Approve the variance and post adjustment/loss movements
+ */
+router.post('/:id/approve', authenticate, requirePermission('stocktakes.approve'), async (req, res, next) => {
+  try {
+    if (!await canAccessStockTake(req.params.id, req.user)) {
+      return res.status(404).json({ error: { message: 'Stock take not found' } });
+    }
+
+    const { reviewNotes } = req.body;
+
+    const { data, error } = await supabase.rpc('approve_stock_take', {
+      p_stock_take_id: req.params.id,
+      p_approved_by: req.user?.id || null,
+      p_review_notes: reviewNotes || null
+    });
+
+    if (error) {
+      if (handlePostingError(error, res)) return;
+      throw error;
+    }
+
+    triggerAlertEvaluation(['low_stock']);
+
+    res.json({ stockTake: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/stock-takes/:id/reject
+ * Reject a submitted count; nothing is posted
+ */
+router.post('/:id/reject', authenticate, requirePermission('stocktakes.approve'), [
+  body('reviewNotes').notEmpty().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!await canAccessStockTake(req.params.id, req.user)) {
+      return res.status(404).json({ error: { message: 'Stock take not found' } });
+    }
+
+    const { data, error } = await supabase
+      .from('stock_takes')
+      .update({
+        status: 'rejected',
+        reviewed_by: req.user?.id || null,
+        reviewed_at: new Date().toISOString(),
+        review_notes: req.body.reviewNotes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .eq('status', 'submitted')
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(400).json({ error: { message: 'Only submitted stock takes can be rejected' } });
+      }
+      throw error;
+    }
+
+    res.json({ stockTake: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/stock-takes/:id
+ * Cancel an open stock take
+ */
+router.delete('/:id', authenticate, requirePermission('stocktakes.count'), async (req, res, next) => {
+  try {
+    if (!await canAccessStockTake(req.params.id, req.user)) {
+      return res.status(404).json({ error: { message: 'Stock take not found' } });
+    }
+
+    const { data, error } = await supabase
+      .from('stock_takes')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('status', 'open')
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(400).json({ error: { message: 'Only open stock takes can be cancelled' } });
+      }
+      throw error;
+    }
+
+    res.json({ message: 'Stock take cancelled', stockTake: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,279 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../db/supabase.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  processDueDeliveries,
+  replayDelivery
+} from '../services/webhooks.js';
+
+const router = express.Router();
+
+const SUBSCRIPTION_SELECT = '*, sites (code, name)';
+
+/**
+ * Flatten joined relations and hide the secret except its last characters
+ */
+function formatSubscription(s, { includeSecret = false } = {}) {
+  return {
+    ...s,
+    site_name: s.sites?.name,
+    secret: includeSecret ? s.secret : undefined,
+    secret_hint: `…${s.secret.slice(-4)}`,
+    sites: undefined
+  };
+}
+
+const eventTypesValidator = body('eventTypes')
+  .optional()
+  .isArray()
+  .custom(types => types.every(t => WEBHOOK_EVENTS[t]))
+  .withMessage(`eventTypes must be a list of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+
+/**
+ * GET /api/webhooks/events
+ * Events a webhook can subscribe to
+ */
+router.get('/events', authenticate, requirePermission('webhooks.manage'), (req, res) => {
+  res.json({
+    events: Object.entries(WEBHOOK_EVENTS).map(([key, label]) => ({ key, label }))
+  });
+});
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions with their delivery counts
+ */
+router.get('/', authenticate, requirePermission('webhooks.manage'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .select(SUBSCRIPTION_SELECT)
+      .order('name');
+
+    if (error) throw error;
+
+    const { data: deliveries, error: deliveriesError } = await supabase
+      .from('webhook_deliveries')
+      .select('subscription_id, status')
+      .in('status', ['pending', 'failed']);
+
+    if (deliveriesError) throw deliveriesError;
+
+    res.json({
+      webhooks: data.map(s => ({
+        ...formatSubscription(s),
+        pending_count: deliveries.filter(d => d.subscription_id === s.id && d.status === 'pending').length,
+        failed_count: deliveries.filter(d => d.subscription_id === s.id && d.status === 'failed').length
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create a webhook subscription. The signing secret is returned only
+ * here and when it is rotated.
+ */
+router.post('/', authenticate, requirePermission('webhooks.manage'), [
+  body('name').notEmpty().trim(),
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+  eventTypesValidator,
+  body('siteId').optional({ nullable: true }).isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, url, eventTypes, siteId } = req.body;
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .insert({
+        name,
+        url,
+        secret: generateWebhookSecret(),
+        event_types: eventTypes || [],
+        site_id: siteId || null,
+        created_by: req.user?.id || null
+      })
+      .select(SUBSCRIPTION_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === '23503') {
+        return res.status(400).json({ error: { message: 'Site not found' } });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ webhook: formatSubscription(data, { includeSecret: true }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook subscription
+ */
+router.put('/:id', authenticate, requirePermission('webhooks.manage'), [
+  body('name').optional().notEmpty().trim(),
+  body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+  eventTypesValidator,
+  body('siteId').optional({ nullable: true }).isUUID(),
+  body('isActive').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, url, eventTypes, siteId, isActive } = req.body;
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) updateData.name = name;
+    if (url !== undefined) updateData.url = url;
+    if (eventTypes !== undefined) updateData.event_types = eventTypes;
+    if (siteId !== undefined) updateData.site_id = siteId || null;
+    if (isActive !== undefined) updateData.is_active = isActive;
+
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .update(updateData)
+      .eq('id', req.params.id)
+      .select(SUBSCRIPTION_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Webhook not found' } });
+      }
+      throw error;
+    }
+
+    res.json({ webhook: formatSubscription(data) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret; the old one stops working immediately
+ */
+router.post('/:id/rotate-secret', authenticate, requirePermission('webhooks.manage'), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('webhook_subscriptions')
+      .update({ secret: generateWebhookSecret(), updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select(SUBSCRIPTION_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: { message: 'Webhook not found' } });
+      }
+      throw error;
+    }
+
+    res.json({ webhook: formatSubscription(data, { includeSecret: true }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook subscription and its delivery log
+ */
+router.delete('/:id', authenticate, requirePermission('webhooks.manage'), async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) throw error;
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a subscription, newest first
+ */
+router.get('/:id/deliveries', authenticate, requirePermission('webhooks.manage'), async (req, res, next) => {
+  try {
+    const { status, eventType, limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*, loads (load_number)', { count: 'exact' })
+      .eq('subscription_id', req.params.id)
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (status) query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    res.json({
+      deliveries: data.map(d => ({ ...d, load_number: d.loads?.load_number, loads: undefined })),
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/process
+ * Retry pending deliveries that are due (for cron where no scheduler runs)
+ */
+router.post('/deliveries/process', authenticate, requirePermission('webhooks.manage'), async (req, res, next) => {
+  try {
+    const result = await processDueDeliveries();
+
+    res.json({ result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Send a delivery's payload again
+ */
+router.post('/deliveries/:deliveryId/replay', authenticate, requirePermission('webhooks.manage'), async (req, res, next) => {
+  try {
+    const delivery = await replayDelivery(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: { message: 'Delivery not found' } });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -6,15 +6,28 @@ import morgan from 'morgan';
 
 dotenv.config();
 
+import { auditContext } from './middleware/audit.js';
+
 // Import Supabase routes
+import alertsRoutes from './routes/alerts.supabase.js';
+import auditRoutes from './routes/audit.supabase.js';
 import authRoutes from './routes/auth.supabase.js';
+import chargeBacksRoutes from './routes/chargebacks.supabase.js';
 import configRoutes from './routes/config.supabase.js';
 import dashboardRoutes from './routes/dashboard.supabase.js';
+import importsRoutes from './routes/imports.supabase.js';
 import loadsRoutes from './routes/loads.supabase.js';
+import notificationsRoutes from './routes/notifications.supabase.js';
 import packagingRoutes from './routes/packaging.supabase.js';
 import plannerRoutes from './routes/planner.supabase.js';
 import reportsRoutes from './routes/reports.supabase.js';
+import serviceAccountsRoutes from './routes/serviceAccounts.supabase.js';
 import sitesRoutes from './routes/sites.supabase.js';
+import stockTakesRoutes from './routes/stocktakes.supabase.js';
+import webhooksRoutes from './routes/webhooks.supabase.js';
+import { startAlertScheduler } from './services/alertEngine.js';
+import { startRecurrenceScheduler } from './services/recurringSchedules.js';
+import { startWebhookRetryScheduler } from './services/webhooks.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -27,7 +40,9 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+// Imports send whole spreadsheets
+app.use(express.json({ limit: '5mb' }));
+app.use(auditContext);
 app.use(morgan('dev'));
 
 // Health check
@@ -39,11 +54,19 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/loads', loadsRoutes);
 app.use('/api/sites', sitesRoutes);
+app.use('/api/stock-takes', stockTakesRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/packaging', packagingRoutes);
 app.use('/api/planner', plannerRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/charge-backs', chargeBacksRoutes);
+app.use('/api/alerts', alertsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/service-accounts', serviceAccountsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/imports', importsRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -59,12 +82,22 @@ app.use((err, req, res, next) => {
 });
 
 app.listen(PORT, () => {
+  startAlertScheduler();
+  startRecurrenceScheduler();
+  startWebhookRetryScheduler();
   console.log(`\n�� Server running on http://localhost:${PORT}`);
   console.log(`\n📊 Available API Endpoints:`);
   console.log(`\n   Authentication:`);
   console.log(`   POST   /api/auth/login`);
-  console.log(`   POST   /api/auth/register`);
   console.log(`   GET    /api/auth/me`);
+  console.log(`   POST   /api/auth/refresh`);
+  console.log(`   POST   /api/auth/logout`);
+  console.log(`   GET    /api/auth/sessions`);
+  console.log(`   POST   /api/auth/forgot-password`);
+  console.log(`   POST   /api/auth/reset-password`);
+  console.log(`   POST   /api/auth/mfa/verify`);
+  console.log(`   POST   /api/auth/mfa/setup`);
+  console.log(`   POST   /api/auth/mfa/enable`);
   console.log(`\n   Loads:`);
   console.log(`   GET    /api/loads`);
   console.log(`   POST   /api/loads`);
@@ -88,6 +121,48 @@ app.listen(PORT, () => {
   console.log(`   GET    /api/packaging/inventory/site/:siteId`);
   console.log(`   GET    /api/packaging/movements`);
   console.log(`   POST   /api/packaging/inventory/adjust`);
+  console.log(`\n   Stock Takes:`);
+  console.log(`   GET    /api/stock-takes`);
+  console.log(`   POST   /api/stock-takes`);
+  console.log(`   PUT    /api/stock-takes/:id/lines`);
+  console.log(`   POST   /api/stock-takes/:id/submit`);
+  console.log(`   POST   /api/stock-takes/:id/approve`);
+  console.log(`\n   Charge-backs:`);
+  console.log(`   GET    /api/charge-backs`);
+  console.log(`   POST   /api/charge-backs`);
+  console.log(`   GET    /api/charge-backs/:id/export`);
+  console.log(`   POST   /api/charge-backs/:id/issue`);
+  console.log(`   POST   /api/charge-backs/:id/settle`);
+  console.log(`\n   Alerts:`);
+  console.log(`   GET    /api/alerts`);
+  console.log(`   POST   /api/alerts/evaluate`);
+  console.log(`   POST   /api/alerts/:id/acknowledge`);
+  console.log(`   POST   /api/alerts/:id/assign`);
+  console.log(`   POST   /api/alerts/:id/comments`);
+  console.log(`   POST   /api/alerts/:id/resolve`);
+  console.log(`\n   Notifications:`);
+  console.log(`   GET    /api/notifications/subscriptions`);
+  console.log(`   POST   /api/notifications/subscriptions`);
+  console.log(`   GET    /api/notifications/log`);
+  console.log(`   POST   /api/notifications/test`);
+  console.log(`\n   Webhooks:`);
+  console.log(`   GET    /api/webhooks`);
+  console.log(`   POST   /api/webhooks`);
+  console.log(`   GET    /api/webhooks/:id/deliveries`);
+  console.log(`   POST   /api/webhooks/deliveries/:deliveryId/replay`);
+  console.log(`\n   Service accounts:`);
+  console.log(`   GET    /api/service-accounts`);
+  console.log(`   POST   /api/service-accounts`);
+  console.log(`   POST   /api/service-accounts/:id/keys`);
+  console.log(`   DELETE /api/service-accounts/:id/keys/:keyId`);
+  console.log(`\n   Audit:`);
+  console.log(`   GET    /api/audit`);
+  console.log(`   GET    /api/audit/loads/:loadId`);
+  console.log(`   GET    /api/audit/sites/:siteId`);
+  console.log(`\n   Imports:`);
+  console.log(`   GET    /api/imports/:entity/template`);
+  console.log(`   POST   /api/imports/:entity/preview`);
+  console.log(`   POST   /api/imports/:entity`);
   console.log(`\n   Settings:`);
   console.log(`   GET    /api/settings`);
   console.log(`   GET    /api/settings/users`);
@@ -0,0 +1,346 @@
+import { supabase } from '../db/supabase.js';
+import { triggerNotification } from './notifications.js';
+
+// Minutes a load may run past its expected depot arrival before it is late
+const LATE_LOAD_GRACE_MINUTES = parseInt(process.env.ALERT_LATE_LOAD_GRACE_MINUTES || '120');
+// How far back receipts and farm visits are checked for new alerts
+const LOOKBACK_DAYS = parseInt(process.env.ALERT_LOOKBACK_DAYS || '7');
+// Farm overtime beyond this is critical
+const CRITICAL_OVERTIME_MINUTES = parseInt(process.env.ALERT_CRITICAL_OVERTIME_MINUTES || '120');
+
+const IN_TRANSIT_STATUSES = ['departed', 'in_transit'];
+
+/**
+ * Date string (YYYY-MM-DD) for N days ago
+ */
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Combine a load date and time column into a Date
+ */
+function toDateTime(date, time) {
+  if (!date || !time) return null;
+  return new Date(`${date}T${time}`);
+}
+
+/**
+ * Site packaging below its configured minimum threshold
+ */
+async function evaluateLowStock() {
+  const { data: thresholds, error } = await supabase
+    .from('site_packaging_thresholds')
+    .select(`
+      site_id, packaging_type_id, min_threshold,
+      sites (code, name, is_active),
+      packaging_types (name, is_active)
+    `)
+    .eq('alert_enabled', true)
+    .gt('min_threshold', 0);
+
+  if (error) throw error;
+  if (thresholds.length === 0) return [];
+
+  const { data: inventory, error: invError } = await supabase
+    .from('site_packaging_inventory')
+    .select('site_id, packaging_type_id, quantity')
+    .in('site_id', [...new Set(thresholds.map(t => t.site_id))]);
+
+  if (invError) throw invError;
+
+  const quantities = new Map(inventory.map(i => [`${i.site_id}:${i.packaging_type_id}`, i.quantity || 0]));
+
+  return thresholds
+    .filter(t => t.sites?.is_active !== false && t.packaging_types?.is_active !== false)
+    .map(t => ({ ...t, quantity: quantities.get(`${t.site_id}:${t.packaging_type_id}`) || 0 }))
+    .filter(t => t.quantity < t.min_threshold)
+    .map(t => ({
+      key: `low_stock:${t.site_id}:${t.packaging_type_id}`,
+      severity: t.quantity <= t.min_threshold / 2 ? 'critical' : 'warning',
+      siteId: t.site_id,
+      packagingTypeId: t.packaging_type_id,
+      message: `${t.sites?.name}: ${t.packaging_types?.name} at ${t.quantity}, below minimum of ${t.min_threshold}`,
+      details: { quantity: t.quantity, min_threshold: t.min_threshold }
+    }));
+}
+
+/**
+ * Loads still on the road well after their expected depot arrival
+ */
+async function evaluateLateLoads() {
+  const { data: loads, error } = await supabase
+    .from('loads')
+    .select(`
+      id, load_number, dispatch_date, expected_arrival_date, estimated_arrival_time,
+      expected_depot_arrival_time, destination_site_id,
+      destination_site:sites!loads_destination_site_id_fkey (name)
+    `)
+    .in('status', IN_TRANSIT_STATUSES);
+
+  if (error) throw error;
+
+  const now = new Date();
+
+  return loads
+    .map(l => {
+      const expected = toDateTime(l.dispatch_date, l.expected_depot_arrival_time)
+        || toDateTime(l.expected_arrival_date, l.estimated_arrival_time);
+      return { ...l, expected, minutesLate: expected ? Math.round((now - expected) / 60000) : null };
+    })
+    .filter(l => l.minutesLate !== null && l.minutesLate > LATE_LOAD_GRACE_MINUTES)
+    .map(l => ({
+      key: `late_load:${l.id}`,
+      severity: l.minutesLate > LATE_LOAD_GRACE_MINUTES * 3 ? 'critical' : 'warning',
+      siteId: l.destination_site_id,
+      loadId: l.id,
+      message: `Load ${l.load_number} is ${Math.floor(l.minutesLate / 60)}h ${l.minutesLate % 60}m overdue at ${l.destination_site?.name}`,
+      details: { expected_arrival: l.expected.toISOString(), minutes_late: l.minutesLate }
+    }));
+}
+
+/**
+ * Received loads with damaged or missing packaging
+ */
+async function evaluateReceiptDiscrepancies({ openAlerts }) {
+  const openLoadIds = openAlerts.map(a => a.load_id).filter(Boolean);
+
+  let query = supabase
+    .from('loads')
+    .select(`
+      id, load_number, origin_site_id, has_discrepancy,
+      load_packaging (quantity_damaged, quantity_missing)
+    `)
+    .eq('status', 'completed')
+    .eq('has_discrepancy', true);
+
+  // Recent receipts, plus any load that already has an open alert
+  query = openLoadIds.length > 0
+    ? query.or(`confirmed_receipt_at.gte.${daysAgo(LOOKBACK_DAYS)},id.in.(${openLoadIds.join(',')})`)
+    : query.gte('confirmed_receipt_at', daysAgo(LOOKBACK_DAYS));
+
+  const { data: loads, error } = await query;
+  if (error) throw error;
+
+  return loads.map(l => {
+    const missing = l.load_packaging?.reduce((sum, lp) => sum + (lp.quantity_missing || 0), 0) || 0;
+    const damaged = l.load_packaging?.reduce((sum, lp) => sum + (lp.quantity_damaged || 0), 0) || 0;
+    const parts = [];
+    if (missing > 0) parts.push(`${missing} missing`);
+    if (damaged > 0) parts.push(`${damaged} damaged`);
+
+    return {
+      key: `receipt_discrepancy:${l.id}`,
+      severity: missing > 0 ? 'critical' : 'warning',
+      siteId: l.origin_site_id,
+      loadId: l.id,
+      message: `Load ${l.load_number} received with discrepancies${parts.length ? `: ${parts.join(', ')}` : ''}`,
+      details: { missing, damaged }
+    };
+  });
+}
+
+/**
+ * Trucks held at the farm past the expected arrival/departure times
+ */
+async function evaluateFarmOvertime({ openAlerts }) {
+  const openLoadIds = openAlerts.map(a => a.load_id).filter(Boolean);
+
+  let query = supabase
+    .from('loads')
+    .select(`
+      id, load_number, origin_site_id, dispatch_date, status,
+      expected_farm_departure_time, actual_farm_arrival_time, actual_farm_departure_time,
+      farm_arrival_overtime_minutes, farm_departure_overtime_minutes, has_overtime,
+      origin_site:sites!loads_origin_site_id_fkey (name)
+    `)
+    .neq('status', 'cancelled');
+
+  query = openLoadIds.length > 0
+    ? query.or(`dispatch_date.gte.${daysAgo(LOOKBACK_DAYS)},id.in.(${openLoadIds.join(',')})`)
+    : query.gte('dispatch_date', daysAgo(LOOKBACK_DAYS));
+
+  const { data: loads, error } = await query;
+  if (error) throw error;
+
+  const now = new Date();
+
+  return loads
+    .map(l => {
+      let overtime = Math.max(l.farm_arrival_overtime_minutes || 0, l.farm_departure_overtime_minutes || 0);
+
+      // Still at the farm after the expected departure time
+      if (l.actual_farm_arrival_time && !l.actual_farm_departure_time) {
+        const expectedDeparture = toDateTime(l.dispatch_date, l.expected_farm_departure_time || '17:00:00');
+        overtime = Math.max(overtime, Math.round((now - expectedDeparture) / 60000));
+      }
+
+      return { ...l, overtime: l.has_overtime || overtime > 0 ? Math.max(overtime, 0) : 0 };
+    })
+    .filter(l => l.overtime > 0)
+    .map(l => ({
+      key: `farm_overtime:${l.id}`,
+      severity: l.overtime > CRITICAL_OVERTIME_MINUTES ? 'critical' : 'warning',
+      siteId: l.origin_site_id,
+      loadId: l.id,
+      message: `Load ${l.load_number} overtime at ${l.origin_site?.name}: ${l.overtime} minutes`,
+      details: { overtime_minutes: l.overtime }
+    }));
+}
+
+/**
+ * Alert rules, keyed by alert_type. Each rule returns the conditions
+ * that currently hold; anything it no longer returns is resolved.
+ */
+export const ALERT_RULES = {
+  low_stock: evaluateLowStock,
+  late_load: evaluateLateLoads,
+  receipt_discrepancy: evaluateReceiptDiscrepancies,
+  farm_overtime: evaluateFarmOvertime
+};
+
+// Notification event sent when a rule raises a new alert
+const ALERT_NOTIFICATIONS = {
+  low_stock: 'threshold_breach'
+};
+
+/**
+ * Apply one rule's current conditions to the alerts table: raise new
+ * alerts, refresh open ones and resolve those whose condition cleared.
+ */
+async function applyRule(alertType, evaluate) {
+  const now = new Date().toISOString();
+
+  // Open alerts and manually resolved alerts whose condition has not cleared yet
+  const { data: trackedAlerts, error } = await supabase
+    .from('alerts')
+    .select('id, alert_key, load_id, severity, message, is_resolved')
+    .eq('alert_type', alertType)
+    .is('condition_cleared_at', null);
+
+  if (error) throw error;
+
+  const openAlerts = trackedAlerts.filter(a => !a.is_resolved);
+  const conditions = await evaluate({ openAlerts });
+  const conditionKeys = new Set(conditions.map(c => c.key));
+  const trackedByKey = new Map(trackedAlerts.map(a => [a.alert_key, a]));
+
+  const result = { type: alertType, raised: 0, resolved: 0, active: conditions.length };
+
+  for (const condition of conditions) {
+    const existing = trackedByKey.get(condition.key);
+
+    if (!existing) {
+      const { error: insertError } = await supabase
+        .from('alerts')
+        .insert({
+          alert_type: alertType,
+          alert_key: condition.key,
+          severity: condition.severity,
+          site_id: condition.siteId || null,
+          load_id: condition.loadId || null,
+          packaging_type_id: condition.packagingTypeId || null,
+          message: condition.message,
+          details: condition.details || null,
+          last_evaluated_at: now
+        });
+
+      // Another evaluation raised it first
+      if (insertError && insertError.code !== '23505') throw insertError;
+      if (!insertError) {
+        result.raised++;
+
+        if (ALERT_NOTIFICATIONS[alertType]) {
+          triggerNotification(ALERT_NOTIFICATIONS[alertType], {
+            siteIds: [condition.siteId],
+            loadId: condition.loadId,
+            message: condition.message,
+            details: condition.details
+          });
+        }
+      }
+    } else if (!existing.is_resolved) {
+      const { error: updateError } = await supabase
+        .from('alerts')
+        .update({
+          severity: condition.severity,
+          message: condition.message,
+          details: condition.details || null,
+          last_evaluated_at: now,
+          updated_at: now
+        })
+        .eq('id', existing.id);
+
+      if (updateError) throw updateError;
+    }
+  }
+
+  const cleared = trackedAlerts.filter(a => !conditionKeys.has(a.alert_key));
+
+  for (const alert of cleared) {
+    const update = alert.is_resolved
+      ? { condition_cleared_at: now, updated_at: now }
+      : {
+          is_resolved: true,
+          auto_resolved: true,
+          resolved_at: now,
+          resolution_reason: 'Condition cleared',
+          condition_cleared_at: now,
+          last_evaluated_at: now,
+          updated_at: now
+        };
+
+    const { error: resolveError } = await supabase
+      .from('alerts')
+      .update(update)
+      .eq('id', alert.id);
+
+    if (resolveError) throw resolveError;
+    if (!alert.is_resolved) result.resolved++;
+  }
+
+  return result;
+}
+
+/**
+ * Evaluate alert rules and sync the alerts table
+ * @param {{ types?: string[] }} [options] - Limit evaluation to these alert types
+ * @returns {Promise<Array<{ type: string, raised: number, resolved: number, active: number }>>}
+ */
+export async function evaluateAlerts({ types } = {}) {
+  const ruleTypes = types?.length ? types.filter(t => ALERT_RULES[t]) : Object.keys(ALERT_RULES);
+  const results = [];
+
+  for (const alertType of ruleTypes) {
+    results.push(await applyRule(alertType, ALERT_RULES[alertType]));
+  }
+
+  return results;
+}
+
+/**
+ * Evaluate alerts in the background after an event; failures are logged
+ * and never affect the request that triggered them.
+ * @param {string[]} types
+ */
+export function triggerAlertEvaluation(types) {
+  evaluateAlerts({ types }).catch(error => {
+    console.error('Alert evaluation failed:', error);
+  });
+}
+
+/**
+ * Re-evaluate all rules on an interval (long-running servers only)
+ * @param {number} [intervalMinutes]
+ */
+export function startAlertScheduler(intervalMinutes = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MINUTES || '5')) {
+  if (!intervalMinutes || intervalMinutes <= 0) return null;
+
+  return setInterval(() => {
+    evaluateAlerts().catch(error => {
+      console.error('Scheduled alert evaluation failed:', error);
+    });
+  }, intervalMinutes * 60 * 1000);
+}
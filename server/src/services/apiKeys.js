@@ -0,0 +1,107 @@
+import { createHash, randomBytes } from 'crypto';
+import { supabase } from '../db/supabase.js';
+
+// Marks a bearer token as an API key rather than a JWT
+export const API_KEY_PREFIX = 'ptk_';
+// last_used_at is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const SERVICE_ACCOUNT_SELECT = 'id, email, first_name, last_name, role, assigned_site_id, is_active, is_service_account';
+
+/**
+ * @param {string} key
+ */
+function hashKey(key) {
+  return createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Whether a bearer token looks like an API key
+ * @param {string} token
+ */
+export function isApiKey(token) {
+  return String(token).startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Issue a key for a service account
+ * @param {string} serviceAccountId
+ * @param {{ name: string, permissions: string[], expiresAt?: string|null }} options
+ * @param {string} createdBy - Admin who issued it
+ * @returns {Promise<{ apiKey: object, key: string }>} The raw key is only
+ *   ever returned here
+ */
+export async function createApiKey(serviceAccountId, { name, permissions, expiresAt = null }, createdBy) {
+  const key = `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      service_account_id: serviceAccountId,
+      name,
+      key_prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      key_hash: hashKey(key),
+      permissions,
+      expires_at: expiresAt,
+      created_by: createdBy
+    })
+    .select('id, service_account_id, name, key_prefix, permissions, expires_at, last_used_at, last_used_ip, created_at, revoked_at')
+    .single();
+
+  if (error) throw error;
+  return { apiKey: data, key };
+}
+
+/**
+ * The key and its service account for a raw key, or null when the key
+ * is unknown, revoked or expired. Records when and where it was used.
+ * @param {string} key
+ * @param {string|null} ip
+ * @returns {Promise<{ id: string, permissions: string[], account: object } | null>}
+ */
+export async function findApiKey(key, ip) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(`id, permissions, expires_at, last_used_at, account:users!api_keys_service_account_id_fkey (${SERVICE_ACCOUNT_SELECT})`)
+    .eq('key_hash', hashKey(key))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data?.account?.is_service_account) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+
+  if (!data.last_used_at || Date.now() - new Date(data.last_used_at) > LAST_USED_INTERVAL_MS) {
+    const { error: updateError } = await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString(), last_used_ip: ip })
+      .eq('id', data.id);
+
+    if (updateError) throw updateError;
+  }
+
+  return data;
+}
+
+/**
+ * Revoke a key
+ * @param {string} serviceAccountId
+ * @param {string} keyId
+ * @param {string} revokedBy
+ * @returns {Promise<boolean>} false when the account has no such active key
+ */
+export async function revokeApiKey(serviceAccountId, keyId, revokedBy) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy })
+    .eq('id', keyId)
+    .eq('service_account_id', serviceAccountId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    if (error.code === '22P02') return false;
+    throw error;
+  }
+  return data.length > 0;
+}
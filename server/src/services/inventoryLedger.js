@@ -0,0 +1,82 @@
+import { supabase } from '../db/supabase.js';
+
+/**
+ * Recompute every site/packaging balance from packaging_movements and
+ * report where the stored balance differs from the ledger.
+ * @param {{ apply?: boolean }} [options] - apply=true overwrites stored balances with the ledger totals
+ * @returns {Promise<Array<object>>} One entry per site/packaging type that differs
+ */
+export async function rebuildPackagingBalances({ apply = false } = {}) {
+  const { data: differences, error } = await supabase.rpc('rebuild_packaging_balances', {
+    p_apply: apply
+  });
+
+  if (error) throw error;
+
+  if (!differences || differences.length === 0) {
+    return [];
+  }
+
+  const [{ data: sites, error: sitesError }, { data: packagingTypes, error: ptError }] = await Promise.all([
+    supabase.from('sites').select('id, code, name'),
+    supabase.from('packaging_types').select('id, code, name')
+  ]);
+
+  if (sitesError) throw sitesError;
+  if (ptError) throw ptError;
+
+  return differences.map(d => {
+    const site = sites.find(s => s.id === d.site_id);
+    const packagingType = packagingTypes.find(pt => pt.id === d.packaging_type_id);
+
+    return {
+      ...d,
+      site_code: site?.code,
+      site_name: site?.name,
+      packaging_type_code: packagingType?.code,
+      packaging_type_name: packagingType?.name
+    };
+  });
+}
+
+/**
+ * Record a signed packaging movement. The ledger trigger applies it to
+ * the site balance in the same statement.
+ * @param {object} movement
+ * @param {string} movement.movementType
+ * @param {string} movement.siteId
+ * @param {string} movement.packagingTypeId
+ * @param {number} movement.quantityChange - Signed change (negative for stock leaving the site)
+ * @param {number} [movement.damagedChange]
+ * @param {string|null} [movement.loadId]
+ * @param {string|null} [movement.referenceNumber]
+ * @param {string|null} [movement.notes]
+ * @param {string|null} [movement.recordedBy]
+ */
+export async function recordMovement({
+  movementType, siteId, packagingTypeId, quantityChange, damagedChange = 0,
+  loadId = null, referenceNumber = null, notes = null, recordedBy = null
+}) {
+  const { data, error } = await supabase
+    .from('packaging_movements')
+    .insert({
+      movement_type: movementType,
+      load_id: loadId,
+      site_id: siteId,
+      packaging_type_id: packagingTypeId,
+      quantity: Math.abs(quantityChange),
+      quantity_change: quantityChange,
+      quantity_damaged: Math.abs(damagedChange),
+      damaged_change: damagedChange,
+      direction: quantityChange < 0 ? 'out' : 'in',
+      reference_number: referenceNumber,
+      notes,
+      recorded_by: recordedBy
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return data;
+}
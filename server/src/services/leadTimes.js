@@ -0,0 +1,147 @@
+import { supabase } from '../db/supabase.js';
+
+/**
+ * Lead-time templates: planning milestone dates as day offsets from a
+ * schedule's dispatch or arrival date. A template can be tied to an
+ * origin, destination and/or channel; the active template matching the
+ * most of a schedule's values applies. Milestones with a cutoff (the
+ * planner sheet's "CUT OFF 10AM") move a day later when the anchor
+ * event's time is after the cutoff, as that day no longer counts.
+ */
+
+// Schedule columns a template fills
+export const MILESTONE_COLUMNS = [
+  'packaging_eta_farm',
+  'ripening_start_date',
+  'sales_despatch_date',
+  'packaging_collection_date',
+  'packaging_delivery_farm_date'
+];
+
+export const LEAD_TIME_ANCHORS = ['dispatch', 'arrival'];
+
+// Schedule date and time each anchor counts from
+const ANCHOR_COLUMNS = {
+  dispatch: ['dispatch_date', 'dispatch_time'],
+  arrival: ['expected_arrival_date', 'expected_arrival_time']
+};
+
+const MATCH_COLUMNS = ['origin_site_id', 'destination_site_id', 'channel_id'];
+
+/**
+ * Problems with a template's milestones object, for validation
+ * @param {unknown} milestones
+ * @returns {string|null}
+ */
+export function milestonesError(milestones) {
+  if (!milestones || typeof milestones !== 'object' || Array.isArray(milestones)) {
+    return 'milestones must be an object keyed by milestone';
+  }
+
+  for (const [column, rule] of Object.entries(milestones)) {
+    if (!MILESTONE_COLUMNS.includes(column)) {
+      return `${column} is not a milestone; use ${MILESTONE_COLUMNS.join(', ')}`;
+    }
+    if (!rule || !LEAD_TIME_ANCHORS.includes(rule.anchor)) {
+      return `${column}.anchor must be one of: ${LEAD_TIME_ANCHORS.join(', ')}`;
+    }
+    if (!Number.isInteger(rule.days) || Math.abs(rule.days) > 90) {
+      return `${column}.days must be a whole number from -90 to 90`;
+    }
+    if (rule.cutoff != null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(rule.cutoff)) {
+      return `${column}.cutoff must be a time such as 10:00`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Active templates
+ */
+export async function loadLeadTimeTemplates() {
+  const { data, error } = await supabase
+    .from('lead_time_templates')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Best template for a schedule: every value it sets must match, and the
+ * one setting the most values wins
+ * @param {object[]} templates
+ * @param {object} schedule - Row with origin_site_id, destination_site_id, channel_id
+ * @returns {object|null}
+ */
+export function matchLeadTimeTemplate(templates, schedule) {
+  let best = null;
+  let bestScore = -1;
+
+  for (const template of templates) {
+    const set = MATCH_COLUMNS.filter(column => template[column]);
+    if (set.some(column => template[column] !== schedule[column])) continue;
+
+    if (set.length > bestScore) {
+      best = template;
+      bestScore = set.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ */
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Milestone dates a template gives a schedule. Milestones the template
+ * does not set, or whose anchor date is unknown, are left out.
+ * @param {object} template
+ * @param {object} schedule - Row with dispatch/arrival dates and times
+ * @returns {Record<string, string>} Dates by column
+ */
+export function computeMilestones(template, schedule) {
+  const dates = {};
+
+  for (const column of MILESTONE_COLUMNS) {
+    const rule = template.milestones?.[column];
+    if (!rule) continue;
+
+    const [dateColumn, timeColumn] = ANCHOR_COLUMNS[rule.anchor];
+    const anchorDate = schedule[dateColumn];
+    if (!anchorDate) continue;
+
+    const anchorTime = schedule[timeColumn]?.slice(0, 5);
+    const late = rule.cutoff && anchorTime && anchorTime > rule.cutoff;
+    dates[column] = shiftDate(anchorDate, rule.days + (late ? 1 : 0));
+  }
+  return dates;
+}
+
+/**
+ * Fill a schedule's blank milestone dates from its best template,
+ * recording the template used. Dates already set are kept, so a
+ * dispatcher's own dates always win.
+ * @param {object} schedule - Insert row, changed in place
+ * @param {object[]} templates - From loadLeadTimeTemplates
+ * @returns {string[]} Columns filled
+ */
+export function fillMilestones(schedule, templates) {
+  const template = matchLeadTimeTemplate(templates, schedule);
+  if (!template) return [];
+
+  const computed = computeMilestones(template, schedule);
+  const filled = Object.keys(computed).filter(column => !schedule[column]);
+  for (const column of filled) schedule[column] = computed[column];
+
+  schedule.lead_time_template_id = template.id;
+  return filled;
+}
@@ -0,0 +1,577 @@
+import { supabase } from '../db/supabase.js';
+import { canAccessLoad } from '../middleware/siteScope.js';
+import {
+  createChannelMatcher,
+  createSiteMatcher,
+  normalizeName,
+  parseSheetDate,
+  parseSheetText,
+  parseSheetTime
+} from './sheetParsing.js';
+
+/**
+ * Import of the old manual load register (see loadtable.md) into loads,
+ * with their vehicles, drivers and load_packaging. History is imported
+ * as it happened: nothing is posted to the packaging ledger.
+ */
+
+// Column positions in the sheet; the load number column has no heading
+const COLUMNS = {
+  dispatchDate: 0,
+  arrivalDate: 1,
+  farm: 2,
+  loadNumber: 3,
+  destination: 4,
+  channel: 5,
+  truck: 6,
+  driver: 7,
+  arrivedFarm: 8,
+  estimatedArrival: 9,
+  departedFarm: 10,
+  scheduledDeparture: 11,
+  onTime: 12,
+  arrivedDepot: 13,
+  departedDepot: 14,
+  packaging: 15,
+  notes: 16
+};
+
+// Recorded events in the order they happen, and the date each defaults to
+const EVENTS = [
+  ['arrivedFarm', 'Arrived farm', 'dispatch'],
+  ['departedFarm', 'Departure farm', 'dispatch'],
+  ['arrivedDepot', 'Arrived depot', 'arrival'],
+  ['departedDepot', 'Departure depot', 'arrival']
+];
+
+const ON_TIME_STATUSES = { ontime: 'on_time', delayed: 'delayed', late: 'delayed', early: 'early' };
+
+// Words in "Packaging Loaded" and the packaging type code prefixes they default to
+const PACKAGING_UNITS = {
+  crates: { words: ['crate'], codes: ['CRATE'] },
+  bins: { words: ['bin'], codes: ['BIN'] },
+  pallets: { words: ['pallet'], codes: ['PALLET'] },
+  cartons: { words: ['carton', 'box'], codes: ['CARTON', 'BOX'] }
+};
+
+// Driver cells that mean no driver was assigned
+const NO_DRIVER = ['tba', 'tbc', 'na', 'none', ''];
+
+// Statuses a load without a depot arrival can be imported as
+export const UNFINISHED_STATUSES = ['completed', 'scheduled', 'cancelled'];
+
+/**
+ * Data rows with their line numbers
+ * @param {string} text
+ * @returns {{ line: number, cells: string[] }[]}
+ */
+export function parseLoadSheet(text) {
+  const rows = [];
+
+  parseSheetText(text).forEach((cells, index) => {
+    if (cells.every(cell => cell === '')) return;
+    if (normalizeName(cells[0]).startsWith('dispatchdate')) return;
+    rows.push({ line: index + 1, cells });
+  });
+
+  return rows;
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Quantities in a "Packaging Loaded" cell such as "400 crates and 18bins"
+ * @param {string} value
+ * @returns {{ quantities: object, unknown: string[] }} Quantities per unit,
+ *   and counted things that are not packaging units
+ */
+export function parsePackagingLoaded(value) {
+  const quantities = {};
+  const unknown = [];
+
+  for (const [text, count, word] of String(value ?? '').matchAll(/(\d[\d,]*)\s*([A-Za-z]+)/g)) {
+    const unit = Object.keys(PACKAGING_UNITS)
+      .find(key => PACKAGING_UNITS[key].words.some(w => word.toLowerCase().startsWith(w)));
+
+    if (unit) {
+      quantities[unit] = (quantities[unit] || 0) + Number(count.replace(/,/g, ''));
+    } else {
+      unknown.push(text);
+    }
+  }
+
+  return { quantities, unknown };
+}
+
+/**
+ * Packaging type per unit: the one chosen, or the only active type whose
+ * code starts with the unit's prefix
+ * @param {object[]} packagingTypes - Active rows with id, code and name
+ * @param {object} chosen - Packaging type id per unit
+ */
+function resolvePackagingTypes(packagingTypes, chosen = {}) {
+  return Object.fromEntries(Object.entries(PACKAGING_UNITS).map(([unit, { codes }]) => {
+    const picked = packagingTypes.find(pt => pt.id === chosen[unit]);
+    const defaults = packagingTypes.filter(pt => codes.some(code => pt.code.toUpperCase().startsWith(code)));
+    return [unit, picked || (defaults.length === 1 ? defaults[0] : null)];
+  }));
+}
+
+/**
+ * Match truck cells such as "23H" to vehicles by registration, name or
+ * telematics asset code
+ * @param {object[]} vehicles
+ */
+function createVehicleMatcher(vehicles) {
+  return (value) => {
+    const key = normalizeName(value);
+    const fields = (v) => [v.registration, v.name, v.telematics_asset_code].map(normalizeName);
+
+    const byRegistration = vehicles.filter(v => normalizeName(v.registration) === key);
+    if (byRegistration.length === 1) return { vehicle: byRegistration[0] };
+
+    const matches = vehicles.filter(v => fields(v).includes(key));
+    if (matches.length === 1) return { vehicle: matches[0] };
+    if (matches.length > 1) {
+      return { error: `matches several vehicles (${matches.map(v => v.registration).join(', ')})` };
+    }
+    return { error: 'not found' };
+  };
+}
+
+/**
+ * Match driver cells such as "Phillimon Kwarire" or "Enock" to drivers by
+ * full name, then by first or last name when only one driver has it
+ * @param {object[]} drivers
+ */
+function createDriverMatcher(drivers) {
+  return (value) => {
+    const key = normalizeName(value);
+
+    const byFullName = drivers.filter(d => normalizeName(`${d.first_name}${d.last_name}`) === key);
+    if (byFullName.length === 1) return { driver: byFullName[0] };
+
+    const byPart = byFullName.length > 1
+      ? byFullName
+      : drivers.filter(d => normalizeName(d.first_name) === key || normalizeName(d.last_name) === key);
+    if (byPart.length === 1) return { driver: byPart[0] };
+    if (byPart.length > 1) {
+      return { error: `matches several drivers (${byPart.map(d => `${d.first_name} ${d.last_name}`.trim()).join(', ')})` };
+    }
+    return { error: 'not found' };
+  };
+}
+
+/**
+ * Reference data for matching sheet values. Inactive vehicles and
+ * drivers are included because history refers to them.
+ */
+async function loadReferenceData() {
+  const [sitesRes, channelsRes, vehiclesRes, driversRes, typesRes] = await Promise.all([
+    supabase.from('sites').select('id, code, name, city, site_types (name)').eq('is_active', true),
+    supabase.from('channels').select('id, code, name'),
+    supabase.from('vehicles').select('id, registration, name, telematics_asset_code'),
+    supabase.from('drivers').select('id, first_name, last_name'),
+    supabase.from('packaging_types').select('id, code, name').eq('is_active', true).order('code')
+  ]);
+
+  for (const result of [sitesRes, channelsRes, vehiclesRes, driversRes, typesRes]) {
+    if (result.error) throw result.error;
+  }
+
+  return {
+    matchSite: createSiteMatcher(sitesRes.data),
+    matchChannel: createChannelMatcher(channelsRes.data),
+    matchVehicle: createVehicleMatcher(vehiclesRes.data),
+    matchDriver: createDriverMatcher(driversRes.data),
+    packagingTypes: typesRes.data
+  };
+}
+
+/**
+ * Load numbers that already exist
+ * @param {string[]} loadNumbers
+ */
+async function loadExistingNumbers(loadNumbers) {
+  if (loadNumbers.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('loads')
+    .select('load_number')
+    .in('load_number', loadNumbers);
+
+  if (error) throw error;
+  return new Set(data.map(l => l.load_number));
+}
+
+/**
+ * Timestamps of the recorded events. A time without its own date falls
+ * on the dispatch or arrival date, moved a day on when it would come
+ * before the event recorded ahead of it (a depot departure after midnight).
+ * @returns {object} Date per event key
+ */
+function buildTimeline(cell, dates, warnings) {
+  const timeline = {};
+  let previous = null;
+
+  for (const [key, label, defaultDate] of EVENTS) {
+    const value = cell(key);
+    if (!value) continue;
+
+    const time = parseSheetTime(value);
+    const ownDate = parseSheetDate(value);
+    let date = ownDate || dates[defaultDate];
+    if (!time || !date) {
+      warnings.push(`${label} "${value}" not understood; left blank`);
+      continue;
+    }
+
+    let at = new Date(`${date}T${time}`);
+    if (!ownDate && previous && at < previous) {
+      date = addDays(date, 1);
+      at = new Date(`${date}T${time}`);
+    }
+    if (previous && at < previous) {
+      warnings.push(`${label} ${date} ${time} is before the event recorded ahead of it`);
+    }
+
+    timeline[key] = at;
+    previous = at;
+  }
+
+  return timeline;
+}
+
+/**
+ * Minutes an actual farm time is later than expected on the dispatch date
+ * @param {Date|undefined} actual
+ * @param {string} dispatchDate
+ * @param {string} expectedTime
+ */
+function overtimeMinutes(actual, dispatchDate, expectedTime) {
+  if (!actual) return 0;
+  const diffMinutes = Math.round((actual - new Date(`${dispatchDate}T${expectedTime}`)) / (1000 * 60));
+  return diffMinutes > 0 ? diffMinutes : 0;
+}
+
+/**
+ * Turn one sheet row into a load insert row with its vehicle, driver,
+ * packaging, errors and warnings
+ */
+function buildRow({ line, cells }, reference, user, options) {
+  const { matchSite, matchChannel, matchVehicle, matchDriver, packagingUnits } = reference;
+  const cell = (column) => cells[COLUMNS[column]] || '';
+  const errors = [];
+  const warnings = [];
+  const notes = [];
+
+  const loadNumber = cell('loadNumber').toUpperCase();
+  if (!loadNumber) errors.push('Load number is missing');
+
+  const dispatchDate = parseSheetDate(cell('dispatchDate'));
+  if (!dispatchDate) errors.push(`Dispatch date "${cell('dispatchDate')}" is not a date`);
+
+  let arrivalDate = parseSheetDate(cell('arrivalDate'));
+  if (cell('arrivalDate') && !arrivalDate) {
+    warnings.push(`Expected arrival date "${cell('arrivalDate')}" is not a date; left blank`);
+  }
+  if (dispatchDate && arrivalDate && arrivalDate < dispatchDate) {
+    warnings.push('Expected arrival date is before the dispatch date; left blank');
+    arrivalDate = null;
+  }
+
+  const farm = cell('farm');
+  const origin = matchSite(farm);
+  if (!origin.site) errors.push(`Farm "${farm}" ${origin.error}`);
+
+  const destinationName = cell('destination');
+  const destination = matchSite(destinationName);
+  if (!destination.site) errors.push(`Destination "${destinationName}" ${destination.error}`);
+
+  if (origin.site && destination.site && origin.site.id === destination.site.id) {
+    errors.push('Farm and destination are the same site');
+  }
+  if (origin.site && destination.site && !canAccessLoad(user, {
+    origin_site_id: origin.site.id,
+    destination_site_id: destination.site.id
+  })) {
+    errors.push('Neither site is your assigned site');
+  }
+  if (origin.site && loadNumber && !loadNumber.startsWith(origin.site.code.toUpperCase())) {
+    warnings.push(`Load number does not start with the farm code ${origin.site.code}`);
+  }
+
+  const channelName = cell('channel');
+  const { channel, unmatched } = matchChannel(channelName);
+  if (channelName && !channel) {
+    warnings.push(`Channel "${channelName}" not recognised; kept in the notes`);
+  } else if (channel && unmatched.length > 0) {
+    warnings.push(`"${unmatched.join('/')}" not recognised as a channel`);
+  }
+  if (channelName.includes('/') || (channelName && !channel)) notes.push(`Channels: ${channelName}`);
+
+  // Vehicle and driver: matched, to be created, or left blank
+  const truck = cell('truck');
+  let vehicle = null;
+  if (truck) {
+    const match = matchVehicle(truck);
+    if (match.vehicle) {
+      vehicle = { id: match.vehicle.id, registration: match.vehicle.registration };
+    } else if (match.error === 'not found' && options.createMissing) {
+      vehicle = { id: null, registration: truck };
+      warnings.push(`Truck "${truck}" will be added as a new vehicle`);
+    } else {
+      warnings.push(`Truck "${truck}" ${match.error}; left blank`);
+      notes.push(`Truck: ${truck}`);
+    }
+  }
+
+  const driverName = cell('driver').replace(/\s+/g, ' ');
+  let driver = null;
+  if (!NO_DRIVER.includes(normalizeName(driverName))) {
+    const match = matchDriver(driverName);
+    if (match.driver) {
+      driver = { id: match.driver.id, name: `${match.driver.first_name} ${match.driver.last_name}`.trim() };
+    } else if (match.error === 'not found' && options.createMissing) {
+      driver = { id: null, name: driverName };
+      warnings.push(`Driver "${driverName}" will be added as a new driver`);
+    } else {
+      warnings.push(`Driver "${driverName}" ${match.error}; left blank`);
+      notes.push(`Driver: ${driverName}`);
+    }
+  }
+
+  // Times
+  const timeline = dispatchDate
+    ? buildTimeline(cell, { dispatch: dispatchDate, arrival: arrivalDate || dispatchDate }, warnings)
+    : {};
+
+  const scheduled = {};
+  for (const [column, label] of [['estimatedArrival', 'Estimated arrival time'], ['scheduledDeparture', 'Scheduled departure time']]) {
+    scheduled[column] = cell(column) ? parseSheetTime(cell(column)) : null;
+    if (cell(column) && !scheduled[column]) warnings.push(`${label} "${cell(column)}" not understood; left blank`);
+  }
+
+  let onTimeStatus = null;
+  if (cell('onTime')) {
+    onTimeStatus = ON_TIME_STATUSES[normalizeName(cell('onTime'))] || null;
+    if (!onTimeStatus) warnings.push(`On-time flag "${cell('onTime')}" not recognised; left blank`);
+  }
+
+  let status = 'completed';
+  if (!timeline.arrivedDepot) {
+    status = options.unfinishedStatus;
+    warnings.push(`No depot arrival recorded; imported as ${status}`);
+  }
+
+  // Packaging
+  const packaging = [];
+  if (cell('packaging')) {
+    const { quantities, unknown } = parsePackagingLoaded(cell('packaging'));
+    for (const [unit, quantity] of Object.entries(quantities)) {
+      const packagingType = packagingUnits[unit];
+      if (!packagingType) errors.push(`Choose the packaging type for ${unit}`);
+      packaging.push({
+        unit,
+        packaging_type_id: packagingType?.id || null,
+        packaging_type_code: packagingType?.code || null,
+        quantity
+      });
+    }
+    if (unknown.length > 0 || Object.keys(quantities).length === 0) {
+      warnings.push(`Packaging "${cell('packaging')}" only partly understood; kept in the notes`);
+      notes.push(`Packaging loaded: ${cell('packaging')}`);
+    }
+  }
+
+  const arrivalOvertime = overtimeMinutes(timeline.arrivedFarm, dispatchDate, '14:00:00');
+  const departureOvertime = overtimeMinutes(timeline.departedFarm, dispatchDate, '17:00:00');
+  const toIso = (at) => at?.toISOString() || null;
+
+  if (cell('notes')) notes.push(cell('notes'));
+
+  return {
+    line,
+    load_number: loadNumber,
+    farm,
+    destination: destinationName,
+    channel: channelName,
+    vehicle,
+    driver,
+    packaging,
+    errors,
+    warnings,
+    load: {
+      load_number: loadNumber,
+      origin_site_id: origin.site?.id || null,
+      destination_site_id: destination.site?.id || null,
+      channel_id: channel?.id || null,
+      dispatch_date: dispatchDate,
+      expected_arrival_date: arrivalDate,
+      scheduled_departure_time: scheduled.scheduledDeparture,
+      estimated_arrival_time: scheduled.estimatedArrival,
+      actual_farm_arrival_time: toIso(timeline.arrivedFarm),
+      actual_farm_departure_time: toIso(timeline.departedFarm),
+      actual_departure_time: toIso(timeline.departedFarm),
+      arrived_depot_time: toIso(timeline.arrivedDepot),
+      actual_arrival_time: toIso(timeline.arrivedDepot),
+      departed_depot_time: toIso(timeline.departedDepot),
+      farm_arrival_overtime_minutes: arrivalOvertime,
+      farm_departure_overtime_minutes: departureOvertime,
+      has_overtime: arrivalOvertime > 0 || departureOvertime > 0,
+      on_time_status: onTimeStatus,
+      status,
+      notes: ['Imported from load register', ...notes].join('; ')
+    }
+  };
+}
+
+/**
+ * Parse and check a load register without saving anything
+ * @param {string} text - Sheet contents
+ * @param {object} user - req.user
+ * @param {{ createMissing?: boolean, unfinishedStatus?: string, packagingTypeIds?: object }} [options]
+ *   packagingTypeIds picks the packaging type per unit (crates, bins,
+ *   pallets, cartons) where the default is ambiguous
+ * @returns {Promise<{ rows: object[], summary: object, packagingUnits: object }>}
+ *   packagingUnits gives the packaging type id used for each unit in the
+ *   sheet (null when one must be chosen). Rows flagged duplicate have a
+ *   load number that already exists and are not imported
+ */
+export async function previewLoadImport(text, user, options = {}) {
+  const { createMissing = false, unfinishedStatus = 'completed', packagingTypeIds = {} } = options;
+  const { packagingTypes, ...matchers } = await loadReferenceData();
+  const packagingUnits = resolvePackagingTypes(packagingTypes, packagingTypeIds);
+
+  const reference = { ...matchers, packagingUnits };
+  const rows = parseLoadSheet(text).map(row => buildRow(row, reference, user, { createMissing, unfinishedStatus }));
+
+  // A load number repeated in the sheet is only imported once
+  const firstLines = new Map();
+  for (const row of rows) {
+    if (!row.load_number) continue;
+    if (firstLines.has(row.load_number)) {
+      row.errors.push(`Load number already used on line ${firstLines.get(row.load_number)}`);
+    } else {
+      firstLines.set(row.load_number, row.line);
+    }
+  }
+
+  const existing = await loadExistingNumbers([...firstLines.keys()]);
+  for (const row of rows) {
+    row.duplicate = row.errors.length === 0 && existing.has(row.load_number);
+    if (row.duplicate) row.warnings.push('Load number already exists; will be skipped');
+  }
+
+  const toImport = rows.filter(r => r.errors.length === 0 && !r.duplicate);
+  const distinct = (values) => [...new Map(values.map(v => [normalizeName(v), v])).values()];
+  const unitsUsed = new Set(rows.flatMap(r => r.packaging.map(p => p.unit)));
+
+  return {
+    rows,
+    packagingUnits: Object.fromEntries([...unitsUsed].map(unit => [unit, packagingUnits[unit]?.id || null])),
+    summary: {
+      total: rows.length,
+      valid: toImport.length,
+      invalid: rows.filter(r => r.errors.length > 0).length,
+      duplicates: rows.filter(r => r.duplicate).length,
+      newVehicles: distinct(toImport.filter(r => r.vehicle && !r.vehicle.id).map(r => r.vehicle.registration)),
+      newDrivers: distinct(toImport.filter(r => r.driver && !r.driver.id).map(r => r.driver.name))
+    }
+  };
+}
+
+/**
+ * Add the vehicles and drivers the import refers to but that do not
+ * exist yet
+ * @param {string[]} registrations
+ * @param {string[]} driverNames
+ * @returns {Promise<{ vehicleIds: Map, driverIds: Map }>} Ids by normalized name
+ */
+async function createMissingFleet(registrations, driverNames) {
+  const vehicleIds = new Map();
+  const driverIds = new Map();
+
+  if (registrations.length > 0) {
+    const { data, error } = await supabase
+      .from('vehicles')
+      .insert(registrations.map(registration => ({ registration, name: registration, vehicle_type: 'Truck' })))
+      .select('id, registration');
+
+    if (error) throw error;
+    data.forEach(v => vehicleIds.set(normalizeName(v.registration), v.id));
+  }
+
+  if (driverNames.length > 0) {
+    const { data, error } = await supabase
+      .from('drivers')
+      .insert(driverNames.map(name => {
+        const [firstName, ...lastName] = name.split(' ');
+        return { first_name: firstName, last_name: lastName.join(' ') };
+      }))
+      .select('id, first_name, last_name');
+
+    if (error) throw error;
+    data.forEach(d => driverIds.set(normalizeName(`${d.first_name}${d.last_name}`), d.id));
+  }
+
+  return { vehicleIds, driverIds };
+}
+
+/**
+ * Import a load register. Rows with errors and load numbers that already
+ * exist are skipped.
+ * @param {string} text - Sheet contents
+ * @param {object} user - req.user
+ * @param {object} [options] - As for previewLoadImport
+ * @returns {Promise<{ created: object[], summary: object }>}
+ */
+export async function commitLoadImport(text, user, options = {}) {
+  const { rows, summary } = await previewLoadImport(text, user, options);
+  const toCreate = rows.filter(r => r.errors.length === 0 && !r.duplicate);
+
+  if (toCreate.length === 0) return { created: [], summary };
+
+  const { vehicleIds, driverIds } = await createMissingFleet(summary.newVehicles, summary.newDrivers);
+
+  const { data: loads, error } = await supabase
+    .from('loads')
+    .insert(toCreate.map(row => ({
+      ...row.load,
+      vehicle_id: row.vehicle?.id || vehicleIds.get(normalizeName(row.vehicle?.registration)) || null,
+      driver_id: row.driver?.id || driverIds.get(normalizeName(row.driver?.name)) || null,
+      created_by: user.id
+    })))
+    .select('id, load_number, dispatch_date, status');
+
+  if (error) throw error;
+
+  const loadIds = new Map(loads.map(l => [l.load_number, l.id]));
+  const packagingItems = toCreate.flatMap(row => row.packaging.map(p => ({
+    load_id: loadIds.get(row.load_number),
+    packaging_type_id: p.packaging_type_id,
+    quantity_dispatched: p.quantity
+  })));
+
+  if (packagingItems.length > 0) {
+    const { error: packError } = await supabase
+      .from('load_packaging')
+      .insert(packagingItems);
+
+    if (packError) {
+      // Leave no loads without their packaging
+      await supabase.from('loads').delete().in('id', loads.map(l => l.id));
+      throw packError;
+    }
+  }
+
+  return { created: loads, summary };
+}
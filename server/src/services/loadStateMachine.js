@@ -0,0 +1,147 @@
+import { hasPermission } from './permissions.js';
+
+/**
+ * Load status state machine.
+ *
+ * scheduled → loading → departed → in_transit → arrived_depot → unloading → completed,
+ * with cancellation before dispatch. Every load endpoint checks its
+ * action here, and GET /api/loads/:id returns the actions the current
+ * user may take so the UI follows the same table.
+ */
+
+export const LOAD_STATUSES = [
+  'scheduled', 'loading', 'departed', 'in_transit',
+  'arrived_depot', 'unloading', 'completed', 'cancelled'
+];
+
+const BEFORE_DISPATCH = ['scheduled', 'loading'];
+const ON_THE_ROAD = ['departed', 'in_transit', 'arrived_depot', 'unloading'];
+
+/**
+ * Actions on a load: the statuses each is allowed from, the status it
+ * moves the load to (none for in-place actions) and the permission it needs.
+ * Dispatch and receipt post inventory, so they only run through their
+ * confirm endpoints (endpointOnly).
+ */
+export const LOAD_ACTIONS = {
+  edit: {
+    label: 'Edit',
+    from: BEFORE_DISPATCH,
+    permission: 'loads.edit'
+  },
+  delete: {
+    label: 'Delete',
+    from: ['scheduled'],
+    permission: 'loads.delete'
+  },
+  record_farm_arrival: {
+    label: 'Farm arrival',
+    from: BEFORE_DISPATCH,
+    permission: 'loads.farm_times'
+  },
+  record_farm_departure: {
+    label: 'Farm departure',
+    from: BEFORE_DISPATCH,
+    permission: 'loads.farm_times'
+  },
+  start_loading: {
+    label: 'Start loading',
+    from: ['scheduled'],
+    to: 'loading',
+    permission: 'loads.dispatch'
+  },
+  dispatch: {
+    label: 'Confirm dispatch',
+    from: BEFORE_DISPATCH,
+    to: 'departed',
+    permission: 'loads.dispatch',
+    endpointOnly: true
+  },
+  mark_in_transit: {
+    label: 'Mark in transit',
+    from: ['departed'],
+    to: 'in_transit',
+    permission: 'loads.transit'
+  },
+  arrive_depot: {
+    label: 'Arrived at depot',
+    from: ['departed', 'in_transit'],
+    to: 'arrived_depot',
+    permission: 'loads.receive'
+  },
+  start_unloading: {
+    label: 'Start unloading',
+    from: ['arrived_depot'],
+    to: 'unloading',
+    permission: 'loads.receive'
+  },
+  receive: {
+    label: 'Confirm receipt',
+    from: ON_THE_ROAD,
+    to: 'completed',
+    permission: 'loads.receive',
+    endpointOnly: true
+  },
+  cancel: {
+    label: 'Cancel',
+    from: BEFORE_DISPATCH,
+    to: 'cancelled',
+    permission: 'loads.cancel'
+  }
+};
+
+const STATUS_LABELS = {
+  scheduled: 'scheduled',
+  loading: 'loading',
+  departed: 'departed',
+  in_transit: 'in transit',
+  arrived_depot: 'at the depot',
+  unloading: 'unloading',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Why an action is not allowed, or null when it is
+ * @param {string} action - Key of LOAD_ACTIONS
+ * @param {string} status - Current load status
+ * @param {object} user - req.user
+ * @returns {{ status: number, message: string }|null} HTTP status and message
+ */
+export function checkLoadAction(action, status, user) {
+  const definition = LOAD_ACTIONS[action];
+
+  if (!hasPermission(user, definition.permission)) {
+    return { status: 403, message: 'Insufficient permissions' };
+  }
+
+  if (!definition.from.includes(status)) {
+    return {
+      status: 409,
+      message: `${definition.label} is not allowed while the load is ${STATUS_LABELS[status] || status}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The action that moves a load from one status to another, if any
+ * @param {string} from
+ * @param {string} to
+ * @returns {string|null} Key of LOAD_ACTIONS
+ */
+export function findTransition(from, to) {
+  return Object.keys(LOAD_ACTIONS)
+    .find(action => LOAD_ACTIONS[action].to === to && LOAD_ACTIONS[action].from.includes(from)) || null;
+}
+
+/**
+ * Actions a user may take on a load in its current status
+ * @param {string} status
+ * @param {object} user - req.user
+ * @returns {string[]}
+ */
+export function allowedLoadActions(status, user) {
+  return Object.keys(LOAD_ACTIONS).filter(action => !checkLoadAction(action, status, user));
+}
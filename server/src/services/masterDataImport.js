@@ -0,0 +1,303 @@
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../db/supabase.js';
+import { normalizeName, parseSheetText } from './sheetParsing.js';
+import { readXlsxRows } from './xlsx.js';
+
+/**
+ * Bulk upsert of master data from CSV or .xlsx files. Each entity is
+ * keyed on a unique column: rows whose key exists update that record,
+ * other rows create one. Blank cells leave the stored value alone.
+ */
+
+const yes = (value) => ['true', '1', 'yes'].includes(String(value).trim().toLowerCase());
+
+/**
+ * Chain for an optional yes/no column
+ * @param {string} field
+ */
+const booleanColumn = (field) => body(field).optional().isBoolean({ loose: true }).customSanitizer(yes);
+
+/**
+ * Importable entities. Columns are named after the table columns, which
+ * are also the template headings; requiredOnCreate columns must be
+ * filled for new records and defaults fill blanks on new records only.
+ * validation mirrors the chains on the single-record endpoints.
+ */
+export const IMPORT_ENTITIES = {
+  sites: {
+    table: 'sites',
+    label: 'site',
+    permission: 'sites.manage',
+    key: 'code',
+    columns: ['code', 'name', 'site_type', 'address', 'city', 'region', 'country', 'contact_name', 'contact_phone', 'contact_email', 'latitude', 'longitude', 'is_active'],
+    requiredOnCreate: ['name', 'site_type'],
+    defaults: { country: 'Zimbabwe' },
+    example: ['HRE-DEPOT', 'Harare Depot', 'Depot', '12 Seke Road', 'Harare', 'Harare', 'Zimbabwe', 'Jane Moyo', '+263 77 123 4567', 'depot@example.com', '-17.8292', '31.0522', 'yes'],
+    validation: [
+      body('code').notEmpty().withMessage('is required').trim(),
+      body('name').optional().notEmpty().trim(),
+      body('contact_email').optional().isEmail(),
+      body('latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+      body('longitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+      booleanColumn('is_active')
+    ]
+  },
+  vehicles: {
+    table: 'vehicles',
+    label: 'vehicle',
+    permission: 'fleet.manage',
+    key: 'registration',
+    columns: ['registration', 'name', 'vehicle_type', 'capacity_kg', 'telematics_asset_code', 'is_active'],
+    requiredOnCreate: ['name'],
+    defaults: { vehicle_type: 'Truck' },
+    example: ['23H', 'Truck 23H', 'Truck', '8000', '', 'yes'],
+    validation: [
+      body('registration').notEmpty().withMessage('is required').trim(),
+      body('name').optional().notEmpty().trim(),
+      body('capacity_kg').optional().isFloat({ min: 0 }).toFloat(),
+      booleanColumn('is_active')
+    ]
+  },
+  drivers: {
+    table: 'drivers',
+    label: 'driver',
+    permission: 'fleet.manage',
+    key: 'employee_id',
+    columns: ['employee_id', 'first_name', 'last_name', 'phone', 'license_number', 'is_active'],
+    requiredOnCreate: ['first_name'],
+    defaults: { last_name: '' },
+    example: ['EMP-0042', 'Phillimon', 'Kwarire', '+263 77 765 4321', 'LIC-123456', 'yes'],
+    validation: [
+      body('employee_id').notEmpty().withMessage('is required').trim(),
+      body('first_name').optional().notEmpty().trim(),
+      booleanColumn('is_active')
+    ]
+  },
+  packaging_types: {
+    table: 'packaging_types',
+    label: 'packaging type',
+    permission: 'packaging.manage',
+    key: 'code',
+    columns: ['code', 'name', 'description', 'capacity_kg', 'capacity_liters', 'weight_empty_kg', 'dimensions_cm', 'expected_turnaround_days', 'is_returnable', 'replacement_cost', 'is_active'],
+    requiredOnCreate: ['name'],
+    defaults: { expected_turnaround_days: 14, is_returnable: true },
+    example: ['CRATE-20', '20kg Crate', 'Standard plastic crate', '20', '', '1.8', '60x40x30', '7', 'yes', '4.50', 'yes'],
+    validation: [
+      body('code').notEmpty().withMessage('is required').trim(),
+      body('name').optional().notEmpty().trim(),
+      body(['capacity_kg', 'capacity_liters', 'weight_empty_kg']).optional().isFloat({ min: 0 }).toFloat(),
+      body('expected_turnaround_days').optional().isInt({ min: 0 }).toInt(),
+      body('replacement_cost').optional().isFloat({ min: 0 }).toFloat(),
+      booleanColumn('is_returnable'),
+      booleanColumn('is_active')
+    ]
+  }
+};
+
+/**
+ * CSV template for an entity: the headings and one example row
+ * @param {string} entityName - Key of IMPORT_ENTITIES
+ */
+export function renderImportTemplate(entityName) {
+  const entity = IMPORT_ENTITIES[entityName];
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+  return [entity.columns.join(','), entity.example.map(quote).join(',')].join('\n');
+}
+
+/**
+ * Rows of the uploaded file keyed by column, with their line numbers
+ * @param {object} entity
+ * @param {{ content: string, format?: 'csv'|'xlsx' }} file - xlsx content is base64
+ * @returns {{ rows?: object[], ignoredColumns?: string[], error?: string }}
+ */
+function readImportFile(entity, { content, format = 'csv' }) {
+  let lines;
+  try {
+    lines = format === 'xlsx' ? readXlsxRows(Buffer.from(content, 'base64')) : parseSheetText(content);
+  } catch {
+    return { error: 'The file is not a readable .xlsx workbook' };
+  }
+
+  const headerIndex = lines.findIndex(cells => cells.some(cell => cell !== ''));
+  if (headerIndex === -1) return { error: 'The file is empty' };
+
+  // Headings match columns loosely: "Site Type" finds site_type
+  const headings = lines[headerIndex].map(heading => entity.columns.find(c => normalizeName(c) === normalizeName(heading)));
+  if (!headings.includes(entity.key)) {
+    return { error: `The heading row must include ${entity.key}` };
+  }
+
+  const rows = [];
+  lines.slice(headerIndex + 1).forEach((cells, index) => {
+    if (cells.every(cell => cell === '')) return;
+
+    const values = {};
+    headings.forEach((column, i) => {
+      if (column && cells[i] !== undefined && cells[i] !== '') values[column] = cells[i];
+    });
+    rows.push({ line: headerIndex + index + 2, values });
+  });
+
+  return {
+    rows,
+    ignoredColumns: lines[headerIndex].filter((heading, i) => heading && !headings[i])
+  };
+}
+
+/**
+ * Run an entity's validation chains on one row
+ * @returns {Promise<{ values: object, errors: string[] }>} Sanitised values
+ */
+async function validateRow(entity, values) {
+  const req = { body: { ...values } };
+  await Promise.all(entity.validation.map(chain => chain.run(req)));
+
+  const errors = validationResult(req).array().map(e => `${e.path}: ${e.msg}${e.value !== undefined ? ` ("${e.value}")` : ''}`);
+  return { values: req.body, errors };
+}
+
+/**
+ * Lookups a row's text needs turned into ids: the site type name
+ */
+async function loadLookups(entityName) {
+  if (entityName !== 'sites') return {};
+
+  const { data, error } = await supabase.from('site_types').select('id, name');
+  if (error) throw error;
+  return { siteTypes: data };
+}
+
+/**
+ * Column values as stored, resolving lookups
+ * @returns {{ record: object, errors: string[] }}
+ */
+function toRecord(values, lookups) {
+  const { site_type: siteType, ...record } = values;
+  const errors = [];
+
+  if (siteType !== undefined) {
+    const match = lookups.siteTypes.find(t => normalizeName(t.name) === normalizeName(siteType));
+    if (match) record.site_type_id = match.id;
+    else errors.push(`site_type: "${siteType}" is not one of ${lookups.siteTypes.map(t => t.name).join(', ')}`);
+  }
+
+  return { record, errors };
+}
+
+/**
+ * Existing records with the keys in the file
+ * @returns {Promise<Map<string, object>>} By key
+ */
+async function loadExisting(entity, keys) {
+  if (keys.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from(entity.table)
+    .select('*')
+    .in(entity.key, keys);
+
+  if (error) throw error;
+  return new Map(data.map(r => [r[entity.key], r]));
+}
+
+/**
+ * Validate an upload and plan each row; with dryRun false, also write it.
+ * Every row gets a result, and a row that fails to save does not stop
+ * the others.
+ * @param {string} entityName - Key of IMPORT_ENTITIES
+ * @param {{ content: string, format?: 'csv'|'xlsx' }} file
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ rows?: object[], summary?: object, ignoredColumns?: string[], error?: string }>}
+ *   error describes a file that cannot be read at all. Row actions are
+ *   create, update, unchanged or error.
+ */
+export async function importMasterData(entityName, file, { dryRun = true } = {}) {
+  const entity = IMPORT_ENTITIES[entityName];
+  const { rows: fileRows, ignoredColumns, error } = readImportFile(entity, file);
+  if (error) return { error };
+
+  const lookups = await loadLookups(entityName);
+  const firstLines = new Map();
+  const rows = [];
+
+  for (const { line, values: cells } of fileRows) {
+    const { values, errors } = await validateRow(entity, cells);
+    const { record, errors: lookupErrors } = toRecord(values, lookups);
+    const key = record[entity.key];
+    errors.push(...lookupErrors);
+
+    if (key && firstLines.has(key)) {
+      errors.push(`${entity.key}: ${key} already appears on line ${firstLines.get(key)}`);
+    } else if (key) {
+      firstLines.set(key, line);
+    }
+
+    rows.push({ line, key: key || null, record, errors });
+  }
+
+  const existing = await loadExisting(entity, [...firstLines.keys()]);
+
+  for (const row of rows) {
+    const current = existing.get(row.key);
+    row.id = current?.id || null;
+
+    if (row.errors.length > 0) {
+      row.action = 'error';
+    } else if (!current) {
+      const missing = entity.requiredOnCreate.filter(column => !hasColumn(row, column));
+      row.errors.push(...missing.map(column => `${column}: required for a new ${entity.label}`));
+      row.action = missing.length > 0 ? 'error' : 'create';
+      row.changes = Object.keys(row.record);
+    } else {
+      row.changes = Object.keys(row.record).filter(column => String(current[column] ?? '') !== String(row.record[column] ?? ''));
+      row.action = row.changes.length > 0 ? 'update' : 'unchanged';
+    }
+  }
+
+  if (!dryRun) {
+    for (const row of rows) {
+      if (row.action === 'create' || row.action === 'update') await saveRow(entity, row);
+    }
+  }
+
+  return {
+    rows: rows.map(({ record, ...row }) => row),
+    ignoredColumns,
+    summary: {
+      total: rows.length,
+      create: rows.filter(r => r.action === 'create').length,
+      update: rows.filter(r => r.action === 'update').length,
+      unchanged: rows.filter(r => r.action === 'unchanged').length,
+      errors: rows.filter(r => r.action === 'error').length
+    }
+  };
+}
+
+/**
+ * Whether a row gave a column, site_type counting as site_type_id
+ */
+function hasColumn(row, column) {
+  return (column === 'site_type' ? row.record.site_type_id : row.record[column]) !== undefined;
+}
+
+/**
+ * Insert or update one planned row, recording a failure on the row
+ */
+async function saveRow(entity, row) {
+  const query = row.action === 'create'
+    ? supabase.from(entity.table).insert({ ...entity.defaults, ...row.record })
+    : supabase.from(entity.table).update({ ...row.record, updated_at: new Date().toISOString() }).eq('id', row.id);
+
+  const { data, error } = await query.select('id').single();
+
+  if (error) {
+    row.action = 'error';
+    row.errors.push(error.code === '23505'
+      ? `Another ${entity.label} already uses one of these values`
+      : error.message);
+    return;
+  }
+
+  row.id = data.id;
+}
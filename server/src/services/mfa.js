@@ -0,0 +1,321 @@
+import { createHash, createHmac, randomBytes } from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { supabase } from '../db/supabase.js';
+
+const ISSUER = process.env.MFA_ISSUER || 'PackTrack';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Steps either side of now that are accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Time to finish the second login step
+const MFA_TOKEN_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * @param {string} input
+ */
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * RFC 6238 code for a time step (HMAC-SHA1, 6 digits)
+ * @param {string} secret - Base32
+ * @param {number} step
+ */
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * The time step a code matches, or null
+ * @param {string} secret
+ * @param {string} code
+ */
+function matchTotp(secret, code) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (totpCode(secret, step) === normalized) return step;
+  }
+  return null;
+}
+
+/**
+ * @param {string} code
+ */
+function hashRecoveryCode(code) {
+  return createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+/**
+ * Whether sign-in for a role needs a second factor
+ * @param {string} role
+ */
+export async function isMfaRequired(role) {
+  const { data, error } = await supabase
+    .from('role_settings')
+    .select('mfa_required')
+    .eq('role', role)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data?.mfa_required);
+}
+
+/**
+ * Token for the second login step; not accepted by authenticate
+ * @param {string} userId
+ */
+export function issueMfaToken(userId) {
+  return jwt.sign({ userId, purpose: 'mfa' }, process.env.JWT_SECRET, { expiresIn: MFA_TOKEN_EXPIRES_IN });
+}
+
+/**
+ * User ID from a second-step token, or null when invalid or expired
+ * @param {string} token
+ */
+export function verifyMfaToken(token) {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === 'mfa' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start (or restart) enrolment with a new secret. 2FA stays off until
+ * enableMfa confirms a code from the authenticator app.
+ * @param {{ id: string, email: string }} user
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string } | null>}
+ *   null when 2FA is already enabled
+ */
+export async function startMfaEnrolment(user) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('user_mfa')
+    .select('enabled_at')
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (existing?.enabled_at) return null;
+
+  const secret = base32Encode(randomBytes(20));
+
+  const { error } = await supabase
+    .from('user_mfa')
+    .upsert({
+      user_id: user.id,
+      secret,
+      enabled_at: null,
+      recovery_code_hashes: [],
+      last_used_step: null
+    }, { onConflict: 'user_id' });
+
+  if (error) throw error;
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Finish enrolment with a code from the app
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<string[] | null>} Recovery codes, or null for a wrong code
+ */
+export async function enableMfa(userId, code) {
+  const { data: mfa, error: fetchError } = await supabase
+    .from('user_mfa')
+    .select('secret, enabled_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!mfa || mfa.enabled_at) return null;
+
+  const step = matchTotp(mfa.secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  const { error } = await supabase
+    .from('user_mfa')
+    .update({
+      enabled_at: new Date().toISOString(),
+      recovery_code_hashes: recoveryCodes.map(hashRecoveryCode),
+      last_used_step: step
+    })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const { error: userError } = await supabase
+    .from('users')
+    .update({ mfa_enabled: true, updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  if (userError) throw userError;
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a second-factor code: a TOTP code or an unused recovery code,
+ * which is then spent
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+export async function verifyMfaCode(userId, code) {
+  const { data: mfa, error } = await supabase
+    .from('user_mfa')
+    .select('secret, enabled_at, recovery_code_hashes, last_used_step')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!mfa?.enabled_at) return false;
+
+  const step = matchTotp(mfa.secret, code);
+  if (step !== null) {
+    // Only moves forward, so a code (or an older one) cannot be replayed
+    const { data: updated, error: updateError } = await supabase
+      .from('user_mfa')
+      .update({ last_used_step: step })
+      .eq('user_id', userId)
+      .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+      .select('user_id');
+
+    if (updateError) throw updateError;
+    return updated.length > 0;
+  }
+
+  const hash = hashRecoveryCode(code);
+  if (!mfa.recovery_code_hashes.includes(hash)) return false;
+
+  // Only while the codes are as read, so concurrent requests cannot both
+  // spend this code, nor put back one another spent
+  const { data: spent, error: updateError } = await supabase
+    .from('user_mfa')
+    .update({ recovery_code_hashes: mfa.recovery_code_hashes.filter(h => h !== hash) })
+    .eq('user_id', userId)
+    .contains('recovery_code_hashes', mfa.recovery_code_hashes)
+    .containedBy('recovery_code_hashes', mfa.recovery_code_hashes)
+    .select('user_id');
+
+  if (updateError) throw updateError;
+  return spent.length > 0;
+}
+
+/**
+ * Replace the recovery codes
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  const { error } = await supabase
+    .from('user_mfa')
+    .update({ recovery_code_hashes: recoveryCodes.map(hashRecoveryCode) })
+    .eq('user_id', userId)
+    .not('enabled_at', 'is', null);
+
+  if (error) throw error;
+  return recoveryCodes;
+}
+
+/**
+ * Turn 2FA off and forget the secret
+ * @param {string} userId
+ */
+export async function disableMfa(userId) {
+  const { error } = await supabase
+    .from('user_mfa')
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const { error: userError } = await supabase
+    .from('users')
+    .update({ mfa_enabled: false, updated_at: new Date().toISOString() })
+    .eq('id', userId);
+
+  if (userError) throw userError;
+}
+
+/**
+ * Unused recovery codes left
+ * @param {string} userId
+ */
+export async function countRecoveryCodes(userId) {
+  const { data, error } = await supabase
+    .from('user_mfa')
+    .select('recovery_code_hashes')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.recovery_code_hashes?.length || 0;
+}
@@ -0,0 +1,167 @@
+import { appendFile } from 'fs/promises';
+import nodemailer from 'nodemailer';
+
+/**
+ * A transport delivers one rendered notification.
+ * @typedef {object} Transport
+ * @property {string} name
+ * @property {() => boolean} isConfigured
+ * @property {(message: { channel: string, to: string, subject: string, text: string, payload: object }) => Promise<void>} send
+ */
+
+let smtpTransporter = null;
+
+/**
+ * SMTP email via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+ * @type {Transport}
+ */
+const smtpTransport = {
+  name: 'smtp',
+  isConfigured: () => Boolean(process.env.SMTP_HOST),
+  async send({ to, subject, text }) {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    await smtpTransporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text
+    });
+  }
+};
+
+/**
+ * POST a message to a generic HTTP gateway; any non-2xx response fails
+ */
+async function postToGateway(url, token, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`Gateway responded ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+}
+
+/**
+ * Generic SMS HTTP gateway (SMS_GATEWAY_URL, SMS_GATEWAY_TOKEN, SMS_SENDER_ID).
+ * Posts { to, from, message, channel }.
+ * @type {Transport}
+ */
+const smsGatewayTransport = {
+  name: 'sms_gateway',
+  isConfigured: () => Boolean(process.env.SMS_GATEWAY_URL),
+  async send({ to, text }) {
+    await postToGateway(process.env.SMS_GATEWAY_URL, process.env.SMS_GATEWAY_TOKEN, {
+      to,
+      from: process.env.SMS_SENDER_ID || undefined,
+      message: text,
+      channel: 'sms'
+    });
+  }
+};
+
+/**
+ * WhatsApp through the same style of gateway (WHATSAPP_GATEWAY_URL,
+ * falling back to the SMS gateway with channel "whatsapp")
+ * @type {Transport}
+ */
+const whatsappGatewayTransport = {
+  name: 'whatsapp_gateway',
+  isConfigured: () => Boolean(process.env.WHATSAPP_GATEWAY_URL || process.env.SMS_GATEWAY_URL),
+  async send({ to, text }) {
+    await postToGateway(
+      process.env.WHATSAPP_GATEWAY_URL || process.env.SMS_GATEWAY_URL,
+      process.env.WHATSAPP_GATEWAY_TOKEN || process.env.SMS_GATEWAY_TOKEN,
+      { to, from: process.env.SMS_SENDER_ID || undefined, message: text, channel: 'whatsapp' }
+    );
+  }
+};
+
+/**
+ * POST the event payload as JSON to the subscription's URL
+ * @type {Transport}
+ */
+const webhookTransport = {
+  name: 'webhook',
+  isConfigured: () => true,
+  async send({ to, subject, text, payload }) {
+    await postToGateway(to, null, { subject, message: text, ...payload });
+  }
+};
+
+/**
+ * Print to the server console (local testing)
+ * @type {Transport}
+ */
+const consoleTransport = {
+  name: 'console',
+  isConfigured: () => true,
+  async send({ channel, to, subject, text }) {
+    console.log(`[notification:${channel}] to=${to} subject="${subject}"\n${text}`);
+  }
+};
+
+/**
+ * Append to a JSON-lines file (NOTIFICATION_LOG_FILE, local testing)
+ * @type {Transport}
+ */
+const fileTransport = {
+  name: 'file',
+  isConfigured: () => true,
+  async send(message) {
+    const file = process.env.NOTIFICATION_LOG_FILE || 'notifications.log';
+    await appendFile(file, `${JSON.stringify({ at: new Date().toISOString(), ...message })}\n`);
+  }
+};
+
+const transports = new Map([
+  smtpTransport, smsGatewayTransport, whatsappGatewayTransport,
+  webhookTransport, consoleTransport, fileTransport
+].map(t => [t.name, t]));
+
+// Default transport per channel
+const channelTransports = {
+  email: 'smtp',
+  sms: 'sms_gateway',
+  whatsapp: 'whatsapp_gateway',
+  webhook: 'webhook'
+};
+
+/**
+ * Register (or replace) a transport, optionally as the default for a channel
+ * @param {Transport} transport
+ * @param {{ channel?: string }} [options]
+ */
+export function registerTransport(transport, { channel } = {}) {
+  transports.set(transport.name, transport);
+  if (channel) channelTransports[channel] = transport.name;
+}
+
+/**
+ * Transport for a channel. NOTIFICATION_TRANSPORT=console|file sends
+ * every channel there instead, for local testing.
+ * @param {string} channel
+ * @returns {Transport|null}
+ */
+export function getTransport(channel) {
+  const override = process.env.NOTIFICATION_TRANSPORT;
+  if (override) return transports.get(override) || null;
+
+  return transports.get(channelTransports[channel]) || null;
+}
@@ -0,0 +1,266 @@
+import { supabase } from '../db/supabase.js';
+import { getTransport } from './notificationTransports.js';
+
+const LOAD_SELECT = `
+  id, load_number, dispatch_date, expected_arrival_date, estimated_arrival_time,
+  expected_depot_arrival_time, origin_site_id, destination_site_id, discrepancy_notes,
+  origin_site:sites!loads_origin_site_id_fkey (name),
+  destination_site:sites!loads_destination_site_id_fkey (name),
+  drivers (first_name, last_name, phone),
+  load_packaging (quantity_dispatched, quantity_damaged, quantity_missing, packaging_types (name))
+`;
+
+/**
+ * Expected arrival of a load as "YYYY-MM-DD HH:MM", if known
+ */
+function loadEta(load) {
+  const date = load.expected_arrival_date || load.dispatch_date;
+  const time = load.expected_depot_arrival_time || load.estimated_arrival_time;
+  return date && time ? `${date} ${time.slice(0, 5)}` : date || null;
+}
+
+/**
+ * Packaging lines summarised as "120 Bins, 40 Crates"
+ */
+function packagingSummary(load, quantityField) {
+  return (load.load_packaging || [])
+    .filter(lp => (lp[quantityField] || 0) > 0)
+    .map(lp => `${lp[quantityField]} ${lp.packaging_types?.name || 'units'}`)
+    .join(', ');
+}
+
+/**
+ * Notification events. render() returns a short, SMS-friendly message.
+ */
+export const NOTIFICATION_EVENTS = {
+  load_dispatched: {
+    label: 'Load dispatched from my site',
+    render: ({ load }) => ({
+      subject: `Load ${load.load_number} dispatched`,
+      text: [
+        `Load ${load.load_number} dispatched from ${load.origin_site?.name} to ${load.destination_site?.name}.`,
+        packagingSummary(load, 'quantity_dispatched') && `Packaging: ${packagingSummary(load, 'quantity_dispatched')}.`,
+        loadEta(load) && `ETA ${loadEta(load)}.`
+      ].filter(Boolean).join(' ')
+    })
+  },
+  load_due: {
+    label: 'Load due at my site',
+    render: ({ load }) => ({
+      subject: `Load ${load.load_number} on its way`,
+      text: [
+        `Load ${load.load_number} from ${load.origin_site?.name} is due at ${load.destination_site?.name}`
+          + (loadEta(load) ? ` ${loadEta(load)}.` : '.'),
+        load.drivers && `Driver: ${load.drivers.first_name} ${load.drivers.last_name}.`
+      ].filter(Boolean).join(' ')
+    })
+  },
+  threshold_breach: {
+    label: 'Stock below threshold at my site',
+    render: ({ message }) => ({
+      subject: 'Packaging below threshold',
+      text: message
+    })
+  },
+  discrepancy_recorded: {
+    label: 'Discrepancy recorded on a load',
+    render: ({ load }) => {
+      const missing = packagingSummary(load, 'quantity_missing');
+      const damaged = packagingSummary(load, 'quantity_damaged');
+      return {
+        subject: `Discrepancy on load ${load.load_number}`,
+        text: [
+          `Load ${load.load_number} (${load.origin_site?.name} to ${load.destination_site?.name}) received with discrepancies.`,
+          missing && `Missing: ${missing}.`,
+          damaged && `Damaged: ${damaged}.`,
+          load.discrepancy_notes && `Notes: ${load.discrepancy_notes}`
+        ].filter(Boolean).join(' ')
+      };
+    }
+  }
+};
+
+/**
+ * Where a subscription delivers to, or null when there is no address
+ * for its channel
+ */
+function resolveDestination(subscription, { load, sites }) {
+  if (subscription.destination) return subscription.destination;
+
+  const byChannel = (email, phone) => {
+    if (subscription.channel === 'email') return email || null;
+    if (subscription.channel === 'sms' || subscription.channel === 'whatsapp') return phone || null;
+    return null;
+  };
+
+  switch (subscription.recipient_type) {
+    case 'user':
+      return byChannel(subscription.users?.email, subscription.users?.phone);
+    case 'site_contact': {
+      const site = sites.get(subscription.site_id) || sites.values().next().value;
+      return byChannel(site?.contact_email, site?.contact_phone);
+    }
+    case 'load_driver':
+      return byChannel(null, load?.drivers?.phone);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Record a delivery attempt
+ */
+async function logDelivery(entry) {
+  const { error } = await supabase.from('notification_log').insert(entry);
+  if (error) console.error('Failed to write notification log:', error);
+}
+
+/**
+ * Deliver an event to every matching active subscription
+ * @param {string} eventType - Key of NOTIFICATION_EVENTS
+ * @param {{ siteIds?: string[], loadId?: string, message?: string, details?: object }} context
+ *   siteIds are the sites the event concerns; subscriptions for other sites are ignored
+ * @returns {Promise<{ sent: number, failed: number, skipped: number }>}
+ */
+export async function dispatchNotification(eventType, { siteIds = [], loadId, message, details } = {}) {
+  const event = NOTIFICATION_EVENTS[eventType];
+  if (!event) throw new Error(`Unknown notification event: ${eventType}`);
+
+  const { data: subscriptions, error } = await supabase
+    .from('notification_subscriptions')
+    .select('*, users!notification_subscriptions_user_id_fkey (email, phone, is_active)')
+    .eq('event_type', eventType)
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  const scopedSiteIds = siteIds.filter(Boolean);
+  const matching = subscriptions.filter(s =>
+    (!s.site_id || scopedSiteIds.includes(s.site_id)) && s.users?.is_active !== false
+  );
+
+  const result = { sent: 0, failed: 0, skipped: 0 };
+  if (matching.length === 0) return result;
+
+  let load = null;
+  if (loadId) {
+    const { data, error: loadError } = await supabase
+      .from('loads')
+      .select(LOAD_SELECT)
+      .eq('id', loadId)
+      .single();
+
+    if (loadError) throw loadError;
+    load = data;
+  }
+
+  const { data: siteRows, error: sitesError } = scopedSiteIds.length > 0
+    ? await supabase.from('sites').select('id, contact_email, contact_phone').in('id', scopedSiteIds)
+    : { data: [], error: null };
+
+  if (sitesError) throw sitesError;
+
+  // Keep the event's primary site first for unscoped site_contact subscriptions
+  const sites = new Map(scopedSiteIds
+    .map(id => siteRows.find(s => s.id === id))
+    .filter(Boolean)
+    .map(s => [s.id, s]));
+
+  const { subject, text } = event.render({ load, message, details });
+  const payload = {
+    event: eventType,
+    site_ids: scopedSiteIds,
+    load: load ? { id: load.id, load_number: load.load_number } : null,
+    details: details || null
+  };
+  const delivered = new Set();
+
+  for (const subscription of matching) {
+    const destination = resolveDestination(subscription, { load, sites });
+    const transport = getTransport(subscription.channel);
+    const entry = {
+      subscription_id: subscription.id,
+      event_type: eventType,
+      channel: subscription.channel,
+      transport: transport?.name || null,
+      destination,
+      subject,
+      body: text,
+      site_id: subscription.site_id || scopedSiteIds[0] || null,
+      load_id: load?.id || null
+    };
+
+    // One message per address and channel, however many subscriptions match
+    const deliveryKey = `${subscription.channel}:${destination}`;
+    if (destination && delivered.has(deliveryKey)) continue;
+
+    if (!destination || !transport || !transport.isConfigured()) {
+      result.skipped++;
+      await logDelivery({
+        ...entry,
+        status: 'skipped',
+        error: !destination ? 'No destination for this channel' : 'Transport not configured'
+      });
+      continue;
+    }
+
+    delivered.add(deliveryKey);
+
+    try {
+      await transport.send({ channel: subscription.channel, to: destination, subject, text, payload });
+      result.sent++;
+      await logDelivery({ ...entry, status: 'sent' });
+    } catch (sendError) {
+      result.failed++;
+      await logDelivery({ ...entry, status: 'failed', error: sendError.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Send a test message straight to a destination, bypassing subscriptions
+ * @param {string} channel
+ * @param {string} destination
+ * @returns {Promise<{ status: string, transport: string|null, error?: string }>}
+ */
+export async function sendTestNotification(channel, destination) {
+  const transport = getTransport(channel);
+  const subject = 'Test notification';
+  const text = 'Test notification from the Packaging Load Tracker.';
+  const entry = {
+    event_type: 'test',
+    channel,
+    transport: transport?.name || null,
+    destination,
+    subject,
+    body: text
+  };
+
+  if (!transport || !transport.isConfigured()) {
+    await logDelivery({ ...entry, status: 'skipped', error: 'Transport not configured' });
+    return { status: 'skipped', transport: entry.transport, error: 'Transport not configured' };
+  }
+
+  try {
+    await transport.send({ channel, to: destination, subject, text, payload: { event: 'test' } });
+    await logDelivery({ ...entry, status: 'sent' });
+    return { status: 'sent', transport: transport.name };
+  } catch (sendError) {
+    await logDelivery({ ...entry, status: 'failed', error: sendError.message });
+    return { status: 'failed', transport: transport.name, error: sendError.message };
+  }
+}
+
+/**
+ * Dispatch in the background after an event; failures are logged and
+ * never affect the request that triggered them.
+ * @param {string} eventType
+ * @param {object} context - See dispatchNotification
+ */
+export function triggerNotification(eventType, context) {
+  dispatchNotification(eventType, context).catch(error => {
+    console.error(`Notification dispatch failed (${eventType}):`, error);
+  });
+}
@@ -0,0 +1,141 @@
+import { supabase } from '../db/supabase.js';
+
+/**
+ * Age buckets for outstanding packaging, in days since dispatch
+ */
+export const AGING_BUCKETS = [
+  { key: 'days_0_7', label: '0-7 days', min: 0, max: 7 },
+  { key: 'days_8_14', label: '8-14 days', min: 8, max: 14 },
+  { key: 'days_15_30', label: '15-30 days', min: 15, max: 30 },
+  { key: 'days_over_30', label: '30+ days', min: 31, max: Infinity }
+];
+
+// Loads that have left their origin site
+const DEPARTED_STATUSES = ['departed', 'in_transit', 'arrived_depot', 'unloading', 'completed'];
+
+/**
+ * Whole days between a dispatch date and the as-of date
+ * @param {string} dispatchDate - YYYY-MM-DD
+ * @param {Date} asOf
+ */
+function daysSince(dispatchDate, asOf) {
+  const dispatched = new Date(`${dispatchDate}T00:00:00Z`);
+  const today = Date.UTC(asOf.getUTCFullYear(), asOf.getUTCMonth(), asOf.getUTCDate());
+  return Math.max(0, Math.floor((today - dispatched.getTime()) / 86400000));
+}
+
+/**
+ * Outstanding returnable packaging held by a farm, per packaging type.
+ * Packaging delivered to the farm is settled first-in-first-out against
+ * packaging that left the farm on loads and backloads; whatever is left
+ * is aged by its dispatch date. Quantities older than the packaging
+ * type's expected turnaround are reported as overdue.
+ * @param {string} siteId - Farm site id
+ * @param {{ asOf?: Date }} [options]
+ * @returns {Promise<Array<object>>} One entry per packaging type with a balance, oldest first
+ */
+export async function getOutstandingPackaging(siteId, { asOf = new Date() } = {}) {
+  const [delivered, returned, backloaded] = await Promise.all([
+    // Delivered to the farm
+    supabase
+      .from('loads')
+      .select(`
+        id, load_number, dispatch_date,
+        load_packaging (packaging_type_id, quantity_dispatched, quantity_received)
+      `)
+      .eq('destination_site_id', siteId)
+      .eq('status', 'completed')
+      .order('dispatch_date', { ascending: true }),
+    // Sent back out of the farm on loads
+    supabase
+      .from('loads')
+      .select('id, load_packaging (packaging_type_id, quantity_dispatched)')
+      .eq('origin_site_id', siteId)
+      .in('status', DEPARTED_STATUSES),
+    // Returned from the farm on backloads
+    supabase
+      .from('loads')
+      .select('id, backload_packaging (packaging_type_id, quantity_returned)')
+      .eq('backload_site_id', siteId)
+      .eq('status', 'completed')
+  ]);
+
+  if (delivered.error) throw delivered.error;
+  if (returned.error) throw returned.error;
+  if (backloaded.error) throw backloaded.error;
+
+  const { data: packagingTypes, error: ptError } = await supabase
+    .from('packaging_types')
+    .select('id, code, name, expected_turnaround_days')
+    .eq('is_returnable', true);
+
+  if (ptError) throw ptError;
+
+  const typeMap = new Map(packagingTypes.map(pt => [pt.id, pt]));
+
+  // Total quantity that has come back per packaging type
+  const returnedMap = new Map();
+  const addReturned = (packagingTypeId, quantity) => {
+    returnedMap.set(packagingTypeId, (returnedMap.get(packagingTypeId) || 0) + (quantity || 0));
+  };
+  returned.data.forEach(load => {
+    load.load_packaging?.forEach(lp => addReturned(lp.packaging_type_id, lp.quantity_dispatched));
+  });
+  backloaded.data.forEach(load => {
+    load.backload_packaging?.forEach(bp => addReturned(bp.packaging_type_id, bp.quantity_returned));
+  });
+
+  // Deliveries per packaging type, oldest first
+  const deliveriesMap = new Map();
+  delivered.data.forEach(load => {
+    load.load_packaging?.forEach(lp => {
+      if (!typeMap.has(lp.packaging_type_id)) return;
+      const quantity = lp.quantity_received ?? lp.quantity_dispatched ?? 0;
+      if (quantity <= 0) return;
+      if (!deliveriesMap.has(lp.packaging_type_id)) deliveriesMap.set(lp.packaging_type_id, []);
+      deliveriesMap.get(lp.packaging_type_id).push({
+        load_number: load.load_number,
+        dispatch_date: load.dispatch_date,
+        quantity
+      });
+    });
+  });
+
+  const outstanding = [];
+
+  deliveriesMap.forEach((deliveries, packagingTypeId) => {
+    const packagingType = typeMap.get(packagingTypeId);
+    const turnaround = packagingType.expected_turnaround_days ?? 14;
+    let unsettledReturns = returnedMap.get(packagingTypeId) || 0;
+
+    const row = {
+      packaging_type_id: packagingTypeId,
+      packaging_type_code: packagingType.code,
+      packaging_type: packagingType.name,
+      expected_turnaround_days: turnaround,
+      quantity: 0,
+      overdue_quantity: 0,
+      oldest_dispatch: null,
+      ...Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]))
+    };
+
+    deliveries.forEach(delivery => {
+      const settled = Math.min(unsettledReturns, delivery.quantity);
+      unsettledReturns -= settled;
+      const remaining = delivery.quantity - settled;
+      if (remaining === 0) return;
+
+      const age = daysSince(delivery.dispatch_date, asOf);
+      const bucket = AGING_BUCKETS.find(b => age >= b.min && age <= b.max);
+
+      row[bucket.key] += remaining;
+      row.quantity += remaining;
+      if (age > turnaround) row.overdue_quantity += remaining;
+      if (!row.oldest_dispatch) row.oldest_dispatch = delivery.dispatch_date;
+    });
+
+    if (row.quantity > 0) outstanding.push(row);
+  });
+
+  return outstanding.sort((a, b) => a.oldest_dispatch.localeCompare(b.oldest_dispatch));
+}
@@ -0,0 +1,232 @@
+import { supabase } from '../db/supabase.js';
+
+/**
+ * Day-by-day packaging balance per farm and packaging type. Each farm
+ * starts from its current inventory; planned dispatches take packaging
+ * out on their dispatch date, and packaging comes back on:
+ *  - loads and planned schedules delivering packaging to the farm, on
+ *    their expected arrival
+ *  - backloads credited to the farm, on the load's expected arrival
+ *    (the receipt posts them, as the ledger does)
+ *  - a schedule's packaging delivery date, for the packaging it
+ *    dispatched
+ * Movements already overdue count on the first day. A farm is short on
+ * the first day a balance drops below zero.
+ */
+
+// Loads still to leave their origin site
+const BEFORE_DISPATCH = ['scheduled', 'loading'];
+// Loads not yet received, so not yet credited to any site
+const NOT_RECEIVED = ['scheduled', 'loading', 'departed', 'in_transit', 'arrived_depot', 'unloading'];
+// Schedules not yet on the road
+export const SCHEDULE_PENDING_STATUSES = ['planned', 'confirmed', 'packaging_sent', 'loading'];
+
+export const MAX_PROJECTION_DAYS = 90;
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ */
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Projected packaging balances for farms
+ * @param {{ days?: number, siteIds?: string[] | null }} [options]
+ *   siteIds limits the farms; null projects every active farm
+ * @returns {Promise<{ start_date: string, end_date: string, dates: string[], farms: object[] }>}
+ */
+export async function projectPackagingBalances({ days = 28, siteIds = null } = {}) {
+  const startDate = new Date().toISOString().split('T')[0];
+  const endDate = shiftDate(startDate, days - 1);
+  const dates = Array.from({ length: days }, (_, i) => shiftDate(startDate, i));
+
+  let farmQuery = supabase
+    .from('sites')
+    .select('id, code, name, site_types!inner (name)')
+    .eq('site_types.name', 'Farm')
+    .eq('is_active', true)
+    .order('code');
+
+  if (siteIds) farmQuery = farmQuery.in('id', siteIds);
+
+  const { data: farms, error: farmError } = await farmQuery;
+  if (farmError) throw farmError;
+
+  const result = { start_date: startDate, end_date: endDate, dates, farms: [] };
+  if (farms.length === 0) return result;
+
+  const farmIds = farms.map(f => f.id);
+
+  const [packagingTypes, inventory, thresholds, schedules, deliveries, outbound, inbound, backloads] = await Promise.all([
+    supabase
+      .from('packaging_types')
+      .select('id, code, name')
+      .eq('is_active', true)
+      .order('code'),
+    supabase
+      .from('site_packaging_inventory')
+      .select('site_id, packaging_type_id, quantity')
+      .in('site_id', farmIds),
+    supabase
+      .from('site_packaging_thresholds')
+      .select('site_id, packaging_type_id, min_threshold')
+      .in('site_id', farmIds),
+    supabase
+      .from('dispatch_schedules')
+      .select('origin_site_id, dispatch_date, packaging_delivery_farm_date, load_id, status, dispatch_schedule_packaging (packaging_type_id, quantity)')
+      .in('origin_site_id', farmIds)
+      .neq('status', 'cancelled')
+      .lte('dispatch_date', endDate)
+      .or(`dispatch_date.gte.${startDate},packaging_delivery_farm_date.gte.${startDate}`),
+    // Planned deliveries to the farm with no load yet
+    supabase
+      .from('dispatch_schedules')
+      .select('destination_site_id, dispatch_date, expected_arrival_date, dispatch_schedule_packaging (packaging_type_id, quantity)')
+      .in('destination_site_id', farmIds)
+      .in('status', SCHEDULE_PENDING_STATUSES)
+      .is('load_id', null)
+      .lte('dispatch_date', endDate),
+    // Booked loads still to take packaging out of the farm
+    supabase
+      .from('loads')
+      .select('origin_site_id, dispatch_date, load_packaging (packaging_type_id, quantity_dispatched)')
+      .in('origin_site_id', farmIds)
+      .in('status', BEFORE_DISPATCH)
+      .lte('dispatch_date', endDate),
+    // Packaging on its way to the farm
+    supabase
+      .from('loads')
+      .select('destination_site_id, dispatch_date, expected_arrival_date, load_packaging (packaging_type_id, quantity_dispatched)')
+      .in('destination_site_id', farmIds)
+      .in('status', NOT_RECEIVED),
+    supabase
+      .from('loads')
+      .select('backload_site_id, dispatch_date, expected_arrival_date, backload_packaging (packaging_type_id, quantity_returned)')
+      .in('backload_site_id', farmIds)
+      .in('status', NOT_RECEIVED)
+  ]);
+
+  for (const res of [packagingTypes, inventory, thresholds, schedules, deliveries, outbound, inbound, backloads]) {
+    if (res.error) throw res.error;
+  }
+
+  const typeMap = new Map(packagingTypes.data.map(pt => [pt.id, pt]));
+
+  // Per "site:packaging type": opening balance and movements by date
+  const lines = new Map();
+  const lineFor = (siteId, packagingTypeId) => {
+    const key = `${siteId}:${packagingTypeId}`;
+    if (!lines.has(key)) {
+      lines.set(key, { siteId, packagingTypeId, opening: 0, minThreshold: null, out: new Map(), in: new Map() });
+    }
+    return lines.get(key);
+  };
+  const addMovement = (direction, siteId, packagingTypeId, date, quantity) => {
+    if (!typeMap.has(packagingTypeId) || !quantity || !date || date > endDate) return;
+    const day = date < startDate ? startDate : date;
+    const movements = lineFor(siteId, packagingTypeId)[direction];
+    movements.set(day, (movements.get(day) || 0) + quantity);
+  };
+
+  for (const row of inventory.data) {
+    if (typeMap.has(row.packaging_type_id)) {
+      lineFor(row.site_id, row.packaging_type_id).opening = row.quantity || 0;
+    }
+  }
+
+  for (const row of thresholds.data) {
+    if (typeMap.has(row.packaging_type_id) && row.min_threshold > 0) {
+      lineFor(row.site_id, row.packaging_type_id).minThreshold = row.min_threshold;
+    }
+  }
+
+  for (const schedule of schedules.data) {
+    for (const line of schedule.dispatch_schedule_packaging || []) {
+      // Once a load exists its own packaging lines count instead
+      if (!schedule.load_id && SCHEDULE_PENDING_STATUSES.includes(schedule.status) && schedule.dispatch_date >= startDate) {
+        addMovement('out', schedule.origin_site_id, line.packaging_type_id, schedule.dispatch_date, line.quantity);
+      }
+      if (schedule.packaging_delivery_farm_date >= startDate) {
+        addMovement('in', schedule.origin_site_id, line.packaging_type_id, schedule.packaging_delivery_farm_date, line.quantity);
+      }
+    }
+  }
+
+  for (const schedule of deliveries.data) {
+    const arrival = schedule.expected_arrival_date || schedule.dispatch_date;
+    for (const line of schedule.dispatch_schedule_packaging || []) {
+      addMovement('in', schedule.destination_site_id, line.packaging_type_id, arrival, line.quantity);
+    }
+  }
+
+  for (const load of outbound.data) {
+    for (const line of load.load_packaging || []) {
+      addMovement('out', load.origin_site_id, line.packaging_type_id, load.dispatch_date, line.quantity_dispatched);
+    }
+  }
+
+  for (const load of inbound.data) {
+    const arrival = load.expected_arrival_date || load.dispatch_date;
+    for (const line of load.load_packaging || []) {
+      addMovement('in', load.destination_site_id, line.packaging_type_id, arrival, line.quantity_dispatched);
+    }
+  }
+
+  for (const load of backloads.data) {
+    const arrival = load.expected_arrival_date || load.dispatch_date;
+    for (const line of load.backload_packaging || []) {
+      addMovement('in', load.backload_site_id, line.packaging_type_id, arrival, line.quantity_returned);
+    }
+  }
+
+  for (const farm of farms) {
+    const packaging = [...lines.values()]
+      .filter(line => line.siteId === farm.id)
+      .map(line => {
+        let balance = line.opening;
+        let firstShortDate = null;
+        let firstLowDate = null;
+
+        const projected = dates.map(date => {
+          const dispatched = line.out.get(date) || 0;
+          const returned = line.in.get(date) || 0;
+          balance += returned - dispatched;
+
+          if (balance < 0 && !firstShortDate) firstShortDate = date;
+          if (line.minThreshold != null && balance < line.minThreshold && !firstLowDate) firstLowDate = date;
+
+          return { date, dispatched, returned, balance };
+        });
+
+        const type = typeMap.get(line.packagingTypeId);
+        return {
+          packaging_type_id: line.packagingTypeId,
+          packaging_code: type.code,
+          packaging_name: type.name,
+          opening_balance: line.opening,
+          min_threshold: line.minThreshold,
+          closing_balance: balance,
+          first_short_date: firstShortDate,
+          first_low_date: firstLowDate,
+          days: projected
+        };
+      })
+      .sort((a, b) => a.packaging_code.localeCompare(b.packaging_code));
+
+    const shortDates = packaging.map(p => p.first_short_date).filter(Boolean).sort();
+
+    result.farms.push({
+      site_id: farm.id,
+      site_code: farm.code,
+      site_name: farm.name,
+      first_short_date: shortDates[0] || null,
+      packaging
+    });
+  }
+
+  return result;
+}
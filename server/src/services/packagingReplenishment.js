@@ -0,0 +1,437 @@
+import { supabase } from '../db/supabase.js';
+import { canAccessLoad } from '../middleware/siteScope.js';
+import { checkLoadAction } from './loadStateMachine.js';
+import { projectPackagingBalances } from './packagingProjection.js';
+import { packagingFromBody, replaceSchedulePackaging } from './schedulePackaging.js';
+
+/**
+ * Packaging replenishment suggestions: deliveries from depots back to
+ * farms the projection shows dropping below their minimum (or below zero
+ * where none is set). A farm's delivery covers its deepest shortfall in
+ * the horizon and arrives by the first short day, on the farm's planned
+ * packaging delivery date where one falls before it. Depots with the most
+ * stock above their own minimum supply first, and deliveries are split
+ * across free vehicles by empty packaging weight. A suggestion is only
+ * a proposal until a dispatcher accepts it as a schedule or as the
+ * backload of a load heading from the farm to the depot.
+ */
+
+// Days between leaving the depot and arriving at the farm
+const TRANSIT_DAYS = parseInt(process.env.REPLENISHMENT_TRANSIT_DAYS || '1');
+
+// Loads whose packaging lines can still change
+const BEFORE_DISPATCH = ['scheduled', 'loading'];
+
+export const ACCEPT_MODES = ['schedule', 'backload'];
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ */
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Quantity a farm needs of one packaging type, and from when
+ * @param {object} line - Packaging line from the projection
+ * @returns {{ quantity: number, neededBy: string } | null}
+ */
+function shortfall(line) {
+  const target = line.min_threshold || 0;
+  let quantity = 0;
+  let neededBy = null;
+
+  for (const day of line.days) {
+    if (day.balance < target) {
+      quantity = Math.max(quantity, target - day.balance);
+      neededBy = neededBy || day.date;
+    }
+  }
+  return neededBy ? { quantity, neededBy } : null;
+}
+
+/**
+ * Split items into vehicle loads. Each load takes the smallest free
+ * vehicle that carries all that is left, or else the largest, filled
+ * with whole units. Items without an empty weight take no capacity.
+ * @param {Array<{ packaging_type_id: string, quantity: number, weight_kg: number }>} items
+ * @param {object[]} vehicles - Free vehicles with a capacity, largest first
+ * @returns {Array<{ vehicle: object|null, items: object[] }>}
+ */
+function splitByCapacity(items, vehicles) {
+  const remaining = items.map(item => ({ ...item }));
+  const loads = [];
+  const totalWeight = () => remaining.reduce((sum, item) => sum + item.quantity * item.weight_kg, 0);
+
+  while (remaining.some(item => item.quantity > 0)) {
+    const weight = totalWeight();
+    const vehicle = [...vehicles].reverse().find(v => v.capacity_kg >= weight) || vehicles[0];
+
+    if (!vehicle) {
+      loads.push({ vehicle: null, items: remaining.filter(item => item.quantity > 0) });
+      break;
+    }
+    vehicles.splice(vehicles.indexOf(vehicle), 1);
+
+    let capacity = vehicle.capacity_kg;
+    const loaded = [];
+    for (const item of remaining) {
+      const units = item.weight_kg > 0 ? Math.min(item.quantity, Math.floor(capacity / item.weight_kg)) : item.quantity;
+      if (units <= 0) continue;
+
+      loaded.push({ ...item, quantity: units });
+      item.quantity -= units;
+      capacity -= units * item.weight_kg;
+    }
+
+    // Not even one unit fits; leave the rest unassigned
+    if (loaded.length === 0) {
+      loads.push({ vehicle: null, items: remaining.filter(item => item.quantity > 0) });
+      break;
+    }
+    loads.push({ vehicle, items: loaded });
+  }
+
+  return loads;
+}
+
+/**
+ * Replenishment deliveries for farms running low
+ * @param {{ days?: number, siteIds?: string[] | null }} [options] - As projectPackagingBalances
+ * @returns {Promise<{ start_date: string, end_date: string, suggestions: object[], unmet: object[] }>}
+ */
+export async function suggestReplenishment({ days = 28, siteIds = null } = {}) {
+  const projection = await projectPackagingBalances({ days, siteIds });
+  const result = { start_date: projection.start_date, end_date: projection.end_date, suggestions: [], unmet: [] };
+
+  const needs = projection.farms
+    .map(farm => ({
+      farm,
+      lines: farm.packaging
+        .map(line => ({ line, need: shortfall(line) }))
+        .filter(({ need }) => need)
+    }))
+    .filter(({ lines }) => lines.length > 0);
+
+  if (needs.length === 0) return result;
+
+  const farmIds = needs.map(({ farm }) => farm.site_id);
+
+  const [depots, packagingTypes, vehicles, planned, busySchedules, busyLoads, returningLoads] = await Promise.all([
+    supabase
+      .from('sites')
+      .select('id, code, name, site_types!inner (name)')
+      .eq('site_types.name', 'Depot')
+      .eq('is_active', true),
+    supabase
+      .from('packaging_types')
+      .select('id, code, name, weight_empty_kg')
+      .eq('is_active', true)
+      .order('code'),
+    supabase
+      .from('vehicles')
+      .select('id, registration, name, capacity_kg')
+      .eq('is_active', true)
+      .gt('capacity_kg', 0)
+      .order('capacity_kg', { ascending: false }),
+    // Planned packaging delivery days for each farm
+    supabase
+      .from('dispatch_schedules')
+      .select('origin_site_id, packaging_delivery_farm_date')
+      .in('origin_site_id', farmIds)
+      .neq('status', 'cancelled')
+      .gte('packaging_delivery_farm_date', projection.start_date)
+      .lte('packaging_delivery_farm_date', projection.end_date),
+    supabase
+      .from('dispatch_schedules')
+      .select('dispatch_date, vehicle_id')
+      .not('vehicle_id', 'is', null)
+      .neq('status', 'cancelled')
+      .gte('dispatch_date', projection.start_date)
+      .lte('dispatch_date', projection.end_date),
+    supabase
+      .from('loads')
+      .select('dispatch_date, vehicle_id')
+      .not('vehicle_id', 'is', null)
+      .neq('status', 'cancelled')
+      .gte('dispatch_date', projection.start_date)
+      .lte('dispatch_date', projection.end_date),
+    // Loads from the farms that could bring packaging back as a backload
+    supabase
+      .from('loads')
+      .select('id, load_number, origin_site_id, destination_site_id, dispatch_date, expected_arrival_date, vehicles (registration, capacity_kg)')
+      .in('origin_site_id', farmIds)
+      .in('status', BEFORE_DISPATCH)
+      .is('backload_site_id', null)
+      .gte('dispatch_date', projection.start_date)
+      .order('dispatch_date')
+  ]);
+
+  for (const res of [depots, packagingTypes, vehicles, planned, busySchedules, busyLoads, returningLoads]) {
+    if (res.error) throw res.error;
+  }
+
+  if (depots.data.length === 0) {
+    result.unmet = needs.flatMap(({ farm, lines }) => lines.map(({ line, need }) => ({
+      site_id: farm.site_id, site_code: farm.site_code, packaging_type_id: line.packaging_type_id,
+      packaging_code: line.packaging_code, quantity: need.quantity, needed_by: need.neededBy
+    })));
+    return result;
+  }
+
+  const depotIds = depots.data.map(d => d.id);
+  const [depotInventory, depotThresholds] = await Promise.all([
+    supabase
+      .from('site_packaging_inventory')
+      .select('site_id, packaging_type_id, quantity')
+      .in('site_id', depotIds),
+    supabase
+      .from('site_packaging_thresholds')
+      .select('site_id, packaging_type_id, min_threshold')
+      .in('site_id', depotIds)
+  ]);
+
+  if (depotInventory.error) throw depotInventory.error;
+  if (depotThresholds.error) throw depotThresholds.error;
+
+  const typeMap = new Map(packagingTypes.data.map(pt => [pt.id, pt]));
+
+  // Depot stock above its minimum, per "depot:packaging type"; reduced
+  // as suggestions take from it
+  const minimums = new Map(depotThresholds.data.map(t => [`${t.site_id}:${t.packaging_type_id}`, t.min_threshold || 0]));
+  const surplus = new Map();
+  for (const row of depotInventory.data) {
+    const key = `${row.site_id}:${row.packaging_type_id}`;
+    surplus.set(key, Math.max(0, (row.quantity || 0) - (minimums.get(key) || 0)));
+  }
+
+  // Vehicles already booked, per dispatch date
+  const busy = new Map();
+  for (const row of [...busySchedules.data, ...busyLoads.data]) {
+    if (!busy.has(row.dispatch_date)) busy.set(row.dispatch_date, new Set());
+    busy.get(row.dispatch_date).add(row.vehicle_id);
+  }
+
+  const earliestArrival = shiftDate(projection.start_date, TRANSIT_DAYS);
+
+  for (const { farm, lines } of needs) {
+    const neededBy = lines.map(({ need }) => need.neededBy).sort()[0];
+    const deliveryDays = planned.data
+      .filter(s => s.origin_site_id === farm.site_id && s.packaging_delivery_farm_date <= neededBy)
+      .map(s => s.packaging_delivery_farm_date)
+      .filter(date => date >= earliestArrival)
+      .sort();
+    const arrivalDate = deliveryDays.length ? deliveryDays[deliveryDays.length - 1] : (neededBy < earliestArrival ? earliestArrival : neededBy);
+    const dispatchDate = shiftDate(arrivalDate, -TRANSIT_DAYS);
+
+    // What is still needed, per packaging type
+    const open = new Map(lines.map(({ line, need }) => [line.packaging_type_id, need.quantity]));
+
+    while ([...open.values()].some(quantity => quantity > 0)) {
+      // The depot able to supply the most of what is still needed
+      let best = null;
+      let bestUnits = 0;
+      for (const depot of depots.data) {
+        const units = [...open].reduce((sum, [typeId, quantity]) => sum + Math.min(quantity, surplus.get(`${depot.id}:${typeId}`) || 0), 0);
+        if (units > bestUnits) {
+          best = depot;
+          bestUnits = units;
+        }
+      }
+      if (!best) break;
+
+      const items = [...open]
+        .map(([typeId, quantity]) => ({
+          packaging_type_id: typeId,
+          quantity: Math.min(quantity, surplus.get(`${best.id}:${typeId}`) || 0),
+          weight_kg: Number(typeMap.get(typeId)?.weight_empty_kg) || 0
+        }))
+        .filter(item => item.quantity > 0);
+
+      for (const item of items) {
+        const key = `${best.id}:${item.packaging_type_id}`;
+        surplus.set(key, surplus.get(key) - item.quantity);
+        open.set(item.packaging_type_id, open.get(item.packaging_type_id) - item.quantity);
+      }
+
+      const booked = busy.get(dispatchDate) || new Set();
+      const free = vehicles.data
+        .filter(v => !booked.has(v.id))
+        .map(v => ({ ...v, capacity_kg: Number(v.capacity_kg) }));
+
+      for (const split of splitByCapacity(items, free)) {
+        if (split.vehicle) {
+          if (!busy.has(dispatchDate)) busy.set(dispatchDate, new Set());
+          busy.get(dispatchDate).add(split.vehicle.id);
+        }
+
+        const weight = split.items.reduce((sum, item) => sum + item.quantity * item.weight_kg, 0);
+
+        result.suggestions.push({
+          farm_site_id: farm.site_id,
+          farm_code: farm.site_code,
+          farm_name: farm.site_name,
+          depot_site_id: best.id,
+          depot_code: best.code,
+          depot_name: best.name,
+          dispatch_date: dispatchDate,
+          arrival_date: arrivalDate,
+          needed_by: neededBy,
+          late: arrivalDate > neededBy,
+          vehicle: split.vehicle
+            ? { id: split.vehicle.id, registration: split.vehicle.registration, capacity_kg: split.vehicle.capacity_kg }
+            : null,
+          weight_kg: Math.round(weight * 100) / 100,
+          items: split.items.map(item => ({
+            packaging_type_id: item.packaging_type_id,
+            packaging_code: typeMap.get(item.packaging_type_id)?.code,
+            packaging_name: typeMap.get(item.packaging_type_id)?.name,
+            quantity: item.quantity,
+            weight_kg: Math.round(item.quantity * item.weight_kg * 100) / 100
+          })),
+          // Loads from the farm to this depot that arrive in time and can carry it
+          backload_options: returningLoads.data
+            .filter(load => load.origin_site_id === farm.site_id && load.destination_site_id === best.id)
+            .filter(load => (load.expected_arrival_date || load.dispatch_date) <= arrivalDate)
+            .filter(load => !load.vehicles?.capacity_kg || Number(load.vehicles.capacity_kg) >= weight)
+            .map(load => ({
+              load_id: load.id,
+              load_number: load.load_number,
+              dispatch_date: load.dispatch_date,
+              vehicle_registration: load.vehicles?.registration || null
+            }))
+        });
+      }
+    }
+
+    for (const [typeId, quantity] of open) {
+      if (quantity > 0) {
+        result.unmet.push({
+          site_id: farm.site_id,
+          site_code: farm.site_code,
+          packaging_type_id: typeId,
+          packaging_code: typeMap.get(typeId)?.code,
+          quantity,
+          needed_by: lines.find(({ line }) => line.packaging_type_id === typeId).need.neededBy
+        });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Accept a suggestion as a planned depot-to-farm dispatch
+ * @param {object} suggestion - farmSiteId, depotSiteId, dispatchDate, arrivalDate, vehicleId, items
+ * @param {object} user - req.user
+ * @returns {Promise<object>} The schedule
+ */
+export async function acceptAsSchedule(suggestion, user) {
+  const { data, error } = await supabase
+    .from('dispatch_schedules')
+    .insert({
+      origin_site_id: suggestion.depotSiteId,
+      destination_site_id: suggestion.farmSiteId,
+      dispatch_date: suggestion.dispatchDate,
+      expected_arrival_date: suggestion.arrivalDate,
+      vehicle_id: suggestion.vehicleId || null,
+      status: 'planned',
+      notes: 'Packaging replenishment',
+      created_by: user?.id || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  try {
+    await replaceSchedulePackaging([data.id], packagingFromBody(suggestion.items));
+  } catch (linesError) {
+    // A replenishment without its packaging would project nothing
+    await supabase.from('dispatch_schedules').delete().eq('id', data.id);
+    throw linesError;
+  }
+  return data;
+}
+
+/**
+ * Accept a suggestion as the backload of a load heading from the farm
+ * to the depot; the load's receipt credits the farm
+ * @param {object} suggestion - farmSiteId, depotSiteId, loadId, items
+ * @param {object} user - req.user
+ * @returns {Promise<{ load?: object, error?: { status: number, message: string } }>}
+ */
+export async function acceptAsBackload(suggestion, user) {
+  const { data: load, error } = await supabase
+    .from('loads')
+    .select('id, status, origin_site_id, destination_site_id, backload_site_id, backload_notes')
+    .eq('id', suggestion.loadId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return { error: { status: 404, message: 'Load not found' } };
+    }
+    throw error;
+  }
+
+  // Out of scope reads as not found, as on the loads routes
+  if (!canAccessLoad(user, load)) {
+    return { error: { status: 404, message: 'Load not found' } };
+  }
+
+  const denied = checkLoadAction('edit', load.status, user);
+  if (denied) return { error: denied };
+
+  if (load.origin_site_id !== suggestion.farmSiteId || load.destination_site_id !== suggestion.depotSiteId) {
+    return { error: { status: 400, message: 'The load does not run between this farm and depot' } };
+  }
+  if (load.backload_site_id) {
+    return { error: { status: 409, message: 'The load already carries a backload' } };
+  }
+
+  // Only applies if nobody assigned a backload or moved the load meanwhile
+  const { data: updated, error: updateError } = await supabase
+    .from('loads')
+    .update({
+      backload_site_id: suggestion.farmSiteId,
+      backload_notes: 'Packaging replenishment',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', load.id)
+    .eq('status', load.status)
+    .is('backload_site_id', null)
+    .select()
+    .single();
+
+  if (updateError) {
+    if (updateError.code === 'PGRST116') {
+      return { error: { status: 409, message: 'Load changed; reload and try again' } };
+    }
+    throw updateError;
+  }
+
+  const { error: itemsError } = await supabase
+    .from('backload_packaging')
+    .insert(suggestion.items.map(item => ({
+      load_id: load.id,
+      packaging_type_id: item.packagingTypeId,
+      quantity_returned: item.quantity
+    })));
+
+  if (itemsError) {
+    // A backload without its packaging would credit the farm nothing
+    await supabase
+      .from('loads')
+      .update({ backload_site_id: null, backload_notes: load.backload_notes, updated_at: new Date().toISOString() })
+      .eq('id', load.id)
+      .eq('backload_site_id', suggestion.farmSiteId);
+    throw itemsError;
+  }
+
+  return { load: updated };
+}
@@ -0,0 +1,136 @@
+import { createHash, randomBytes } from 'crypto';
+import { supabase } from '../db/supabase.js';
+import { getTransport } from './notificationTransports.js';
+
+// How long a link stays valid, per purpose
+const EXPIRY_MINUTES = {
+  invite: parseInt(process.env.INVITE_EXPIRY_HOURS || '72') * 60,
+  password_reset: parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES || '60')
+};
+
+/**
+ * @param {string} token
+ */
+function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Link to the client's set-password page
+ * @param {string} token
+ */
+export function passwordLink(token) {
+  const appUrl = (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/$/, '');
+  return `${appUrl}/set-password?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Issue a link token. Unused tokens of the same purpose stop working.
+ * @param {string} userId
+ * @param {'invite'|'password_reset'} purpose
+ * @param {string|null} [createdBy] - Admin who triggered it
+ * @returns {Promise<string>} The raw token, only ever sent to the user
+ */
+export async function createPasswordToken(userId, purpose, createdBy = null) {
+  const { error: deleteError } = await supabase
+    .from('user_password_tokens')
+    .delete()
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  if (deleteError) throw deleteError;
+
+  const token = randomBytes(32).toString('base64url');
+
+  const { error } = await supabase
+    .from('user_password_tokens')
+    .insert({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + EXPIRY_MINUTES[purpose] * 60 * 1000).toISOString(),
+      created_by: createdBy
+    });
+
+  if (error) throw error;
+  return token;
+}
+
+/**
+ * The unused, unexpired token row and its user, or null
+ * @param {string} token
+ */
+export async function findPasswordToken(token) {
+  const { data, error } = await supabase
+    .from('user_password_tokens')
+    .select('id, purpose, expires_at, user:users!user_password_tokens_user_id_fkey (id, email, first_name, last_name, is_active)')
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data?.user?.is_active) return null;
+  return data;
+}
+
+/**
+ * Mark a token used. Only one caller can consume a token.
+ * @param {string} token
+ * @returns {Promise<{ user_id: string, purpose: string } | null>}
+ */
+export async function consumePasswordToken(token) {
+  const { data, error } = await supabase
+    .from('user_password_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id, purpose')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+const EMAILS = {
+  invite: (user, link) => ({
+    subject: 'You have been invited to PackTrack',
+    text: `Hi ${user.first_name},\n\nAn account has been created for you on PackTrack. ` +
+      `Set your password to sign in:\n\n${link}\n\n` +
+      `This link expires in ${EXPIRY_MINUTES.invite / 60} hours.`
+  }),
+  password_reset: (user, link) => ({
+    subject: 'Reset your PackTrack password',
+    text: `Hi ${user.first_name},\n\nUse this link to set a new PackTrack password:\n\n${link}\n\n` +
+      `This link expires in ${EXPIRY_MINUTES.password_reset} minutes. ` +
+      'If you did not ask for a reset, you can ignore this email.'
+  })
+};
+
+/**
+ * Email a link through the email notification transport
+ * (NOTIFICATION_TRANSPORT=console|file for local testing)
+ * @param {{ email: string, first_name: string }} user
+ * @param {'invite'|'password_reset'} purpose
+ * @param {string} token
+ * @returns {Promise<boolean>} false when email is not configured or sending failed
+ */
+export async function sendPasswordEmail(user, purpose, token) {
+  const transport = getTransport('email');
+  if (!transport?.isConfigured()) return false;
+
+  try {
+    await transport.send({
+      channel: 'email',
+      to: user.email,
+      ...EMAILS[purpose](user, passwordLink(token)),
+      payload: { event: purpose }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send ${purpose} email:`, error.message);
+    return false;
+  }
+}
@@ -0,0 +1,221 @@
+import { supabase } from '../db/supabase.js';
+
+/**
+ * Named permissions and the roles that hold them by default.
+ * The role_permissions table (migration 18) holds the current grants and
+ * is seeded from these defaults; admins edit it from Settings. Admin
+ * always holds every permission so nobody can lock themselves out.
+ */
+export const PERMISSIONS = {
+  'loads.create': {
+    group: 'Loads',
+    label: 'Create and duplicate loads',
+    defaultRoles: ['dispatcher', 'farm_user']
+  },
+  'loads.edit': {
+    group: 'Loads',
+    label: 'Edit loads before dispatch',
+    defaultRoles: ['dispatcher', 'farm_user']
+  },
+  'loads.delete': {
+    group: 'Loads',
+    label: 'Delete scheduled loads',
+    defaultRoles: []
+  },
+  'loads.farm_times': {
+    group: 'Loads',
+    label: 'Record farm arrival and departure',
+    defaultRoles: ['dispatcher', 'farm_user']
+  },
+  'loads.dispatch': {
+    group: 'Loads',
+    label: 'Start loading and confirm dispatch',
+    defaultRoles: ['dispatcher', 'farm_user']
+  },
+  'loads.transit': {
+    group: 'Loads',
+    label: 'Mark loads in transit',
+    defaultRoles: ['dispatcher']
+  },
+  'loads.receive': {
+    group: 'Loads',
+    label: 'Record depot arrival, unloading and receipt',
+    defaultRoles: ['dispatcher', 'depot_user']
+  },
+  'loads.cancel': {
+    group: 'Loads',
+    label: 'Cancel loads',
+    defaultRoles: ['dispatcher']
+  },
+  'loads.import': {
+    group: 'Loads',
+    label: 'Import the load register as history, including completed loads',
+    defaultRoles: []
+  },
+  'inventory.adjust': {
+    group: 'Inventory',
+    label: 'Adjust balances and view reconciliation',
+    defaultRoles: ['dispatcher']
+  },
+  'inventory.rebuild': {
+    group: 'Inventory',
+    label: 'Rebuild balances from the ledger',
+    defaultRoles: []
+  },
+  'stocktakes.count': {
+    group: 'Inventory',
+    label: 'Open, count and submit stock takes',
+    defaultRoles: ['dispatcher', 'farm_user', 'depot_user']
+  },
+  'stocktakes.approve': {
+    group: 'Inventory',
+    label: 'Approve and reject stock takes',
+    defaultRoles: ['dispatcher']
+  },
+  'planner.edit': {
+    group: 'Planner',
+    label: 'Create and edit schedules, convert them to loads',
+    defaultRoles: ['dispatcher']
+  },
+  'planner.delete': {
+    group: 'Planner',
+    label: 'Delete schedules',
+    defaultRoles: []
+  },
+  'reports.finance': {
+    group: 'Reports',
+    label: 'Generate, issue and delete charge-back statements',
+    defaultRoles: ['dispatcher']
+  },
+  'reports.settle': {
+    group: 'Reports',
+    label: 'Settle charge-back statements',
+    defaultRoles: []
+  },
+  'alerts.manage': {
+    group: 'Alerts',
+    label: 'Run checks, assign and resolve any alert',
+    defaultRoles: ['dispatcher']
+  },
+  'notifications.manage': {
+    group: 'Alerts',
+    label: 'Manage everyone\'s notification subscriptions and view the log',
+    defaultRoles: ['dispatcher']
+  },
+  'notifications.test': {
+    group: 'Alerts',
+    label: 'Send test notifications',
+    defaultRoles: []
+  },
+  'sites.manage': {
+    group: 'Administration',
+    label: 'Create, edit and delete sites',
+    defaultRoles: []
+  },
+  'packaging.manage': {
+    group: 'Administration',
+    label: 'Create, edit and delete packaging types',
+    defaultRoles: []
+  },
+  'fleet.manage': {
+    group: 'Administration',
+    label: 'Manage vehicles, drivers and channels',
+    defaultRoles: []
+  },
+  'users.manage': {
+    group: 'Administration',
+    label: 'Manage users',
+    defaultRoles: []
+  },
+  'roles.manage': {
+    group: 'Administration',
+    label: 'Edit role permissions',
+    defaultRoles: []
+  },
+  'api_keys.manage': {
+    group: 'Administration',
+    label: 'Manage service accounts and API keys',
+    defaultRoles: []
+  },
+  'webhooks.manage': {
+    group: 'Administration',
+    label: 'Manage outbound webhooks',
+    defaultRoles: []
+  },
+  'audit.view': {
+    group: 'Administration',
+    label: 'Search the audit log',
+    defaultRoles: []
+  }
+};
+
+export const ROLES = ['admin', 'dispatcher', 'farm_user', 'depot_user', 'readonly'];
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// role -> { permissions, loadedAt }
+const cache = new Map();
+
+/**
+ * Permissions currently granted to a role (cached for a minute)
+ * @param {string} role
+ * @returns {Promise<string[]>}
+ */
+export async function getRolePermissions(role) {
+  if (role === 'admin') return Object.keys(PERMISSIONS);
+
+  const cached = cache.get(role);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const { data, error } = await supabase
+    .from('role_permissions')
+    .select('permission')
+    .eq('role', role);
+
+  if (error) throw error;
+
+  // Grants for permissions that no longer exist are ignored
+  const permissions = data.map(r => r.permission).filter(p => PERMISSIONS[p]);
+  cache.set(role, { permissions, loadedAt: Date.now() });
+
+  return permissions;
+}
+
+/**
+ * Replace a role's permissions
+ * @param {string} role - Any role but admin
+ * @param {string[]} permissions - Keys of PERMISSIONS
+ */
+export async function setRolePermissions(role, permissions) {
+  const { error: deleteError } = await supabase
+    .from('role_permissions')
+    .delete()
+    .eq('role', role)
+    .not('permission', 'in', `(${permissions.join(',')})`);
+
+  if (deleteError) throw deleteError;
+
+  if (permissions.length > 0) {
+    const { error } = await supabase
+      .from('role_permissions')
+      .upsert(permissions.map(permission => ({ role, permission })), {
+        onConflict: 'role,permission',
+        ignoreDuplicates: true
+      });
+
+    if (error) throw error;
+  }
+
+  cache.delete(role);
+}
+
+/**
+ * Whether an authenticated user holds a permission
+ * @param {object} user - req.user, with permissions loaded by authenticate
+ * @param {string} permission - Key of PERMISSIONS
+ */
+export function hasPermission(user, permission) {
+  return Boolean(user?.permissions?.includes(permission));
+}
@@ -0,0 +1,393 @@
+import { supabase } from '../db/supabase.js';
+import { canAccessSite, getSiteScope } from '../middleware/siteScope.js';
+import { fillMilestones, loadLeadTimeTemplates } from './leadTimes.js';
+import {
+  DAY_NAMES,
+  createChannelMatcher,
+  createSiteMatcher,
+  isSheetError,
+  normalizeName,
+  parseSheetCount,
+  parseSheetDate,
+  parseSheetText,
+  parseSheetTime
+} from './sheetParsing.js';
+
+/**
+ * Import of the weekly packaging demand planner sheet (see
+ * "packaging demand planner.md") into dispatch_schedules. Rows are grouped
+ * under section headings such as "Harare - Retail"; a blank line ends a
+ * section. The sheet's crate and bin counts become packaging lines of the
+ * first crate and bin packaging types by code.
+ */
+
+// Column positions in the sheet
+const COLUMNS = {
+  dispatchDay: 0,
+  dispatchDate: 1,
+  dispatchTime: 2,
+  arrivalDay: 3,
+  arrivalDate: 4,
+  farm: 5,
+  destination: 6,
+  channel: 7,
+  packaging: 8,
+  crates: 9,
+  bins: 10,
+  packagingEtaFarm: 11,
+  packagingSuppliedDate: 12,
+  ripeningStartDate: 13,
+  salesDespatchDate: 14,
+  packagingCollectionDate: 15,
+  truckAllocation: 16,
+  packagingDeliveryFarmDate: 17
+};
+
+// Milestone dates: sheet column, schedule column, label
+const MILESTONE_DATES = [
+  ['packagingEtaFarm', 'packaging_eta_farm', 'Packaging ETA (Farm)'],
+  ['packagingSuppliedDate', 'packaging_supplied_date', 'Packaging Supplied'],
+  ['ripeningStartDate', 'ripening_start_date', 'Ripening Start'],
+  ['salesDespatchDate', 'sales_despatch_date', 'Despatch Day (Sales)'],
+  ['packagingCollectionDate', 'packaging_collection_date', 'Packaging Collection (Depots)'],
+  ['packagingDeliveryFarmDate', 'packaging_delivery_farm_date', 'Packaging Delivery (Farms)']
+];
+
+/**
+ * @param {string[]} cells
+ */
+function isBlank(cells) {
+  return cells.every(cell => cell === '');
+}
+
+/**
+ * The two header rows: "Dispatch Date Farm ..." and "Day  Date ..."
+ * @param {string[]} cells
+ */
+function isHeader(cells) {
+  const first = normalizeName(cells[0]);
+  return first.startsWith('dispatchdate') || (first === 'day' && normalizeName(cells[1]) === 'date');
+}
+
+/**
+ * Section heading such as "Harare - Retail": text in the first cell only
+ * @param {string[]} cells
+ */
+function isSection(cells) {
+  return cells[0] !== '' && cells.slice(1).every(cell => cell === '');
+}
+
+/**
+ * Data rows with their line numbers and section heading
+ * @param {string} text
+ * @returns {{ line: number, section: string|null, cells: string[] }[]}
+ */
+export function parsePlannerSheet(text) {
+  const rows = [];
+  let section = null;
+
+  parseSheetText(text).forEach((cells, index) => {
+    if (isBlank(cells)) {
+      section = null;
+    } else if (isHeader(cells)) {
+      section = null;
+    } else if (isSection(cells)) {
+      section = cells[0];
+    } else {
+      rows.push({ line: index + 1, section, cells });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Reference data for matching sheet values
+ */
+async function loadReferenceData() {
+  const [sitesRes, channelsRes, packagingRes, leadTimes] = await Promise.all([
+    supabase.from('sites').select('id, code, name, city, site_types (name)').eq('is_active', true),
+    supabase.from('channels').select('id, code, name'),
+    supabase.from('packaging_types').select('id, code').eq('is_active', true).order('code'),
+    loadLeadTimeTemplates()
+  ]);
+
+  if (sitesRes.error) throw sitesRes.error;
+  if (channelsRes.error) throw channelsRes.error;
+  if (packagingRes.error) throw packagingRes.error;
+
+  const typeFor = (part) => packagingRes.data.find(pt => pt.code.toUpperCase().includes(part)) || null;
+
+  return {
+    matchSite: createSiteMatcher(sitesRes.data),
+    matchChannel: createChannelMatcher(channelsRes.data),
+    sheetPackaging: { crates: typeFor('CRATE'), bins: typeFor('BIN') },
+    leadTimes
+  };
+}
+
+/**
+ * @param {object} schedule - Insert row
+ * @param {Array<{ packaging_type_id: string, quantity: number }>} packaging - Its lines
+ */
+function scheduleKey(schedule, packaging) {
+  return [
+    schedule.dispatch_date, schedule.origin_site_id, schedule.destination_site_id, schedule.channel_id,
+    ...packaging.map(line => `${line.packaging_type_id}:${line.quantity}`).sort()
+  ].join('|');
+}
+
+/**
+ * Keys of schedules already planned in the sheet's date range
+ * @param {object[]} schedules - Insert rows
+ */
+async function loadExistingKeys(schedules) {
+  const dates = schedules.map(s => s.dispatch_date).sort();
+  if (dates.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('dispatch_schedules')
+    .select('dispatch_date, origin_site_id, destination_site_id, channel_id, dispatch_schedule_packaging (packaging_type_id, quantity)')
+    .gte('dispatch_date', dates[0])
+    .lte('dispatch_date', dates[dates.length - 1])
+    .neq('status', 'cancelled');
+
+  if (error) throw error;
+  return new Set(data.map(schedule => scheduleKey(schedule, schedule.dispatch_schedule_packaging || [])));
+}
+
+/**
+ * Check a sheet day name against the date next to it
+ * @param {string} dayName
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} label
+ * @param {string[]} warnings
+ */
+function checkDayName(dayName, date, label, warnings) {
+  if (!dayName || !date) return;
+
+  const actual = DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  if (normalizeName(actual).slice(0, 3) !== normalizeName(dayName).slice(0, 3)) {
+    warnings.push(`${label} day ${dayName} does not match ${date} (${actual})`);
+  }
+}
+
+/**
+ * Turn one sheet row into a schedule insert row with its errors and
+ * warnings. Milestone dates the sheet leaves blank or broken come from
+ * the lead-time templates.
+ */
+function buildRow({ line, section, cells }, { matchSite, matchChannel, sheetPackaging, leadTimes }, user) {
+  const cell = (column) => cells[COLUMNS[column]] || '';
+  const errors = [];
+  const warnings = [];
+  const notes = [];
+
+  // Section headings name the destination and channel for their rows
+  const [sectionDestination, sectionChannel] = (section || '').split(' - ').map(part => part.trim());
+
+  const dispatchDate = parseSheetDate(cell('dispatchDate'));
+  if (!dispatchDate) errors.push(`Dispatch date "${cell('dispatchDate')}" is not a date`);
+  checkDayName(cell('dispatchDay'), dispatchDate, 'Dispatch', warnings);
+
+  const arrivalDate = parseSheetDate(cell('arrivalDate'));
+  if (!arrivalDate) errors.push(`Arrival date "${cell('arrivalDate')}" is not a date`);
+  checkDayName(cell('arrivalDay'), arrivalDate, 'Arrival', warnings);
+
+  if (dispatchDate && arrivalDate && arrivalDate < dispatchDate) {
+    errors.push('Arrival date is before the dispatch date');
+  }
+
+  let dispatchTime = null;
+  if (cell('dispatchTime')) {
+    dispatchTime = parseSheetTime(cell('dispatchTime'));
+    if (!dispatchTime) warnings.push(`Dispatch time "${cell('dispatchTime')}" ignored`);
+  }
+
+  const farm = cell('farm');
+  const origin = matchSite(farm);
+  if (!origin.site) errors.push(`Farm "${farm}" ${origin.error}`);
+
+  const destinationName = cell('destination') || sectionDestination || '';
+  const destination = matchSite(destinationName);
+  if (!destination.site) errors.push(`Destination "${destinationName}" ${destination.error}`);
+
+  if (origin.site && destination.site && origin.site.id === destination.site.id) {
+    errors.push('Farm and destination are the same site');
+  }
+
+  const siteIds = [origin.site?.id, destination.site?.id].filter(Boolean);
+  if (getSiteScope(user) && siteIds.length === 2 && !siteIds.some(id => canAccessSite(user, id))) {
+    errors.push('Neither site is your assigned site');
+  }
+
+  const channelName = cell('channel') || sectionChannel || '';
+  const { channel, unmatched } = matchChannel(channelName);
+  let customerName = null;
+  if (!channel && channelName) {
+    // Customers such as Willsgrove sit in the channel column
+    customerName = channelName;
+    warnings.push(`Channel "${channelName}" not recognised; kept as the customer`);
+  } else if (channel && unmatched.length > 0) {
+    warnings.push(`"${unmatched.join('/')}" not recognised as a channel`);
+  }
+  if (channelName.includes('/')) notes.push(`Channels: ${channelName}`);
+
+  const counts = {};
+  const packagingLines = [];
+  for (const column of ['crates', 'bins']) {
+    const count = parseSheetCount(cell(column));
+    if (Number.isNaN(count)) errors.push(`${column === 'crates' ? 'Crates' : 'Bins'} "${cell(column)}" is not a whole number`);
+    counts[column] = Number.isNaN(count) ? 0 : count || 0;
+    if (!counts[column]) continue;
+
+    const type = sheetPackaging[column];
+    if (type) {
+      packagingLines.push({ packaging_type_id: type.id, packaging_code: type.code, quantity: counts[column] });
+    } else {
+      errors.push(`No ${column === 'crates' ? 'crate' : 'bin'} packaging type to book the ${column} against`);
+    }
+  }
+
+  const packaging = cell('packaging');
+  if (packaging && !['crates', 'bins'].includes(normalizeName(packaging))) {
+    notes.push(`Packaging: ${packaging}`);
+  }
+  if (!counts.crates && !counts.bins) warnings.push('No crate or bin quantity');
+
+  const milestones = {};
+  const unreadable = [];
+  for (const [column, field, label] of MILESTONE_DATES) {
+    const value = cell(column);
+    milestones[field] = null;
+    if (!value) continue;
+
+    if (isSheetError(value)) {
+      unreadable.push([field, `${label} has spreadsheet error ${value}`]);
+    } else {
+      milestones[field] = parseSheetDate(value);
+      if (!milestones[field]) unreadable.push([field, `${label} "${value}" is not a date`]);
+    }
+  }
+
+  if (cell('truckAllocation')) notes.push(`Truck allocation: ${cell('truckAllocation')}`);
+
+  const schedule = {
+    dispatch_date: dispatchDate,
+    dispatch_time: dispatchTime,
+    expected_arrival_date: arrivalDate,
+    origin_site_id: origin.site?.id || null,
+    origin_code: origin.site?.code || null,
+    destination_site_id: destination.site?.id || null,
+    destination_code: destination.site?.code || null,
+    channel_id: channel?.id || null,
+    channel_name: channel?.name || null,
+    ...milestones,
+    customer_name: customerName,
+    notes: ['Imported from planner sheet', ...notes].join('; ')
+  };
+
+  const filled = fillMilestones(schedule, leadTimes);
+  for (const [field, message] of unreadable) {
+    warnings.push(filled.includes(field)
+      ? `${message}; filled from lead times (${schedule[field]})`
+      : `${message}; left blank`);
+  }
+
+  return {
+    line,
+    section,
+    farm,
+    destination: destinationName,
+    channel: channelName,
+    errors,
+    warnings,
+    schedule,
+    packaging: packagingLines
+  };
+}
+
+/**
+ * Parse and check a planner sheet without saving anything
+ * @param {string} text - Sheet contents
+ * @param {object} user - req.user
+ * @returns {Promise<{ rows: object[], summary: object }>} Rows flagged
+ *   duplicate match a schedule that already exists or an earlier row of
+ *   the sheet, and are not imported
+ */
+export async function previewPlannerImport(text, user) {
+  const reference = await loadReferenceData();
+  const rows = parsePlannerSheet(text).map(row => buildRow(row, reference, user));
+
+  const existingKeys = await loadExistingKeys(rows.filter(r => r.errors.length === 0).map(r => r.schedule));
+  // A row repeated in the sheet is only imported once
+  const firstLines = new Map();
+  for (const row of rows) {
+    row.duplicate = false;
+    if (row.errors.length > 0) continue;
+
+    const key = scheduleKey(row.schedule, row.packaging);
+    if (existingKeys.has(key)) {
+      row.duplicate = true;
+      row.warnings.push('Already planned; will be skipped');
+    } else if (firstLines.has(key)) {
+      row.duplicate = true;
+      row.warnings.push(`Same as line ${firstLines.get(key)}; will be skipped`);
+    } else {
+      firstLines.set(key, row.line);
+    }
+  }
+
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      valid: rows.filter(r => r.errors.length === 0 && !r.duplicate).length,
+      invalid: rows.filter(r => r.errors.length > 0).length,
+      duplicates: rows.filter(r => r.duplicate).length
+    }
+  };
+}
+
+/**
+ * Import a planner sheet. Rows with errors and schedules that already
+ * exist are skipped.
+ * @param {string} text - Sheet contents
+ * @param {object} user - req.user
+ * @returns {Promise<{ created: object[], summary: object }>}
+ */
+export async function commitPlannerImport(text, user) {
+  const { rows, summary } = await previewPlannerImport(text, user);
+  const toCreate = rows.filter(r => r.errors.length === 0 && !r.duplicate);
+
+  if (toCreate.length === 0) return { created: [], summary };
+
+  const { data, error } = await supabase
+    .from('dispatch_schedules')
+    .insert(toCreate.map(({ schedule: { origin_code, destination_code, channel_name, ...schedule } }) => ({
+      ...schedule,
+      status: 'planned',
+      created_by: user.id
+    })))
+    .select('id, dispatch_date');
+
+  if (error) throw error;
+
+  // Inserted rows come back in the order they were sent
+  const lines = data.flatMap((created, index) => toCreate[index].packaging.map(({ packaging_code, ...line }) => ({
+    ...line,
+    schedule_id: created.id
+  })));
+
+  if (lines.length > 0) {
+    const { error: linesError } = await supabase.from('dispatch_schedule_packaging').insert(lines);
+
+    if (linesError) {
+      // Leave no schedules without their packaging
+      await supabase.from('dispatch_schedules').delete().in('id', data.map(s => s.id));
+      throw linesError;
+    }
+  }
+
+  return { created: data, summary };
+}
@@ -0,0 +1,640 @@
+import { supabase } from '../db/supabase.js';
+import { getSchedulePackaging, replaceSchedulePackaging } from './schedulePackaging.js';
+
+/**
+ * Recurring dispatch schedules. A series is its first schedule (the
+ * parent: is_recurring, holding the rule) plus child rows generated for
+ * each later occurrence up to a rolling horizon. New occurrences copy the
+ * parent, packaging lines included, with every date moved by the same
+ * number of days. Occurrences edited on their own are exceptions and are
+ * never regenerated; ones deleted on their own are remembered in
+ * recurrence_skip_dates.
+ */
+
+export const RECURRENCE_PATTERNS = ['weekly', 'biweekly', 'monthly'];
+
+export const HOLIDAY_RULES = ['skip', 'next_day', 'ignore'];
+
+export const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Dates that move with the dispatch date when an occurrence is generated
+const RELATIVE_DATE_COLUMNS = [
+  'expected_arrival_date',
+  'packaging_eta_farm',
+  'ripening_start_date',
+  'sales_despatch_date',
+  'packaging_collection_date',
+  'packaging_delivery_farm_date'
+];
+
+// Columns every occurrence copies from its series
+const SERIES_COLUMNS = [
+  'dispatch_time', 'expected_arrival_time',
+  'origin_site_id', 'destination_site_id', 'channel_id',
+  'vehicle_id', 'driver_id', 'customer_name', 'product_type', 'notes'
+];
+
+// The rule, which moves to whichever row leads the series
+const RULE_COLUMNS = [
+  'recurrence_pattern', 'recurrence_weekdays', 'recurrence_day_of_week',
+  'recurrence_day_of_month', 'recurrence_end_date', 'recurrence_holiday_rule'
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ */
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ */
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Monday of a date's week
+ * @param {string} date - YYYY-MM-DD
+ */
+function mondayOf(date) {
+  return shiftDate(date, -((weekday(date) + 6) % 7));
+}
+
+/**
+ * Rule columns for a new series starting on a date. Weekly series default
+ * to the start date's weekday, monthly ones to its day of the month.
+ * @param {string} dispatchDate - YYYY-MM-DD
+ * @param {{ pattern: string, weekdays?: number[], endDate?: string|null, holidayRule?: string }} rule
+ */
+export function buildRule(dispatchDate, { pattern, weekdays, endDate, holidayRule }) {
+  const days = weekdays?.length ? [...new Set(weekdays)].sort((a, b) => a - b) : [weekday(dispatchDate)];
+
+  return {
+    is_recurring: true,
+    recurrence_pattern: pattern,
+    recurrence_weekdays: pattern === 'monthly' ? null : days,
+    recurrence_day_of_week: pattern === 'monthly' ? null : days[0],
+    recurrence_day_of_month: pattern === 'monthly' ? Number(dispatchDate.slice(8, 10)) : null,
+    recurrence_end_date: endDate || null,
+    recurrence_holiday_rule: holidayRule || 'skip',
+    occurrence_date: dispatchDate
+  };
+}
+
+/**
+ * Occurrence dates the rule gives between two dates, before holidays
+ * and skipped dates are taken out
+ * @param {object} parent - Series parent row
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export function ruleDates(parent, from, to) {
+  const start = parent.occurrence_date || parent.dispatch_date;
+  const first = from > start ? from : start;
+  const last = parent.recurrence_end_date && parent.recurrence_end_date < to ? parent.recurrence_end_date : to;
+  const dates = [];
+
+  if (parent.recurrence_pattern === 'monthly') {
+    const dayOfMonth = parent.recurrence_day_of_month || Number(start.slice(8, 10));
+    let year = Number(first.slice(0, 4));
+    let month = Number(first.slice(5, 7));
+
+    for (;;) {
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(Math.min(dayOfMonth, lastDay)).padStart(2, '0')}`;
+      if (date > last) break;
+      if (date >= first) dates.push(date);
+      if (++month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return dates;
+  }
+
+  const weekdays = parent.recurrence_weekdays?.length
+    ? parent.recurrence_weekdays
+    : [parent.recurrence_day_of_week ?? weekday(start)];
+  const everyWeeks = parent.recurrence_pattern === 'biweekly' ? 2 : 1;
+  const startWeek = mondayOf(start);
+
+  for (let date = first; date <= last; date = shiftDate(date, 1)) {
+    const weeks = daysBetween(startWeek, mondayOf(date)) / 7;
+    if (weeks % everyWeeks === 0 && weekdays.includes(weekday(date))) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Public holiday dates from a date onwards
+ * @param {string} from - YYYY-MM-DD
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadHolidayDates(from) {
+  const { data, error } = await supabase
+    .from('public_holidays')
+    .select('holiday_date')
+    .gte('holiday_date', from);
+
+  if (error) throw error;
+  return new Set(data.map(h => h.holiday_date));
+}
+
+/**
+ * Dispatch date for each occurrence the series should have in a window,
+ * by occurrence date
+ * @param {object} parent - Series parent row
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {Set<string>} holidays
+ * @returns {Map<string, string>}
+ */
+function plannedOccurrences(parent, from, to, holidays) {
+  const skipped = new Set(parent.recurrence_skip_dates || []);
+  const planned = new Map();
+
+  for (const date of ruleDates(parent, from, to)) {
+    if (skipped.has(date)) continue;
+
+    let dispatchDate = date;
+    if (holidays.has(date)) {
+      if (parent.recurrence_holiday_rule === 'skip') continue;
+      if (parent.recurrence_holiday_rule === 'next_day') {
+        while (holidays.has(dispatchDate)) dispatchDate = shiftDate(dispatchDate, 1);
+      }
+    }
+    planned.set(date, dispatchDate);
+  }
+  return planned;
+}
+
+/**
+ * Insert row for one occurrence, copied from the series parent
+ * @param {object} parent
+ * @param {string} occurrenceDate - YYYY-MM-DD
+ * @param {string} dispatchDate - YYYY-MM-DD
+ */
+function buildOccurrence(parent, occurrenceDate, dispatchDate) {
+  const offset = daysBetween(parent.dispatch_date, dispatchDate);
+  const occurrence = {
+    parent_schedule_id: parent.id,
+    occurrence_date: occurrenceDate,
+    dispatch_date: dispatchDate,
+    status: 'planned',
+    created_by: parent.created_by
+  };
+
+  for (const column of SERIES_COLUMNS) occurrence[column] = parent[column];
+  for (const column of RELATIVE_DATE_COLUMNS) {
+    occurrence[column] = parent[column] ? shiftDate(parent[column], offset) : null;
+  }
+  return occurrence;
+}
+
+/**
+ * Whether regeneration may replace an occurrence: not yet dispatched,
+ * still planned and never edited on its own
+ * @param {object} row
+ */
+function isReplaceable(row) {
+  return !row.load_id && !row.is_recurrence_exception && row.status === 'planned';
+}
+
+/**
+ * Days ahead the generator keeps occurrences for
+ */
+function defaultHorizonDays() {
+  return parseInt(process.env.RECURRENCE_HORIZON_DAYS || '56');
+}
+
+/**
+ * Bring one series in line with its rule from today to the horizon:
+ * add missing occurrences and remove replaceable ones the rule no longer
+ * gives (such as a day made a public holiday)
+ * @param {object} parent - Series parent row
+ * @param {{ horizonDays?: number, holidays?: Set<string> }} [options]
+ * @returns {Promise<{ created: number, removed: number }>}
+ */
+export async function syncSeries(parent, { horizonDays = defaultHorizonDays(), holidays } = {}) {
+  const from = today();
+  const to = shiftDate(from, horizonDays);
+  const holidayDates = holidays || await loadHolidayDates(from);
+  const planned = plannedOccurrences(parent, from, to, holidayDates);
+
+  const { data: children, error } = await supabase
+    .from('dispatch_schedules')
+    .select('id, occurrence_date, dispatch_date, status, load_id, is_recurrence_exception')
+    .eq('parent_schedule_id', parent.id)
+    .gte('occurrence_date', from);
+
+  if (error) throw error;
+
+  const existing = new Set([parent.occurrence_date]);
+  const stale = [];
+  for (const child of children) {
+    if (isReplaceable(child) && planned.get(child.occurrence_date) !== child.dispatch_date) {
+      stale.push(child.id);
+    } else {
+      existing.add(child.occurrence_date);
+    }
+  }
+
+  if (stale.length > 0) {
+    const { error: deleteError } = await supabase.from('dispatch_schedules').delete().in('id', stale);
+    if (deleteError) throw deleteError;
+  }
+
+  const missing = [...planned].filter(([date]) => !existing.has(date));
+  if (missing.length > 0) {
+    const { data: inserted, error: insertError } = await supabase
+      .from('dispatch_schedules')
+      .insert(missing.map(([date, dispatchDate]) => buildOccurrence(parent, date, dispatchDate)))
+      .select('id');
+    if (insertError) throw insertError;
+
+    const lines = await getSchedulePackaging(parent.id);
+    if (lines.length > 0) await replaceSchedulePackaging(inserted.map(row => row.id), lines);
+  }
+
+  return { created: missing.length, removed: stale.length };
+}
+
+/**
+ * Generate occurrences for every running series
+ * @param {{ horizonDays?: number }} [options]
+ * @returns {Promise<{ series: number, created: number, removed: number }>}
+ */
+export async function generateRecurringSchedules({ horizonDays = defaultHorizonDays() } = {}) {
+  const from = today();
+
+  const { data: parents, error } = await supabase
+    .from('dispatch_schedules')
+    .select('*')
+    .eq('is_recurring', true)
+    .is('parent_schedule_id', null)
+    .neq('status', 'cancelled')
+    .or(`recurrence_end_date.is.null,recurrence_end_date.gte.${from}`);
+
+  if (error) throw error;
+
+  const holidays = await loadHolidayDates(from);
+  const totals = { series: parents.length, created: 0, removed: 0 };
+
+  for (const parent of parents) {
+    const { created, removed } = await syncSeries(parent, { horizonDays, holidays });
+    totals.created += created;
+    totals.removed += removed;
+  }
+  return totals;
+}
+
+/**
+ * Series parent of a schedule, or null for a one-off schedule
+ * @param {object} schedule
+ */
+export async function getSeriesParent(schedule) {
+  if (!schedule.parent_schedule_id) return schedule.is_recurring ? schedule : null;
+
+  const { data, error } = await supabase
+    .from('dispatch_schedules')
+    .select('*')
+    .eq('id', schedule.parent_schedule_id)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Start a new series at one of an existing series' occurrences: that
+ * occurrence takes over the rule and every later occurrence, and the old
+ * series ends the day before
+ * @param {object} parent - Current series parent
+ * @param {object} occurrence - Child row to lead the new series
+ * @returns {Promise<object>} The new parent row
+ */
+async function splitSeries(parent, occurrence) {
+  const rule = Object.fromEntries(RULE_COLUMNS.map(column => [column, parent[column]]));
+
+  const { data: newParent, error } = await supabase
+    .from('dispatch_schedules')
+    .update({
+      ...rule,
+      is_recurring: true,
+      parent_schedule_id: null,
+      is_recurrence_exception: false,
+      recurrence_skip_dates: (parent.recurrence_skip_dates || []).filter(d => d > occurrence.occurrence_date),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', occurrence.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: moveError } = await supabase
+    .from('dispatch_schedules')
+    .update({ parent_schedule_id: newParent.id })
+    .eq('parent_schedule_id', parent.id)
+    .gt('occurrence_date', occurrence.occurrence_date);
+
+  if (moveError) throw moveError;
+
+  const { error: endError } = await supabase
+    .from('dispatch_schedules')
+    .update({ recurrence_end_date: shiftDate(occurrence.occurrence_date, -1), updated_at: new Date().toISOString() })
+    .eq('id', parent.id);
+
+  if (endError) throw endError;
+  return newParent;
+}
+
+/**
+ * Take a series parent out of its series, handing the series to its next
+ * occurrence. The parent is left a one-off schedule.
+ * @param {object} parent
+ */
+async function detachParent(parent) {
+  await syncSeries(parent);
+
+  const { data: next, error } = await supabase
+    .from('dispatch_schedules')
+    .select('*')
+    .eq('parent_schedule_id', parent.id)
+    .order('occurrence_date', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (next) {
+    await syncSeries(await splitSeries(parent, next));
+  }
+
+  const { error: detachError } = await supabase
+    .from('dispatch_schedules')
+    .update({ is_recurring: false, updated_at: new Date().toISOString() })
+    .eq('id', parent.id);
+
+  if (detachError) throw detachError;
+}
+
+/**
+ * Edit one occurrence of a series on its own
+ * @param {object} schedule - The occurrence
+ * @param {object} parent - Its series parent
+ * @param {object} updateData - Column values
+ */
+async function updateOccurrence(schedule, parent, updateData) {
+  if (schedule.id === parent.id) {
+    await detachParent(parent);
+  } else {
+    updateData.is_recurrence_exception = true;
+  }
+
+  const { data, error } = await supabase
+    .from('dispatch_schedules')
+    .update(updateData)
+    .eq('id', schedule.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Edit a schedule with series semantics.
+ * - this: only this occurrence, which becomes an exception
+ * - following: this occurrence and every later one, starting a new series
+ *   here when this is not already the first
+ * - all: every occurrence from the series start, or from the first one
+ *   not yet dispatched when the start is past
+ * Series edits skip occurrences that already have a load or were edited on
+ * their own, apply the rule columns, and may not move the dispatch date:
+ * change the rule's days instead.
+ * @param {object} schedule - Current row
+ * @param {object} updateData - Column values from the request
+ * @param {object|null} rule - New rule (see buildRule) for series edits
+ * @param {'this'|'following'|'all'} scope
+ * @param {object[]} [packaging] - New packaging lines; undefined keeps them
+ * @returns {Promise<{ schedule?: object, error?: string }>}
+ */
+export async function updateSeries(schedule, updateData, rule, scope, packaging) {
+  const parent = await getSeriesParent(schedule);
+
+  if (!parent) {
+    const { data, error } = await supabase
+      .from('dispatch_schedules')
+      .update(updateData)
+      .eq('id', schedule.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    if (packaging !== undefined) await replaceSchedulePackaging([schedule.id], packaging);
+    return { schedule: data };
+  }
+
+  if (scope === 'this') {
+    const data = await updateOccurrence(schedule, parent, updateData);
+    if (packaging !== undefined) await replaceSchedulePackaging([schedule.id], packaging);
+    return { schedule: data };
+  }
+
+  if (updateData.dispatch_date && updateData.dispatch_date !== schedule.dispatch_date) {
+    return { error: 'The dispatch date can only be changed for this occurrence; change the repeat days to move the series' };
+  }
+
+  let lead = parent;
+  if (scope === 'following' && schedule.id !== parent.id) {
+    lead = await splitSeries(parent, schedule);
+  } else if (scope === 'all' && (parent.load_id || parent.occurrence_date < today())) {
+    const { data: upcoming, error } = await supabase
+      .from('dispatch_schedules')
+      .select('*')
+      .eq('parent_schedule_id', parent.id)
+      .gte('occurrence_date', today())
+      .is('load_id', null)
+      .order('occurrence_date', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (upcoming) lead = await splitSeries(parent, upcoming);
+  }
+
+  // Dates given as offsets from this occurrence's dispatch date; each
+  // occurrence keeps its own dispatch date
+  const { status, packaging_supplied_date: suppliedDate, ...shared } = updateData;
+  delete shared.dispatch_date;
+  const offsets = {};
+  for (const column of RELATIVE_DATE_COLUMNS) {
+    if (shared[column] === undefined) continue;
+    offsets[column] = shared[column] ? daysBetween(schedule.dispatch_date, shared[column]) : null;
+    delete shared[column];
+  }
+
+  const { data: rows, error } = await supabase
+    .from('dispatch_schedules')
+    .select('id, dispatch_date, status, load_id, is_recurrence_exception')
+    .or(`id.eq.${lead.id},parent_schedule_id.eq.${lead.id}`);
+
+  if (error) throw error;
+
+  const targets = rows.filter(r => r.id === schedule.id || r.id === lead.id || isReplaceable(r));
+  for (const row of targets) {
+    const values = { ...shared };
+    for (const [column, offset] of Object.entries(offsets)) {
+      values[column] = offset === null ? null : shiftDate(row.dispatch_date, offset);
+    }
+    if (row.id === lead.id) Object.assign(values, rule || {}, { occurrence_date: lead.occurrence_date });
+    if (row.id === schedule.id) {
+      if (status !== undefined) values.status = status;
+      if (suppliedDate !== undefined) values.packaging_supplied_date = suppliedDate;
+    }
+
+    const { error: updateError } = await supabase.from('dispatch_schedules').update(values).eq('id', row.id);
+    if (updateError) throw updateError;
+  }
+
+  if (packaging !== undefined) await replaceSchedulePackaging(targets.map(row => row.id), packaging);
+
+  const { data: updatedLead, error: leadError } = await supabase
+    .from('dispatch_schedules')
+    .select('*')
+    .eq('id', lead.id)
+    .single();
+
+  if (leadError) throw leadError;
+  await syncSeries(updatedLead);
+
+  const { data, error: fetchError } = await supabase
+    .from('dispatch_schedules')
+    .select('*')
+    .eq('id', schedule.id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  return { schedule: data || updatedLead };
+}
+
+/**
+ * Delete a schedule with series semantics.
+ * - this: only this occurrence; the generator will not recreate it
+ * - following: this occurrence and every later one; the series ends the
+ *   day before
+ * - all: the whole series
+ * Like series edits, following/all deletes keep other occurrences that
+ * already have a load or were edited on their own: they stay as one-off
+ * schedules so dispatched history is not lost.
+ * @param {object} schedule - Current row
+ * @param {'this'|'following'|'all'} scope
+ * @returns {Promise<number>} Schedules deleted
+ */
+export async function deleteSeries(schedule, scope) {
+  const parent = await getSeriesParent(schedule);
+  const remove = async (ids) => {
+    if (ids.length === 0) return 0;
+    const { data, error } = await supabase.from('dispatch_schedules').delete().in('id', ids).select('id');
+    if (error) throw error;
+    return data.length;
+  };
+
+  if (!parent) {
+    return remove([schedule.id]);
+  }
+
+  // Occurrences a series delete removes; the rest leave the series
+  const removeOccurrences = async (from) => {
+    let query = supabase
+      .from('dispatch_schedules')
+      .select('id, status, load_id, is_recurrence_exception')
+      .eq('parent_schedule_id', parent.id);
+
+    if (from) query = query.gte('occurrence_date', from);
+
+    const { data: children, error } = await query;
+    if (error) throw error;
+
+    const kept = children.filter(c => c.id !== schedule.id && !isReplaceable(c)).map(c => c.id);
+    if (kept.length > 0) {
+      const { error: detachError } = await supabase
+        .from('dispatch_schedules')
+        .update({ parent_schedule_id: null, updated_at: new Date().toISOString() })
+        .in('id', kept);
+
+      if (detachError) throw detachError;
+    }
+
+    return remove(children.filter(c => !kept.includes(c.id)).map(c => c.id));
+  };
+
+  if (scope === 'all' || (scope === 'following' && schedule.id === parent.id)) {
+    const children = await removeOccurrences(null);
+
+    if (parent.id === schedule.id || isReplaceable(parent)) {
+      return children + await remove([parent.id]);
+    }
+
+    const { error } = await supabase
+      .from('dispatch_schedules')
+      .update({ is_recurring: false, updated_at: new Date().toISOString() })
+      .eq('id', parent.id);
+
+    if (error) throw error;
+    return children;
+  }
+
+  if (scope === 'following') {
+    const { error } = await supabase
+      .from('dispatch_schedules')
+      .update({ recurrence_end_date: shiftDate(schedule.occurrence_date, -1), updated_at: new Date().toISOString() })
+      .eq('id', parent.id);
+
+    if (error) throw error;
+    return removeOccurrences(schedule.occurrence_date);
+  }
+
+  if (schedule.id === parent.id) {
+    await detachParent(parent);
+  } else {
+    const { error } = await supabase
+      .from('dispatch_schedules')
+      .update({ recurrence_skip_dates: [...(parent.recurrence_skip_dates || []), schedule.occurrence_date] })
+      .eq('id', parent.id);
+
+    if (error) throw error;
+  }
+  return remove([schedule.id]);
+}
+
+/**
+ * Generate occurrences on an interval (long-running servers only)
+ * @param {number} [intervalMinutes]
+ */
+export function startRecurrenceScheduler(intervalMinutes = parseInt(process.env.RECURRENCE_GENERATION_INTERVAL_MINUTES || '60')) {
+  if (!intervalMinutes || intervalMinutes <= 0) return null;
+
+  return setInterval(() => {
+    generateRecurringSchedules().catch(error => {
+      console.error('Recurring schedule generation failed:', error);
+    });
+  }, intervalMinutes * 60 * 1000);
+}
@@ -0,0 +1,89 @@
+import { supabase } from '../db/supabase.js';
+
+/**
+ * Packaging lines of dispatch schedules: packaging types (and optionally
+ * products) with quantities, shaped like load_packaging so creating a
+ * load copies them line for line.
+ */
+
+// Embed for schedule selects
+export const SCHEDULE_PACKAGING_SELECT =
+  'dispatch_schedule_packaging (id, packaging_type_id, quantity, product_type_id, product_variety_id, product_grade_id, notes, packaging_types (id, code, name))';
+
+// Columns a line carries over to a copy
+const LINE_COLUMNS = ['packaging_type_id', 'quantity', 'product_type_id', 'product_variety_id', 'product_grade_id', 'notes'];
+
+/**
+ * Lines from a request body's packaging array
+ * @param {Array<{ packagingTypeId: string, quantity: number, productTypeId?: string, productVarietyId?: string, productGradeId?: string, notes?: string }>} packaging
+ * @returns {object[]} Rows without schedule_id
+ */
+export function packagingFromBody(packaging) {
+  return packaging.map(p => ({
+    packaging_type_id: p.packagingTypeId,
+    quantity: p.quantity,
+    product_type_id: p.productTypeId || null,
+    product_variety_id: p.productVarietyId || null,
+    product_grade_id: p.productGradeId || null,
+    notes: p.notes || null
+  }));
+}
+
+/**
+ * Copyable columns of stored lines
+ * @param {object[]} lines
+ */
+export function copyLines(lines) {
+  return lines.map(line => Object.fromEntries(LINE_COLUMNS.map(column => [column, line[column] ?? null])));
+}
+
+/**
+ * Lines of one schedule
+ * @param {string} scheduleId
+ */
+export async function getSchedulePackaging(scheduleId) {
+  const { data, error } = await supabase
+    .from('dispatch_schedule_packaging')
+    .select(LINE_COLUMNS.join(', '))
+    .eq('schedule_id', scheduleId)
+    .order('created_at');
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Give schedules exactly these lines, replacing any they had
+ * @param {string[]} scheduleIds
+ * @param {object[]} lines - Rows without schedule_id
+ */
+export async function replaceSchedulePackaging(scheduleIds, lines) {
+  if (scheduleIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('dispatch_schedule_packaging')
+    .delete()
+    .in('schedule_id', scheduleIds);
+
+  if (error) throw error;
+  if (lines.length === 0) return;
+
+  const { error: insertError } = await supabase
+    .from('dispatch_schedule_packaging')
+    .insert(scheduleIds.flatMap(scheduleId => copyLines(lines).map(line => ({ ...line, schedule_id: scheduleId }))));
+
+  if (insertError) throw insertError;
+}
+
+/**
+ * Total quantity per packaging type across lines
+ * @param {object[]} lines
+ * @returns {Map<string, number>}
+ */
+export function quantitiesByType(lines) {
+  const totals = new Map();
+  for (const line of lines || []) {
+    totals.set(line.packaging_type_id, (totals.get(line.packaging_type_id) || 0) + (line.quantity || 0));
+  }
+  return totals;
+}
@@ -0,0 +1,234 @@
+import { createHash, randomBytes } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabase } from '../db/supabase.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+// A session not refreshed for this long expires
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30');
+
+const SESSION_SELECT = 'id, ip_address, user_agent, created_at, last_used_at, expires_at';
+
+/**
+ * @param {string} secret
+ */
+function hashToken(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Where a session is used from
+ * @param {import('express').Request} req
+ */
+function clientInfo(req) {
+  return {
+    ip_address: (req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || '').slice(0, 100) || null,
+    user_agent: (req.headers['user-agent'] || '').slice(0, 500) || null
+  };
+}
+
+/**
+ * Split "<sessionId>.<secret>"
+ * @param {string} refreshToken
+ */
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+}
+
+/**
+ * Short-lived access token for a session
+ * @param {{ id: string, role: string }} user
+ * @param {string} sessionId
+ */
+export function issueAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {{ id: string, role: string }} user
+ * @param {import('express').Request} req
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+export async function createSession(user, req) {
+  const secret = randomBytes(32).toString('base64url');
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_id: user.id,
+      refresh_token_hash: hashToken(secret),
+      expires_at: refreshExpiry(),
+      ...clientInfo(req)
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  return {
+    token: issueAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access and refresh token. A refresh
+ * token works once: presenting an old one means it was copied, so the
+ * whole session is revoked.
+ * @param {string} refreshToken
+ * @param {import('express').Request} req
+ * @returns {Promise<{ userId: string, sessionId: string, refreshToken: string } | null>}
+ *   null when the token is invalid, expired or revoked
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const secret = randomBytes(32).toString('base64url');
+  const now = new Date().toISOString();
+
+  // Compare-and-swap on the current hash so two refreshes with the same
+  // token cannot both succeed
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .update({
+      refresh_token_hash: hashToken(secret),
+      last_used_at: now,
+      expires_at: refreshExpiry(),
+      ...clientInfo(req)
+    })
+    .eq('id', parsed.sessionId)
+    .eq('refresh_token_hash', hashToken(parsed.secret))
+    .is('revoked_at', null)
+    .gt('expires_at', now)
+    .select('id, user_id')
+    .maybeSingle();
+
+  if (error) {
+    // Malformed session ID
+    if (error.code === '22P02') return null;
+    throw error;
+  }
+
+  if (!session) {
+    await supabase
+      .from('user_sessions')
+      .update({ revoked_at: now, revoked_reason: 'refresh_token_reused' })
+      .eq('id', parsed.sessionId)
+      .neq('refresh_token_hash', hashToken(parsed.secret))
+      .is('revoked_at', null);
+    return null;
+  }
+
+  return { userId: session.user_id, sessionId: session.id, refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (sign out)
+ * @param {string} refreshToken
+ */
+export async function revokeRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return;
+
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: 'logout' })
+    .eq('id', parsed.sessionId)
+    .eq('refresh_token_hash', hashToken(parsed.secret))
+    .is('revoked_at', null);
+
+  if (error && error.code !== '22P02') throw error;
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {string} reason
+ * @returns {Promise<boolean>} false when the user has no such active session
+ */
+export async function revokeSession(userId, sessionId, reason) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    if (error.code === '22P02') return false;
+    throw error;
+  }
+  return data.length > 0;
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId
+ * @param {string} reason
+ * @param {string} [exceptSessionId] - Keep this one (the caller's own)
+ * @returns {Promise<number>} Sessions revoked
+ */
+export async function revokeUserSessions(userId, reason, exceptSessionId) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) throw error;
+  return data.length;
+}
+
+/**
+ * Whether an access token's session is still live
+ * @param {string} userId
+ * @param {string} sessionId
+ */
+export async function isSessionActive(userId, sessionId) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error && error.code !== '22P02') throw error;
+  return Boolean(data);
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId
+ */
+export async function listUserSessions(userId) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select(SESSION_SELECT)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
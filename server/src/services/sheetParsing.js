@@ -0,0 +1,193 @@
+/**
+ * Helpers for importing spreadsheets pasted or uploaded as text:
+ * tab-separated (copied from Excel) or CSV, with the loosely typed
+ * dates, times and names people type into them.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Split one CSV line, honouring double quotes
+ * @param {string} line
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+
+  return cells;
+}
+
+/**
+ * Rows of trimmed cells. Tab-separated when the text has tabs, CSV
+ * otherwise (quoted cells may not span lines).
+ * @param {string} text
+ * @returns {string[][]} One entry per line, so index + 1 is the line number
+ */
+export function parseSheetText(text) {
+  const lines = String(text).replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n');
+  const isTabSeparated = lines.some(line => line.includes('\t'));
+
+  return lines.map(line => (isTabSeparated ? line.split('\t') : splitCsvLine(line)).map(cell => cell.trim()));
+}
+
+/**
+ * Whether a cell holds an Excel error such as #REF! or #N/A
+ * @param {string} value
+ */
+export function isSheetError(value) {
+  return /^#(REF!|N\/A|VALUE!|DIV\/0!|NAME\?|NUM!|NULL!)$/i.test(String(value).trim());
+}
+
+/**
+ * @returns {string|null} YYYY-MM-DD, or null when the parts are not a real date
+ */
+function isoDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month, day));
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a date as typed into the sheets: "17-Nov-25", "Monday, 08-Dec-25",
+ * "10 -Dec -25", "07/12/2025" (day first) or "2025-12-07"
+ * @param {string} value
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseSheetDate(value) {
+  const text = String(value ?? '').trim();
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) return isoDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  match = text.match(/(\d{1,2})\s*[-/ ]\s*([A-Za-z]{3,9})\.?\s*[-/ ]\s*(\d{2}|\d{4})\b/);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase());
+    return month === -1 ? null : isoDate(Number(match[3]), month, Number(match[1]));
+  }
+
+  match = text.match(/(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (match) return isoDate(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+
+  return null;
+}
+
+/**
+ * Parse a time such as "18:00Hrs", "2048hrs" or "7.45"
+ * @param {string} value
+ * @returns {string|null} HH:MM
+ */
+export function parseSheetTime(value) {
+  const match = String(value ?? '').trim().match(/(?:^|\D)(\d{1,2})[:.h]?(\d{2})\s*(?:hrs?|h)?\.?$/i);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Parse a whole-number quantity; thousands separators are allowed
+ * @param {string} value
+ * @returns {number|null} null for a blank cell, NaN when not a whole number
+ */
+export function parseSheetCount(value) {
+  const text = String(value ?? '').trim().replace(/[,\s]/g, '');
+  if (text === '') return null;
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Lowercase letters and digits only, for comparing names
+ * @param {string} value
+ */
+export function normalizeName(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Match names in a sheet to sites: by code, then name, then name prefix,
+ * then city (a depot wins when a city has several sites)
+ * @param {object[]} sites - Rows with id, code, name, city and site_types (name)
+ * @returns {(value: string) => { site?: object, error?: string }}
+ */
+export function createSiteMatcher(sites) {
+  const unique = (matches) => (matches.length === 1 ? matches[0] : null);
+
+  return (value) => {
+    const key = normalizeName(value);
+    if (!key) return { error: 'missing' };
+
+    const byCode = unique(sites.filter(s => normalizeName(s.code) === key));
+    if (byCode) return { site: byCode };
+
+    const byName = unique(sites.filter(s => normalizeName(s.name) === key));
+    if (byName) return { site: byName };
+
+    const byPrefix = sites.filter(s => normalizeName(s.name).startsWith(key));
+    if (byPrefix.length === 1) return { site: byPrefix[0] };
+
+    const byCity = sites.filter(s => normalizeName(s.city) === key);
+    const depots = byCity.filter(s => s.site_types?.name === 'Depot');
+    const site = unique(byCity) || unique(depots);
+    if (site) return { site };
+
+    const candidates = byPrefix.length > 1 ? byPrefix : byCity;
+    if (candidates.length > 1) {
+      return { error: `matches several sites (${candidates.map(s => s.code).join(', ')})` };
+    }
+    return { error: 'not found' };
+  };
+}
+
+/**
+ * Match a channel cell such as "Vansales/Retail" to channels by code or
+ * name. The first part that matches is used.
+ * @param {object[]} channels - Rows with id, code and name
+ * @returns {(value: string) => { channel: object|null, unmatched: string[] }}
+ */
+export function createChannelMatcher(channels) {
+  const find = (part) => {
+    const key = normalizeName(part);
+    return channels.find(c => [normalizeName(c.code), normalizeName(c.name)].some(name => name === key || name === `${key}s`));
+  };
+
+  return (value) => {
+    const parts = String(value ?? '').split('/').map(p => p.trim()).filter(Boolean);
+    const matched = parts.map(find);
+
+    return {
+      channel: matched.find(Boolean) || null,
+      unmatched: parts.filter((part, i) => !matched[i])
+    };
+  };
+}
@@ -0,0 +1,333 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { supabase } from '../db/supabase.js';
+
+// Attempts before a delivery is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+// First retry delay; doubles after every failed attempt
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30');
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+// A claimed delivery is not picked up again by the retry job for this long
+const CLAIM_SECONDS = 120;
+
+/**
+ * Load lifecycle events a webhook can subscribe to
+ */
+export const WEBHOOK_EVENTS = {
+  'load.created': 'Load created',
+  'load.dispatched': 'Load dispatched',
+  'load.farm_arrived': 'Truck arrived at farm',
+  'load.farm_departed': 'Truck departed farm',
+  'load.received': 'Load received'
+};
+
+const LOAD_SELECT = `
+  id, load_number, status, dispatch_date, expected_arrival_date,
+  origin_site_id, destination_site_id, backload_site_id,
+  actual_departure_time, actual_arrival_time, actual_farm_arrival_time, actual_farm_departure_time,
+  on_time_status, has_discrepancy, discrepancy_notes, has_overtime, notes,
+  origin_site:sites!loads_origin_site_id_fkey (code, name),
+  destination_site:sites!loads_destination_site_id_fkey (code, name),
+  vehicles (name, registration),
+  drivers (first_name, last_name),
+  load_packaging (quantity_dispatched, quantity_received, quantity_damaged, quantity_missing, packaging_types (code, name)),
+  backload_packaging (quantity_returned, quantity_damaged, packaging_types (code, name))
+`;
+
+/**
+ * A new random signing secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 signature of "<timestamp>.<body>", hex encoded. Receivers
+ * recompute it from the X-Webhook-Timestamp header and the raw body.
+ * @param {string} secret
+ * @param {string|number} timestamp - Unix seconds
+ * @param {string} body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Seconds from now, as an ISO string
+ */
+function secondsFromNow(seconds) {
+  return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+/**
+ * Load snapshot sent in event payloads
+ */
+async function getLoadSnapshot(loadId) {
+  const { data: load, error } = await supabase
+    .from('loads')
+    .select(LOAD_SELECT)
+    .eq('id', loadId)
+    .single();
+
+  if (error) throw error;
+
+  return {
+    id: load.id,
+    load_number: load.load_number,
+    status: load.status,
+    dispatch_date: load.dispatch_date,
+    expected_arrival_date: load.expected_arrival_date,
+    origin_site: { id: load.origin_site_id, ...load.origin_site },
+    destination_site: { id: load.destination_site_id, ...load.destination_site },
+    backload_site_id: load.backload_site_id,
+    vehicle: load.vehicles ? { name: load.vehicles.name, registration: load.vehicles.registration } : null,
+    driver: load.drivers ? `${load.drivers.first_name} ${load.drivers.last_name}` : null,
+    actual_departure_time: load.actual_departure_time,
+    actual_arrival_time: load.actual_arrival_time,
+    actual_farm_arrival_time: load.actual_farm_arrival_time,
+    actual_farm_departure_time: load.actual_farm_departure_time,
+    on_time_status: load.on_time_status,
+    has_discrepancy: load.has_discrepancy,
+    discrepancy_notes: load.discrepancy_notes,
+    has_overtime: load.has_overtime,
+    notes: load.notes,
+    packaging: (load.load_packaging || []).map(lp => ({
+      packaging_type_code: lp.packaging_types?.code,
+      packaging_type_name: lp.packaging_types?.name,
+      quantity_dispatched: lp.quantity_dispatched,
+      quantity_received: lp.quantity_received,
+      quantity_damaged: lp.quantity_damaged,
+      quantity_missing: lp.quantity_missing
+    })),
+    backload_packaging: (load.backload_packaging || []).map(bp => ({
+      packaging_type_code: bp.packaging_types?.code,
+      packaging_type_name: bp.packaging_types?.name,
+      quantity_returned: bp.quantity_returned,
+      quantity_damaged: bp.quantity_damaged
+    }))
+  };
+}
+
+/**
+ * POST a delivery's payload to its subscription, signed with the
+ * subscription secret, and record the outcome. Failed attempts are
+ * rescheduled with exponential backoff until MAX_ATTEMPTS.
+ * @returns {Promise<object>} The updated delivery
+ */
+async function attemptDelivery(delivery, subscription) {
+  const attempts = delivery.attempts + 1;
+  const now = new Date().toISOString();
+  const outcome = { attempts, last_attempt_at: now, response_status: null, response_body: null, error: null };
+
+  if (!subscription?.is_active) {
+    outcome.status = 'failed';
+    outcome.error = 'Subscription is disabled';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PackagingLoadTracker-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signWebhookPayload(subscription.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      outcome.response_status = response.status;
+      outcome.response_body = (await response.text().catch(() => '')).slice(0, 2000) || null;
+      if (!response.ok) outcome.error = `Endpoint responded ${response.status}`;
+    } catch (error) {
+      outcome.error = error.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT_MS}ms` : error.message;
+    }
+
+    if (!outcome.error) {
+      outcome.status = 'delivered';
+      outcome.delivered_at = now;
+      outcome.next_attempt_at = null;
+    } else if (attempts >= MAX_ATTEMPTS) {
+      outcome.status = 'failed';
+      outcome.next_attempt_at = null;
+    } else {
+      outcome.status = 'pending';
+      outcome.next_attempt_at = secondsFromNow(RETRY_BASE_SECONDS * 2 ** (attempts - 1));
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .update(outcome)
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return data;
+}
+
+/**
+ * Queue an event for every matching active subscription and attempt
+ * each delivery once straight away
+ * @param {string} eventType - Key of WEBHOOK_EVENTS
+ * @param {string} loadId
+ * @returns {Promise<object[]>} The deliveries after their first attempt
+ */
+export async function emitWebhookEvent(eventType, loadId) {
+  if (!WEBHOOK_EVENTS[eventType]) throw new Error(`Unknown webhook event: ${eventType}`);
+
+  const { data: subscriptions, error } = await supabase
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  const subscribed = subscriptions.filter(s => s.event_types.length === 0 || s.event_types.includes(eventType));
+  if (subscribed.length === 0) return [];
+
+  const load = await getLoadSnapshot(loadId);
+  const loadSiteIds = [load.origin_site.id, load.destination_site.id, load.backload_site_id];
+  const matching = subscribed.filter(s => !s.site_id || loadSiteIds.includes(s.site_id));
+  if (matching.length === 0) return [];
+
+  const eventId = randomUUID();
+  const payload = {
+    id: eventId,
+    event: eventType,
+    occurred_at: new Date().toISOString(),
+    data: { load }
+  };
+
+  const { data: deliveries, error: insertError } = await supabase
+    .from('webhook_deliveries')
+    .insert(matching.map(s => ({
+      subscription_id: s.id,
+      event_id: eventId,
+      event_type: eventType,
+      load_id: loadId,
+      payload,
+      next_attempt_at: secondsFromNow(CLAIM_SECONDS)
+    })))
+    .select();
+
+  if (insertError) throw insertError;
+
+  const byId = new Map(matching.map(s => [s.id, s]));
+  const results = [];
+  for (const delivery of deliveries) {
+    results.push(await attemptDelivery(delivery, byId.get(delivery.subscription_id)));
+  }
+
+  return results;
+}
+
+/**
+ * Emit an event in the background; failures are logged and never
+ * affect the request that triggered them.
+ * @param {string} eventType
+ * @param {string} loadId
+ */
+export function triggerWebhookEvent(eventType, loadId) {
+  emitWebhookEvent(eventType, loadId).catch(error => {
+    console.error(`Webhook event failed (${eventType}):`, error);
+  });
+}
+
+/**
+ * Retry pending deliveries whose backoff has elapsed
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ attempted: number, delivered: number }>}
+ */
+export async function processDueDeliveries({ limit = 25 } = {}) {
+  const now = new Date().toISOString();
+
+  const { data: due, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook_subscriptions (url, secret, is_active)')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', now)
+    .order('next_attempt_at')
+    .limit(limit);
+
+  if (error) throw error;
+
+  const result = { attempted: 0, delivered: 0 };
+
+  for (const delivery of due) {
+    // Claim it so an overlapping run does not send it twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('webhook_deliveries')
+      .update({ next_attempt_at: secondsFromNow(CLAIM_SECONDS) })
+      .eq('id', delivery.id)
+      .eq('status', 'pending')
+      .eq('next_attempt_at', delivery.next_attempt_at)
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (claimed.length === 0) continue;
+
+    const updated = await attemptDelivery(delivery, delivery.webhook_subscriptions);
+    result.attempted++;
+    if (updated.status === 'delivered') result.delivered++;
+  }
+
+  return result;
+}
+
+/**
+ * Send a delivery's payload again as a new delivery; the event id is
+ * kept so receivers can de-duplicate
+ * @param {string} deliveryId
+ * @returns {Promise<object|null>} The new delivery, or null if not found
+ */
+export async function replayDelivery(deliveryId) {
+  const { data: original, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook_subscriptions (url, secret, is_active)')
+    .eq('id', deliveryId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    throw error;
+  }
+
+  const { data: replay, error: insertError } = await supabase
+    .from('webhook_deliveries')
+    .insert({
+      subscription_id: original.subscription_id,
+      event_id: original.event_id,
+      event_type: original.event_type,
+      load_id: original.load_id,
+      payload: original.payload,
+      replay_of: original.id,
+      next_attempt_at: secondsFromNow(CLAIM_SECONDS)
+    })
+    .select()
+    .single();
+
+  if (insertError) throw insertError;
+
+  return attemptDelivery(replay, original.webhook_subscriptions);
+}
+
+/**
+ * Retry due deliveries on an interval (long-running servers only)
+ * @param {number} [intervalSeconds]
+ */
+export function startWebhookRetryScheduler(intervalSeconds = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS || '60')) {
+  if (!intervalSeconds || intervalSeconds <= 0) return null;
+
+  return setInterval(() => {
+    processDueDeliveries().catch(error => {
+      console.error('Webhook retry run failed:', error);
+    });
+  }, intervalSeconds * 1000);
+}
@@ -0,0 +1,141 @@
+import { inflateRawSync } from 'zlib';
+
+/**
+ * Minimal reader for .xlsx workbooks: the cell values of the first
+ * worksheet as text. Formulas give their cached value; styles, dates
+ * and further sheets are ignored, which is all the imports need.
+ */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Largest file inside the archive we will unpack, so a small upload
+// cannot inflate to gigabytes
+export const MAX_ENTRY_BYTES = 20 * 1024 * 1024;
+
+/**
+ * @param {string} text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, name) => {
+    if (name[0] !== '#') return XML_ENTITIES[name.toLowerCase()];
+    return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+  });
+}
+
+/**
+ * Files in a zip archive, read from its central directory
+ * @param {Buffer} buffer
+ * @returns {Map<string, () => Buffer>} Lazily inflated contents by path
+ */
+function readZip(buffer) {
+  // End of central directory record: the last PK\x05\x06 signature
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip archive');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    files.set(name, () => {
+      if (size > MAX_ENTRY_BYTES) throw new Error(`${name} is too large to read`);
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      // The declared size can lie; the limit still holds
+      if (method === 8) return inflateRawSync(data, { maxOutputLength: MAX_ENTRY_BYTES });
+      throw new Error(`Unsupported zip compression method ${method}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+/**
+ * Text of every <t> element inside a fragment (rich text has several)
+ * @param {string} xml
+ */
+function textContent(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+/**
+ * Zero-based column index of a cell reference such as "AB12"
+ * @param {string} ref
+ */
+function columnIndex(ref) {
+  let index = 0;
+  for (const char of ref.replace(/\d+$/, '').toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Path of the workbook's first worksheet
+ * @param {Map<string, () => Buffer>} files
+ */
+function firstSheetPath(files) {
+  const workbook = files.get('xl/workbook.xml')?.().toString('utf8');
+  const rels = files.get('xl/_rels/workbook.xml.rels')?.().toString('utf8');
+  const relId = workbook?.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+
+  if (relId && rels) {
+    const target = rels.match(new RegExp(`<Relationship\\b[^>]*\\bId="${relId}"[^>]*\\bTarget="([^"]+)"`))?.[1]
+      || rels.match(new RegExp(`<Relationship\\b[^>]*\\bTarget="([^"]+)"[^>]*\\bId="${relId}"`))?.[1];
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Rows of trimmed cell text from the first worksheet of an .xlsx file
+ * @param {Buffer} buffer
+ * @returns {string[][]} One entry per sheet row, so index + 1 is the row number
+ */
+export function readXlsxRows(buffer) {
+  const files = readZip(buffer);
+  const sheet = files.get(firstSheetPath(files));
+  if (!sheet) throw new Error('Workbook has no worksheet');
+
+  const sharedXml = files.get('xl/sharedStrings.xml')?.().toString('utf8') || '';
+  const sharedStrings = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textContent(m[1]));
+
+  const rows = [];
+  for (const [, rowAttrs, rowXml] of sheet().toString('utf8').matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const cells = [];
+    for (const [, attrs, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attrs.match(/\br="([A-Z]+\d+)"/)?.[1];
+      const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+      const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let text = '';
+      if (type === 's') text = sharedStrings[Number(value)] ?? '';
+      else if (type === 'inlineStr') text = textContent(body);
+      else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+      else if (value !== undefined) text = decodeXml(value);
+
+      cells[ref ? columnIndex(ref) : cells.length] = text.trim();
+    }
+
+    const rowNumber = Number(rowAttrs.match(/\br="(\d+)"/)?.[1]) || rows.length + 1;
+    rows[rowNumber - 1] = Array.from(cells, cell => cell ?? '');
+  }
+
+  return Array.from(rows, row => row ?? []);
+}
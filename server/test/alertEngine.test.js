@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { evaluateAlerts } from '../src/services/alertEngine.js';
+
+const CRATE = '7d1e4f0a-8c2b-4b7e-9a51-3f6d2c8e1b90';
+
+/**
+ * Crates at one site with a minimum of 100; embeds sit on the rows
+ */
+function stockDb(quantity) {
+  return createFakeDb({
+    site_packaging_thresholds: [{
+      site_id: 'cbc', packaging_type_id: CRATE, min_threshold: 100, alert_enabled: true,
+      sites: { code: 'CBC', name: 'Chipinge', is_active: true },
+      packaging_types: { name: 'Crate', is_active: true }
+    }],
+    site_packaging_inventory: [{ site_id: 'cbc', packaging_type_id: CRATE, quantity }],
+    alerts: [],
+    notification_subscriptions: [],
+    notification_log: []
+  });
+}
+
+const setStock = (db, quantity) => { db.tables.site_packaging_inventory[0].quantity = quantity; };
+const lowStock = () => evaluateAlerts({ types: ['low_stock'] });
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('alert engine', () => {
+  it('raises one alert per condition however often it runs', async () => {
+    const db = stockDb(60);
+    restore = useFakeDb(db);
+
+    assert.deepEqual(await lowStock(), [{ type: 'low_stock', raised: 1, resolved: 0, active: 1 }]);
+    setStock(db, 40);
+    assert.deepEqual(await lowStock(), [{ type: 'low_stock', raised: 0, resolved: 0, active: 1 }]);
+
+    assert.equal(db.tables.alerts.length, 1);
+    assert.equal(db.tables.alerts[0].alert_key, `low_stock:cbc:${CRATE}`);
+    // Refreshed on the second run
+    assert.equal(db.tables.alerts[0].severity, 'critical');
+    assert.equal(db.tables.alerts[0].details.quantity, 40);
+  });
+
+  it('resolves alerts whose condition cleared', async () => {
+    const db = stockDb(60);
+    restore = useFakeDb(db);
+
+    await lowStock();
+    setStock(db, 150);
+    const [result] = await lowStock();
+
+    assert.equal(result.resolved, 1);
+    assert.equal(db.tables.alerts[0].is_resolved, true);
+    assert.equal(db.tables.alerts[0].auto_resolved, true);
+    assert.ok(db.tables.alerts[0].condition_cleared_at);
+
+    // A new breach is a new alert
+    setStock(db, 10);
+    assert.equal((await lowStock())[0].raised, 1);
+    assert.equal(db.tables.alerts.length, 2);
+  });
+
+  it('does not raise again what a user resolved while the condition holds', async () => {
+    const db = stockDb(60);
+    restore = useFakeDb(db);
+
+    await lowStock();
+    db.tables.alerts[0].is_resolved = true;
+
+    assert.equal((await lowStock())[0].raised, 0);
+    assert.equal(db.tables.alerts.length, 1);
+
+    setStock(db, 150);
+    const [result] = await lowStock();
+
+    assert.equal(result.resolved, 0);
+    assert.equal(db.tables.alerts[0].auto_resolved, undefined);
+    assert.ok(db.tables.alerts[0].condition_cleared_at);
+  });
+
+  it('ignores thresholds of inactive sites', async () => {
+    const db = stockDb(0);
+    db.tables.site_packaging_thresholds[0].sites.is_active = false;
+    restore = useFakeDb(db);
+
+    assert.equal((await lowStock())[0].active, 0);
+    assert.equal(db.tables.alerts.length, 0);
+  });
+});
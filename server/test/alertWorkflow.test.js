@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import alertsRoutes from '../src/routes/alerts.supabase.js';
+
+// A dispatcher given alerts.manage
+const manager = { id: 'user-1', role: 'dispatcher' };
+const depotUser = { id: '3f2b8c1a-4d5e-4f6a-8b7c-9d0e1f2a3b4c', role: 'depot_user', assigned_site_id: 'hre', first_name: 'Tendai', last_name: 'Moyo' };
+const otherDepotUser = { id: 'user-3', role: 'depot_user', assigned_site_id: 'hre' };
+
+function alertsDb() {
+  return createFakeDb({
+    role_permissions: [{ role: 'dispatcher', permission: 'alerts.manage' }],
+    alerts: [
+      { id: 'alert-1', alert_type: 'late_load', site_id: 'hre', is_acknowledged: false, is_resolved: false, assigned_to: null },
+      { id: 'alert-2', alert_type: 'low_stock', site_id: 'cbc', is_acknowledged: false, is_resolved: false, assigned_to: null }
+    ],
+    alert_comments: []
+  });
+}
+
+let app;
+before(async () => { app = await startServer({ '/api/alerts': alertsRoutes }); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('alert workflow', () => {
+  it('acknowledges an alert once', async () => {
+    const db = alertsDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, depotUser);
+
+    assert.equal((await app.request('POST', '/api/alerts/alert-1/acknowledge', { token })).status, 200);
+    assert.equal((await app.request('POST', '/api/alerts/alert-1/acknowledge', { token })).status, 400);
+    assert.equal(db.tables.alerts[0].acknowledged_by, depotUser.id);
+    assert.deepEqual(db.tables.alert_comments.map(c => c.action), ['acknowledged']);
+  });
+
+  it('lets the assignee resolve, and nobody else without alerts.manage', async () => {
+    const db = alertsDb();
+    restore = useFakeDb(db);
+    const assigneeToken = tokenFor(db, depotUser);
+
+    const assigned = await app.request('POST', '/api/alerts/alert-1/assign', {
+      token: tokenFor(db, manager),
+      body: { userId: depotUser.id }
+    });
+    assert.equal(assigned.status, 200);
+
+    const byOther = await app.request('POST', '/api/alerts/alert-1/resolve', {
+      token: tokenFor(db, otherDepotUser),
+      body: { reason: 'Arrived' }
+    });
+    assert.equal(byOther.status, 403);
+
+    const resolved = await app.request('POST', '/api/alerts/alert-1/resolve', {
+      token: assigneeToken,
+      body: { reason: 'Truck arrived at 14:10' }
+    });
+    assert.equal(resolved.status, 200);
+    assert.equal(db.tables.alerts[0].is_resolved, true);
+    assert.equal(db.tables.alerts[0].auto_resolved, false);
+    assert.equal(db.tables.alerts[0].is_acknowledged, true);
+    assert.deepEqual(
+      db.tables.alert_comments.map(c => [c.action, c.comment]),
+      [['assigned', 'Assigned to Tendai Moyo'], ['resolved', 'Truck arrived at 14:10']]
+    );
+  });
+
+  it('only assigns to active users, and only by alert managers', async () => {
+    const db = alertsDb();
+    restore = useFakeDb(db);
+    tokenFor(db, { ...depotUser, is_active: false });
+
+    const byDepot = await app.request('POST', '/api/alerts/alert-1/assign', {
+      token: tokenFor(db, otherDepotUser),
+      body: { userId: depotUser.id }
+    });
+    const inactive = await app.request('POST', '/api/alerts/alert-1/assign', {
+      token: tokenFor(db, manager),
+      body: { userId: depotUser.id }
+    });
+
+    assert.equal(byDepot.status, 403);
+    assert.equal(inactive.status, 400);
+    assert.equal(db.tables.alerts[0].assigned_to, null);
+  });
+
+  it('hides alerts of other sites from scoped users', async () => {
+    const db = alertsDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, depotUser);
+
+    assert.equal((await app.request('POST', '/api/alerts/alert-2/acknowledge', { token })).status, 404);
+    assert.equal((await app.request('POST', '/api/alerts/alert-2/comments', { token, body: { comment: 'Hi' } })).status, 404);
+    assert.equal(db.tables.alert_comments.length, 0);
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { useFakeDb } from './support/fakeSupabase.js';
+import { authDb, startAuthServer, user } from './support/authServer.js';
+import { createApiKey, revokeApiKey } from '../src/services/apiKeys.js';
+
+let restore = () => {};
+afterEach(() => restore());
+
+const serviceAccount = { ...user({ id: 'svc-1', email: 'svc@example.com' }), is_service_account: true };
+
+/**
+ * A database with a key for the service account. The embedded account
+ * is put on the row as the fake does not join.
+ * @param {object} [options]
+ */
+async function keyDb({ permissions = ['loads.edit', 'users.manage'], expiresAt = null, account = serviceAccount } = {}) {
+  const db = authDb();
+  restore = useFakeDb(db);
+
+  const { apiKey, key } = await createApiKey('svc-1', { name: 'Telematics', permissions, expiresAt }, 'admin-1');
+  db.tables.api_keys[0].account = account;
+
+  return { db, apiKey, key };
+}
+
+let app;
+before(async () => { app = await startAuthServer(); });
+after(() => app.close());
+
+describe('API key authentication', () => {
+  it('stores only a hash and a prefix of the key', async () => {
+    const { db, key } = await keyDb();
+
+    assert.match(key, /^ptk_/);
+    assert.ok(key.startsWith(db.tables.api_keys[0].key_prefix));
+    assert.ok(!JSON.stringify(db.tables.api_keys).includes(key));
+  });
+
+  it('signs in as the service account with only the key permissions its role grants', async () => {
+    const { db, key } = await keyDb();
+
+    const { status, body } = await app.request('/api/me', undefined, key);
+
+    assert.equal(status, 200);
+    assert.equal(body.id, 'svc-1');
+    assert.deepEqual(body.permissions, ['loads.edit']);
+    assert.ok(db.tables.api_keys[0].last_used_at);
+  });
+
+  it('refuses a revoked key', async () => {
+    const { apiKey, key } = await keyDb();
+
+    assert.equal(await revokeApiKey('svc-1', apiKey.id, 'admin-1'), true);
+    assert.equal((await app.request('/api/me', undefined, key)).status, 401);
+    assert.equal(await revokeApiKey('svc-1', apiKey.id, 'admin-1'), false);
+  });
+
+  it('refuses an expired key', async () => {
+    const { key } = await keyDb({ expiresAt: '2020-01-01T00:00:00Z' });
+
+    assert.equal((await app.request('/api/me', undefined, key)).status, 401);
+  });
+
+  it('refuses a key whose account is deactivated or not a service account', async () => {
+    const inactive = await keyDb({ account: { ...serviceAccount, is_active: false } });
+    assert.equal((await app.request('/api/me', undefined, inactive.key)).status, 401);
+    restore();
+
+    const person = await keyDb({ account: { ...serviceAccount, is_service_account: false } });
+    assert.equal((await app.request('/api/me', undefined, person.key)).status, 401);
+  });
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import express from 'express';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import { authenticate } from '../src/middleware/auth.js';
+import { auditContext, getAuditHeaders } from '../src/middleware/audit.js';
+import auditRoutes from '../src/routes/audit.supabase.js';
+
+const admin = { id: 'admin-1', role: 'admin', email: 'admin@example.com' };
+const dispatcher = { id: 'user-1', role: 'dispatcher', email: 'anna@example.com' };
+const farmUser = { id: 'farm-1', role: 'farm_user', assigned_site_id: 'cbc' };
+
+function auditDb() {
+  return createFakeDb({
+    role_permissions: [],
+    users: [{ id: 'user-1', email: 'anna@example.com', first_name: 'Anna', last_name: 'Dube', role: 'dispatcher', is_active: true }],
+    loads: [
+      { id: 'load-1', origin_site_id: 'cbc', destination_site_id: 'hre' },
+      { id: 'load-2', origin_site_id: 'bv', destination_site_id: 'hre' }
+    ],
+    audit_log: [
+      { id: 1, table_name: 'loads', action: 'UPDATE', load_id: 'load-1', site_ids: ['cbc', 'hre'], changed_fields: ['status'], actor_id: 'user-1', created_at: '2026-10-20T08:00:00Z' },
+      { id: 2, table_name: 'loads', action: 'UPDATE', load_id: 'load-2', site_ids: ['bv', 'hre'], changed_fields: ['notes'], actor_id: null, created_at: '2026-10-20T09:00:00Z' }
+    ]
+  });
+}
+
+let app;
+before(async () => {
+  // Echoes the audit headers the Supabase client would send for this request
+  const echo = express.Router();
+  echo.use(auditContext);
+  echo.get('/', authenticate, async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    res.json(getAuditHeaders());
+  });
+
+  app = await startServer({ '/api/audit': auditRoutes, '/api/echo': echo });
+});
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('audit context', () => {
+  it('attributes changes outside a request to the system', () => {
+    assert.deepEqual(getAuditHeaders(), { 'x-audit-source': 'system' });
+  });
+
+  it('carries the acting user and request through async work', async () => {
+    const db = auditDb();
+    restore = useFakeDb(db);
+
+    const { body } = await app.request('GET', '/api/echo', { token: tokenFor(db, dispatcher) });
+
+    assert.equal(body['x-audit-source'], 'api');
+    assert.equal(body['x-audit-actor-id'], 'user-1');
+    assert.equal(body['x-audit-actor-email'], 'anna@example.com');
+    assert.equal(body['x-audit-method'], 'GET');
+    assert.equal(body['x-audit-path'], '/api/echo');
+    assert.ok(body['x-audit-request-id']);
+  });
+});
+
+describe('audit log', () => {
+  it('is searchable by admins only', async () => {
+    const db = auditDb();
+    restore = useFakeDb(db);
+
+    assert.equal((await app.request('GET', '/api/audit', { token: tokenFor(db, dispatcher) })).status, 403);
+
+    const { status, body } = await app.request('GET', '/api/audit?field=status', { token: tokenFor(db, admin) });
+    assert.equal(status, 200);
+    assert.deepEqual(body.entries.map(e => [e.id, e.actor_name]), [[1, 'Anna Dube']]);
+  });
+
+  it('shows scoped users the history of their own loads and sites only', async () => {
+    const db = auditDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, farmUser);
+
+    assert.equal((await app.request('GET', '/api/audit/loads/load-1', { token })).status, 200);
+    assert.equal((await app.request('GET', '/api/audit/loads/load-2', { token })).status, 404);
+    assert.equal((await app.request('GET', '/api/audit/sites/bv', { token })).status, 404);
+
+    const { body } = await app.request('GET', '/api/audit/sites/cbc', { token });
+    assert.deepEqual(body.entries.map(e => e.id), [1]);
+  });
+});
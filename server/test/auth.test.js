@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { useFakeDb } from './support/fakeSupabase.js';
+import { authDb, startAuthServer } from './support/authServer.js';
+
+let app;
+before(async () => { app = await startAuthServer(); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('POST /api/auth/login', () => {
+  it('starts a session and clears earlier failures', async () => {
+    const db = authDb({ failed_login_attempts: 3 });
+    restore = useFakeDb(db);
+
+    const { status, body } = await app.login();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.user.permissions, ['loads.edit', 'loads.create']);
+    assert.equal(db.tables.user_sessions.length, 1);
+    assert.equal(db.tables.users[0].failed_login_attempts, 0);
+
+    const me = await app.request('/api/me', undefined, body.token);
+    assert.equal(me.status, 200);
+    assert.equal(me.body.id, 'user-1');
+  });
+
+  it('locks the account at the fifth wrong password', async () => {
+    restore = useFakeDb(authDb({ failed_login_attempts: 3 }));
+
+    assert.equal((await app.login('wrong')).status, 401);
+    const locked = await app.login('wrong');
+
+    assert.equal(locked.status, 423);
+    assert.match(locked.body.error.message, /Try again in 15 minutes/);
+  });
+
+  it('refuses the right password while locked, without counting it', async () => {
+    const db = authDb({ locked_until: new Date(Date.now() + 60000).toISOString() });
+    restore = useFakeDb(db);
+
+    const { status } = await app.login();
+
+    assert.equal(status, 423);
+    assert.equal(db.tables.user_sessions.length, 0);
+    assert.equal(db.tables.users[0].failed_login_attempts, 0);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token and revokes the session when an old one comes back', async () => {
+    const db = authDb();
+    restore = useFakeDb(db);
+
+    const { body: signedIn } = await app.login();
+    const refreshed = await app.request('/api/auth/refresh', { refreshToken: signedIn.refreshToken });
+
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, signedIn.refreshToken);
+
+    const reused = await app.request('/api/auth/refresh', { refreshToken: signedIn.refreshToken });
+
+    assert.equal(reused.status, 401);
+    assert.equal(db.tables.user_sessions[0].revoked_reason, 'refresh_token_reused');
+    assert.equal((await app.request('/api/auth/refresh', { refreshToken: refreshed.body.refreshToken })).status, 401);
+    assert.equal((await app.request('/api/me', undefined, refreshed.body.token)).status, 401);
+  });
+
+  it('ends the session on logout', async () => {
+    const db = authDb();
+    restore = useFakeDb(db);
+
+    const { body: signedIn } = await app.login();
+    await app.request('/api/auth/logout', { refreshToken: signedIn.refreshToken });
+
+    assert.equal(db.tables.user_sessions[0].revoked_reason, 'logout');
+    assert.equal((await app.request('/api/me', undefined, signedIn.token)).status, 401);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import chargeBacksRoutes from '../src/routes/chargebacks.supabase.js';
+
+// Finance can raise and issue statements; only admins settle them
+const finance = { id: 'user-1', role: 'dispatcher' };
+const admin = { id: 'admin-1', role: 'admin' };
+const farmUser = { id: 'farm-1', role: 'farm_user', assigned_site_id: 'bv' };
+
+function statementDb(status = 'draft') {
+  return createFakeDb({
+    role_permissions: [{ role: 'dispatcher', permission: 'reports.finance' }],
+    charge_back_statements: [{
+      id: 'cb-1',
+      statement_number: 'CB-CBC-2610',
+      site_id: 'cbc',
+      period_start: '2026-10-01',
+      period_end: '2026-10-31',
+      status,
+      total_amount: 37.5,
+      sites: { code: 'CBC', name: 'Chipinge' }
+    }],
+    charge_back_lines: [
+      { statement_id: 'cb-1', line_number: 1, event_date: '2026-10-03', reference_number: 'CBC261003', charge_type: 'missing', quantity: 2, unit_cost: 12.5, amount: 25 },
+      { statement_id: 'cb-1', line_number: 2, event_date: '2026-10-09', reference_number: 'ST-CBC261009', charge_type: 'stock_take_loss', quantity: 1, unit_cost: 12.5, amount: 12.5 }
+    ]
+  });
+}
+
+let app;
+before(async () => { app = await startServer({ '/api/charge-backs': chargeBacksRoutes }); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('charge-back statements', () => {
+  it('goes from draft to issued to settled', async () => {
+    const db = statementDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, finance);
+
+    assert.equal((await app.request('POST', '/api/charge-backs/cb-1/settle', { token: tokenFor(db, admin) })).status, 400);
+    assert.equal((await app.request('POST', '/api/charge-backs/cb-1/issue', { token })).status, 200);
+    assert.equal((await app.request('POST', '/api/charge-backs/cb-1/issue', { token })).status, 400);
+
+    const settled = await app.request('POST', '/api/charge-backs/cb-1/settle', { token: tokenFor(db, admin) });
+    assert.equal(settled.status, 200);
+    assert.equal(db.tables.charge_back_statements[0].status, 'settled');
+  });
+
+  it('keeps settling to users allowed to settle', async () => {
+    const db = statementDb('issued');
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('POST', '/api/charge-backs/cb-1/settle', { token: tokenFor(db, finance) });
+
+    assert.equal(status, 403);
+    assert.equal(db.tables.charge_back_statements[0].status, 'issued');
+  });
+
+  it('only deletes drafts', async () => {
+    const db = statementDb('issued');
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('DELETE', '/api/charge-backs/cb-1', { token: tokenFor(db, finance) });
+
+    assert.equal(status, 400);
+    assert.equal(db.tables.charge_back_statements.length, 1);
+  });
+
+  it('prices lines with a running total', async () => {
+    const db = statementDb();
+    restore = useFakeDb(db);
+
+    const { status, body } = await app.request('GET', '/api/charge-backs/cb-1', { token: tokenFor(db, finance) });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.lines.map(l => [l.charge_type_label, l.running_total]), [['Missing on load', 25], ['Stock take loss', 37.5]]);
+  });
+
+  it('hides statements of other sites from scoped users', async () => {
+    const db = statementDb();
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('GET', '/api/charge-backs/cb-1', { token: tokenFor(db, farmUser) });
+
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer } from './support/server.js';
+import cronRoutes from '../src/routes/cron.supabase.js';
+
+const HOOK_URL = 'https://hooks.example.com/loads';
+const SECRET = 'cron-secret';
+
+let app;
+const realFetch = globalThis.fetch;
+let hooks;
+
+before(async () => {
+  app = await startServer({ '/api/cron': cronRoutes });
+  globalThis.fetch = async (url, options) => {
+    if (url !== HOOK_URL) return realFetch(url, options);
+    hooks.push(options);
+    return new Response('ok');
+  };
+});
+after(() => {
+  globalThis.fetch = realFetch;
+  return app.close();
+});
+
+let restore = () => {};
+afterEach(() => {
+  restore();
+  delete process.env.CRON_SECRET;
+});
+
+function dueDb() {
+  const subscription = { url: HOOK_URL, secret: 'whsec_test', is_active: true };
+  return createFakeDb({
+    webhook_deliveries: [{
+      id: 'delivery-1',
+      subscription_id: 'sub-1',
+      event_type: 'load.created',
+      payload: { event: 'load.created' },
+      status: 'pending',
+      attempts: 1,
+      next_attempt_at: '2026-01-01T00:00:00Z',
+      // Embeds are not applied by the fake
+      webhook_subscriptions: subscription
+    }]
+  });
+}
+
+describe('cron jobs', () => {
+  it('refuses calls without the cron secret', async () => {
+    restore = useFakeDb(dueDb());
+    hooks = [];
+
+    assert.equal((await app.request('GET', '/api/cron/webhooks')).status, 401);
+
+    process.env.CRON_SECRET = SECRET;
+    assert.equal((await app.request('GET', '/api/cron/webhooks', { token: 'guess' })).status, 401);
+    assert.equal(hooks.length, 0);
+  });
+
+  it('refuses every call while no secret is configured', async () => {
+    restore = useFakeDb(dueDb());
+    hooks = [];
+
+    assert.equal((await app.request('GET', '/api/cron/webhooks', { token: 'undefined' })).status, 401);
+  });
+
+  it('retries due webhook deliveries', async () => {
+    const db = dueDb();
+    restore = useFakeDb(db);
+    hooks = [];
+    process.env.CRON_SECRET = SECRET;
+
+    const { status, body } = await app.request('GET', '/api/cron/webhooks', { token: SECRET });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.result, { attempted: 1, delivered: 1 });
+    assert.equal(hooks.length, 1);
+    assert.equal(db.tables.webhook_deliveries[0].status, 'delivered');
+  });
+});
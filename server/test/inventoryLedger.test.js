@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import packagingRoutes from '../src/routes/packaging.supabase.js';
+import sitesRoutes from '../src/routes/sites.supabase.js';
+import { rebuildPackagingBalances, recordMovement } from '../src/services/inventoryLedger.js';
+
+const admin = { id: 'admin-1', role: 'admin' };
+// A dispatcher who may adjust stock but not rebuild balances
+const dispatcher = { id: 'user-1', role: 'dispatcher' };
+const CRATE = '7d1e4f0a-8c2b-4b7e-9a51-3f6d2c8e1b90';
+
+/**
+ * A ledger of two movements and a stored balance that drifted from it,
+ * with rebuild_packaging_balances as in migration 9
+ */
+function ledgerDb() {
+  const db = createFakeDb({
+    role_permissions: [{ role: 'dispatcher', permission: 'inventory.adjust' }],
+    sites: [{ id: 'cbc', code: 'CBC', name: 'Chipinge' }],
+    packaging_types: [{ id: CRATE, code: 'CR', name: 'Crate' }],
+    packaging_movements: [
+      { site_id: 'cbc', packaging_type_id: CRATE, quantity_change: 100, damaged_change: 0 },
+      { site_id: 'cbc', packaging_type_id: CRATE, quantity_change: -40, damaged_change: 0 }
+    ],
+    site_packaging_inventory: [{ site_id: 'cbc', packaging_type_id: CRATE, quantity: 75, damaged_quantity: 0 }],
+    alert_rules: []
+  });
+
+  db.rpcs.rebuild_packaging_balances = ({ p_apply: apply }) => db.tables.site_packaging_inventory.flatMap(balance => {
+    const movements = db.tables.packaging_movements
+      .filter(m => m.site_id === balance.site_id && m.packaging_type_id === balance.packaging_type_id);
+    const ledger = movements.reduce((sum, m) => sum + m.quantity_change, 0);
+    if (ledger === balance.quantity) return [];
+
+    const difference = {
+      site_id: balance.site_id,
+      packaging_type_id: balance.packaging_type_id,
+      stored_quantity: balance.quantity,
+      ledger_quantity: ledger,
+      quantity_difference: ledger - balance.quantity
+    };
+    if (apply) balance.quantity = ledger;
+    return [difference];
+  });
+
+  return db;
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('packaging ledger', () => {
+  it('records signed movements', async () => {
+    const db = ledgerDb();
+    restore = useFakeDb(db);
+
+    const movement = await recordMovement({ movementType: 'loss', siteId: 'cbc', packagingTypeId: CRATE, quantityChange: -3 });
+
+    assert.equal(movement.quantity, 3);
+    assert.equal(movement.quantity_change, -3);
+    assert.equal(movement.direction, 'out');
+  });
+
+  it('reports balances that differ from the ledger without changing them', async () => {
+    const db = ledgerDb();
+    restore = useFakeDb(db);
+
+    const differences = await rebuildPackagingBalances();
+
+    assert.equal(differences.length, 1);
+    assert.equal(differences[0].quantity_difference, -15);
+    assert.equal(differences[0].site_code, 'CBC');
+    assert.equal(differences[0].packaging_type_name, 'Crate');
+    assert.equal(db.tables.site_packaging_inventory[0].quantity, 75);
+  });
+
+  it('overwrites stored balances with the ledger on apply', async () => {
+    const db = ledgerDb();
+    restore = useFakeDb(db);
+
+    await rebuildPackagingBalances({ apply: true });
+
+    assert.equal(db.tables.site_packaging_inventory[0].quantity, 60);
+    assert.deepEqual(await rebuildPackagingBalances(), []);
+  });
+});
+
+describe('inventory routes', () => {
+  let app;
+  before(async () => {
+    app = await startServer({ '/api/packaging': packagingRoutes, '/api/sites': sitesRoutes });
+  });
+  after(() => app.close());
+
+  it('adjusts stock by writing only to the ledger', async () => {
+    const db = ledgerDb();
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('POST', '/api/sites/cbc/inventory/adjust', {
+      token: tokenFor(db, dispatcher),
+      body: { packagingTypeId: CRATE, quantity: -5, adjustmentType: 'disposal' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(db.tables.packaging_movements.at(-1).quantity_change, -5);
+    assert.ok(!db.calls.some(c => c.table === 'site_packaging_inventory'));
+  });
+
+  it('keeps the rebuild to users allowed to run it', async () => {
+    const db = ledgerDb();
+    restore = useFakeDb(db);
+
+    const dryRun = await app.request('GET', '/api/packaging/inventory/reconciliation', { token: tokenFor(db, dispatcher) });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.differences.length, 1);
+
+    const denied = await app.request('POST', '/api/packaging/inventory/rebuild', { token: tokenFor(db, dispatcher) });
+    assert.equal(denied.status, 403);
+    assert.equal(db.tables.site_packaging_inventory[0].quantity, 75);
+
+    const rebuilt = await app.request('POST', '/api/packaging/inventory/rebuild', { token: tokenFor(db, admin) });
+    assert.equal(rebuilt.status, 200);
+    assert.equal(rebuilt.body.message, 'Corrected 1 balance(s) from the ledger');
+    assert.equal(db.tables.site_packaging_inventory[0].quantity, 60);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import './support/env.js';
+import {
+  computeMilestones,
+  fillMilestones,
+  matchLeadTimeTemplate,
+  milestonesError
+} from '../src/services/leadTimes.js';
+
+const schedule = {
+  origin_site_id: 'cbc',
+  destination_site_id: 'hre',
+  channel_id: 'retail',
+  dispatch_date: '2026-03-02',
+  dispatch_time: '11:30:00',
+  expected_arrival_date: '2026-03-03',
+  expected_arrival_time: null
+};
+
+describe('milestonesError', () => {
+  it('accepts a valid template', () => {
+    assert.equal(milestonesError({ ripening_start_date: { anchor: 'arrival', days: 1, cutoff: '10:00' } }), null);
+  });
+
+  it('names what is wrong', () => {
+    assert.equal(milestonesError([]), 'milestones must be an object keyed by milestone');
+    assert.match(milestonesError({ eta: { anchor: 'dispatch', days: 1 } }), /^eta is not a milestone/);
+    assert.equal(
+      milestonesError({ packaging_eta_farm: { anchor: 'loading', days: 1 } }),
+      'packaging_eta_farm.anchor must be one of: dispatch, arrival'
+    );
+    assert.equal(
+      milestonesError({ packaging_eta_farm: { anchor: 'dispatch', days: 1.5 } }),
+      'packaging_eta_farm.days must be a whole number from -90 to 90'
+    );
+    assert.equal(
+      milestonesError({ packaging_eta_farm: { anchor: 'dispatch', days: 1, cutoff: '25:00' } }),
+      'packaging_eta_farm.cutoff must be a time such as 10:00'
+    );
+  });
+});
+
+describe('matchLeadTimeTemplate', () => {
+  it('prefers the template matching the most values', () => {
+    const templates = [
+      { id: 'default' },
+      { id: 'harare', destination_site_id: 'hre' },
+      { id: 'harare-retail', destination_site_id: 'hre', channel_id: 'retail' },
+      { id: 'mutare', destination_site_id: 'mut' }
+    ];
+
+    assert.equal(matchLeadTimeTemplate(templates, schedule).id, 'harare-retail');
+    assert.equal(matchLeadTimeTemplate(templates, { ...schedule, channel_id: 'vendor' }).id, 'harare');
+    assert.equal(matchLeadTimeTemplate(templates.slice(1), { ...schedule, destination_site_id: 'bv' }), null);
+  });
+});
+
+describe('computeMilestones', () => {
+  it('counts days from the anchor and adds one after the cutoff', () => {
+    const template = {
+      milestones: {
+        packaging_eta_farm: { anchor: 'dispatch', days: -2 },
+        sales_despatch_date: { anchor: 'dispatch', days: 3, cutoff: '10:00' },
+        ripening_start_date: { anchor: 'arrival', days: 1, cutoff: '10:00' }
+      }
+    };
+
+    assert.deepEqual(computeMilestones(template, schedule), {
+      packaging_eta_farm: '2026-02-28',
+      ripening_start_date: '2026-03-04',
+      sales_despatch_date: '2026-03-06'
+    });
+  });
+
+  it('leaves out milestones whose anchor date is unknown', () => {
+    const template = { milestones: { ripening_start_date: { anchor: 'arrival', days: 1 } } };
+
+    assert.deepEqual(computeMilestones(template, { ...schedule, expected_arrival_date: null }), {});
+  });
+});
+
+describe('fillMilestones', () => {
+  it('fills only blank dates and records the template', () => {
+    const row = { ...schedule, packaging_eta_farm: '2026-02-27' };
+    const templates = [{
+      id: 'tpl-1',
+      milestones: {
+        packaging_eta_farm: { anchor: 'dispatch', days: -2 },
+        packaging_collection_date: { anchor: 'arrival', days: 2 }
+      }
+    }];
+
+    assert.deepEqual(fillMilestones(row, templates), ['packaging_collection_date']);
+    assert.equal(row.packaging_eta_farm, '2026-02-27');
+    assert.equal(row.packaging_collection_date, '2026-03-05');
+    assert.equal(row.lead_time_template_id, 'tpl-1');
+  });
+});
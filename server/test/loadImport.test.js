@@ -0,0 +1,186 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { commitLoadImport, parsePackagingLoaded, previewLoadImport } from '../src/services/loadImport.js';
+
+const HEADER = 'Dispatch Date\tArrival Date\tFarm\t\tDestination\tChannel\tTruck\tDriver\tArrived Farm\tETA\t'
+  + 'Departed Farm\tScheduled Departure\tOn Time\tArrived Depot\tDeparted Depot\tPackaging Loaded\tNotes';
+
+/**
+ * A load register row; the cells not given are blank
+ * @param {object} cells - Values by column name
+ */
+function row({
+  dispatch = '17-Nov-25', arrival = '18-Nov-25', farm = 'CBC', loadNumber = 'CBC001', destination = 'Harare',
+  channel = 'Retail', truck = '23H', driver = 'Enock', arrivedFarm = '13:30', eta = '', departedFarm = '16:45',
+  scheduledDeparture = '', onTime = 'On time', arrivedDepot = '22:10', departedDepot = '01:20',
+  packaging = '400 crates and 18bins', notes = ''
+} = {}) {
+  return [dispatch, arrival, farm, loadNumber, destination, channel, truck, driver, arrivedFarm, eta, departedFarm,
+    scheduledDeparture, onTime, arrivedDepot, departedDepot, packaging, notes].join('\t');
+}
+
+const sheet = (...rows) => [HEADER, ...rows].join('\n');
+
+const admin = { id: 'user-1', role: 'admin' };
+
+function referenceDb(extra = {}) {
+  return createFakeDb({
+    sites: [
+      { id: 'cbc', code: 'CBC', name: 'Chipinge Banana Company', city: 'Chipinge', is_active: true, site_types: { name: 'Farm' } },
+      { id: 'hre', code: 'HRE', name: 'Harare Depot', city: 'Harare', is_active: true, site_types: { name: 'Depot' } }
+    ],
+    channels: [{ id: 'retail', code: 'RET', name: 'Retail' }],
+    vehicles: [{ id: 'truck-23', registration: 'AEZ 1234', name: '23H', telematics_asset_code: null }],
+    drivers: [{ id: 'enock', first_name: 'Enock', last_name: 'Moyo' }],
+    packaging_types: [
+      { id: 'bin', code: 'BIN-500', name: '500kg Bin', is_active: true },
+      { id: 'crate', code: 'CRATE-20', name: 'Crate', is_active: true }
+    ],
+    loads: [],
+    load_packaging: [],
+    ...extra
+  });
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('parsePackagingLoaded', () => {
+  it('adds up quantities per unit and keeps what it does not know', () => {
+    assert.deepEqual(parsePackagingLoaded('400 crates and 18bins, 1,200 crates, 3 tarps'), {
+      quantities: { crates: 1600, bins: 18 },
+      unknown: ['3 tarps']
+    });
+  });
+});
+
+describe('previewLoadImport', () => {
+  it('matches the row to sites, fleet and packaging types', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const { rows, summary } = await previewLoadImport(sheet(row()), admin);
+    const [{ load, vehicle, driver, packaging, errors }] = rows;
+
+    assert.deepEqual(errors, []);
+    assert.equal(summary.valid, 1);
+    assert.equal(load.origin_site_id, 'cbc');
+    assert.equal(load.destination_site_id, 'hre');
+    assert.equal(load.channel_id, 'retail');
+    assert.equal(load.status, 'completed');
+    assert.equal(load.on_time_status, 'on_time');
+    assert.deepEqual(vehicle, { id: 'truck-23', registration: 'AEZ 1234' });
+    assert.deepEqual(driver, { id: 'enock', name: 'Enock Moyo' });
+    assert.deepEqual(packaging.map(p => [p.unit, p.packaging_type_id, p.quantity]), [
+      ['crates', 'crate', 400],
+      ['bins', 'bin', 18]
+    ]);
+  });
+
+  it('moves a depot departure after midnight to the next day', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const { rows: [{ load }] } = await previewLoadImport(sheet(row()), admin);
+    const hours = (new Date(load.departed_depot_time) - new Date(load.arrived_depot_time)) / 3600000;
+
+    assert.equal(Math.round(hours * 60), 3 * 60 + 10);
+  });
+
+  it('imports a load without a depot arrival with the chosen status', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const { rows: [imported] } = await previewLoadImport(
+      sheet(row({ arrivedDepot: '', departedDepot: '' })),
+      admin,
+      { unfinishedStatus: 'cancelled' }
+    );
+
+    assert.equal(imported.load.status, 'cancelled');
+    assert.ok(imported.warnings.includes('No depot arrival recorded; imported as cancelled'));
+  });
+
+  it('flags unknown sites, repeated load numbers and existing loads', async () => {
+    restore = useFakeDb(referenceDb({ loads: [{ id: 'old', load_number: 'CBC009' }] }));
+
+    const { rows, summary } = await previewLoadImport(sheet(
+      row({ farm: 'Nowhere' }),
+      row({ loadNumber: 'CBC002' }),
+      row({ loadNumber: 'CBC002' }),
+      row({ loadNumber: 'CBC009' })
+    ), admin);
+
+    assert.deepEqual(rows[0].errors, ['Farm "Nowhere" not found']);
+    assert.deepEqual(rows[2].errors, ['Load number already used on line 3']);
+    assert.equal(rows[3].duplicate, true);
+    assert.deepEqual(
+      { valid: summary.valid, invalid: summary.invalid, duplicates: summary.duplicates },
+      { valid: 1, invalid: 2, duplicates: 1 }
+    );
+  });
+
+  it('refuses loads between sites outside a scoped user\'s own', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const { rows: [imported] } = await previewLoadImport(sheet(row()), { id: 'user-2', role: 'farm_user', site_id: 'other' });
+
+    assert.ok(imported.errors.includes('Neither site is your assigned site'));
+  });
+
+  it('asks for the packaging type when a unit has more than one candidate', async () => {
+    const db = referenceDb();
+    db.tables.packaging_types.push({ id: 'crate-big', code: 'CRATE-40', name: 'Big crate', is_active: true });
+    restore = useFakeDb(db);
+
+    const { rows: [imported], packagingUnits } = await previewLoadImport(sheet(row({ packaging: '400 crates' })), admin);
+    assert.deepEqual(imported.errors, ['Choose the packaging type for crates']);
+    assert.deepEqual(packagingUnits, { crates: null });
+
+    const chosen = await previewLoadImport(sheet(row({ packaging: '400 crates' })), admin, {
+      packagingTypeIds: { crates: 'crate-big' }
+    });
+    assert.deepEqual(chosen.rows[0].errors, []);
+    assert.equal(chosen.rows[0].packaging[0].packaging_type_id, 'crate-big');
+  });
+
+  it('offers to add trucks and drivers it does not know', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const { rows: [imported], summary } = await previewLoadImport(
+      sheet(row({ truck: 'ACD 9999', driver: 'Tendai Ncube' })),
+      admin,
+      { createMissing: true }
+    );
+
+    assert.deepEqual(imported.vehicle, { id: null, registration: 'ACD 9999' });
+    assert.deepEqual(summary.newVehicles, ['ACD 9999']);
+    assert.deepEqual(summary.newDrivers, ['Tendai Ncube']);
+  });
+});
+
+describe('commitLoadImport', () => {
+  it('creates the loads, missing fleet and packaging without touching the ledger', async () => {
+    const db = referenceDb();
+    restore = useFakeDb(db);
+
+    const { created } = await commitLoadImport(sheet(row({ truck: 'ACD 9999' })), admin, { createMissing: true });
+
+    assert.equal(created.length, 1);
+    const [vehicle] = db.tables.vehicles.filter(v => v.registration === 'ACD 9999');
+    assert.equal(db.tables.loads[0].vehicle_id, vehicle.id);
+    assert.equal(db.tables.loads[0].created_by, 'user-1');
+    assert.deepEqual(db.tables.load_packaging.map(p => [p.load_id, p.packaging_type_id, p.quantity_dispatched]), [
+      [created[0].id, 'crate', 400],
+      [created[0].id, 'bin', 18]
+    ]);
+    assert.equal(db.tables.packaging_movements, undefined);
+  });
+
+  it('removes the loads again when their packaging cannot be saved', async () => {
+    const db = referenceDb();
+    db.failNext('load_packaging', 'insert');
+    restore = useFakeDb(db);
+
+    await assert.rejects(commitLoadImport(sheet(row()), admin));
+    assert.deepEqual(db.tables.loads, []);
+  });
+});
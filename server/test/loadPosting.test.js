@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import loadsRoutes from '../src/routes/loads.supabase.js';
+
+const dispatcher = { id: 'user-1', role: 'dispatcher' };
+const CRATE = '7d1e4f0a-8c2b-4b7e-9a51-3f6d2c8e1b90';
+
+/**
+ * A database with one scheduled load, and the posting functions of
+ * migration 8: one posting per load and event, and stock moved with
+ * the status in the same call
+ */
+function loadDb() {
+  const db = createFakeDb({
+    role_permissions: [
+      { role: 'dispatcher', permission: 'loads.dispatch' },
+      { role: 'dispatcher', permission: 'loads.receive' }
+    ],
+    loads: [{ id: 'load-1', origin_site_id: 'cbc', destination_site_id: 'hre', dispatch_date: '2026-10-20', status: 'scheduled' }],
+    load_packaging: [
+      { id: 'line-1', load_id: 'load-1', packaging_type_id: CRATE, quantity_dispatched: 40 },
+      { id: 'line-2', load_id: 'load-2', packaging_type_id: CRATE, quantity_dispatched: 10 }
+    ],
+    load_inventory_postings: [],
+    packaging_movements: [],
+    alert_rules: [],
+    notification_subscriptions: [],
+    webhook_subscriptions: []
+  });
+
+  const post = async (loadId, event, changes, movements) => {
+    // Let concurrent requests reach the database before either posts
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const load = db.tables.loads.find(l => l.id === loadId);
+    if (!load) throw { code: 'P0002', message: 'Load not found' };
+    if (db.tables.load_inventory_postings.some(p => p.load_id === loadId && p.event === event)) {
+      throw { code: '23505', message: 'duplicate key value violates unique constraint' };
+    }
+
+    db.tables.load_inventory_postings.push({ load_id: loadId, event });
+    Object.assign(load, changes);
+    db.tables.packaging_movements.push(...movements(load));
+    return { ...load };
+  };
+
+  db.rpcs.post_load_dispatch = (args) => post(args.p_load_id, 'dispatch', {
+    status: 'departed',
+    actual_departure_time: args.p_actual_departure_time
+  }, load => db.tables.load_packaging
+    .filter(line => line.load_id === load.id)
+    .map(line => ({ site_id: load.origin_site_id, packaging_type_id: line.packaging_type_id, quantity_change: -line.quantity_dispatched })));
+
+  db.rpcs.post_load_receipt = (args) => {
+    const foreign = args.p_items.find(item => !db.tables.load_packaging.some(l => l.id === item.id && l.load_id === args.p_load_id));
+    if (foreign) {
+      return Promise.reject({ code: '23503', message: `Packaging line ${foreign.id} does not belong to load ${args.p_load_id}` });
+    }
+
+    return post(args.p_load_id, 'receipt', { status: 'completed', has_discrepancy: false }, load => args.p_items.map(item => ({
+      site_id: load.destination_site_id,
+      packaging_type_id: CRATE,
+      quantity_change: item.quantity_received
+    })));
+  };
+
+  return db;
+}
+
+let app;
+before(async () => { app = await startServer({ '/api/loads': loadsRoutes }); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('confirming dispatch', () => {
+  it('moves the status and the stock in one posting', async () => {
+    const db = loadDb();
+    restore = useFakeDb(db);
+
+    const { status, body } = await app.request('POST', '/api/loads/load-1/confirm-dispatch', {
+      token: tokenFor(db, dispatcher),
+      body: { actualDepartureTime: '2026-10-20T06:00:00Z' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.load.status, 'departed');
+    assert.deepEqual(db.tables.packaging_movements.map(m => [m.site_id, m.quantity_change]), [['cbc', -40]]);
+  });
+
+  it('posts a load once when two confirmations race', async () => {
+    const db = loadDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, dispatcher);
+
+    const results = await Promise.all([1, 2].map(() => app.request('POST', '/api/loads/load-1/confirm-dispatch', { token, body: {} })));
+
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+    assert.equal(results.find(r => r.status === 409).body.error.message, 'Load dispatch has already been posted');
+    assert.equal(db.tables.packaging_movements.length, 1);
+  });
+
+  it('refuses a load that has already left', async () => {
+    const db = loadDb();
+    db.tables.loads[0].status = 'departed';
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('POST', '/api/loads/load-1/confirm-dispatch', { token: tokenFor(db, dispatcher), body: {} });
+
+    assert.equal(status, 409);
+    assert.equal(db.tables.load_inventory_postings.length, 0);
+  });
+});
+
+describe('confirming receipt', () => {
+  it('credits the destination through the posting', async () => {
+    const db = loadDb();
+    db.tables.loads[0].status = 'unloading';
+    restore = useFakeDb(db);
+
+    const { status, body } = await app.request('POST', '/api/loads/load-1/confirm-receipt', {
+      token: tokenFor(db, dispatcher),
+      body: { packaging: [{ id: 'line-1', quantityReceived: 38, quantityDamaged: 2 }] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.load.status, 'completed');
+    assert.deepEqual(db.tables.packaging_movements.map(m => [m.site_id, m.quantity_change]), [['hre', 38]]);
+  });
+
+  it('rejects packaging lines of another load without posting anything', async () => {
+    const db = loadDb();
+    db.tables.loads[0].status = 'unloading';
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('POST', '/api/loads/load-1/confirm-receipt', {
+      token: tokenFor(db, dispatcher),
+      body: { packaging: [{ id: 'line-2', quantityReceived: 10 }] }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(db.tables.loads[0].status, 'unloading');
+    assert.equal(db.tables.packaging_movements.length, 0);
+  });
+});
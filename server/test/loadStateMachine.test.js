@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import './support/env.js';
+import {
+  allowedLoadActions,
+  checkLoadAction,
+  findTransition,
+  LOAD_ACTIONS,
+  LOAD_STATUSES
+} from '../src/services/loadStateMachine.js';
+
+const everything = { permissions: [...new Set(Object.values(LOAD_ACTIONS).map(a => a.permission))] };
+
+describe('checkLoadAction', () => {
+  it('allows an action from one of its statuses', () => {
+    assert.equal(checkLoadAction('start_loading', 'scheduled', everything), null);
+    assert.equal(checkLoadAction('receive', 'unloading', everything), null);
+  });
+
+  it('refuses an action from any other status with 409', () => {
+    const refusal = checkLoadAction('edit', 'in_transit', everything);
+    assert.equal(refusal.status, 409);
+    assert.equal(refusal.message, 'Edit is not allowed while the load is in transit');
+  });
+
+  it('refuses a user without the permission with 403 before looking at the status', () => {
+    const refusal = checkLoadAction('cancel', 'completed', { permissions: ['loads.edit'] });
+    assert.deepEqual(refusal, { status: 403, message: 'Insufficient permissions' });
+  });
+
+  it('never lets a load leave completed or cancelled', () => {
+    for (const status of ['completed', 'cancelled']) {
+      assert.deepEqual(allowedLoadActions(status, everything), []);
+    }
+  });
+});
+
+describe('findTransition', () => {
+  it('finds the action behind each forward step', () => {
+    assert.equal(findTransition('scheduled', 'loading'), 'start_loading');
+    assert.equal(findTransition('loading', 'departed'), 'dispatch');
+    assert.equal(findTransition('departed', 'in_transit'), 'mark_in_transit');
+    assert.equal(findTransition('in_transit', 'arrived_depot'), 'arrive_depot');
+    assert.equal(findTransition('arrived_depot', 'unloading'), 'start_unloading');
+    assert.equal(findTransition('unloading', 'completed'), 'receive');
+  });
+
+  it('returns null for moves the table does not have', () => {
+    assert.equal(findTransition('completed', 'scheduled'), null);
+    assert.equal(findTransition('departed', 'cancelled'), null);
+    assert.equal(findTransition('scheduled', 'unloading'), null);
+  });
+
+  it('only moves to known statuses', () => {
+    for (const definition of Object.values(LOAD_ACTIONS)) {
+      if (definition.to) assert.ok(LOAD_STATUSES.includes(definition.to), definition.to);
+      for (const from of definition.from) assert.ok(LOAD_STATUSES.includes(from), from);
+    }
+  });
+});
+
+describe('allowedLoadActions', () => {
+  it('lists what the user holds the permission for', () => {
+    const farmUser = { permissions: ['loads.edit', 'loads.farm_times', 'loads.dispatch'] };
+    assert.deepEqual(allowedLoadActions('loading', farmUser), [
+      'edit', 'record_farm_arrival', 'record_farm_departure', 'dispatch'
+    ]);
+  });
+
+  it('gives a depot user the receiving steps only once the load is on the road', () => {
+    const depotUser = { permissions: ['loads.receive'] };
+    assert.deepEqual(allowedLoadActions('scheduled', depotUser), []);
+    assert.deepEqual(allowedLoadActions('in_transit', depotUser), ['arrive_depot', 'receive']);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { importMasterData, renderImportTemplate } from '../src/services/masterDataImport.js';
+
+const csv = (...lines) => ({ content: lines.join('\n') });
+
+function sitesDb() {
+  return createFakeDb({
+    site_types: [{ id: 'farm', name: 'Farm' }, { id: 'depot', name: 'Depot' }],
+    sites: [{ id: 'site-1', code: 'HRE', name: 'Harare Depot', site_type_id: 'depot', city: 'Harare', is_active: true }]
+  });
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('renderImportTemplate', () => {
+  it('gives the headings and a quoted example row', () => {
+    const [headings, example] = renderImportTemplate('vehicles').split('\n');
+
+    assert.equal(headings, 'registration,name,vehicle_type,capacity_kg,telematics_asset_code,is_active');
+    assert.equal(example, '"23H","Truck 23H","Truck","8000","","yes"');
+  });
+});
+
+describe('importMasterData', () => {
+  it('plans creates, updates and unchanged rows without writing on a dry run', async () => {
+    const db = sitesDb();
+    restore = useFakeDb(db);
+
+    const { rows, summary, ignoredColumns } = await importMasterData('sites', csv(
+      'Code,Name,Site Type,City,Manager',
+      'CBC,Chipinge Banana Company,farm,Chipinge,Jane',
+      'HRE,,,Harare,',
+      'HRE2,Harare North,Depot,,'
+    ));
+
+    assert.deepEqual(rows.map(r => [r.line, r.key, r.action]), [
+      [2, 'CBC', 'create'],
+      [3, 'HRE', 'unchanged'],
+      [4, 'HRE2', 'create']
+    ]);
+    assert.deepEqual(ignoredColumns, ['Manager']);
+    assert.deepEqual(summary, { total: 3, create: 2, update: 0, unchanged: 1, errors: 0 });
+    assert.equal(db.tables.sites.length, 1);
+  });
+
+  it('writes the rows, leaving blank cells alone and filling defaults on new records', async () => {
+    const db = sitesDb();
+    restore = useFakeDb(db);
+
+    await importMasterData('sites', csv(
+      'code,name,site_type,city,is_active',
+      'CBC,Chipinge Banana Company,Farm,Chipinge,',
+      'HRE,Harare Main Depot,,,no'
+    ), { dryRun: false });
+
+    const [harare, chipinge] = db.tables.sites;
+    assert.equal(harare.name, 'Harare Main Depot');
+    assert.equal(harare.city, 'Harare');
+    assert.equal(harare.is_active, false);
+    assert.equal(chipinge.site_type_id, 'farm');
+    assert.equal(chipinge.country, 'Zimbabwe');
+  });
+
+  it('reports rows that fail validation, lookups or are repeated', async () => {
+    restore = useFakeDb(sitesDb());
+
+    const { rows } = await importMasterData('sites', csv(
+      'code,name,site_type,latitude,contact_email',
+      'CBC,Chipinge,Orchard,,',
+      'BV,Bvumba,Farm,123,not-an-email',
+      'BV,Bvumba,Farm,,',
+      ',No code,Farm,,',
+      'MUT,,,,'
+    ));
+
+    assert.deepEqual(rows.map(r => [...r.errors].sort()), [
+      ['site_type: "Orchard" is not one of Farm, Depot'],
+      ['contact_email: Invalid value ("not-an-email")', 'latitude: Invalid value ("123")'],
+      ['code: BV already appears on line 3'],
+      ['code: is required'],
+      ['name: required for a new site', 'site_type: required for a new site']
+    ]);
+    assert.ok(rows.every(r => r.action === 'error'));
+  });
+
+  it('records a row that fails to save and carries on with the rest', async () => {
+    const db = createFakeDb({ vehicles: [] });
+    db.failNext('vehicles', 'insert', { code: '23505', message: 'duplicate key' });
+    restore = useFakeDb(db);
+
+    const { rows, summary } = await importMasterData('vehicles', csv(
+      'registration,name',
+      '23H,Truck 23H',
+      '24H,Truck 24H'
+    ), { dryRun: false });
+
+    assert.deepEqual(rows[0].errors, ['Another vehicle already uses one of these values']);
+    assert.equal(rows[1].action, 'create');
+    assert.deepEqual(db.tables.vehicles.map(v => [v.registration, v.vehicle_type]), [['24H', 'Truck']]);
+    assert.equal(summary.errors, 1);
+  });
+
+  it('refuses files it cannot read', async () => {
+    restore = useFakeDb(sitesDb());
+
+    assert.deepEqual(await importMasterData('sites', csv('', '')), { error: 'The file is empty' });
+    assert.deepEqual(await importMasterData('sites', csv('name,city', 'A,B')), { error: 'The heading row must include code' });
+    assert.deepEqual(
+      await importMasterData('sites', { content: Buffer.from('not a zip').toString('base64'), format: 'xlsx' }),
+      { error: 'The file is not a readable .xlsx workbook' }
+    );
+  });
+});
@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'node:crypto';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { useFakeDb } from './support/fakeSupabase.js';
+import { authDb, startAuthServer } from './support/authServer.js';
+import { supabase } from '../src/db/supabase.js';
+import { verifyMfaCode } from '../src/services/mfa.js';
+
+const MFA_SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+/**
+ * Current authenticator app code for a base32 secret
+ * @param {string} secret
+ */
+function totp(secret) {
+  let bits = '';
+  for (const char of secret) bits += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000)));
+  const hmac = createHmac('sha1', key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 15) & 0x7fffffff;
+
+  return String(binary % 1e6).padStart(6, '0');
+}
+
+const enrolled = () => authDb(
+  { mfa_enabled: true, failed_login_attempts: 2 },
+  { user_mfa: [{ user_id: 'user-1', secret: MFA_SECRET, enabled_at: '2026-01-01T00:00:00Z', recovery_code_hashes: [], last_used_step: null }] }
+);
+
+let app;
+before(async () => { app = await startAuthServer(); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('two-factor sign-in', () => {
+  it('asks for the second factor and keeps the failed count until it passes', async () => {
+    const db = enrolled();
+    restore = useFakeDb(db);
+
+    const { body } = await app.login();
+
+    assert.equal(body.mfaRequired, true);
+    assert.equal(body.token, undefined);
+    assert.equal(db.tables.users[0].failed_login_attempts, 2);
+
+    const verified = await app.request('/api/auth/mfa/verify', { mfaToken: body.mfaToken, code: totp(MFA_SECRET) });
+
+    assert.equal(verified.status, 200);
+    assert.ok(verified.body.token);
+    assert.equal(db.tables.users[0].failed_login_attempts, 0);
+  });
+
+  it('counts wrong codes towards the lockout', async () => {
+    const db = enrolled();
+    restore = useFakeDb(db);
+
+    const { body } = await app.login();
+    const wrong = await app.request('/api/auth/mfa/verify', { mfaToken: body.mfaToken, code: 'abcdef' });
+
+    assert.equal(wrong.status, 401);
+    assert.equal(db.tables.users[0].failed_login_attempts, 3);
+  });
+
+  it('does not accept the same code twice', async () => {
+    restore = useFakeDb(enrolled());
+
+    const { body } = await app.login();
+    const code = totp(MFA_SECRET);
+
+    assert.equal((await app.request('/api/auth/mfa/verify', { mfaToken: body.mfaToken, code })).status, 200);
+    assert.equal((await app.request('/api/auth/mfa/verify', { mfaToken: body.mfaToken, code })).status, 401);
+  });
+
+  it('does not take a session token in place of the second-step token', async () => {
+    restore = useFakeDb(authDb());
+
+    const { body } = await app.login();
+    const { status } = await app.request('/api/auth/mfa/verify', { mfaToken: body.token, code: '123456' });
+
+    assert.equal(status, 401);
+  });
+
+  it('lets a user whose role requires 2FA enrol before their first session', async () => {
+    const db = authDb({ failed_login_attempts: 1 }, { role_settings: [{ role: 'dispatcher', mfa_required: true }] });
+    restore = useFakeDb(db);
+
+    const { body } = await app.login();
+    assert.deepEqual([body.mfaRequired, body.mfaEnrolled], [true, false]);
+
+    const setup = await app.request('/api/auth/mfa/setup', { mfaToken: body.mfaToken });
+    assert.equal(setup.status, 200);
+
+    const enabled = await app.request('/api/auth/mfa/enable', { mfaToken: body.mfaToken, code: totp(setup.body.secret) });
+
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+    assert.ok(enabled.body.token);
+    assert.equal(db.tables.users[0].mfa_enabled, true);
+    assert.equal(db.tables.users[0].failed_login_attempts, 0);
+  });
+
+  it('does not let a Supabase Auth token stand in for sign-in', async () => {
+    restore = useFakeDb(authDb({ role: 'dispatcher' }, { role_settings: [{ role: 'dispatcher', mfa_required: true }] }));
+    const { getUser } = supabase.auth;
+    supabase.auth.getUser = async () => ({ data: { user: { email: 'anna@example.com' } }, error: null });
+
+    try {
+      const { status } = await app.request('/api/me', undefined, 'supabase-access-token');
+      assert.equal(status, 401);
+    } finally {
+      supabase.auth.getUser = getUser;
+    }
+  });
+
+  it('does not take the second-step token as a session', async () => {
+    restore = useFakeDb(enrolled());
+
+    const { body } = await app.login();
+    const { status } = await app.request('/api/me', undefined, body.mfaToken);
+
+    assert.equal(status, 401);
+  });
+});
+
+describe('recovery codes', () => {
+  const hash = (code) => createHash('sha256').update(code.replace(/-/g, '')).digest('hex');
+
+  function withCodes(...codes) {
+    const db = enrolled();
+    db.tables.user_mfa[0].recovery_code_hashes = codes.map(hash);
+    return db;
+  }
+
+  it('spends a code once', async () => {
+    const db = withCodes('aaaaa-11111', 'bbbbb-22222');
+    restore = useFakeDb(db);
+
+    assert.equal(await verifyMfaCode('user-1', 'AAAAA-11111'), true);
+    assert.equal(await verifyMfaCode('user-1', 'aaaaa-11111'), false);
+    assert.deepEqual(db.tables.user_mfa[0].recovery_code_hashes, [hash('bbbbb-22222')]);
+  });
+
+  it('lets only one of two concurrent requests spend the same code', async () => {
+    restore = useFakeDb(withCodes('aaaaa-11111', 'bbbbb-22222'));
+
+    const results = await Promise.all([
+      verifyMfaCode('user-1', 'aaaaa-11111'),
+      verifyMfaCode('user-1', 'aaaaa-11111')
+    ]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+  });
+
+  it('does not put back a code spent by a concurrent request', async () => {
+    const db = withCodes('aaaaa-11111', 'bbbbb-22222', 'ccccc-33333');
+    restore = useFakeDb(db);
+
+    await Promise.all([
+      verifyMfaCode('user-1', 'aaaaa-11111'),
+      verifyMfaCode('user-1', 'bbbbb-22222')
+    ]);
+
+    assert.ok(!db.tables.user_mfa[0].recovery_code_hashes.includes(hash('aaaaa-11111')));
+  });
+});
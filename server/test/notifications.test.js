@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { dispatchNotification } from '../src/services/notifications.js';
+import { getTransport, registerTransport } from '../src/services/notificationTransports.js';
+
+const subscription = (overrides) => ({
+  event_type: 'threshold_breach', channel: 'sms', recipient_type: 'user', destination: null,
+  site_id: null, is_active: true, users: { email: 'anna@example.com', phone: '+263771000001', is_active: true },
+  ...overrides
+});
+
+let sent;
+const smsGateway = getTransport('sms');
+const recordingSms = {
+  name: 'recording_sms',
+  isConfigured: () => true,
+  async send(message) {
+    if (message.to === '+263770000000') throw new Error('Gateway responded 500');
+    sent.push(message);
+  }
+};
+
+before(() => registerTransport(recordingSms, { channel: 'sms' }));
+after(() => registerTransport(smsGateway, { channel: 'sms' }));
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('notification dispatch', () => {
+  it('sends to subscriptions of the event\'s sites, once per address', async () => {
+    const db = createFakeDb({
+      notification_subscriptions: [
+        subscription({ id: 'sub-1', site_id: 'cbc' }),
+        subscription({ id: 'sub-2' }),
+        subscription({ id: 'sub-3', site_id: 'hre', users: { phone: '+263771000002', is_active: true } }),
+        subscription({ id: 'sub-4', event_type: 'load_due' })
+      ],
+      sites: [],
+      notification_log: []
+    });
+    restore = useFakeDb(db);
+    sent = [];
+
+    const result = await dispatchNotification('threshold_breach', { siteIds: ['cbc'], message: 'Chipinge: Crate at 40, below minimum of 100' });
+
+    assert.deepEqual(result, { sent: 1, failed: 0, skipped: 0 });
+    assert.deepEqual(sent.map(m => [m.to, m.text]), [['+263771000001', 'Chipinge: Crate at 40, below minimum of 100']]);
+    assert.deepEqual(db.tables.notification_log.map(l => [l.subscription_id, l.status, l.transport]), [['sub-1', 'sent', 'recording_sms']]);
+  });
+
+  it('logs failed sends and subscriptions it cannot deliver', async () => {
+    const db = createFakeDb({
+      notification_subscriptions: [
+        subscription({ id: 'sub-1', destination: '+263770000000' }),
+        subscription({ id: 'sub-2', users: { email: 'anna@example.com', phone: null, is_active: true } }),
+        subscription({ id: 'sub-3', users: { phone: '+263771000003', is_active: false } })
+      ],
+      sites: [],
+      notification_log: []
+    });
+    restore = useFakeDb(db);
+    sent = [];
+
+    const result = await dispatchNotification('threshold_breach', { siteIds: ['cbc'], message: 'Low' });
+
+    assert.deepEqual(result, { sent: 0, failed: 1, skipped: 1 });
+    assert.deepEqual(
+      db.tables.notification_log.map(l => [l.subscription_id, l.status, l.error]),
+      [['sub-1', 'failed', 'Gateway responded 500'], ['sub-2', 'skipped', 'No destination for this channel']]
+    );
+  });
+
+  it('skips channels without a configured transport', async () => {
+    const db = createFakeDb({
+      notification_subscriptions: [subscription({ id: 'sub-1', channel: 'email' })],
+      sites: [],
+      notification_log: []
+    });
+    restore = useFakeDb(db);
+    const { SMTP_HOST } = process.env;
+    delete process.env.SMTP_HOST;
+
+    try {
+      assert.deepEqual(await dispatchNotification('threshold_breach', { message: 'Low' }), { sent: 0, failed: 0, skipped: 1 });
+      assert.equal(db.tables.notification_log[0].error, 'Transport not configured');
+    } finally {
+      if (SMTP_HOST !== undefined) process.env.SMTP_HOST = SMTP_HOST;
+    }
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { getOutstandingPackaging } from '../src/services/outstandingPackaging.js';
+
+const CRATE = '7d1e4f0a-8c2b-4b7e-9a51-3f6d2c8e1b90';
+const BIN = '0b9c5d1e-2f3a-4b6c-8d7e-9f0a1b2c3d4e';
+const AS_OF = new Date('2026-10-20T12:00:00Z');
+
+// Deliveries to the farm; embeds are not applied by the fake, so the
+// packaging lines sit on the load rows
+const delivery = (id, dispatchDate, lines) => ({
+  id, load_number: id, dispatch_date: dispatchDate, status: 'completed',
+  origin_site_id: 'hre', destination_site_id: 'farm', backload_site_id: null,
+  load_packaging: lines
+});
+
+function farmDb(loads) {
+  return createFakeDb({
+    loads,
+    packaging_types: [
+      { id: CRATE, code: 'CR', name: 'Crate', is_returnable: true, expected_turnaround_days: 14 },
+      { id: BIN, code: 'BN', name: 'Bin', is_returnable: true, expected_turnaround_days: null }
+    ]
+  });
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('outstanding farm packaging', () => {
+  it('settles returns against the oldest deliveries first', async () => {
+    restore = useFakeDb(farmDb([
+      delivery('L1', '2026-09-01', [{ packaging_type_id: CRATE, quantity_dispatched: 100, quantity_received: 100 }]),
+      delivery('L2', '2026-10-10', [{ packaging_type_id: CRATE, quantity_dispatched: 50, quantity_received: 48 }]),
+      {
+        id: 'L3', status: 'departed', origin_site_id: 'farm', destination_site_id: 'hre',
+        load_packaging: [{ packaging_type_id: CRATE, quantity_dispatched: 70 }]
+      },
+      {
+        id: 'L4', status: 'completed', origin_site_id: 'hre', destination_site_id: 'bv', backload_site_id: 'farm',
+        backload_packaging: [{ packaging_type_id: CRATE, quantity_returned: 20 }]
+      }
+    ]));
+
+    const [crates] = await getOutstandingPackaging('farm', { asOf: AS_OF });
+
+    // 90 of the 100 from L1 came back; 10 are left, 49 days old
+    assert.equal(crates.quantity, 58);
+    assert.equal(crates.days_over_30, 10);
+    assert.equal(crates.days_8_14, 48);
+    assert.equal(crates.overdue_quantity, 10);
+    assert.equal(crates.oldest_dispatch, '2026-09-01');
+  });
+
+  it('leaves out packaging that has all come back', async () => {
+    restore = useFakeDb(farmDb([
+      delivery('L1', '2026-10-01', [
+        { packaging_type_id: CRATE, quantity_dispatched: 30, quantity_received: 30 },
+        { packaging_type_id: BIN, quantity_dispatched: 4, quantity_received: 4 }
+      ]),
+      {
+        id: 'L2', status: 'completed', origin_site_id: 'farm', destination_site_id: 'hre',
+        load_packaging: [{ packaging_type_id: CRATE, quantity_dispatched: 30 }]
+      }
+    ]));
+
+    const outstanding = await getOutstandingPackaging('farm', { asOf: AS_OF });
+
+    assert.deepEqual(outstanding.map(o => o.packaging_type_code), ['BN']);
+    // 19 days is past the default turnaround of 14
+    assert.equal(outstanding[0].overdue_quantity, 4);
+    assert.equal(outstanding[0].days_15_30, 4);
+  });
+
+  it('ignores loads that have not left or arrived', async () => {
+    restore = useFakeDb(farmDb([
+      { ...delivery('L1', '2026-10-18', [{ packaging_type_id: CRATE, quantity_dispatched: 10 }]), status: 'in_transit' },
+      {
+        id: 'L2', status: 'scheduled', origin_site_id: 'farm', destination_site_id: 'hre',
+        load_packaging: [{ packaging_type_id: CRATE, quantity_dispatched: 10 }]
+      },
+      delivery('L3', '2026-10-18', [{ packaging_type_id: CRATE, quantity_dispatched: 5, quantity_received: null }])
+    ]));
+
+    const [crates] = await getOutstandingPackaging('farm', { asOf: AS_OF });
+
+    assert.equal(crates.quantity, 5);
+    assert.equal(crates.days_0_7, 5);
+    assert.equal(crates.overdue_quantity, 0);
+  });
+});
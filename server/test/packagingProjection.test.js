@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import plannerRoutes from '../src/routes/planner.supabase.js';
+import { projectPackagingBalances } from '../src/services/packagingProjection.js';
+
+/**
+ * @param {number} offset - Days from today
+ */
+function day(offset) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() + offset);
+  return d.toISOString().split('T')[0];
+}
+
+const crates = (quantity) => [{ packaging_type_id: 'crate', quantity }];
+const loadCrates = (quantity) => [{ packaging_type_id: 'crate', quantity_dispatched: quantity }];
+
+function projectionDb() {
+  return createFakeDb({
+    role_permissions: [],
+    sites: [
+      { id: 'cbc', code: 'CBC', name: 'Chipinge', is_active: true, site_types: { name: 'Farm' } },
+      { id: 'bv', code: 'BV', name: 'Bvumba', is_active: true, site_types: { name: 'Farm' } },
+      { id: 'hre', code: 'HRE', name: 'Harare', is_active: true, site_types: { name: 'Depot' } }
+    ],
+    packaging_types: [{ id: 'crate', code: 'CR', name: 'Crate', is_active: true }],
+    site_packaging_inventory: [
+      { site_id: 'cbc', packaging_type_id: 'crate', quantity: 100 },
+      { site_id: 'bv', packaging_type_id: 'crate', quantity: 40 }
+    ],
+    site_packaging_thresholds: [{ site_id: 'cbc', packaging_type_id: 'crate', min_threshold: 60 }],
+    dispatch_schedules: [
+      // Takes 80 out on day 2, which come back to the farm on day 5
+      {
+        origin_site_id: 'cbc', destination_site_id: 'hre', dispatch_date: day(2), packaging_delivery_farm_date: day(5),
+        load_id: null, status: 'confirmed', dispatch_schedule_packaging: crates(80)
+      },
+      // Its load's packaging counts instead
+      {
+        origin_site_id: 'cbc', destination_site_id: 'hre', dispatch_date: day(3), packaging_delivery_farm_date: null,
+        load_id: 'load-1', status: 'loading', dispatch_schedule_packaging: crates(50)
+      }
+    ],
+    loads: [
+      {
+        id: 'load-1', status: 'scheduled', origin_site_id: 'cbc', destination_site_id: 'hre', backload_site_id: null,
+        dispatch_date: day(3), expected_arrival_date: day(4), load_packaging: loadCrates(50)
+      },
+      // Overdue, so it counts today
+      {
+        id: 'load-2', status: 'departed', origin_site_id: 'hre', destination_site_id: 'cbc', backload_site_id: null,
+        dispatch_date: day(-3), expected_arrival_date: day(-1), load_packaging: loadCrates(10)
+      },
+      {
+        id: 'load-3', status: 'in_transit', origin_site_id: 'bv', destination_site_id: 'hre', backload_site_id: 'cbc',
+        dispatch_date: day(3), expected_arrival_date: day(4), load_packaging: [],
+        backload_packaging: [{ packaging_type_id: 'crate', quantity_returned: 20 }]
+      },
+      // Already received, so already in the farm's inventory
+      {
+        id: 'load-4', status: 'completed', origin_site_id: 'hre', destination_site_id: 'cbc', backload_site_id: null,
+        dispatch_date: day(1), expected_arrival_date: day(1), load_packaging: loadCrates(500)
+      }
+    ]
+  });
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('packaging projection', () => {
+  it('runs each farm\'s balance through its planned movements', async () => {
+    restore = useFakeDb(projectionDb());
+
+    const projection = await projectPackagingBalances({ days: 7, siteIds: ['cbc'] });
+
+    assert.equal(projection.start_date, day(0));
+    assert.equal(projection.end_date, day(6));
+    const [farm] = projection.farms;
+    const [line] = farm.packaging;
+    assert.deepEqual(line.days.map(d => d.balance), [110, 110, 30, -20, 0, 80, 80]);
+    assert.equal(line.opening_balance, 100);
+    assert.equal(line.closing_balance, 80);
+    assert.equal(line.first_low_date, day(2));
+    assert.equal(line.first_short_date, day(3));
+    assert.equal(farm.first_short_date, day(3));
+  });
+
+  it('projects every active farm when no sites are given', async () => {
+    restore = useFakeDb(projectionDb());
+
+    const projection = await projectPackagingBalances({ days: 7 });
+
+    assert.deepEqual(projection.farms.map(f => f.site_code), ['BV', 'CBC']);
+    const bvumba = projection.farms[0];
+    assert.equal(bvumba.first_short_date, null);
+    assert.deepEqual(bvumba.packaging[0].days.map(d => d.balance), Array(7).fill(40));
+  });
+
+  it('ignores movements after the last day', async () => {
+    restore = useFakeDb(projectionDb());
+
+    const [farm] = (await projectPackagingBalances({ days: 2, siteIds: ['cbc'] })).farms;
+
+    assert.equal(farm.first_short_date, null);
+    assert.equal(farm.packaging[0].closing_balance, 110);
+  });
+});
+
+describe('GET /api/planner/packaging-projection', () => {
+  let app;
+  before(async () => { app = await startServer({ '/api/planner': plannerRoutes }); });
+  after(() => app.close());
+
+  it('projects only the farm of a site user', async () => {
+    const db = projectionDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, { id: 'farm-1', role: 'farm_user', assigned_site_id: 'bv' });
+
+    const { status, body } = await app.request('GET', '/api/planner/packaging-projection?days=7', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.farms.map(f => f.site_id), ['bv']);
+
+    const other = await app.request('GET', '/api/planner/packaging-projection?siteId=cbc', { token });
+    assert.deepEqual(other.body.farms, []);
+  });
+
+  it('limits the number of days', async () => {
+    const db = projectionDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, { id: 'user-1', role: 'dispatcher' });
+
+    assert.equal((await app.request('GET', '/api/planner/packaging-projection?days=0', { token })).status, 400);
+    assert.equal((await app.request('GET', '/api/planner/packaging-projection?days=91', { token })).status, 400);
+  });
+});
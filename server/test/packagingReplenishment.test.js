@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { acceptAsBackload, acceptAsSchedule } from '../src/services/packagingReplenishment.js';
+
+const dispatcher = { id: 'user-1', role: 'dispatcher', permissions: ['loads.edit', 'planner.edit'] };
+
+const suggestion = {
+  farmSiteId: 'farm',
+  depotSiteId: 'depot',
+  loadId: 'load-1',
+  dispatchDate: '2026-03-02',
+  arrivalDate: '2026-03-03',
+  items: [{ packagingTypeId: 'crate', quantity: 200 }]
+};
+
+/**
+ * @param {object} [load] - Overrides for the farm-to-depot load
+ */
+function loadDb(load = {}) {
+  return createFakeDb({
+    loads: [{
+      id: 'load-1',
+      status: 'scheduled',
+      origin_site_id: 'farm',
+      destination_site_id: 'depot',
+      backload_site_id: null,
+      backload_notes: null,
+      ...load
+    }]
+  });
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('acceptAsBackload', () => {
+  it('assigns the backload to the farm with its packaging', async () => {
+    const db = loadDb();
+    restore = useFakeDb(db);
+
+    const result = await acceptAsBackload(suggestion, dispatcher);
+
+    assert.equal(result.load.backload_site_id, 'farm');
+    assert.deepEqual(db.tables.backload_packaging.map(p => [p.load_id, p.packaging_type_id, p.quantity_returned]), [
+      ['load-1', 'crate', 200]
+    ]);
+  });
+
+  it('undoes the assignment when the packaging cannot be saved', async () => {
+    const db = loadDb({ backload_notes: 'earlier note' });
+    db.failNext('backload_packaging', 'insert');
+    restore = useFakeDb(db);
+
+    await assert.rejects(acceptAsBackload(suggestion, dispatcher));
+
+    assert.equal(db.tables.loads[0].backload_site_id, null);
+    assert.equal(db.tables.loads[0].backload_notes, 'earlier note');
+  });
+
+  it('refuses loads that already carry a backload', async () => {
+    restore = useFakeDb(loadDb({ backload_site_id: 'other-farm' }));
+
+    const result = await acceptAsBackload(suggestion, dispatcher);
+    assert.equal(result.error.status, 409);
+  });
+
+  it('refuses loads that have left', async () => {
+    restore = useFakeDb(loadDb({ status: 'departed' }));
+
+    const result = await acceptAsBackload(suggestion, dispatcher);
+    assert.ok(result.error.status >= 400);
+    assert.equal(result.load, undefined);
+  });
+
+  it('treats loads outside the user site as not found', async () => {
+    const db = loadDb();
+    restore = useFakeDb(db);
+
+    const farmUser = { id: 'user-2', role: 'farm_user', assigned_site_id: 'another-farm', permissions: ['loads.edit'] };
+    const result = await acceptAsBackload(suggestion, farmUser);
+
+    assert.equal(result.error.status, 404);
+    assert.equal(db.tables.loads[0].backload_site_id, null);
+  });
+});
+
+describe('acceptAsSchedule', () => {
+  it('plans a depot-to-farm dispatch with the packaging as lines', async () => {
+    const db = createFakeDb();
+    restore = useFakeDb(db);
+
+    const schedule = await acceptAsSchedule(suggestion, dispatcher);
+
+    assert.equal(schedule.origin_site_id, 'depot');
+    assert.equal(schedule.destination_site_id, 'farm');
+    assert.deepEqual(db.tables.dispatch_schedule_packaging.map(l => [l.schedule_id, l.packaging_type_id, l.quantity]), [
+      [schedule.id, 'crate', 200]
+    ]);
+  });
+
+  it('removes the schedule when its packaging cannot be saved', async () => {
+    const db = createFakeDb();
+    db.failNext('dispatch_schedule_packaging', 'insert');
+    restore = useFakeDb(db);
+
+    await assert.rejects(acceptAsSchedule(suggestion, dispatcher));
+    assert.deepEqual(db.tables.dispatch_schedules, []);
+  });
+});
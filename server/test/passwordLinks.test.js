@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { useFakeDb } from './support/fakeSupabase.js';
+import { authDb, startAuthServer } from './support/authServer.js';
+import { startServer, tokenFor } from './support/server.js';
+import authRoutes from '../src/routes/auth.supabase.js';
+import configRoutes from '../src/routes/config.supabase.js';
+import { getTransport, registerTransport } from '../src/services/notificationTransports.js';
+
+let emails;
+const smtp = getTransport('email');
+const recordingEmail = { name: 'recording_email', isConfigured: () => true, send: async (message) => { emails.push(message); } };
+
+let app;
+before(async () => {
+  registerTransport(recordingEmail, { channel: 'email' });
+  app = await startAuthServer();
+});
+after(() => {
+  registerTransport(smtp, { channel: 'email' });
+  return app.close();
+});
+
+let restore = () => {};
+afterEach(() => restore());
+
+/**
+ * Token from the link in the last email. Embeds are not applied by the
+ * fake, so the token rows get their user here.
+ */
+function lastLinkToken(db) {
+  db.tables.user_password_tokens.forEach(t => { t.user ||= db.tables.users.find(u => u.id === t.user_id); });
+  return new URL(emails.at(-1).text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+}
+
+function resetDb() {
+  const db = authDb({}, { user_password_tokens: [] });
+  db.defaults.user_password_tokens = { used_at: null };
+  return db;
+}
+
+describe('password reset links', () => {
+  it('sets a new password once and signs out every session', async () => {
+    const db = resetDb();
+    restore = useFakeDb(db);
+    emails = [];
+
+    assert.equal((await app.login()).status, 200);
+    await app.request('/api/auth/forgot-password', { email: 'anna@example.com' });
+    const token = lastLinkToken(db);
+
+    assert.equal(emails[0].to, 'anna@example.com');
+    assert.equal((await app.request(`/api/auth/password-token?token=${token}`)).body.purpose, 'password_reset');
+
+    const reset = await app.request('/api/auth/reset-password', { token, password: 'new horse' });
+    assert.equal(reset.status, 200);
+    assert.ok(db.tables.user_sessions.every(s => s.revoked_at));
+
+    assert.equal((await app.login('new horse')).status, 200);
+    assert.equal((await app.request('/api/auth/reset-password', { token, password: 'third horse' })).status, 404);
+  });
+
+  it('answers the same for unknown addresses and sends nothing', async () => {
+    restore = useFakeDb(resetDb());
+    emails = [];
+
+    const known = await app.request('/api/auth/forgot-password', { email: 'anna@example.com' });
+    const unknown = await app.request('/api/auth/forgot-password', { email: 'nobody@example.com' });
+
+    assert.deepEqual([unknown.status, unknown.body], [known.status, known.body]);
+    assert.equal(emails.length, 1);
+  });
+
+  it('only honours the latest link, and not after it expires', async () => {
+    const db = resetDb();
+    restore = useFakeDb(db);
+    emails = [];
+
+    await app.request('/api/auth/forgot-password', { email: 'anna@example.com' });
+    const first = lastLinkToken(db);
+    await app.request('/api/auth/forgot-password', { email: 'anna@example.com' });
+    const second = lastLinkToken(db);
+
+    assert.equal((await app.request('/api/auth/reset-password', { token: first, password: 'new horse' })).status, 404);
+
+    db.tables.user_password_tokens[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    assert.equal((await app.request('/api/auth/reset-password', { token: second, password: 'new horse' })).status, 404);
+    assert.equal((await app.login()).status, 200);
+  });
+});
+
+describe('invitations', () => {
+  let admin;
+  before(async () => { admin = await startServer({ '/api/auth': authRoutes, '/api/config': configRoutes }); });
+  after(() => admin.close());
+
+  function inviteDb(overrides) {
+    const db = authDb({ password_hash: null, is_service_account: false, ...overrides }, { user_password_tokens: [] });
+    db.defaults.user_password_tokens = { used_at: null };
+    return db;
+  }
+
+  it('lets an invited user set their password and sign in', async () => {
+    const db = inviteDb();
+    restore = useFakeDb(db);
+    emails = [];
+    const token = tokenFor(db, { id: 'admin-1', role: 'admin' });
+
+    const sent = await admin.request('POST', '/api/config/users/user-1/invite', { token });
+    assert.equal(sent.status, 200);
+    assert.deepEqual(sent.body.invite, { emailSent: true });
+    assert.equal(emails[0].subject, 'You have been invited to PackTrack');
+
+    const accepted = await app.request('/api/auth/reset-password', { token: lastLinkToken(db), password: 'new horse' });
+    assert.equal(accepted.body.message, 'Password set, you can now sign in');
+    assert.equal((await app.login('new horse')).status, 200);
+
+    const again = await admin.request('POST', '/api/config/users/user-1/invite', { token });
+    assert.equal(again.status, 400);
+  });
+
+  it('does not invite inactive users', async () => {
+    const db = inviteDb({ is_active: false });
+    restore = useFakeDb(db);
+    emails = [];
+
+    const { status } = await admin.request('POST', '/api/config/users/user-1/invite', { token: tokenFor(db, { id: 'admin-1', role: 'admin' }) });
+
+    assert.equal(status, 400);
+    assert.equal(emails.length, 0);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import express from 'express';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import { authenticate, requirePermission } from '../src/middleware/auth.js';
+import configRoutes from '../src/routes/config.supabase.js';
+import { PERMISSIONS, getRolePermissions, hasPermission, setRolePermissions } from '../src/services/permissions.js';
+
+// Grants are cached per role for a minute, so each test below works on
+// its own role or changes grants through setRolePermissions
+function grantsDb(grants = []) {
+  return createFakeDb({ role_permissions: grants, role_settings: [] });
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('role permissions', () => {
+  it('gives admins every permission', async () => {
+    restore = useFakeDb(grantsDb());
+
+    assert.deepEqual(await getRolePermissions('admin'), Object.keys(PERMISSIONS));
+  });
+
+  it('loads grants from the database and ignores retired permissions', async () => {
+    restore = useFakeDb(grantsDb([
+      { role: 'farm_user', permission: 'loads.farm_times' },
+      { role: 'farm_user', permission: 'loads.teleport' },
+      { role: 'depot_user', permission: 'loads.receive' }
+    ]));
+
+    assert.deepEqual(await getRolePermissions('farm_user'), ['loads.farm_times']);
+  });
+
+  it('replaces a role\'s grants and drops the cached ones', async () => {
+    const db = grantsDb([
+      { role: 'depot_user', permission: 'loads.receive' },
+      { role: 'depot_user', permission: 'stocktakes.count' }
+    ]);
+    restore = useFakeDb(db);
+
+    assert.equal((await getRolePermissions('depot_user')).length, 2);
+    await setRolePermissions('depot_user', ['loads.receive', 'alerts.manage']);
+
+    assert.deepEqual((await getRolePermissions('depot_user')).sort(), ['alerts.manage', 'loads.receive']);
+    assert.equal(db.tables.role_permissions.length, 2);
+  });
+
+  it('checks the permissions loaded on the user', () => {
+    assert.equal(hasPermission({ permissions: ['loads.edit'] }, 'loads.edit'), true);
+    assert.equal(hasPermission({ permissions: ['loads.edit'] }, 'loads.delete'), false);
+    assert.equal(hasPermission(null, 'loads.edit'), false);
+  });
+});
+
+describe('permission checks on routes', () => {
+  let app;
+  before(async () => {
+    const guarded = express.Router();
+    guarded.get('/', authenticate, requirePermission('reports.finance', 'reports.settle'), (req, res) => res.json({ ok: true }));
+
+    app = await startServer({ '/api/config': configRoutes, '/api/guarded': guarded });
+  });
+  after(() => app.close());
+
+  it('needs any one of the listed permissions', async () => {
+    const db = grantsDb([{ role: 'dispatcher', permission: 'reports.settle' }]);
+    restore = useFakeDb(db);
+
+    assert.equal((await app.request('GET', '/api/guarded')).status, 401);
+    assert.equal((await app.request('GET', '/api/guarded', { token: tokenFor(db, { id: 'user-1', role: 'dispatcher' }) })).status, 200);
+  });
+
+  it('applies a role\'s new grants straight away', async () => {
+    const db = grantsDb();
+    restore = useFakeDb(db);
+    const admin = tokenFor(db, { id: 'admin-1', role: 'admin' });
+    const clerk = tokenFor(db, { id: 'user-2', role: 'readonly' });
+
+    assert.equal((await app.request('GET', '/api/guarded', { token: clerk })).status, 403);
+
+    const granted = await app.request('PUT', '/api/config/roles/readonly/permissions', {
+      token: admin,
+      body: { permissions: ['reports.finance'] }
+    });
+    assert.equal(granted.status, 200);
+    assert.deepEqual(granted.body.permissions, ['reports.finance']);
+
+    assert.equal((await app.request('GET', '/api/guarded', { token: clerk })).status, 200);
+  });
+
+  it('keeps admin grants fixed and rejects unknown permissions', async () => {
+    const db = grantsDb();
+    restore = useFakeDb(db);
+    const admin = tokenFor(db, { id: 'admin-1', role: 'admin' });
+
+    const adminRole = await app.request('PUT', '/api/config/roles/admin/permissions', { token: admin, body: { permissions: [] } });
+    const unknown = await app.request('PUT', '/api/config/roles/readonly/permissions', { token: admin, body: { permissions: ['loads.teleport'] } });
+    const noRole = await app.request('PUT', '/api/config/roles/driver/permissions', { token: admin, body: { permissions: [] } });
+
+    assert.deepEqual([adminRole.status, unknown.status, noRole.status], [400, 400, 404]);
+  });
+
+  it('keeps role editing to users allowed to manage roles', async () => {
+    const db = grantsDb([{ role: 'dispatcher', permission: 'reports.settle' }]);
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('PUT', '/api/config/roles/dispatcher/permissions', {
+      token: tokenFor(db, { id: 'user-1', role: 'dispatcher' }),
+      body: { permissions: Object.keys(PERMISSIONS) }
+    });
+
+    assert.equal(status, 403);
+    assert.equal(db.tables.role_permissions.length, 1);
+  });
+});
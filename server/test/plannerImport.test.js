@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { commitPlannerImport, parsePlannerSheet, previewPlannerImport } from '../src/services/plannerImport.js';
+
+const HEADER = [
+  'Dispatch Date Farm\t\t\tExpected Arrival Date\t\tFarm\tDestination\tChannel\tPackaging\tCrates\tBins',
+  'Day \tDate\tDispatch Time\tDay\tDate'
+];
+
+/**
+ * A planner sheet: the two header rows, then the given lines
+ * @param {...(string|string[])} lines - Rows as cells, or section headings
+ */
+function sheet(...lines) {
+  return [...HEADER, ...lines.map(line => (Array.isArray(line) ? line.join('\t') : line))].join('\n');
+}
+
+const crateRow = (farm, date = '17-Nov-25', crates = '1350') =>
+  ['Monday', date, '', 'Tuesday', '18-Nov-25', farm, 'Harare', 'Retail', 'Crates', crates, ''];
+
+const dispatcher = { id: 'user-1', role: 'dispatcher' };
+
+function referenceDb(extra = {}) {
+  return createFakeDb({
+    sites: [
+      { id: 'cbc', code: 'CBC', name: 'Chipinge Banana Company', city: 'Chipinge', is_active: true, site_types: { name: 'Farm' } },
+      { id: 'bv', code: 'BV', name: 'Bvumba Farm', city: 'Mutare', is_active: true, site_types: { name: 'Farm' } },
+      { id: 'hre', code: 'HRE', name: 'Harare Depot', city: 'Harare', is_active: true, site_types: { name: 'Depot' } }
+    ],
+    channels: [{ id: 'retail', code: 'RET', name: 'Retail' }, { id: 'vendor', code: 'VEN', name: 'Vendor' }],
+    packaging_types: [
+      { id: 'bin', code: 'BIN-500', is_active: true },
+      { id: 'crate', code: 'CRATE-20', is_active: true }
+    ],
+    lead_time_templates: [],
+    dispatch_schedules: [],
+    ...extra
+  });
+}
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('parsePlannerSheet', () => {
+  it('keeps data rows with their line and section, dropping headers and blanks', () => {
+    const rows = parsePlannerSheet(sheet('Harare - Retail', crateRow('CBC'), '\t\t', crateRow('BV')));
+
+    assert.deepEqual(rows.map(r => [r.line, r.section, r.cells[5]]), [
+      [4, 'Harare - Retail', 'CBC'],
+      [6, null, 'BV']
+    ]);
+  });
+});
+
+describe('previewPlannerImport', () => {
+  it('books crate and bin counts as lines of the crate and bin packaging types', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const { rows, summary } = await previewPlannerImport(sheet(
+      crateRow('CBC'),
+      ['Monday', '17-Nov-25', '18:00Hrs', 'Tuesday', '18-Nov-25', 'BV', 'Harare', 'Vendor', 'Bins', '', '78']
+    ), dispatcher);
+
+    assert.deepEqual(summary, { total: 2, valid: 2, invalid: 0, duplicates: 0 });
+    assert.deepEqual(rows[0].packaging, [{ packaging_type_id: 'crate', packaging_code: 'CRATE-20', quantity: 1350 }]);
+    assert.deepEqual(rows[1].packaging, [{ packaging_type_id: 'bin', packaging_code: 'BIN-500', quantity: 78 }]);
+    assert.equal(rows[1].schedule.dispatch_time, '18:00');
+    assert.equal(rows[0].schedule.origin_site_id, 'cbc');
+    assert.equal(rows[0].schedule.destination_site_id, 'hre');
+    assert.equal(rows[0].schedule.channel_id, 'retail');
+  });
+
+  it('reports rows it cannot import', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const { rows } = await previewPlannerImport(sheet(
+      ['Monday', 'someday', '', 'Tuesday', '18-Nov-25', 'Nowhere', 'Harare', 'Retail', 'Crates', 'lots', '']
+    ), dispatcher);
+
+    assert.deepEqual(rows[0].errors, [
+      'Dispatch date "someday" is not a date',
+      'Farm "Nowhere" not found',
+      'Crates "lots" is not a whole number'
+    ]);
+  });
+
+  it('flags rows repeated in the sheet and rows already planned', async () => {
+    restore = useFakeDb(referenceDb({
+      dispatch_schedules: [{
+        id: 'existing',
+        dispatch_date: '2025-11-18',
+        origin_site_id: 'bv',
+        destination_site_id: 'hre',
+        channel_id: 'retail',
+        status: 'planned',
+        dispatch_schedule_packaging: [{ packaging_type_id: 'crate', quantity: 1350 }]
+      }]
+    }));
+
+    const { rows, summary } = await previewPlannerImport(sheet(
+      crateRow('CBC'),
+      crateRow('CBC'),
+      crateRow('BV', '18-Nov-25')
+    ), dispatcher);
+
+    assert.deepEqual(rows.map(r => r.duplicate), [false, true, true]);
+    assert.ok(rows[1].warnings.includes('Same as line 3; will be skipped'));
+    assert.ok(rows[2].warnings.includes('Already planned; will be skipped'));
+    assert.equal(summary.valid, 1);
+    assert.equal(summary.duplicates, 2);
+  });
+
+  it('keeps scoped users to rows of their own site', async () => {
+    restore = useFakeDb(referenceDb());
+
+    const farmUser = { id: 'user-2', role: 'farm_user', assigned_site_id: 'bv' };
+    const { rows } = await previewPlannerImport(sheet(crateRow('CBC'), crateRow('BV')), farmUser);
+
+    assert.deepEqual(rows[0].errors, ['Neither site is your assigned site']);
+    assert.deepEqual(rows[1].errors, []);
+  });
+});
+
+describe('commitPlannerImport', () => {
+  it('creates the schedules with their packaging lines', async () => {
+    const db = referenceDb();
+    restore = useFakeDb(db);
+
+    const { created } = await commitPlannerImport(sheet(crateRow('CBC'), crateRow('CBC'), crateRow('BV')), dispatcher);
+
+    assert.equal(created.length, 2);
+    const lines = db.tables.dispatch_schedule_packaging;
+    assert.deepEqual(lines.map(l => l.schedule_id).sort(), created.map(s => s.id).sort());
+    assert.ok(db.tables.dispatch_schedules.every(s => s.status === 'planned' && s.created_by === 'user-1'));
+  });
+
+  it('removes the new schedules when their lines cannot be saved', async () => {
+    const db = referenceDb();
+    db.failNext('dispatch_schedule_packaging', 'insert');
+    restore = useFakeDb(db);
+
+    await assert.rejects(commitPlannerImport(sheet(crateRow('CBC'), crateRow('BV')), dispatcher));
+    assert.deepEqual(db.tables.dispatch_schedules, []);
+  });
+});
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import plannerRoutes from '../src/routes/planner.supabase.js';
+
+// A dispatcher who was given planner.edit
+const planner = { id: 'user-1', role: 'dispatcher' };
+const CRATE = '7d1e4f0a-8c2b-4b7e-9a51-3f6d2c8e1b90';
+const HOOK_URL = 'https://hooks.example.com/loads';
+
+function scheduleDb() {
+  return createFakeDb({
+    role_permissions: [{ role: 'dispatcher', permission: 'planner.edit' }],
+    sites: [{ id: 'cbc', code: 'CBC' }, { id: 'hre', code: 'HRE' }],
+    dispatch_schedules: [
+      { id: 'sched-1', origin_site_id: 'cbc', destination_site_id: 'hre', dispatch_date: '2026-10-20', load_id: null, status: 'planned' }
+    ],
+    dispatch_schedule_packaging: [
+      { id: 'line-1', schedule_id: 'sched-1', packaging_type_id: CRATE, quantity: 40, created_at: '2026-10-01T00:00:00Z' }
+    ],
+    loads: [],
+    load_packaging: [],
+    webhook_subscriptions: [
+      { id: 'sub-1', url: HOOK_URL, secret: 'whsec_test', event_types: ['load.created'], site_id: null, is_active: true }
+    ],
+    webhook_deliveries: []
+  });
+}
+
+/**
+ * Wait for background work such as webhook deliveries
+ * @param {() => boolean} done
+ */
+async function settle(done) {
+  for (let i = 0; i < 50 && !done(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+let app;
+before(async () => { app = await startServer({ '/api/planner': plannerRoutes }); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('creating a load from a schedule', () => {
+  const realFetch = globalThis.fetch;
+  let hooks;
+
+  before(() => {
+    globalThis.fetch = async (url, options) => {
+      if (url !== HOOK_URL) return realFetch(url, options);
+      hooks.push(options);
+      return new Response('ok');
+    };
+  });
+  after(() => { globalThis.fetch = realFetch; });
+
+  it('creates the load with the schedule\'s packaging and sends load.created', async () => {
+    const db = scheduleDb();
+    restore = useFakeDb(db);
+    hooks = [];
+
+    const { status, body } = await app.request('POST', '/api/planner/schedules/sched-1/create-load', {
+      token: tokenFor(db, planner),
+      body: {}
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.loadNumber, 'CBC261020');
+    assert.deepEqual(db.tables.load_packaging.map(p => [p.load_id, p.quantity_dispatched]), [[body.load.id, 40]]);
+    assert.equal(db.tables.dispatch_schedules[0].load_id, body.load.id);
+
+    await settle(() => hooks.length > 0);
+
+    assert.equal(hooks.length, 1);
+    assert.equal(hooks[0].headers['X-Webhook-Event'], 'load.created');
+    assert.equal(JSON.parse(hooks[0].body).data.load.id, body.load.id);
+  });
+
+  it('refuses a schedule without packaging', async () => {
+    const db = scheduleDb();
+    db.tables.dispatch_schedule_packaging = [];
+    restore = useFakeDb(db);
+    hooks = [];
+
+    const { status, body } = await app.request('POST', '/api/planner/schedules/sched-1/create-load', {
+      token: tokenFor(db, planner),
+      body: {}
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error.message, 'Add packaging to the schedule before creating its load');
+    assert.equal(db.tables.loads.length, 0);
+    assert.equal(db.tables.dispatch_schedules[0].load_id, null);
+  });
+});
+
+describe('schedule packaging lines', () => {
+  const FARM = '2b4c6d8e-0f1a-4b3c-8d5e-6f7a8b9c0d1e';
+  const DEPOT = '3c5d7e9f-1a2b-4c4d-9e6f-7a8b9c0d1e2f';
+  const BANANAS = '4d6e8f0a-2b3c-4d5e-8f7a-8b9c0d1e2f3a';
+  const BOX = '5e7f9a1b-3c4d-4e6f-9a8b-9c0d1e2f3a4b';
+
+  const linesOf = (db, scheduleId) => db.tables.dispatch_schedule_packaging
+    .filter(l => l.schedule_id === scheduleId)
+    .map(l => [l.packaging_type_id, l.quantity, l.product_type_id ?? null]);
+
+  it('saves the lines a schedule is created with', async () => {
+    const db = scheduleDb();
+    restore = useFakeDb(db);
+
+    const { status, body } = await app.request('POST', '/api/planner/schedules', {
+      token: tokenFor(db, planner),
+      body: {
+        dispatchDate: '2026-10-22', expectedArrivalDate: '2026-10-23', originSiteId: FARM, destinationSiteId: DEPOT,
+        packaging: [{ packagingTypeId: CRATE, quantity: '60', productTypeId: BANANAS }, { packagingTypeId: BOX, quantity: 300 }]
+      }
+    });
+
+    assert.equal(status, 201);
+    assert.deepEqual(linesOf(db, body.schedule.id), [[CRATE, 60, BANANAS], [BOX, 300, null]]);
+  });
+
+  it('replaces the lines on update and keeps them when none are sent', async () => {
+    const db = scheduleDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, planner);
+
+    await app.request('PUT', '/api/planner/schedules/sched-1', { token, body: { notes: 'Early start' } });
+    assert.deepEqual(linesOf(db, 'sched-1'), [[CRATE, 40, null]]);
+
+    const { status } = await app.request('PUT', '/api/planner/schedules/sched-1', {
+      token,
+      body: { packaging: [{ packagingTypeId: BOX, quantity: 120 }] }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(linesOf(db, 'sched-1'), [[BOX, 120, null]]);
+  });
+
+  it('rejects lines without a packaging type or quantity', async () => {
+    const db = scheduleDb();
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('PUT', '/api/planner/schedules/sched-1', {
+      token: tokenFor(db, planner),
+      body: { packaging: [{ packagingTypeId: CRATE, quantity: 0 }, { quantity: 10 }] }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(linesOf(db, 'sched-1'), [[CRATE, 40, null]]);
+  });
+});
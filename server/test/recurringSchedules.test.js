@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { buildRule, deleteSeries, ruleDates, syncSeries } from '../src/services/recurringSchedules.js';
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ */
+function shift(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+const today = new Date().toISOString().split('T')[0];
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('buildRule', () => {
+  it('defaults a weekly series to the start date weekday', () => {
+    // 2026-03-04 is a Wednesday
+    const rule = buildRule('2026-03-04', { pattern: 'weekly' });
+    assert.deepEqual(rule.recurrence_weekdays, [3]);
+    assert.equal(rule.recurrence_day_of_month, null);
+    assert.equal(rule.recurrence_holiday_rule, 'skip');
+    assert.equal(rule.occurrence_date, '2026-03-04');
+  });
+
+  it('sorts and deduplicates chosen weekdays', () => {
+    const rule = buildRule('2026-03-04', { pattern: 'weekly', weekdays: [4, 1, 4] });
+    assert.deepEqual(rule.recurrence_weekdays, [1, 4]);
+    assert.equal(rule.recurrence_day_of_week, 1);
+  });
+
+  it('keeps the day of the month for a monthly series', () => {
+    const rule = buildRule('2026-01-31', { pattern: 'monthly', endDate: '2026-06-30' });
+    assert.equal(rule.recurrence_weekdays, null);
+    assert.equal(rule.recurrence_day_of_month, 31);
+    assert.equal(rule.recurrence_end_date, '2026-06-30');
+  });
+});
+
+describe('ruleDates', () => {
+  it('gives every chosen weekday of a weekly series', () => {
+    const parent = { dispatch_date: '2026-03-02', ...buildRule('2026-03-02', { pattern: 'weekly', weekdays: [1, 4] }) };
+    assert.deepEqual(ruleDates(parent, '2026-03-01', '2026-03-15'), [
+      '2026-03-02', '2026-03-05', '2026-03-09', '2026-03-12'
+    ]);
+  });
+
+  it('skips the weeks in between for a biweekly series', () => {
+    const parent = { dispatch_date: '2026-03-02', ...buildRule('2026-03-02', { pattern: 'biweekly' }) };
+    assert.deepEqual(ruleDates(parent, '2026-03-01', '2026-03-31'), ['2026-03-02', '2026-03-16', '2026-03-30']);
+  });
+
+  it('falls back to the last day of shorter months', () => {
+    const parent = { dispatch_date: '2026-01-31', ...buildRule('2026-01-31', { pattern: 'monthly' }) };
+    assert.deepEqual(ruleDates(parent, '2026-01-01', '2026-04-30'), [
+      '2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30'
+    ]);
+  });
+
+  it('stops at the end date', () => {
+    const parent = {
+      dispatch_date: '2026-03-02',
+      ...buildRule('2026-03-02', { pattern: 'weekly', endDate: '2026-03-10' })
+    };
+    assert.deepEqual(ruleDates(parent, '2026-03-01', '2026-03-31'), ['2026-03-02', '2026-03-09']);
+  });
+});
+
+/**
+ * A weekly series starting today with its parent row
+ * @param {object} [overrides]
+ */
+function seriesParent(overrides = {}) {
+  return {
+    id: 'parent',
+    dispatch_date: today,
+    expected_arrival_date: shift(today, 1),
+    origin_site_id: 'farm',
+    destination_site_id: 'depot',
+    status: 'planned',
+    load_id: null,
+    parent_schedule_id: null,
+    ...buildRule(today, { pattern: 'weekly' }),
+    ...overrides
+  };
+}
+
+describe('syncSeries', () => {
+  it('adds missing occurrences with moved dates and the parent packaging lines', async () => {
+    const parent = seriesParent();
+    const db = createFakeDb({
+      dispatch_schedules: [parent],
+      dispatch_schedule_packaging: [
+        { id: 'line', schedule_id: 'parent', packaging_type_id: 'crate', quantity: 120, created_at: '2026-01-01' }
+      ]
+    });
+    restore = useFakeDb(db);
+
+    const result = await syncSeries(parent, { horizonDays: 14, holidays: new Set() });
+
+    assert.deepEqual(result, { created: 2, removed: 0 });
+    const children = db.tables.dispatch_schedules.filter(s => s.parent_schedule_id === 'parent');
+    assert.deepEqual(children.map(c => c.dispatch_date).sort(), [shift(today, 7), shift(today, 14)]);
+    for (const child of children) {
+      assert.equal(child.expected_arrival_date, shift(child.dispatch_date, 1));
+      assert.equal(child.origin_site_id, 'farm');
+      const lines = db.tables.dispatch_schedule_packaging.filter(l => l.schedule_id === child.id);
+      assert.deepEqual(lines.map(l => [l.packaging_type_id, l.quantity]), [['crate', 120]]);
+    }
+  });
+
+  it('skips holidays or moves them to the next day by the holiday rule', async () => {
+    const holidays = new Set([shift(today, 7)]);
+
+    const skipping = seriesParent();
+    let db = createFakeDb({ dispatch_schedules: [skipping] });
+    restore = useFakeDb(db);
+    await syncSeries(skipping, { horizonDays: 14, holidays });
+    assert.deepEqual(db.tables.dispatch_schedules.filter(s => s.parent_schedule_id).map(s => s.dispatch_date), [shift(today, 14)]);
+    restore();
+
+    const moving = seriesParent({ recurrence_holiday_rule: 'next_day' });
+    db = createFakeDb({ dispatch_schedules: [moving] });
+    restore = useFakeDb(db);
+    await syncSeries(moving, { horizonDays: 14, holidays });
+    const moved = db.tables.dispatch_schedules.find(s => s.occurrence_date === shift(today, 7));
+    assert.equal(moved.dispatch_date, shift(today, 8));
+  });
+
+  it('replaces stale planned occurrences but never dispatched ones', async () => {
+    const parent = seriesParent({ recurrence_skip_dates: [shift(today, 7), shift(today, 14)] });
+    const db = createFakeDb({
+      dispatch_schedules: [
+        parent,
+        { id: 'stale', parent_schedule_id: 'parent', occurrence_date: shift(today, 7), dispatch_date: shift(today, 7), status: 'planned', load_id: null },
+        { id: 'loaded', parent_schedule_id: 'parent', occurrence_date: shift(today, 14), dispatch_date: shift(today, 14), status: 'confirmed', load_id: 'load-1' }
+      ]
+    });
+    restore = useFakeDb(db);
+
+    const result = await syncSeries(parent, { horizonDays: 14, holidays: new Set() });
+
+    assert.deepEqual(result, { created: 0, removed: 1 });
+    assert.deepEqual(db.tables.dispatch_schedules.map(s => s.id).sort(), ['loaded', 'parent']);
+  });
+});
+
+describe('deleteSeries', () => {
+  /**
+   * A series with a dispatched, an edited and two planned occurrences
+   * @param {object} [parentOverrides]
+   */
+  function seriesDb(parentOverrides) {
+    const child = (id, days, values = {}) => ({
+      id,
+      parent_schedule_id: 'parent',
+      occurrence_date: shift(today, days),
+      dispatch_date: shift(today, days),
+      status: 'planned',
+      load_id: null,
+      is_recurrence_exception: false,
+      ...values
+    });
+
+    return createFakeDb({
+      dispatch_schedules: [
+        seriesParent(parentOverrides),
+        child('dispatched', 7, { status: 'confirmed', load_id: 'load-1' }),
+        child('edited', 14, { is_recurrence_exception: true }),
+        child('planned-1', 21),
+        child('planned-2', 28)
+      ]
+    });
+  }
+
+  const ids = (db) => db.tables.dispatch_schedules.map(s => s.id).sort();
+  const row = (db, id) => db.tables.dispatch_schedules.find(s => s.id === id);
+
+  it('deletes only this occurrence and remembers its date', async () => {
+    const db = seriesDb();
+    restore = useFakeDb(db);
+
+    assert.equal(await deleteSeries(row(db, 'planned-1'), 'this'), 1);
+    assert.deepEqual(ids(db), ['dispatched', 'edited', 'parent', 'planned-2']);
+    assert.deepEqual(row(db, 'parent').recurrence_skip_dates, [shift(today, 21)]);
+  });
+
+  it('keeps dispatched and edited occurrences when deleting the whole series', async () => {
+    const db = seriesDb();
+    restore = useFakeDb(db);
+
+    assert.equal(await deleteSeries(row(db, 'planned-1'), 'all'), 3);
+    assert.deepEqual(ids(db), ['dispatched', 'edited']);
+    assert.equal(row(db, 'dispatched').parent_schedule_id, null);
+    assert.equal(row(db, 'edited').parent_schedule_id, null);
+  });
+
+  it('keeps a dispatched parent as a one-off schedule', async () => {
+    const db = seriesDb({ status: 'confirmed', load_id: 'load-0' });
+    restore = useFakeDb(db);
+
+    assert.equal(await deleteSeries(row(db, 'planned-2'), 'all'), 2);
+    assert.deepEqual(ids(db), ['dispatched', 'edited', 'parent']);
+    assert.equal(row(db, 'parent').is_recurring, false);
+  });
+
+  it('ends the series before this occurrence when deleting the following ones', async () => {
+    const db = seriesDb();
+    restore = useFakeDb(db);
+
+    assert.equal(await deleteSeries(row(db, 'edited'), 'following'), 3);
+    assert.deepEqual(ids(db), ['dispatched', 'parent']);
+    assert.equal(row(db, 'parent').recurrence_end_date, shift(today, 13));
+    assert.equal(row(db, 'dispatched').parent_schedule_id, 'parent');
+  });
+});
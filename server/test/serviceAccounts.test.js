@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import serviceAccountsRoutes from '../src/routes/serviceAccounts.supabase.js';
+
+const admin = { id: 'admin-1', role: 'admin' };
+// A dispatcher who was given api_keys.manage
+const manager = { id: 'user-1', role: 'dispatcher' };
+
+function accountsDb() {
+  return createFakeDb({
+    role_permissions: [
+      { role: 'dispatcher', permission: 'api_keys.manage' },
+      { role: 'dispatcher', permission: 'loads.edit' }
+    ],
+    users: [
+      { id: 'svc-1', first_name: 'Telematics', role: 'dispatcher', is_active: true, is_service_account: true },
+      { id: 'svc-admin', first_name: 'Sync', role: 'admin', is_active: true, is_service_account: true }
+    ],
+    api_keys: []
+  });
+}
+
+let app;
+before(async () => { app = await startServer({ '/api/service-accounts': serviceAccountsRoutes }); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('service accounts', () => {
+  it('only lets admins create or promote admin accounts', async () => {
+    const db = accountsDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, manager);
+
+    const created = await app.request('POST', '/api/service-accounts', { token, body: { name: 'Root', role: 'admin' } });
+    const promoted = await app.request('PUT', '/api/service-accounts/svc-1', { token, body: { role: 'admin' } });
+
+    assert.equal(created.status, 403);
+    assert.equal(promoted.status, 403);
+    assert.equal(db.tables.users.find(u => u.id === 'svc-1').role, 'dispatcher');
+
+    const byAdmin = await app.request('POST', '/api/service-accounts', {
+      token: tokenFor(db, admin),
+      body: { name: 'Root', role: 'admin' }
+    });
+    assert.equal(byAdmin.status, 201);
+  });
+
+  it('keeps non-admins away from existing admin accounts', async () => {
+    const db = accountsDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, manager);
+
+    assert.equal((await app.request('PUT', '/api/service-accounts/svc-admin', { token, body: { name: 'Mine' } })).status, 403);
+    assert.equal((await app.request('DELETE', '/api/service-accounts/svc-admin', { token })).status, 403);
+    assert.equal((await app.request('POST', '/api/service-accounts/svc-admin/keys', { token, body: { name: 'k' } })).status, 403);
+    assert.equal(db.tables.api_keys.length, 0);
+  });
+
+  it('only lets callers grant key permissions they hold', async () => {
+    const db = accountsDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, manager);
+
+    const escalated = await app.request('POST', '/api/service-accounts/svc-1/keys', {
+      token,
+      body: { name: 'k', permissions: ['loads.edit', 'users.manage'] }
+    });
+    assert.equal(escalated.status, 403);
+    assert.match(escalated.body.error.message, /not users\.manage/);
+
+    const allowed = await app.request('POST', '/api/service-accounts/svc-1/keys', {
+      token,
+      body: { name: 'k', permissions: ['loads.edit'] }
+    });
+    assert.equal(allowed.status, 201);
+    assert.deepEqual(db.tables.api_keys.map(k => k.permissions), [['loads.edit']]);
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  createChannelMatcher,
+  createSiteMatcher,
+  isSheetError,
+  parseSheetCount,
+  parseSheetDate,
+  parseSheetText,
+  parseSheetTime
+} from '../src/services/sheetParsing.js';
+
+describe('parseSheetText', () => {
+  it('splits tab-separated text as pasted from Excel', () => {
+    assert.deepEqual(parseSheetText('a\t b \r\n\tc'), [['a', 'b'], ['', 'c']]);
+  });
+
+  it('splits CSV with quoted commas and quotes', () => {
+    assert.deepEqual(parseSheetText('﻿name,notes\n"Farm, North","say ""hi"""'), [
+      ['name', 'notes'],
+      ['Farm, North', 'say "hi"']
+    ]);
+  });
+});
+
+describe('parseSheetDate', () => {
+  it('reads the date formats typed into the sheets', () => {
+    assert.equal(parseSheetDate('17-Nov-25'), '2025-11-17');
+    assert.equal(parseSheetDate('Monday, 08-Dec-25'), '2025-12-08');
+    assert.equal(parseSheetDate('10 -Dec -25'), '2025-12-10');
+    assert.equal(parseSheetDate('07/12/2025'), '2025-12-07');
+    assert.equal(parseSheetDate('2025-12-07'), '2025-12-07');
+  });
+
+  it('rejects dates that do not exist', () => {
+    assert.equal(parseSheetDate('31-Feb-25'), null);
+    assert.equal(parseSheetDate('#REF!'), null);
+    assert.equal(parseSheetDate(''), null);
+  });
+});
+
+describe('parseSheetTime', () => {
+  it('reads hours and minutes in the sheet styles', () => {
+    assert.equal(parseSheetTime('18:00Hrs'), '18:00');
+    assert.equal(parseSheetTime('2048hrs'), '20:48');
+    assert.equal(parseSheetTime('7.45'), '07:45');
+  });
+
+  it('rejects impossible times', () => {
+    assert.equal(parseSheetTime('25:00'), null);
+    assert.equal(parseSheetTime('soon'), null);
+  });
+});
+
+describe('parseSheetCount and isSheetError', () => {
+  it('tells blank, whole and broken counts apart', () => {
+    assert.equal(parseSheetCount(''), null);
+    assert.equal(parseSheetCount('1,350'), 1350);
+    assert.ok(Number.isNaN(parseSheetCount('12.5')));
+  });
+
+  it('recognises Excel errors', () => {
+    assert.ok(isSheetError('#REF!'));
+    assert.ok(isSheetError(' #N/A '));
+    assert.ok(!isSheetError('REF'));
+  });
+});
+
+describe('createSiteMatcher', () => {
+  const match = createSiteMatcher([
+    { id: 'cbc', code: 'CBC', name: 'Chipinge Banana Company', city: 'Chipinge', site_types: { name: 'Farm' } },
+    { id: 'hre', code: 'HRE', name: 'Harare Depot', city: 'Harare', site_types: { name: 'Depot' } },
+    { id: 'hre-shop', code: 'HRS', name: 'Harare Shop', city: 'Harare', site_types: { name: 'Customer' } },
+    { id: 'fm-p', code: 'FMP', name: 'Freshmark Polokwane', city: 'Polokwane' },
+    { id: 'fm-c', code: 'FMC', name: 'Freshmark Centurion', city: 'Centurion' }
+  ]);
+
+  it('matches by code, name, name prefix and city, preferring depots', () => {
+    assert.equal(match('cbc').site.id, 'cbc');
+    assert.equal(match('Harare Depot').site.id, 'hre');
+    assert.equal(match('Chipinge Banana').site.id, 'cbc');
+    assert.equal(match('Harare ').site.id, 'hre');
+  });
+
+  it('explains ambiguous and unknown names', () => {
+    assert.match(match('Freshmark').error, /several sites \(FMP, FMC\)/);
+    assert.equal(match('Mutare').error, 'not found');
+    assert.equal(match('').error, 'missing');
+  });
+});
+
+describe('createChannelMatcher', () => {
+  const match = createChannelMatcher([
+    { id: 'retail', code: 'RET', name: 'Retail' },
+    { id: 'vansales', code: 'VAN', name: 'Vansales' }
+  ]);
+
+  it('uses the first part that matches and reports the rest', () => {
+    const { channel, unmatched } = match('Vansale/Municipal/Retail');
+    assert.equal(channel.id, 'vansales');
+    assert.deepEqual(unmatched, ['Municipal']);
+  });
+
+  it('gives no channel when nothing matches', () => {
+    assert.deepEqual(match('Willsgrove'), { channel: null, unmatched: ['Willsgrove'] });
+  });
+});
@@ -0,0 +1,220 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import { applySiteScope, canAccessLoad, canAccessSite, getSiteScope } from '../src/middleware/siteScope.js';
+import { supabase } from '../src/db/supabase.js';
+import loadsRoutes from '../src/routes/loads.supabase.js';
+import notificationsRoutes from '../src/routes/notifications.supabase.js';
+import packagingRoutes from '../src/routes/packaging.supabase.js';
+import plannerRoutes from '../src/routes/planner.supabase.js';
+import sitesRoutes from '../src/routes/sites.supabase.js';
+import stockTakesRoutes from '../src/routes/stocktakes.supabase.js';
+
+const farmUser = { id: 'farm-1', role: 'farm_user', assigned_site_id: 'cbc' };
+const dispatcher = { id: 'disp-1', role: 'dispatcher' };
+const CRATE = '7d1e4f0a-8c2b-4b7e-9a51-3f6d2c8e1b90';
+// Grants are cached per role, so every test here uses the same ones
+const ROLE_PERMISSIONS = [
+  { role: 'farm_user', permission: 'inventory.adjust' },
+  { role: 'farm_user', permission: 'planner.edit' },
+  { role: 'depot_user', permission: 'stocktakes.approve' }
+];
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('site scope rules', () => {
+  it('limits farm and depot users to their assigned site', () => {
+    assert.deepEqual(getSiteScope(farmUser), ['cbc']);
+    assert.deepEqual(getSiteScope({ role: 'depot_user' }), []);
+    assert.equal(getSiteScope(dispatcher), null);
+
+    assert.equal(canAccessSite(farmUser, 'cbc'), true);
+    assert.equal(canAccessSite(farmUser, 'hre'), false);
+    assert.equal(canAccessSite(dispatcher, 'hre'), true);
+  });
+
+  it('shows a load when any of its sites is in scope', () => {
+    assert.equal(canAccessLoad(farmUser, { origin_site_id: 'cbc', destination_site_id: 'hre' }), true);
+    assert.equal(canAccessLoad(farmUser, { origin_site_id: 'bv', destination_site_id: 'hre', backload_site_id: 'cbc' }), true);
+    assert.equal(canAccessLoad(farmUser, { origin_site_id: 'bv', destination_site_id: 'hre' }), false);
+  });
+
+  it('filters queries on any of the site columns', async () => {
+    restore = useFakeDb(createFakeDb({
+      loads: [
+        { id: 1, origin_site_id: 'cbc', destination_site_id: 'hre' },
+        { id: 2, origin_site_id: 'bv', destination_site_id: 'cbc' },
+        { id: 3, origin_site_id: 'bv', destination_site_id: 'hre' }
+      ]
+    }));
+
+    const query = (user) => applySiteScope(supabase.from('loads').select('id'), user, ['origin_site_id', 'destination_site_id']);
+
+    assert.deepEqual((await query(farmUser)).data.map(l => l.id), [1, 2]);
+    assert.deepEqual((await query({ role: 'farm_user' })).data, []);
+    assert.equal((await query(dispatcher)).data.length, 3);
+  });
+});
+
+describe('inventory changes', () => {
+  let app;
+  before(async () => {
+    app = await startServer({ '/api/packaging': packagingRoutes, '/api/sites': sitesRoutes });
+  });
+  after(() => app.close());
+
+  function inventoryDb() {
+    const db = createFakeDb({
+      role_permissions: ROLE_PERMISSIONS,
+      packaging_movements: [],
+      alert_rules: []
+    });
+    db.rpcs.post_balance_adjustment = (args) => {
+      db.adjustments = [...(db.adjustments || []), args];
+      return { site_id: args.p_site_id, quantity: args.p_quantity };
+    };
+    return db;
+  }
+
+  it('refuses a count at another site', async () => {
+    const db = inventoryDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, farmUser);
+
+    const { status } = await app.request('PUT', `/api/packaging/inventory/hre/${CRATE}`, { token, body: { quantity: 10 } });
+
+    assert.equal(status, 404);
+    assert.equal(db.adjustments, undefined);
+
+    const own = await app.request('PUT', `/api/packaging/inventory/cbc/${CRATE}`, { token, body: { quantity: 10 } });
+    assert.equal(own.status, 200);
+    assert.equal(db.adjustments[0].p_site_id, 'cbc');
+  });
+
+  it('refuses an adjustment at another site', async () => {
+    const db = inventoryDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, farmUser);
+    const body = { packagingTypeId: CRATE, quantity: 5, adjustmentType: 'purchase' };
+
+    assert.equal((await app.request('POST', '/api/sites/hre/inventory/adjust', { token, body })).status, 404);
+    assert.equal(db.tables.packaging_movements.length, 0);
+
+    assert.equal((await app.request('POST', '/api/sites/cbc/inventory/adjust', { token, body })).status, 200);
+    assert.deepEqual(db.tables.packaging_movements.map(m => [m.site_id, m.quantity_change]), [['cbc', 5]]);
+  });
+});
+
+describe('stock take review', () => {
+  let app;
+  before(async () => {
+    app = await startServer({ '/api/stock-takes': stockTakesRoutes });
+  });
+  after(() => app.close());
+
+  // A depot manager given stocktakes.approve for their own depot
+  const depotManager = { id: 'depot-1', role: 'depot_user', assigned_site_id: 'hre' };
+
+  function stockTakeDb() {
+    const db = createFakeDb({
+      role_permissions: ROLE_PERMISSIONS,
+      stock_takes: [{ id: 'st-1', site_id: 'cbc', reference_number: 'ST-CBC261020', status: 'submitted' }],
+      packaging_movements: [],
+      alert_rules: []
+    });
+    db.rpcs.approve_stock_take = ({ p_stock_take_id: id }) => {
+      db.tables.packaging_movements.push({ stock_take_id: id });
+      return Object.assign(db.tables.stock_takes[0], { status: 'approved' });
+    };
+    return db;
+  }
+
+  it('refuses to approve or reject a count at another site', async () => {
+    const db = stockTakeDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, depotManager);
+
+    const approved = await app.request('POST', '/api/stock-takes/st-1/approve', { token, body: {} });
+    const rejected = await app.request('POST', '/api/stock-takes/st-1/reject', { token, body: { reviewNotes: 'No' } });
+
+    assert.deepEqual([approved.status, rejected.status], [404, 404]);
+    assert.equal(db.tables.stock_takes[0].status, 'submitted');
+    assert.equal(db.tables.packaging_movements.length, 0);
+  });
+});
+
+describe('loads, planning and subscriptions', () => {
+  let app;
+  before(async () => {
+    app = await startServer({
+      '/api/loads': loadsRoutes,
+      '/api/planner': plannerRoutes,
+      '/api/notifications': notificationsRoutes
+    });
+  });
+  after(() => app.close());
+
+  const FARM = '1c6a0f3e-7b2d-4e8a-9c51-0d3f6b8e2a47';
+  const DEPOT = '8e4b2d6f-1a3c-4f5e-b7d9-2c0e4a6b8d1f';
+  const OTHER_FARM = '4a7d9c2e-6f1b-4d3a-8e5c-7b0f2d4a6c9e';
+  const farmPlanner = { id: 'farm-2', role: 'farm_user', assigned_site_id: FARM };
+
+  function scopeDb() {
+    return createFakeDb({
+      role_permissions: ROLE_PERMISSIONS,
+      loads: [
+        { id: 'load-1', load_number: 'F1', origin_site_id: FARM, destination_site_id: DEPOT, dispatch_date: '2026-10-20', status: 'scheduled' },
+        { id: 'load-2', load_number: 'F2', origin_site_id: OTHER_FARM, destination_site_id: DEPOT, dispatch_date: '2026-10-20', status: 'scheduled' }
+      ],
+      load_packaging: [],
+      backload_packaging: [],
+      dispatch_schedules: [],
+      dispatch_schedule_packaging: [],
+      notification_subscriptions: []
+    });
+  }
+
+  it('lists and opens only loads to or from the user\'s site', async () => {
+    const db = scopeDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, farmPlanner);
+
+    const list = await app.request('GET', '/api/loads', { token });
+    assert.deepEqual(list.body.loads.map(l => l.id), ['load-1']);
+
+    assert.equal((await app.request('GET', '/api/loads/load-1', { token })).status, 200);
+    assert.equal((await app.request('GET', '/api/loads/load-2', { token })).status, 404);
+  });
+
+  it('only plans dispatches to or from the user\'s site', async () => {
+    const db = scopeDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, farmPlanner);
+    const schedule = { dispatchDate: '2026-10-22', expectedArrivalDate: '2026-10-23', destinationSiteId: DEPOT };
+
+    const other = await app.request('POST', '/api/planner/schedules', { token, body: { ...schedule, originSiteId: OTHER_FARM } });
+    assert.equal(other.status, 403);
+    assert.equal(other.body.error.message, 'You can only plan dispatches for your own site');
+    assert.equal(db.tables.dispatch_schedules.length, 0);
+
+    const own = await app.request('POST', '/api/planner/schedules', { token, body: { ...schedule, originSiteId: FARM } });
+    assert.equal(own.status, 201);
+  });
+
+  it('keeps notification subscriptions to the user\'s site', async () => {
+    const db = scopeDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, farmPlanner);
+    const subscription = { eventType: 'load_due', channel: 'email' };
+
+    const other = await app.request('POST', '/api/notifications/subscriptions', { token, body: { ...subscription, siteId: OTHER_FARM } });
+    assert.equal(other.status, 403);
+    assert.equal(other.body.error.message, 'You can only subscribe to events of your own site');
+
+    const own = await app.request('POST', '/api/notifications/subscriptions', { token, body: subscription });
+    assert.equal(own.status, 201);
+    assert.equal(db.tables.notification_subscriptions[0].site_id, FARM);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import stockTakesRoutes from '../src/routes/stocktakes.supabase.js';
+
+// Counts but may not approve
+const counter = { id: 'user-1', role: 'depot_user', assigned_site_id: 'cbc' };
+const approver = { id: 'user-2', role: 'dispatcher' };
+const CRATE = '7d1e4f0a-8c2b-4b7e-9a51-3f6d2c8e1b90';
+const BIN = '0b9c5d1e-2f3a-4b6c-8d7e-9f0a1b2c3d4e';
+const PALLET = '5e6f7a8b-9c0d-4e1f-a2b3-c4d5e6f7a8b9';
+
+/**
+ * A submitted count of three lines: short, over and exact, with
+ * approve_stock_take as in migration 10
+ */
+function stockTakeDb() {
+  const db = createFakeDb({
+    role_permissions: [
+      { role: 'depot_user', permission: 'stocktakes.count' },
+      { role: 'dispatcher', permission: 'stocktakes.approve' }
+    ],
+    stock_takes: [{ id: 'st-1', site_id: 'cbc', reference_number: 'ST-CBC261020', status: 'submitted' }],
+    stock_take_lines: [
+      { stock_take_id: 'st-1', packaging_type_id: CRATE, expected_quantity: 100, counted_quantity: 96, variance: -4 },
+      { stock_take_id: 'st-1', packaging_type_id: BIN, expected_quantity: 20, counted_quantity: 21, variance: 1 },
+      { stock_take_id: 'st-1', packaging_type_id: PALLET, expected_quantity: 5, counted_quantity: 5, variance: 0 }
+    ],
+    packaging_movements: [],
+    alert_rules: []
+  });
+
+  db.rpcs.approve_stock_take = ({ p_stock_take_id: id, p_approved_by: approvedBy, p_review_notes: notes }) => {
+    const stockTake = db.tables.stock_takes.find(s => s.id === id);
+    if (!stockTake) throw { code: 'P0002', message: 'Stock take not found' };
+    if (stockTake.status !== 'submitted') {
+      throw { code: '23514', message: `Only submitted stock takes can be approved (currently ${stockTake.status})` };
+    }
+
+    for (const line of db.tables.stock_take_lines.filter(l => l.stock_take_id === id && l.variance !== 0)) {
+      db.tables.packaging_movements.push({
+        movement_type: line.variance < 0 ? 'loss' : 'adjustment',
+        site_id: stockTake.site_id,
+        packaging_type_id: line.packaging_type_id,
+        quantity_change: line.variance,
+        stock_take_id: id
+      });
+    }
+
+    return Object.assign(stockTake, { status: 'approved', reviewed_by: approvedBy, review_notes: notes });
+  };
+
+  return db;
+}
+
+let app;
+before(async () => { app = await startServer({ '/api/stock-takes': stockTakesRoutes }); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('stock take approval', () => {
+  it('posts each variance to the ledger once approved', async () => {
+    const db = stockTakeDb();
+    restore = useFakeDb(db);
+
+    const { status, body } = await app.request('POST', '/api/stock-takes/st-1/approve', {
+      token: tokenFor(db, approver),
+      body: { reviewNotes: 'Recount confirmed' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.stockTake.status, 'approved');
+    assert.deepEqual(
+      db.tables.packaging_movements.map(m => [m.movement_type, m.packaging_type_id, m.quantity_change]),
+      [['loss', CRATE, -4], ['adjustment', BIN, 1]]
+    );
+  });
+
+  it('approves a count only once', async () => {
+    const db = stockTakeDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, approver);
+
+    assert.equal((await app.request('POST', '/api/stock-takes/st-1/approve', { token, body: {} })).status, 200);
+    const again = await app.request('POST', '/api/stock-takes/st-1/approve', { token, body: {} });
+
+    assert.equal(again.status, 400);
+    assert.match(again.body.error.message, /currently approved/);
+    assert.equal(db.tables.packaging_movements.length, 2);
+  });
+
+  it('keeps approval from users who only count', async () => {
+    const db = stockTakeDb();
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('POST', '/api/stock-takes/st-1/approve', { token: tokenFor(db, counter), body: {} });
+
+    assert.equal(status, 403);
+    assert.equal(db.tables.stock_takes[0].status, 'submitted');
+    assert.equal(db.tables.packaging_movements.length, 0);
+  });
+
+  it('rejects with a reason and posts nothing', async () => {
+    const db = stockTakeDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, approver);
+
+    assert.equal((await app.request('POST', '/api/stock-takes/st-1/reject', { token, body: {} })).status, 400);
+
+    const { status, body } = await app.request('POST', '/api/stock-takes/st-1/reject', {
+      token,
+      body: { reviewNotes: 'Count the crates again' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.stockTake.status, 'rejected');
+    assert.equal(db.tables.packaging_movements.length, 0);
+  });
+});
@@ -0,0 +1,87 @@
+import bcrypt from 'bcryptjs';
+import express from 'express';
+import { createFakeDb } from './fakeSupabase.js';
+import { startServer } from './server.js';
+import { authenticate } from '../../src/middleware/auth.js';
+import authRoutes from '../../src/routes/auth.supabase.js';
+
+/**
+ * The auth routes on a local port, for tests that go through sign-in.
+ * GET /api/me answers with the authenticated user's id and permissions.
+ */
+
+export const PASSWORD = 'correct horse';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+/**
+ * A users row that signs in with PASSWORD
+ * @param {object} [overrides]
+ */
+export function user(overrides = {}) {
+  return {
+    id: 'user-1',
+    email: 'anna@example.com',
+    first_name: 'Anna',
+    last_name: 'Dube',
+    role: 'dispatcher',
+    assigned_site_id: null,
+    is_active: true,
+    password_hash: PASSWORD_HASH,
+    password_reset_required: false,
+    failed_login_attempts: 0,
+    locked_until: null,
+    mfa_enabled: false,
+    ...overrides
+  };
+}
+
+/**
+ * A database with one user, and record_failed_login behaving as in
+ * migration 19
+ * @param {object} [userOverrides]
+ * @param {object} [extra] - More tables
+ */
+export function authDb(userOverrides = {}, extra = {}) {
+  const db = createFakeDb({
+    users: [user(userOverrides)],
+    role_permissions: [{ role: 'dispatcher', permission: 'loads.edit' }, { role: 'dispatcher', permission: 'loads.create' }],
+    role_settings: [],
+    user_sessions: [],
+    user_mfa: [],
+    api_keys: [],
+    ...extra
+  });
+
+  db.rpcs.record_failed_login = ({ p_user_id: userId, p_max_attempts: max, p_lockout_minutes: minutes }) => {
+    const row = db.tables.users.find(u => u.id === userId);
+    if (row.failed_login_attempts + 1 >= max) {
+      row.failed_login_attempts = 0;
+      row.locked_until = new Date(Date.now() + minutes * 60000).toISOString();
+    } else {
+      row.failed_login_attempts += 1;
+    }
+    return row.locked_until;
+  };
+
+  return db;
+}
+
+/**
+ * Start the server
+ * @returns {Promise<{ request: Function, login: Function, close: Function }>}
+ *   request(path, body?, token?) POSTs body as JSON (GET without one);
+ *   login(password?) signs in as user()
+ */
+export async function startAuthServer() {
+  const me = express.Router();
+  me.get('/', authenticate, (req, res) => res.json({ id: req.user.id, permissions: req.user.permissions }));
+
+  const server = await startServer({ '/api/auth': authRoutes, '/api/me': me });
+  const request = (path, body, token) => server.request(body ? 'POST' : 'GET', path, { body, token });
+
+  return {
+    request,
+    login: (password = PASSWORD) => request('/api/auth/login', { email: 'anna@example.com', password }),
+    close: server.close
+  };
+}
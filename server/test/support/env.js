@@ -0,0 +1,5 @@
+// Settings the services read at import time. Imported before anything
+// that loads src/db/supabase.js; no request ever reaches this URL.
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-role-key';
+process.env.JWT_SECRET ||= 'test-jwt-secret';
@@ -0,0 +1,294 @@
+import './env.js';
+import { randomUUID } from 'node:crypto';
+import { supabase } from '../../src/db/supabase.js';
+
+/**
+ * In-memory stand-in for the Supabase client, enough for the services'
+ * query chains: select/insert/update/upsert/delete with the usual
+ * filters, order, limit, range, exact counts, single and maybeSingle.
+ * Selected columns and embeds are not applied: rows come back whole, so
+ * tests put any embedded relation on the row itself. Filters on an
+ * embed's column ("site_types.name") read that relation.
+ */
+
+/**
+ * @param {string} value - Value as written in an or() filter
+ */
+function parseValue(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => a != null && a > b,
+  gte: (a, b) => a != null && a >= b,
+  lt: (a, b) => a != null && a < b,
+  lte: (a, b) => a != null && a <= b,
+  is: (a, b) => (b === null ? a == null : a === b),
+  in: (a, b) => b.includes(a),
+  contains: (a, b) => Array.isArray(a) && b.every(v => a.includes(v)),
+  containedBy: (a, b) => Array.isArray(a) && a.every(v => b.includes(v)),
+  like: (a, b) => new RegExp(`^${b.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`).test(a ?? '')
+};
+
+/**
+ * @param {object} row
+ * @param {string} column - Column, or "relation.column" of an embed
+ */
+function valueAt(row, column) {
+  return column.split('.').reduce((value, key) => value?.[key], row);
+}
+
+/**
+ * Conditions of an or() filter such as "id.eq.1,parent_id.eq.1"
+ * @param {string} filter
+ */
+function parseOr(filter) {
+  return filter.split(',').map(part => {
+    const [column, operator, ...rest] = part.split('.');
+    return row => OPERATORS[operator](row[column], parseValue(rest.join('.')));
+  });
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.rowLimit = null;
+    this.mode = 'many';
+    this.returning = false;
+  }
+
+  select(columns, { count } = {}) {
+    this.returning = true;
+    this.counting = Boolean(count);
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumns = onConflict.split(',');
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push(row => OPERATORS[operator](valueAt(row, column), value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  like(column, pattern) { return this.filter(column, 'like', pattern); }
+  contains(column, values) { return this.filter(column, 'contains', values); }
+  containedBy(column, values) { return this.filter(column, 'containedBy', values); }
+
+  not(column, operator, value) {
+    const values = operator === 'in' ? value.replace(/^\(|\)$/g, '').split(',') : value;
+    this.filters.push(row => !OPERATORS[operator](valueAt(row, column), values));
+    return this;
+  }
+
+  or(filter) {
+    const conditions = parseOr(filter);
+    this.filters.push(row => conditions.some(condition => condition(row)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push([column, ascending]);
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowOffset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matching() {
+    return this.db.rows(this.table).filter(row => this.filters.every(f => f(row)));
+  }
+
+  run() {
+    const rows = this.db.rows(this.table);
+
+    if (this.action === 'insert') {
+      const inserted = this.payload.map(row => ({
+        id: randomUUID(),
+        created_at: new Date().toISOString(),
+        ...this.db.defaults[this.table],
+        ...row
+      }));
+      rows.push(...inserted);
+      return inserted;
+    }
+
+    if (this.action === 'upsert') {
+      const result = [];
+      for (const row of this.payload) {
+        const existing = rows.find(r => this.conflictColumns.every(c => r[c] === row[c]));
+        if (existing) {
+          if (!this.ignoreDuplicates) Object.assign(existing, row);
+          result.push(existing);
+        } else {
+          const inserted = { id: randomUUID(), ...row };
+          rows.push(inserted);
+          result.push(inserted);
+        }
+      }
+      return result;
+    }
+
+    if (this.action === 'update') {
+      const matched = this.matching();
+      matched.forEach(row => Object.assign(row, this.payload));
+      return matched;
+    }
+
+    if (this.action === 'delete') {
+      const matched = this.matching();
+      this.db.tables[this.table] = rows.filter(row => !matched.includes(row));
+      return matched;
+    }
+
+    let result = this.matching();
+    for (const [column, ascending] of [...this.orders].reverse()) {
+      result = [...result].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+      });
+    }
+    this.total = result.length;
+    const offset = this.rowOffset || 0;
+    if (this.rowLimit != null) result = result.slice(offset, offset + this.rowLimit);
+    return result;
+  }
+
+  execute() {
+    this.db.calls.push({ table: this.table, action: this.action });
+
+    const failure = this.db.takeFailure(this.table, this.action);
+    if (failure) return { data: null, error: failure };
+
+    const rows = this.run().map(row => ({ ...row }));
+
+    if (this.mode === 'many') {
+      const returnsRows = this.action === 'select' || this.returning;
+      return { data: returnsRows ? rows : null, error: null, ...(this.counting && { count: this.total }) };
+    }
+    if (rows.length === 1) return { data: rows[0], error: null };
+    if (rows.length === 0 && this.mode === 'maybeSingle') return { data: null, error: null };
+    return {
+      data: null,
+      error: { code: 'PGRST116', message: `JSON object requested, ${rows.length} rows returned` }
+    };
+  }
+}
+
+/**
+ * A fake database holding tables of rows
+ * @param {Record<string, object[]>} [tables]
+ */
+export function createFakeDb(tables = {}) {
+  const db = {
+    tables: structuredClone(tables),
+    calls: [],
+    failures: [],
+    rpcs: {},
+    // Column defaults by table, applied to inserted rows
+    defaults: {},
+    rows(table) {
+      if (!db.tables[table]) db.tables[table] = [];
+      return db.tables[table];
+    },
+    /**
+     * Make the next matching call fail with this error
+     * @param {string} table
+     * @param {string} action - select, insert, update, upsert or delete
+     * @param {object} [error]
+     */
+    failNext(table, action, error = { code: 'XX000', message: `${action} on ${table} failed` }) {
+      db.failures.push({ table, action, error });
+    },
+    takeFailure(table, action) {
+      const index = db.failures.findIndex(f => f.table === table && f.action === action);
+      return index === -1 ? null : db.failures.splice(index, 1)[0].error;
+    }
+  };
+  return db;
+}
+
+/**
+ * Route the shared Supabase client to a fake database until restored
+ * @param {ReturnType<typeof createFakeDb>} db
+ * @returns {() => void} Restores the real client
+ */
+export function useFakeDb(db) {
+  const { from, rpc } = supabase;
+
+  supabase.from = (table) => new FakeQuery(db, table);
+  supabase.rpc = async (name, args) => {
+    if (!db.rpcs[name]) return { data: null, error: { message: `No fake for rpc ${name}` } };
+    try {
+      return { data: await db.rpcs[name](args), error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  };
+
+  return () => {
+    supabase.from = from;
+    supabase.rpc = rpc;
+  };
+}
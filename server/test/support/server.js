@@ -0,0 +1,67 @@
+import express from 'express';
+import { issueAccessToken } from '../../src/services/sessions.js';
+
+/**
+ * Routers on a local port, for tests that go through the HTTP layer
+ * the way the client does.
+ */
+
+/**
+ * Start a server with routers mounted as in server.js
+ * @param {Record<string, import('express').Router>} routes - Router by mount path
+ * @returns {Promise<{ request: Function, close: Function }>} request(method,
+ *   path, { body, token }) resolves to { status, body }
+ */
+export async function startServer(routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+  });
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: async (method, path, { body, token } = {}) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Access token for a user with an active session in a fake database.
+ * Adds the user row when it is not there yet.
+ * @param {object} db - From createFakeDb
+ * @param {{ id: string, role: string }} user
+ */
+export function tokenFor(db, user) {
+  db.tables.users ||= [];
+  if (!db.tables.users.some(u => u.id === user.id)) {
+    db.tables.users.push({ is_active: true, assigned_site_id: null, ...user });
+  }
+
+  db.tables.user_sessions ||= [];
+  const sessionId = `session-${user.id}-${db.tables.user_sessions.length}`;
+  db.tables.user_sessions.push({
+    id: sessionId,
+    user_id: user.id,
+    revoked_at: null,
+    expires_at: new Date(Date.now() + 3600000).toISOString()
+  });
+
+  return issueAccessToken(user, sessionId);
+}
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { startServer, tokenFor } from './support/server.js';
+import configRoutes from '../src/routes/config.supabase.js';
+
+const admin = { id: 'admin-1', role: 'admin' };
+// A dispatcher who was given users.manage
+const manager = { id: 'user-1', role: 'dispatcher' };
+
+function usersDb() {
+  return createFakeDb({
+    role_permissions: [{ role: 'dispatcher', permission: 'users.manage' }],
+    users: [
+      { id: 'admin-2', email: 'boss@example.com', role: 'admin', is_active: true, is_service_account: false, failed_login_attempts: 4 },
+      { id: 'user-2', email: 'clerk@example.com', role: 'readonly', is_active: true, is_service_account: false, failed_login_attempts: 4 }
+    ],
+    user_mfa: []
+  });
+}
+
+let app;
+before(async () => { app = await startServer({ '/api/config': configRoutes }); });
+after(() => app.close());
+
+let restore = () => {};
+afterEach(() => restore());
+
+describe('user administration by non-admins', () => {
+  it('cannot create admins, hand out admin or change their own role', async () => {
+    const db = usersDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, manager);
+
+    const created = await app.request('POST', '/api/config/users', {
+      token,
+      body: { email: 'new@example.com', password: 'secret1', firstName: 'New', lastName: 'Admin', role: 'admin' }
+    });
+    const promoted = await app.request('PUT', '/api/config/users/user-2', { token, body: { role: 'admin' } });
+    const own = await app.request('PUT', '/api/config/users/user-1', { token, body: { role: 'readonly' } });
+
+    assert.deepEqual([created.status, promoted.status, own.status], [403, 403, 403]);
+    assert.equal(own.body.error.message, 'You cannot change your own role');
+    assert.equal(db.tables.users.find(u => u.id === 'user-2').role, 'readonly');
+  });
+
+  it('cannot act on admin accounts through any per-user route', async () => {
+    const db = usersDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, manager);
+    tokenFor(db, { id: 'admin-2', role: 'admin' });
+
+    for (const [method, path, body] of [
+      ['PUT', '/api/config/users/admin-2', { firstName: 'Mallory' }],
+      ['DELETE', '/api/config/users/admin-2'],
+      ['POST', '/api/config/users/admin-2/invite', {}],
+      ['POST', '/api/config/users/admin-2/force-reset', {}],
+      ['POST', '/api/config/users/admin-2/mfa/reset', {}],
+      ['POST', '/api/config/users/admin-2/unlock', {}],
+      ['DELETE', '/api/config/users/admin-2/sessions']
+    ]) {
+      const { status, body: response } = await app.request(method, path, { token, body });
+      assert.equal(status, 403, `${method} ${path}`);
+      assert.equal(response.error.message, 'Only admins can change admin users');
+    }
+
+    const target = db.tables.users.find(u => u.id === 'admin-2');
+    assert.equal(target.is_active, true);
+    assert.equal(target.failed_login_attempts, 4);
+    assert.ok(db.tables.user_sessions.every(s => !s.revoked_at));
+  });
+
+  it('can still manage other users', async () => {
+    const db = usersDb();
+    restore = useFakeDb(db);
+
+    const { status } = await app.request('POST', '/api/config/users/user-2/unlock', { token: tokenFor(db, manager), body: {} });
+
+    assert.equal(status, 200);
+    assert.equal(db.tables.users.find(u => u.id === 'user-2').failed_login_attempts, 0);
+  });
+});
+
+describe('user administration by admins', () => {
+  it('can manage admin accounts', async () => {
+    const db = usersDb();
+    restore = useFakeDb(db);
+    const token = tokenFor(db, admin);
+
+    assert.equal((await app.request('POST', '/api/config/users/admin-2/unlock', { token, body: {} })).status, 200);
+    assert.equal((await app.request('PUT', '/api/config/users/user-2', { token, body: { role: 'admin' } })).status, 200);
+    assert.equal(db.tables.users.find(u => u.id === 'user-2').role, 'admin');
+  });
+});
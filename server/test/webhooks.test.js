@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createFakeDb, useFakeDb } from './support/fakeSupabase.js';
+import { emitWebhookEvent, processDueDeliveries, replayDelivery, signWebhookPayload } from '../src/services/webhooks.js';
+
+const HOOK_URL = 'https://hooks.example.com/loads';
+const SECRET = 'whsec_test';
+
+// Answers from the fake endpoint, in order; 200 once they run out
+let responses;
+let hooks;
+const realFetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = async (url, options) => {
+    hooks.push({ url, ...options });
+    return new Response('', { status: responses.shift() || 200 });
+  };
+});
+after(() => { globalThis.fetch = realFetch; });
+
+let restore = () => {};
+afterEach(() => restore());
+
+const subscription = (overrides) => ({
+  url: HOOK_URL, secret: SECRET, event_types: [], site_id: null, is_active: true, ...overrides
+});
+
+function eventDb(subscriptions) {
+  const db = createFakeDb({
+    webhook_subscriptions: subscriptions,
+    webhook_deliveries: [],
+    // Embeds are not applied by the fake
+    loads: [{
+      id: 'load-1', load_number: 'CBC261020', status: 'departed',
+      origin_site_id: 'cbc', destination_site_id: 'hre', backload_site_id: null,
+      origin_site: { code: 'CBC', name: 'Chipinge' }, destination_site: { code: 'HRE', name: 'Harare' }
+    }]
+  });
+  db.defaults.webhook_deliveries = { status: 'pending', attempts: 0 };
+  return db;
+}
+
+function dueDb(attempts) {
+  const db = createFakeDb({
+    webhook_deliveries: [{
+      id: 'delivery-1', subscription_id: 'sub-1', event_id: 'event-1', event_type: 'load.dispatched',
+      load_id: 'load-1', payload: { id: 'event-1', event: 'load.dispatched' },
+      status: 'pending', attempts, next_attempt_at: '2026-01-01T00:00:00Z',
+      webhook_subscriptions: subscription()
+    }]
+  });
+  db.defaults.webhook_deliveries = { status: 'pending', attempts: 0 };
+  return db;
+}
+
+describe('webhook deliveries', () => {
+  it('signs the timestamp and raw body with the subscription secret', async () => {
+    restore = useFakeDb(eventDb([subscription({ id: 'sub-1' })]));
+    hooks = [];
+    responses = [];
+
+    await emitWebhookEvent('load.dispatched', 'load-1');
+
+    const { headers, body } = hooks[0];
+    const expected = createHmac('sha256', SECRET).update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.equal(signWebhookPayload(SECRET, headers['X-Webhook-Timestamp'], body), expected);
+    assert.equal(JSON.parse(body).data.load.load_number, 'CBC261020');
+  });
+
+  it('sends only to subscriptions for the event and the load\'s sites', async () => {
+    const db = eventDb([
+      subscription({ id: 'sub-1', event_types: ['load.dispatched'], site_id: 'cbc' }),
+      subscription({ id: 'sub-2', event_types: ['load.received'] }),
+      subscription({ id: 'sub-3', site_id: 'bv' }),
+      subscription({ id: 'sub-4', is_active: false })
+    ]);
+    restore = useFakeDb(db);
+    hooks = [];
+    responses = [];
+
+    const deliveries = await emitWebhookEvent('load.dispatched', 'load-1');
+
+    assert.deepEqual(deliveries.map(d => [d.subscription_id, d.status]), [['sub-1', 'delivered']]);
+    assert.equal(hooks.length, 1);
+  });
+
+  it('backs off after a failed attempt', async () => {
+    const db = eventDb([subscription({ id: 'sub-1' })]);
+    restore = useFakeDb(db);
+    hooks = [];
+    responses = [503];
+
+    const start = Date.now();
+    const [failed] = await emitWebhookEvent('load.dispatched', 'load-1');
+
+    assert.equal(failed.status, 'pending');
+    assert.equal(failed.error, 'Endpoint responded 503');
+    const delay = (new Date(failed.next_attempt_at) - start) / 1000;
+    assert.ok(delay >= 29 && delay <= 32, `retry in ${delay}s`);
+
+    // Not due yet
+    assert.deepEqual(await processDueDeliveries(), { attempted: 0, delivered: 0 });
+  });
+
+  it('delivers due retries and doubles the delay after each failure', async () => {
+    const db = dueDb(3);
+    restore = useFakeDb(db);
+    hooks = [];
+    responses = [500];
+
+    const start = Date.now();
+    assert.deepEqual(await processDueDeliveries(), { attempted: 1, delivered: 0 });
+
+    const delivery = db.tables.webhook_deliveries[0];
+    assert.equal(delivery.attempts, 4);
+    const delay = (new Date(delivery.next_attempt_at) - start) / 1000;
+    // 30s doubled three times
+    assert.ok(delay >= 239 && delay <= 242, `retry in ${delay}s`);
+
+    delivery.next_attempt_at = '2026-01-01T00:00:00Z';
+    assert.deepEqual(await processDueDeliveries(), { attempted: 1, delivered: 1 });
+    assert.equal(delivery.status, 'delivered');
+  });
+
+  it('gives up after the last attempt', async () => {
+    const db = dueDb(7);
+    restore = useFakeDb(db);
+    hooks = [];
+    responses = [500];
+
+    await processDueDeliveries();
+
+    assert.equal(db.tables.webhook_deliveries[0].status, 'failed');
+    assert.equal(db.tables.webhook_deliveries[0].next_attempt_at, null);
+  });
+
+  it('does not send a delivery another run has claimed', async () => {
+    const db = dueDb(1);
+    restore = useFakeDb(db);
+    hooks = [];
+    responses = [];
+
+    const results = await Promise.all([processDueDeliveries(), processDueDeliveries()]);
+
+    assert.equal(results.reduce((sum, r) => sum + r.attempted, 0), 1);
+    assert.equal(hooks.length, 1);
+  });
+
+  it('replays a delivery under the same event id', async () => {
+    const db = dueDb(8);
+    db.tables.webhook_deliveries[0].status = 'failed';
+    restore = useFakeDb(db);
+    hooks = [];
+    responses = [];
+
+    const replay = await replayDelivery('delivery-1');
+
+    assert.equal(replay.status, 'delivered');
+    assert.equal(replay.event_id, 'event-1');
+    assert.equal(replay.replay_of, 'delivery-1');
+    assert.equal(hooks[0].headers['X-Webhook-Delivery'], replay.id);
+  });
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { deflateRawSync } from 'zlib';
+import { MAX_ENTRY_BYTES, readXlsxRows } from '../src/services/xlsx.js';
+
+/**
+ * Zip archive of the given files, deflated unless stored is set. CRCs are
+ * left at zero: the reader does not check them.
+ * @param {Record<string, string|Buffer>} files
+ * @param {{ stored?: boolean, declaredSize?: number }} [options]
+ */
+function zip(files, { stored = false, declaredSize } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const raw = Buffer.from(content);
+    const data = stored ? raw : deflateRawSync(raw);
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(declaredSize ?? raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const sheet = (rows) => `<?xml version="1.0"?><worksheet><sheetData>${rows}</sheetData></worksheet>`;
+
+describe('readXlsxRows', () => {
+  it('reads shared, inline, numeric and boolean cells by reference', () => {
+    const buffer = zip({
+      'xl/sharedStrings.xml': '<sst><si><t>Farm</t></si><si><r><t>Fish </t></r><r><t>&amp; Chips</t></r></si></sst>',
+      'xl/worksheets/sheet1.xml': sheet(
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+        '<row r="3"><c r="A3"><v>42</v></c><c r="B3" t="b"><v>1</v></c><c r="D3" t="inlineStr"><is><t> padded </t></is></c></row>'
+      )
+    });
+
+    assert.deepEqual(readXlsxRows(buffer), [
+      ['Farm', '', 'Fish & Chips'],
+      [],
+      ['42', 'TRUE', '', 'padded']
+    ]);
+  });
+
+  it('follows the workbook relationships to the first sheet', () => {
+    const buffer = zip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Loads" sheetId="1" r:id="rId7"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId7" Type="worksheet" Target="worksheets/loads.xml"/></Relationships>',
+      'xl/worksheets/sheet1.xml': sheet('<row r="1"><c r="A1" t="inlineStr"><is><t>wrong</t></is></c></row>'),
+      'xl/worksheets/loads.xml': sheet('<row r="1"><c r="A1" t="inlineStr"><is><t>right</t></is></c></row>')
+    });
+
+    assert.deepEqual(readXlsxRows(buffer), [['right']]);
+  });
+
+  it('reads stored (uncompressed) entries', () => {
+    const buffer = zip({
+      'xl/worksheets/sheet1.xml': sheet('<row r="1"><c r="B1"><v>7</v></c></row>')
+    }, { stored: true });
+
+    assert.deepEqual(readXlsxRows(buffer), [['', '7']]);
+  });
+
+  it('rejects files that are not zip archives', () => {
+    assert.throws(() => readXlsxRows(Buffer.from('Dispatch Date,Farm\n')), /Not a zip archive/);
+  });
+
+  it('rejects entries declared larger than the limit without inflating them', () => {
+    const buffer = zip({
+      'xl/worksheets/sheet1.xml': sheet('<row r="1"><c r="A1"><v>1</v></c></row>')
+    }, { declaredSize: MAX_ENTRY_BYTES + 1 });
+
+    assert.throws(() => readXlsxRows(buffer), /too large/);
+  });
+
+  it('stops inflating an entry that expands past the limit', () => {
+    // Declared small, but a few KB of deflate that grows past the limit
+    const buffer = zip({
+      'xl/worksheets/sheet1.xml': Buffer.alloc(MAX_ENTRY_BYTES + 1024, 0x20)
+    }, { declaredSize: 100 });
+
+    assert.ok(buffer.length < 100 * 1024);
+    assert.throws(() => readXlsxRows(buffer), { code: 'ERR_BUFFER_TOO_LARGE' });
+  });
+});
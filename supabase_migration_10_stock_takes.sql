@@ -0,0 +1,206 @@
+-- =====================================================
+-- MIGRATION 10: STOCK TAKES (CYCLE COUNTS)
+-- Count sessions per site. Counts are compared with the expected
+-- ledger balance and the variance is posted as adjustment/loss
+-- movements once a dispatcher or admin approves it.
+-- Run AFTER migration 9
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS stock_takes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reference_number VARCHAR(50) UNIQUE NOT NULL,
+    site_id UUID NOT NULL REFERENCES sites(id),
+    status VARCHAR(50) NOT NULL DEFAULT 'open' CHECK (status IN (
+        'open', 'submitted', 'approved', 'rejected', 'cancelled'
+    )),
+    count_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    notes TEXT,
+    counted_by UUID REFERENCES users(id),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS stock_take_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    stock_take_id UUID NOT NULL REFERENCES stock_takes(id) ON DELETE CASCADE,
+    packaging_type_id UUID NOT NULL REFERENCES packaging_types(id),
+    counted_quantity INTEGER,
+    counted_damaged INTEGER,
+    -- Filled from the ledger when the count is submitted
+    expected_quantity INTEGER,
+    expected_damaged INTEGER,
+    variance INTEGER GENERATED ALWAYS AS (counted_quantity - expected_quantity) STORED,
+    damaged_variance INTEGER GENERATED ALWAYS AS (counted_damaged - expected_damaged) STORED,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (stock_take_id, packaging_type_id)
+);
+
+-- Link variance movements back to the count that produced them
+ALTER TABLE packaging_movements
+ADD COLUMN IF NOT EXISTS stock_take_id UUID REFERENCES stock_takes(id);
+
+CREATE INDEX IF NOT EXISTS idx_stock_takes_site ON stock_takes(site_id);
+CREATE INDEX IF NOT EXISTS idx_stock_takes_status ON stock_takes(status);
+CREATE INDEX IF NOT EXISTS idx_stock_take_lines_stock_take ON stock_take_lines(stock_take_id);
+CREATE INDEX IF NOT EXISTS idx_packaging_movements_stock_take ON packaging_movements(stock_take_id);
+
+-- Submit a count: snapshot the expected balance for every counted line
+-- from the ledger so the variance is fixed at the time of the count
+CREATE OR REPLACE FUNCTION submit_stock_take(
+    p_stock_take_id UUID,
+    p_submitted_by UUID DEFAULT NULL
+)
+RETURNS stock_takes AS $$
+DECLARE
+    v_stock_take stock_takes;
+BEGIN
+    SELECT * INTO v_stock_take FROM stock_takes WHERE id = p_stock_take_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Stock take not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_stock_take.status <> 'open' THEN
+        RAISE EXCEPTION 'Stock take is % and can no longer be submitted', v_stock_take.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM stock_take_lines
+        WHERE stock_take_id = p_stock_take_id AND counted_quantity IS NOT NULL
+    ) THEN
+        RAISE EXCEPTION 'Enter at least one count before submitting'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Lines that were never counted are not part of the variance
+    DELETE FROM stock_take_lines
+    WHERE stock_take_id = p_stock_take_id AND counted_quantity IS NULL;
+
+    UPDATE stock_take_lines stl SET
+        expected_quantity = COALESCE(l.ledger_quantity, 0),
+        expected_damaged = COALESCE(l.ledger_damaged, 0),
+        updated_at = NOW()
+    FROM stock_take_lines s
+    LEFT JOIN (
+        SELECT packaging_type_id,
+               SUM(quantity_change) AS ledger_quantity,
+               SUM(damaged_change) AS ledger_damaged
+        FROM packaging_movements
+        WHERE site_id = v_stock_take.site_id
+        GROUP BY packaging_type_id
+    ) l ON l.packaging_type_id = s.packaging_type_id
+    WHERE stl.id = s.id AND s.stock_take_id = p_stock_take_id;
+
+    UPDATE stock_takes SET
+        status = 'submitted',
+        counted_by = COALESCE(counted_by, p_submitted_by),
+        submitted_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_stock_take_id
+    RETURNING * INTO v_stock_take;
+
+    RETURN v_stock_take;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Approve a submitted count: shortfalls are posted as 'loss', surpluses
+-- and damaged-count corrections as 'adjustment'. All or nothing.
+CREATE OR REPLACE FUNCTION approve_stock_take(
+    p_stock_take_id UUID,
+    p_approved_by UUID DEFAULT NULL,
+    p_review_notes TEXT DEFAULT NULL
+)
+RETURNS stock_takes AS $$
+DECLARE
+    v_stock_take stock_takes;
+    v_line RECORD;
+BEGIN
+    SELECT * INTO v_stock_take FROM stock_takes WHERE id = p_stock_take_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Stock take not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF v_stock_take.status <> 'submitted' THEN
+        RAISE EXCEPTION 'Only submitted stock takes can be approved (currently %)', v_stock_take.status
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    FOR v_line IN
+        SELECT packaging_type_id, variance, COALESCE(damaged_variance, 0) AS damaged_variance, notes
+        FROM stock_take_lines
+        WHERE stock_take_id = p_stock_take_id
+          AND (variance <> 0 OR COALESCE(damaged_variance, 0) <> 0)
+    LOOP
+        IF v_line.variance < 0 THEN
+            INSERT INTO packaging_movements (
+                movement_type, site_id, packaging_type_id, quantity, quantity_change,
+                reference_number, notes, recorded_by, stock_take_id
+            )
+            VALUES (
+                'loss', v_stock_take.site_id, v_line.packaging_type_id,
+                ABS(v_line.variance), v_line.variance,
+                v_stock_take.reference_number, COALESCE(v_line.notes, 'Stock take shortfall'),
+                p_approved_by, p_stock_take_id
+            );
+        ELSIF v_line.variance > 0 THEN
+            INSERT INTO packaging_movements (
+                movement_type, site_id, packaging_type_id, quantity, quantity_change,
+                reference_number, notes, recorded_by, stock_take_id
+            )
+            VALUES (
+                'adjustment', v_stock_take.site_id, v_line.packaging_type_id,
+                v_line.variance, v_line.variance,
+                v_stock_take.reference_number, COALESCE(v_line.notes, 'Stock take surplus'),
+                p_approved_by, p_stock_take_id
+            );
+        END IF;
+
+        IF v_line.damaged_variance <> 0 THEN
+            INSERT INTO packaging_movements (
+                movement_type, site_id, packaging_type_id, quantity, quantity_change,
+                quantity_damaged, damaged_change, reference_number, notes, recorded_by, stock_take_id
+            )
+            VALUES (
+                'adjustment', v_stock_take.site_id, v_line.packaging_type_id, 0, 0,
+                ABS(v_line.damaged_variance), v_line.damaged_variance,
+                v_stock_take.reference_number, 'Stock take damaged count',
+                p_approved_by, p_stock_take_id
+            );
+        END IF;
+    END LOOP;
+
+    UPDATE site_packaging_inventory spi SET
+        last_counted_at = COALESCE(v_stock_take.submitted_at, NOW()),
+        last_counted_by = COALESCE(v_stock_take.counted_by, p_approved_by)
+    FROM stock_take_lines stl
+    WHERE stl.stock_take_id = p_stock_take_id
+      AND spi.site_id = v_stock_take.site_id
+      AND spi.packaging_type_id = stl.packaging_type_id;
+
+    UPDATE stock_takes SET
+        status = 'approved',
+        reviewed_by = p_approved_by,
+        reviewed_at = NOW(),
+        review_notes = p_review_notes,
+        updated_at = NOW()
+    WHERE id = p_stock_take_id
+    RETURNING * INTO v_stock_take;
+
+    RETURN v_stock_take;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON TABLE stock_takes IS 'Physical count sessions per site';
+COMMENT ON TABLE stock_take_lines IS 'Counted vs expected quantity per packaging type in a stock take';
+COMMENT ON COLUMN stock_take_lines.expected_quantity IS 'Ledger balance at the time the count was submitted';
+COMMENT ON COLUMN packaging_movements.stock_take_id IS 'Stock take whose approved variance produced this movement';
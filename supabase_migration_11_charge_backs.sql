@@ -0,0 +1,160 @@
+-- =====================================================
+-- MIGRATION 11: CHARGE-BACK STATEMENTS
+-- Prices missing and damaged packaging per site using a unit
+-- replacement cost per packaging type. Sources are load discrepancies
+-- (charged to the sending site) and approved stock-take losses.
+-- Run AFTER migration 10
+-- =====================================================
+
+ALTER TABLE packaging_types
+ADD COLUMN IF NOT EXISTS replacement_cost DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (replacement_cost >= 0);
+
+CREATE SEQUENCE IF NOT EXISTS charge_back_statement_seq;
+
+CREATE TABLE IF NOT EXISTS charge_back_statements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    statement_number VARCHAR(50) UNIQUE NOT NULL,
+    site_id UUID NOT NULL REFERENCES sites(id),
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'issued', 'settled')),
+    total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    notes TEXT,
+    issued_by UUID REFERENCES users(id),
+    issued_at TIMESTAMP WITH TIME ZONE,
+    settled_by UUID REFERENCES users(id),
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (period_end >= period_start)
+);
+
+CREATE TABLE IF NOT EXISTS charge_back_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    statement_id UUID NOT NULL REFERENCES charge_back_statements(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    charge_type VARCHAR(50) NOT NULL CHECK (charge_type IN ('missing', 'damaged', 'stock_take_loss')),
+    event_date DATE NOT NULL,
+    reference_number VARCHAR(50),
+    load_packaging_id UUID REFERENCES load_packaging(id),
+    packaging_movement_id UUID REFERENCES packaging_movements(id),
+    packaging_type_id UUID NOT NULL REFERENCES packaging_types(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    -- Cost at the time the statement was generated
+    unit_cost DECIMAL(10, 2) NOT NULL,
+    amount DECIMAL(12, 2) GENERATED ALWAYS AS (quantity * unit_cost) STORED,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (statement_id, line_number)
+);
+
+-- A discrepancy or loss is only ever charged once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_charge_back_lines_load_packaging
+    ON charge_back_lines(load_packaging_id, charge_type) WHERE load_packaging_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_charge_back_lines_movement
+    ON charge_back_lines(packaging_movement_id) WHERE packaging_movement_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_charge_back_statements_site ON charge_back_statements(site_id);
+CREATE INDEX IF NOT EXISTS idx_charge_back_statements_status ON charge_back_statements(status);
+CREATE INDEX IF NOT EXISTS idx_charge_back_lines_statement ON charge_back_lines(statement_id);
+
+-- Generate a draft statement for a site and period from every
+-- discrepancy and stock-take loss that has not been charged yet.
+CREATE OR REPLACE FUNCTION generate_charge_back_statement(
+    p_site_id UUID,
+    p_period_start DATE,
+    p_period_end DATE,
+    p_notes TEXT DEFAULT NULL,
+    p_created_by UUID DEFAULT NULL
+)
+RETURNS charge_back_statements AS $$
+DECLARE
+    v_site sites;
+    v_statement charge_back_statements;
+BEGIN
+    SELECT * INTO v_site FROM sites WHERE id = p_site_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Site not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    INSERT INTO charge_back_statements (
+        statement_number, site_id, period_start, period_end, notes, created_by
+    )
+    VALUES (
+        'CB-' || v_site.code || '-' || LPAD(nextval('charge_back_statement_seq')::TEXT, 5, '0'),
+        p_site_id, p_period_start, p_period_end, p_notes, p_created_by
+    )
+    RETURNING * INTO v_statement;
+
+    INSERT INTO charge_back_lines (
+        statement_id, line_number, charge_type, event_date, reference_number,
+        load_packaging_id, packaging_movement_id, packaging_type_id, quantity, unit_cost
+    )
+    SELECT
+        v_statement.id,
+        ROW_NUMBER() OVER (ORDER BY c.event_date, c.reference_number, c.charge_type),
+        c.charge_type, c.event_date, c.reference_number,
+        c.load_packaging_id, c.packaging_movement_id, c.packaging_type_id,
+        c.quantity, pt.replacement_cost
+    FROM (
+        -- Load discrepancies are charged to the site that sent the load
+        SELECT 'missing' AS charge_type, l.dispatch_date AS event_date, l.load_number AS reference_number,
+               lp.id AS load_packaging_id, NULL::UUID AS packaging_movement_id,
+               lp.packaging_type_id, lp.quantity_missing AS quantity
+        FROM load_packaging lp
+        JOIN loads l ON l.id = lp.load_id
+        WHERE l.origin_site_id = p_site_id
+          AND l.status = 'completed'
+          AND l.dispatch_date BETWEEN p_period_start AND p_period_end
+          AND lp.quantity_missing > 0
+        UNION ALL
+        SELECT 'damaged', l.dispatch_date, l.load_number,
+               lp.id, NULL::UUID,
+               lp.packaging_type_id, lp.quantity_damaged
+        FROM load_packaging lp
+        JOIN loads l ON l.id = lp.load_id
+        WHERE l.origin_site_id = p_site_id
+          AND l.status = 'completed'
+          AND l.dispatch_date BETWEEN p_period_start AND p_period_end
+          AND lp.quantity_damaged > 0
+        UNION ALL
+        -- Shortfalls from approved stock takes
+        SELECT 'stock_take_loss', pm.recorded_at::DATE, pm.reference_number,
+               NULL::UUID, pm.id,
+               pm.packaging_type_id, -pm.quantity_change
+        FROM packaging_movements pm
+        WHERE pm.site_id = p_site_id
+          AND pm.stock_take_id IS NOT NULL
+          AND pm.movement_type = 'loss'
+          AND pm.recorded_at::DATE BETWEEN p_period_start AND p_period_end
+    ) c
+    JOIN packaging_types pt ON pt.id = c.packaging_type_id
+    WHERE NOT EXISTS (
+        SELECT 1 FROM charge_back_lines cbl
+        WHERE (c.load_packaging_id IS NOT NULL
+               AND cbl.load_packaging_id = c.load_packaging_id
+               AND cbl.charge_type = c.charge_type)
+           OR (c.packaging_movement_id IS NOT NULL
+               AND cbl.packaging_movement_id = c.packaging_movement_id)
+    );
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No uncharged losses or damages for this site and period'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    UPDATE charge_back_statements SET
+        total_amount = (SELECT COALESCE(SUM(amount), 0) FROM charge_back_lines WHERE statement_id = v_statement.id)
+    WHERE id = v_statement.id
+    RETURNING * INTO v_statement;
+
+    RETURN v_statement;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON COLUMN packaging_types.replacement_cost IS 'Unit cost charged back for missing or damaged packaging';
+COMMENT ON TABLE charge_back_statements IS 'Periodic charge-back statements per site for lost and damaged packaging';
+COMMENT ON TABLE charge_back_lines IS 'Priced loss/damage line items on a charge-back statement';
+COMMENT ON FUNCTION generate_charge_back_statement IS 'Creates a draft charge-back statement from uncharged discrepancies and stock-take losses';
@@ -0,0 +1,40 @@
+-- =====================================================
+-- MIGRATION 12: ALERT ENGINE
+-- Deduplication keys and resolution tracking so the alert rules
+-- engine can raise one alert per condition and resolve it again
+-- once the condition clears.
+-- Run AFTER migration 11
+-- =====================================================
+
+ALTER TABLE alerts
+ADD COLUMN IF NOT EXISTS alert_key VARCHAR(255),
+ADD COLUMN IF NOT EXISTS details JSONB,
+ADD COLUMN IF NOT EXISTS is_resolved BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS auto_resolved BOOLEAN NOT NULL DEFAULT false,
+-- Set once the engine no longer sees the condition. A manually resolved
+-- alert keeps suppressing its key until then.
+ADD COLUMN IF NOT EXISTS condition_cleared_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS last_evaluated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing alerts are treated as resolved once acknowledged
+UPDATE alerts SET
+    is_resolved = true,
+    resolved_at = COALESCE(acknowledged_at, created_at),
+    resolved_by = acknowledged_by,
+    condition_cleared_at = COALESCE(acknowledged_at, created_at)
+WHERE is_acknowledged = true AND is_resolved = false;
+
+-- Only one open alert per condition
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_open_key
+    ON alerts(alert_key) WHERE is_resolved = false;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_type_key ON alerts(alert_type, alert_key);
+CREATE INDEX IF NOT EXISTS idx_alerts_unresolved ON alerts(is_resolved) WHERE is_resolved = false;
+
+-- Comments
+COMMENT ON COLUMN alerts.alert_key IS 'Deduplication key of the condition that raised the alert, e.g. low_stock:<site>:<packaging type>';
+COMMENT ON COLUMN alerts.auto_resolved IS 'Resolved by the alert engine because the condition cleared';
+COMMENT ON COLUMN alerts.condition_cleared_at IS 'When the engine last saw the condition clear';
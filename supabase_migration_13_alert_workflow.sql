@@ -0,0 +1,32 @@
+-- =====================================================
+-- MIGRATION 13: ALERT WORKFLOW
+-- Assignment, resolution reasons and an activity log so open
+-- alerts can be worked as a queue.
+-- Run AFTER migration 12
+-- =====================================================
+
+ALTER TABLE alerts
+ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS assigned_by UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS resolution_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS alert_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    alert_id UUID NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id),
+    action VARCHAR(50) NOT NULL DEFAULT 'comment' CHECK (action IN (
+        'comment', 'acknowledged', 'assigned', 'unassigned', 'resolved'
+    )),
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_assigned_to ON alerts(assigned_to) WHERE is_resolved = false;
+CREATE INDEX IF NOT EXISTS idx_alerts_site ON alerts(site_id);
+CREATE INDEX IF NOT EXISTS idx_alert_comments_alert ON alert_comments(alert_id);
+
+-- Comments
+COMMENT ON COLUMN alerts.assigned_to IS 'User currently responsible for working the alert';
+COMMENT ON COLUMN alerts.resolution_reason IS 'Why the alert was resolved (manual resolutions)';
+COMMENT ON TABLE alert_comments IS 'Comments and workflow actions on an alert';
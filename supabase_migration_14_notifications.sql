@@ -0,0 +1,56 @@
+-- =====================================================
+-- MIGRATION 14: NOTIFICATIONS
+-- Event subscriptions delivered by email, SMS, WhatsApp or webhook,
+-- with a delivery log.
+-- Run AFTER migration 13
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS notification_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type VARCHAR(50) NOT NULL CHECK (event_type IN (
+        'load_dispatched', 'load_due', 'threshold_breach', 'discrepancy_recorded'
+    )),
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'sms', 'whatsapp', 'webhook')),
+    -- Who receives it: a user, the contact of the event's site, the
+    -- driver of the event's load, or a fixed destination
+    recipient_type VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (recipient_type IN (
+        'user', 'site_contact', 'load_driver', 'custom'
+    )),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    destination VARCHAR(500),
+    -- Only events for this site; NULL for every site
+    site_id UUID REFERENCES sites(id) ON DELETE CASCADE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (recipient_type <> 'user' OR user_id IS NOT NULL),
+    CHECK (recipient_type <> 'custom' OR destination IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS notification_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID REFERENCES notification_subscriptions(id) ON DELETE SET NULL,
+    event_type VARCHAR(50) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    transport VARCHAR(50),
+    destination VARCHAR(500),
+    subject VARCHAR(255),
+    body TEXT,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+    error TEXT,
+    site_id UUID REFERENCES sites(id) ON DELETE SET NULL,
+    load_id UUID REFERENCES loads(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_subscriptions_event
+    ON notification_subscriptions(event_type) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_notification_subscriptions_user ON notification_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_notification_log_created ON notification_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_log_subscription ON notification_log(subscription_id);
+
+-- Comments
+COMMENT ON TABLE notification_subscriptions IS 'Who is notified of which events, over which channel';
+COMMENT ON COLUMN notification_subscriptions.destination IS 'Email, phone number or URL; overrides the recipient''s own contact details';
+COMMENT ON TABLE notification_log IS 'Every notification delivery attempt';
@@ -0,0 +1,54 @@
+-- =====================================================
+-- MIGRATION 15: OUTBOUND WEBHOOKS
+-- Admin-managed webhook subscriptions for load lifecycle events,
+-- with HMAC-signed payloads and a per-delivery log for retries
+-- and replays.
+-- Run AFTER migration 14
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    url VARCHAR(1000) NOT NULL,
+    -- Shared secret for the X-Webhook-Signature HMAC
+    secret VARCHAR(255) NOT NULL,
+    -- Events to send; empty for every event
+    event_types TEXT[] NOT NULL DEFAULT '{}',
+    -- Only loads from or to this site; NULL for every site
+    site_id UUID REFERENCES sites(id) ON DELETE CASCADE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    load_id UUID REFERENCES loads(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    replay_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+    ON webhook_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Comments
+COMMENT ON TABLE webhook_subscriptions IS 'External endpoints notified of load lifecycle events';
+COMMENT ON COLUMN webhook_subscriptions.event_types IS 'Subscribed events (load.created, load.dispatched, ...); empty for all';
+COMMENT ON TABLE webhook_deliveries IS 'One row per event per subscription; pending rows are retried with backoff';
+COMMENT ON COLUMN webhook_deliveries.event_id IS 'Shared by every delivery of the same event, and by replays, so receivers can de-duplicate';
+COMMENT ON COLUMN webhook_deliveries.replay_of IS 'The delivery this one manually replays';
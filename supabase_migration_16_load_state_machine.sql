@@ -0,0 +1,37 @@
+-- =====================================================
+-- MIGRATION 16: LOAD STATE MACHINE GUARDS
+-- Inventory postings only run from the statuses the load state machine
+-- allows, so a completed or cancelled load can never be dispatched or
+-- received again. Runs inside post_load_dispatch / post_load_receipt
+-- after the load row is locked.
+-- Run AFTER migration 15
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION check_load_posting_status()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_status VARCHAR;
+BEGIN
+    SELECT status INTO v_status FROM loads WHERE id = NEW.load_id;
+
+    IF NEW.event = 'dispatch' AND v_status NOT IN ('scheduled', 'loading') THEN
+        RAISE EXCEPTION 'Load cannot be dispatched while it is %', v_status
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    IF NEW.event = 'receipt' AND v_status NOT IN ('departed', 'in_transit', 'arrived_depot', 'unloading') THEN
+        RAISE EXCEPTION 'Load cannot be received while it is %', v_status
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_check_load_posting_status ON load_inventory_postings;
+CREATE TRIGGER trg_check_load_posting_status
+    BEFORE INSERT ON load_inventory_postings
+    FOR EACH ROW EXECUTE FUNCTION check_load_posting_status();
+
+-- Comments
+COMMENT ON FUNCTION check_load_posting_status() IS 'Rejects dispatch/receipt postings from statuses the load state machine does not allow';
@@ -0,0 +1,177 @@
+-- =====================================================
+-- MIGRATION 17: AUDIT LOG
+-- Append-only history of every change to loads, load packaging,
+-- dispatch schedules, inventory and master data. Row triggers record
+-- the before/after values of the changed columns; the API passes the
+-- acting user and request origin in x-audit-* request headers, which
+-- PostgREST exposes through request.headers.
+-- Run AFTER migration 16
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    table_name VARCHAR(63) NOT NULL,
+    record_id UUID,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    -- Changed columns only: the previous and the new values
+    old_values JSONB,
+    new_values JSONB,
+    -- Scope for the load and site History tabs
+    load_id UUID,
+    site_ids UUID[] NOT NULL DEFAULT '{}',
+    -- Who and where from. No foreign keys: entries outlive users and loads.
+    actor_id UUID,
+    actor_email VARCHAR(255),
+    source VARCHAR(20) NOT NULL DEFAULT 'database' CHECK (source IN ('api', 'system', 'database')),
+    ip_address VARCHAR(100),
+    user_agent VARCHAR(500),
+    request_method VARCHAR(10),
+    request_path VARCHAR(500),
+    request_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_load ON audit_log(load_id) WHERE load_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_audit_log_sites ON audit_log USING GIN (site_ids);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id);
+
+-- Entries are never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only'
+        USING ERRCODE = 'insufficient_privilege';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_log_append_only ON audit_log;
+CREATE TRIGGER trg_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change();
+
+DROP TRIGGER IF EXISTS trg_audit_log_no_truncate ON audit_log;
+CREATE TRIGGER trg_audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_change();
+
+-- Record one row change
+CREATE OR REPLACE FUNCTION audit_row_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    -- Never logged: bookkeeping and secrets
+    v_ignored TEXT[] := ARRAY['updated_at', 'password_hash'];
+    v_old JSONB;
+    v_new JSONB;
+    v_row JSONB;
+    v_old_changed JSONB;
+    v_new_changed JSONB;
+    v_fields TEXT[];
+    v_headers JSONB;
+    v_load_id UUID;
+    v_site_ids UUID[] := '{}';
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        v_old := to_jsonb(OLD) - v_ignored;
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        v_new := to_jsonb(NEW) - v_ignored;
+    END IF;
+
+    IF TG_OP = 'UPDATE' THEN
+        SELECT jsonb_object_agg(n.key, n.value), jsonb_object_agg(n.key, v_old -> n.key), array_agg(n.key ORDER BY n.key)
+        INTO v_new_changed, v_old_changed, v_fields
+        FROM jsonb_each(v_new) n
+        WHERE v_old -> n.key IS DISTINCT FROM n.value;
+
+        -- Nothing but ignored columns changed
+        IF v_fields IS NULL THEN
+            RETURN NULL;
+        END IF;
+    ELSIF TG_OP = 'INSERT' THEN
+        v_new_changed := v_new;
+        SELECT array_agg(key ORDER BY key) INTO v_fields FROM jsonb_object_keys(v_new) key;
+    ELSE
+        v_old_changed := v_old;
+        SELECT array_agg(key ORDER BY key) INTO v_fields FROM jsonb_object_keys(v_old) key;
+    END IF;
+
+    v_row := COALESCE(v_new, v_old);
+
+    -- Scope the entry to its load and sites
+    CASE TG_TABLE_NAME
+        WHEN 'loads' THEN
+            v_load_id := (v_row ->> 'id')::UUID;
+            v_site_ids := ARRAY[(v_row ->> 'origin_site_id')::UUID, (v_row ->> 'destination_site_id')::UUID];
+            IF v_row ->> 'backload_site_id' IS NOT NULL THEN
+                v_site_ids := v_site_ids || (v_row ->> 'backload_site_id')::UUID;
+            END IF;
+        WHEN 'load_packaging', 'backload_packaging' THEN
+            v_load_id := (v_row ->> 'load_id')::UUID;
+            SELECT array_remove(ARRAY[origin_site_id, destination_site_id, backload_site_id], NULL)
+            INTO v_site_ids
+            FROM loads WHERE id = v_load_id;
+        WHEN 'dispatch_schedules' THEN
+            v_load_id := (v_row ->> 'load_id')::UUID;
+            v_site_ids := ARRAY[(v_row ->> 'origin_site_id')::UUID, (v_row ->> 'destination_site_id')::UUID];
+        WHEN 'site_packaging_inventory', 'site_packaging_thresholds' THEN
+            v_site_ids := ARRAY[(v_row ->> 'site_id')::UUID];
+        WHEN 'sites' THEN
+            v_site_ids := ARRAY[(v_row ->> 'id')::UUID];
+        ELSE
+            NULL;
+    END CASE;
+
+    v_headers := NULLIF(current_setting('request.headers', true), '')::JSONB;
+
+    INSERT INTO audit_log (
+        table_name, record_id, action, changed_fields, old_values, new_values,
+        load_id, site_ids, actor_id, actor_email, source,
+        ip_address, user_agent, request_method, request_path, request_id
+    ) VALUES (
+        TG_TABLE_NAME, (v_row ->> 'id')::UUID, TG_OP, COALESCE(v_fields, '{}'), v_old_changed, v_new_changed,
+        v_load_id, COALESCE(v_site_ids, '{}'),
+        CASE WHEN v_headers ->> 'x-audit-actor-id' ~* '^[0-9a-f-]{36}$'
+            THEN (v_headers ->> 'x-audit-actor-id')::UUID END,
+        LEFT(v_headers ->> 'x-audit-actor-email', 255),
+        CASE WHEN v_headers ->> 'x-audit-source' IN ('api', 'system')
+            THEN v_headers ->> 'x-audit-source' ELSE 'database' END,
+        LEFT(v_headers ->> 'x-audit-ip', 100),
+        LEFT(v_headers ->> 'x-audit-user-agent', 500),
+        LEFT(v_headers ->> 'x-audit-method', 10),
+        LEFT(v_headers ->> 'x-audit-path', 500),
+        LEFT(v_headers ->> 'x-audit-request-id', 100)
+    );
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Attach the audit trigger to every audited table
+DO $$
+DECLARE
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY ARRAY[
+        'loads', 'load_packaging', 'backload_packaging', 'dispatch_schedules',
+        'site_packaging_inventory', 'site_packaging_thresholds',
+        'sites', 'vehicles', 'drivers', 'users', 'packaging_types'
+    ]
+    LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS trg_audit_%1$s ON %1$I', v_table);
+        EXECUTE format(
+            'CREATE TRIGGER trg_audit_%1$s AFTER INSERT OR UPDATE OR DELETE ON %1$I '
+            'FOR EACH ROW EXECUTE FUNCTION audit_row_change()',
+            v_table
+        );
+    END LOOP;
+END;
+$$;
+
+-- Comments
+COMMENT ON TABLE audit_log IS 'Append-only change history written by audit_row_change() triggers';
+COMMENT ON COLUMN audit_log.old_values IS 'Values of the changed columns before the change (all columns for DELETE)';
+COMMENT ON COLUMN audit_log.new_values IS 'Values of the changed columns after the change (all columns for INSERT)';
+COMMENT ON COLUMN audit_log.source IS 'api: a user request; system: a background job; database: direct SQL';
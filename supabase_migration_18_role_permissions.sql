@@ -0,0 +1,48 @@
+-- =====================================================
+-- MIGRATION 18: ROLE PERMISSIONS
+-- Named permissions granted to roles, editable from Settings. The
+-- permission catalog lives in server/src/services/permissions.js; this
+-- seeds its default grants. Admin holds every permission implicitly.
+-- Run AFTER migration 17
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role VARCHAR(50) NOT NULL CHECK (role IN ('dispatcher', 'farm_user', 'depot_user', 'readonly')),
+    permission VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (role, permission)
+);
+
+-- Default grants (the role lists the routes used before)
+INSERT INTO role_permissions (role, permission) VALUES
+    ('dispatcher', 'loads.create'),
+    ('dispatcher', 'loads.edit'),
+    ('dispatcher', 'loads.farm_times'),
+    ('dispatcher', 'loads.dispatch'),
+    ('dispatcher', 'loads.transit'),
+    ('dispatcher', 'loads.receive'),
+    ('dispatcher', 'loads.cancel'),
+    ('dispatcher', 'inventory.adjust'),
+    ('dispatcher', 'stocktakes.count'),
+    ('dispatcher', 'stocktakes.approve'),
+    ('dispatcher', 'planner.edit'),
+    ('dispatcher', 'reports.finance'),
+    ('dispatcher', 'alerts.manage'),
+    ('dispatcher', 'notifications.manage'),
+    ('farm_user', 'loads.create'),
+    ('farm_user', 'loads.edit'),
+    ('farm_user', 'loads.farm_times'),
+    ('farm_user', 'loads.dispatch'),
+    ('farm_user', 'stocktakes.count'),
+    ('depot_user', 'loads.receive'),
+    ('depot_user', 'stocktakes.count')
+ON CONFLICT (role, permission) DO NOTHING;
+
+-- Permission changes are part of the audit trail
+DROP TRIGGER IF EXISTS trg_audit_role_permissions ON role_permissions;
+CREATE TRIGGER trg_audit_role_permissions
+    AFTER INSERT OR UPDATE OR DELETE ON role_permissions
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Comments
+COMMENT ON TABLE role_permissions IS 'Permissions granted to each non-admin role; admin holds all permissions';
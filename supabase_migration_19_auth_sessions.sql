@@ -0,0 +1,61 @@
+-- =====================================================
+-- MIGRATION 19: AUTH SESSIONS AND LOGIN LOCKOUT
+-- One row per signed-in device. Access tokens are short-lived JWTs
+-- naming their session; the refresh token (stored hashed) rotates on
+-- every use and revoking the session ends both. Repeated failed logins
+-- lock the account for a while.
+-- Run AFTER migration 18
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- SHA-256 of the current refresh token; replaced on every refresh
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    ip_address VARCHAR(100),
+    user_agent VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Count a failed login; the attempt that reaches the limit locks the
+-- account and starts a new count. Returns locked_until.
+CREATE OR REPLACE FUNCTION record_failed_login(
+    p_user_id UUID,
+    p_max_attempts INTEGER,
+    p_lockout_minutes INTEGER
+)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    v_locked_until TIMESTAMP WITH TIME ZONE;
+BEGIN
+    UPDATE users
+    SET failed_login_attempts = CASE
+            WHEN failed_login_attempts + 1 >= p_max_attempts THEN 0
+            ELSE failed_login_attempts + 1
+        END,
+        locked_until = CASE
+            WHEN failed_login_attempts + 1 >= p_max_attempts
+                THEN CURRENT_TIMESTAMP + make_interval(mins => p_lockout_minutes)
+            ELSE locked_until
+        END
+    WHERE id = p_user_id
+    RETURNING locked_until INTO v_locked_until;
+
+    RETURN v_locked_until;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON TABLE user_sessions IS 'Signed-in sessions with rotating refresh tokens; revoked sessions cannot refresh or authenticate';
+COMMENT ON COLUMN users.failed_login_attempts IS 'Failed logins since the last success or lockout';
+COMMENT ON COLUMN users.locked_until IS 'Login refused until this time after repeated failures';
+COMMENT ON FUNCTION record_failed_login IS 'Atomically counts a failed login and locks the account at the limit';
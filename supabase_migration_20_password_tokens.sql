@@ -0,0 +1,32 @@
+-- =====================================================
+-- MIGRATION 20: INVITATIONS AND PASSWORD RESET
+-- Single-use, expiring links that let a user set their own password:
+-- invitations for new users and resets for forgotten passwords or a
+-- reset forced by an admin. Only a hash of each token is stored.
+-- Run AFTER migration 19
+-- =====================================================
+
+-- Invited users have no password until they accept
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Set when an admin forces a reset; login is refused until the user
+-- sets a new password from the emailed link
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS user_password_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('invite', 'password_reset')),
+    -- SHA-256 of the token in the link
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_password_tokens_user ON user_password_tokens(user_id) WHERE used_at IS NULL;
+
+-- Comments
+COMMENT ON TABLE user_password_tokens IS 'Single-use invitation and password reset links; a new link replaces unused ones of the same purpose';
+COMMENT ON COLUMN users.password_reset_required IS 'Login refused until the user sets a new password from a reset link';
@@ -0,0 +1,43 @@
+-- =====================================================
+-- MIGRATION 21: TWO-FACTOR AUTHENTICATION
+-- TOTP secrets and hashed recovery codes live in user_mfa, which is not
+-- audited; users.mfa_enabled mirrors enrolment so turning 2FA on or off
+-- shows in the audit log. role_settings makes 2FA mandatory per role.
+-- Run AFTER migration 20
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    -- Base32 TOTP secret
+    secret VARCHAR(64) NOT NULL,
+    -- NULL while enrolment is waiting for the first code
+    enabled_at TIMESTAMP WITH TIME ZONE,
+    -- SHA-256 of each unused recovery code
+    recovery_code_hashes TEXT[] NOT NULL DEFAULT '{}',
+    -- Last accepted 30-second step; a code is never accepted twice
+    last_used_step BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS role_settings (
+    role VARCHAR(50) PRIMARY KEY CHECK (role IN ('admin', 'dispatcher', 'farm_user', 'depot_user', 'readonly')),
+    mfa_required BOOLEAN NOT NULL DEFAULT false,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO role_settings (role) VALUES
+    ('admin'), ('dispatcher'), ('farm_user'), ('depot_user'), ('readonly')
+ON CONFLICT (role) DO NOTHING;
+
+-- Role settings changes are part of the audit trail
+DROP TRIGGER IF EXISTS trg_audit_role_settings ON role_settings;
+CREATE TRIGGER trg_audit_role_settings
+    AFTER INSERT OR UPDATE OR DELETE ON role_settings
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Comments
+COMMENT ON TABLE user_mfa IS 'TOTP enrolment per user: secret, hashed recovery codes and replay guard';
+COMMENT ON COLUMN users.mfa_enabled IS 'Two-factor sign-in is on (mirrors user_mfa.enabled_at)';
+COMMENT ON TABLE role_settings IS 'Per-role security settings; mfa_required forces 2FA enrolment at sign-in';
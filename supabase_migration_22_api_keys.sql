@@ -0,0 +1,42 @@
+-- =====================================================
+-- MIGRATION 22: SERVICE ACCOUNTS AND API KEYS
+-- Machine integrations authenticate with API keys instead of signing in
+-- as a person. A service account is a users row with no email or
+-- password, so its role and site scope apply and its changes show in
+-- the audit trail under its name. Keys are stored hashed and carry the
+-- permissions they may use (never more than the account's role).
+-- Run AFTER migration 21
+-- =====================================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_service_account BOOLEAN NOT NULL DEFAULT false;
+
+-- Service accounts cannot sign in, so they have no email
+ALTER TABLE users ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_required;
+ALTER TABLE users ADD CONSTRAINT users_email_required
+    CHECK (is_service_account OR email IS NOT NULL);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    service_account_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    -- Leading characters of the key, to recognise it in lists
+    key_prefix VARCHAR(20) NOT NULL,
+    -- SHA-256 of the whole key
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    -- Permission keys (server/src/services/permissions.js); empty = read only
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip VARCHAR(100),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_service_account ON api_keys(service_account_id);
+
+-- Comments
+COMMENT ON COLUMN users.is_service_account IS 'Machine identity used through API keys; cannot sign in';
+COMMENT ON TABLE api_keys IS 'Hashed API keys for service accounts; not audited because last_used_at changes on every use';
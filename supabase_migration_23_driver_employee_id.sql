@@ -0,0 +1,14 @@
+-- =====================================================
+-- MIGRATION 23: UNIQUE DRIVER EMPLOYEE IDS
+-- Bulk imports update drivers matched on employee_id, so it must
+-- identify one driver. Drivers without an employee id are unaffected.
+-- Run AFTER migration 22
+-- =====================================================
+
+-- Blank ids count as none
+UPDATE drivers SET employee_id = NULL WHERE TRIM(employee_id) = '';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drivers_employee_id ON drivers(employee_id) WHERE employee_id IS NOT NULL;
+
+-- Comments
+COMMENT ON COLUMN drivers.employee_id IS 'Payroll number; unique, and the key for bulk imports';
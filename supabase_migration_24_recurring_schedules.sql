@@ -0,0 +1,80 @@
+-- =====================================================
+-- MIGRATION 24: RECURRING DISPATCH SCHEDULES
+-- A recurring schedule is the first occurrence of a series and carries
+-- its rule. The generator adds the later occurrences as child rows
+-- (parent_schedule_id) up to a rolling horizon, skipping public holidays.
+-- Run AFTER migration 23
+-- =====================================================
+
+ALTER TABLE dispatch_schedules
+ADD COLUMN IF NOT EXISTS recurrence_weekdays INTEGER[],
+ADD COLUMN IF NOT EXISTS recurrence_day_of_month INTEGER CHECK (recurrence_day_of_month BETWEEN 1 AND 31),
+ADD COLUMN IF NOT EXISTS recurrence_end_date DATE,
+ADD COLUMN IF NOT EXISTS recurrence_skip_dates DATE[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS recurrence_holiday_rule VARCHAR(20) NOT NULL DEFAULT 'skip'
+    CHECK (recurrence_holiday_rule IN ('skip', 'next_day', 'ignore')),
+ADD COLUMN IF NOT EXISTS occurrence_date DATE,
+ADD COLUMN IF NOT EXISTS is_recurrence_exception BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE dispatch_schedules
+DROP CONSTRAINT IF EXISTS dispatch_schedules_recurrence_pattern_check;
+
+ALTER TABLE dispatch_schedules
+ADD CONSTRAINT dispatch_schedules_recurrence_pattern_check
+    CHECK (recurrence_pattern IS NULL OR recurrence_pattern IN ('weekly', 'biweekly', 'monthly'));
+
+-- Existing recurring schedules start their series on their own date
+UPDATE dispatch_schedules
+SET
+    occurrence_date = dispatch_date,
+    recurrence_pattern = COALESCE(recurrence_pattern, 'weekly'),
+    recurrence_weekdays = ARRAY[COALESCE(recurrence_day_of_week, EXTRACT(DOW FROM dispatch_date)::INTEGER)],
+    recurrence_day_of_month = EXTRACT(DAY FROM dispatch_date)::INTEGER
+WHERE is_recurring = true AND occurrence_date IS NULL;
+
+-- One row per occurrence of a series
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dispatch_schedules_occurrence
+    ON dispatch_schedules(parent_schedule_id, occurrence_date)
+    WHERE parent_schedule_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_dispatch_schedules_series
+    ON dispatch_schedules(is_recurring)
+    WHERE is_recurring = true;
+
+-- =====================================================
+-- PUBLIC HOLIDAYS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public_holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    holiday_date DATE NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Zimbabwe fixed-date holidays for the current and next year
+INSERT INTO public_holidays (holiday_date, name)
+SELECT make_date(y, m, d), name
+FROM generate_series(EXTRACT(YEAR FROM CURRENT_DATE)::INTEGER, EXTRACT(YEAR FROM CURRENT_DATE)::INTEGER + 1) AS y,
+    (VALUES
+        (1, 1, 'New Year''s Day'),
+        (2, 21, 'Robert Gabriel Mugabe National Youth Day'),
+        (4, 18, 'Independence Day'),
+        (5, 1, 'Workers'' Day'),
+        (5, 25, 'Africa Day'),
+        (12, 22, 'National Unity Day'),
+        (12, 25, 'Christmas Day'),
+        (12, 26, 'Boxing Day')
+    ) AS h(m, d, name)
+ON CONFLICT (holiday_date) DO NOTHING;
+
+-- Comments
+COMMENT ON COLUMN dispatch_schedules.recurrence_weekdays IS 'Weekly and biweekly series: days to dispatch, 0=Sunday';
+COMMENT ON COLUMN dispatch_schedules.recurrence_day_of_month IS 'Monthly series: day of the month, moved to the last day in shorter months';
+COMMENT ON COLUMN dispatch_schedules.recurrence_end_date IS 'Last date the series may produce an occurrence; NULL runs on';
+COMMENT ON COLUMN dispatch_schedules.recurrence_skip_dates IS 'Occurrence dates deleted on their own, which the generator must not recreate';
+COMMENT ON COLUMN dispatch_schedules.recurrence_holiday_rule IS 'skip: no dispatch on a public holiday; next_day: dispatch the next working day; ignore: dispatch anyway';
+COMMENT ON COLUMN dispatch_schedules.occurrence_date IS 'Date the series rule gave this occurrence; dispatch_date may differ after a holiday move';
+COMMENT ON COLUMN dispatch_schedules.is_recurrence_exception IS 'Occurrence edited on its own; series edits and regeneration leave it alone';
+COMMENT ON TABLE public_holidays IS 'Days recurring schedules skip or move off';
@@ -0,0 +1,55 @@
+-- =====================================================
+-- MIGRATION 25: LEAD-TIME TEMPLATES
+-- Planning milestone dates as offsets from a schedule's dispatch or
+-- arrival date, per route and/or channel. New schedules get any milestone
+-- left blank from the best-matching template.
+-- Run AFTER migration 24
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS lead_time_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+
+    -- Blank matches any; the template matching most of these wins
+    origin_site_id UUID REFERENCES sites(id),
+    destination_site_id UUID REFERENCES sites(id),
+    channel_id UUID REFERENCES channels(id),
+
+    -- { "<schedule column>": { "anchor": "dispatch"|"arrival", "days": n, "cutoff": "HH:MM"|null } }
+    milestones JSONB NOT NULL DEFAULT '{}',
+
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One template per route and channel combination
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_time_templates_match ON lead_time_templates (
+    COALESCE(origin_site_id, '00000000-0000-0000-0000-000000000000'),
+    COALESCE(destination_site_id, '00000000-0000-0000-0000-000000000000'),
+    COALESCE(channel_id, '00000000-0000-0000-0000-000000000000')
+);
+
+ALTER TABLE dispatch_schedules
+ADD COLUMN IF NOT EXISTS lead_time_template_id UUID REFERENCES lead_time_templates(id) ON DELETE SET NULL;
+
+-- Default: the offsets the weekly planner sheet uses, with its 10AM
+-- cut-off on packaging collection and delivery
+INSERT INTO lead_time_templates (name, milestones)
+SELECT 'Planner sheet default', '{
+    "packaging_eta_farm": { "anchor": "dispatch", "days": -2, "cutoff": null },
+    "ripening_start_date": { "anchor": "arrival", "days": 0, "cutoff": null },
+    "sales_despatch_date": { "anchor": "arrival", "days": 4, "cutoff": null },
+    "packaging_collection_date": { "anchor": "arrival", "days": 7, "cutoff": "10:00" },
+    "packaging_delivery_farm_date": { "anchor": "arrival", "days": 8, "cutoff": "10:00" }
+}'::JSONB
+WHERE NOT EXISTS (
+    SELECT 1 FROM lead_time_templates
+    WHERE origin_site_id IS NULL AND destination_site_id IS NULL AND channel_id IS NULL
+);
+
+-- Comments
+COMMENT ON TABLE lead_time_templates IS 'Offsets that fill a schedule''s planning milestone dates';
+COMMENT ON COLUMN lead_time_templates.milestones IS 'Per milestone column: days from the dispatch or arrival date; a milestone with a cutoff moves a day later when the anchor time is after it';
+COMMENT ON COLUMN dispatch_schedules.lead_time_template_id IS 'Template that filled this schedule''s blank milestone dates';
@@ -0,0 +1,174 @@
+-- =====================================================
+-- MIGRATION 26: SCHEDULE PACKAGING LINES
+-- Dispatch schedules list their packaging as lines referencing
+-- packaging_types (and optionally products), like load_packaging, in
+-- place of the fixed crates/bins/boxes/pallets counts. Creating a load
+-- from a schedule copies its lines.
+-- Run AFTER migration 25
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS dispatch_schedule_packaging (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    schedule_id UUID NOT NULL REFERENCES dispatch_schedules(id) ON DELETE CASCADE,
+    packaging_type_id UUID NOT NULL REFERENCES packaging_types(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    product_type_id UUID REFERENCES product_types(id),
+    product_variety_id UUID REFERENCES product_varieties(id),
+    product_grade_id UUID REFERENCES product_grades(id),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispatch_schedule_packaging_schedule ON dispatch_schedule_packaging(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_dispatch_schedule_packaging_type ON dispatch_schedule_packaging(packaging_type_id);
+
+-- Audited like load_packaging
+DROP TRIGGER IF EXISTS trg_audit_dispatch_schedule_packaging ON dispatch_schedule_packaging;
+CREATE TRIGGER trg_audit_dispatch_schedule_packaging
+    AFTER INSERT OR UPDATE OR DELETE ON dispatch_schedule_packaging
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Move the old counts onto lines, using the first packaging type (by
+-- code) whose code names the kind, as create-load used to guess
+DO $$
+DECLARE
+    v_kind RECORD;
+    v_type_id UUID;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'dispatch_schedules' AND column_name = 'crates_count'
+    ) THEN
+        RETURN;
+    END IF;
+
+    FOR v_kind IN
+        SELECT * FROM (VALUES
+            ('crates_count', 'crates', ARRAY['%CRATE%']),
+            ('bins_count', 'bins', ARRAY['%BIN%']),
+            ('boxes_count', 'boxes', ARRAY['%BOX%', '%CARTON%']),
+            ('pallets_count', 'pallets', ARRAY['%PALLET%'])
+        ) AS k(column_name, label, patterns)
+    LOOP
+        SELECT id INTO v_type_id
+        FROM packaging_types
+        WHERE code ILIKE ANY (v_kind.patterns)
+        ORDER BY code
+        LIMIT 1;
+
+        IF v_type_id IS NOT NULL THEN
+            EXECUTE format(
+                'INSERT INTO dispatch_schedule_packaging (schedule_id, packaging_type_id, quantity)
+                 SELECT ds.id, $1, ds.%1$I FROM dispatch_schedules ds
+                 WHERE ds.%1$I > 0
+                   AND NOT EXISTS (
+                       SELECT 1 FROM dispatch_schedule_packaging dsp
+                       WHERE dsp.schedule_id = ds.id AND dsp.packaging_type_id = $1
+                   )',
+                v_kind.column_name
+            ) USING v_type_id;
+        ELSE
+            -- No packaging type to map to: keep the count in the notes
+            EXECUTE format(
+                'UPDATE dispatch_schedules
+                 SET notes = CONCAT_WS(E''\n'', NULLIF(notes, ''''), %2$L || '': '' || %1$I)
+                 WHERE %1$I > 0',
+                v_kind.column_name, v_kind.label
+            );
+        END IF;
+    END LOOP;
+END $$;
+
+-- The views read the old counts; rebuild them on the lines
+DROP VIEW IF EXISTS v_weekly_planner;
+DROP VIEW IF EXISTS v_packaging_demand_weekly;
+
+ALTER TABLE dispatch_schedules
+DROP COLUMN IF EXISTS crates_count,
+DROP COLUMN IF EXISTS bins_count,
+DROP COLUMN IF EXISTS boxes_count,
+DROP COLUMN IF EXISTS pallets_count;
+
+CREATE OR REPLACE VIEW v_weekly_planner AS
+SELECT
+    ds.id,
+    ds.dispatch_date,
+    ds.dispatch_time,
+    ds.expected_arrival_date,
+    ds.expected_arrival_time,
+    EXTRACT(DOW FROM ds.dispatch_date) as day_of_week,
+    TO_CHAR(ds.dispatch_date, 'Day') as day_name,
+
+    -- Origin and Destination
+    os.code as origin_code,
+    os.name as origin_name,
+    ds_site.code as destination_code,
+    ds_site.name as destination_name,
+
+    -- Channel
+    ch.code as channel_code,
+    ch.name as channel_name,
+
+    -- Packaging lines, such as "120 x CRATE-20, 4 x BIN-500"
+    (
+        SELECT STRING_AGG(dsp.quantity || ' x ' || pt.code, ', ' ORDER BY pt.code)
+        FROM dispatch_schedule_packaging dsp
+        JOIN packaging_types pt ON dsp.packaging_type_id = pt.id
+        WHERE dsp.schedule_id = ds.id
+    ) as packaging_summary,
+
+    -- Key dates
+    ds.packaging_eta_farm,
+    ds.packaging_supplied_date,
+    ds.ripening_start_date,
+    ds.sales_despatch_date,
+    ds.packaging_collection_date,
+    ds.packaging_delivery_farm_date,
+
+    -- Transport
+    v.registration as vehicle_registration,
+    v.name as vehicle_name,
+    d.first_name || ' ' || d.last_name as driver_name,
+
+    -- Status and metadata
+    ds.status,
+    ds.customer_name,
+    ds.product_type,
+    ds.notes,
+    ds.load_id,
+    ds.is_recurring,
+    ds.recurrence_pattern
+
+FROM dispatch_schedules ds
+JOIN sites os ON ds.origin_site_id = os.id
+JOIN sites ds_site ON ds.destination_site_id = ds_site.id
+LEFT JOIN channels ch ON ds.channel_id = ch.id
+LEFT JOIN vehicles v ON ds.vehicle_id = v.id
+LEFT JOIN drivers d ON ds.driver_id = d.id
+ORDER BY ds.dispatch_date, ds.dispatch_time;
+
+-- Weekly demand per origin site and packaging type
+CREATE OR REPLACE VIEW v_packaging_demand_weekly AS
+SELECT
+    DATE_TRUNC('week', ds.dispatch_date)::DATE as week_start,
+    ds.origin_site_id,
+    os.code as origin_code,
+    os.name as origin_name,
+    dsp.packaging_type_id,
+    pt.code as packaging_code,
+    pt.name as packaging_name,
+    SUM(dsp.quantity) as total_needed,
+    COUNT(DISTINCT ds.id) as dispatch_count
+FROM dispatch_schedules ds
+JOIN sites os ON ds.origin_site_id = os.id
+JOIN dispatch_schedule_packaging dsp ON dsp.schedule_id = ds.id
+JOIN packaging_types pt ON dsp.packaging_type_id = pt.id
+WHERE ds.status NOT IN ('cancelled', 'completed')
+GROUP BY DATE_TRUNC('week', ds.dispatch_date), ds.origin_site_id, os.code, os.name,
+    dsp.packaging_type_id, pt.code, pt.name
+ORDER BY week_start, os.code, pt.code;
+
+-- Comments
+COMMENT ON TABLE dispatch_schedule_packaging IS 'Packaging planned on a dispatch schedule; copied to load_packaging when the load is created';
+COMMENT ON COLUMN dispatch_schedule_packaging.quantity IS 'Units of the packaging type to dispatch';
@@ -0,0 +1,223 @@
+-- =====================================================
+-- MIGRATION 8: ATOMIC INVENTORY POSTING
+-- Posts load dispatch/receipt to inventory in a single transaction
+-- and refuses to post the same load event twice
+-- =====================================================
+
+-- One row per posted load event. The unique constraint is what makes
+-- posting idempotent: a second post for the same event raises 23505.
+CREATE TABLE IF NOT EXISTS load_inventory_postings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    load_id UUID NOT NULL REFERENCES loads(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL CHECK (event IN ('dispatch', 'receipt')),
+    posted_by UUID REFERENCES users(id),
+    posted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (load_id, event)
+);
+
+CREATE INDEX IF NOT EXISTS idx_load_inventory_postings_load ON load_inventory_postings(load_id);
+
+-- Apply a single packaging movement to a site balance and record it.
+-- The balance is updated with a relative UPSERT so concurrent postings
+-- for the same site/packaging type cannot overwrite each other.
+CREATE OR REPLACE FUNCTION post_packaging_movement(
+    p_movement_type VARCHAR,
+    p_load_id UUID,
+    p_site_id UUID,
+    p_packaging_type_id UUID,
+    p_quantity INTEGER,
+    p_quantity_damaged INTEGER,
+    p_direction VARCHAR,
+    p_recorded_by UUID
+)
+RETURNS VOID AS $$
+DECLARE
+    v_delta INTEGER := CASE WHEN p_direction = 'out' THEN -p_quantity ELSE p_quantity END;
+BEGIN
+    INSERT INTO site_packaging_inventory (
+        site_id, packaging_type_id, quantity, quantity_damaged, handling_count,
+        total_dispatched, total_received, total_returned
+    )
+    VALUES (
+        p_site_id, p_packaging_type_id, v_delta, COALESCE(p_quantity_damaged, 0), 1,
+        CASE WHEN p_movement_type = 'dispatch' THEN p_quantity ELSE 0 END,
+        CASE WHEN p_movement_type = 'receipt' THEN p_quantity ELSE 0 END,
+        CASE WHEN p_movement_type = 'backload_return' THEN p_quantity ELSE 0 END
+    )
+    ON CONFLICT (site_id, packaging_type_id)
+    DO UPDATE SET
+        quantity = site_packaging_inventory.quantity + EXCLUDED.quantity,
+        quantity_damaged = COALESCE(site_packaging_inventory.quantity_damaged, 0) + EXCLUDED.quantity_damaged,
+        handling_count = COALESCE(site_packaging_inventory.handling_count, 0) + 1,
+        total_dispatched = COALESCE(site_packaging_inventory.total_dispatched, 0) + EXCLUDED.total_dispatched,
+        total_received = COALESCE(site_packaging_inventory.total_received, 0) + EXCLUDED.total_received,
+        total_returned = COALESCE(site_packaging_inventory.total_returned, 0) + EXCLUDED.total_returned,
+        updated_at = NOW();
+
+    INSERT INTO packaging_movements (
+        movement_type, load_id, site_id, packaging_type_id, quantity,
+        quantity_damaged, direction, recorded_by, recorded_at
+    )
+    VALUES (
+        p_movement_type, p_load_id, p_site_id, p_packaging_type_id, p_quantity,
+        COALESCE(p_quantity_damaged, 0), p_direction, p_recorded_by, NOW()
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Confirm dispatch: mark the load departed and deduct every packaging
+-- line from the origin site. All or nothing.
+CREATE OR REPLACE FUNCTION post_load_dispatch(
+    p_load_id UUID,
+    p_actual_departure_time TIMESTAMP WITH TIME ZONE,
+    p_on_time_status VARCHAR DEFAULT NULL,
+    p_recorded_by UUID DEFAULT NULL
+)
+RETURNS loads AS $$
+DECLARE
+    v_load loads;
+    v_line RECORD;
+BEGIN
+    -- Lock the load so concurrent confirmations queue behind each other
+    SELECT * INTO v_load FROM loads WHERE id = p_load_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Load not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    -- Raises unique_violation if this load was already dispatched
+    INSERT INTO load_inventory_postings (load_id, event, posted_by)
+    VALUES (p_load_id, 'dispatch', p_recorded_by);
+
+    UPDATE loads SET
+        status = 'departed',
+        actual_departure_time = p_actual_departure_time,
+        on_time_status = p_on_time_status,
+        confirmed_dispatch_by = p_recorded_by,
+        confirmed_dispatch_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_load_id
+    RETURNING * INTO v_load;
+
+    FOR v_line IN
+        SELECT packaging_type_id, quantity_dispatched
+        FROM load_packaging
+        WHERE load_id = p_load_id AND quantity_dispatched > 0
+    LOOP
+        PERFORM post_packaging_movement(
+            'dispatch', p_load_id, v_load.origin_site_id, v_line.packaging_type_id,
+            v_line.quantity_dispatched, 0, 'out', p_recorded_by
+        );
+    END LOOP;
+
+    RETURN v_load;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Confirm receipt: record received/damaged/missing quantities, mark the
+-- load completed, credit the destination site and any backload site.
+-- p_items is a JSON array of
+--   { "id", "quantity_received", "quantity_damaged", "quantity_missing", "notes" }
+-- keyed on load_packaging.id. All or nothing.
+CREATE OR REPLACE FUNCTION post_load_receipt(
+    p_load_id UUID,
+    p_items JSONB,
+    p_discrepancy_notes TEXT DEFAULT NULL,
+    p_actual_arrival_time TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    p_on_time_status VARCHAR DEFAULT NULL,
+    p_recorded_by UUID DEFAULT NULL
+)
+RETURNS loads AS $$
+DECLARE
+    v_load loads;
+    v_item JSONB;
+    v_line RECORD;
+    v_has_discrepancy BOOLEAN := false;
+BEGIN
+    SELECT * INTO v_load FROM loads WHERE id = p_load_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Load not found' USING ERRCODE = 'no_data_found';
+    END IF;
+
+    -- Raises unique_violation if this load was already received
+    INSERT INTO load_inventory_postings (load_id, event, posted_by)
+    VALUES (p_load_id, 'receipt', p_recorded_by);
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb))
+    LOOP
+        UPDATE load_packaging SET
+            quantity_received = (v_item->>'quantity_received')::INTEGER,
+            quantity_damaged = COALESCE((v_item->>'quantity_damaged')::INTEGER, 0),
+            quantity_missing = COALESCE((v_item->>'quantity_missing')::INTEGER, 0),
+            notes = v_item->>'notes',
+            updated_at = NOW()
+        WHERE id = (v_item->>'id')::UUID AND load_id = p_load_id
+        RETURNING packaging_type_id, quantity_received, quantity_damaged, quantity_missing
+        INTO v_line;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Packaging line % does not belong to load %', v_item->>'id', p_load_id
+                USING ERRCODE = 'foreign_key_violation';
+        END IF;
+
+        IF v_line.quantity_damaged > 0 OR v_line.quantity_missing > 0 THEN
+            v_has_discrepancy := true;
+        END IF;
+
+        IF COALESCE(v_line.quantity_received, 0) > 0 THEN
+            PERFORM post_packaging_movement(
+                'receipt', p_load_id, v_load.destination_site_id, v_line.packaging_type_id,
+                v_line.quantity_received, v_line.quantity_damaged, 'in', p_recorded_by
+            );
+        END IF;
+    END LOOP;
+
+    UPDATE loads SET
+        status = 'completed',
+        actual_arrival_time = COALESCE(p_actual_arrival_time, NOW()),
+        on_time_status = p_on_time_status,
+        has_discrepancy = v_has_discrepancy,
+        discrepancy_notes = p_discrepancy_notes,
+        confirmed_receipt_by = p_recorded_by,
+        confirmed_receipt_at = NOW(),
+        updated_at = NOW()
+    WHERE id = p_load_id
+    RETURNING * INTO v_load;
+
+    -- Packaging returned from the farm on the backload
+    IF v_load.backload_site_id IS NOT NULL THEN
+        FOR v_line IN
+            SELECT packaging_type_id, quantity_returned
+            FROM backload_packaging
+            WHERE load_id = p_load_id AND quantity_returned > 0
+        LOOP
+            PERFORM post_packaging_movement(
+                'backload_return', p_load_id, v_load.backload_site_id, v_line.packaging_type_id,
+                v_line.quantity_returned, 0, 'in', p_recorded_by
+            );
+        END LOOP;
+    END IF;
+
+    RETURN v_load;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Mark loads that were already posted by the old multi-step routes so
+-- they cannot be posted a second time
+INSERT INTO load_inventory_postings (load_id, event, posted_by, posted_at)
+SELECT id, 'dispatch', confirmed_dispatch_by, confirmed_dispatch_at
+FROM loads
+WHERE confirmed_dispatch_at IS NOT NULL
+ON CONFLICT (load_id, event) DO NOTHING;
+
+INSERT INTO load_inventory_postings (load_id, event, posted_by, posted_at)
+SELECT id, 'receipt', confirmed_receipt_by, confirmed_receipt_at
+FROM loads
+WHERE confirmed_receipt_at IS NOT NULL
+ON CONFLICT (load_id, event) DO NOTHING;
+
+-- Comments
+COMMENT ON TABLE load_inventory_postings IS 'Load events that have been posted to inventory (one row per load and event)';
+COMMENT ON FUNCTION post_load_dispatch IS 'Atomically confirms dispatch and deducts load packaging from the origin site';
+COMMENT ON FUNCTION post_load_receipt IS 'Atomically confirms receipt and credits destination and backload sites';
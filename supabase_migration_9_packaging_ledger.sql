@@ -0,0 +1,357 @@
+-- =====================================================
+-- MIGRATION 9: PACKAGING LEDGER
+-- Makes packaging_movements the single source of truth for
+-- site_packaging_inventory balances. Balances are only changed by
+-- inserting signed movement entries and can be rebuilt from the ledger.
+-- Run AFTER migration 8
+-- =====================================================
+
+-- Signed change to the on-hand and damaged balances for each movement
+ALTER TABLE packaging_movements
+ADD COLUMN IF NOT EXISTS quantity_change INTEGER,
+ADD COLUMN IF NOT EXISTS damaged_change INTEGER DEFAULT 0;
+
+-- Backfill existing history from quantity + direction (or movement type
+-- for rows recorded before direction existed)
+UPDATE packaging_movements SET
+    quantity_change = CASE
+        WHEN direction = 'out' THEN -ABS(quantity)
+        WHEN direction = 'in' THEN ABS(quantity)
+        WHEN movement_type IN ('dispatch', 'loss', 'disposal', 'damage') THEN -ABS(quantity)
+        ELSE ABS(quantity)
+    END,
+    damaged_change = CASE
+        WHEN movement_type = 'receipt' THEN COALESCE(quantity_damaged, 0)
+        ELSE 0
+    END
+WHERE quantity_change IS NULL;
+
+-- Opening balances: anything the stored balance holds that the history
+-- does not explain (e.g. earlier direct overrides) becomes one adjustment
+-- entry, so the ledger and stored balances agree before the triggers start
+INSERT INTO packaging_movements (
+    movement_type, site_id, packaging_type_id, quantity, quantity_change,
+    quantity_damaged, damaged_change, direction, notes, recorded_at
+)
+SELECT
+    'adjustment',
+    spi.site_id,
+    spi.packaging_type_id,
+    ABS(spi.quantity - COALESCE(l.ledger_quantity, 0)),
+    spi.quantity - COALESCE(l.ledger_quantity, 0),
+    ABS(COALESCE(spi.quantity_damaged, 0) - COALESCE(l.ledger_damaged, 0)),
+    COALESCE(spi.quantity_damaged, 0) - COALESCE(l.ledger_damaged, 0),
+    CASE WHEN spi.quantity - COALESCE(l.ledger_quantity, 0) < 0 THEN 'out' ELSE 'in' END,
+    'Opening balance carried into packaging ledger',
+    NOW()
+FROM site_packaging_inventory spi
+LEFT JOIN (
+    SELECT site_id, packaging_type_id,
+           SUM(quantity_change) AS ledger_quantity,
+           SUM(damaged_change) AS ledger_damaged
+    FROM packaging_movements
+    GROUP BY site_id, packaging_type_id
+) l ON l.site_id = spi.site_id AND l.packaging_type_id = spi.packaging_type_id
+WHERE spi.quantity <> COALESCE(l.ledger_quantity, 0)
+   OR COALESCE(spi.quantity_damaged, 0) <> COALESCE(l.ledger_damaged, 0);
+
+ALTER TABLE packaging_movements
+ALTER COLUMN quantity_change SET NOT NULL,
+ALTER COLUMN damaged_change SET DEFAULT 0;
+
+-- =====================================================
+-- LEDGER TRIGGERS
+-- =====================================================
+
+-- Fill quantity_change/direction for callers that only send one of them
+CREATE OR REPLACE FUNCTION packaging_movements_normalize()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.quantity_change IS NULL THEN
+        NEW.quantity_change := CASE
+            WHEN NEW.direction = 'out' THEN -ABS(NEW.quantity)
+            ELSE ABS(NEW.quantity)
+        END;
+    END IF;
+
+    NEW.direction := CASE WHEN NEW.quantity_change < 0 THEN 'out' ELSE 'in' END;
+    NEW.quantity := ABS(NEW.quantity_change);
+    NEW.damaged_change := COALESCE(NEW.damaged_change, 0);
+    NEW.recorded_at := COALESCE(NEW.recorded_at, NOW());
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Apply a new ledger entry to the stored balance. The UPSERT is relative,
+-- so concurrent entries for the same site/packaging type never overwrite
+-- each other.
+CREATE OR REPLACE FUNCTION packaging_movements_apply()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM set_config('app.ledger_posting', 'on', true);
+
+    INSERT INTO site_packaging_inventory (
+        site_id, packaging_type_id, quantity, quantity_damaged, handling_count,
+        total_dispatched, total_received, total_returned
+    )
+    VALUES (
+        NEW.site_id, NEW.packaging_type_id, NEW.quantity_change, NEW.damaged_change, 1,
+        CASE WHEN NEW.movement_type = 'dispatch' THEN NEW.quantity ELSE 0 END,
+        CASE WHEN NEW.movement_type = 'receipt' THEN NEW.quantity ELSE 0 END,
+        CASE WHEN NEW.movement_type = 'backload_return' THEN NEW.quantity ELSE 0 END
+    )
+    ON CONFLICT (site_id, packaging_type_id)
+    DO UPDATE SET
+        quantity = site_packaging_inventory.quantity + EXCLUDED.quantity,
+        quantity_damaged = COALESCE(site_packaging_inventory.quantity_damaged, 0) + EXCLUDED.quantity_damaged,
+        handling_count = COALESCE(site_packaging_inventory.handling_count, 0) + 1,
+        total_dispatched = COALESCE(site_packaging_inventory.total_dispatched, 0) + EXCLUDED.total_dispatched,
+        total_received = COALESCE(site_packaging_inventory.total_received, 0) + EXCLUDED.total_received,
+        total_returned = COALESCE(site_packaging_inventory.total_returned, 0) + EXCLUDED.total_returned,
+        updated_at = NOW();
+
+    PERFORM set_config('app.ledger_posting', 'off', true);
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Ledger entries are append-only; corrections are new entries
+CREATE OR REPLACE FUNCTION packaging_movements_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'packaging_movements is append-only; post a correcting movement instead'
+        USING ERRCODE = 'restrict_violation';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stored balances may only change through the ledger (or a rebuild)
+CREATE OR REPLACE FUNCTION site_packaging_inventory_guard()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF COALESCE(current_setting('app.ledger_posting', true), 'off') = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF COALESCE(NEW.quantity, 0) <> 0 OR COALESCE(NEW.quantity_damaged, 0) <> 0 THEN
+            RAISE EXCEPTION 'Packaging balances can only be changed by posting a movement'
+                USING ERRCODE = 'restrict_violation';
+        END IF;
+    ELSIF NEW.quantity IS DISTINCT FROM OLD.quantity
+       OR NEW.quantity_damaged IS DISTINCT FROM OLD.quantity_damaged THEN
+        RAISE EXCEPTION 'Packaging balances can only be changed by posting a movement'
+            USING ERRCODE = 'restrict_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_packaging_movements_normalize ON packaging_movements;
+CREATE TRIGGER trg_packaging_movements_normalize
+    BEFORE INSERT ON packaging_movements
+    FOR EACH ROW EXECUTE FUNCTION packaging_movements_normalize();
+
+DROP TRIGGER IF EXISTS trg_packaging_movements_apply ON packaging_movements;
+CREATE TRIGGER trg_packaging_movements_apply
+    AFTER INSERT ON packaging_movements
+    FOR EACH ROW EXECUTE FUNCTION packaging_movements_apply();
+
+DROP TRIGGER IF EXISTS trg_packaging_movements_immutable ON packaging_movements;
+CREATE TRIGGER trg_packaging_movements_immutable
+    BEFORE UPDATE OR DELETE ON packaging_movements
+    FOR EACH ROW EXECUTE FUNCTION packaging_movements_immutable();
+
+DROP TRIGGER IF EXISTS trg_site_packaging_inventory_guard ON site_packaging_inventory;
+CREATE TRIGGER trg_site_packaging_inventory_guard
+    BEFORE INSERT OR UPDATE ON site_packaging_inventory
+    FOR EACH ROW EXECUTE FUNCTION site_packaging_inventory_guard();
+
+-- =====================================================
+-- POSTING FUNCTIONS
+-- =====================================================
+
+-- Load postings (migration 8) now just write the ledger entry; the
+-- trigger applies it to the balance
+CREATE OR REPLACE FUNCTION post_packaging_movement(
+    p_movement_type VARCHAR,
+    p_load_id UUID,
+    p_site_id UUID,
+    p_packaging_type_id UUID,
+    p_quantity INTEGER,
+    p_quantity_damaged INTEGER,
+    p_direction VARCHAR,
+    p_recorded_by UUID
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO packaging_movements (
+        movement_type, load_id, site_id, packaging_type_id, quantity, quantity_change,
+        quantity_damaged, damaged_change, direction, recorded_by, recorded_at
+    )
+    VALUES (
+        p_movement_type, p_load_id, p_site_id, p_packaging_type_id, p_quantity,
+        CASE WHEN p_direction = 'out' THEN -p_quantity ELSE p_quantity END,
+        COALESCE(p_quantity_damaged, 0),
+        CASE WHEN p_movement_type = 'receipt' THEN COALESCE(p_quantity_damaged, 0) ELSE 0 END,
+        p_direction, p_recorded_by, NOW()
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Set a site balance to a counted figure by posting the difference as an
+-- adjustment. Locks the balance row so the difference is computed against
+-- the value it is applied to.
+CREATE OR REPLACE FUNCTION post_balance_adjustment(
+    p_site_id UUID,
+    p_packaging_type_id UUID,
+    p_quantity INTEGER,
+    p_quantity_damaged INTEGER DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL,
+    p_recorded_by UUID DEFAULT NULL
+)
+RETURNS site_packaging_inventory AS $$
+DECLARE
+    v_current site_packaging_inventory;
+    v_quantity_change INTEGER;
+    v_damaged_change INTEGER;
+BEGIN
+    -- Make sure a row exists to lock (zero balance is allowed by the guard)
+    INSERT INTO site_packaging_inventory (site_id, packaging_type_id)
+    VALUES (p_site_id, p_packaging_type_id)
+    ON CONFLICT (site_id, packaging_type_id) DO NOTHING;
+
+    SELECT * INTO v_current
+    FROM site_packaging_inventory
+    WHERE site_id = p_site_id AND packaging_type_id = p_packaging_type_id
+    FOR UPDATE;
+
+    v_quantity_change := p_quantity - COALESCE(v_current.quantity, 0);
+    v_damaged_change := CASE
+        WHEN p_quantity_damaged IS NULL THEN 0
+        ELSE p_quantity_damaged - COALESCE(v_current.quantity_damaged, 0)
+    END;
+
+    IF v_quantity_change <> 0 OR v_damaged_change <> 0 THEN
+        INSERT INTO packaging_movements (
+            movement_type, site_id, packaging_type_id, quantity, quantity_change,
+            quantity_damaged, damaged_change, notes, recorded_by
+        )
+        VALUES (
+            'adjustment', p_site_id, p_packaging_type_id, ABS(v_quantity_change), v_quantity_change,
+            ABS(v_damaged_change), v_damaged_change, p_notes, p_recorded_by
+        );
+    END IF;
+
+    UPDATE site_packaging_inventory SET
+        last_counted_at = NOW(),
+        last_counted_by = p_recorded_by
+    WHERE id = v_current.id
+    RETURNING * INTO v_current;
+
+    RETURN v_current;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- REBUILD
+-- =====================================================
+
+-- Recompute every site/packaging balance from the ledger and report rows
+-- where the stored value differs. With p_apply = true the stored values
+-- are overwritten with the ledger totals.
+CREATE OR REPLACE FUNCTION rebuild_packaging_balances(p_apply BOOLEAN DEFAULT false)
+RETURNS TABLE (
+    site_id UUID,
+    packaging_type_id UUID,
+    stored_quantity INTEGER,
+    ledger_quantity INTEGER,
+    quantity_difference INTEGER,
+    stored_damaged INTEGER,
+    ledger_damaged INTEGER,
+    damaged_difference INTEGER
+) AS $$
+#variable_conflict use_column
+BEGIN
+    CREATE TEMP TABLE IF NOT EXISTS tmp_balance_diff ON COMMIT DROP AS
+    SELECT
+        COALESCE(spi.site_id, l.site_id) AS site_id,
+        COALESCE(spi.packaging_type_id, l.packaging_type_id) AS packaging_type_id,
+        COALESCE(spi.quantity, 0)::INTEGER AS stored_quantity,
+        COALESCE(l.ledger_quantity, 0)::INTEGER AS ledger_quantity,
+        COALESCE(spi.quantity_damaged, 0)::INTEGER AS stored_damaged,
+        COALESCE(l.ledger_damaged, 0)::INTEGER AS ledger_damaged,
+        COALESCE(l.handling_count, 0)::INTEGER AS handling_count,
+        COALESCE(l.total_dispatched, 0)::INTEGER AS total_dispatched,
+        COALESCE(l.total_received, 0)::INTEGER AS total_received,
+        COALESCE(l.total_returned, 0)::INTEGER AS total_returned
+    FROM site_packaging_inventory spi
+    FULL OUTER JOIN (
+        SELECT
+            pm.site_id,
+            pm.packaging_type_id,
+            SUM(pm.quantity_change) AS ledger_quantity,
+            SUM(pm.damaged_change) AS ledger_damaged,
+            COUNT(*) AS handling_count,
+            SUM(CASE WHEN pm.movement_type = 'dispatch' THEN pm.quantity ELSE 0 END) AS total_dispatched,
+            SUM(CASE WHEN pm.movement_type = 'receipt' THEN pm.quantity ELSE 0 END) AS total_received,
+            SUM(CASE WHEN pm.movement_type = 'backload_return' THEN pm.quantity ELSE 0 END) AS total_returned
+        FROM packaging_movements pm
+        GROUP BY pm.site_id, pm.packaging_type_id
+    ) l ON l.site_id = spi.site_id AND l.packaging_type_id = spi.packaging_type_id;
+
+    IF p_apply THEN
+        PERFORM set_config('app.ledger_posting', 'on', true);
+
+        INSERT INTO site_packaging_inventory AS spi (
+            site_id, packaging_type_id, quantity, quantity_damaged, handling_count,
+            total_dispatched, total_received, total_returned
+        )
+        SELECT
+            t.site_id, t.packaging_type_id, t.ledger_quantity, t.ledger_damaged, t.handling_count,
+            t.total_dispatched, t.total_received, t.total_returned
+        FROM tmp_balance_diff t
+        ON CONFLICT (site_id, packaging_type_id)
+        DO UPDATE SET
+            quantity = EXCLUDED.quantity,
+            quantity_damaged = EXCLUDED.quantity_damaged,
+            handling_count = EXCLUDED.handling_count,
+            total_dispatched = EXCLUDED.total_dispatched,
+            total_received = EXCLUDED.total_received,
+            total_returned = EXCLUDED.total_returned,
+            updated_at = NOW()
+        WHERE spi.quantity IS DISTINCT FROM EXCLUDED.quantity
+           OR spi.quantity_damaged IS DISTINCT FROM EXCLUDED.quantity_damaged
+           OR spi.handling_count IS DISTINCT FROM EXCLUDED.handling_count
+           OR spi.total_dispatched IS DISTINCT FROM EXCLUDED.total_dispatched
+           OR spi.total_received IS DISTINCT FROM EXCLUDED.total_received
+           OR spi.total_returned IS DISTINCT FROM EXCLUDED.total_returned;
+
+        PERFORM set_config('app.ledger_posting', 'off', true);
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        t.site_id,
+        t.packaging_type_id,
+        t.stored_quantity,
+        t.ledger_quantity,
+        t.ledger_quantity - t.stored_quantity,
+        t.stored_damaged,
+        t.ledger_damaged,
+        t.ledger_damaged - t.stored_damaged
+    FROM tmp_balance_diff t
+    WHERE t.stored_quantity <> t.ledger_quantity
+       OR t.stored_damaged <> t.ledger_damaged;
+
+    DROP TABLE tmp_balance_diff;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments
+COMMENT ON COLUMN packaging_movements.quantity_change IS 'Signed change to the site on-hand balance (negative for stock leaving the site)';
+COMMENT ON COLUMN packaging_movements.damaged_change IS 'Signed change to the site damaged balance';
+COMMENT ON FUNCTION post_balance_adjustment IS 'Sets a site balance to a counted figure by posting the difference as an adjustment movement';
+COMMENT ON FUNCTION rebuild_packaging_balances IS 'Recomputes site balances from packaging_movements; reports differences and optionally applies them';